@@ -0,0 +1,359 @@
+// =============================================================================
+// AGENT MEMORY - MEMORIA A LARGO PLAZO DE LOS AGENTES
+// Dos tipos de recuerdo: episodios (tareas ya hechas, con su tipo, su plan y
+// cómo terminaron) y hechos sobre sitios (flujos de inicio de sesión,
+// selectores que funcionan, estructura de las páginas). La recuperación
+// puntúa por parecido del texto y por lo reciente que es cada recuerdo. Los
+// valores escritos en formularios nunca se guardan: solo dónde se escribieron
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { SiteSettings } from '../security-layer/site-settings.js';
+
+const MEMORY_VERSION = 1;
+const MEMORY_TYPES = ['episode', 'fact'];
+const FACT_KINDS = ['login-flow', 'selector', 'page-structure', 'note'];
+const DEFAULT_LIMITS = { episode: 500, fact: 1000 };
+const RECENCY_HALF_LIFE_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_TEXT_CHARS = 2000;
+const MAX_PLAN_STEPS = 20;
+
+// Peso de cada señal en la puntuación de recuperación
+const WEIGHTS = { similarity: 0.65, recency: 0.2, site: 0.15 };
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'una', 'uno', 'unos', 'unas',
+  'los', 'las', 'del', 'con', 'por', 'para', 'que', 'como', 'esta', 'este', 'sus', 'http', 'https', 'www'
+]);
+
+class AgentMemory extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = new PersistentStore('memories', { baseDir: options.baseDir, subdirectory: 'agent-memory' });
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.memories = new Map(); // id -> recuerdo
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ memories: [] });
+    for (const memory of saved.memories || []) {
+      if (MEMORY_TYPES.includes(memory?.type) && memory.id) {
+        this.memories.set(memory.id, memory);
+      }
+    }
+    console.log(`✅ Memoria de agentes cargada: ${this.memories.size} recuerdos`);
+  }
+
+  // =============================================================================
+  // APRENDIZAJE
+  // =============================================================================
+
+  // Un episodio por tarea ejecutada. plan conserva acciones y destinos, nunca valores
+  recordEpisode({ task, taskType = null, site = null, success, status = null, plan = null, duration = null, error = null, traceId = null }) {
+    const text = clean(task);
+    if (!text) return null;
+
+    const now = Date.now();
+    const memory = {
+      id: `mem-${randomUUID()}`,
+      type: 'episode',
+      site: site || null,
+      task: text,
+      taskType,
+      success: Boolean(success),
+      status: status || (success ? 'completed' : 'failed'),
+      plan: Array.isArray(plan) ? plan.slice(0, MAX_PLAN_STEPS).map(planStep) : null,
+      duration,
+      error: error ? clean(error) : null,
+      traceId,
+      source: 'agent',
+      createdAt: now,
+      updatedAt: now,
+      lastUsedAt: null,
+      uses: 0
+    };
+
+    this.memories.set(memory.id, memory);
+    this.prune('episode');
+    this.changed('added', memory);
+    return memory;
+  }
+
+  // Un hecho se identifica por sitio, tipo y clave: volver a aprenderlo suma
+  // una confirmación (o un fallo) en vez de duplicarlo. Lo que el usuario ha
+  // editado no lo sobrescribe el agente
+  learnFact({ site, kind, key, value, success = true }) {
+    if (!site || !FACT_KINDS.includes(kind) || !clean(key) || !clean(value)) return null;
+
+    const now = Date.now();
+    const existing = this.findFact(site, kind, key);
+    if (existing) {
+      if (success) existing.successes++; else existing.failures++;
+      if (success && existing.source !== 'user') existing.value = clean(value);
+      existing.updatedAt = now;
+      this.changed('updated', existing);
+      return existing;
+    }
+
+    const memory = {
+      id: `mem-${randomUUID()}`,
+      type: 'fact',
+      site,
+      kind,
+      key: clean(key),
+      value: clean(value),
+      successes: success ? 1 : 0,
+      failures: success ? 0 : 1,
+      source: 'agent',
+      createdAt: now,
+      updatedAt: now,
+      lastUsedAt: null,
+      uses: 0
+    };
+
+    this.memories.set(memory.id, memory);
+    this.prune('fact');
+    this.changed('added', memory);
+    return memory;
+  }
+
+  // Los recuerdos se agrupan por sitio registrable, como los permisos
+  siteOf(url) {
+    return url ? SiteSettings.getSite(url) : null;
+  }
+
+  findFact(site, kind, key) {
+    const normalized = normalize(key);
+    return Array.from(this.memories.values()).find(memory =>
+      memory.type === 'fact' && memory.site === site && memory.kind === kind && normalize(memory.key) === normalized
+    ) || null;
+  }
+
+  // =============================================================================
+  // RECUPERACIÓN
+  // =============================================================================
+
+  // Devuelve los recuerdos más útiles con su puntuación (0-1). Los hechos de
+  // otros sitios no se devuelven; los episodios de otros sitios sí, sin la
+  // bonificación del sitio, y solo si se parecen en algo al texto. Sin texto
+  // cuentan solo el sitio y lo reciente
+  recall({ text = '', site = null, type = null, kind = null, limit = 5, minScore = 0.2 } = {}) {
+    const candidates = Array.from(this.memories.values()).filter(memory =>
+      (!type || memory.type === type) &&
+      (!kind || memory.kind === kind) &&
+      !(memory.type === 'fact' && site && memory.site !== site)
+    );
+    if (candidates.length === 0) return [];
+
+    const query = tokenize(text);
+    const idf = inverseFrequencies(candidates.map(memory => tokenize(searchableText(memory))));
+    const now = Date.now();
+
+    return candidates
+      .map(memory => {
+        const similarity = query.length > 0 ? cosine(query, tokenize(searchableText(memory)), idf) : 0;
+        const recency = 0.5 ** ((now - (memory.lastUsedAt || memory.updatedAt)) / RECENCY_HALF_LIFE_MS);
+        const siteMatch = site && memory.site === site ? 1 : 0;
+        const weights = query.length > 0 ? WEIGHTS : { similarity: 0, recency: 0.5, site: 0.5 };
+        const score = (weights.similarity * similarity + weights.recency * recency + weights.site * siteMatch) * reliability(memory);
+        return { ...memory, similarity: round(similarity), score: round(score) };
+      })
+      .filter(memory => memory.score >= minScore && (query.length === 0 || memory.type === 'fact' || memory.similarity > 0))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Los recuerdos que el agente llega a usar ganan actualidad
+  markUsed(ids) {
+    const now = Date.now();
+    for (const id of [].concat(ids)) {
+      const memory = this.memories.get(id);
+      if (!memory) continue;
+      memory.lastUsedAt = now;
+      memory.uses++;
+    }
+    this.save();
+  }
+
+  // =============================================================================
+  // GESTIÓN POR EL USUARIO
+  // =============================================================================
+
+  list({ type = null, site = null, query = '', limit = 200 } = {}) {
+    if (query) {
+      return this.recall({ text: query, site, type, limit: Infinity, minScore: 0 })
+        .filter(memory => memory.similarity > 0 && (!site || memory.site === site))
+        .slice(0, limit);
+    }
+    return Array.from(this.memories.values())
+      .filter(memory => (!type || memory.type === type) && (!site || memory.site === site))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit);
+  }
+
+  get(id) {
+    return this.memories.get(id) || null;
+  }
+
+  // Campos editables: en los hechos clave, valor, tipo y sitio; en los
+  // episodios la descripción, el tipo de tarea y el sitio
+  update(id, changes = {}) {
+    const memory = this.memories.get(id);
+    if (!memory) {
+      throw new Error(`Recuerdo no encontrado: ${id}`);
+    }
+
+    const editable = memory.type === 'fact' ? ['key', 'value', 'kind', 'site'] : ['task', 'taskType', 'site'];
+    for (const field of editable) {
+      if (changes[field] === undefined) continue;
+      if (field === 'kind' && !FACT_KINDS.includes(changes.kind)) {
+        throw new Error(`Tipo de hecho desconocido: ${changes.kind}`);
+      }
+      const value = field === 'site' || field === 'taskType' ? (changes[field] ? String(changes[field]).trim() : null) : clean(changes[field]);
+      if (!value && ['key', 'value', 'task'].includes(field)) {
+        throw new Error(`El campo ${field} no puede quedar vacío`);
+      }
+      if (!value && memory.type === 'fact' && field === 'site') {
+        throw new Error('Un hecho tiene que pertenecer a un sitio');
+      }
+      memory[field] = value;
+    }
+
+    Object.assign(memory, { source: 'user', updatedAt: Date.now() });
+    this.changed('updated', memory);
+    return memory;
+  }
+
+  forget(id) {
+    const memory = this.memories.get(id);
+    if (!memory) return false;
+    this.memories.delete(id);
+    this.changed('forgotten', memory);
+    return true;
+  }
+
+  // Olvida todo lo que se sabe de un sitio, o todo si no se indica
+  forgetAll({ site = null, type = null } = {}) {
+    let count = 0;
+    for (const [id, memory] of this.memories) {
+      if ((site && memory.site !== site) || (type && memory.type !== type)) continue;
+      this.memories.delete(id);
+      count++;
+    }
+    this.changed('cleared', null, { site, type, count });
+    return count;
+  }
+
+  getStats() {
+    const memories = Array.from(this.memories.values());
+    return {
+      episodes: memories.filter(memory => memory.type === 'episode').length,
+      facts: memories.filter(memory => memory.type === 'fact').length,
+      sites: Array.from(new Set(memories.map(memory => memory.site).filter(Boolean))).sort()
+    };
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  // Al superar el límite se olvidan primero los recuerdos menos usados y más
+  // antiguos; lo que ha editado el usuario se conserva
+  prune(type) {
+    const ofType = Array.from(this.memories.values()).filter(memory => memory.type === type && memory.source !== 'user');
+    const excess = ofType.length - this.limits[type];
+    if (excess <= 0) return;
+
+    ofType
+      .sort((a, b) => (a.lastUsedAt || a.updatedAt) - (b.lastUsedAt || b.updatedAt))
+      .slice(0, excess)
+      .forEach(memory => this.memories.delete(memory.id));
+  }
+
+  changed(action, memory, details = {}) {
+    this.save();
+    this.emit('changed', { action, memory, ...details });
+  }
+
+  save() {
+    this.store.scheduleWrite({ version: MEMORY_VERSION, memories: Array.from(this.memories.values()) });
+  }
+
+  async shutdown() {
+    this.save();
+    await this.store.flush();
+  }
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function planStep(step) {
+  return {
+    action: String(step?.action || ''),
+    description: clean(step?.description || step?.action, 200),
+    ...(step?.target ? { target: clean(step.target, 300) } : {})
+  };
+}
+
+function searchableText(memory) {
+  return memory.type === 'fact' ? `${memory.key} ${memory.value}` : memory.task;
+}
+
+// Los hechos que han fallado a menudo pesan menos; los episodios fallidos
+// siguen sirviendo de aviso, pero por detrás de los que salieron bien
+function reliability(memory) {
+  if (memory.type !== 'fact') return memory.success === false ? 0.6 : 1;
+  return 1 - memory.failures / (memory.successes + memory.failures + 1);
+}
+
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+function inverseFrequencies(documents) {
+  const counts = new Map();
+  for (const tokens of documents) {
+    for (const token of new Set(tokens)) counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  const idf = new Map();
+  for (const [token, count] of counts) {
+    idf.set(token, Math.log(1 + documents.length / count));
+  }
+  return idf;
+}
+
+// Coseno entre vectores TF-IDF
+function cosine(a, b, idf) {
+  const vector = (tokens) => {
+    const weights = new Map();
+    for (const token of tokens) weights.set(token, (weights.get(token) || 0) + (idf.get(token) || Math.log(2)));
+    return weights;
+  };
+  const va = vector(a);
+  const vb = vector(b);
+  let dot = 0;
+  for (const [token, weight] of va) dot += weight * (vb.get(token) || 0);
+  const norm = (v) => Math.sqrt(Array.from(v.values()).reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(va) * norm(vb);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+function clean(text, max = MAX_TEXT_CHARS) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { AgentMemory, MEMORY_TYPES, FACT_KINDS };
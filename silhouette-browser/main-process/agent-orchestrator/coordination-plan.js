@@ -0,0 +1,322 @@
+// =============================================================================
+// COORDINATION PLAN - PLANES DE COORDINACIÓN COMO GRAFO DE PASOS
+// Cada paso declara de qué pasos depende y qué resultados recibe como entrada
+// ({ nombre: 'paso' } o { nombre: 'paso.ruta.al.valor' }). Los pasos cuyas
+// dependencias han terminado se ejecutan en paralelo, cada uno con su tiempo
+// límite y sus reintentos. El plan es JSON plano: se puede inspeccionar,
+// editar y volver a ejecutar con agent:executeTask({ plan })
+// =============================================================================
+
+import { randomUUID } from 'crypto';
+import * as path from 'path';
+import { withTimeout, delay } from '../async/abortable.js';
+
+const PLAN_VERSION = 1;
+const STEP_ACTIONS = [
+  'initialize', 'plan', 'execute_primary', 'coordinate_supporting', 'download', 'synthesize', 'deliver'
+];
+const DEFAULT_PLAN_TIMEOUT_MS = 30000;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRIES = 5;
+const MAX_STEPS = 100;
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_PLAN_DOWNLOADS = 50;
+
+// Completa valores por defecto y rechaza pasos desconocidos, referencias rotas
+// y ciclos
+function validatePlan(plan) {
+  if (!plan || typeof plan !== 'object' || !Array.isArray(plan.steps)) {
+    throw new Error('El plan debe tener una lista de pasos');
+  }
+  if (plan.version !== undefined && plan.version !== PLAN_VERSION) {
+    throw new Error(`Versión de plan no soportada: ${plan.version}`);
+  }
+  if (plan.steps.length === 0 || plan.steps.length > MAX_STEPS) {
+    throw new Error(`El plan debe tener entre 1 y ${MAX_STEPS} pasos`);
+  }
+
+  const timeoutMs = positiveInteger(plan.timeoutMs, DEFAULT_PLAN_TIMEOUT_MS);
+  const defaults = {
+    stepTimeoutMs: positiveInteger(plan.defaults?.stepTimeoutMs, timeoutMs),
+    retries: Math.min(MAX_RETRIES, nonNegativeInteger(plan.defaults?.retries, 0)),
+    retryDelayMs: nonNegativeInteger(plan.defaults?.retryDelayMs, DEFAULT_RETRY_DELAY_MS)
+  };
+
+  const ids = new Set();
+  const steps = plan.steps.map((step, index) => {
+    const label = `Paso ${index + 1}`;
+    if (!step || typeof step !== 'object') {
+      throw new Error(`${label}: formato inválido`);
+    }
+    if (!STEP_ID_PATTERN.test(String(step.id))) {
+      throw new Error(`${label}: id inválido (${step.id})`);
+    }
+    if (ids.has(step.id)) {
+      throw new Error(`${label}: id duplicado (${step.id})`);
+    }
+    ids.add(step.id);
+    if (!STEP_ACTIONS.includes(step.action)) {
+      throw new Error(`${label} (${step.id}): acción desconocida (${step.action})`);
+    }
+
+    const inputs = {};
+    for (const [name, ref] of Object.entries(step.inputs || {})) {
+      if (typeof ref !== 'string' || !ref) {
+        throw new Error(`${label} (${step.id}): la entrada ${name} no indica su origen`);
+      }
+      inputs[name] = ref;
+    }
+    const dependsOn = Array.isArray(step.dependsOn) ? Array.from(new Set(step.dependsOn.map(String))) : [];
+
+    return {
+      id: step.id,
+      action: step.action,
+      ...(step.team ? { team: String(step.team) } : {}),
+      ...(Array.isArray(step.teams) ? { teams: step.teams.map(String) } : {}),
+      dependsOn,
+      inputs,
+      params: validateParams(step, `${label} (${step.id})`),
+      ...(step.timeoutMs !== undefined ? { timeoutMs: positiveInteger(step.timeoutMs, defaults.stepTimeoutMs) } : {}),
+      ...(step.retries !== undefined ? { retries: Math.min(MAX_RETRIES, nonNegativeInteger(step.retries, defaults.retries)) } : {})
+    };
+  });
+
+  for (const step of steps) {
+    const missing = dependenciesOf(step).find(dependency => !ids.has(dependency));
+    if (missing) {
+      throw new Error(`Paso ${step.id}: depende de un paso que no existe (${missing})`);
+    }
+  }
+  topologicalOrder(steps);
+
+  return {
+    version: PLAN_VERSION,
+    id: typeof plan.id === 'string' && plan.id ? plan.id : `plan-${randomUUID()}`,
+    taskId: plan.taskId ?? null,
+    task: plan.task ?? null,
+    timeoutMs,
+    defaults,
+    steps,
+    created: Number(plan.created) || Date.now()
+  };
+}
+
+// Los planes pueden llegar editados desde el renderer: los parámetros de las
+// acciones con efectos fuera del navegador se comprueban campo a campo
+function validateParams(step, label) {
+  const params = step.params && typeof step.params === 'object' && !Array.isArray(step.params) ? step.params : {};
+  if (step.action !== 'download') return params;
+
+  if (!Array.isArray(params.downloads) || params.downloads.length === 0 || params.downloads.length > MAX_PLAN_DOWNLOADS) {
+    throw new Error(`${label}: la descarga necesita entre 1 y ${MAX_PLAN_DOWNLOADS} elementos en downloads`);
+  }
+  const downloads = params.downloads.map((item, index) => {
+    const where = `${label}: descarga ${index + 1}`;
+    let url;
+    try {
+      url = new URL(String(item?.url));
+    } catch {
+      throw new Error(`${where}: URL inválida`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`${where}: solo se descargan URLs http o https`);
+    }
+    // Nombre sin rutas y directorio relativo a la carpeta de descargas, sin salir de ella
+    if (item.filename !== undefined && (typeof item.filename !== 'string' || !item.filename || /[\\/]/.test(item.filename) || /^\.\.?$/.test(item.filename))) {
+      throw new Error(`${where}: nombre de archivo inválido (${item.filename})`);
+    }
+    if (item.directory !== undefined && (typeof item.directory !== 'string' || path.isAbsolute(item.directory) ||
+        path.win32.isAbsolute(item.directory) || item.directory.split(/[\\/]/).includes('..'))) {
+      throw new Error(`${where}: el directorio debe ser relativo a la carpeta de descargas (${item.directory})`);
+    }
+    if (item.expectedHash !== undefined && typeof item.expectedHash !== 'string') {
+      throw new Error(`${where}: expectedHash debe ser texto`);
+    }
+    return {
+      url: url.href,
+      ...(item.filename !== undefined ? { filename: item.filename } : {}),
+      ...(item.directory !== undefined ? { directory: item.directory } : {}),
+      ...(item.expectedHash !== undefined ? { expectedHash: item.expectedHash } : {})
+    };
+  });
+  return { downloads, waitForCompletion: params.waitForCompletion !== false };
+}
+
+// Orden de Kahn; si quedan pasos sin ordenar hay un ciclo y se muestra uno
+function topologicalOrder(steps) {
+  const pending = new Map(steps.map(step => [step.id, new Set(dependenciesOf(step))]));
+  const order = [];
+
+  while (pending.size > 0) {
+    const ready = Array.from(pending.keys()).filter(id => pending.get(id).size === 0);
+    if (ready.length === 0) {
+      throw new Error(`El plan tiene un ciclo: ${describeCycle(pending)}`);
+    }
+    for (const id of ready) {
+      pending.delete(id);
+      order.push(id);
+      for (const dependencies of pending.values()) dependencies.delete(id);
+    }
+  }
+  return order;
+}
+
+function describeCycle(pending) {
+  const path = [];
+  let current = pending.keys().next().value;
+  while (!path.includes(current)) {
+    path.push(current);
+    current = Array.from(pending.get(current)).find(id => pending.has(id));
+  }
+  return [...path.slice(path.indexOf(current)), current].join(' → ');
+}
+
+// =============================================================================
+// EJECUCIÓN
+// =============================================================================
+
+// runStep(step, inputs, { attempt, signal }) devuelve el resultado del paso o
+// lanza. signal es la del intento: se aborta al agotarse su tiempo o al
+// cancelar el plan, y el intento se espera antes de reintentar. Un paso que falla (agotados sus reintentos) omite a los que dependen
+// de él; las ramas independientes siguen hasta terminar. reuse ({ id: resultado })
+// da por terminados esos pasos con un resultado ya conocido, para relanzar un
+// plan desde un paso; onStep(state, inputs) avisa al empezar y al terminar cada paso
+async function executePlan(plan, runStep, { signal = null, reuse = {}, onStep = null } = {}) {
+  const order = topologicalOrder(plan.steps);
+  const steps = new Map(plan.steps.map(step => [step.id, step]));
+  const states = new Map(plan.steps.map(step => [step.id, {
+    id: step.id,
+    action: step.action,
+    team: step.team || null,
+    status: 'pending',
+    attempts: 0,
+    error: null,
+    timedOut: false,
+    result: undefined,
+    startedAt: null,
+    finishedAt: null,
+    ...(Object.hasOwn(reuse, step.id) ? { status: 'succeeded', result: reuse[step.id], reused: true } : {})
+  }]));
+  const running = new Map();
+  const isDone = (id) => states.get(id).status === 'succeeded';
+
+  while (true) {
+    // El orden topológico propaga las omisiones a toda la descendencia en una pasada
+    for (const id of order) {
+      const state = states.get(id);
+      if (state.status !== 'pending') continue;
+      if (signal?.aborted) {
+        state.status = 'cancelled';
+      } else if (dependenciesOf(steps.get(id)).some(dependency => ['failed', 'skipped', 'cancelled'].includes(states.get(dependency).status))) {
+        state.status = 'skipped';
+      } else if (dependenciesOf(steps.get(id)).every(isDone)) {
+        state.status = 'running';
+        const step = steps.get(id);
+        const inputs = collectInputs(step, states);
+        onStep?.(state, inputs);
+        running.set(id, runWithRetries(plan, step, state, inputs, runStep, signal)
+          .finally(() => {
+            running.delete(id);
+            onStep?.(state, inputs);
+          }));
+      }
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  const list = order.map(id => states.get(id));
+  const status = signal?.aborted ? 'cancelled' : list.some(state => state.status === 'failed') ? 'failed' : 'completed';
+  return {
+    planId: plan.id,
+    status,
+    success: status === 'completed',
+    steps: list.map(state => ({
+      ...state,
+      duration: state.startedAt && state.finishedAt ? state.finishedAt - state.startedAt : null
+    })),
+    outputs: Object.fromEntries(list.filter(state => state.status === 'succeeded').map(state => [state.id, state.result]))
+  };
+}
+
+async function runWithRetries(plan, step, state, inputs, runStep, signal) {
+  const retries = step.retries ?? plan.defaults.retries;
+  const timeoutMs = step.timeoutMs ?? plan.defaults.stepTimeoutMs;
+  state.startedAt = Date.now();
+
+  while (true) {
+    state.attempts++;
+    try {
+      const attempt = state.attempts;
+      state.result = await withTimeout(
+        attemptSignal => runStep(step, inputs, { attempt, signal: attemptSignal }),
+        timeoutMs,
+        { signal, cancelMessage: 'Plan cancelado' }
+      );
+      state.error = null;
+      state.timedOut = false;
+      state.status = 'succeeded';
+      break;
+    } catch (error) {
+      state.error = error.message;
+      state.timedOut = error.code === 'ETIMEDOUT';
+    }
+
+    if (signal?.aborted) {
+      state.status = 'cancelled';
+      break;
+    }
+    if (state.attempts > retries) {
+      state.status = 'failed';
+      console.warn(`⚠️ Paso ${step.id} fallido tras ${state.attempts} intentos: ${state.error}`);
+      break;
+    }
+    await delay(plan.defaults.retryDelayMs * 2 ** (state.attempts - 1), signal).catch(() => {});
+  }
+
+  state.finishedAt = Date.now();
+}
+
+function collectInputs(step, states) {
+  const inputs = {};
+  for (const [name, ref] of Object.entries(step.inputs)) {
+    const [stepId, ...path] = ref.split('.');
+    inputs[name] = path.reduce((value, key) => value?.[key], states.get(stepId).result);
+  }
+  return inputs;
+}
+
+// Pasos que dependen, directa o indirectamente, de stepId
+function descendantsOf(plan, stepId) {
+  const descendants = new Set();
+  for (const id of topologicalOrder(plan.steps)) {
+    const step = plan.steps.find(candidate => candidate.id === id);
+    if (dependenciesOf(step).some(dependency => dependency === stepId || descendants.has(dependency))) {
+      descendants.add(id);
+    }
+  }
+  return descendants;
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+// Recibir el resultado de un paso implica esperar a que termine: las entradas
+// cuentan como dependencias sin repetirlas en dependsOn
+function dependenciesOf(step) {
+  return Array.from(new Set([...step.dependsOn, ...Object.values(step.inputs).map(ref => ref.split('.')[0])]));
+}
+
+function positiveInteger(value, fallback) {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) && parsed >= 1 ? parsed : fallback;
+}
+
+function nonNegativeInteger(value, fallback) {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export { validatePlan, executePlan, topologicalOrder, descendantsOf, STEP_ACTIONS, PLAN_VERSION };
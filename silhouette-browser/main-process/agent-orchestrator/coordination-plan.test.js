@@ -0,0 +1,130 @@
+import { describe, test, expect } from '@jest/globals';
+import { validatePlan, executePlan, topologicalOrder, descendantsOf } from './coordination-plan.js';
+
+function plan(steps, extra = {}) {
+  return validatePlan({ steps, defaults: { retryDelayMs: 1 }, ...extra });
+}
+
+// Plan en rombo: dos ramas paralelas que se juntan en la síntesis
+const diamond = () => plan([
+  { id: 'initialize', action: 'initialize' },
+  { id: 'a', action: 'execute_primary', dependsOn: ['initialize'] },
+  { id: 'b', action: 'coordinate_supporting', dependsOn: ['initialize'] },
+  { id: 'synthesize', action: 'synthesize', inputs: { first: 'a.data.value', second: 'b' } }
+]);
+
+describe('validatePlan', () => {
+  test('completa los valores por defecto y cuenta las entradas como dependencias', () => {
+    const validated = diamond();
+    expect(validated).toMatchObject({ version: 1, timeoutMs: 30000, defaults: { stepTimeoutMs: 30000, retries: 0 } });
+    expect(topologicalOrder(validated.steps)).toEqual(['initialize', 'a', 'b', 'synthesize']);
+    expect(Array.from(descendantsOf(validated, 'a'))).toEqual(['synthesize']);
+  });
+
+  test('rechaza acciones desconocidas, ids duplicados, referencias rotas y ciclos', () => {
+    expect(() => plan([{ id: 'x', action: 'rm' }])).toThrow('acción desconocida');
+    expect(() => plan([{ id: 'x', action: 'plan' }, { id: 'x', action: 'plan' }])).toThrow('id duplicado');
+    expect(() => plan([{ id: 'x', action: 'plan', dependsOn: ['y'] }])).toThrow('no existe (y)');
+    expect(() => plan([
+      { id: 'x', action: 'plan', dependsOn: ['y'] },
+      { id: 'y', action: 'plan', inputs: { from: 'x' } }
+    ])).toThrow('El plan tiene un ciclo: x → y → x');
+  });
+
+  test('valida los parámetros de las descargas', () => {
+    const download = (item) => plan([{ id: 'download', action: 'download', params: { downloads: [item] } }]);
+
+    expect(download({ url: 'https://example.com/a.pdf', directory: 'informes/2024', filename: 'a.pdf', extra: 1 }).steps[0].params).toEqual({
+      downloads: [{ url: 'https://example.com/a.pdf', directory: 'informes/2024', filename: 'a.pdf' }],
+      waitForCompletion: true
+    });
+    expect(() => download({ url: 'file:///etc/passwd' })).toThrow('solo se descargan URLs http o https');
+    expect(() => download({ url: 'https://example.com/', directory: '/etc' })).toThrow('el directorio debe ser relativo');
+    expect(() => download({ url: 'https://example.com/', directory: 'C:\\Windows' })).toThrow('el directorio debe ser relativo');
+    expect(() => download({ url: 'https://example.com/', directory: 'informes/../../..' })).toThrow('el directorio debe ser relativo');
+    expect(() => download({ url: 'https://example.com/', filename: '../.bashrc' })).toThrow('nombre de archivo inválido');
+    expect(() => plan([{ id: 'download', action: 'download', params: {} }])).toThrow('entre 1 y 50 elementos');
+  });
+});
+
+describe('executePlan', () => {
+  test('ejecuta las ramas independientes en paralelo y pasa las entradas por ruta', async () => {
+    let running = 0;
+    let peak = 0;
+    const seen = {};
+    const run = await executePlan(diamond(), async (step, inputs) => {
+      seen[step.id] = inputs;
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return { data: { value: step.id } };
+    });
+
+    expect(run.status).toBe('completed');
+    expect(peak).toBe(2);
+    expect(seen.synthesize).toEqual({ first: 'a', second: { data: { value: 'b' } } });
+  });
+
+  test('un paso fallido omite a su descendencia y la otra rama termina', async () => {
+    const run = await executePlan(diamond(), async (step) => {
+      if (step.id === 'a') throw new Error('falla');
+      return {};
+    });
+    expect(run.status).toBe('failed');
+    expect(Object.fromEntries(run.steps.map(state => [state.id, state.status]))).toEqual({
+      initialize: 'succeeded', a: 'failed', b: 'succeeded', synthesize: 'skipped'
+    });
+  });
+
+  test('reutiliza resultados conocidos sin volver a ejecutar esos pasos', async () => {
+    const executed = [];
+    const run = await executePlan(diamond(), async (step) => {
+      executed.push(step.id);
+      return { data: { value: 'nuevo' } };
+    }, { reuse: { initialize: {}, b: 'guardado' } });
+    expect(executed.sort()).toEqual(['a', 'synthesize']);
+    expect(run.outputs.b).toBe('guardado');
+  });
+
+  test('el intento que agota su tiempo se aborta y se espera antes del reintento', async () => {
+    const log = [];
+    const validated = plan([{ id: 'slow', action: 'plan', timeoutMs: 20, retries: 1 }]);
+    const run = await executePlan(validated, (step, inputs, { attempt, signal }) => new Promise((resolve, reject) => {
+      log.push(`intento ${attempt}`);
+      if (attempt === 2) {
+        resolve('ok');
+        return;
+      }
+      signal.addEventListener('abort', () => {
+        log.push('abortado');
+        reject(signal.reason);
+      }, { once: true });
+    }));
+
+    expect(log).toEqual(['intento 1', 'abortado', 'intento 2']);
+    expect(run.steps[0]).toMatchObject({ status: 'succeeded', attempts: 2, result: 'ok', timedOut: false });
+  });
+
+  test('cancelar el plan aborta los pasos en curso y cancela los pendientes', async () => {
+    const controller = new AbortController();
+    const aborted = [];
+    const pending = executePlan(diamond(), (step, inputs, { signal }) => new Promise((resolve, reject) => {
+      if (step.id === 'initialize') {
+        resolve({});
+        return;
+      }
+      signal.addEventListener('abort', () => {
+        aborted.push(step.id);
+        reject(signal.reason);
+      }, { once: true });
+    }), { signal: controller.signal });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    controller.abort();
+    const run = await pending;
+    expect(run.status).toBe('cancelled');
+    expect(aborted.sort()).toEqual(['a', 'b']);
+    expect(run.steps.find(state => state.id === 'a')).toMatchObject({ status: 'cancelled', error: 'Plan cancelado' });
+    expect(run.steps.find(state => state.id === 'synthesize').status).toBe('cancelled');
+  });
+});
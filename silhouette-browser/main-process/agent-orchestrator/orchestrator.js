@@ -4,6 +4,20 @@
 // =============================================================================
 
 import { SilhouetteAgent } from '../agent-orchestrator/silhouette-agent.js';
+import { validatePlan, executePlan, descendantsOf } from './coordination-plan.js';
+import { isTruncated } from '../agent-traces/agent-trace-store.js';
+
+// Equipos que necesita cada tipo de tarea; el primero es el equipo primario
+const TASK_TEAMS = {
+  web_navigation: ['browser', 'automation'],
+  download: ['browser', 'automation'],
+  content_creation: ['design_creative', 'content_generation'],
+  data_analysis: ['artificial_intelligence', 'research'],
+  business_intelligence: ['business_development', 'analytics']
+};
+
+// Equipos de infraestructura siempre activos
+const INFRASTRUCTURE_TEAMS = ['orchestrator', 'planner', 'monitor'];
 
 class AgentOrchestrator {
   constructor() {
@@ -11,6 +25,7 @@ class AgentOrchestrator {
     this.isInitialized = false;
     this.activeTeams = new Set();
     this.taskQueue = [];
+    this.traces = null; // AgentTraceStore del navegador
     this.performanceMetrics = {
       tasksCompleted: 0,
       averageResponseTime: 0,
@@ -46,6 +61,11 @@ class AgentOrchestrator {
     }
   }
 
+  connectBrowserCore(browserCore) {
+    this.traces = browserCore.agentTraces || null;
+    this.silhouetteAgent.connectBrowserCore(browserCore);
+  }
+
   // =============================================================================
   // COMUNICACIÓN ENTRE EQUIPOS
   // =============================================================================
@@ -166,61 +186,97 @@ class AgentOrchestrator {
   // GESTIÓN DE TAREAS
   // =============================================================================
   
-  async executeTask(task) {
+  // Con task.plan (por ejemplo, uno devuelto por createPlan y editado) se
+  // ejecuta ese plan en lugar de generar uno nuevo. Cada ejecución queda
+  // grabada como traza; reuse y rerunOf los usa rerunTrace
+  // signal cancela la tarea: los pasos en curso se abortan y la traza queda cancelada
+  async executeTask(task, { reuse = {}, rerunOf = null, signal = null } = {}) {
     const taskStart = Date.now();
+    task = { ...task, id: task.id ?? task.plan?.taskId };
+    const { plan: givenPlan, ...taskInput } = task;
+    const traceId = this.traces?.startTrace({
+      kind: 'orchestrator',
+      title: task.description || task.type || `Tarea ${task.id ?? ''}`.trim(),
+      input: { task: taskInput },
+      rerunOf
+    }) ?? null;
     
     try {
       console.log(`🎯 Ejecutando tarea: ${task.id}`);
       
-      // Identificar equipos necesarios
-      const requiredTeams = this.identifyRequiredTeams(task);
-      
-      // Asignar equipos a la tarea
-      const taskAssignment = this.assignTeams(requiredTeams, task);
-      
-      // Ejecutar coordinación de equipos
-      const result = await this.coordinateTeams(taskAssignment);
+      let result;
+      if (givenPlan) {
+        result = await this.executeCoordinationPlan(validatePlan(givenPlan), { reuse, traceId, signal });
+      } else {
+        // Identificar equipos necesarios
+        const requiredTeams = this.identifyRequiredTeams(task);
+        
+        // Asignar equipos a la tarea
+        const taskAssignment = this.assignTeams(requiredTeams, task);
+        this.traces?.update(traceId, { teams: taskAssignment });
+        
+        // Ejecutar coordinación de equipos
+        result = await this.coordinateTeams(taskAssignment, task, traceId, { signal });
+      }
       
       // Registrar resultado
-      this.recordTaskCompletion(task, result, taskStart);
+      await this.recordTaskCompletion(task, result, taskStart, traceId);
       
-      return result;
+      return { ...result, traceId };
       
     } catch (error) {
       console.error(`❌ Error ejecutando tarea ${task.id}:`, error);
-      this.recordTaskError(task, error, taskStart);
-      throw error;
+      await this.recordTaskError(task, error, taskStart, traceId);
+      throw Object.assign(error, { traceId });
     }
   }
 
-  identifyRequiredTeams(task) {
-    const requiredTeams = new Set();
-    
-    // Análisis de requisitos basado en el tipo de tarea
-    if (task.type === 'web_navigation') {
-      requiredTeams.add('browser');
-      requiredTeams.add('automation');
+  // Vuelve a ejecutar el plan de una traza. Con fromStepId, los pasos que no
+  // dependen de él y terminaron bien reutilizan su salida grabada; ese paso y
+  // todos los que dependen de él (y los que fallaron) se ejecutan de nuevo
+  async rerunTrace(traceId, fromStepId = null) {
+    const trace = await this.traces?.getTrace(traceId);
+    if (!trace || trace.kind !== 'orchestrator') {
+      throw new Error(`Traza de orquestador no encontrada: ${traceId}`);
     }
-    
-    if (task.type === 'content_creation') {
-      requiredTeams.add('design_creative');
-      requiredTeams.add('content_generation');
+    if (!trace.plan) {
+      throw new Error('La traza no llegó a tener plan: no se puede relanzar');
     }
-    
-    if (task.type === 'data_analysis') {
-      requiredTeams.add('artificial_intelligence');
-      requiredTeams.add('research');
+
+    const plan = validatePlan(trace.plan);
+    const reuse = {};
+    if (fromStepId) {
+      if (!plan.steps.some(step => step.id === fromStepId)) {
+        throw new Error(`Paso desconocido en el plan: ${fromStepId}`);
+      }
+      const rerun = descendantsOf(plan, fromStepId).add(fromStepId);
+      for (const step of trace.steps) {
+        if (rerun.has(step.id) || step.status !== 'succeeded') continue;
+        if (isTruncated(step.output)) {
+          throw new Error(`La salida del paso ${step.id} no se guardó completa: relanza la traza desde el principio`);
+        }
+        reuse[step.id] = step.output;
+      }
     }
+
+    return await this.executeTask({ ...trace.input.task, plan }, { reuse, rerunOf: { traceId, fromStep: fromStepId } });
+  }
+
+  // Plan que se ejecutaría para la tarea, sin ejecutarlo
+  createPlan(task) {
+    const assignment = this.assignTeams(this.identifyRequiredTeams(task), task);
+    return this.createCoordinationPlan(assignment, task);
+  }
+
+  identifyRequiredTeams(task) {
+    const requiredTeams = new Set(TASK_TEAMS[task.type] || []);
     
-    if (task.type === 'business_intelligence') {
-      requiredTeams.add('business_development');
-      requiredTeams.add('analytics');
+    // Las descargas pedidas por cualquier tarea necesitan el navegador
+    if (task.downloads) {
+      TASK_TEAMS.download.forEach(team => requiredTeams.add(team));
     }
     
-    // Equipos de infraestructura siempre activos
-    requiredTeams.add('orchestrator');
-    requiredTeams.add('planner');
-    requiredTeams.add('monitor');
+    INFRASTRUCTURE_TEAMS.forEach(team => requiredTeams.add(team));
     
     return Array.from(requiredTeams);
   }
@@ -233,14 +289,7 @@ class AgentOrchestrator {
     };
     
     // Seleccionar equipo primario basado en tipo de tarea
-    const teamPriorities = {
-      'web_navigation': 'browser',
-      'content_creation': 'design_creative',
-      'data_analysis': 'artificial_intelligence',
-      'business_intelligence': 'business_development'
-    };
-    
-    assignment.primary = teamPriorities[task.type] || 'orchestrator';
+    assignment.primary = TASK_TEAMS[task.type]?.[0] || 'orchestrator';
     
     // Asignar equipos de apoyo
     assignment.supporting = requiredTeams.filter(team => 
@@ -250,70 +299,172 @@ class AgentOrchestrator {
     return assignment;
   }
 
-  async coordinateTeams(assignment) {
+  async coordinateTeams(assignment, task = {}, traceId = null, { signal = null } = {}) {
     const { primary, supporting, supervisor } = assignment;
     
     console.log(`🤝 Coordinando equipos: ${primary} (primario), ${supporting.join(', ')} (apoyo)`);
     
     // Crear plan de coordinación
-    const coordinationPlan = this.createCoordinationPlan(assignment);
+    const coordinationPlan = this.createCoordinationPlan(assignment, task);
     
     // Ejecutar coordinación
-    const result = await this.executeCoordinationPlan(coordinationPlan);
+    const result = await this.executeCoordinationPlan(coordinationPlan, { traceId, signal });
     
     return result;
   }
 
-  createCoordinationPlan(assignment) {
-    return {
-      sequence: [
-        { step: 'initialize', team: 'orchestrator' },
-        { step: 'plan', team: 'planner' },
-        { step: 'execute_primary', team: assignment.primary },
-        { step: 'coordinate_supporting', teams: assignment.supporting },
-        { step: 'synthesize', team: 'orchestrator' },
-        { step: 'deliver', team: 'orchestrator' }
-      ],
-      timeline: Date.now() + 30000, // 30 segundos máximo
-      timeout: 30000
-    };
+  // Grafo: el plan espera a la inicialización; el equipo primario trabaja con
+  // el plan y cada equipo de apoyo, en paralelo, con el resultado del primario.
+  // Las descargas van en una rama propia desde la inicialización
+  createCoordinationPlan(assignment, task = {}) {
+    const timeout = task.timeout || 30000; // 30 segundos por defecto
+    const steps = [
+      { id: 'initialize', action: 'initialize', team: 'orchestrator' },
+      { id: 'plan', action: 'plan', team: 'planner', dependsOn: ['initialize'] },
+      { id: 'execute_primary', action: 'execute_primary', team: assignment.primary, inputs: { plan: 'plan' } }
+    ];
+
+    const supportingIds = [];
+    for (const team of assignment.supporting.filter(team => team !== 'planner')) {
+      const id = `support_${team}`;
+      supportingIds.push(id);
+      steps.push({
+        id,
+        action: 'coordinate_supporting',
+        team,
+        teams: [team],
+        inputs: { plan: 'plan', primary: 'execute_primary.data' }
+      });
+    }
+
+    // Descargas pedidas por la tarea: se inician y, por defecto, se esperan
+    const branches = ['execute_primary', ...supportingIds];
+    if (task.downloads && task.downloads.length > 0) {
+      steps.push({
+        id: 'download',
+        action: 'download',
+        team: 'browser',
+        dependsOn: ['initialize'],
+        params: {
+          downloads: task.downloads,
+          waitForCompletion: task.waitForDownloads !== false
+        },
+        timeoutMs: timeout
+      });
+      branches.push('download');
+    }
+
+    steps.push(
+      {
+        id: 'synthesize',
+        action: 'synthesize',
+        team: 'orchestrator',
+        inputs: Object.fromEntries(branches.map(id => [id, id]))
+      },
+      { id: 'deliver', action: 'deliver', team: 'orchestrator', inputs: { synthesis: 'synthesize' } }
+    );
+
+    return validatePlan({
+      taskId: task.id ?? null,
+      task: { ...task },
+      timeoutMs: timeout,
+      defaults: {
+        stepTimeoutMs: task.stepTimeout || timeout,
+        retries: task.stepRetries ?? 0,
+        retryDelayMs: task.stepRetryDelay ?? 500
+      },
+      steps
+    });
   }
 
-  async executeCoordinationPlan(plan) {
-    const results = [];
+  // El tiempo límite del plan cancela los pasos en curso y los pendientes
+  async executeCoordinationPlan(plan, { reuse = {}, traceId = null, signal = null } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), plan.timeoutMs);
+    const planSignal = signal ? AbortSignal.any([controller.signal, signal]) : controller.signal;
+    const recordStep = (state, inputs) => this.traces?.recordStep(traceId, traceStep(state, inputs));
     
-    for (const step of plan.sequence) {
-      try {
-        const stepResult = await this.executeStep(step);
-        results.push({ step: step.step, result: stepResult });
-        
-        // Verificar timeout
-        if (Date.now() > plan.timeline) {
-          throw new Error('Plan de coordinación excedió tiempo límite');
-        }
-        
-      } catch (error) {
-        console.error(`Error en paso ${step.step}:`, error);
-        throw error;
-      }
+    // La traza lista todos los pasos desde el principio, en el orden del plan
+    this.traces?.update(traceId, { plan });
+    for (const step of plan.steps) {
+      const reused = Object.hasOwn(reuse, step.id);
+      recordStep({
+        id: step.id,
+        action: step.action,
+        team: step.team || null,
+        status: reused ? 'succeeded' : 'pending',
+        attempts: 0,
+        reused,
+        result: reuse[step.id]
+      });
+    }
+    
+    let run;
+    try {
+      run = await executePlan(plan, (step, inputs, { signal }) => this.executeStep(step, inputs, plan, { signal }), {
+        signal: planSignal,
+        reuse,
+        onStep: recordStep
+      });
+    } finally {
+      clearTimeout(timer);
     }
     
-    return this.synthesizeResults(results);
+    // Pasos omitidos o cancelados: nunca llegaron a empezar
+    run.steps.filter(state => !state.reused && !state.startedAt).forEach(state => recordStep(state));
+    
+    if (run.status === 'cancelled' && signal?.aborted) {
+      throw Object.assign(new Error('Tarea cancelada'), { plan, run, code: 'ABORT_ERR' });
+    }
+    if (run.status === 'cancelled') {
+      throw Object.assign(new Error('Plan de coordinación excedió tiempo límite'), { plan, run });
+    }
+    if (!run.success) {
+      const failed = run.steps.find(step => step.status === 'failed');
+      console.error(`Error en paso ${failed.id}:`, failed.error);
+      throw Object.assign(new Error(`Paso ${failed.id} fallido: ${failed.error}`), { plan, run });
+    }
+    
+    const results = run.steps.map(step => ({ step: step.id, result: step.result }));
+    return {
+      ...this.synthesizeResults(results),
+      plan,
+      steps: run.steps.map(({ result, ...step }) => step)
+    };
   }
 
-  async executeStep(step) {
-    switch (step.step) {
+  async executeStep(step, inputs = {}, plan = null, { signal = null } = {}) {
+    // Los pasos de síntesis y entrega reciben los resultados de sus entradas
+    const results = Object.entries(inputs).map(([name, result]) => ({ step: name, result }));
+    
+    switch (step.action) {
       case 'initialize':
         return this.silhouetteAgent.activate();
         
       case 'plan':
-        return this.silhouetteAgent.createPlan(step);
+        return this.silhouetteAgent.createPlan({ ...step, task: plan?.task });
         
       case 'execute_primary':
-        return this.silhouetteAgent.executePrimaryTask(step);
+        return this.silhouetteAgent.executePrimaryTask({ ...step, inputs });
         
       case 'coordinate_supporting':
-        return this.silhouetteAgent.executeSupportingTasks(step);
+        return this.silhouetteAgent.executeSupportingTasks({ ...step, inputs });
+        
+      case 'download': {
+        const { downloads, waitForCompletion } = step.params;
+        const downloadResult = await this.silhouetteAgent.manageDownloads({
+          action: 'start',
+          downloads,
+          waitForCompletion,
+          timeout: step.timeoutMs,
+          signal
+        });
+        if (!downloadResult.success && waitForCompletion) {
+          const failed = (downloadResult.data?.downloads || []).filter(record => record.state !== 'completed');
+          throw new Error(`Descargas fallidas: ${failed.map(record => record.filename || record.url).join(', ') || downloadResult.error}`);
+        }
+        return downloadResult;
+      }
         
       case 'synthesize':
         return this.silhouetteAgent.synthesizeResults(results);
@@ -322,7 +473,7 @@ class AgentOrchestrator {
         return this.silhouetteAgent.deliverResults(results);
         
       default:
-        throw new Error(`Paso desconocido: ${step.step}`);
+        throw new Error(`Paso desconocido: ${step.action}`);
     }
   }
 
@@ -337,9 +488,13 @@ class AgentOrchestrator {
       }
     };
     
+    // Las listas de pasos paralelos del mismo tipo (equipos de apoyo) se acumulan
     results.forEach(result => {
       if (result.result && result.result.data) {
-        Object.assign(synthesized.data, result.result.data);
+        for (const [key, value] of Object.entries(result.result.data)) {
+          const previous = synthesized.data[key];
+          synthesized.data[key] = Array.isArray(previous) && Array.isArray(value) ? [...previous, ...value] : value;
+        }
       }
     });
     
@@ -350,17 +505,20 @@ class AgentOrchestrator {
   // REGISTRO DE MÉTRICAS
   // =============================================================================
   
-  recordTaskCompletion(task, result, startTime) {
+  async recordTaskCompletion(task, result, startTime, traceId = null) {
     const duration = Date.now() - startTime;
     
     this.performanceMetrics.tasksCompleted++;
     this.performanceMetrics.averageResponseTime = 
       (this.performanceMetrics.averageResponseTime + duration) / 2;
     
+    const { plan, steps, ...summary } = result;
+    await this.traces?.finishTrace(traceId, { status: 'completed', result: summary });
+    
     console.log(`✅ Tarea ${task.id} completada en ${duration}ms`);
   }
 
-  recordTaskError(task, error, startTime) {
+  async recordTaskError(task, error, startTime, traceId = null) {
     const duration = Date.now() - startTime;
     
     this.performanceMetrics.errorCount++;
@@ -370,6 +528,11 @@ class AgentOrchestrator {
       duration
     };
     
+    await this.traces?.finishTrace(traceId, {
+      status: error.code === 'ABORT_ERR' ? 'cancelled' : error.run?.status === 'cancelled' ? 'timeout' : 'failed',
+      error: error.message
+    });
+    
     console.error(`❌ Tarea ${task.id} falló después de ${duration}ms:`, error);
   }
 
@@ -411,4 +574,23 @@ class AgentOrchestrator {
   }
 }
 
+// Paso del plan tal como se guarda en la traza
+function traceStep(state, inputs) {
+  return {
+    id: state.id,
+    action: state.action,
+    team: state.team,
+    status: state.status,
+    attempts: state.attempts,
+    startedAt: state.startedAt,
+    finishedAt: state.finishedAt,
+    duration: state.startedAt && state.finishedAt ? state.finishedAt - state.startedAt : null,
+    timedOut: state.timedOut,
+    error: state.error,
+    ...(state.reused ? { reused: true } : {}),
+    ...(inputs !== undefined ? { inputs } : {}),
+    ...(state.status === 'succeeded' ? { output: state.result } : {})
+  };
+}
+
 export { AgentOrchestrator };
@@ -7,6 +7,10 @@ import { BrowserWindow, ipcMain } from 'electron';
 import { exec } from 'child_process';
 import * as fs from 'fs/promises';
 import * as path from 'path';
+import { createLLMProvider, resolveLLMConfig, requestStructured } from '../llm-providers/llm-providers.js';
+
+const TASK_DOMAINS = ['business', 'technology', 'design', 'marketing', 'operations'];
+const TASK_PRIORITIES = ['low', 'normal', 'high', 'critical'];
 
 class SilhouetteAgent {
   constructor() {
@@ -17,6 +21,18 @@ class SilhouetteAgent {
     this.taskQueue = [];
     this.activeTasks = new Map();
     this.learningData = new Map();
+    this.browserCore = null;
+    this.llm = null;
+  }
+
+  // Acceso a los subsistemas reales del navegador (descargas, pestañas...)
+  connectBrowserCore(browserCore) {
+    this.browserCore = browserCore;
+  }
+
+  // Sin proveedor el análisis de tareas usa solo heurísticas
+  setLLMProvider(provider) {
+    this.llm = provider;
   }
 
   // =============================================================================
@@ -513,11 +529,89 @@ class SilhouetteAgent {
     // Personalizar experiencia
   }
 
-  async manageDownloads() {
+  async manageDownloads(request = {}) {
     console.log('📥 Managing downloads...');
-    // Controlar descargas
-    // Antivirus integrado
-    // Organización automática
+
+    const downloads = this.browserCore?.downloads;
+    if (!downloads) {
+      console.warn('⚠️ Gestor de descargas no disponible');
+      return { success: false, error: 'Download manager not available' };
+    }
+
+    const { action = 'status' } = request;
+
+    switch (action) {
+      case 'start': {
+        // Iniciar una o varias descargas y, opcionalmente, esperar a que terminen
+        const items = request.downloads || [{ url: request.url, ...request.options }];
+
+        // Cada descarga del agente necesita la aprobación del usuario
+        const approvals = this.browserCore.agentApprovals;
+        for (const item of approvals ? items : []) {
+          const approval = await approvals.review({ kind: 'download', url: item.url }, { source: 'silhouette-agent' });
+          if (!approval.approved) {
+            return { success: false, error: `Descarga no aprobada (${approval.reason}): ${item.url}` };
+          }
+        }
+
+        const started = await Promise.all(items.map(item =>
+          this.browserCore.startDownload(item.url, { ...item, initiator: 'agent' })
+        ));
+
+        if (request.waitForCompletion === false) {
+          return { success: true, data: { downloads: started.map(entry => entry.download) } };
+        }
+
+        // Si el paso que las espera se aborta (tiempo agotado o plan cancelado) se cancelan
+        const cancelStarted = () => started.forEach(entry => downloads.cancel(entry.id));
+        if (request.signal?.aborted) cancelStarted();
+        request.signal?.addEventListener('abort', cancelStarted, { once: true });
+        let finished;
+        try {
+          finished = await Promise.all(started.map(entry =>
+            downloads.waitForDownload(entry.id, { timeout: request.timeout })
+          ));
+        } finally {
+          request.signal?.removeEventListener('abort', cancelStarted);
+        }
+        return {
+          success: finished.every(record => record.state === 'completed'),
+          data: { downloads: finished }
+        };
+      }
+
+      case 'await': {
+        const ids = request.ids || [request.id];
+        const finished = await Promise.all(ids.map(id => downloads.waitForDownload(id, { timeout: request.timeout })));
+        return {
+          success: finished.every(record => record.state === 'completed'),
+          data: { downloads: finished }
+        };
+      }
+
+      case 'pause':
+        return { success: downloads.pause(request.id) };
+
+      case 'resume':
+        return { success: await downloads.resume(request.id) };
+
+      case 'cancel':
+        return { success: downloads.cancel(request.id) };
+
+      case 'list':
+        return { success: true, data: { downloads: downloads.getDownloads(request.filter) } };
+
+      default:
+        // Estado general: descargas activas y fallidas que requieren atención
+        return {
+          success: true,
+          data: {
+            stats: downloads.getStats(),
+            needsAttention: downloads.getDownloads()
+              .filter(record => record.state === 'interrupted' || record.state === 'checksum_failed')
+          }
+        };
+    }
   }
 
   async manageHistory() {
@@ -527,11 +621,63 @@ class SilhouetteAgent {
     // Búsqueda inteligente
   }
 
-  async manageCookies() {
+  async manageCookies(request = {}) {
     console.log('🍪 Managing cookies...');
-    // Control de privacidad
-    // Sincronización de sesiones
-    // Limpieza selectiva
+
+    const cookies = this.browserCore?.cookies;
+    const siteSettings = this.browserCore?.siteSettings;
+    if (!cookies || !siteSettings) {
+      console.warn('⚠️ Gestor de cookies no disponible');
+      return { success: false, error: 'Cookie manager not available' };
+    }
+
+    const { action = 'status' } = request;
+    // Sesión de la pestaña o del contenedor indicados; sin ellos, la por defecto
+    const scope = { tabId: request.tabId || null, containerId: request.containerId || null };
+
+    switch (action) {
+      case 'list':
+        return { success: true, data: { cookies: await cookies.getCookies(request.origin, scope) } };
+
+      case 'set':
+        return { success: true, data: { cookie: await cookies.setCookie(request.cookie, scope) } };
+
+      case 'remove':
+        return { success: await cookies.removeCookie(request.cookie, scope) };
+
+      case 'clear': {
+        // Limpieza selectiva: uno o varios sitios concretos
+        const origins = request.origins || [request.origin];
+        let removed = 0;
+        for (const origin of origins) {
+          removed += await cookies.clearSite(origin, scope);
+        }
+        return { success: true, data: { removed } };
+      }
+
+      case 'getPermissions':
+        return { success: true, data: siteSettings.getSitePermissions(request.origin) };
+
+      case 'setPermission':
+        return {
+          success: true,
+          data: siteSettings.setPermission(request.origin, request.permission, request.value)
+        };
+
+      case 'resetPermissions':
+        return { success: siteSettings.resetSite(request.origin, request.permission) };
+
+      default:
+        // Estado general: sitios con cookies y sitios con permisos personalizados
+        return {
+          success: true,
+          data: {
+            cookieSites: await cookies.listSites(scope),
+            permissionSites: siteSettings.listSites(),
+            defaults: siteSettings.getDefaults()
+          }
+        };
+    }
   }
 
   // =============================================================================
@@ -583,19 +729,123 @@ class SilhouetteAgent {
   }
 
   async analyzeTask(task) {
-    // Análisis inteligente de la tarea
+    // Análisis heurístico: respuesta final sin LLM y valores de respaldo con él
     const complexity = this.assessComplexity(task);
     const domain = this.identifyDomain(task);
     const requiredSkills = this.identifyRequiredSkills(task);
     const timeEstimate = this.estimateTime(task);
     
-    return {
+    const heuristic = {
       complexity,
       domain,
       requiredSkills,
       timeEstimate,
-      priority: this.calculatePriority(task)
+      priority: this.calculatePriority(task),
+      source: 'heuristic'
+    };
+
+    if (!this.llm) {
+      return heuristic;
+    }
+
+    try {
+      const analysis = await requestStructured(this.llm, {
+        purpose: 'analyze-task',
+        system: 'Analizas tareas para asignarlas a equipos especializados. Responde solo con la herramienta indicada.',
+        prompt: JSON.stringify({ description: task.description || '', type: task.type || null, priority: task.priority || null }),
+        tool: this.taskAnalysisTool()
+      });
+      return this.normalizeAnalysis(analysis, heuristic);
+    } catch (error) {
+      console.warn('⚠️ Análisis de tarea con LLM fallido, usando heurísticas:', error.message);
+      return heuristic;
+    }
+  }
+
+  taskAnalysisTool() {
+    return {
+      name: 'report_task_analysis',
+      description: 'Informa del análisis de la tarea',
+      parameters: {
+        type: 'object',
+        properties: {
+          complexity: { type: 'number', minimum: 0, maximum: 1, description: '0 trivial, 1 muy compleja' },
+          domain: { type: 'string', enum: TASK_DOMAINS },
+          requiredSkills: { type: 'array', items: { type: 'string', enum: this.allSpecialists() } },
+          timeEstimate: { type: 'integer', description: 'Duración estimada en milisegundos' },
+          priority: { type: 'string', enum: TASK_PRIORITIES }
+        },
+        required: ['complexity', 'domain', 'requiredSkills']
+      }
+    };
+  }
+
+  // Lo que el modelo devuelve fuera de rango o de las listas conocidas se
+  // sustituye por el valor heurístico
+  normalizeAnalysis(analysis, heuristic) {
+    const specialists = new Set(this.allSpecialists());
+    const complexity = Number(analysis.complexity);
+    const timeEstimate = Math.floor(Number(analysis.timeEstimate));
+    const requiredSkills = Array.isArray(analysis.requiredSkills)
+      ? analysis.requiredSkills.filter(skill => specialists.has(skill))
+      : [];
+
+    return {
+      complexity: Number.isFinite(complexity) ? Math.min(1, Math.max(0, complexity)) : heuristic.complexity,
+      domain: TASK_DOMAINS.includes(analysis.domain) ? analysis.domain : heuristic.domain,
+      requiredSkills: requiredSkills.length > 0 ? requiredSkills : heuristic.requiredSkills,
+      timeEstimate: timeEstimate > 0 ? timeEstimate : heuristic.timeEstimate,
+      priority: TASK_PRIORITIES.includes(analysis.priority) ? analysis.priority : heuristic.priority,
+      source: this.llm.name
+    };
+  }
+
+  assessComplexity(task) {
+    const description = String(task.description || '');
+    const words = description.split(/\s+/).filter(Boolean).length;
+    const clauses = (description.match(/,|;| y | and | luego | then /gi) || []).length;
+    return Math.min(1, 0.2 + words / 100 + clauses * 0.1);
+  }
+
+  identifyDomain(task) {
+    const text = `${task.type || ''} ${task.description || ''}`.toLowerCase();
+    const keywords = {
+      business: ['negocio', 'business', 'estrategia', 'strategy', 'finanz', 'financ', 'ventas', 'sales'],
+      technology: ['código', 'code', 'software', 'api', 'bug', 'test', 'deploy', 'datos', 'data'],
+      design: ['diseño', 'design', 'ui', 'ux', 'interfaz', 'logo'],
+      marketing: ['marketing', 'campaña', 'campaign', 'marca', 'brand', 'seo', 'redes sociales'],
+      operations: ['operaciones', 'operations', 'logística', 'logistics', 'inventario', 'supply']
     };
+    const scores = TASK_DOMAINS.map(domain => ({
+      domain,
+      score: keywords[domain].filter(keyword => text.includes(keyword)).length
+    }));
+    const best = scores.sort((a, b) => b.score - a.score)[0];
+    return best.score > 0 ? best.domain : 'technology';
+  }
+
+  // Especialistas cuyo nombre (market_analysis -> "market", "analysis") aparece en la tarea
+  identifyRequiredSkills(task) {
+    const text = String(task.description || '').toLowerCase();
+    return this.allSpecialists().filter(skill =>
+      skill.split('_').some(word => word.length > 3 && text.includes(word))
+    );
+  }
+
+  estimateTime(task) {
+    return Math.round(5000 + this.assessComplexity(task) * 55000);
+  }
+
+  calculatePriority(task) {
+    return TASK_PRIORITIES.includes(task.priority) ? task.priority : 'normal';
+  }
+
+  allSpecialists() {
+    return Array.from(new Set(Object.values(this.teams).flatMap(team => team.specialists)));
+  }
+
+  checkAvailability(team) {
+    return team.active;
   }
 
   selectRelevantTeams(taskAnalysis) {
@@ -786,6 +1036,10 @@ class SilhouetteAgent {
   
   async initialize() {
     this.isActive = true;
+    this.llm = this.llm || createLLMProvider(resolveLLMConfig());
+    if (this.llm) {
+      console.log(`🧠 Proveedor de LLM: ${this.llm.name} (${this.llm.model})`);
+    }
     console.log('🤖 Silhouette Agent inicializado');
     return true;
   }
@@ -801,10 +1055,22 @@ class SilhouetteAgent {
   }
 
   async createPlan(step) {
+    // Con la tarea del plan de coordinación se analiza y se eligen equipos
+    if (!step.task?.description) {
+      return {
+        success: true,
+        plan: `Plan creado para el paso: ${step.step || 'unknown'}`,
+        estimatedTime: 5000
+      };
+    }
+
+    const analysis = await this.analyzeTask(step.task);
     return {
       success: true,
-      plan: `Plan creado para el paso: ${step.step || 'unknown'}`,
-      estimatedTime: 5000
+      plan: `Plan creado para: ${step.task.description}`,
+      analysis,
+      teams: this.selectRelevantTeams(analysis).map(team => team.name),
+      estimatedTime: analysis.timeEstimate
     };
   }
 
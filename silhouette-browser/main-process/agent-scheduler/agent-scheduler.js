@@ -0,0 +1,660 @@
+// =============================================================================
+// AGENT SCHEDULER - TAREAS DE AGENTES PROGRAMADAS Y DISPARADAS
+// Tareas guardadas que se ejecutan según una expresión cron o cuando ocurre
+// algo: una página cambia, llega un push de GitHub, cambia un archivo de un
+// proyecto del Live Server o falla un test. Cada tarea guarda su historial de
+// ejecuciones, su política para las ejecuciones perdidas (la aplicación estaba
+// cerrada o el equipo dormía) y se puede pausar. Qué hace cada tarea lo decide
+// el ejecutor que se registra con setExecutor (ver task-actions.js)
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { randomUUID, createHash } from 'crypto';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { parseCron, nextRun } from './cron.js';
+
+const SCHEDULER_VERSION = 1;
+const ACTION_TYPES = ['orchestrator', 'omnipotent', 'navigation', 'check-pages'];
+const TRIGGER_TYPES = ['page-change', 'github-push', 'file-change', 'test-failure'];
+const MISSED_RUN_POLICIES = ['skip', 'run-once', 'run-all'];
+
+const TICK_MS = 20000;
+const MISSED_GRACE_MS = 2 * 60 * 1000;   // un retraso menor no cuenta como ejecución perdida
+const MAX_CATCH_UP_RUNS = 5;             // 'run-all' recupera como mucho estas
+const MAX_MISSED_LOOKUP = 1000;
+const MAX_HISTORY = 50;
+const MAX_TRIGGERS = 10;
+const MAX_PAGES = 20;
+const MAX_CONCURRENT_RUNS = 2;
+const DEFAULT_RUN_TIMEOUT_MS = 10 * 60 * 1000;
+const MIN_PAGE_INTERVAL_MINUTES = 5;
+const PAGE_FETCH_TIMEOUT_MS = 20000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const FILE_CHANGE_DEBOUNCE_MS = 2000;   // los editores guardan en ráfagas
+const MAX_SUMMARY_CHARS = 4000;
+
+class AgentScheduler extends EventEmitter {
+  // checkUrl(url) => { safe, reason } filtra las páginas que se vigilan;
+  // fetchPage(url, signal) => texto permite sustituir la descarga
+  constructor(options = {}) {
+    super();
+    this.store = new PersistentStore('scheduled-tasks', { baseDir: options.baseDir, subdirectory: 'agent-scheduler' });
+    this.checkUrl = options.checkUrl || null;
+    this.fetchPage = options.fetchPage || fetchPageText;
+    this.executor = null;
+    this.tasks = new Map();      // taskId -> tarea
+    this.running = new Map();    // taskId -> { run, controller }
+    this.queue = [];             // { taskId, trigger }
+    this.pageChecks = new Set(); // disparadores de página en comprobación
+    this.fileChanges = new Map(); // taskId:triggerId -> { files, timer }
+    this.recentTests = [];
+    this.sources = [];           // [emisor, evento, manejador] para desconectar
+    this.timer = null;
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ tasks: [] });
+    for (const task of saved.tasks || []) {
+      if (!task?.id) continue;
+      this.tasks.set(task.id, task);
+    }
+
+    // Lo perdido mientras la aplicación estaba cerrada se decide en la primera vuelta
+    this.tick();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref?.();
+
+    console.log(`✅ Tareas programadas cargadas: ${this.tasks.size}`);
+  }
+
+  // executor(task, { trigger, signal, state }) ejecuta la acción de la tarea y
+  // devuelve { success, summary, traceId, state }; state se guarda para la
+  // siguiente ejecución (por ejemplo, el texto de las páginas revisadas)
+  setExecutor(executor) {
+    this.executor = executor;
+  }
+
+  // =============================================================================
+  // GESTIÓN DE TAREAS
+  // =============================================================================
+
+  createTask(definition) {
+    const now = Date.now();
+    const task = {
+      id: `sched-${randomUUID()}`,
+      ...normalizeDefinition(definition),
+      state: null,
+      history: [],
+      lastRunAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    task.nextRunAt = task.enabled && task.schedule ? nextRun(task.schedule.cron, now) : null;
+
+    this.tasks.set(task.id, task);
+    this.changed('created', task);
+    return summarize(task);
+  }
+
+  updateTask(taskId, changes = {}) {
+    const task = this.requireTask(taskId);
+    const definition = normalizeDefinition({ ...definitionOf(task), ...changes });
+
+    // Un disparador de página que no cambia de URL conserva la última versión vista
+    definition.triggers = definition.triggers.map(trigger => {
+      const previous = task.triggers.find(existing => existing.id === trigger.id && existing.url === trigger.url);
+      return previous?.state ? { ...trigger, state: previous.state } : trigger;
+    });
+
+    const scheduleChanged = definition.schedule?.cron !== task.schedule?.cron || definition.enabled !== task.enabled;
+    Object.assign(task, definition, { updatedAt: Date.now() });
+    if (scheduleChanged) {
+      task.nextRunAt = task.enabled && task.schedule ? nextRun(task.schedule.cron) : null;
+    }
+
+    this.changed('updated', task);
+    return summarize(task);
+  }
+
+  deleteTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) return false;
+
+    this.running.get(taskId)?.controller.abort();
+    this.queue = this.queue.filter(entry => entry.taskId !== taskId);
+    this.tasks.delete(taskId);
+    this.changed('deleted', task);
+    return true;
+  }
+
+  // Una tarea pausada no se ejecuta ni recupera lo que se pierda mientras tanto
+  pauseTask(taskId) {
+    return this.updateTask(taskId, { enabled: false });
+  }
+
+  resumeTask(taskId) {
+    return this.updateTask(taskId, { enabled: true });
+  }
+
+  listTasks() {
+    return Array.from(this.tasks.values())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(summarize);
+  }
+
+  getTask(taskId) {
+    const task = this.tasks.get(taskId);
+    return task ? { ...summarize(task), history: task.history } : null;
+  }
+
+  requireTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Tarea programada no encontrada: ${taskId}`);
+    }
+    return task;
+  }
+
+  // =============================================================================
+  // PROGRAMACIÓN
+  // =============================================================================
+
+  tick(now = Date.now()) {
+    for (const task of this.tasks.values()) {
+      if (!task.enabled) continue;
+      if (task.schedule && task.nextRunAt && task.nextRunAt <= now) {
+        this.dispatchSchedule(task, now);
+      }
+      for (const trigger of task.triggers) {
+        if (trigger.type === 'page-change') this.checkPageTrigger(task, trigger, now);
+      }
+    }
+  }
+
+  // Las ocurrencias con más de MISSED_GRACE_MS de retraso se han perdido; la
+  // política de la tarea decide si se recuperan
+  dispatchSchedule(task, now) {
+    // Las recuperadas van a la cola antes que la actual, que no se omite por ellas
+    const busy = this.isBusy(task.id);
+    const due = [];
+    for (let at = task.nextRunAt; at <= now && due.length < MAX_MISSED_LOOKUP; at = nextRun(task.schedule.cron, at)) {
+      due.push(at);
+    }
+    const current = now - due[due.length - 1] <= MISSED_GRACE_MS ? due.pop() : null;
+    const missed = due;
+
+    if (missed.length > 0) {
+      const policy = task.missedRuns;
+      let recovered = [];
+      if (policy === 'run-all') {
+        recovered = missed.slice(-MAX_CATCH_UP_RUNS);
+      } else if (policy === 'run-once' && current === null) {
+        recovered = missed.slice(-1);
+      }
+      // 'run-once' junta todas las perdidas en una sola ejecución
+      const covered = policy === 'run-once' && recovered.length > 0 ? missed.length : recovered.length;
+      const lost = missed.length - covered;
+
+      if (lost > 0) {
+        this.recordRun(task, {
+          trigger: { type: 'schedule', scheduledFor: missed[0], missed: lost },
+          status: 'missed',
+          summary: `${lost} ejecuciones perdidas entre ${new Date(missed[0]).toLocaleString()} y ${new Date(missed[missed.length - 1]).toLocaleString()}`
+        });
+      }
+      for (const scheduledFor of recovered) {
+        this.enqueue(task, {
+          type: 'catch-up',
+          scheduledFor,
+          ...(policy === 'run-once' ? { missed: missed.length } : {})
+        });
+      }
+    }
+    if (current !== null) {
+      this.enqueue(task, { type: 'schedule', scheduledFor: current }, { force: !busy });
+    }
+
+    task.nextRunAt = nextRun(task.schedule.cron, now);
+    this.save();
+  }
+
+  // =============================================================================
+  // DISPARADORES
+  // =============================================================================
+
+  // Emisores de eventos de otros subsistemas; los que falten se ignoran
+  attachTriggerSources({ github = null, liveServer = null, testing = null } = {}) {
+    this.listen(github, 'pushReceived', (event) => this.handleGitHubPush(event));
+    this.listen(liveServer, 'file-changed', (event) => this.handleFileChange(event));
+    this.listen(testing, 'test-completed', (event) => this.handleTestCompleted(event));
+  }
+
+  listen(source, eventName, handler) {
+    if (!source?.on) return;
+    source.on(eventName, handler);
+    this.sources.push([source, eventName, handler]);
+  }
+
+  // Emitido por GitHubIntegration.handlePushWebhook
+  handleGitHubPush({ payload, branch }) {
+    const repository = String(payload?.repository?.full_name || '').toLowerCase();
+    this.fireTriggers('github-push', trigger =>
+      trigger.repository.toLowerCase() === repository && (!trigger.branch || trigger.branch === branch),
+    () => ({
+      repository: payload.repository.full_name,
+      branch,
+      commits: (payload.commits || []).length,
+      headCommit: payload.head_commit?.message?.split('\n')[0] || null,
+      pusher: payload.pusher?.name || null
+    }));
+  }
+
+  // Los cambios de un mismo proyecto se agrupan para lanzar una sola ejecución
+  handleFileChange({ projectId, relativePath }) {
+    for (const task of this.tasks.values()) {
+      if (!task.enabled) continue;
+      for (const trigger of task.triggers) {
+        if (trigger.type !== 'file-change') continue;
+        if (trigger.projectId && trigger.projectId !== projectId) continue;
+        if (trigger.pattern && !matchesPattern(trigger.pattern, relativePath)) continue;
+
+        const key = `${task.id}:${trigger.id}`;
+        const pending = this.fileChanges.get(key) || { files: new Set(), timer: null };
+        pending.files.add(relativePath);
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => {
+          this.fileChanges.delete(key);
+          this.enqueue(task, { type: 'file-change', triggerId: trigger.id, projectId, files: Array.from(pending.files).slice(0, 20) });
+        }, FILE_CHANGE_DEBOUNCE_MS);
+        this.fileChanges.set(key, pending);
+      }
+    }
+  }
+
+  // Solo los tests que fallan; el mismo test puede llegar dos veces (motor y proyecto)
+  handleTestCompleted({ testId, projectId = null, result }) {
+    if (result?.success !== false || this.recentTests.includes(testId)) return;
+    this.recentTests = [...this.recentTests.slice(-49), testId];
+
+    this.fireTriggers('test-failure', trigger => !trigger.projectId || trigger.projectId === projectId, () => ({
+      testId,
+      projectId,
+      errors: (result.errors || []).slice(0, 3).map(error => String(error?.message || error))
+    }));
+  }
+
+  fireTriggers(type, matches, details) {
+    for (const task of this.tasks.values()) {
+      if (!task.enabled) continue;
+      const trigger = task.triggers.find(candidate => candidate.type === type && matches(candidate));
+      if (trigger) {
+        this.enqueue(task, { type, triggerId: trigger.id, ...details() });
+      }
+    }
+  }
+
+  // La primera comprobación solo guarda la versión de referencia
+  async checkPageTrigger(task, trigger, now) {
+    const key = `${task.id}:${trigger.id}`;
+    if (this.pageChecks.has(key)) return;
+    if (trigger.state?.checkedAt && now - trigger.state.checkedAt < trigger.intervalMinutes * 60000) return;
+
+    this.pageChecks.add(key);
+    try {
+      if (this.checkUrl) {
+        const check = await this.checkUrl(trigger.url);
+        if (!check.safe) throw new Error(`Página bloqueada: ${check.reason}`);
+      }
+      const text = await this.fetchPage(trigger.url, AbortSignal.timeout(PAGE_FETCH_TIMEOUT_MS));
+      const hash = createHash('sha256').update(text).digest('hex');
+      const previous = trigger.state?.hash;
+      trigger.state = { hash, checkedAt: Date.now(), error: null };
+
+      if (previous && previous !== hash && this.tasks.get(task.id)?.enabled) {
+        this.enqueue(task, { type: 'page-change', triggerId: trigger.id, url: trigger.url });
+      }
+    } catch (error) {
+      trigger.state = { ...trigger.state, checkedAt: Date.now(), error: error.message };
+      console.warn(`⚠️ No se pudo comprobar ${trigger.url}:`, error.message);
+    } finally {
+      this.pageChecks.delete(key);
+      this.save();
+    }
+  }
+
+  // =============================================================================
+  // EJECUCIÓN
+  // =============================================================================
+
+  // Ejecución manual, fuera de la programación
+  runNow(taskId) {
+    const task = this.requireTask(taskId);
+    if (this.running.has(taskId)) {
+      throw new Error('La tarea ya se está ejecutando');
+    }
+    this.enqueue(task, { type: 'manual' }, { force: true });
+    return true;
+  }
+
+  cancelRun(taskId) {
+    const entry = this.running.get(taskId);
+    if (!entry) return false;
+    entry.controller.abort();
+    return true;
+  }
+
+  // Una tarea no se solapa consigo misma: lo que la dispara mientras se
+  // ejecuta queda en el historial como omitido. Las recuperaciones de
+  // 'run-all' sí se encolan una tras otra
+  enqueue(task, trigger, { force = false } = {}) {
+    if (this.isBusy(task.id) && trigger.type !== 'catch-up' && !force) {
+      this.recordRun(task, { trigger, status: 'skipped', summary: 'La tarea ya se estaba ejecutando' });
+      return;
+    }
+    this.queue.push({ taskId: task.id, trigger });
+    this.drain();
+  }
+
+  isBusy(taskId) {
+    return this.running.has(taskId) || this.queue.some(entry => entry.taskId === taskId);
+  }
+
+  drain() {
+    while (this.running.size < MAX_CONCURRENT_RUNS) {
+      const index = this.queue.findIndex(entry => !this.running.has(entry.taskId));
+      if (index === -1) return;
+      const [entry] = this.queue.splice(index, 1);
+      this.execute(entry).catch(error => console.error('❌ Error en tarea programada:', error));
+    }
+  }
+
+  async execute({ taskId, trigger }) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+
+    const controller = new AbortController();
+    const run = {
+      id: `run-${randomUUID()}`,
+      trigger,
+      status: 'running',
+      startedAt: Date.now()
+    };
+    this.running.set(taskId, { run, controller });
+    this.emit('run-started', { taskId, name: task.name, run });
+
+    const timeout = AbortSignal.timeout(task.timeoutMs || DEFAULT_RUN_TIMEOUT_MS);
+    const signal = AbortSignal.any([controller.signal, timeout]);
+    try {
+      if (!this.executor) {
+        throw new Error('No hay ejecutor de tareas programadas');
+      }
+      const output = await this.executor(definitionOf(task), { trigger, signal, state: task.state });
+      signal.throwIfAborted();
+      if (output?.state !== undefined) task.state = output.state;
+      Object.assign(run, {
+        status: output?.success === false ? 'failed' : 'completed',
+        summary: output?.summary || null,
+        error: output?.success === false ? output.error || null : null,
+        traceId: output?.traceId || null
+      });
+    } catch (error) {
+      Object.assign(run, {
+        status: timeout.aborted ? 'timeout' : controller.signal.aborted ? 'cancelled' : 'failed',
+        error: timeout.aborted ? 'Tiempo límite agotado' : error.message,
+        traceId: error.traceId || null
+      });
+    } finally {
+      this.running.delete(taskId);
+      task.lastRunAt = run.startedAt;
+      this.recordRun(task, run);
+      this.drain();
+    }
+  }
+
+  recordRun(task, run) {
+    const finishedAt = Date.now();
+    const record = {
+      id: run.id || `run-${randomUUID()}`,
+      trigger: run.trigger,
+      status: run.status,
+      startedAt: run.startedAt || finishedAt,
+      finishedAt,
+      duration: run.startedAt ? finishedAt - run.startedAt : 0,
+      summary: run.summary ? String(run.summary).slice(0, MAX_SUMMARY_CHARS) : null,
+      error: run.error || null,
+      traceId: run.traceId || null
+    };
+
+    task.history = [record, ...task.history].slice(0, MAX_HISTORY);
+    this.save();
+    this.emit('run-finished', { taskId: task.id, name: task.name, run: record });
+    return record;
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  changed(action, task) {
+    this.save();
+    this.emit('tasks-changed', { action, task: summarize(task) });
+  }
+
+  save() {
+    this.store.scheduleWrite({ version: SCHEDULER_VERSION, tasks: Array.from(this.tasks.values()) });
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const [source, eventName, handler] of this.sources) {
+      source.removeListener(eventName, handler);
+    }
+    this.sources = [];
+    for (const pending of this.fileChanges.values()) clearTimeout(pending.timer);
+    this.fileChanges.clear();
+    for (const { controller } of this.running.values()) controller.abort();
+
+    this.save();
+    await this.store.flush();
+  }
+}
+
+// =============================================================================
+// VALIDACIÓN
+// =============================================================================
+
+function normalizeDefinition(definition = {}) {
+  const name = String(definition.name || '').trim().slice(0, 120);
+  if (!name) {
+    throw new Error('La tarea programada necesita un nombre');
+  }
+
+  const schedule = definition.schedule?.cron ? { cron: parseCron(definition.schedule.cron).expression } : null;
+  if (schedule) nextRun(schedule.cron); // rechaza las expresiones que no se cumplen nunca
+
+  const triggers = Array.isArray(definition.triggers) ? definition.triggers : [];
+  if (triggers.length > MAX_TRIGGERS) {
+    throw new Error(`Como mucho ${MAX_TRIGGERS} disparadores por tarea`);
+  }
+
+  const missedRuns = definition.missedRuns || 'run-once';
+  if (!MISSED_RUN_POLICIES.includes(missedRuns)) {
+    throw new Error(`Política de ejecuciones perdidas desconocida: ${missedRuns}`);
+  }
+
+  return {
+    name,
+    enabled: definition.enabled !== false,
+    action: normalizeAction(definition.action),
+    schedule,
+    triggers: triggers.map(normalizeTrigger),
+    missedRuns,
+    timeoutMs: Math.min(60 * 60 * 1000, Math.max(10000, Math.floor(Number(definition.timeoutMs)) || DEFAULT_RUN_TIMEOUT_MS))
+  };
+}
+
+function normalizeAction(action = {}) {
+  const text = (value) => String(value ?? '').trim();
+
+  switch (action?.type) {
+    case 'orchestrator': {
+      const description = text(action.task?.description);
+      if (!description) throw new Error('La tarea del orquestador necesita una descripción');
+      return { type: 'orchestrator', task: { ...action.task, type: text(action.task.type) || 'general', description } };
+    }
+    case 'omnipotent': {
+      const command = text(action.command);
+      if (!command) throw new Error('Falta la orden para el agente omnipotente');
+      return { type: 'omnipotent', command };
+    }
+    case 'navigation': {
+      const goal = text(action.goal);
+      if (!goal) throw new Error('La navegación autónoma necesita un objetivo');
+      return {
+        type: 'navigation',
+        goal,
+        url: action.url ? requireHttpUrl(action.url) : null,
+        ...(action.maxSteps ? { maxSteps: Math.floor(Number(action.maxSteps)) || undefined } : {})
+      };
+    }
+    case 'check-pages': {
+      const urls = (Array.isArray(action.urls) ? action.urls : []).map(text).filter(Boolean);
+      if (urls.length === 0 || urls.length > MAX_PAGES) {
+        throw new Error(`Indica entre 1 y ${MAX_PAGES} páginas que revisar`);
+      }
+      return {
+        type: 'check-pages',
+        urls: Array.from(new Set(urls.map(requireHttpUrl))),
+        groupName: text(action.groupName) || 'Revisión programada',
+        instructions: text(action.instructions) || null
+      };
+    }
+    default:
+      throw new Error(`Tipo de acción desconocido: ${action?.type} (${ACTION_TYPES.join(', ')})`);
+  }
+}
+
+function normalizeTrigger(trigger = {}) {
+  const id = typeof trigger.id === 'string' && trigger.id ? trigger.id : `trigger-${randomUUID()}`;
+
+  switch (trigger.type) {
+    case 'page-change':
+      return {
+        id,
+        type: 'page-change',
+        url: requireHttpUrl(trigger.url),
+        intervalMinutes: Math.max(MIN_PAGE_INTERVAL_MINUTES, Math.floor(Number(trigger.intervalMinutes)) || 30)
+      };
+    case 'github-push': {
+      const repository = String(trigger.repository || '').trim();
+      if (!/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+        throw new Error(`Repositorio de GitHub inválido (propietario/nombre): "${repository}"`);
+      }
+      return { id, type: 'github-push', repository, branch: String(trigger.branch || '').trim() || null };
+    }
+    case 'file-change':
+      return {
+        id,
+        type: 'file-change',
+        projectId: String(trigger.projectId || '').trim() || null,
+        pattern: String(trigger.pattern || '').trim() || null
+      };
+    case 'test-failure':
+      return { id, type: 'test-failure', projectId: String(trigger.projectId || '').trim() || null };
+    default:
+      throw new Error(`Tipo de disparador desconocido: ${trigger.type} (${TRIGGER_TYPES.join(', ')})`);
+  }
+}
+
+function requireHttpUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(String(value).trim());
+  } catch {
+    throw new Error(`URL inválida: "${value}"`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Solo se admiten páginas http(s): "${value}"`);
+  }
+  return parsed.href;
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function definitionOf(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    enabled: task.enabled,
+    action: task.action,
+    schedule: task.schedule,
+    triggers: task.triggers.map(({ state, ...trigger }) => trigger),
+    missedRuns: task.missedRuns,
+    timeoutMs: task.timeoutMs
+  };
+}
+
+function summarize(task) {
+  return {
+    ...definitionOf(task),
+    nextRunAt: task.nextRunAt,
+    lastRunAt: task.lastRunAt,
+    lastRun: task.history[0] || null,
+    pageTriggers: task.triggers
+      .filter(trigger => trigger.type === 'page-change')
+      .map(trigger => ({ id: trigger.id, checkedAt: trigger.state?.checkedAt || null, error: trigger.state?.error || null })),
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt
+  };
+}
+
+// Patrones sencillos: * no cruza carpetas, ** sí (y **/ puede no ser ninguna);
+// sin barra se compara solo con el nombre del archivo
+function matchesPattern(pattern, relativePath) {
+  const normalized = String(relativePath || '').replace(/\\/g, '/');
+  const target = pattern.includes('/') ? normalized : normalized.split('/').pop();
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/|\*\*|\*/g, token => token === '**/' ? '(?:.*/)?' : token === '**' ? '.*' : '[^/]*');
+  return new RegExp(`^${source}$`).test(target);
+}
+
+// Texto visible de la página, sin etiquetas, scripts ni estilos: los cambios
+// de marcado que no se ven no disparan la tarea
+async function fetchPageText(url, signal) {
+  const response = await fetch(url, { signal, redirect: 'follow' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const html = await readLimited(response, MAX_PAGE_BYTES);
+  return html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Solo los primeros maxBytes del cuerpo: una respuesta enorme no se descarga entera
+async function readLimited(response, maxBytes) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.byteLength;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, maxBytes));
+}
+
+export { AgentScheduler, ACTION_TYPES, TRIGGER_TYPES, MISSED_RUN_POLICIES };
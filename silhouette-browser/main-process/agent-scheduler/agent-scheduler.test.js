@@ -0,0 +1,48 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { AgentScheduler } = await import('./agent-scheduler.js');
+
+const HOUR = 60 * 60 * 1000;
+
+function createScheduler() {
+  const scheduler = new AgentScheduler();
+  scheduler.store = { read: async () => ({ tasks: [] }), scheduleWrite: jest.fn(), flush: async () => {} };
+  scheduler.drain = () => {};
+  return scheduler;
+}
+
+describe('AgentScheduler.dispatchSchedule', () => {
+  test("con 'run-all' la ejecución actual va a la cola detrás de las recuperadas", () => {
+    const scheduler = createScheduler();
+    const { id } = scheduler.createTask({
+      name: 'Cada hora',
+      action: { type: 'omnipotent', command: 'Resume las noticias' },
+      schedule: { cron: '0 * * * *' },
+      missedRuns: 'run-all'
+    });
+    const task = scheduler.tasks.get(id);
+    const now = task.nextRunAt + 3 * HOUR + 60 * 1000;
+
+    scheduler.dispatchSchedule(task, now);
+
+    expect(scheduler.queue.map(entry => entry.trigger.type)).toEqual(['catch-up', 'catch-up', 'catch-up', 'schedule']);
+    expect(task.history.filter(run => run.status === 'skipped')).toEqual([]);
+  });
+
+  test('si la tarea ya estaba en marcha la ejecución actual se omite', () => {
+    const scheduler = createScheduler();
+    const { id } = scheduler.createTask({
+      name: 'Cada hora',
+      action: { type: 'omnipotent', command: 'Resume las noticias' },
+      schedule: { cron: '0 * * * *' }
+    });
+    const task = scheduler.tasks.get(id);
+    scheduler.running.set(id, { run: {}, controller: new AbortController() });
+
+    scheduler.dispatchSchedule(task, task.nextRunAt + 1000);
+
+    expect(scheduler.queue).toEqual([]);
+    expect(task.history[0]).toMatchObject({ status: 'skipped', trigger: { type: 'schedule' } });
+  });
+});
@@ -0,0 +1,130 @@
+// =============================================================================
+// CRON - EXPRESIONES CRON DE CINCO CAMPOS
+// minuto hora día-del-mes mes día-de-la-semana, en hora local. Admite *,
+// listas, rangos, pasos (*/15, 1-5/2), nombres (jan, mon) y los atajos
+// @hourly, @daily, @weekly, @monthly y @yearly. Como en el cron clásico, si
+// se restringen a la vez el día del mes y el de la semana basta con uno de los dos
+// =============================================================================
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'día del mes', min: 1, max: 31 },
+  { name: 'mes', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'día de la semana', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 } // 7 también es domingo
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Una expresión que no se cumple en cinco años (p. ej. el 30 de febrero) no se cumplirá nunca
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Expresión cron inválida (se esperan 5 campos): "${source}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function parseField(field, spec) {
+  const values = new Set();
+
+  for (const part of field.toLowerCase().split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Paso inválido en el campo ${spec.name}: "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [spec.min, spec.max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, spec));
+    } else {
+      start = parseValue(range, spec);
+      end = stepText === undefined ? start : spec.max;
+    }
+    if (start > end) {
+      throw new Error(`Rango invertido en el campo ${spec.name}: "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseValue(text, spec) {
+  const named = spec.names?.indexOf(text);
+  const value = named !== undefined && named !== -1 ? named + spec.offset : Number(text);
+  if (!Number.isInteger(value) || value < spec.min || value > spec.max || text === '') {
+    throw new Error(`Valor fuera de rango en el campo ${spec.name}: "${text}"`);
+  }
+  return value;
+}
+
+// Siguiente instante (ms) estrictamente posterior a after en que se cumple la
+// expresión. Avanza por meses, días y horas enteros cuando no coinciden, así
+// que encuentra la fecha en pocas iteraciones y respeta los cambios de hora
+function nextRun(cron, after = Date.now()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after + MAX_SEARCH_MS;
+
+  while (date.getTime() <= limit) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  throw new Error(`La expresión cron no se cumple nunca: "${parsed.expression}"`);
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+export { parseCron, nextRun };
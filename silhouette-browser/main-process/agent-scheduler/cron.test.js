@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseCron, nextRun } from './cron.js';
+
+// Fechas en hora local, como las interpreta el cron
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes).getTime();
+
+describe('parseCron', () => {
+  test('admite listas, rangos, pasos, nombres y atajos', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+    expect(Array.from(cron.minutes)).toEqual([0, 15, 30, 45]);
+    expect(Array.from(cron.hours)).toEqual([9, 13, 17]);
+    expect(Array.from(cron.days)).toEqual([1, 15]);
+    expect(Array.from(cron.months)).toEqual([1, 2, 3]);
+    expect(Array.from(cron.weekdays)).toEqual([1, 2, 3, 4, 5]);
+    expect(parseCron('@daily')).toMatchObject({ expression: '@daily', anyDay: true, anyWeekday: true });
+  });
+
+  test('el 7 del día de la semana es el domingo', () => {
+    expect(Array.from(parseCron('0 0 * * 7').weekdays)).toEqual([0]);
+  });
+
+  test('rechaza expresiones mal formadas', () => {
+    expect(() => parseCron('* * * *')).toThrow('se esperan 5 campos');
+    expect(() => parseCron('60 * * * *')).toThrow('Valor fuera de rango en el campo minuto');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Paso inválido');
+    expect(() => parseCron('0 10-2 * * *')).toThrow('Rango invertido en el campo hora');
+    expect(() => parseCron('0 0 * foo *')).toThrow('Valor fuera de rango en el campo mes');
+  });
+});
+
+describe('nextRun', () => {
+  test('devuelve el siguiente minuto que cumple la expresión, siempre posterior', () => {
+    expect(nextRun('*/15 * * * *', at(2024, 5, 10, 8, 7))).toBe(at(2024, 5, 10, 8, 15));
+    expect(nextRun('*/15 * * * *', at(2024, 5, 10, 8, 15))).toBe(at(2024, 5, 10, 8, 30));
+    expect(nextRun('30 9 * * *', at(2024, 5, 10, 10, 0))).toBe(at(2024, 5, 11, 9, 30));
+  });
+
+  test('cambia de mes y de año', () => {
+    expect(nextRun('@monthly', at(2024, 12, 31, 23, 59))).toBe(at(2025, 1, 1));
+    expect(nextRun('0 0 29 2 *', at(2024, 3, 1))).toBe(at(2028, 2, 29));
+  });
+
+  test('con día del mes y día de la semana basta con uno de los dos', () => {
+    // 2024-06-01 es sábado: el lunes 3 llega antes que el día 15
+    expect(nextRun('0 12 15 * mon', at(2024, 6, 1))).toBe(at(2024, 6, 3, 12));
+    expect(nextRun('0 12 * * mon', at(2024, 6, 1))).toBe(at(2024, 6, 3, 12));
+    expect(nextRun('0 12 15 * *', at(2024, 6, 1))).toBe(at(2024, 6, 15, 12));
+  });
+
+  test('una expresión que no se cumple nunca falla', () => {
+    expect(() => nextRun('0 0 30 2 *', at(2024, 1, 1))).toThrow('no se cumple nunca');
+  });
+});
@@ -0,0 +1,293 @@
+// =============================================================================
+// TASK ACTIONS - LO QUE HACE CADA TAREA PROGRAMADA
+// Traduce la acción guardada en una tarea a una llamada al orquestador, al
+// agente omnipotente o a la navegación autónoma. 'check-pages' abre (o recarga)
+// un conjunto de páginas en un grupo de pestañas, compara su texto con el de la
+// ejecución anterior y deja el resumen de los cambios en la descripción del grupo
+// =============================================================================
+
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+const MAX_PAGE_TEXT = 20000;      // caracteres guardados por página para comparar
+const MAX_DIFF_LINES = 40;        // líneas añadidas/eliminadas por página en el resumen
+const MAX_PROMPT_CHARS = 12000;
+
+// El ejecutor recibe la tarea tal como la guarda AgentScheduler; getLLM
+// devuelve el proveedor del agente (null sin modelo configurado)
+function createTaskExecutor({ browserCore, orchestrator = null, omnipotentAPI = null, getLLM = () => null }) {
+  return async (task, { trigger, signal, state }) => {
+    const action = task.action;
+    const reason = describeTrigger(trigger);
+
+    switch (action.type) {
+      case 'orchestrator': {
+        if (!orchestrator) throw new Error('Orquestador de agentes no disponible');
+        const result = await orchestrator.executeTask({
+          ...action.task,
+          id: `${task.id}-${Date.now()}`,
+          description: withReason(action.task.description, reason)
+        }, { signal });
+        return { success: result.success !== false, summary: summarizeResult(result), traceId: result.traceId };
+      }
+
+      case 'omnipotent': {
+        if (!omnipotentAPI) throw new Error('Sistema omnipotente no disponible');
+        const result = await omnipotentAPI.executeOmnipotentTask({ description: withReason(action.command, reason) }, { signal });
+        return {
+          success: result.success !== false,
+          summary: summarizeResult(result),
+          error: result.error || result.message || null,
+          traceId: result.traceId
+        };
+      }
+
+      case 'navigation':
+        return await runNavigation(browserCore, omnipotentAPI, action, reason, signal);
+
+      case 'check-pages':
+        return await checkPages(browserCore, getLLM(), task, action, state, signal);
+
+      default:
+        throw new Error(`Tipo de acción desconocido: ${action.type}`);
+    }
+  };
+}
+
+// La navegación va en una pestaña en segundo plano para no quitarle al
+// usuario la que está usando y que se cierra al terminar; cancelar la tarea
+// cancela la navegación
+async function runNavigation(browserCore, omnipotentAPI, action, reason, signal) {
+  if (!omnipotentAPI) throw new Error('Sistema omnipotente no disponible');
+
+  const tabId = await browserCore.createNewTab('about:blank', { active: false });
+  let runId = null;
+  const onAbort = () => runId && omnipotentAPI.cancelAutonomousNavigation(runId);
+  signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const result = await omnipotentAPI.autonomousNavigation(action.url, action.goal, {
+      tabId,
+      maxSteps: action.maxSteps,
+      context: reason,
+      onStep: (step) => {
+        runId = step.runId;
+        if (signal.aborted) onAbort();
+      }
+    });
+    return {
+      success: result.success,
+      summary: result.answer || result.message || `Navegación ${result.status}`,
+      error: result.success ? null : result.error || result.message || result.status,
+      traceId: result.traceId
+    };
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    await browserCore.closeTab(tabId).catch(error => console.warn('⚠️ No se pudo cerrar la pestaña de la navegación:', error.message));
+  }
+}
+
+// =============================================================================
+// REVISIÓN DE PÁGINAS
+// =============================================================================
+
+async function checkPages(browserCore, llm, task, action, state, signal) {
+  const groupId = await findOrCreateGroup(browserCore, action.groupName, task);
+  const previous = state?.pages || {};
+  const pages = {};
+  const reports = [];
+
+  for (const url of action.urls) {
+    signal.throwIfAborted();
+    try {
+      const text = await readPage(browserCore, groupId, url, signal);
+      pages[url] = text;
+      reports.push({ url, ...diffText(previous[url], text) });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      // Si la página no carga se conserva la última versión para la próxima comparación
+      if (previous[url] !== undefined) pages[url] = previous[url];
+      reports.push({ url, error: error.message });
+    }
+  }
+
+  const summary = await summarizeChanges(llm, action, reports, signal);
+  const group = browserCore.tabGroups.groups.get(groupId);
+  if (group) {
+    group.metadata.description = summary;
+  }
+
+  const failed = reports.filter(report => report.error);
+  return {
+    success: failed.length < reports.length,
+    summary,
+    error: failed.length > 0 ? failed.map(report => `${report.url}: ${report.error}`).join('; ') : null,
+    state: { pages }
+  };
+}
+
+async function findOrCreateGroup(browserCore, name, task) {
+  const tabGroups = browserCore.tabGroups;
+  const existing = Array.from(tabGroups.groups.values()).find(group => group.name === name);
+  if (existing) return existing.id;
+
+  return await tabGroups.createGroup(name, {
+    description: `Revisión programada: ${task.name}`,
+    purpose: 'agent',
+    icon: '🕒',
+    createdBy: 'agent'
+  });
+}
+
+// Reutiliza la pestaña del grupo que ya tiene la página o abre una nueva en él
+async function readPage(browserCore, groupId, url, signal) {
+  const check = await browserCore.checkSecurity(url);
+  if (!check.safe) {
+    throw new Error(`Página bloqueada: ${check.reason}`);
+  }
+
+  const tabManager = browserCore.tabManager;
+  const group = browserCore.tabGroups.groups.get(groupId);
+  let tabId = Array.from(group?.tabs || []).find(id => urlOfTab(tabManager.tabs.get(id)) === url);
+
+  if (tabId) {
+    const tab = tabManager.tabs.get(tabId);
+    if (tab.discarded) {
+      await browserCore.hibernation.restore(tabId);
+    } else {
+      tab.browserView.webContents.reload();
+    }
+  } else {
+    tabId = await browserCore.createNewTab(url, { active: false, groupId });
+  }
+
+  const webContents = tabManager.tabs.get(tabId).browserView.webContents;
+  await waitForLoad(webContents, PAGE_LOAD_TIMEOUT_MS, signal);
+  const text = await webContents.executeJavaScript('document.body ? document.body.innerText : ""');
+  return String(text || '').slice(0, MAX_PAGE_TEXT);
+}
+
+function urlOfTab(tab) {
+  if (!tab) return null;
+  return tab.discarded ? tab.url : tab.browserView.webContents.getURL();
+}
+
+function waitForLoad(webContents, timeoutMs, signal) {
+  if (!webContents.isLoading() && webContents.getURL() !== 'about:blank') {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onStop = () => finish(resolve);
+    const onAbort = () => finish(reject, new Error('Tarea cancelada'));
+    const timeout = setTimeout(() => {
+      finish(reject, new Error(`La página no terminó de cargar tras ${timeoutMs / 1000} s`));
+    }, timeoutMs);
+    const finish = (settle, value) => {
+      clearTimeout(timeout);
+      webContents.removeListener('did-stop-loading', onStop);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+
+    webContents.on('did-stop-loading', onStop);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Diferencia por líneas: qué líneas nuevas aparecen y cuáles desaparecen
+function diffText(before, after) {
+  if (before === undefined) {
+    return { firstVisit: true, added: [], removed: [] };
+  }
+  const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+  const beforeLines = new Set(lines(before));
+  const afterLines = new Set(lines(after));
+
+  return {
+    firstVisit: false,
+    added: Array.from(afterLines).filter(line => !beforeLines.has(line)).slice(0, MAX_DIFF_LINES),
+    removed: Array.from(beforeLines).filter(line => !afterLines.has(line)).slice(0, MAX_DIFF_LINES)
+  };
+}
+
+// Con modelo, un resumen en lenguaje natural; sin él (o si falla), la lista de cambios
+async function summarizeChanges(llm, action, reports, signal) {
+  const plain = plainSummary(reports);
+  const changed = reports.some(report => report.added?.length || report.removed?.length);
+  if (!llm || !changed) return plain;
+
+  try {
+    const response = await llm.chat({
+      purpose: 'scheduled-summary',
+      system: 'Resumes en español, en pocas frases y sin inventar nada, los cambios detectados en unas páginas web entre dos revisiones.',
+      messages: [{
+        role: 'user',
+        content: [
+          action.instructions ? `Instrucciones: ${action.instructions}` : null,
+          describeReports(reports).slice(0, MAX_PROMPT_CHARS)
+        ].filter(Boolean).join('\n\n')
+      }],
+      temperature: 0,
+      signal
+    });
+    return response.content.trim() || plain;
+  } catch (error) {
+    if (signal.aborted) throw error;
+    console.warn('⚠️ No se pudo resumir con el modelo:', error.message);
+    return plain;
+  }
+}
+
+function plainSummary(reports) {
+  return reports.map(report => {
+    if (report.error) return `${report.url}: error (${report.error})`;
+    if (report.firstVisit) return `${report.url}: primera revisión`;
+    if (!report.added.length && !report.removed.length) return `${report.url}: sin cambios`;
+    return `${report.url}: ${report.added.length} líneas nuevas, ${report.removed.length} eliminadas` +
+      (report.added.length ? ` (p. ej. "${report.added[0].slice(0, 80)}")` : '');
+  }).join('\n');
+}
+
+function describeReports(reports) {
+  return reports.map(report => {
+    if (report.error) return `## ${report.url}\nNo se pudo cargar: ${report.error}`;
+    if (report.firstVisit) return `## ${report.url}\nPrimera revisión, sin versión anterior.`;
+    return [
+      `## ${report.url}`,
+      report.added.length ? 'Añadido:\n' + report.added.map(line => `+ ${line}`).join('\n') : 'Nada añadido.',
+      report.removed.length ? 'Eliminado:\n' + report.removed.map(line => `- ${line}`).join('\n') : 'Nada eliminado.'
+    ].join('\n');
+  }).join('\n\n');
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function describeTrigger(trigger) {
+  switch (trigger?.type) {
+    case 'github-push':
+      return `Motivo: push de ${trigger.commits} commits a ${trigger.repository}` +
+        `${trigger.branch ? ` (${trigger.branch})` : ''}${trigger.headCommit ? `: "${trigger.headCommit}"` : ''}`;
+    case 'file-change':
+      return `Motivo: archivos modificados en el proyecto ${trigger.projectId}: ${trigger.files.join(', ')}`;
+    case 'test-failure':
+      return `Motivo: ha fallado el test ${trigger.testId}` +
+        `${trigger.errors?.length ? `: ${trigger.errors.join('; ')}` : ''}`;
+    case 'page-change':
+      return `Motivo: ha cambiado la página ${trigger.url}`;
+    default:
+      return null;
+  }
+}
+
+function withReason(text, reason) {
+  return reason ? `${text}\n\n${reason}` : text;
+}
+
+function summarizeResult(result) {
+  const value = result?.answer ?? result?.summary ?? result?.message ?? result?.data ?? result?.results;
+  if (value === undefined || value === null) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+export { createTaskExecutor };
@@ -0,0 +1,275 @@
+// =============================================================================
+// AGENT TRACE STORE - TRAZAS PERSISTENTES DE LAS EJECUCIONES DE AGENTES
+// Cada ejecución (plan del orquestador, navegación autónoma, tarea omnipotente,
+// extracción de datos) se guarda como una traza JSON en su propio fichero: plan,
+// equipos asignados y cada paso con sus entradas, salidas, tiempos, errores y
+// capturas. Las trazas en curso se escriben a medida que avanzan, así que una
+// caída deja la traza hasta el último paso. Un índice aparte permite listar sin
+// leer los ficheros. Las credenciales no llegan a disco: las entradas, el plan y
+// lo escrito en campos de contraseña se guardan enmascarados
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { PersistentStore, resolveDataDirectory } from '../persistence/persistent-store.js';
+import { redactSecrets, isSensitiveElement, maskSecrets, REDACTED } from '../security-layer/action-risk.js';
+
+const TRACE_VERSION = 1;
+const TRACE_KINDS = ['orchestrator', 'browser-agent', 'omnipotent-task', 'data-extraction'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'timeout', 'max_steps', 'blocked', 'interrupted'];
+const DEFAULT_MAX_TRACES = 200;
+const MAX_VALUE_CHARS = 20000;
+const TRACE_ID_PATTERN = /^trace-[0-9a-f-]{36}$/;
+
+class AgentTraceStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.directory = path.join(options.baseDir || resolveDataDirectory(), 'agent-traces');
+    this.index = new PersistentStore('index', { baseDir: this.directory });
+    this.maxTraces = options.maxTraces || DEFAULT_MAX_TRACES;
+    this.summaries = new Map(); // traceId -> resumen para listar
+    this.active = new Map();    // traceId -> { trace, store } de las trazas en curso
+  }
+
+  async initialize() {
+    const saved = await this.index.read({ traces: [] });
+    for (const summary of saved.traces || []) {
+      this.summaries.set(summary.id, summary);
+    }
+
+    // Trazas que seguían en curso cuando se cerró la aplicación
+    for (const summary of this.summaries.values()) {
+      if (FINAL_STATUSES.includes(summary.status)) continue;
+      const trace = await this.readTrace(summary.id);
+      if (!trace) {
+        this.summaries.delete(summary.id);
+        continue;
+      }
+      Object.assign(trace, { status: 'interrupted', error: trace.error || 'La aplicación se cerró durante la ejecución' });
+      await this.storeFor(trace.id).write(trace);
+      this.summaries.set(trace.id, summarize(trace));
+    }
+    this.saveIndex();
+
+    console.log(`✅ Trazas de agentes cargadas: ${this.summaries.size}`);
+  }
+
+  // =============================================================================
+  // GRABACIÓN
+  // =============================================================================
+
+  // input guarda lo necesario para volver a ejecutar la traza
+  startTrace({ kind, title, input = {}, plan = null, teams = null, rerunOf = null }) {
+    if (!TRACE_KINDS.includes(kind)) {
+      throw new Error(`Tipo de traza desconocido: ${kind}`);
+    }
+
+    const trace = {
+      version: TRACE_VERSION,
+      id: `trace-${randomUUID()}`,
+      kind,
+      title: maskSecrets(String(title || kind)).slice(0, 200),
+      status: 'running',
+      startedAt: Date.now(),
+      finishedAt: null,
+      duration: null,
+      input: redactSecrets(toStorable(input)),
+      plan: redactSecrets(plan),
+      teams,
+      rerunOf,
+      steps: [],
+      result: null,
+      error: null
+    };
+
+    this.active.set(trace.id, { trace, store: this.storeFor(trace.id) });
+    this.summaries.set(trace.id, summarize(trace));
+    this.persist(trace.id);
+    this.emit('trace-updated', { trace: summarize(trace) });
+    return trace.id;
+  }
+
+  update(traceId, changes) {
+    const entry = this.active.get(traceId);
+    if (!entry) return;
+    Object.assign(entry.trace, 'plan' in changes ? { ...changes, plan: redactSecrets(changes.plan) } : changes);
+    this.persist(traceId);
+  }
+
+  // Inserta o actualiza un paso por su id; entradas y salidas se recortan si son enormes
+  recordStep(traceId, step) {
+    const entry = this.active.get(traceId);
+    if (!entry) return;
+
+    const record = {
+      ...step,
+      ...(step.inputs !== undefined ? { inputs: redactInputs(toStorable(step.inputs), step.element) } : {}),
+      ...(typeof step.thought === 'string' ? { thought: maskSecrets(step.thought) } : {}),
+      ...(step.output !== undefined ? { output: toStorable(step.output) } : {})
+    };
+    const index = entry.trace.steps.findIndex(existing => existing.id === record.id);
+    if (index === -1) {
+      entry.trace.steps.push(record);
+    } else {
+      entry.trace.steps[index] = { ...entry.trace.steps[index], ...record };
+    }
+
+    this.summaries.set(traceId, summarize(entry.trace));
+    this.persist(traceId);
+    // La captura viaja en la traza completa, no en cada aviso
+    const { screenshot, ...light } = record;
+    this.emit('trace-updated', { trace: summarize(entry.trace), step: { ...light, hasScreenshot: Boolean(screenshot) } });
+  }
+
+  async finishTrace(traceId, { status, result = null, error = null }) {
+    const entry = this.active.get(traceId);
+    if (!entry) return null;
+
+    const trace = entry.trace;
+    Object.assign(trace, {
+      status: FINAL_STATUSES.includes(status) ? status : (error ? 'failed' : 'completed'),
+      finishedAt: Date.now(),
+      result: toStorable(result),
+      error: error ? String(error) : null
+    });
+    trace.duration = trace.finishedAt - trace.startedAt;
+
+    entry.store.scheduleWrite(trace);
+    await entry.store.flush();
+    this.active.delete(traceId);
+    this.summaries.set(traceId, summarize(trace));
+    await this.prune();
+    this.saveIndex();
+
+    this.emit('trace-updated', { trace: summarize(trace), finished: true });
+    return summarize(trace);
+  }
+
+  persist(traceId) {
+    const entry = this.active.get(traceId);
+    entry.store.scheduleWrite(entry.trace);
+    this.saveIndex();
+  }
+
+  // =============================================================================
+  // CONSULTA
+  // =============================================================================
+
+  listTraces({ kind = null, status = null, limit = 100 } = {}) {
+    return Array.from(this.summaries.values())
+      .filter(summary => (!kind || summary.kind === kind) && (!status || summary.status === status))
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, limit);
+  }
+
+  async getTrace(traceId) {
+    return this.active.get(traceId)?.trace || await this.readTrace(traceId);
+  }
+
+  async readTrace(traceId) {
+    if (!TRACE_ID_PATTERN.test(String(traceId))) return null;
+    return await this.storeFor(traceId).read(null);
+  }
+
+  async deleteTrace(traceId) {
+    if (this.active.has(traceId)) {
+      throw new Error('No se puede borrar una traza en curso');
+    }
+    if (!this.summaries.has(traceId)) return false;
+
+    await this.storeFor(traceId).remove();
+    this.summaries.delete(traceId);
+    this.saveIndex();
+    this.emit('trace-deleted', { traceId });
+    return true;
+  }
+
+  // Las trazas más antiguas se borran al superar el máximo
+  async prune() {
+    const finished = this.listTraces({ limit: Infinity }).filter(summary => !this.active.has(summary.id));
+    for (const summary of finished.slice(this.maxTraces)) {
+      await this.storeFor(summary.id).remove();
+      this.summaries.delete(summary.id);
+    }
+  }
+
+  storeFor(traceId) {
+    return new PersistentStore(traceId, { baseDir: this.directory });
+  }
+
+  saveIndex() {
+    this.index.scheduleWrite({ version: TRACE_VERSION, traces: Array.from(this.summaries.values()) });
+  }
+
+  async shutdown() {
+    for (const [traceId, entry] of this.active) {
+      entry.trace.status = 'interrupted';
+      entry.trace.error = 'La aplicación se cerró durante la ejecución';
+      this.summaries.set(traceId, summarize(entry.trace));
+      entry.store.scheduleWrite(entry.trace);
+      await entry.store.flush();
+    }
+    this.active.clear();
+    this.saveIndex();
+    await this.index.flush();
+  }
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function summarize(trace) {
+  return {
+    id: trace.id,
+    kind: trace.kind,
+    title: trace.title,
+    status: trace.status,
+    startedAt: trace.startedAt,
+    finishedAt: trace.finishedAt,
+    duration: trace.duration,
+    steps: trace.steps.length,
+    failedSteps: trace.steps.filter(step => step.status === 'failed').length,
+    rerunOf: trace.rerunOf,
+    error: trace.error
+  };
+}
+
+// Copia JSON del valor; lo que no cabe se sustituye por un marcador con el
+// principio del texto para que la traza siga siendo legible
+function toStorable(value) {
+  if (value === undefined) return null;
+  let json;
+  try {
+    json = JSON.stringify(value, (key, item) => {
+      if (item instanceof Map) return Object.fromEntries(item);
+      if (item instanceof Set) return Array.from(item);
+      if (item instanceof Error) return { error: item.message };
+      return typeof item === 'bigint' ? String(item) : item;
+    });
+  } catch (error) {
+    return { unserializable: true, preview: String(value).slice(0, 200) };
+  }
+  if (json === undefined) return null;
+  if (json.length > MAX_VALUE_CHARS) {
+    return { truncated: true, size: json.length, preview: json.slice(0, MAX_VALUE_CHARS) };
+  }
+  return JSON.parse(json);
+}
+
+// Lo que el agente escribe en un campo de contraseña no se guarda nunca; en el
+// resto de entradas solo se enmascaran las claves y los textos con credenciales
+function redactInputs(inputs, element) {
+  if (isSensitiveElement(element) && inputs && typeof inputs.text === 'string') {
+    return redactSecrets({ ...inputs, text: REDACTED });
+  }
+  return redactSecrets(inputs);
+}
+
+function isTruncated(value) {
+  return Boolean(value && typeof value === 'object' && (value.truncated || value.unserializable));
+}
+
+export { AgentTraceStore, isTruncated, TRACE_KINDS };
@@ -0,0 +1,69 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { AgentTraceStore } = await import('./agent-trace-store.js');
+
+describe('AgentTraceStore sin credenciales en disco', () => {
+  let baseDir;
+  let traces;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'silhouette-traces-'));
+    traces = new AgentTraceStore({ baseDir });
+  });
+
+  afterEach(async () => {
+    await traces.index.flush();
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  async function savedTrace(traceId) {
+    await traces.finishTrace(traceId, { status: 'completed' });
+    return await fs.readFile(path.join(baseDir, 'agent-traces', `${traceId}.json`), 'utf8');
+  }
+
+  test('enmascara los campos de credenciales de la tarea y del plan', async () => {
+    const traceId = traces.startTrace({
+      kind: 'omnipotent-task',
+      title: 'Entra con usuario: ana, contraseña: hunter2',
+      input: { task: { type: 'form_filling', description: 'Alta con PIN=4321', data: { usuario: 'ana', userPassword: 'hunter2', cardNumber: '4111111111111111' } } }
+    });
+    traces.update(traceId, { plan: { steps: [{ id: 'step-1', action: 'fill', params: { password: 'hunter2' } }] } });
+
+    const raw = await savedTrace(traceId);
+    expect(raw).not.toMatch(/hunter2|4321|4111111111111111/);
+    const trace = JSON.parse(raw);
+    expect(trace.title).toBe('Entra con usuario: ana, contraseña: ••••');
+    expect(trace.input.task.data).toEqual({ usuario: 'ana', userPassword: '••••', cardNumber: '••••' });
+    expect(trace.plan.steps[0].params.password).toBe('••••');
+  });
+
+  test('no guarda lo escrito en un campo de contraseña', async () => {
+    const traceId = traces.startTrace({ kind: 'browser-agent', title: 'Entrar', input: { url: 'https://example.com/', goal: 'Entrar' } });
+    traces.recordStep(traceId, {
+      id: 'step-1',
+      action: 'type',
+      status: 'succeeded',
+      inputs: { elementId: 4, text: 'hunter2', submit: true },
+      element: { role: 'textbox', name: 'Clave de acceso', type: 'password' },
+      thought: 'Escribo la contraseña: hunter2'
+    });
+    traces.recordStep(traceId, {
+      id: 'step-2',
+      action: 'type',
+      status: 'succeeded',
+      inputs: { elementId: 5, text: 'Lisboa' },
+      element: { role: 'textbox', name: 'Destino', type: 'text' }
+    });
+
+    const raw = await savedTrace(traceId);
+    expect(raw).not.toMatch(/hunter2/);
+    const [first, second] = JSON.parse(raw).steps;
+    expect(first.inputs).toEqual({ elementId: 4, text: '••••', submit: true });
+    expect(first.thought).toBe('Escribo la contraseña: ••••');
+    expect(second.inputs.text).toBe('Lisboa');
+  });
+});
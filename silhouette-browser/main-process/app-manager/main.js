@@ -3,7 +3,7 @@
 // Punto de entrada principal del navegador con IA integrada
 // =============================================================================
 
-import { app, BrowserWindow, ipcMain, dialog, shell } from 'electron';
+import { app, BrowserWindow, ipcMain, dialog, shell, Notification } from 'electron';
 import { autoUpdater } from 'electron-updater';
 import * as path from 'path';
 import * as url from 'url';
@@ -14,8 +14,12 @@ import { SecurityLayer } from '../security-layer/security-manager.js';
 import { AgentOrchestrator } from '../agent-orchestrator/orchestrator.js';
 import { ExtensionEngine } from '../extension-engine/extension-manager.js';
 import { BrowserCore } from '../browser-core/engine-browserview.js';
+import { ReaderMode } from '../reader-mode/reader-mode.js';
 import { NativeIntegrationCore } from '../native-integration/native-integration-core.js';
 import { SilhouetteOmnipotentAPI } from '../../omnipotent-system/api/omnipotent-api.js';
+import { AgentScheduler } from '../agent-scheduler/agent-scheduler.js';
+import { createTaskExecutor } from '../agent-scheduler/task-actions.js';
+import { GitHubIntegration } from '../github-integration/github-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,6 +36,18 @@ class SilhouetteBrowser {
     // Sistema Omnipotente Integrado
     this.omnipotentAPI = new SilhouetteOmnipotentAPI();
     
+    // Tareas de agentes programadas y disparadas por eventos
+    this.agentScheduler = new AgentScheduler({
+      checkUrl: (targetUrl) => this.browserCore.checkSecurity(targetUrl)
+    });
+    this.githubIntegration = new GitHubIntegration();
+    
+    // Notificaciones del sistema visibles (Electron las libera si nadie las referencia)
+    this.notifications = new Set();
+    
+    // Archivos .silhouette-group abiertos antes de que exista la ventana
+    this.pendingGroupFiles = [];
+    
     // Configuración de la aplicación
     this.config = {
       isDev: process.env.NODE_ENV === 'development',
@@ -55,6 +71,9 @@ class SilhouetteBrowser {
       // Inicializar core del navegador
       await this.initializeBrowserCore();
       
+      // Ofrecer restaurar la sesión anterior
+      await this.offerSessionRestore();
+      
       // Inicializar orquestador de agentes
       await this.initializeAgentOrchestrator();
       
@@ -67,6 +86,9 @@ class SilhouetteBrowser {
       // Inicializar Sistema Omnipotente
       await this.initializeOmnipotentSystem();
       
+      // Inicializar tareas programadas (necesita agentes y navegador listos)
+      await this.initializeAgentScheduler();
+      
       // Configurar IPC handlers
       this.setupIpcHandlers();
       
@@ -121,6 +143,12 @@ class SilhouetteBrowser {
   
   async initializeBrowserCore() {
     console.log('🌐 Initializing browser core...');
+    
+    // Permisos por sitio y cookies en cada sesión antes de cargar pestañas
+    this.securityLayer.attachBrowserCore(this.browserCore);
+    this.securityLayer.siteSettings.setPromptHandler((request) => this.promptSitePermission(request));
+    this.setupAgentApprovals();
+    
     await this.browserCore.initialize();
     
     // Configurar event listeners para grupos de pestañas
@@ -129,6 +157,120 @@ class SilhouetteBrowser {
     console.log('✅ Browser core ready');
   }
 
+  // =============================================================================
+  // RESTAURACIÓN DE SESIÓN
+  // =============================================================================
+  
+  async offerSessionRestore() {
+    if (!this.browserCore.hasPreviousSession()) return;
+
+    const { restoreOnStartup, sessionHistoryLimit } = this.browserCore.getSettings();
+    if (restoreOnStartup === 'never') return;
+
+    try {
+      if (restoreOnStartup === 'always') {
+        await this.browserCore.restoreLastSession();
+        return;
+      }
+
+      const { recent, named } = await this.browserCore.listSessions();
+      const last = recent[0];
+      const { response } = await dialog.showMessageBox({
+        type: 'question',
+        title: 'Restaurar sesión',
+        message: last.crashed
+          ? 'Silhouette Browser no se cerró correctamente. ¿Restaurar la última sesión?'
+          : '¿Restaurar la última sesión?',
+        detail: `${last.tabCount} pestañas en ${last.windowCount} ventanas, ${last.groupCount} grupos`,
+        buttons: ['Restaurar última sesión', 'Elegir otra sesión…', 'Empezar de cero'],
+        defaultId: 0,
+        cancelId: 2
+      });
+
+      if (response === 0) {
+        await this.browserCore.restoreLastSession();
+      } else if (response === 1) {
+        await this.chooseSessionToRestore(recent.slice(0, sessionHistoryLimit), named);
+      }
+    } catch (error) {
+      console.error('❌ Error restaurando sesión:', error);
+    }
+  }
+
+  async chooseSessionToRestore(recent, named) {
+    const choices = [...named, ...recent];
+    const labels = choices.map(session => {
+      const date = new Date(session.updatedAt).toLocaleString();
+      if (session.kind === 'named') {
+        return `⭐ ${session.name} (${session.tabCount} pestañas)`;
+      }
+      return `${date} — ${session.tabCount} pestañas${session.crashed ? ' (cierre inesperado)' : ''}`;
+    });
+
+    const { response } = await dialog.showMessageBox({
+      type: 'question',
+      title: 'Elegir sesión',
+      message: 'Selecciona la sesión a restaurar',
+      buttons: [...labels, 'Cancelar'],
+      cancelId: labels.length
+    });
+
+    const chosen = choices[response];
+    if (chosen) {
+      await this.browserCore.restoreSession(chosen.kind, chosen.id);
+    }
+  }
+
+  // =============================================================================
+  // PERMISOS POR SITIO
+  // =============================================================================
+  
+  async promptSitePermission({ origin, permission, webContents }) {
+    const labels = {
+      camera: 'usar tu cámara',
+      microphone: 'usar tu micrófono',
+      notifications: 'mostrar notificaciones',
+      geolocation: 'conocer tu ubicación',
+      clipboard: 'leer el portapapeles'
+    };
+
+    const parent = (webContents && BrowserWindow.fromWebContents(webContents)) || this.mainWindow;
+    const { response, checkboxChecked } = await dialog.showMessageBox(parent, {
+      type: 'question',
+      title: 'Permiso solicitado',
+      message: `${origin} quiere ${labels[permission] || permission}`,
+      buttons: ['Permitir', 'Bloquear'],
+      defaultId: 1,
+      cancelId: 1,
+      checkboxLabel: 'Recordar esta decisión para este sitio',
+      checkboxChecked: true
+    });
+
+    return { allow: response === 0, remember: checkboxChecked };
+  }
+
+  // =============================================================================
+  // APROBACIÓN DE ACCIONES DEL AGENTE
+  // =============================================================================
+  
+  // Las peticiones se muestran en el renderer; sin ventana no hay a quién preguntar
+  setupAgentApprovals() {
+    const approvals = this.securityLayer.agentApprovals;
+    
+    approvals.setPromptHandler((request) => {
+      if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+        return false;
+      }
+      this.mainWindow.webContents.send('agent:approvalRequested', request);
+      return true;
+    });
+    approvals.on('approval-resolved', (data) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('agent:approvalResolved', data);
+      }
+    });
+  }
+
   // =============================================================================
   // TAB GROUPS EVENT HANDLERS
   // =============================================================================
@@ -146,6 +288,7 @@ class SilhouetteBrowser {
   async initializeAgentOrchestrator() {
     console.log('🤖 Initializing agent orchestrator...');
     await this.agentOrchestrator.initialize();
+    this.agentOrchestrator.connectBrowserCore(this.browserCore);
     console.log('✅ Agent orchestrator ready');
   }
 
@@ -164,6 +307,8 @@ class SilhouetteBrowser {
   async initializeOmnipotentSystem() {
     console.log('🚀 Initializing Omnipotent System Integration...');
     try {
+      // La navegación autónoma trabaja sobre las pestañas reales
+      this.omnipotentAPI.connectBrowserCore(this.browserCore);
       await this.omnipotentAPI.initialize();
       console.log('✅ Omnipotent System ready - Browser Control Total');
     } catch (error) {
@@ -172,6 +317,29 @@ class SilhouetteBrowser {
     }
   }
 
+  async initializeAgentScheduler() {
+    console.log('🕒 Initializing agent scheduler...');
+    try {
+      await this.githubIntegration.initialize();
+    } catch (error) {
+      console.error('❌ Failed to initialize GitHub integration:', error);
+    }
+    
+    this.agentScheduler.setExecutor(createTaskExecutor({
+      browserCore: this.browserCore,
+      orchestrator: this.agentOrchestrator,
+      omnipotentAPI: this.omnipotentAPI.isInitialized ? this.omnipotentAPI : null,
+      getLLM: () => this.omnipotentAPI.agent?.aiEngine?.llm || null
+    }));
+    this.agentScheduler.attachTriggerSources({
+      github: this.githubIntegration,
+      liveServer: this.nativeIntegration.liveServer,
+      testing: this.nativeIntegration
+    });
+    await this.agentScheduler.initialize();
+    console.log('✅ Agent scheduler ready');
+  }
+
   // =============================================================================
   // GESTIÓN DE VENTANAS DEL NAVEGADOR
   // =============================================================================
@@ -239,7 +407,12 @@ class SilhouetteBrowser {
 
     // Navegación bloqueada para sitios maliciosos
     this.mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-      return this.securityLayer.validateUrl(url);
+      const verdict = this.browserCore?.security.evaluate(url);
+      if (verdict && (!verdict.safe || verdict.level === 'dangerous')) {
+        console.warn('⚠️ Ventana bloqueada por seguridad:', verdict.reason);
+        return { action: 'deny' };
+      }
+      return { action: 'allow' };
     });
 
     // Actualizar título dinámicamente
@@ -293,6 +466,56 @@ class SilhouetteBrowser {
       return await this.browserCore.reloadTab(tabId);
     });
 
+    ipcMain.handle('browser:setTabContainer', async (event, tabId, containerId) => {
+      try {
+        return { success: true, changed: await this.browserCore.setTabContainer(tabId, containerId) };
+      } catch (error) {
+        console.error('❌ Set tab container error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Contenedores
+    ipcMain.handle('containers:list', async () => {
+      return this.browserCore.getContainers();
+    });
+
+    ipcMain.handle('containers:create', async (event, options) => {
+      try {
+        return { success: true, container: this.browserCore.createContainer(options) };
+      } catch (error) {
+        console.error('❌ Create container error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('containers:update', async (event, containerId, changes) => {
+      try {
+        return { success: true, container: this.browserCore.updateContainer(containerId, changes) };
+      } catch (error) {
+        console.error('❌ Update container error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('containers:remove', async (event, containerId, options) => {
+      try {
+        return { success: await this.browserCore.removeContainer(containerId, options) };
+      } catch (error) {
+        console.error('❌ Remove container error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('containers:clearData', async (event, containerId) => {
+      try {
+        return { success: await this.browserCore.clearContainerData(containerId) };
+      } catch (error) {
+        console.error('❌ Clear container data error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle('browser:getActiveTabs', async () => {
       return this.browserCore.getActiveTabs();
     });
@@ -313,6 +536,51 @@ class SilhouetteBrowser {
       return this.browserCore.getPerformanceMetrics();
     });
 
+    // Hibernación de pestañas inactivas
+    ipcMain.handle('hibernation:getSettings', async () => {
+      return this.browserCore.hibernation.getSettings();
+    });
+
+    ipcMain.handle('hibernation:updateSettings', async (event, changes) => {
+      try {
+        return { success: true, settings: this.browserCore.hibernation.updateSettings(changes) };
+      } catch (error) {
+        console.error('❌ Hibernation settings error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('hibernation:getStatus', async () => {
+      return this.browserCore.hibernation.getStatus();
+    });
+
+    ipcMain.handle('hibernation:discardTab', async (event, tabId) => {
+      try {
+        return { success: true, ...(await this.browserCore.hibernation.discard(tabId)) };
+      } catch (error) {
+        console.error('❌ Hibernation discard error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('hibernation:restoreTab', async (event, tabId) => {
+      try {
+        return { success: await this.browserCore.hibernation.restore(tabId) };
+      } catch (error) {
+        console.error('❌ Hibernation restore error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('hibernation:check', async () => {
+      try {
+        return { success: true, discarded: await this.browserCore.hibernation.check() };
+      } catch (error) {
+        console.error('❌ Hibernation check error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // Búsqueda web
     ipcMain.handle('browser:performSearch', async (event, query, engine) => {
       return await this.browserCore.performSearch(query, engine);
@@ -331,6 +599,141 @@ class SilhouetteBrowser {
       return await this.browserCore.getBookmarks();
     });
 
+    // Árbol de marcadores
+    ipcMain.handle('browser:bookmarks:getTree', async (event, folderId) => {
+      try {
+        return { success: true, tree: this.browserCore.getBookmarkTree(folderId) };
+      } catch (error) {
+        console.error('❌ Get bookmark tree error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:create', async (event, bookmark) => {
+      try {
+        const node = await this.browserCore.bookmarks.addBookmark(bookmark);
+        return { success: true, bookmark: node };
+      } catch (error) {
+        console.error('❌ Create bookmark error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:createFolder', async (event, folder) => {
+      try {
+        const node = await this.browserCore.bookmarks.createFolder(folder);
+        return { success: true, folder: node };
+      } catch (error) {
+        console.error('❌ Create bookmark folder error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:update', async (event, nodeId, changes) => {
+      try {
+        const node = await this.browserCore.bookmarks.updateNode(nodeId, changes);
+        return { success: true, node };
+      } catch (error) {
+        console.error('❌ Update bookmark error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:move', async (event, nodeId, destination) => {
+      try {
+        const node = await this.browserCore.bookmarks.moveNode(nodeId, destination);
+        return { success: true, node };
+      } catch (error) {
+        console.error('❌ Move bookmark error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:remove', async (event, nodeId) => {
+      try {
+        const removed = await this.browserCore.bookmarks.removeNode(nodeId);
+        return { success: removed };
+      } catch (error) {
+        console.error('❌ Remove bookmark error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:search', async (event, query, options) => {
+      try {
+        return this.browserCore.bookmarks.search(query, options);
+      } catch (error) {
+        console.error('❌ Search bookmarks error:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:getTags', async () => {
+      return this.browserCore.bookmarks.getTags();
+    });
+
+    ipcMain.handle('browser:bookmarks:open', async (event, bookmarkId) => {
+      try {
+        const bookmark = await this.browserCore.openBookmark(bookmarkId);
+        return { success: true, bookmark };
+      } catch (error) {
+        console.error('❌ Open bookmark error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:import', async (event, filePath, format) => {
+      try {
+        let source = filePath;
+        if (!source) {
+          const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Importar marcadores',
+            properties: ['openFile'],
+            filters: [
+              { name: 'Marcadores (HTML, JSON)', extensions: ['html', 'htm', 'json'] },
+              { name: 'Todos los archivos', extensions: ['*'] }
+            ]
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+          }
+          source = result.filePaths[0];
+        }
+
+        const summary = await this.browserCore.bookmarks.importFromFile(source, format);
+        return { success: true, ...summary };
+      } catch (error) {
+        console.error('❌ Import bookmarks error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:bookmarks:export', async (event, format, filePath) => {
+      try {
+        let target = filePath;
+        if (!target) {
+          const chrome = format === 'chrome';
+          const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Exportar marcadores',
+            defaultPath: chrome ? 'Bookmarks.json' : 'bookmarks.html',
+            filters: [chrome
+              ? { name: 'Chrome Bookmarks (JSON)', extensions: ['json'] }
+              : { name: 'Marcadores HTML (Netscape)', extensions: ['html'] }]
+          });
+          if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+          }
+          target = result.filePath;
+        }
+
+        const summary = await this.browserCore.bookmarks.exportToFile(target, format);
+        return { success: true, ...summary };
+      } catch (error) {
+        console.error('❌ Export bookmarks error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // Historial
     ipcMain.handle('browser:getHistory', async (event, limit) => {
       return await this.browserCore.getHistory(limit);
@@ -340,6 +743,35 @@ class SilhouetteBrowser {
       return await this.browserCore.clearHistory();
     });
 
+    ipcMain.handle('browser:searchHistory', async (event, query, limit) => {
+      try {
+        return await this.browserCore.searchHistory(query, limit);
+      } catch (error) {
+        console.error('❌ Search history error:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('browser:deleteHistoryRange', async (event, from, to) => {
+      try {
+        const result = await this.browserCore.deleteHistoryRange(from, to);
+        return { success: true, ...result };
+      } catch (error) {
+        console.error('❌ Delete history range error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('browser:deleteHistoryByDomain', async (event, domain) => {
+      try {
+        const result = await this.browserCore.deleteHistoryByDomain(domain);
+        return { success: true, ...result };
+      } catch (error) {
+        console.error('❌ Delete history by domain error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // Configuración
     ipcMain.handle('browser:getSettings', async () => {
       return this.browserCore.getSettings();
@@ -358,460 +790,1581 @@ class SilhouetteBrowser {
       return this.browserCore.getSecurityStatus();
     });
 
-    // Window management
-    ipcMain.handle('window:createNewWindow', async (event, url) => {
-      return await this.browserCore.createNewWindow(url);
+    ipcMain.handle('browser:getTabSecurity', async (event, tabId) => {
+      try {
+        return this.browserCore.getTabSecurity(tabId || undefined);
+      } catch (error) {
+        console.error('❌ Get tab security error:', error);
+        return null;
+      }
     });
 
-    ipcMain.handle('window:getWindowList', async () => {
-      return this.browserCore.getWindowList();
+    // Listas locales de phishing/malware y estado HSTS
+    ipcMain.handle('security:getThreatLists', async () => {
+      return this.browserCore.security.getThreatLists();
     });
 
-    ipcMain.handle('window:isWindowActive', async (event, windowId) => {
-      return this.browserCore.isWindowActive(windowId);
+    ipcMain.handle('security:addThreatList', async (event, filePath) => {
+      try {
+        let source = filePath;
+        if (!source) {
+          const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Añadir lista de amenazas',
+            properties: ['openFile'],
+            filters: [
+              { name: 'Listas de prefijos de hash', extensions: ['txt'] },
+              { name: 'Todos los archivos', extensions: ['*'] }
+            ]
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+          }
+          source = result.filePaths[0];
+        }
+
+        return { success: true, lists: await this.browserCore.security.addThreatList(source) };
+      } catch (error) {
+        console.error('❌ Add threat list error:', error);
+        return { success: false, error: error.message };
+      }
     });
 
-    // Agent control
-    ipcMain.handle('agent:executeTask', async (event, task) => {
-      return await this.agentOrchestrator.executeTask(task);
+    ipcMain.handle('security:removeThreatList', async (event, listId) => {
+      try {
+        return { success: await this.browserCore.security.removeThreatList(listId) };
+      } catch (error) {
+        console.error('❌ Remove threat list error:', error);
+        return { success: false, error: error.message };
+      }
     });
 
-    ipcMain.handle('agent:getTeamStatus', async () => {
-      return await this.agentOrchestrator.getTeamStatus();
+    ipcMain.handle('security:reloadThreatLists', async () => {
+      try {
+        return { success: true, lists: await this.browserCore.security.reloadThreatLists() };
+      } catch (error) {
+        console.error('❌ Reload threat lists error:', error);
+        return { success: false, error: error.message };
+      }
     });
 
-    // Extension management
-    ipcMain.handle('extension:create', async (event, requirements) => {
-      return await this.extensionEngine.createExtension(requirements);
+    ipcMain.handle('security:getHstsHosts', async () => {
+      return this.browserCore.security.getHstsHosts();
     });
 
-    ipcMain.handle('extension:install', async (event, extensionId) => {
-      return await this.extensionEngine.installExtension(extensionId);
+    // Vista de lectura
+    ipcMain.handle('reader:toggle', async (event, tabId, options) => {
+      try {
+        return { success: true, state: await this.browserCore.reader.toggle(tabId, options) };
+      } catch (error) {
+        console.error('❌ Reader toggle error:', error);
+        return { success: false, error: error.message };
+      }
     });
 
-    ipcMain.handle('extension:getInstalled', async () => {
-      return await this.extensionEngine.getInstalledExtensions();
+    ipcMain.handle('reader:open', async (event, tabId, options) => {
+      try {
+        return { success: true, state: await this.browserCore.reader.open(tabId, options) };
+      } catch (error) {
+        console.error('❌ Reader open error:', error);
+        return { success: false, error: error.message };
+      }
     });
 
-    // Omnipotent System Control (actualizado para BrowserView)
-    ipcMain.handle('omnipotent:executeCommand', async (event, commandData) => {
+    ipcMain.handle('reader:close', async (event, tabId) => {
       try {
-        const { command, tabId } = commandData;
-        console.log('🤖 Executing omnipotent command in BrowserView:', command);
-        
-        // Obtener tab activo si no se especifica
-        let targetTabId = tabId;
-        if (!targetTabId && this.mainWindow) {
-          targetTabId = this.browserCore.tabManager.activeTabId;
-        }
-        
-        // Ejecutar comando en el contexto del navegador
-        const result = await this.omnipotentAPI.executeOmnipotentTask({
-          description: command,
-          browserViewContext: {
-            tabId: targetTabId,
-            windowId: 'main'
+        return { success: await this.browserCore.reader.close(tabId) };
+      } catch (error) {
+        console.error('❌ Reader close error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('reader:getState', async (event, tabId) => {
+      return this.browserCore.reader.getState(tabId);
+    });
+
+    ipcMain.handle('reader:extract', async (event, tabId) => {
+      try {
+        return { success: true, article: await this.browserCore.reader.extract(tabId) };
+      } catch (error) {
+        console.error('❌ Reader extract error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('reader:getPreferences', async () => {
+      return this.browserCore.reader.getPreferences();
+    });
+
+    ipcMain.handle('reader:updatePreferences', async (event, changes, tabId) => {
+      try {
+        return { success: true, preferences: await this.browserCore.reader.updatePreferences(changes, tabId) };
+      } catch (error) {
+        console.error('❌ Reader preferences error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('reader:save', async (event, format = 'markdown', tabId, filePath) => {
+      try {
+        let target = filePath;
+        if (!target) {
+          const state = this.browserCore.reader.getState(tabId);
+          const title = state.title || this.browserCore.getCurrentTitle();
+          const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Guardar artículo',
+            defaultPath: path.join(app.getPath('documents'), ReaderMode.suggestFileName(title, format)),
+            filters: format === 'markdown'
+              ? [{ name: 'Markdown', extensions: ['md'] }]
+              : [{ name: 'Página HTML', extensions: ['html'] }]
+          });
+          if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
           }
-        });
-        
-        return {
-          success: true,
-          result: result,
-          timestamp: new Date().toISOString()
-        };
+          target = result.filePath;
+        }
+
+        return { success: true, ...(await this.browserCore.reader.saveArticle(tabId, format, target)) };
       } catch (error) {
-        console.error('❌ Omnipotent command error:', error);
-        return {
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
+        console.error('❌ Reader save error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:getStatus', async () => {
+    // Búsqueda en la página y en todas las pestañas
+    ipcMain.handle('find:start', async (event, text, options, tabId) => {
       try {
-        return await this.omnipotentAPI.getStatus();
+        return { success: true, result: await this.browserCore.findInPage.find(tabId, text, options) };
       } catch (error) {
-        console.error('❌ Omnipotent status error:', error);
-        return {
-          success: false,
-          error: error.message
-        };
+        console.error('❌ Find in page error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:navigateAndExtract', async (event, data) => {
+    ipcMain.handle('find:next', async (event, tabId) => {
       try {
-        const { url, task } = data;
-        console.log('🤖 Navigating and extracting in BrowserView:', url, task);
-        
-        // Crear nueva tab y ejecutar en ella
-        const tabId = await this.browserCore.createNewTab(url, { active: true });
-        
-        const result = await this.omnipotentAPI.executeOmnipotentTask({
-          description: task,
-          browserViewContext: {
-            tabId,
-            windowId: 'main'
+        return { success: true, result: await this.browserCore.findInPage.next(tabId) };
+      } catch (error) {
+        console.error('❌ Find next error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('find:previous', async (event, tabId) => {
+      try {
+        return { success: true, result: await this.browserCore.findInPage.previous(tabId) };
+      } catch (error) {
+        console.error('❌ Find previous error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('find:stop', async (event, tabId, action) => {
+      try {
+        return { success: await this.browserCore.findInPage.stop(tabId, action) };
+      } catch (error) {
+        console.error('❌ Stop find error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('find:getState', async (event, tabId) => {
+      return this.browserCore.findInPage.getState(tabId);
+    });
+
+    ipcMain.handle('find:searchTabs', async (event, query, options = {}) => {
+      try {
+        // Por defecto se busca en la ventana desde la que se hace la consulta
+        const windowId = options.windowId ||
+          this.browserCore.tabManager.getWindowId(BrowserWindow.fromWebContents(event.sender));
+        return { success: true, ...(await this.browserCore.searchTabs(query, { ...options, windowId })) };
+      } catch (error) {
+        console.error('❌ Search tabs error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('find:openResult', async (event, tabId, query, options) => {
+      try {
+        return { success: true, result: await this.browserCore.openSearchResult(tabId, query, options) };
+      } catch (error) {
+        console.error('❌ Open search result error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Sesiones
+    ipcMain.handle('session:list', async () => {
+      try {
+        return await this.browserCore.listSessions();
+      } catch (error) {
+        console.error('❌ List sessions error:', error);
+        return { recent: [], named: [] };
+      }
+    });
+
+    ipcMain.handle('session:restoreLast', async () => {
+      try {
+        const result = await this.browserCore.restoreLastSession();
+        return { success: !!result, result };
+      } catch (error) {
+        console.error('❌ Restore last session error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('session:restore', async (event, kind, sessionId) => {
+      try {
+        const result = await this.browserCore.restoreSession(kind, sessionId);
+        return { success: true, result };
+      } catch (error) {
+        console.error('❌ Restore session error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('session:save', async (event, name) => {
+      try {
+        const sessionId = await this.browserCore.saveNamedSession(name);
+        return { success: true, sessionId };
+      } catch (error) {
+        console.error('❌ Save session error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('session:delete', async (event, kind, sessionId) => {
+      try {
+        await this.browserCore.deleteSession(kind, sessionId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Delete session error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Window management
+    ipcMain.handle('window:createNewWindow', async (event, url) => {
+      return await this.browserCore.createNewWindow(url);
+    });
+
+    ipcMain.handle('window:getWindowList', async () => {
+      return this.browserCore.getWindowList();
+    });
+
+    ipcMain.handle('window:isWindowActive', async (event, windowId) => {
+      return this.browserCore.isWindowActive(windowId);
+    });
+
+    // Descargas
+    ipcMain.handle('downloads:list', async (event, filter) => {
+      return this.browserCore.getDownloads(filter);
+    });
+
+    ipcMain.handle('downloads:start', async (event, url, options = {}) => {
+      try {
+        // Un directorio fuera del de descargas solo si el usuario lo elige aquí
+        if (options.chooseDirectory) {
+          const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Guardar descarga en',
+            properties: ['openDirectory', 'createDirectory']
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
           }
-        });
-        
-        return {
-          success: true,
-          result: result,
-          timestamp: new Date().toISOString()
-        };
+          this.browserCore.downloads.allowDirectory(result.filePaths[0]);
+          options = { ...options, directory: result.filePaths[0] };
+        }
+
+        const { id, download } = await this.browserCore.startDownload(url, { ...options, initiator: 'user' });
+        return { success: true, id, download };
       } catch (error) {
-        console.error('❌ Navigate and extract error:', error);
-        return {
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
+        console.error('❌ Start download error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    // Nuevos métodos omnipotentes para BrowserView
-    ipcMain.handle('omnipotent:getActiveTab', async () => {
+    ipcMain.handle('downloads:pause', async (event, downloadId) => {
+      return { success: this.browserCore.downloads.pause(downloadId) };
+    });
+
+    ipcMain.handle('downloads:resume', async (event, downloadId) => {
       try {
-        return this.browserCore.tabManager.activeTabId;
+        return { success: await this.browserCore.downloads.resume(downloadId) };
       } catch (error) {
-        console.error('❌ Get active tab error:', error);
-        return null;
+        console.error('❌ Resume download error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:executeInTab', async (event, tabId, task) => {
+    ipcMain.handle('downloads:cancel', async (event, downloadId) => {
+      return { success: this.browserCore.downloads.cancel(downloadId) };
+    });
+
+    ipcMain.handle('downloads:remove', async (event, downloadId) => {
       try {
-        console.log(`🤖 Executing task in tab ${tabId}:`, task);
-        
-        const result = await this.omnipotentAPI.executeOmnipotentTask({
-          description: task,
-          browserViewContext: {
-            tabId,
-            windowId: 'main'
+        return { success: this.browserCore.downloads.removeFromHistory(downloadId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('downloads:clearHistory', async () => {
+      return { success: true, removed: this.browserCore.downloads.clearHistory() };
+    });
+
+    ipcMain.handle('downloads:open', async (event, downloadId) => {
+      const download = this.browserCore.downloads.getDownload(downloadId);
+      if (!download?.savePath || download.state !== 'completed') {
+        return { success: false, error: 'Download not available' };
+      }
+      const error = await shell.openPath(download.savePath);
+      return { success: !error, error: error || undefined };
+    });
+
+    ipcMain.handle('downloads:showInFolder', async (event, downloadId) => {
+      const download = this.browserCore.downloads.getDownload(downloadId);
+      if (!download?.savePath) {
+        return { success: false, error: 'Download not available' };
+      }
+      shell.showItemInFolder(download.savePath);
+      return { success: true };
+    });
+
+    ipcMain.handle('downloads:getRules', async () => {
+      return this.browserCore.downloads.getRules();
+    });
+
+    ipcMain.handle('downloads:setRules', async (event, rules) => {
+      try {
+        return { success: true, rules: this.browserCore.downloads.setRules(rules) };
+      } catch (error) {
+        console.error('❌ Set download rules error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('downloads:updateSettings', async (event, changes) => {
+      return { success: true, settings: this.browserCore.downloads.updateSettings(changes) };
+    });
+
+    // Bloqueo de contenido
+    ipcMain.handle('contentblocker:getStats', async () => {
+      return this.browserCore.contentBlocker.getStats();
+    });
+
+    ipcMain.handle('contentblocker:getTabStats', async (event, tabId) => {
+      return this.browserCore.contentBlocker.getTabStats(tabId || this.browserCore.tabManager.activeTabId);
+    });
+
+    ipcMain.handle('contentblocker:updateSettings', async (event, changes) => {
+      return { success: true, settings: this.browserCore.contentBlocker.updateSettings(changes) };
+    });
+
+    ipcMain.handle('contentblocker:getLists', async () => {
+      return this.browserCore.contentBlocker.getLists();
+    });
+
+    ipcMain.handle('contentblocker:addList', async (event, filePath) => {
+      try {
+        let source = filePath;
+        if (!source) {
+          const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Añadir lista de filtros',
+            properties: ['openFile'],
+            filters: [
+              { name: 'Listas de filtros (Adblock Plus)', extensions: ['txt'] },
+              { name: 'Todos los archivos', extensions: ['*'] }
+            ]
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
           }
-        });
-        
-        return {
-          success: true,
-          result: result,
-          timestamp: new Date().toISOString()
-        };
+          source = result.filePaths[0];
+        }
+
+        return { success: true, list: await this.browserCore.contentBlocker.addList(source) };
       } catch (error) {
-        console.error(`❌ Execute in tab error:`, error);
-        return {
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
+        console.error('❌ Add filter list error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:getAllTabs', async () => {
+    ipcMain.handle('contentblocker:removeList', async (event, listId) => {
+      return { success: await this.browserCore.contentBlocker.removeList(listId) };
+    });
+
+    ipcMain.handle('contentblocker:setListEnabled', async (event, listId, enabled) => {
       try {
-        return this.browserCore.getActiveTabs();
+        return { success: true, list: await this.browserCore.contentBlocker.setListEnabled(listId, enabled) };
       } catch (error) {
-        console.error('❌ Get all tabs error:', error);
-        return [];
+        console.error('❌ Toggle filter list error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('contentblocker:reloadLists', async () => {
+      try {
+        return { success: true, filters: await this.browserCore.contentBlocker.reloadLists() };
+      } catch (error) {
+        console.error('❌ Reload filter lists error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('contentblocker:getAllowlist', async () => {
+      return this.browserCore.contentBlocker.getAllowlist();
+    });
+
+    ipcMain.handle('contentblocker:allowSite', async (event, site) => {
+      try {
+        return { success: true, allowlist: this.browserCore.contentBlocker.allowSite(site) };
+      } catch (error) {
+        console.error('❌ Allow site error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('contentblocker:disallowSite', async (event, site) => {
+      return { success: this.browserCore.contentBlocker.disallowSite(site) };
+    });
+
+    // Permisos por sitio
+    ipcMain.handle('site:getPermissions', async (event, origin) => {
+      try {
+        return { success: true, ...this.securityLayer.siteSettings.getSitePermissions(origin) };
+      } catch (error) {
+        console.error('❌ Get site permissions error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('site:setPermission', async (event, origin, permission, value) => {
+      try {
+        return { success: true, ...this.securityLayer.siteSettings.setPermission(origin, permission, value) };
+      } catch (error) {
+        console.error('❌ Set site permission error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('site:resetPermissions', async (event, origin, permission) => {
+      return { success: this.securityLayer.siteSettings.resetSite(origin, permission) };
+    });
+
+    ipcMain.handle('site:listSites', async () => {
+      return this.securityLayer.siteSettings.listSites();
+    });
+
+    ipcMain.handle('site:getDefaults', async () => {
+      return this.securityLayer.siteSettings.getDefaults();
+    });
+
+    ipcMain.handle('site:setDefault', async (event, permission, value) => {
+      try {
+        return { success: true, defaults: this.securityLayer.siteSettings.setDefault(permission, value) };
+      } catch (error) {
+        console.error('❌ Set default permission error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Cookies
+    // scope: { tabId } o { containerId }; sin él, la sesión por defecto
+    ipcMain.handle('cookies:listSites', async (event, scope) => {
+      try {
+        return { success: true, sites: await this.securityLayer.cookies.listSites(scope) };
+      } catch (error) {
+        console.error('❌ List cookie sites error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cookies:list', async (event, origin, scope) => {
+      try {
+        return { success: true, cookies: await this.securityLayer.cookies.getCookies(origin, scope) };
+      } catch (error) {
+        console.error('❌ List cookies error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cookies:set', async (event, cookie, scope) => {
+      try {
+        return { success: true, cookie: await this.securityLayer.cookies.setCookie(cookie, scope) };
+      } catch (error) {
+        console.error('❌ Set cookie error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cookies:remove', async (event, cookie, scope) => {
+      try {
+        return { success: await this.securityLayer.cookies.removeCookie(cookie, scope) };
+      } catch (error) {
+        console.error('❌ Remove cookie error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('cookies:clearSite', async (event, origin, scope) => {
+      try {
+        return { success: true, removed: await this.securityLayer.cookies.clearSite(origin, scope) };
+      } catch (error) {
+        console.error('❌ Clear site cookies error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Agent control
+    // Un plan fallido vuelve con el estado de cada paso para poder editarlo y relanzarlo
+    ipcMain.handle('agent:executeTask', async (event, task) => {
+      try {
+        return await this.agentOrchestrator.executeTask(task);
+      } catch (error) {
+        console.error('❌ Agent task error:', error);
+        return {
+          success: false,
+          error: error.message,
+          traceId: error.traceId || null,
+          ...(error.plan ? { plan: error.plan, steps: error.run.steps.map(({ result, ...step }) => step) } : {})
+        };
+      }
+    });
+
+    ipcMain.handle('agent:createPlan', async (event, task) => {
+      try {
+        return { success: true, plan: this.agentOrchestrator.createPlan(task) };
+      } catch (error) {
+        console.error('❌ Create agent plan error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('agent:getTeamStatus', async () => {
+      return await this.agentOrchestrator.getTeamStatus();
+    });
+
+    // Aprobaciones de acciones con riesgo de los agentes
+    ipcMain.handle('agent:respondApproval', async (event, requestId, decision) => {
+      try {
+        this.securityLayer.agentApprovals.respond(requestId, decision);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Respond agent approval error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('agent:getPendingApprovals', async () => {
+      return { success: true, requests: this.securityLayer.agentApprovals.getPending() };
+    });
+
+    ipcMain.handle('agent:getApprovalRules', async () => {
+      return { success: true, rules: this.securityLayer.agentApprovals.getRules() };
+    });
+
+    ipcMain.handle('agent:setApprovalPolicy', async (event, category, value) => {
+      try {
+        return { success: true, rules: this.securityLayer.agentApprovals.setPolicy(category, value) };
+      } catch (error) {
+        console.error('❌ Set approval policy error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('agent:revokeApprovalRule', async (event, site, category) => {
+      try {
+        return { success: true, rules: this.securityLayer.agentApprovals.revokeSiteRule(site, category) };
+      } catch (error) {
+        console.error('❌ Revoke approval rule error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Trazas de ejecución de los agentes
+    ipcMain.handle('agent:listTraces', async (event, filter = {}) => {
+      return { success: true, traces: this.browserCore.agentTraces.listTraces(filter) };
+    });
+
+    ipcMain.handle('agent:getTrace', async (event, traceId) => {
+      try {
+        const trace = await this.browserCore.agentTraces.getTrace(traceId);
+        if (!trace) {
+          throw new Error(`Traza no encontrada: ${traceId}`);
+        }
+        return { success: true, trace };
+      } catch (error) {
+        console.error('❌ Get agent trace error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('agent:deleteTrace', async (event, traceId) => {
+      try {
+        return { success: await this.browserCore.agentTraces.deleteTrace(traceId) };
+      } catch (error) {
+        console.error('❌ Delete agent trace error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Cada tipo de traza lo relanza el agente que la grabó
+    ipcMain.handle('agent:rerunTrace', async (event, traceId, fromStepId = null) => {
+      try {
+        const trace = await this.browserCore.agentTraces.getTrace(traceId);
+        if (!trace) {
+          throw new Error(`Traza no encontrada: ${traceId}`);
+        }
+        const result = trace.kind === 'orchestrator'
+          ? await this.agentOrchestrator.rerunTrace(traceId, fromStepId)
+          : await this.omnipotentAPI.rerunTrace(traceId, fromStepId, {
+            onStep: (step) => {
+              if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+                this.mainWindow.webContents.send('omnipotent:agentStep', step);
+              }
+            }
+          });
+        return { success: true, result };
+      } catch (error) {
+        console.error('❌ Rerun agent trace error:', error);
+        return { success: false, error: error.message, traceId: error.traceId || null };
+      }
+    });
+
+    // Memoria a largo plazo de los agentes: el usuario la consulta, corrige y olvida
+    ipcMain.handle('agent:listMemories', async (event, filter = {}) => {
+      const memory = this.browserCore.agentMemory;
+      return { success: true, memories: memory.list(filter), stats: memory.getStats() };
+    });
+
+    ipcMain.handle('agent:updateMemory', async (event, memoryId, changes) => {
+      try {
+        return { success: true, memory: this.browserCore.agentMemory.update(memoryId, changes) };
+      } catch (error) {
+        console.error('❌ Update agent memory error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('agent:forgetMemory', async (event, memoryId) => {
+      return { success: this.browserCore.agentMemory.forget(memoryId) };
+    });
+
+    ipcMain.handle('agent:forgetMemories', async (event, filter = {}) => {
+      return { success: true, count: this.browserCore.agentMemory.forgetAll(filter) };
+    });
+
+    // Vigilancia de cambios en páginas
+    ipcMain.handle('watcher:list', async () => {
+      return { success: true, watchers: this.browserCore.pageWatcher.list() };
+    });
+
+    ipcMain.handle('watcher:create', async (event, definition) => {
+      try {
+        return { success: true, watcher: this.browserCore.pageWatcher.create(definition) };
+      } catch (error) {
+        console.error('❌ Create page watcher error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('watcher:update', async (event, watcherId, changes) => {
+      try {
+        return { success: true, watcher: this.browserCore.pageWatcher.update(watcherId, changes) };
+      } catch (error) {
+        console.error('❌ Update page watcher error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('watcher:remove', async (event, watcherId) => {
+      return { success: await this.browserCore.pageWatcher.remove(watcherId) };
+    });
+
+    ipcMain.handle('watcher:checkNow', async (event, watcherId) => {
+      try {
+        return { success: true, result: await this.browserCore.pageWatcher.checkNow(watcherId) };
+      } catch (error) {
+        console.error('❌ Check page watcher error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('watcher:getHistory', async (event, watcherId) => {
+      try {
+        return { success: true, versions: await this.browserCore.pageWatcher.getHistory(watcherId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('watcher:getVersion', async (event, watcherId, versionId) => {
+      try {
+        const version = await this.browserCore.pageWatcher.getVersion(watcherId, versionId);
+        return version ? { success: true, version } : { success: false, error: 'Versión no encontrada' };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Tareas programadas
+    ipcMain.handle('scheduler:listTasks', async () => {
+      return { success: true, tasks: this.agentScheduler.listTasks() };
+    });
+
+    ipcMain.handle('scheduler:getTask', async (event, taskId) => {
+      const task = this.agentScheduler.getTask(taskId);
+      return task ? { success: true, task } : { success: false, error: 'Tarea no encontrada' };
+    });
+
+    ipcMain.handle('scheduler:createTask', async (event, definition) => {
+      try {
+        return { success: true, task: this.agentScheduler.createTask(definition) };
+      } catch (error) {
+        console.error('❌ Create scheduled task error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('scheduler:updateTask', async (event, taskId, changes) => {
+      try {
+        return { success: true, task: this.agentScheduler.updateTask(taskId, changes) };
+      } catch (error) {
+        console.error('❌ Update scheduled task error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('scheduler:deleteTask', async (event, taskId) => {
+      return { success: this.agentScheduler.deleteTask(taskId) };
+    });
+
+    ipcMain.handle('scheduler:pauseTask', async (event, taskId) => {
+      try {
+        return { success: true, task: this.agentScheduler.pauseTask(taskId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('scheduler:resumeTask', async (event, taskId) => {
+      try {
+        return { success: true, task: this.agentScheduler.resumeTask(taskId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('scheduler:runNow', async (event, taskId) => {
+      try {
+        return { success: this.agentScheduler.runNow(taskId) };
+      } catch (error) {
+        console.error('❌ Run scheduled task error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('scheduler:cancelRun', async (event, taskId) => {
+      return { success: this.agentScheduler.cancelRun(taskId) };
+    });
+
+    // Extension management
+    ipcMain.handle('extension:create', async (event, requirements) => {
+      return await this.extensionEngine.createExtension(requirements);
+    });
+
+    ipcMain.handle('extension:install', async (event, extensionId) => {
+      return await this.extensionEngine.installExtension(extensionId);
+    });
+
+    ipcMain.handle('extension:getInstalled', async () => {
+      return await this.extensionEngine.getInstalledExtensions();
+    });
+
+    // Omnipotent System Control (actualizado para BrowserView)
+    ipcMain.handle('omnipotent:executeCommand', async (event, commandData) => {
+      try {
+        const { command, tabId } = commandData;
+        console.log('🤖 Executing omnipotent command in BrowserView:', command);
+        
+        // Obtener tab activo si no se especifica
+        let targetTabId = tabId;
+        if (!targetTabId && this.mainWindow) {
+          targetTabId = this.browserCore.tabManager.activeTabId;
+        }
+        
+        // Ejecutar comando en el contexto del navegador
+        const result = await this.omnipotentAPI.executeOmnipotentTask({
+          description: command,
+          browserViewContext: {
+            tabId: targetTabId,
+            windowId: 'main'
+          }
+        });
+        
+        return {
+          success: true,
+          result: result,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        console.error('❌ Omnipotent command error:', error);
+        return {
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        };
+      }
+    });
+
+    ipcMain.handle('omnipotent:getStatus', async () => {
+      try {
+        return await this.omnipotentAPI.getStatus();
+      } catch (error) {
+        console.error('❌ Omnipotent status error:', error);
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+    });
+
+    ipcMain.handle('omnipotent:navigateAndExtract', async (event, data) => {
+      try {
+        const { url, task } = data;
+        console.log('🤖 Navigating and extracting in BrowserView:', url, task);
+        
+        // Crear nueva tab y ejecutar en ella
+        const tabId = await this.browserCore.createNewTab(url, { active: true });
+        
+        // Texto limpio del artículo con el mismo extractor que la vista de lectura;
+        // la pestaña recién creada ya cargó la URL (y sus redirecciones)
+        const article = await this.browserCore.reader.extract(tabId);
+        
+        const result = task ? await this.omnipotentAPI.executeOmnipotentTask({
+          description: task,
+          browserViewContext: {
+            tabId,
+            windowId: 'main',
+            article: { title: article.title, url: article.url, text: article.textContent }
+          }
+        }) : null;
+        
+        return {
+          success: true,
+          result: result,
+          article: {
+            url: article.url,
+            title: article.title,
+            byline: article.byline,
+            siteName: article.siteName,
+            publishedTime: article.publishedTime,
+            excerpt: article.excerpt,
+            text: article.textContent,
+            headings: article.headings,
+            wordCount: article.wordCount,
+            readingTime: article.readingTime
+          },
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        console.error('❌ Navigate and extract error:', error);
+        return {
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        };
+      }
+    });
+
+    // Nuevos métodos omnipotentes para BrowserView
+    ipcMain.handle('omnipotent:getActiveTab', async () => {
+      try {
+        return this.browserCore.tabManager.activeTabId;
+      } catch (error) {
+        console.error('❌ Get active tab error:', error);
+        return null;
+      }
+    });
+
+    ipcMain.handle('omnipotent:executeInTab', async (event, tabId, task) => {
+      try {
+        console.log(`🤖 Executing task in tab ${tabId}:`, task);
+        
+        const result = await this.omnipotentAPI.executeOmnipotentTask({
+          description: task,
+          browserViewContext: {
+            tabId,
+            windowId: 'main'
+          }
+        });
+        
+        return {
+          success: true,
+          result: result,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        console.error(`❌ Execute in tab error:`, error);
+        return {
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        };
+      }
+    });
+
+    // Navegación autónoma: cada paso llega al renderer con su captura
+    ipcMain.handle('omnipotent:autonomousNavigation', async (event, url, goal, options = {}) => {
+      try {
+        const result = await this.omnipotentAPI.autonomousNavigation(url, goal, {
+          tabId: options.tabId,
+          maxSteps: options.maxSteps,
+          timeoutMs: options.timeoutMs,
+          onStep: (step) => {
+            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+              this.mainWindow.webContents.send('omnipotent:agentStep', step);
+            }
+          }
+        });
+        return result;
+      } catch (error) {
+        console.error('❌ Autonomous navigation error:', error);
+        return { success: false, status: 'failed', error: error.message, steps: [] };
+      }
+    });
+
+    ipcMain.handle('omnipotent:cancelAutonomousNavigation', async (event, runId) => {
+      try {
+        return { success: this.omnipotentAPI.cancelAutonomousNavigation(runId) };
+      } catch (error) {
+        console.error('❌ Cancel autonomous navigation error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Extracción estructurada: cada página leída llega al renderer como progreso.
+    // Para escribir un fichero sin ruta (options.saveAs, o siempre en SQLite) se pregunta dónde
+    ipcMain.handle('omnipotent:extractData', async (event, spec, format = 'structured', options = {}) => {
+      try {
+        let output = options.output || null;
+        if (!output && (format === 'sqlite' || (options.saveAs && format !== 'structured'))) {
+          const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Guardar datos extraídos',
+            defaultPath: path.join(app.getPath('documents'), `extraccion-${new Date().toISOString().slice(0, 10)}.${format}`),
+            filters: [{ name: format.toUpperCase(), extensions: [format] }]
+          });
+          if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+          }
+          output = result.filePath;
+        }
+
+        const result = await this.omnipotentAPI.extractData(spec, format, {
+          tabId: options.tabId,
+          output,
+          table: options.table,
+          onPage: (page) => {
+            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+              this.mainWindow.webContents.send('omnipotent:extractionProgress', page);
+            }
+          }
+        });
+        return result;
+      } catch (error) {
+        console.error('❌ Extract data error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:getAllTabs', async () => {
+      try {
+        return this.browserCore.getActiveTabs();
+      } catch (error) {
+        console.error('❌ Get all tabs error:', error);
+        return [];
+      }
+    });
+
+    ipcMain.handle('omnipotent:switchAndExecute', async (event, tabId, task) => {
+      try {
+        console.log(`🤖 Switching to tab ${tabId} and executing:`, task);
+        
+        // Cambiar a la tab
+        await this.browserCore.switchToTab(tabId);
+        
+        // Ejecutar tarea
+        const result = await this.omnipotentAPI.executeOmnipotentTask({
+          description: task,
+          browserViewContext: {
+            tabId,
+            windowId: 'main'
+          }
+        });
+        
+        return {
+          success: true,
+          result: result,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        console.error(`❌ Switch and execute error:`, error);
+        return {
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        };
+      }
+    });
+
+    // =============================================================================
+    // OMNIPOTENT TAB GROUPS METHODS
+    // =============================================================================
+
+    ipcMain.handle('omnipotent:createTabGroup', async (event, name, options) => {
+      try {
+        const groupId = await this.browserCore.createTabGroup(name, options);
+        return { success: true, groupId };
+      } catch (error) {
+        console.error('❌ Create tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:createAgentTabGroup', async (event, taskData) => {
+      try {
+        const groupId = await this.browserCore.createAgentTabGroup(taskData);
+        return { success: true, groupId };
+      } catch (error) {
+        console.error('❌ Create agent tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:addTabToGroup', async (event, groupId, tabId) => {
+      try {
+        await this.browserCore.addTabToGroup(groupId, tabId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Add tab to group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:removeTabFromGroup', async (event, tabId) => {
+      try {
+        await this.browserCore.removeTabFromGroup(tabId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Remove tab from group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:activateTabGroup', async (event, groupId) => {
+      try {
+        await this.browserCore.activateTabGroup(groupId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Activate tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:executeAgentGroupTask', async (event, groupId, task) => {
+      try {
+        const result = await this.browserCore.executeAgentGroupTask(groupId, task);
+        return { success: true, result };
+      } catch (error) {
+        console.error('❌ Execute agent group task error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:performAutoTabGrouping', async () => {
+      try {
+        const result = await this.browserCore.performAutoTabGrouping();
+        return { success: !result?.error, ...result };
+      } catch (error) {
+        console.error('❌ Perform auto tab grouping error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:getTabGroups', async () => {
+      try {
+        return this.browserCore.getAllTabGroups();
+      } catch (error) {
+        console.error('❌ Get tab groups error:', error);
+        return [];
+      }
+    });
+
+    // Métodos combinados para IA omnipotente
+    ipcMain.handle('omnipotent:organizeWorkspaceWithAI', async (event, purpose) => {
+      try {
+        // Implementar lógica de organización inteligente
+        return await this.omnipotentAPI.organizeWorkspaceWithAI(purpose);
+      } catch (error) {
+        console.error('❌ Organize workspace with AI error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:createTaskFocusedGroup', async (event, taskDescription) => {
+      try {
+        return await this.omnipotentAPI.createTaskFocusedGroup(taskDescription);
+      } catch (error) {
+        console.error('❌ Create task focused group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('omnipotent:intelligentTabManagement', async () => {
+      try {
+        return await this.omnipotentAPI.intelligentTabManagement();
+      } catch (error) {
+        console.error('❌ Intelligent tab management error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // =============================================================================
+    // TAB GROUPS MANAGEMENT - GRUPOS DE PESTAÑAS
+    // =============================================================================
+
+    // Crear grupo de pestañas
+    ipcMain.handle('tabgroups:create', async (event, name, options) => {
+      try {
+        const groupId = await this.browserCore.createTabGroup(name, options);
+        return { success: true, groupId };
+      } catch (error) {
+        console.error('❌ Create tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Crear grupo automático por IA
+    ipcMain.handle('tabgroups:createAi', async (event, categorizedTabs) => {
+      try {
+        const groupId = await this.browserCore.createAiTabGroup(categorizedTabs);
+        return { success: true, groupId };
+      } catch (error) {
+        console.error('❌ Create AI tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Crear grupo de agente
+    ipcMain.handle('tabgroups:createAgent', async (event, taskData) => {
+      try {
+        const groupId = await this.browserCore.createAgentTabGroup(taskData);
+        return { success: true, groupId };
+      } catch (error) {
+        console.error('❌ Create agent tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Eliminar grupo de pestañas
+    ipcMain.handle('tabgroups:delete', async (event, groupId) => {
+      try {
+        await this.browserCore.deleteTabGroup(groupId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Delete tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Activar grupo de pestañas
+    ipcMain.handle('tabgroups:activate', async (event, groupId) => {
+      try {
+        await this.browserCore.activateTabGroup(groupId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Activate tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Desactivar grupo de pestañas
+    ipcMain.handle('tabgroups:deactivate', async (event, groupId) => {
+      try {
+        await this.browserCore.deactivateTabGroup(groupId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Deactivate tab group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Obtener todos los grupos
+    ipcMain.handle('tabgroups:getAll', async () => {
+      try {
+        return this.browserCore.getAllTabGroups();
+      } catch (error) {
+        console.error('❌ Get all tab groups error:', error);
+        return [];
+      }
+    });
+
+    // Obtener grupo específico
+    ipcMain.handle('tabgroups:get', async (event, groupId) => {
+      try {
+        return this.browserCore.getTabGroup(groupId);
+      } catch (error) {
+        console.error('❌ Get tab group error:', error);
+        return null;
+      }
+    });
+
+    // Obtener grupo activo
+    ipcMain.handle('tabgroups:getActive', async () => {
+      try {
+        return this.browserCore.getActiveTabGroup();
+      } catch (error) {
+        console.error('❌ Get active tab group error:', error);
+        return null;
+      }
+    });
+
+    // Agregar pestaña a grupo
+    ipcMain.handle('tabgroups:addTab', async (event, groupId, tabId) => {
+      try {
+        await this.browserCore.addTabToGroup(groupId, tabId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Add tab to group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Fijar contenedor del grupo
+    ipcMain.handle('tabgroups:setContainer', async (event, groupId, containerId) => {
+      try {
+        await this.browserCore.setTabGroupContainer(groupId, containerId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Set group container error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Remover pestaña de grupo
+    ipcMain.handle('tabgroups:removeTab', async (event, tabId) => {
+      try {
+        await this.browserCore.removeTabFromGroup(tabId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Remove tab from group error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Mover pestaña entre grupos
+    ipcMain.handle('tabgroups:moveTab', async (event, tabId, fromGroupId, toGroupId) => {
+      try {
+        await this.browserCore.moveTabToGroup(tabId, fromGroupId, toGroupId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ Move tab between groups error:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Ejecutar tarea en grupo de agente
+    ipcMain.handle('tabgroups:executeAgentTask', async (event, groupId, task) => {
+      try {
+        const result = await this.browserCore.executeAgentGroupTask(groupId, task);
+        return { success: true, result };
+      } catch (error) {
+        console.error('❌ Execute agent group task error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:switchAndExecute', async (event, tabId, task) => {
+    // Cancelar una ejecución (runId) o todas las de un grupo (groupId)
+    ipcMain.handle('tabgroups:cancelAgentTask', async (event, id) => {
       try {
-        console.log(`🤖 Switching to tab ${tabId} and executing:`, task);
-        
-        // Cambiar a la tab
-        await this.browserCore.switchToTab(tabId);
-        
-        // Ejecutar tarea
-        const result = await this.omnipotentAPI.executeOmnipotentTask({
-          description: task,
-          browserViewContext: {
-            tabId,
-            windowId: 'main'
-          }
-        });
-        
-        return {
-          success: true,
-          result: result,
-          timestamp: new Date().toISOString()
-        };
+        const cancelled = this.browserCore.cancelAgentGroupTask(id);
+        return { success: cancelled > 0, cancelled };
       } catch (error) {
-        console.error(`❌ Switch and execute error:`, error);
-        return {
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
+        console.error('❌ Cancel agent group task error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    // =============================================================================
-    // OMNIPOTENT TAB GROUPS METHODS
-    // =============================================================================
-
-    ipcMain.handle('omnipotent:createTabGroup', async (event, name, options) => {
+    ipcMain.handle('tabgroups:getAgentTaskRuns', async (event, groupId) => {
       try {
-        const groupId = await this.browserCore.createTabGroup(name, options);
-        return { success: true, groupId };
+        return { success: true, runs: this.browserCore.getAgentGroupTaskRuns(groupId) };
       } catch (error) {
-        console.error('❌ Create tab group error:', error);
+        console.error('❌ Get agent task runs error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:createAgentTabGroup', async (event, taskData) => {
+    // Macros grabadas en pestañas y reproducidas en todo el grupo
+    ipcMain.handle('tabgroups:startMacroRecording', async (event, tabId) => {
       try {
-        const groupId = await this.browserCore.createAgentTabGroup(taskData);
-        return { success: true, groupId };
+        return { success: true, ...(await this.browserCore.tabGroups.startMacroRecording(tabId)) };
       } catch (error) {
-        console.error('❌ Create agent tab group error:', error);
+        console.error('❌ Start macro recording error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:addTabToGroup', async (event, groupId, tabId) => {
+    ipcMain.handle('tabgroups:stopMacroRecording', async (event, tabId, options) => {
       try {
-        await this.browserCore.addTabToGroup(groupId, tabId);
-        return { success: true };
+        return { success: true, ...this.browserCore.tabGroups.stopMacroRecording(tabId, options) };
       } catch (error) {
-        console.error('❌ Add tab to group error:', error);
+        console.error('❌ Stop macro recording error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:removeTabFromGroup', async (event, tabId) => {
+    ipcMain.handle('tabgroups:cancelMacroRecording', async (event, tabId) => {
       try {
-        await this.browserCore.removeTabFromGroup(tabId);
-        return { success: true };
+        return { success: this.browserCore.tabGroups.cancelMacroRecording(tabId) };
       } catch (error) {
-        console.error('❌ Remove tab from group error:', error);
+        console.error('❌ Cancel macro recording error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:activateTabGroup', async (event, groupId) => {
+    ipcMain.handle('tabgroups:getMacros', async (event, groupId) => {
       try {
-        await this.browserCore.activateTabGroup(groupId);
-        return { success: true };
+        return { success: true, macros: this.browserCore.tabGroups.getMacros(groupId) };
       } catch (error) {
-        console.error('❌ Activate tab group error:', error);
+        console.error('❌ Get macros error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:executeAgentGroupTask', async (event, groupId, task) => {
+    ipcMain.handle('tabgroups:updateMacro', async (event, groupId, macroId, changes) => {
       try {
-        const result = await this.browserCore.executeAgentGroupTask(groupId, task);
-        return { success: true, result };
+        return { success: true, macro: this.browserCore.tabGroups.updateMacro(groupId, macroId, changes) };
       } catch (error) {
-        console.error('❌ Execute agent group task error:', error);
+        console.error('❌ Update macro error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:performAutoTabGrouping', async () => {
+    ipcMain.handle('tabgroups:deleteMacro', async (event, groupId, macroId) => {
       try {
-        await this.browserCore.performAutoTabGrouping();
-        return { success: true };
+        return { success: this.browserCore.tabGroups.deleteMacro(groupId, macroId) };
       } catch (error) {
-        console.error('❌ Perform auto tab grouping error:', error);
+        console.error('❌ Delete macro error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:getTabGroups', async () => {
+    ipcMain.handle('tabgroups:replayMacro', async (event, groupId, macroId, options) => {
       try {
-        return this.browserCore.getAllTabGroups();
+        return { success: true, run: await this.browserCore.tabGroups.replayMacro(groupId, macroId, options) };
       } catch (error) {
-        console.error('❌ Get tab groups error:', error);
-        return [];
+        console.error('❌ Replay macro error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    // Métodos combinados para IA omnipotente
-    ipcMain.handle('omnipotent:organizeWorkspaceWithAI', async (event, purpose) => {
+    // Agrupación automática por IA
+    ipcMain.handle('tabgroups:performAutoGrouping', async () => {
       try {
-        // Implementar lógica de organización inteligente
-        return await this.omnipotentAPI.organizeWorkspaceWithAI(purpose);
+        const result = await this.browserCore.performAutoTabGrouping();
+        return { success: !result?.error, ...result };
       } catch (error) {
-        console.error('❌ Organize workspace with AI error:', error);
+        console.error('❌ Perform auto tab grouping error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:createTaskFocusedGroup', async (event, taskDescription) => {
+    // Backend de embeddings y umbral de la agrupación semántica
+    ipcMain.handle('tabgroups:getClusteringSettings', async () => {
+      return this.browserCore.tabGroups.getClusteringSettings();
+    });
+
+    ipcMain.handle('tabgroups:setClusteringSettings', async (event, changes) => {
       try {
-        return await this.omnipotentAPI.createTaskFocusedGroup(taskDescription);
+        return { success: true, settings: this.browserCore.tabGroups.setClusteringSettings(changes) };
       } catch (error) {
-        console.error('❌ Create task focused group error:', error);
+        console.error('❌ Set clustering settings error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('omnipotent:intelligentTabManagement', async () => {
+    // Reglas de agrupación: patrón de URL, dominio o pestaña de origen
+    ipcMain.handle('tabgroups:getRules', async () => {
+      return this.browserCore.tabGroups.getRules();
+    });
+
+    ipcMain.handle('tabgroups:addRule', async (event, rule, index) => {
       try {
-        return await this.omnipotentAPI.intelligentTabManagement();
+        return { success: true, rule: this.browserCore.tabGroups.addRule(rule, index) };
       } catch (error) {
-        console.error('❌ Intelligent tab management error:', error);
+        console.error('❌ Add group rule error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // =============================================================================
-    // TAB GROUPS MANAGEMENT - GRUPOS DE PESTAÑAS
-    // =============================================================================
-
-    // Crear grupo de pestañas
-    ipcMain.handle('tabgroups:create', async (event, name, options) => {
+    ipcMain.handle('tabgroups:updateRule', async (event, ruleId, changes) => {
       try {
-        const groupId = await this.browserCore.createTabGroup(name, options);
-        return { success: true, groupId };
+        return { success: true, rule: this.browserCore.tabGroups.updateRule(ruleId, changes) };
       } catch (error) {
-        console.error('❌ Create tab group error:', error);
+        console.error('❌ Update group rule error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Crear grupo automático por IA
-    ipcMain.handle('tabgroups:createAi', async (event, categorizedTabs) => {
+    ipcMain.handle('tabgroups:removeRule', async (event, ruleId) => {
       try {
-        const groupId = await this.browserCore.createAiTabGroup(categorizedTabs);
-        return { success: true, groupId };
+        return { success: this.browserCore.tabGroups.removeRule(ruleId) };
       } catch (error) {
-        console.error('❌ Create AI tab group error:', error);
+        console.error('❌ Remove group rule error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Crear grupo de agente
-    ipcMain.handle('tabgroups:createAgent', async (event, taskData) => {
+    ipcMain.handle('tabgroups:moveRule', async (event, ruleId, index) => {
       try {
-        const groupId = await this.browserCore.createAgentTabGroup(taskData);
-        return { success: true, groupId };
+        return { success: true, rules: this.browserCore.tabGroups.moveRule(ruleId, index) };
       } catch (error) {
-        console.error('❌ Create agent tab group error:', error);
+        console.error('❌ Move group rule error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Eliminar grupo de pestañas
-    ipcMain.handle('tabgroups:delete', async (event, groupId) => {
+    ipcMain.handle('tabgroups:setRules', async (event, rules) => {
       try {
-        await this.browserCore.deleteTabGroup(groupId);
-        return { success: true };
+        return { success: true, rules: this.browserCore.tabGroups.setRules(rules) };
       } catch (error) {
-        console.error('❌ Delete tab group error:', error);
+        console.error('❌ Set group rules error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Activar grupo de pestañas
-    ipcMain.handle('tabgroups:activate', async (event, groupId) => {
+    ipcMain.handle('tabgroups:testRule', async (event, rule, url, options = {}) => {
       try {
-        await this.browserCore.activateTabGroup(groupId);
-        return { success: true };
+        return { success: true, ...this.browserCore.tabGroups.testRule(rule ?? null, url, options) };
       } catch (error) {
-        console.error('❌ Activate tab group error:', error);
+        console.error('❌ Test group rule error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Desactivar grupo de pestañas
-    ipcMain.handle('tabgroups:deactivate', async (event, groupId) => {
+    ipcMain.handle('tabgroups:applyRules', async () => {
       try {
-        await this.browserCore.deactivateTabGroup(groupId);
-        return { success: true };
+        return { success: true, applied: await this.browserCore.tabGroups.applyRulesToAllTabs() };
       } catch (error) {
-        console.error('❌ Deactivate tab group error:', error);
+        console.error('❌ Apply group rules error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Obtener todos los grupos
-    ipcMain.handle('tabgroups:getAll', async () => {
+    // Instantáneas de grupos: historial, diff y restauración
+    ipcMain.handle('tabgroups:createSnapshot', async (event, groupId, options) => {
       try {
-        return this.browserCore.getAllTabGroups();
+        return { success: true, ...this.browserCore.tabGroups.createSnapshot(groupId, options) };
       } catch (error) {
-        console.error('❌ Get all tab groups error:', error);
-        return [];
+        console.error('❌ Create group snapshot error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    // Obtener grupo específico
-    ipcMain.handle('tabgroups:get', async (event, groupId) => {
+    ipcMain.handle('tabgroups:listSnapshots', async (event, groupId) => {
+      return this.browserCore.tabGroups.listSnapshots(groupId);
+    });
+
+    ipcMain.handle('tabgroups:getSnapshot', async (event, snapshotId) => {
       try {
-        return this.browserCore.getTabGroup(groupId);
+        return { success: true, snapshot: this.browserCore.tabGroups.snapshots.get(snapshotId) };
       } catch (error) {
-        console.error('❌ Get tab group error:', error);
-        return null;
+        console.error('❌ Get group snapshot error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    // Obtener grupo activo
-    ipcMain.handle('tabgroups:getActive', async () => {
+    ipcMain.handle('tabgroups:deleteSnapshot', async (event, snapshotId) => {
       try {
-        return this.browserCore.getActiveTabGroup();
+        return { success: this.browserCore.tabGroups.deleteSnapshot(snapshotId) };
       } catch (error) {
-        console.error('❌ Get active tab group error:', error);
-        return null;
+        console.error('❌ Delete group snapshot error:', error);
+        return { success: false, error: error.message };
       }
     });
 
-    // Agregar pestaña a grupo
-    ipcMain.handle('tabgroups:addTab', async (event, groupId, tabId) => {
+    ipcMain.handle('tabgroups:diffSnapshots', async (event, fromSnapshotId, toSnapshotId) => {
       try {
-        await this.browserCore.addTabToGroup(groupId, tabId);
-        return { success: true };
+        return { success: true, diff: this.browserCore.tabGroups.diffSnapshots(fromSnapshotId, toSnapshotId) };
       } catch (error) {
-        console.error('❌ Add tab to group error:', error);
+        console.error('❌ Diff group snapshots error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Remover pestaña de grupo
-    ipcMain.handle('tabgroups:removeTab', async (event, tabId) => {
+    ipcMain.handle('tabgroups:restoreSnapshot', async (event, snapshotId, options) => {
       try {
-        await this.browserCore.removeTabFromGroup(tabId);
-        return { success: true };
+        return { success: true, ...(await this.browserCore.tabGroups.restoreSnapshot(snapshotId, options)) };
       } catch (error) {
-        console.error('❌ Remove tab from group error:', error);
+        console.error('❌ Restore group snapshot error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Mover pestaña entre grupos
-    ipcMain.handle('tabgroups:moveTab', async (event, tabId, fromGroupId, toGroupId) => {
+    // Archivos .silhouette-group firmados para compartir espacios de trabajo
+    ipcMain.handle('tabgroups:exportFile', async (event, groupId, options = {}) => {
       try {
-        await this.browserCore.moveTabToGroup(tabId, fromGroupId, toGroupId);
-        return { success: true };
+        let target = options.filePath;
+        if (!target) {
+          const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Compartir grupo de pestañas',
+            defaultPath: path.join(app.getPath('documents'), this.browserCore.tabGroups.suggestGroupFileName(groupId)),
+            filters: [{ name: 'Grupo de Silhouette', extensions: ['silhouette-group'] }]
+          });
+          if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+          }
+          target = result.filePath;
+        }
+
+        const summary = await this.browserCore.tabGroups.exportGroupFile(groupId, target, options);
+        return { success: true, ...summary };
       } catch (error) {
-        console.error('❌ Move tab between groups error:', error);
+        console.error('❌ Export group file error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Ejecutar tarea en grupo de agente
-    ipcMain.handle('tabgroups:executeAgentTask', async (event, groupId, task) => {
+    ipcMain.handle('tabgroups:importFile', async (event, filePath, options = {}) => {
       try {
-        const result = await this.browserCore.executeAgentGroupTask(groupId, task);
-        return { success: true, result };
+        let source = filePath;
+        if (!source) {
+          const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Abrir grupo de pestañas',
+            properties: ['openFile'],
+            filters: [{ name: 'Grupo de Silhouette', extensions: ['silhouette-group'] }]
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+          }
+          source = result.filePaths[0];
+        }
+
+        const summary = await this.browserCore.tabGroups.importGroupFile(source, options);
+        return { success: true, filePath: source, ...summary };
       } catch (error) {
-        console.error('❌ Execute agent group task error:', error);
+        console.error('❌ Import group file error:', error);
         return { success: false, error: error.message };
       }
     });
 
-    // Agrupación automática por IA
-    ipcMain.handle('tabgroups:performAutoGrouping', async () => {
+    ipcMain.handle('tabgroups:trustSigner', async (event, keyId) => {
       try {
-        await this.browserCore.performAutoTabGrouping();
+        this.browserCore.tabGroups.trustGroupFileSigner(keyId);
         return { success: true };
       } catch (error) {
-        console.error('❌ Perform auto tab grouping error:', error);
+        console.error('❌ Trust group file signer error:', error);
         return { success: false, error: error.message };
       }
     });
@@ -897,13 +2450,14 @@ class SilhouetteBrowser {
 
     // Notifications
     ipcMain.handle('notification:show', async (event, message, type) => {
-      // Implementar sistema de notificaciones
-      console.log(`📢 Notification [${type}]:`, message);
-      return true;
+      return this.showNotification(message, type);
     });
 
     ipcMain.handle('notification:hide', async () => {
-      // Ocultar notificaciones
+      for (const notification of this.notifications) {
+        notification.close();
+      }
+      this.notifications.clear();
       return true;
     });
 
@@ -930,6 +2484,14 @@ class SilhouetteBrowser {
 
     // Integrar eventos del TabManager con IPC para comunicación al renderer
     this.setupTabManagerEventBridge();
+    this.setupDownloadEventBridge();
+    this.setupAgentTraceEventBridge();
+    this.setupAgentMemoryEventBridge();
+    this.setupAgentSchedulerEventBridge();
+    this.setupPageWatcherEventBridge();
+    this.setupSiteSettingsEventBridge();
+    this.setupContainerEventBridge();
+    this.setupContentBlockerEventBridge();
 
     console.log('✅ IPC handlers configured for BrowserView');
   }
@@ -961,6 +2523,135 @@ class SilhouetteBrowser {
     }
   }
 
+  setupDownloadEventBridge() {
+    const downloads = this.browserCore?.downloads;
+    if (!downloads) return;
+
+    downloads.on('download-updated', (record) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('download:updated', record);
+      }
+    });
+
+    downloads.on('download-done', (record) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('download:done', record);
+      }
+    });
+  }
+
+  setupAgentTraceEventBridge() {
+    this.browserCore.agentTraces.on('trace-updated', (data) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('agent:traceUpdated', data);
+      }
+    });
+  }
+
+  setupAgentMemoryEventBridge() {
+    this.browserCore.agentMemory.on('changed', ({ action, memory, site, type, count }) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('agent:memoryChanged', { action, memory, site, type, count });
+      }
+    });
+  }
+
+  setupAgentSchedulerEventBridge() {
+    const events = {
+      'tasks-changed': 'scheduler:tasksChanged',
+      'run-started': 'scheduler:runStarted',
+      'run-finished': 'scheduler:runFinished'
+    };
+    for (const [eventName, channel] of Object.entries(events)) {
+      this.agentScheduler.on(eventName, (data) => {
+        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+          this.mainWindow.webContents.send(channel, data);
+        }
+      });
+    }
+  }
+
+  setupPageWatcherEventBridge() {
+    const pageWatcher = this.browserCore.pageWatcher;
+    
+    pageWatcher.on('watchers-changed', (data) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('watcher:changed', data);
+      }
+    });
+    
+    pageWatcher.on('change', ({ watcher, version }) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('watcher:pageChanged', { watcher, version });
+      }
+      if (watcher.notify) {
+        this.showNotification(`👁️ ${watcher.name}: ${version.summary}`, 'info', {
+          title: 'Cambio en una página vigilada',
+          onClick: () => this.browserCore.createNewTab(watcher.url)
+        });
+      }
+    });
+  }
+
+  setupSiteSettingsEventBridge() {
+    this.browserCore.tabManager.on('popup-blocked', (data) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('site:popupBlocked', data);
+      }
+    });
+
+    this.securityLayer.siteSettings.on('changed', (change) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('site:permissionsChanged', change);
+      }
+    });
+  }
+
+  setupContentBlockerEventBridge() {
+    this.browserCore.contentBlocker.on('blocked-count', (data) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('contentblocker:blocked', data);
+      }
+    });
+  }
+
+  setupContainerEventBridge() {
+    this.browserCore.containers.on('container-changed', (change) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('containers:changed', change);
+      }
+    });
+  }
+
+  // =============================================================================
+  // NOTIFICACIONES
+  // =============================================================================
+  
+  // Dentro de la ventana como aviso flotante; si la ventana no tiene el foco,
+  // también como notificación del sistema (al pulsarla se vuelve a la ventana)
+  showNotification(message, type = 'info', { title = 'Silhouette Browser', onClick = null } = {}) {
+    const body = String(message ?? '');
+    const window = this.mainWindow && !this.mainWindow.isDestroyed() ? this.mainWindow : null;
+    window?.webContents.send('notification:shown', { message: body, type });
+    
+    if (Notification.isSupported() && !window?.isFocused()) {
+      const notification = new Notification({ title, body });
+      const forget = () => this.notifications.delete(notification);
+      notification.on('click', () => {
+        forget();
+        if (window && !window.isDestroyed()) {
+          window.show();
+          window.focus();
+        }
+        onClick?.();
+      });
+      notification.on('close', forget);
+      this.notifications.add(notification);
+      notification.show();
+    }
+    return true;
+  }
+
   // =============================================================================
   // CONFIGURACIÓN DE AUTO-UPDATER
   // =============================================================================
@@ -1005,11 +2696,31 @@ class SilhouetteBrowser {
   // =============================================================================
   
   onAppReady() {
-    this.initialize().then(() => {
-      this.createMainWindow();
+    // Archivos de grupo pasados al arrancar ("Abrir con" en Windows y Linux)
+    this.pendingGroupFiles.push(...process.argv.slice(1).filter(arg => arg.endsWith('.silhouette-group')));
+    
+    this.initialize().then(async () => {
+      await this.createMainWindow();
+      this.flushPendingGroupFiles();
     });
   }
 
+  // El renderer decide qué hacer si el grupo ya existe (reemplazar, fusionar, copiar)
+  openGroupFile(filePath) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed() && !this.mainWindow.webContents.isLoading()) {
+      this.mainWindow.webContents.send('tabgroups:fileOpened', { filePath });
+    } else {
+      this.pendingGroupFiles.push(filePath);
+    }
+  }
+
+  flushPendingGroupFiles() {
+    const files = this.pendingGroupFiles.splice(0);
+    for (const filePath of files) {
+      this.openGroupFile(filePath);
+    }
+  }
+
   onAppAllWindowsClosed() {
     if (process.platform !== 'darwin') {
       app.quit();
@@ -1021,6 +2732,24 @@ class SilhouetteBrowser {
       this.createMainWindow();
     }
   }
+
+  async onAppBeforeQuit(event) {
+    if (this.isQuitting) return;
+
+    // Guardar la sesión de forma ordenada antes de salir
+    event.preventDefault();
+    this.isQuitting = true;
+
+    try {
+      await this.agentScheduler.shutdown();
+      await this.browserCore.cleanup();
+      await this.securityLayer.cleanup();
+    } catch (error) {
+      console.error('❌ Error guardando sesión al salir:', error);
+    }
+
+    app.quit();
+  }
 }
 
 // =============================================================================
@@ -1029,6 +2758,9 @@ class SilhouetteBrowser {
 
 const silhouetteApp = new SilhouetteBrowser();
 
+// Aislamiento de sitio: los switches de Chromium deben fijarse antes de 'ready'
+silhouetteApp.securityLayer.configureProcess();
+
 // Events de la aplicación
 app.whenReady().then(() => {
   silhouetteApp.onAppReady();
@@ -1042,6 +2774,16 @@ app.on('activate', () => {
   silhouetteApp.onAppActivate();
 });
 
+app.on('before-quit', (event) => {
+  silhouetteApp.onAppBeforeQuit(event);
+});
+
+// Doble clic en un archivo .silhouette-group (macOS)
+app.on('open-file', (event, filePath) => {
+  event.preventDefault();
+  silhouetteApp.openGroupFile(filePath);
+});
+
 // Manejo de errores no capturados
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
@@ -0,0 +1,80 @@
+// =============================================================================
+// ABORTABLE - TIEMPOS LÍMITE Y ESPERAS CANCELABLES
+// Un tiempo límite que solo rechaza deja el trabajo corriendo: el siguiente
+// reintento o la siguiente tarea se solapan con él. withTimeout da a cada
+// intento su propia señal, la aborta al agotarse el tiempo (o al cancelarse la
+// señal de fuera) y espera a que el intento termine antes de devolver el error
+// =============================================================================
+
+const DEFAULT_SETTLE_GRACE_MS = 5000;
+
+// task(signal) es el intento. Rechaza con code 'ETIMEDOUT' si se agota el
+// tiempo y con code 'ABORT_ERR' si se cancela signal. Tras abortar se espera a
+// que el intento termine, como mucho settleGraceMs: una tarea que ignora su
+// señal no puede retener para siempre a quien la espera
+async function withTimeout(task, timeoutMs, {
+  signal = null,
+  message = 'Tiempo agotado',
+  cancelMessage = 'Tarea cancelada',
+  settleGraceMs = DEFAULT_SETTLE_GRACE_MS
+} = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(Object.assign(new Error(cancelMessage), { code: 'ABORT_ERR' }));
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+  const timeout = setTimeout(() => {
+    controller.abort(Object.assign(new Error(`${message} (${timeoutMs / 1000} s)`), { code: 'ETIMEDOUT' }));
+  }, timeoutMs);
+
+  // El intento arranca ya: si la señal se aborta antes de que escuche, lo ve en signal.aborted
+  const attempt = controller.signal.aborted
+    ? Promise.reject(controller.signal.reason)
+    : new Promise(resolve => resolve(task(controller.signal)));
+
+  try {
+    return await Promise.race([attempt, rejectOnAbort(controller.signal)]);
+  } catch (error) {
+    if (!controller.signal.aborted) throw error;
+    let grace;
+    await Promise.race([attempt.catch(() => {}), new Promise(resolve => { grace = setTimeout(resolve, settleGraceMs); })]);
+    clearTimeout(grace);
+    throw controller.signal.reason;
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Espera ms milisegundos; rechaza con el motivo de signal si se cancela antes
+function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function rejectOnAbort(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+export { withTimeout, delay };
@@ -0,0 +1,67 @@
+import { describe, test, expect } from '@jest/globals';
+import { withTimeout, delay } from './abortable.js';
+
+// Intento que solo termina cuando se aborta su señal
+function untilAborted(log) {
+  return (signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      setTimeout(() => {
+        log.push('intento terminado');
+        reject(signal.reason);
+      }, 20);
+    }, { once: true });
+  });
+}
+
+describe('withTimeout', () => {
+  test('devuelve el resultado del intento a tiempo', async () => {
+    await expect(withTimeout(async () => 'ok', 1000)).resolves.toBe('ok');
+  });
+
+  test('al agotarse el tiempo aborta el intento y espera a que termine', async () => {
+    const log = [];
+    const error = await withTimeout(untilAborted(log), 10, { message: 'Lento' }).catch(error => error);
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(error.message).toBe('Lento (0.01 s)');
+    expect(log).toEqual(['intento terminado']);
+  });
+
+  test('cancelar la señal de fuera aborta el intento con ABORT_ERR', async () => {
+    const log = [];
+    const controller = new AbortController();
+    const pending = withTimeout(untilAborted(log), 10000, { signal: controller.signal });
+    controller.abort();
+    const error = await pending.catch(error => error);
+    expect(error.code).toBe('ABORT_ERR');
+    expect(log).toEqual(['intento terminado']);
+  });
+
+  test('con la señal ya cancelada no empieza el intento', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    let started = false;
+    const error = await withTimeout(() => { started = true; }, 1000, { signal: controller.signal }).catch(error => error);
+    expect(error.code).toBe('ABORT_ERR');
+    expect(started).toBe(false);
+  });
+
+  test('un intento que ignora su señal solo retiene el margen de espera', async () => {
+    const started = Date.now();
+    const error = await withTimeout(() => new Promise(() => {}), 10, { settleGraceMs: 30 }).catch(error => error);
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('los errores propios del intento se devuelven tal cual', async () => {
+    await expect(withTimeout(async () => { throw new Error('falla'); }, 1000)).rejects.toThrow('falla');
+  });
+});
+
+describe('delay', () => {
+  test('rechaza con el motivo de la señal al cancelarse', async () => {
+    const controller = new AbortController();
+    const pending = delay(10000, controller.signal);
+    controller.abort(new Error('parar'));
+    await expect(pending).rejects.toThrow('parar');
+  });
+});
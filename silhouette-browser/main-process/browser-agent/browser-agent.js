@@ -0,0 +1,381 @@
+// =============================================================================
+// BROWSER AGENT - BUCLE OBSERVAR → DECIDIR → ACTUAR SOBRE UNA PESTAÑA
+// En cada paso observa el BrowserView (snapshot del DOM + captura), pide al
+// modelo una acción mediante herramientas y la ejecuta en la pestaña, hasta que
+// el modelo llama a 'finish' o se agotan los pasos o el tiempo. Devuelve la
+// traza completa de pasos con sus capturas
+// =============================================================================
+
+import { captureSnapshot, performElementAction, formatSnapshot } from './dom-snapshot.js';
+
+const DEFAULT_MAX_STEPS = 20;
+const MAX_STEPS_LIMIT = 50;
+const DEFAULT_TIMEOUT_MS = 180000;
+const MAX_TIMEOUT_MS = 900000;
+const MAX_WAIT_MS = 10000;
+const LOAD_TIMEOUT_MS = 15000;
+const SETTLE_MS = 300;
+const SCREENSHOT_WIDTH = 640;
+
+const SYSTEM_PROMPT = [
+  'Controlas una pestaña del navegador para cumplir el objetivo del usuario.',
+  'Tras cada acción recibes una observación de la página: sus elementos interactivos, cada uno con un id entre corchetes, y el texto visible.',
+  'Usa una sola herramienta por paso y refiérete a los elementos por su id de la última observación.',
+  'Cuando hayas cumplido el objetivo, o si no es posible cumplirlo, llama a finish con la respuesta.'
+].join(' ');
+
+const AGENT_TOOLS = [
+  {
+    name: 'click',
+    description: 'Hace click en un elemento',
+    parameters: {
+      type: 'object',
+      properties: { elementId: { type: 'integer' } },
+      required: ['elementId']
+    }
+  },
+  {
+    name: 'type',
+    description: 'Escribe texto en un campo (o elige una opción de un desplegable); submit envía el formulario',
+    parameters: {
+      type: 'object',
+      properties: {
+        elementId: { type: 'integer' },
+        text: { type: 'string' },
+        submit: { type: 'boolean' }
+      },
+      required: ['elementId', 'text']
+    }
+  },
+  {
+    name: 'scroll',
+    description: 'Desplaza la página arriba o abajo, o hasta un elemento',
+    parameters: {
+      type: 'object',
+      properties: {
+        direction: { type: 'string', enum: ['up', 'down'] },
+        elementId: { type: 'integer' }
+      }
+    }
+  },
+  {
+    name: 'navigate',
+    description: 'Abre una URL http(s) en la pestaña',
+    parameters: {
+      type: 'object',
+      properties: { url: { type: 'string' } },
+      required: ['url']
+    }
+  },
+  {
+    name: 'extract',
+    description: 'Devuelve el texto completo de un elemento o, sin elementId, de toda la página',
+    parameters: {
+      type: 'object',
+      properties: { elementId: { type: 'integer' } }
+    }
+  },
+  {
+    name: 'wait',
+    description: `Espera hasta ${MAX_WAIT_MS / 1000} segundos a que la página cambie`,
+    parameters: {
+      type: 'object',
+      properties: { seconds: { type: 'number' } },
+      required: ['seconds']
+    }
+  },
+  {
+    name: 'finish',
+    description: 'Termina la tarea con la respuesta final',
+    parameters: {
+      type: 'object',
+      properties: {
+        answer: { type: 'string' },
+        success: { type: 'boolean', description: 'false si el objetivo no se pudo cumplir' }
+      },
+      required: ['answer', 'success']
+    }
+  }
+];
+
+// onStep(step) recibe cada paso de la traza en cuanto termina; beforeNavigate(url)
+// puede lanzar para bloquear una navegación; approve(action, step) decide si una
+// acción con riesgo se ejecuta y devuelve { approved, reason }; context se añade
+// al objetivo (por ejemplo, los pasos ya hechos al relanzar una traza)
+async function runBrowserAgent(webContents, llm, goal, {
+  startUrl = null,
+  context: goalContext = null,
+  maxSteps = DEFAULT_MAX_STEPS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  signal = null,
+  beforeNavigate = null,
+  approve = null,
+  onStep = null
+} = {}) {
+  if (!llm) {
+    throw new Error('La navegación autónoma necesita un proveedor de LLM (SILHOUETTE_LLM_PROVIDER)');
+  }
+  if (!goal || !String(goal).trim()) {
+    throw new Error('Falta el objetivo');
+  }
+
+  const stepLimit = Math.min(MAX_STEPS_LIMIT, Math.max(1, Math.floor(maxSteps) || DEFAULT_MAX_STEPS));
+  const deadline = AbortSignal.timeout(Math.min(MAX_TIMEOUT_MS, Math.max(1000, Math.floor(timeoutMs) || DEFAULT_TIMEOUT_MS)));
+  const runSignal = signal ? AbortSignal.any([signal, deadline]) : deadline;
+  const context = { webContents, signal: runSignal, beforeNavigate };
+
+  const startTime = Date.now();
+  const steps = [];
+  const extracted = [];
+  const history = [{ role: 'user', content: `Objetivo: ${goal}${goalContext ? `\n\n${goalContext}` : ''}` }];
+  let status = 'max_steps';
+  let answer = null;
+  let error = null;
+  let current = null; // paso en curso, para la traza si la ejecución se corta
+
+  try {
+    if (startUrl) {
+      await navigate(context, startUrl);
+    }
+
+    for (let index = 1; index <= stepLimit; index++) {
+      runSignal.throwIfAborted();
+      const step = current = { step: index, startTime: Date.now() };
+
+      // Observar
+      const snapshot = await captureSnapshot(webContents);
+      Object.assign(step, {
+        url: snapshot.url,
+        title: snapshot.title,
+        elements: snapshot.elements.length,
+        screenshot: await captureScreenshot(webContents)
+      });
+
+      // Decidir: la observación completa solo acompaña al último mensaje
+      const last = history[history.length - 1];
+      const response = await llm.chat({
+        purpose: 'browser-agent',
+        system: SYSTEM_PROMPT,
+        messages: [...history.slice(0, -1), { ...last, content: `${last.content}\n\n${formatSnapshot(snapshot)}` }],
+        tools: AGENT_TOOLS,
+        temperature: 0,
+        signal: runSignal
+      });
+      step.thought = response.content || null;
+
+      // Sin herramienta, el texto del modelo es su respuesta final
+      if (response.toolCalls.length === 0) {
+        Object.assign(step, { action: null, result: { success: true, output: response.content } });
+        finishStep(step, steps, onStep);
+        status = 'completed';
+        answer = response.content;
+        break;
+      }
+
+      // Actuar: una acción por paso; el resto de llamadas se rechazan
+      const [toolCall, ...ignored] = response.toolCalls;
+      step.action = { name: toolCall.name, arguments: toolCall.arguments };
+      // Elemento sobre el que se actúa, para la traza y la memoria del agente
+      const target = snapshot.elements.find(candidate => candidate.id === toolCall.arguments?.elementId);
+      if (target) step.element = { role: target.role, name: target.name, type: target.type };
+      history.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+
+      if (toolCall.name === 'finish') {
+        step.result = { success: true, output: toolCall.arguments.answer ?? '' };
+        finishStep(step, steps, onStep);
+        status = toolCall.arguments.success === false ? 'failed' : 'completed';
+        answer = toolCall.arguments.answer ?? '';
+        break;
+      }
+
+      // Las acciones con riesgo esperan a que el usuario las apruebe
+      const approval = approve ? await approve(toReviewAction(toolCall, snapshot), step) : null;
+      runSignal.throwIfAborted();
+
+      if (approval && !approval.approved) {
+        step.result = { success: false, error: `Acción no aprobada (${approval.reason})`, denied: true };
+      } else {
+        try {
+          const output = await executeAction(context, toolCall);
+          step.result = { success: true, output };
+          if (toolCall.name === 'extract') {
+            extracted.push({ step: index, url: snapshot.url, elementId: toolCall.arguments.elementId ?? null, text: output });
+          }
+        } catch (actionError) {
+          if (runSignal.aborted) throw actionError;
+          // Un fallo de la acción es información para el modelo, no el fin de la tarea
+          step.result = { success: false, error: actionError.message };
+        }
+      }
+
+      history.push({
+        role: 'tool',
+        toolCallId: toolCall.id,
+        content: step.result.success ? String(step.result.output)
+          : step.result.denied ? 'El usuario no ha aprobado esta acción: no se ha ejecutado. Busca otra forma de cumplir el objetivo o termina con finish.'
+          : `Error: ${step.result.error}`
+      });
+      for (const extra of ignored) {
+        history.push({ role: 'tool', toolCallId: extra.id, content: 'No ejecutada: solo se admite una acción por paso' });
+      }
+      finishStep(step, steps, onStep);
+      current = null;
+    }
+  } catch (runError) {
+    if (deadline.aborted) {
+      status = 'timeout';
+      error = 'Tiempo límite agotado';
+    } else if (signal?.aborted) {
+      status = 'cancelled';
+      error = 'Navegación autónoma cancelada';
+    } else {
+      status = 'failed';
+      error = runError.message;
+    }
+    if (current) {
+      current.result = { success: false, error };
+      finishStep(current, steps, onStep);
+    }
+  }
+
+  if (status === 'max_steps') {
+    error = `Límite de ${stepLimit} pasos alcanzado sin terminar`;
+  }
+
+  return {
+    success: status === 'completed',
+    status,
+    goal,
+    answer,
+    error,
+    extracted,
+    steps,
+    duration: Date.now() - startTime
+  };
+}
+
+// Descripción de la acción para la política de aprobaciones (action-risk.js)
+function toReviewAction(toolCall, snapshot) {
+  const args = toolCall.arguments || {};
+  const element = snapshot.elements.find(candidate => candidate.id === args.elementId);
+  return {
+    kind: toolCall.name,
+    pageUrl: snapshot.url,
+    url: toolCall.name === 'navigate' ? args.url : element?.href,
+    element: element ? {
+      role: element.role,
+      name: element.name,
+      tag: element.tag,
+      type: element.type,
+      href: element.href,
+      submits: element.submits,
+      download: element.download
+    } : null,
+    text: args.text,
+    submit: Boolean(args.submit)
+  };
+}
+
+function finishStep(step, steps, onStep) {
+  step.duration = Date.now() - step.startTime;
+  steps.push(step);
+  onStep?.(step);
+}
+
+async function executeAction(context, toolCall) {
+  const { webContents, signal } = context;
+  const args = toolCall.arguments || {};
+
+  switch (toolCall.name) {
+    case 'click':
+    case 'type':
+    case 'scroll': {
+      const output = await performElementAction(webContents, args.elementId, toolCall.name, args);
+      // Un click o un envío puede haber iniciado una navegación
+      await waitForIdle(webContents, signal);
+      return output;
+    }
+
+    case 'extract':
+      return await performElementAction(webContents, args.elementId, 'extract');
+
+    case 'navigate':
+      await navigate(context, args.url);
+      return `Página cargada: ${webContents.getURL()}`;
+
+    case 'wait': {
+      const ms = Math.min(MAX_WAIT_MS, Math.max(0, Number(args.seconds) * 1000 || 0));
+      await delay(ms, signal);
+      await waitForIdle(webContents, signal);
+      return `Esperados ${ms / 1000} s`;
+    }
+
+    default:
+      throw new Error(`Herramienta desconocida: ${toolCall.name}`);
+  }
+}
+
+async function navigate({ webContents, signal, beforeNavigate }, url) {
+  if (!/^https?:\/\//i.test(String(url || ''))) {
+    throw new Error(`Solo se permiten URL http(s): ${url}`);
+  }
+  if (beforeNavigate) await beforeNavigate(url);
+  try {
+    await webContents.loadURL(url);
+  } catch (error) {
+    // Una redirección en el cliente aborta la carga original sin que sea un fallo
+    if (error.code !== 'ERR_ABORTED') throw error;
+  }
+  await waitForIdle(webContents, signal);
+}
+
+// Espera a que la pestaña deje de cargar y da un margen a los scripts de la página
+async function waitForIdle(webContents, signal) {
+  await delay(SETTLE_MS, signal);
+  if (!webContents.isLoading()) return;
+
+  await new Promise(resolve => {
+    const finish = () => {
+      clearTimeout(timeout);
+      webContents.removeListener('did-stop-loading', finish);
+      signal?.removeEventListener('abort', finish);
+      resolve();
+    };
+    const timeout = setTimeout(finish, LOAD_TIMEOUT_MS);
+    webContents.on('did-stop-loading', finish);
+    signal?.addEventListener('abort', finish, { once: true });
+  });
+  signal?.throwIfAborted();
+}
+
+// Una pestaña sin pintar (en segundo plano) puede devolver una imagen vacía
+async function captureScreenshot(webContents) {
+  try {
+    const image = await webContents.capturePage();
+    if (image.isEmpty()) return null;
+    const { width } = image.getSize();
+    return `data:image/jpeg;base64,${(width > SCREENSHOT_WIDTH ? image.resize({ width: SCREENSHOT_WIDTH }) : image).toJPEG(60).toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export { runBrowserAgent, AGENT_TOOLS };
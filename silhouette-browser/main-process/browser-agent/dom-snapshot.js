@@ -0,0 +1,218 @@
+// =============================================================================
+// DOM SNAPSHOT - OBSERVACIÓN DE LA PÁGINA PARA EL AGENTE
+// Recorre la página en un mundo aislado y describe sus elementos interactivos
+// como un árbol de accesibilidad plano: rol, nombre accesible y un id numérico.
+// Los ids se guardan en un WeakMap del mundo aislado, así que el mismo elemento
+// conserva su id entre observaciones del mismo documento sin tocar el DOM, y la
+// página no puede leerlos ni falsificarlos
+// =============================================================================
+
+const AGENT_WORLD_ID = 1019;
+const MAX_ELEMENTS = 300;
+const MAX_PAGE_TEXT = 3000;
+const MAX_EXTRACT_TEXT = 8000;
+
+// Se ejecuta en la página: no puede usar nada de fuera de la función
+function snapshotInPage(maxElements, maxText) {
+  const state = window.__silhouetteAgent || (window.__silhouetteAgent = { ids: new WeakMap(), elements: new Map(), next: 1 });
+  const clean = (text, max = 80) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+  const roleOf = (element) => {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit.split(/\s+/)[0];
+    const tag = element.tagName;
+    if (tag === 'A') return 'link';
+    if (tag === 'BUTTON' || tag === 'SUMMARY') return 'button';
+    if (tag === 'SELECT') return 'combobox';
+    if (tag === 'TEXTAREA' || element.isContentEditable) return 'textbox';
+    if (/^H[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'INPUT') {
+      const type = element.type;
+      if (type === 'checkbox' || type === 'radio') return type;
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (type === 'range') return 'slider';
+      if (type === 'search') return 'searchbox';
+      return 'textbox';
+    }
+    return 'clickable';
+  };
+
+  const nameOf = (element) => {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.innerText || '').join(' ');
+      if (clean(text)) return clean(text);
+    }
+    if (element.getAttribute('aria-label')) return clean(element.getAttribute('aria-label'));
+    if (element.labels?.length) return clean(Array.from(element.labels).map(label => label.innerText).join(' '));
+    if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) return clean(element.value);
+    return clean(element.innerText || element.getAttribute('alt') || element.title || element.placeholder ||
+      element.querySelector?.('img[alt]')?.alt || '');
+  };
+
+  const candidates = document.querySelectorAll([
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role]', '[onclick]', '[contenteditable="true"]', '[contenteditable=""]', '[tabindex]:not([tabindex="-1"])',
+    'h1', 'h2', 'h3'
+  ].join(','));
+
+  const elements = [];
+  for (const element of candidates) {
+    if (elements.length >= maxElements) break;
+    const role = roleOf(element);
+    if (role === 'presentation' || role === 'none') continue;
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0 || getComputedStyle(element).visibility === 'hidden') continue;
+
+    let id = state.ids.get(element);
+    if (!id) {
+      id = state.next++;
+      state.ids.set(element, id);
+    }
+    state.elements.set(id, new WeakRef(element));
+
+    const entry = { id, role, name: nameOf(element), tag: element.tagName.toLowerCase() };
+    if (role === 'heading') entry.level = Number(element.tagName[1]) || Number(element.getAttribute('aria-level')) || null;
+    if (element.tagName === 'A') entry.href = element.href;
+    if (element.tagName === 'A' && element.hasAttribute('download')) entry.download = true;
+    if (element.tagName === 'INPUT') entry.type = element.type;
+    // Botones que envían su formulario, para las aprobaciones del agente
+    if (element.form && ['submit', 'image'].includes(element.type)) entry.submits = true;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) && !['checkbox', 'radio', 'button', 'submit', 'reset', 'image'].includes(element.type)) {
+      // Las contraseñas nunca salen de la página
+      entry.value = element.type === 'password' ? (element.value ? '••••' : '') : clean(element.value, 120);
+    }
+    if (element.tagName === 'SELECT') entry.options = Array.from(element.options).slice(0, 20).map(option => clean(option.text, 40));
+    if (element.type === 'checkbox' || element.type === 'radio' || element.getAttribute('aria-checked')) {
+      entry.checked = element.checked ?? element.getAttribute('aria-checked') === 'true';
+    }
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') entry.disabled = true;
+    if (rect.bottom < 0 || rect.top > window.innerHeight) entry.offscreen = true;
+    elements.push(entry);
+  }
+
+  return {
+    url: location.href,
+    title: document.title,
+    elements,
+    text: clean(document.body?.innerText, maxText),
+    scroll: {
+      y: Math.round(window.scrollY),
+      height: document.documentElement.scrollHeight,
+      viewport: window.innerHeight
+    }
+  };
+}
+
+// Acciones sobre un elemento observado. También se ejecuta en la página
+function actInPage(id, action, args, maxText) {
+  const state = window.__silhouetteAgent;
+  const find = () => {
+    const element = state?.elements.get(id)?.deref();
+    if (!element || !element.isConnected) {
+      throw new Error(`Elemento ${id} no encontrado: vuelve a observar la página`);
+    }
+    return element;
+  };
+  const setValue = (element, text) => {
+    element.focus();
+    if (element.isContentEditable) {
+      element.textContent = text;
+    } else {
+      const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value')?.set;
+      if (setter) setter.call(element, text); else element.value = text;
+    }
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  switch (action) {
+    case 'click': {
+      const element = find();
+      if (element.disabled) throw new Error(`Elemento ${id} deshabilitado`);
+      element.scrollIntoView({ block: 'center' });
+      element.focus?.();
+      element.click();
+      return `Click en [${id}]`;
+    }
+
+    case 'type': {
+      const element = find();
+      if (element.tagName === 'SELECT') {
+        const option = Array.from(element.options).find(option => option.value === args.text || option.text.trim() === args.text);
+        if (!option) throw new Error(`Opción no encontrada en [${id}]: ${args.text}`);
+        setValue(element, option.value);
+      } else {
+        setValue(element, String(args.text ?? ''));
+      }
+      if (args.submit) {
+        if (element.form) {
+          element.form.requestSubmit();
+        } else {
+          for (const type of ['keydown', 'keypress', 'keyup']) {
+            element.dispatchEvent(new KeyboardEvent(type, { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true }));
+          }
+        }
+      }
+      return `Texto escrito en [${id}]${args.submit ? ' y enviado' : ''}`;
+    }
+
+    case 'scroll': {
+      if (id) {
+        find().scrollIntoView({ block: 'center' });
+        return `Desplazado hasta [${id}]`;
+      }
+      window.scrollBy(0, (args.direction === 'up' ? -1 : 1) * window.innerHeight * 0.8);
+      return `Desplazado hacia ${args.direction === 'up' ? 'arriba' : 'abajo'} (${Math.round(window.scrollY)} px)`;
+    }
+
+    case 'extract': {
+      const root = id ? find() : document.body;
+      return String(root?.innerText || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, maxText);
+    }
+
+    default:
+      throw new Error(`Acción no soportada: ${action}`);
+  }
+}
+
+async function captureSnapshot(webContents) {
+  return await webContents.executeJavaScriptInIsolatedWorld(AGENT_WORLD_ID, [{
+    code: `(${snapshotInPage.toString()})(${MAX_ELEMENTS}, ${MAX_PAGE_TEXT})`
+  }]);
+}
+
+async function performElementAction(webContents, elementId, action, args = {}) {
+  return await webContents.executeJavaScriptInIsolatedWorld(AGENT_WORLD_ID, [{
+    code: `(${actInPage.toString()})(${JSON.stringify(elementId ?? null)}, ${JSON.stringify(action)}, ${JSON.stringify(args)}, ${MAX_EXTRACT_TEXT})`
+  }]);
+}
+
+// Texto de la observación que recibe el modelo
+function formatSnapshot(snapshot) {
+  const lines = [
+    `URL: ${snapshot.url}`,
+    `Título: ${snapshot.title || '(sin título)'}`,
+    `Desplazamiento: ${snapshot.scroll.y}/${snapshot.scroll.height} px (ventana de ${snapshot.scroll.viewport} px)`,
+    '',
+    'Elementos:'
+  ];
+
+  for (const element of snapshot.elements) {
+    let line = `[${element.id}] ${element.role}${element.level ? `(${element.level})` : ''} "${element.name}"`;
+    if (element.value !== undefined) line += ` = "${element.value}"`;
+    if (element.options) line += ` opciones: ${element.options.join(' | ')}`;
+    if (element.checked !== undefined) line += element.checked ? ' [marcado]' : ' [sin marcar]';
+    if (element.disabled) line += ' [deshabilitado]';
+    if (element.offscreen) line += ' (fuera de vista)';
+    if (element.type === 'password') line += ' [contraseña]';
+    if (element.href && !element.href.startsWith('javascript:')) line += ` → ${element.href}`;
+    lines.push(line);
+  }
+  if (snapshot.elements.length === 0) lines.push('(ninguno)');
+
+  lines.push('', 'Texto visible:', snapshot.text || '(vacío)');
+  return lines.join('\n');
+}
+
+export { captureSnapshot, performElementAction, formatSnapshot, AGENT_WORLD_ID };
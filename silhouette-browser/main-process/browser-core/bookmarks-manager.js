@@ -0,0 +1,751 @@
+// =============================================================================
+// BOOKMARKS MANAGER - ÁRBOL DE MARCADORES
+// Carpetas, etiquetas, notas, palabras clave e importación/exportación
+// (formato HTML de Netscape y JSON "Bookmarks" de Chrome)
+// =============================================================================
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+// Carpetas raíz fijas (no se pueden mover, renombrar ni borrar)
+const ROOT_FOLDERS = [
+  { id: 'toolbar', title: 'Barra de marcadores', chromeKey: 'bookmark_bar' },
+  { id: 'other', title: 'Otros marcadores', chromeKey: 'other' },
+  { id: 'mobile', title: 'Marcadores del móvil', chromeKey: 'synced' }
+];
+
+const ROOT_ID = 'root';
+const PROTECTED_IDS = new Set([ROOT_ID, ...ROOT_FOLDERS.map(folder => folder.id)]);
+
+// Chrome guarda las fechas en microsegundos desde 1601-01-01
+const CHROME_EPOCH_OFFSET_MS = 11644473600000;
+
+class BookmarksManager {
+  constructor() {
+    this.store = new PersistentStore('bookmarks', { subdirectory: 'bookmarks' });
+    this.nodes = new Map(); // id -> nodo (carpeta o marcador)
+  }
+
+  async initialize() {
+    console.log('🔖 Inicializando Gestor de Marcadores...');
+
+    try {
+      const snapshot = await this.store.read(null);
+      this.createRoots();
+
+      if (snapshot?.nodes) {
+        for (const node of snapshot.nodes) {
+          if (PROTECTED_IDS.has(node.id)) {
+            // Conservar el orden guardado de las raíces
+            this.nodes.get(node.id).children = node.children || [];
+          } else {
+            this.nodes.set(node.id, node);
+          }
+        }
+        this.repairTree();
+      }
+
+      console.log(`✅ Marcadores cargados: ${this.getBookmarkCount()}`);
+    } catch (error) {
+      console.error('❌ Error cargando marcadores:', error);
+    }
+  }
+
+  createRoots() {
+    const now = Date.now();
+    this.nodes.clear();
+    this.nodes.set(ROOT_ID, {
+      id: ROOT_ID,
+      type: 'folder',
+      parentId: null,
+      title: 'Marcadores',
+      children: ROOT_FOLDERS.map(folder => folder.id),
+      dateAdded: now,
+      dateModified: now
+    });
+
+    for (const folder of ROOT_FOLDERS) {
+      this.nodes.set(folder.id, {
+        id: folder.id,
+        type: 'folder',
+        parentId: ROOT_ID,
+        title: folder.title,
+        children: [],
+        dateAdded: now,
+        dateModified: now
+      });
+    }
+  }
+
+  repairTree() {
+    // Eliminar referencias colgantes y recolocar huérfanos en "Otros marcadores"
+    const referenced = new Set([ROOT_ID]);
+    for (const node of this.nodes.values()) {
+      if (node.type !== 'folder') continue;
+      node.children = node.children.filter(childId => {
+        const child = this.nodes.get(childId);
+        if (!child || referenced.has(childId)) return false;
+        referenced.add(childId);
+        child.parentId = node.id;
+        return true;
+      });
+    }
+
+    for (const node of this.nodes.values()) {
+      if (!referenced.has(node.id)) {
+        node.parentId = 'other';
+        this.nodes.get('other').children.push(node.id);
+      }
+    }
+  }
+
+  // =============================================================================
+  // CREACIÓN Y EDICIÓN
+  // =============================================================================
+
+  async addBookmark(bookmark = {}) {
+    if (!bookmark.url) {
+      throw new Error('El marcador necesita una URL');
+    }
+
+    const node = this.insertNode({
+      type: 'bookmark',
+      title: bookmark.title || bookmark.url,
+      url: bookmark.url,
+      tags: BookmarksManager.normalizeTags(bookmark.tags),
+      notes: bookmark.notes || '',
+      keyword: this.validateKeyword(bookmark.keyword, null),
+      icon: bookmark.icon || null,
+      dateAdded: bookmark.dateAdded || bookmark.timestamp
+    }, bookmark.parentId || 'other', bookmark.index);
+
+    console.log(`🔖 Marcador agregado: ${node.title}`);
+    return this.toPublic(node);
+  }
+
+  async createFolder({ title, parentId = 'other', index } = {}) {
+    const node = this.insertNode({
+      type: 'folder',
+      title: title || 'Nueva carpeta',
+      children: []
+    }, parentId, index);
+
+    console.log(`📁 Carpeta de marcadores creada: ${node.title}`);
+    return this.toPublic(node);
+  }
+
+  async updateNode(nodeId, changes = {}) {
+    const node = this.getNodeOrThrow(nodeId);
+    if (PROTECTED_IDS.has(nodeId)) {
+      throw new Error('Las carpetas raíz no se pueden modificar');
+    }
+
+    if (changes.title !== undefined) node.title = String(changes.title);
+    if (node.type === 'bookmark') {
+      if (changes.url !== undefined) node.url = String(changes.url);
+      if (changes.tags !== undefined) node.tags = BookmarksManager.normalizeTags(changes.tags);
+      if (changes.notes !== undefined) node.notes = String(changes.notes || '');
+      if (changes.keyword !== undefined) node.keyword = this.validateKeyword(changes.keyword, nodeId);
+    }
+    node.dateModified = Date.now();
+
+    this.save();
+    return this.toPublic(node);
+  }
+
+  async moveNode(nodeId, { parentId, index } = {}) {
+    const node = this.getNodeOrThrow(nodeId);
+    if (PROTECTED_IDS.has(nodeId)) {
+      throw new Error('Las carpetas raíz no se pueden mover');
+    }
+
+    const targetId = parentId || node.parentId;
+    const target = this.getNodeOrThrow(targetId);
+    if (target.type !== 'folder' || targetId === ROOT_ID) {
+      throw new Error('El destino debe ser una carpeta de marcadores');
+    }
+    if (node.type === 'folder' && this.isDescendant(targetId, nodeId)) {
+      throw new Error('Una carpeta no se puede mover dentro de sí misma');
+    }
+
+    // Al reordenar dentro de la misma carpeta, el índice se refiere a la lista sin el nodo
+    const source = this.nodes.get(node.parentId);
+    const previousIndex = source.children.indexOf(nodeId);
+    source.children.splice(previousIndex, 1);
+
+    let position = Number.isInteger(index) ? index : target.children.length;
+    if (targetId === source.id && position > previousIndex) position--;
+    position = Math.max(0, Math.min(position, target.children.length));
+
+    target.children.splice(position, 0, nodeId);
+    node.parentId = targetId;
+    source.dateModified = target.dateModified = Date.now();
+
+    this.save();
+    return this.toPublic(node);
+  }
+
+  async removeNode(nodeId) {
+    if (PROTECTED_IDS.has(nodeId)) {
+      throw new Error('Las carpetas raíz no se pueden eliminar');
+    }
+    const node = this.nodes.get(nodeId);
+    if (!node) return false;
+
+    const parent = this.nodes.get(node.parentId);
+    if (parent) {
+      parent.children = parent.children.filter(childId => childId !== nodeId);
+    }
+
+    const removeRecursive = (id) => {
+      const current = this.nodes.get(id);
+      if (current?.type === 'folder') current.children.forEach(removeRecursive);
+      this.nodes.delete(id);
+    };
+    removeRecursive(nodeId);
+
+    console.log(`🗑️ Marcador removido: ${nodeId}`);
+    this.save();
+    return true;
+  }
+
+  async removeBookmark(bookmarkId) {
+    try {
+      return await this.removeNode(bookmarkId);
+    } catch (error) {
+      console.warn('⚠️', error.message);
+      return false;
+    }
+  }
+
+  insertNode(fields, parentId, index) {
+    const parent = this.getNodeOrThrow(parentId);
+    if (parent.type !== 'folder' || parentId === ROOT_ID) {
+      throw new Error('El destino debe ser una carpeta de marcadores');
+    }
+
+    const now = Date.now();
+    const node = {
+      id: BookmarksManager.generateId(fields.type),
+      parentId,
+      ...fields,
+      dateAdded: fields.dateAdded || now,
+      dateModified: now
+    };
+    this.nodes.set(node.id, node);
+
+    const position = Number.isInteger(index)
+      ? Math.max(0, Math.min(index, parent.children.length))
+      : parent.children.length;
+    parent.children.splice(position, 0, node.id);
+    parent.dateModified = now;
+
+    this.save();
+    return node;
+  }
+
+  // =============================================================================
+  // CONSULTAS
+  // =============================================================================
+
+  getTree(folderId = ROOT_ID) {
+    const build = (id) => {
+      const node = this.nodes.get(id);
+      const item = this.toPublic(node);
+      if (node.type === 'folder') {
+        item.children = node.children.map(build);
+      }
+      return item;
+    };
+    return build(this.getNodeOrThrow(folderId).id);
+  }
+
+  getNode(nodeId) {
+    const node = this.nodes.get(nodeId);
+    return node ? this.toPublic(node) : null;
+  }
+
+  async getAllBookmarks() {
+    return Array.from(this.nodes.values())
+      .filter(node => node.type === 'bookmark')
+      .map(node => this.toPublic(node));
+  }
+
+  search(query = '', options = {}) {
+    const terms = BookmarksManager.foldText(query).split(/\s+/).filter(Boolean);
+    const tag = options.tag ? BookmarksManager.foldText(options.tag) : null;
+
+    return Array.from(this.nodes.values())
+      .filter(node => node.type === 'bookmark')
+      .filter(node => !tag || node.tags.some(candidate => BookmarksManager.foldText(candidate) === tag))
+      .filter(node => {
+        const haystack = BookmarksManager.foldText(
+          [node.title, node.url, node.notes, node.keyword, ...node.tags].filter(Boolean).join(' ')
+        );
+        return terms.every(term => haystack.includes(term));
+      })
+      .slice(0, options.limit || 100)
+      .map(node => this.toPublic(node));
+  }
+
+  getTags() {
+    const counts = new Map();
+    for (const node of this.nodes.values()) {
+      if (node.type !== 'bookmark') continue;
+      for (const tag of node.tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  isBookmarked(url) {
+    for (const node of this.nodes.values()) {
+      if (node.type === 'bookmark' && node.url === url) return true;
+    }
+    return false;
+  }
+
+  getBookmarkCount() {
+    let count = 0;
+    for (const node of this.nodes.values()) {
+      if (node.type === 'bookmark') count++;
+    }
+    return count;
+  }
+
+  // =============================================================================
+  // PALABRAS CLAVE (ATAJOS DE LA BARRA DE DIRECCIONES)
+  // =============================================================================
+
+  validateKeyword(keyword, ownerId) {
+    if (!keyword) return null;
+    const value = String(keyword).trim().toLowerCase();
+    if (!value) return null;
+    if (/\s/.test(value)) {
+      throw new Error('La palabra clave no puede contener espacios');
+    }
+
+    for (const node of this.nodes.values()) {
+      if (node.keyword === value && node.id !== ownerId) {
+        throw new Error(`La palabra clave "${value}" ya está asignada a "${node.title}"`);
+      }
+    }
+    return value;
+  }
+
+  // "wiki electron" -> URL del marcador con palabra clave "wiki" (%s = resto del texto)
+  resolveKeyword(input) {
+    if (!input || typeof input !== 'string') return null;
+    const [keyword, ...rest] = input.trim().split(/\s+/);
+    const lowered = keyword.toLowerCase();
+
+    for (const node of this.nodes.values()) {
+      if (node.type !== 'bookmark' || node.keyword !== lowered) continue;
+      const terms = rest.join(' ');
+      if (node.url.includes('%s')) {
+        return node.url.replace(/%s/g, encodeURIComponent(terms));
+      }
+      return terms ? null : node.url;
+    }
+    return null;
+  }
+
+  // =============================================================================
+  // IMPORTACIÓN
+  // =============================================================================
+
+  async importFromFile(filePath, format = null) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const detected = format || BookmarksManager.detectFormat(filePath, content);
+
+    if (detected === 'chrome') {
+      return this.importChromeJson(content);
+    }
+    if (detected === 'netscape') {
+      return this.importNetscapeHtml(content);
+    }
+    throw new Error(`Formato de marcadores no reconocido: ${path.basename(filePath)}`);
+  }
+
+  importNetscapeHtml(html, options = {}) {
+    const target = options.parentId || this.createImportFolder('HTML').id;
+    const counters = { bookmarks: 0, folders: 0 };
+
+    const tokenPattern = /<DT>\s*<H3([^>]*)>([\s\S]*?)<\/H3>|<DT>\s*<A([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)|<DL[^>]*>|<\/DL>/gi;
+    const stack = [target];
+    let pendingFolder = null;
+    let lastNode = null;
+    let match;
+
+    while ((match = tokenPattern.exec(html)) !== null) {
+      const token = match[0];
+      const parentId = stack[stack.length - 1];
+
+      if (match[1] !== undefined) {
+        const attributes = BookmarksManager.parseAttributes(match[1]);
+        // La barra de marcadores exportada vuelve a nuestra barra salvo destino explícito
+        const folder = attributes.personal_toolbar_folder === 'true' && !options.parentId
+          ? this.nodes.get('toolbar')
+          : this.insertNode({
+            type: 'folder',
+            title: BookmarksManager.decodeEntities(match[2]).trim() || 'Carpeta',
+            children: [],
+            dateAdded: BookmarksManager.fromUnixSeconds(attributes.add_date)
+          }, parentId);
+        if (folder.id !== 'toolbar') counters.folders++;
+        pendingFolder = folder.id;
+        lastNode = folder;
+      } else if (match[3] !== undefined) {
+        const attributes = BookmarksManager.parseAttributes(match[3]);
+        // Las consultas "place:" de Firefox no son marcadores reales
+        if (!attributes.href || /^place:/i.test(attributes.href)) {
+          lastNode = null;
+          continue;
+        }
+        lastNode = this.insertNode({
+          type: 'bookmark',
+          title: BookmarksManager.decodeEntities(match[4]).trim() || attributes.href,
+          url: attributes.href,
+          tags: BookmarksManager.normalizeTags(attributes.tags),
+          notes: '',
+          keyword: this.tryKeyword(attributes.shortcuturl),
+          icon: attributes.icon || null,
+          dateAdded: BookmarksManager.fromUnixSeconds(attributes.add_date)
+        }, parentId);
+        counters.bookmarks++;
+      } else if (match[5] !== undefined) {
+        if (lastNode?.type === 'bookmark') {
+          lastNode.notes = BookmarksManager.decodeEntities(match[5]).trim();
+        }
+      } else if (/^<DL/i.test(token)) {
+        stack.push(pendingFolder || parentId);
+        pendingFolder = null;
+      } else if (stack.length > 1) {
+        stack.pop();
+      }
+    }
+
+    const folderId = options.parentId ? target : this.discardEmptyImportFolder(target);
+    this.save();
+    console.log(`📥 Marcadores importados (HTML): ${counters.bookmarks} marcadores, ${counters.folders} carpetas`);
+    return { format: 'netscape', folderId, ...counters };
+  }
+
+  importChromeJson(json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data?.roots) {
+      throw new Error('El archivo no tiene el formato Bookmarks de Chrome');
+    }
+
+    const importFolder = options.parentId ? null : this.createImportFolder('Chrome');
+    const counters = { bookmarks: 0, folders: 0 };
+
+    const importChildren = (children, parentId) => {
+      for (const child of children || []) {
+        const meta = child.meta_info || {};
+        if (child.type === 'folder') {
+          const folder = this.insertNode({
+            type: 'folder',
+            title: child.name || 'Carpeta',
+            children: [],
+            dateAdded: BookmarksManager.fromChromeTime(child.date_added)
+          }, parentId);
+          counters.folders++;
+          importChildren(child.children, folder.id);
+        } else if (child.type === 'url' && child.url) {
+          this.insertNode({
+            type: 'bookmark',
+            title: child.name || child.url,
+            url: child.url,
+            tags: BookmarksManager.normalizeTags(meta.silhouette_tags),
+            notes: meta.silhouette_notes || '',
+            keyword: this.tryKeyword(meta.silhouette_keyword),
+            icon: null,
+            dateAdded: BookmarksManager.fromChromeTime(child.date_added)
+          }, parentId);
+          counters.bookmarks++;
+        }
+      }
+    };
+
+    for (const root of ROOT_FOLDERS) {
+      const source = data.roots[root.chromeKey];
+      if (!source) continue;
+      // La barra de Chrome se fusiona con la nuestra; el resto va a la carpeta de importación
+      const parentId = options.parentId || (root.id === 'toolbar' ? 'toolbar' : importFolder.id);
+      importChildren(source.children, parentId);
+    }
+
+    const folderId = importFolder ? this.discardEmptyImportFolder(importFolder.id) : options.parentId;
+    this.save();
+    console.log(`📥 Marcadores importados (Chrome): ${counters.bookmarks} marcadores, ${counters.folders} carpetas`);
+    return { format: 'chrome', folderId, ...counters };
+  }
+
+  createImportFolder(source) {
+    const date = new Date().toISOString().slice(0, 10);
+    return this.insertNode({
+      type: 'folder',
+      title: `Importado de ${source} (${date})`,
+      children: []
+    }, 'other');
+  }
+
+  discardEmptyImportFolder(folderId) {
+    // Si todo fue a la barra de marcadores, la carpeta de importación sobra
+    const folder = this.nodes.get(folderId);
+    if (folder && folder.children.length === 0) {
+      const parent = this.nodes.get(folder.parentId);
+      parent.children = parent.children.filter(childId => childId !== folderId);
+      this.nodes.delete(folderId);
+      return null;
+    }
+    return folderId;
+  }
+
+  tryKeyword(keyword) {
+    try {
+      return this.validateKeyword(keyword, null);
+    } catch (error) {
+      // Palabra clave duplicada o inválida: se importa el marcador sin ella
+      return null;
+    }
+  }
+
+  // =============================================================================
+  // EXPORTACIÓN
+  // =============================================================================
+
+  async exportToFile(filePath, format = null) {
+    const resolved = format || (path.extname(filePath).toLowerCase() === '.json' ? 'chrome' : 'netscape');
+    const content = resolved === 'chrome'
+      ? JSON.stringify(this.exportChromeJson(), null, 3)
+      : this.exportNetscapeHtml();
+
+    await fs.writeFile(filePath, content, 'utf8');
+    console.log(`📤 Marcadores exportados (${resolved}): ${filePath}`);
+    return { format: resolved, filePath, bookmarks: this.getBookmarkCount() };
+  }
+
+  exportNetscapeHtml() {
+    const escape = BookmarksManager.escapeHtml;
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>'
+    ];
+
+    const writeNode = (node, depth) => {
+      const indent = '    '.repeat(depth);
+      const added = Math.floor(node.dateAdded / 1000);
+      const modified = Math.floor(node.dateModified / 1000);
+
+      if (node.type === 'folder') {
+        const toolbar = node.id === 'toolbar' ? ' PERSONAL_TOOLBAR_FOLDER="true"' : '';
+        lines.push(`${indent}<DT><H3 ADD_DATE="${added}" LAST_MODIFIED="${modified}"${toolbar}>${escape(node.title)}</H3>`);
+        lines.push(`${indent}<DL><p>`);
+        node.children.forEach(childId => writeNode(this.nodes.get(childId), depth + 1));
+        lines.push(`${indent}</DL><p>`);
+        return;
+      }
+
+      const attributes = [`HREF="${escape(node.url)}"`, `ADD_DATE="${added}"`, `LAST_MODIFIED="${modified}"`];
+      if (node.icon) attributes.push(`ICON="${escape(node.icon)}"`);
+      if (node.keyword) attributes.push(`SHORTCUTURL="${escape(node.keyword)}"`);
+      if (node.tags.length > 0) attributes.push(`TAGS="${escape(node.tags.join(','))}"`);
+      lines.push(`${indent}<DT><A ${attributes.join(' ')}>${escape(node.title)}</A>`);
+      if (node.notes) lines.push(`${indent}<DD>${escape(node.notes)}`);
+    };
+
+    for (const root of ROOT_FOLDERS) {
+      const folder = this.nodes.get(root.id);
+      // "Otros marcadores" se exporta plano en la raíz, como hacen Chrome y Firefox
+      if (root.id === 'other') {
+        folder.children.forEach(childId => writeNode(this.nodes.get(childId), 1));
+      } else if (folder.children.length > 0 || root.id === 'toolbar') {
+        writeNode(folder, 1);
+      }
+    }
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+  }
+
+  exportChromeJson() {
+    let nextId = 1;
+    const checksum = createHash('md5');
+
+    const convert = (node) => {
+      const id = String(nextId++);
+      const base = {
+        date_added: BookmarksManager.toChromeTime(node.dateAdded),
+        guid: node.guid || (node.guid = randomUUID()),
+        id,
+        name: node.title
+      };
+
+      // Suma de control de Chrome: id, título en UTF-16LE, tipo y URL
+      checksum.update(id);
+      checksum.update(Buffer.from(node.title, 'utf16le'));
+
+      if (node.type === 'folder') {
+        checksum.update('folder');
+        return {
+          children: node.children.map(childId => convert(this.nodes.get(childId))),
+          ...base,
+          date_modified: BookmarksManager.toChromeTime(node.dateModified),
+          type: 'folder'
+        };
+      }
+
+      checksum.update('url');
+      checksum.update(node.url);
+
+      const meta = {};
+      if (node.tags.length > 0) meta.silhouette_tags = node.tags.join(',');
+      if (node.notes) meta.silhouette_notes = node.notes;
+      if (node.keyword) meta.silhouette_keyword = node.keyword;
+
+      return {
+        ...base,
+        ...(Object.keys(meta).length > 0 ? { meta_info: meta } : {}),
+        type: 'url',
+        url: node.url
+      };
+    };
+
+    const roots = {};
+    for (const root of ROOT_FOLDERS) {
+      roots[root.chromeKey] = convert(this.nodes.get(root.id));
+    }
+
+    // Los guid nuevos se guardan para mantener exportaciones estables
+    this.save();
+
+    return {
+      checksum: checksum.digest('hex'),
+      roots,
+      version: 1
+    };
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      savedAt: Date.now(),
+      nodes: Array.from(this.nodes.values())
+    });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  getNodeOrThrow(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) {
+      throw new Error(`Marcador o carpeta no encontrado: ${nodeId}`);
+    }
+    return node;
+  }
+
+  isDescendant(nodeId, ancestorId) {
+    let current = this.nodes.get(nodeId);
+    while (current) {
+      if (current.id === ancestorId) return true;
+      current = this.nodes.get(current.parentId);
+    }
+    return false;
+  }
+
+  toPublic(node) {
+    const { children, ...rest } = node;
+    return node.type === 'folder'
+      ? { ...rest, childCount: children.length }
+      : { ...rest, tags: [...node.tags] };
+  }
+
+  static generateId(type) {
+    const prefix = type === 'folder' ? 'folder' : 'bookmark';
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+  }
+
+  static foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  static detectFormat(filePath, content) {
+    const extension = path.extname(filePath).toLowerCase();
+    const head = content.trimStart().slice(0, 200);
+    if (extension === '.json' || head.startsWith('{')) return 'chrome';
+    if (/^(\.html?)$/.test(extension) || /NETSCAPE-Bookmark-file/i.test(head)) return 'netscape';
+    return null;
+  }
+
+  static parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([A-Z_:-]+)\s*=\s*"([^"]*)"/gi;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      attributes[match[1].toLowerCase()] = BookmarksManager.decodeEntities(match[2]);
+    }
+    return attributes;
+  }
+
+  static decodeEntities(text) {
+    return String(text || '')
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  static escapeHtml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static fromUnixSeconds(value) {
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+  }
+
+  static fromChromeTime(value) {
+    const micros = Number(value);
+    return Number.isFinite(micros) && micros > 0
+      ? Math.round(micros / 1000) - CHROME_EPOCH_OFFSET_MS
+      : undefined;
+  }
+
+  static toChromeTime(ms) {
+    return String((BigInt(Math.round(ms)) + BigInt(CHROME_EPOCH_OFFSET_MS)) * 1000n);
+  }
+}
+
+export default BookmarksManager;
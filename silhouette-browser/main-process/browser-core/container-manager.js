@@ -0,0 +1,216 @@
+// =============================================================================
+// CONTAINER MANAGER - CONTENEDORES DE PESTAÑAS
+// Perfiles con nombre ("Trabajo", "Cliente A"...) respaldados por particiones
+// persistentes de Electron: cookies, almacenamiento y caché separados
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { session } from 'electron';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+// El contenedor por defecto usa la sesión por defecto y no se guarda en disco
+const DEFAULT_CONTAINER_ID = 'default';
+
+const CONTAINER_COLORS = ['#37ADFF', '#00C79A', '#51CD00', '#FFCB00', '#FF9F00', '#FF613D', '#FF4BDA', '#AF51F5'];
+const CONTAINER_ICONS = ['🏠', '💼', '🛒', '🏦', '🧪', '👤', '🎓', '✈️'];
+
+class ContainerManager extends EventEmitter {
+  constructor(browserCore) {
+    super();
+    this.browserCore = browserCore;
+    this.store = new PersistentStore('containers', { subdirectory: 'containers' });
+    this.containers = new Map(); // containerId -> { id, name, color, icon, partition, created }
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ containers: [] });
+    for (const container of saved.containers || []) {
+      if (container?.id && container.partition) {
+        this.containers.set(container.id, container);
+      }
+    }
+    console.log(`🧩 Contenedores cargados: ${this.containers.size}`);
+  }
+
+  // =============================================================================
+  // GESTIÓN DE CONTENEDORES
+  // =============================================================================
+
+  createContainer({ name, color, icon } = {}) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('El nombre del contenedor es requerido');
+    }
+    if (this.findByName(trimmed)) {
+      throw new Error(`Ya existe un contenedor llamado "${trimmed}"`);
+    }
+
+    const id = this.generateId(trimmed);
+    const container = {
+      id,
+      name: trimmed,
+      color: color || CONTAINER_COLORS[this.containers.size % CONTAINER_COLORS.length],
+      icon: icon || CONTAINER_ICONS[this.containers.size % CONTAINER_ICONS.length],
+      partition: `persist:container-${id}`,
+      created: Date.now()
+    };
+
+    this.containers.set(id, container);
+    this.save();
+
+    console.log(`🧩 Contenedor creado: ${container.name} (${container.partition})`);
+    this.emit('container-changed', { type: 'created', container });
+    return { ...container };
+  }
+
+  updateContainer(containerId, changes = {}) {
+    const container = this.containers.get(containerId);
+    if (!container) {
+      throw new Error(`Contenedor ${containerId} no encontrado`);
+    }
+
+    if (changes.name !== undefined) {
+      const trimmed = String(changes.name).trim();
+      const existing = this.findByName(trimmed);
+      if (!trimmed || (existing && existing.id !== containerId)) {
+        throw new Error(`Nombre de contenedor no válido: "${changes.name}"`);
+      }
+      container.name = trimmed;
+    }
+    if (changes.color) container.color = changes.color;
+    if (changes.icon) container.icon = changes.icon;
+
+    this.save();
+    this.emit('container-changed', { type: 'updated', container });
+    return { ...container };
+  }
+
+  async removeContainer(containerId, { clearData = true } = {}) {
+    const container = this.containers.get(containerId);
+    if (!container) return false;
+
+    const inUse = Array.from(this.browserCore.tabManager.tabs.values())
+      .filter(tab => tab.containerId === containerId);
+    if (inUse.length > 0) {
+      throw new Error(`El contenedor ${container.name} tiene ${inUse.length} pestañas abiertas`);
+    }
+
+    if (clearData) {
+      await this.clearContainerData(containerId);
+    }
+
+    this.containers.delete(containerId);
+    this.save();
+
+    console.log(`🗑️ Contenedor eliminado: ${container.name}`);
+    this.emit('container-changed', { type: 'removed', container });
+    return true;
+  }
+
+  async clearContainerData(containerId) {
+    const containerSession = this.getSession(containerId);
+    await containerSession.clearStorageData();
+    await containerSession.clearCache();
+    console.log(`🧹 Datos del contenedor ${containerId} eliminados`);
+    return true;
+  }
+
+  // =============================================================================
+  // PARTICIONES Y SESIONES
+  // =============================================================================
+
+  resolve(containerId) {
+    if (!containerId || containerId === DEFAULT_CONTAINER_ID) return null;
+
+    const container = this.containers.get(containerId);
+    if (!container) {
+      // Contenedor borrado desde que se guardó la sesión o el grupo
+      console.warn(`⚠️ Contenedor ${containerId} no existe, se usa el contenedor por defecto`);
+      return null;
+    }
+    return container;
+  }
+
+  getPartition(containerId) {
+    return this.resolve(containerId)?.partition || null;
+  }
+
+  getSession(containerId) {
+    const partition = this.getPartition(containerId);
+    const containerSession = partition ? session.fromPartition(partition) : session.defaultSession;
+
+    // Descargas, permisos y política de cookies también en la partición
+    this.browserCore.configureSession(containerSession);
+    return containerSession;
+  }
+
+  // =============================================================================
+  // CONSULTAS
+  // =============================================================================
+
+  getContainers() {
+    return Array.from(this.containers.values()).map(container => ({
+      ...container,
+      tabCount: this.countTabs(container.id)
+    }));
+  }
+
+  getContainer(containerId) {
+    const container = this.resolve(containerId);
+    return container ? { ...container } : null;
+  }
+
+  // Datos mínimos que necesita la tira de pestañas
+  describe(containerId) {
+    const container = this.resolve(containerId);
+    return container
+      ? { id: container.id, name: container.name, color: container.color, icon: container.icon }
+      : null;
+  }
+
+  findByName(name) {
+    const needle = String(name).trim().toLowerCase();
+    return Array.from(this.containers.values()).find(container => container.name.toLowerCase() === needle) || null;
+  }
+
+  countTabs(containerId) {
+    let count = 0;
+    for (const tab of this.browserCore.tabManager.tabs.values()) {
+      if (tab.containerId === containerId) count++;
+    }
+    return count;
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  generateId(name) {
+    const slug = name
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'container';
+
+    let id = slug;
+    for (let suffix = 2; this.containers.has(id) || id === DEFAULT_CONTAINER_ID; suffix++) {
+      id = `${slug}-${suffix}`;
+    }
+    return id;
+  }
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      containers: Array.from(this.containers.values())
+    });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+}
+
+export default ContainerManager;
+export { DEFAULT_CONTAINER_ID };
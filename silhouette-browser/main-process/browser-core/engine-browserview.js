@@ -3,10 +3,25 @@
 // Control total del navegador con múltiples BrowserView instances
 // =============================================================================
 
-import { BrowserWindow, BrowserView } from 'electron';
+import { app, BrowserWindow, BrowserView, session } from 'electron';
+import { EventEmitter } from 'events';
 import * as path from 'path';
 import * as url from 'url';
 import TabGroupsManager from './tab-groups-manager.js';
+import SessionManager from './session-manager.js';
+import HistoryManager from './history-manager.js';
+import BookmarksManager from './bookmarks-manager.js';
+import ContainerManager from './container-manager.js';
+import { DownloadManager } from '../download-manager/download-manager.js';
+import { ContentBlocker } from '../content-blocker/content-blocker.js';
+import { SecurityManager } from '../site-security/security-manager.js';
+import { ReaderMode } from '../reader-mode/reader-mode.js';
+import { FindInPage } from '../page-search/find-in-page.js';
+import { TabSearch } from '../page-search/tab-search.js';
+import { TabHibernation } from '../tab-hibernation/tab-hibernation.js';
+import { AgentTraceStore } from '../agent-traces/agent-trace-store.js';
+import { AgentMemory } from '../agent-memory/agent-memory.js';
+import { PageWatcher } from '../page-watcher/page-watcher.js';
 
 class BrowserCore {
   constructor() {
@@ -16,9 +31,43 @@ class BrowserCore {
     this.history = new HistoryManager();
     this.bookmarks = new BookmarksManager();
     this.settings = new BrowserSettings();
-    this.security = new SecurityManager();
-    this.performance = new PerformanceMonitor();
+    this.security = new SecurityManager({
+      resolveTabId: (webContents) => this.tabManager.getTabIdByWebContents(webContents)
+    });
+    this.performance = new PerformanceMonitor(this);
     this.tabGroups = new TabGroupsManager(this.tabManager);
+    this.sessions = new SessionManager(this);
+    this.containers = new ContainerManager(this);
+    this.contentBlocker = new ContentBlocker({
+      resolveTabId: (webContents) => this.tabManager.getTabIdByWebContents(webContents)
+    });
+    this.reader = new ReaderMode(this);
+    this.findInPage = new FindInPage(this);
+    this.tabSearch = new TabSearch(this);
+    this.hibernation = new TabHibernation(this);
+    this.downloads = new DownloadManager({
+      resolveTabId: (webContents) => this.tabManager.getTabIdByWebContents(webContents)
+    });
+    
+    // Ganchos aplicados a cada sesión de navegación (por defecto y particiones)
+    this.sessionHooks = [];
+    this.configuredSessions = new Set();
+    
+    // Pestañas en las que trabaja la navegación autónoma del agente
+    this.agentTabs = new Set();
+    
+    // Trazas de las ejecuciones de agentes (orquestador, navegación, omnipotente)
+    this.agentTraces = new AgentTraceStore();
+    
+    // Memoria a largo plazo de los agentes: tareas ya hechas y hechos sobre sitios
+    this.agentMemory = new AgentMemory();
+    
+    // Vigilancia de cambios en páginas (BrowserView oculto por comprobación)
+    this.pageWatcher = new PageWatcher(this);
+    
+    // Permisos por sitio y cookies (los aporta la capa de seguridad)
+    this.siteSettings = null;
+    this.cookies = null;
   }
 
   // =============================================================================
@@ -37,6 +86,44 @@ class BrowserCore {
       await this.settings.initialize();
       await this.security.initialize();
       await this.performance.initialize();
+      await this.downloads.initialize();
+      await this.containers.initialize();
+      await this.contentBlocker.initialize();
+      await this.reader.initialize();
+      await this.hibernation.initialize();
+      await this.agentTraces.initialize();
+      await this.agentMemory.initialize();
+      await this.pageWatcher.initialize();
+      
+      // Configurar la sesión por defecto con los ganchos de cada subsistema
+      this.onSession((browserSession) => this.downloads.attachSession(browserSession));
+      this.onSession((browserSession) => this.contentBlocker.attachSession(browserSession));
+      this.onSession((browserSession) => this.security.attachSession(browserSession));
+      this.tabManager.on('tab-closed', (tabId) => {
+        this.contentBlocker.forgetTab(tabId);
+        this.security.forgetTab(tabId);
+        this.findInPage.forgetTab(tabId);
+        this.hibernation.forgetTab(tabId);
+      });
+      this.security.on('verdict-changed', ({ tabId, verdict }) => {
+        this.tabManager.notifyTabUpdated(tabId, 'security-changed', verdict);
+      });
+      this.reader.on('reader-changed', ({ tabId, ...state }) => {
+        this.tabManager.notifyTabUpdated(tabId, 'reader-changed', state);
+      });
+      this.findInPage.on('find-result', ({ tabId, ...state }) => {
+        this.tabManager.notifyTabUpdated(tabId, 'find-result', state);
+      });
+      this.findInPage.on('find-requested', ({ tabId }) => {
+        // El foco pasa de la página a la barra de búsqueda de la ventana
+        const window = this.tabManager.getWindowById(this.tabManager.tabs.get(tabId)?.windowId);
+        if (window && !window.isDestroyed()) window.webContents.focus();
+        this.tabManager.notifyTabUpdated(tabId, 'find-requested', {});
+      });
+      this.configureSession(session.defaultSession);
+      
+      // Recuperar la sesión anterior antes de abrir ventanas nuevas
+      await this.sessions.initialize();
       
       // Crear ventana principal con BrowserView
       await this.createMainWindow();
@@ -133,6 +220,12 @@ class BrowserCore {
   }
 
   setupWindowEvents(window, windowId) {
+    // Registrar posición y tamaño para la restauración de sesión
+    const recordBounds = () => this.sessions.recordWindow(windowId, window);
+    window.on('resized', recordBounds);
+    window.on('moved', recordBounds);
+    window.on('close', recordBounds);
+
     // Manejar cierre de ventana
     window.on('closed', () => {
       this.windows.delete(windowId);
@@ -186,12 +279,24 @@ class BrowserCore {
   // =============================================================================
   
   async createNewTab(url = 'about:blank', options = {}) {
-    return await this.tabManager.createTabWithBrowserView({
+    // Las pestañas abiertas dentro de un grupo heredan su contenedor
+    const group = options.groupId ? this.tabGroups.groups.get(options.groupId) : null;
+    
+    const tabId = await this.tabManager.createTabWithBrowserView({
       url,
       active: options.active !== false,
       pinned: options.pinned || false,
-      windowId: this.activeWindow ? 'main' : null
+      windowId: this.activeWindow ? 'main' : null,
+      containerId: options.containerId || group?.metadata.containerId || null
     });
+    
+    // Grupo explícito o, si no, el que decidan las reglas de agrupación
+    if (group) {
+      await this.tabGroups.addTabToGroup(group.id, tabId);
+    } else {
+      await this.tabGroups.applyRules(tabId, { url, openerTabId: options.openerTabId });
+    }
+    return tabId;
   }
 
   async closeTab(tabId) {
@@ -215,8 +320,14 @@ class BrowserCore {
       await this.createMainWindow();
     }
 
-    // Usar TabManager para navegación
-    await this.tabManager.navigateToUrl(this.activeWindow, url);
+    // Atajos por palabra clave de marcadores ("wiki electron")
+    const keywordUrl = this.bookmarks.resolveKeyword(url);
+    if (keywordUrl) {
+      url = keywordUrl;
+    }
+
+    // Usar TabManager para navegación (por defecto, URL escrita por el usuario)
+    await this.tabManager.navigateToUrl(this.activeWindow, url, options.transition || 'typed');
 
     console.log(`🧭 Navegando a: ${url}`);
   }
@@ -261,7 +372,7 @@ class BrowserCore {
     };
 
     const searchUrl = searchUrls[engine] || searchUrls.google;
-    await this.navigateTo(searchUrl + encodeURIComponent(query));
+    await this.navigateTo(searchUrl + encodeURIComponent(query), { transition: 'generated' });
     
     console.log(`🔍 Búsqueda realizada: ${query} en ${engine}`);
   }
@@ -270,12 +381,12 @@ class BrowserCore {
   // BOOKMARKS
   // =============================================================================
   
-  async addBookmark(title, url) {
+  async addBookmark(title, url, options = {}) {
     return await this.bookmarks.addBookmark({
+      ...options,
       title,
       url,
-      timestamp: Date.now(),
-      id: `bookmark-${Date.now()}`
+      timestamp: Date.now()
     });
   }
 
@@ -287,6 +398,19 @@ class BrowserCore {
     return await this.bookmarks.getAllBookmarks();
   }
 
+  getBookmarkTree(folderId) {
+    return this.bookmarks.getTree(folderId);
+  }
+
+  async openBookmark(bookmarkId) {
+    const bookmark = this.bookmarks.getNode(bookmarkId);
+    if (!bookmark || bookmark.type !== 'bookmark') {
+      throw new Error(`Marcador no encontrado: ${bookmarkId}`);
+    }
+    await this.navigateTo(bookmark.url, { transition: 'bookmark' });
+    return bookmark;
+  }
+
   // =============================================================================
   // HISTORIAL
   // =============================================================================
@@ -299,6 +423,18 @@ class BrowserCore {
     return await this.history.clearAll();
   }
 
+  async searchHistory(query, limit = 10) {
+    return await this.history.search(query, { limit });
+  }
+
+  async deleteHistoryRange(from, to) {
+    return await this.history.deleteRange(from, to);
+  }
+
+  async deleteHistoryByDomain(domain) {
+    return await this.history.deleteByDomain(domain);
+  }
+
   // =============================================================================
   // CONFIGURACIÓN
   // =============================================================================
@@ -319,10 +455,32 @@ class BrowserCore {
     return await this.security.checkUrl(url);
   }
 
+  getTabSecurity(tabId = this.tabManager.activeTabId) {
+    const webContents = this.tabManager.tabs.get(tabId)?.browserView?.webContents;
+    const url = webContents && !webContents.isDestroyed() ? webContents.getURL() : null;
+    return this.security.getTabVerdict(tabId, url);
+  }
+
   getSecurityStatus() {
     return this.security.getStatus();
   }
 
+  // =============================================================================
+  // BÚSQUEDA EN PÁGINA Y EN PESTAÑAS
+  // =============================================================================
+
+  async searchTabs(query, options = {}) {
+    return await this.tabSearch.search(query, options);
+  }
+
+  // Activa la pestaña del resultado y resalta la consulta dentro de ella
+  async openSearchResult(tabId, query, options = {}) {
+    if (!await this.tabManager.switchToBrowserView(tabId)) {
+      throw new Error(`Pestaña ${tabId} no encontrada`);
+    }
+    return await this.findInPage.find(tabId, query, options);
+  }
+
   // =============================================================================
   // EVENTOS
   // =============================================================================
@@ -333,7 +491,12 @@ class BrowserCore {
     this.onTabChange = null;
     this.onSecurityAlert = null;
     this.onPerformanceAlert = null;
-    this.onGroupChange = null;
+    this.groupChangeListener = null;
+    // Los cambios de grupos pasan por el journal de sesión antes de llegar al renderer
+    this.onGroupChange = (eventType, data) => {
+      this.sessions.recordGroups(eventType);
+      this.groupChangeListener?.(eventType, data);
+    };
   }
 
   on(event, callback) {
@@ -351,7 +514,7 @@ class BrowserCore {
         this.onPerformanceAlert = callback;
         break;
       case 'group-change':
-        this.onGroupChange = callback;
+        this.groupChangeListener = callback;
         break;
     }
   }
@@ -370,7 +533,8 @@ class BrowserCore {
 
   getCurrentUrl() {
     const activeView = this.tabManager.getActiveBrowserView(this.activeWindow);
-    return activeView ? activeView.webContents.getURL() : null;
+    if (!activeView) return null;
+    return this.getPageOverride(activeView.webContents)?.url || activeView.webContents.getURL();
   }
 
   getCurrentTitle() {
@@ -378,6 +542,20 @@ class BrowserCore {
     return activeView ? activeView.webContents.getTitle() : null;
   }
 
+  // Páginas generadas por el navegador (advertencia de seguridad, vista de
+  // lectura) que se muestran con la URL y el título de la página original
+  getPageOverride(webContents) {
+    const interstitial = this.security.getInterstitial(webContents);
+    if (interstitial) {
+      return { kind: 'interstitial', url: interstitial.url, title: `⚠️ ${webContents.getTitle()}` };
+    }
+    const reader = this.reader.getReaderState(webContents);
+    if (reader) {
+      return { kind: 'reader', url: reader.url, title: reader.title };
+    }
+    return null;
+  }
+
   isWindowActive(windowId) {
     return this.windows.has(windowId) && this.windows.get(windowId) === this.activeWindow;
   }
@@ -396,6 +574,9 @@ class BrowserCore {
       tabs: this.tabManager.getTabCount(),
       groups: this.tabGroups.getTabCount(),
       historyEntries: this.history.getEntryCount(),
+      containers: this.containers.getContainers().length,
+      contentBlocker: this.contentBlocker.getStats(),
+      downloads: this.downloads.getStats(),
       bookmarks: this.bookmarks.getBookmarkCount(),
       securityStatus: this.security.getStatus()
     };
@@ -449,6 +630,14 @@ class BrowserCore {
     return await this.tabGroups.executeAgentGroupTask(groupId, task);
   }
 
+  cancelAgentGroupTask(id) {
+    return this.tabGroups.cancelAgentGroupTask(id);
+  }
+
+  getAgentGroupTaskRuns(groupId) {
+    return this.tabGroups.getAgentGroupTaskRuns(groupId);
+  }
+
   getAllTabGroups() {
     return this.tabGroups.getAllGroups();
   }
@@ -481,6 +670,112 @@ class BrowserCore {
     return await this.tabGroups.importGroups(data);
   }
 
+  // =============================================================================
+  // SESIONES DE NAVEGACIÓN (ELECTRON)
+  // =============================================================================
+  
+  onSession(hook) {
+    this.sessionHooks.push(hook);
+    for (const browserSession of this.configuredSessions) {
+      hook(browserSession);
+    }
+  }
+
+  configureSession(browserSession) {
+    if (!browserSession || this.configuredSessions.has(browserSession)) return;
+    this.configuredSessions.add(browserSession);
+    for (const hook of this.sessionHooks) {
+      hook(browserSession);
+    }
+  }
+
+  // =============================================================================
+  // DESCARGAS
+  // =============================================================================
+  
+  getDownloads(filter) {
+    return this.downloads.getDownloads(filter);
+  }
+
+  async startDownload(url, options = {}) {
+    // Descargar desde la pestaña indicada para conservar cookies y referer
+    const tab = options.tabId ? this.tabManager.tabs.get(options.tabId) : null;
+    return await this.downloads.startDownload(url, {
+      ...options,
+      webContents: tab?.browserView?.webContents
+    });
+  }
+
+  // =============================================================================
+  // CONTENEDORES
+  // =============================================================================
+  
+  getContainers() {
+    return this.containers.getContainers();
+  }
+
+  createContainer(options) {
+    return this.containers.createContainer(options);
+  }
+
+  updateContainer(containerId, changes) {
+    return this.containers.updateContainer(containerId, changes);
+  }
+
+  async removeContainer(containerId, options) {
+    return await this.containers.removeContainer(containerId, options);
+  }
+
+  async clearContainerData(containerId) {
+    return await this.containers.clearContainerData(containerId);
+  }
+
+  // Sesión de una pestaña o de un contenedor; sin ninguno, la sesión por defecto
+  getSessionFor({ tabId = null, containerId = null } = {}) {
+    if (tabId) {
+      const tab = this.tabManager.tabs.get(tabId);
+      if (!tab) throw new Error(`Pestaña ${tabId} no encontrada`);
+      return this.containers.getSession(tab.containerId);
+    }
+    return this.containers.getSession(containerId);
+  }
+
+  async setTabContainer(tabId, containerId) {
+    return await this.tabManager.setTabContainer(tabId, containerId);
+  }
+
+  async setTabGroupContainer(groupId, containerId) {
+    return await this.tabGroups.setGroupContainer(groupId, containerId);
+  }
+
+  // =============================================================================
+  // SESIONES
+  // =============================================================================
+  
+  async listSessions() {
+    return await this.sessions.listSessions();
+  }
+
+  async restoreLastSession() {
+    return await this.sessions.restoreLastSession();
+  }
+
+  async restoreSession(kind, sessionId) {
+    return await this.sessions.restoreSession(kind, sessionId);
+  }
+
+  async saveNamedSession(name) {
+    return await this.sessions.saveNamedSession(name);
+  }
+
+  async deleteSession(kind, sessionId) {
+    return await this.sessions.deleteSession(kind, sessionId);
+  }
+
+  hasPreviousSession() {
+    return !!this.sessions.previousSession && this.sessions.previousSession.tabs.length > 0;
+  }
+
   // =============================================================================
   // LIMPIEZA Y CIERRE
   // =============================================================================
@@ -488,6 +783,21 @@ class BrowserCore {
   async cleanup() {
     console.log('🧹 Limpiando Núcleo del Navegador...');
     
+    // Guardar la sesión antes de destruir los BrowserViews
+    await this.sessions.shutdown();
+    await this.history.shutdown();
+    await this.bookmarks.shutdown();
+    await this.downloads.shutdown();
+    await this.containers.shutdown();
+    await this.contentBlocker.shutdown();
+    await this.security.shutdown();
+    await this.reader.shutdown();
+    await this.hibernation.shutdown();
+    await this.agentTraces.shutdown();
+    await this.agentMemory.shutdown();
+    await this.pageWatcher.shutdown();
+    await this.tabGroups.shutdown();
+    
     // Limpiar todos los BrowserViews
     await this.tabManager.cleanup();
     
@@ -509,8 +819,9 @@ class BrowserCore {
 // TAB MANAGER CON BROWSERVIEW - GESTOR DE PESTAÑAS REALES
 // =============================================================================
 
-class TabManager {
+class TabManager extends EventEmitter {
   constructor(browserCore) {
+    super();
     this.browserCore = browserCore;
     this.tabs = new Map(); // tabId -> { browserView, window, metadata }
     this.activeTabId = null;
@@ -543,14 +854,9 @@ class TabManager {
     const tabId = `tab-${this.nextTabId++}`;
     const windowId = options.windowId || 'main';
     
-    // Crear BrowserView
-    const browserView = new BrowserView({
-      webPreferences: {
-        nodeIntegration: false,
-        contextIsolation: true,
-        sandbox: true
-      }
-    });
+    // Crear BrowserView en la partición del contenedor (null = sesión por defecto)
+    const containerId = this.browserCore.containers.resolve(options.containerId)?.id || null;
+    const browserView = this.createBrowserView(containerId);
 
     // Configurar BrowserView
     await this.setupBrowserViewEvents(browserView, tabId, windowId);
@@ -559,14 +865,7 @@ class TabManager {
     const window = this.getWindowById(windowId);
     if (window) {
       window.setBrowserView(browserView);
-      
-      // Configurar dimensiones del BrowserView
-      const bounds = window.getContentBounds();
-      browserView.setBounds({ 
-        x: 0, y: 120, // Dejar espacio para la toolbar
-        width: bounds.width, 
-        height: bounds.height - 120 
-      });
+      this.fitBrowserView(window, browserView);
     }
 
     // Crear metadata del tab
@@ -580,7 +879,8 @@ class TabManager {
       pinned: options.pinned,
       created: Date.now(),
       favicon: null,
-      isLoading: false
+      isLoading: false,
+      containerId
     };
 
     // Registrar tab
@@ -607,19 +907,115 @@ class TabManager {
 
     console.log(`📑 Pestaña con BrowserView creada: ${tabId} en ventana ${windowId}`);
     
-    // Notificar creación de pestaña al sistema de grupos para agrupación automática
-    if (this.browserCore.tabGroups) {
-      this.browserCore.tabGroups.setupAutoGroupingEvents();
-    }
+    // Notificar creación de pestaña (agrupación automática, sesiones...)
+    this.emit('tab-created', tabId);
     
     return tabId;
   }
 
+  fitBrowserView(window, browserView) {
+    const bounds = window.getContentBounds();
+    browserView.setBounds({ 
+      x: 0, y: 120, // Dejar espacio para la toolbar
+      width: bounds.width, 
+      height: bounds.height - 120 
+    });
+  }
+
+  createBrowserView(containerId) {
+    const webPreferences = {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    };
+    
+    if (containerId) {
+      // Cookies, almacenamiento y caché propios del contenedor
+      webPreferences.session = this.browserCore.containers.getSession(containerId);
+    }
+    
+    return new BrowserView({ webPreferences });
+  }
+
+  async setTabContainer(tabId, containerId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) {
+      throw new Error(`Pestaña ${tabId} no encontrada`);
+    }
+    
+    const targetId = this.browserCore.containers.resolve(containerId)?.id || null;
+    if ((tab.containerId || null) === targetId) return false;
+    
+    // Pestaña suspendida: se abrirá en el nuevo contenedor al rehidratarla
+    if (tab.discarded) {
+      tab.containerId = targetId;
+      this.notifyTabUpdated(tabId, 'container-changed', {
+        container: this.browserCore.containers.describe(targetId)
+      });
+      return true;
+    }
+    
+    // La partición de un webContents es fija: se reabre la pestaña conservando su id
+    const oldView = tab.browserView;
+    const url = oldView.webContents.isDestroyed() ? tab.url : (oldView.webContents.getURL() || tab.url);
+    const browserView = this.createBrowserView(targetId);
+    await this.setupBrowserViewEvents(browserView, tabId, tab.windowId);
+    
+    const window = this.getWindowById(tab.windowId);
+    const windowView = this.windowViews.get(tab.windowId);
+    if (windowView) {
+      windowView.views.set(tabId, browserView);
+      if (windowView.activeView === oldView) {
+        windowView.activeView = browserView;
+        if (window && !window.isDestroyed()) {
+          window.setBrowserView(browserView);
+          browserView.setBounds(oldView.getBounds());
+        }
+      }
+    }
+    
+    tab.browserView = browserView;
+    tab.containerId = targetId;
+    this.browserCore.history?.endVisit(tabId);
+    if (!oldView.webContents.isDestroyed()) {
+      oldView.webContents.close();
+    }
+    
+    if (url && url !== 'about:blank') {
+      tab.pendingTransition = 'reload';
+      try {
+        await browserView.webContents.loadURL(url);
+      } catch (error) {
+        console.warn(`⚠️ No se pudo recargar ${url} en el contenedor:`, error.message);
+      }
+    }
+    
+    console.log(`🧩 Pestaña ${tabId} movida al contenedor ${targetId || 'por defecto'}`);
+    this.notifyTabUpdated(tabId, 'container-changed', {
+      container: this.browserCore.containers.describe(targetId)
+    });
+    return true;
+  }
+
   async setupBrowserViewEvents(browserView, tabId, windowId) {
     const webContents = browserView.webContents;
 
     // Evento: carga completada
     webContents.on('did-finish-load', () => {
+      // Advertencia de seguridad o vista de lectura: se conserva la URL original
+      // y no entran en el historial
+      const override = this.browserCore.getPageOverride(webContents);
+      if (override) {
+        const tab = this.tabs.get(tabId);
+        if (tab) {
+          tab.title = override.title;
+          tab.url = override.url;
+          tab.isLoading = false;
+        }
+        this.notifyTabUpdated(tabId, 'load-finished', { title: override.title, url: override.url, [override.kind]: true });
+        return;
+      }
+
       const title = webContents.getTitle();
       const url = webContents.getURL();
       
@@ -633,13 +1029,7 @@ class TabManager {
 
       // Agregar al historial global
       if (this.browserCore.history) {
-        this.browserCore.history.addEntry({
-          url,
-          title,
-          timestamp: Date.now(),
-          tabId,
-          windowId
-        });
+        this.recordHistoryVisit(tabId, windowId, webContents, { url, title });
       }
 
       console.log(`📄 Página cargada en tab ${tabId}: ${title} - ${url}`);
@@ -686,46 +1076,117 @@ class TabManager {
       const tab = this.tabs.get(tabId);
       if (tab && favicons.length > 0) {
         tab.favicon = favicons[0];
+        this.browserCore.history?.setFavicon(webContents.getURL(), favicons[0]);
       }
       
       this.notifyTabUpdated(tabId, 'favicon-updated', { favicons });
     });
 
+    // Atajos de búsqueda con el foco dentro de la página
+    webContents.on('before-input-event', (event, input) => {
+      if (this.browserCore.findInPage.handleInput(tabId, webContents, input)) {
+        event.preventDefault();
+      }
+    });
+
     // Evento: nueva ventana
-    webContents.setWindowOpenHandler(({ url }) => {
+    webContents.setWindowOpenHandler(({ url, disposition }) => {
       console.log(`🪟 Nueva ventana solicitada desde tab ${tabId}: ${url}`);
       
-      // Crear nueva pestaña en lugar de ventana independiente
+      // Bloquear ventanas emergentes según los permisos del sitio que las abre
+      const siteSettings = this.browserCore.siteSettings;
+      const openerUrl = webContents.getURL();
+      if (siteSettings && !siteSettings.shouldAllowPopup(openerUrl, { disposition })) {
+        console.log(`🚫 Ventana emergente bloqueada en tab ${tabId}: ${url}`);
+        this.emit('popup-blocked', { tabId, url, openerUrl });
+        return { action: 'deny' };
+      }
+      
+      // Crear nueva pestaña en lugar de ventana independiente, en el mismo
+      // contenedor que la pestaña que la abre; el grupo lo deciden las reglas
+      // (por defecto, el de la pestaña de origen)
+      const opener = this.tabs.get(tabId);
       this.createTabWithBrowserView({
         url,
         active: true,
         pinned: false,
-        windowId
+        windowId,
+        containerId: opener?.containerId
+      }).then(newTabId => {
+        return this.browserCore.tabGroups.applyRules(newTabId, { url, openerTabId: tabId });
+      }).catch(error => {
+        console.error('❌ Error abriendo nueva pestaña:', error);
       });
       
       return { action: 'deny' }; // Denegar ventana independiente
     });
   }
 
-  async navigateToUrl(window, url) {
+  recordHistoryVisit(tabId, windowId, webContents, { url, title }) {
+    const tab = this.tabs.get(tabId);
+    const transition = tab?.pendingTransition || 'link';
+    const referrer = transition === 'typed' || transition === 'generated' ? null : tab?.lastVisitedUrl;
+
+    if (tab) {
+      tab.pendingTransition = null;
+      tab.lastVisitedUrl = url;
+    }
+
+    const visitId = this.browserCore.history.addEntry({
+      url,
+      title,
+      timestamp: Date.now(),
+      transition,
+      referrer,
+      tabId,
+      windowId
+    });
+
+    if (!visitId) return;
+
+    // Extraer el texto visible para el índice de texto completo
+    webContents.executeJavaScript('document.body ? document.body.innerText : ""')
+      .then(text => {
+        if (!webContents.isDestroyed() && webContents.getURL() === url) {
+          this.browserCore.history.updatePageContent(url, { title: webContents.getTitle(), text });
+        }
+      })
+      .catch(() => {});
+  }
+
+  markTransition(browserView, transition) {
+    for (const tab of this.tabs.values()) {
+      if (tab.browserView === browserView) {
+        tab.pendingTransition = transition;
+        return;
+      }
+    }
+  }
+
+  async navigateToUrl(window, url, transition = 'link') {
     if (!window) {
       console.error('❌ No se puede navegar: ventana no especificada');
       return;
     }
 
+    // Obtener tab activo
+    const windowId = this.getWindowId(window);
+    const windowView = this.windowViews.get(windowId);
+
     // Verificar seguridad
     const securityCheck = await this.browserCore.checkSecurity(url);
     if (!securityCheck.safe) {
       console.warn('⚠️ Navegación bloqueada por seguridad:', securityCheck.reason);
+      // Sitios en listas de amenazas: advertencia en la pestaña en lugar de no hacer nada
+      if (securityCheck.threat && windowView?.activeView) {
+        this.browserCore.security.showInterstitial(windowView.activeView.webContents, securityCheck);
+      }
       return;
     }
-
-    // Obtener tab activo
-    const windowId = this.getWindowId(window);
-    const windowView = this.windowViews.get(windowId);
     
     if (windowView && windowView.activeView) {
       // Navegar con BrowserView activo
+      this.markTransition(windowView.activeView, transition);
       await windowView.activeView.webContents.loadURL(url);
       console.log(`🧭 Navegando en BrowserView activo: ${url}`);
     } else {
@@ -748,12 +1209,13 @@ class TabManager {
 
     // Remover BrowserView
     const window = this.getWindowById(tab.windowId);
-    if (window && window.getBrowserView() === tab.browserView) {
+    if (window && tab.browserView && window.getBrowserView() === tab.browserView) {
       window.setBrowserView(null);
     }
 
     // Limpiar referencias
     this.tabs.delete(tabId);
+    this.browserCore.history?.endVisit(tabId);
     
     // Remover de la vista de la ventana
     const windowView = this.windowViews.get(tab.windowId);
@@ -761,7 +1223,7 @@ class TabManager {
       windowView.views.delete(tabId);
       
       // Si este era el tab activo, cambiar a otro
-      if (windowView.activeView === tab.browserView) {
+      if (tab.browserView && windowView.activeView === tab.browserView) {
         const remainingViews = Array.from(windowView.views.values());
         windowView.activeView = remainingViews[0] || null;
         
@@ -772,6 +1234,7 @@ class TabManager {
     }
 
     console.log(`🗑️ BrowserView del tab ${tabId} cerrado`);
+    this.emit('tab-closed', tabId);
     return true;
   }
 
@@ -788,6 +1251,11 @@ class TabManager {
       return false;
     }
 
+    // Pestaña suspendida: se rehidrata y la página carga ya en primer plano
+    if (tab.discarded) {
+      await this.browserCore.hibernation.restore(tabId, { waitForLoad: false });
+    }
+
     // Cambiar BrowserView activo
     window.setBrowserView(tab.browserView);
     
@@ -810,6 +1278,13 @@ class TabManager {
       return false;
     }
 
+    if (tab.discarded) {
+      await this.browserCore.hibernation.restore(tabId, { waitForLoad: false });
+      console.log(`🔄 Recargando tab ${tabId}`);
+      return true;
+    }
+
+    tab.pendingTransition = 'reload';
     await tab.browserView.webContents.reload();
     console.log(`🔄 Recargando tab ${tabId}`);
     return true;
@@ -821,6 +1296,7 @@ class TabManager {
     
     if (windowView && windowView.activeView) {
       if (windowView.activeView.webContents.canGoBack()) {
+        this.markTransition(windowView.activeView, 'back_forward');
         await windowView.activeView.webContents.goBack();
       }
     }
@@ -832,6 +1308,7 @@ class TabManager {
     
     if (windowView && windowView.activeView) {
       if (windowView.activeView.webContents.canGoForward()) {
+        this.markTransition(windowView.activeView, 'back_forward');
         await windowView.activeView.webContents.goForward();
       }
     }
@@ -842,6 +1319,7 @@ class TabManager {
     const windowView = this.windowViews.get(windowId);
     
     if (windowView && windowView.activeView) {
+      this.markTransition(windowView.activeView, 'reload');
       await windowView.activeView.webContents.reload();
     }
   }
@@ -869,8 +1347,8 @@ class TabManager {
   }
 
   notifyTabUpdated(tabId, eventType, data) {
-    // Notificar al renderer sobre actualizaciones del tab
-    // Esto se implementará en el preload
+    // Notificar a los suscriptores del proceso principal; main.js reenvía al renderer
+    this.emit('tab-updated', tabId, eventType, data);
   }
 
   getActiveTabs() {
@@ -882,7 +1360,11 @@ class TabManager {
       pinned: tab.pinned,
       created: tab.created,
       favicon: tab.favicon,
-      isLoading: tab.isLoading
+      isLoading: tab.isLoading,
+      discarded: !!tab.discarded,
+      groupId: tab.groupId || null,
+      containerId: tab.containerId || null,
+      container: this.browserCore.containers.describe(tab.containerId)
     }));
   }
 
@@ -890,6 +1372,15 @@ class TabManager {
     return this.tabs.size;
   }
 
+  getTabIdByWebContents(webContents) {
+    for (const [tabId, tab] of this.tabs) {
+      if (tab.browserView?.webContents === webContents) {
+        return tabId;
+      }
+    }
+    return null;
+  }
+
   async cleanup() {
     console.log('🧹 Limpiando TabManager...');
     
@@ -905,83 +1396,6 @@ class TabManager {
   }
 }
 
-// =============================================================================
-// HISTORORY MANAGER - GESTOR DE HISTORIAL
-// =============================================================================
-
-class HistoryManager {
-  constructor() {
-    this.history = [];
-    this.maxEntries = 1000;
-  }
-
-  async initialize() {
-    console.log('📚 Inicializando Gestor de Historial...');
-  }
-
-  addEntry(entry) {
-    this.history.unshift({
-      ...entry,
-      id: `hist-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-    });
-    
-    // Mantener solo las últimas entradas
-    if (this.history.length > this.maxEntries) {
-      this.history = this.history.slice(0, this.maxEntries);
-    }
-  }
-
-  async getRecentEntries(limit = 50) {
-    return this.history.slice(0, limit);
-  }
-
-  async clearAll() {
-    this.history = [];
-    console.log('🗑️ Historial limpiado');
-  }
-
-  getEntryCount() {
-    return this.history.length;
-  }
-}
-
-// =============================================================================
-// BOOKMARKS MANAGER - GESTOR DE MARCADORES
-// =============================================================================
-
-class BookmarksManager {
-  constructor() {
-    this.bookmarks = new Map();
-  }
-
-  async initialize() {
-    console.log('🔖 Inicializando Gestor de Marcadores...');
-  }
-
-  async addBookmark(bookmark) {
-    this.bookmarks.set(bookmark.id, bookmark);
-    console.log(`🔖 Marcador agregado: ${bookmark.title}`);
-    return true;
-  }
-
-  async removeBookmark(bookmarkId) {
-    if (this.bookmarks.has(bookmarkId)) {
-      this.bookmarks.delete(bookmarkId);
-      console.log(`🗑️ Marcador removido: ${bookmarkId}`);
-      return true;
-    }
-    return false;
-  }
-
-  async getAllBookmarks() {
-    return Array.from(this.bookmarks.values());
-  }
-
-  getBookmarkCount() {
-    return this.bookmarks.size;
-  }
-}
-
 // =============================================================================
 // BROWSER SETTINGS - CONFIGURACIÓN DEL NAVEGADOR
 // =============================================================================
@@ -996,7 +1410,9 @@ class BrowserSettings {
       enablePopups: false,
       privacyMode: false,
       maxTabs: 50,
-      enableBrowserView: true
+      enableBrowserView: true,
+      restoreOnStartup: 'ask', // 'ask', 'always', 'never'
+      sessionHistoryLimit: 10
     };
   }
 
@@ -1018,60 +1434,17 @@ class BrowserSettings {
   }
 }
 
-// =============================================================================
-// SECURITY MANAGER - GESTOR DE SEGURIDAD
-// =============================================================================
-
-class SecurityManager {
-  constructor() {
-    this.blockedUrls = new Set();
-    this.securityLevel = 'medium';
-  }
-
-  async initialize() {
-    console.log('🛡️ Inicializando Gestor de Seguridad...');
-  }
-
-  async checkUrl(url) {
-    // Verificar si la URL está en la lista de bloqueo
-    if (this.blockedUrls.has(url)) {
-      return { safe: false, reason: 'URL bloqueada' };
-    }
-
-    // Verificar protocolo
-    if (url.startsWith('javascript:')) {
-      return { safe: false, reason: 'Protocolo javascript bloqueado' };
-    }
-
-    // Verificar si es URL válida
-    try {
-      new URL(url);
-    } catch {
-      return { safe: false, reason: 'URL inválida' };
-    }
-
-    return { safe: true, reason: 'URL verificada' };
-  }
-
-  getStatus() {
-    return {
-      securityLevel: this.securityLevel,
-      blockedCount: this.blockedUrls.size,
-      status: 'active'
-    };
-  }
-}
-
 // =============================================================================
 // PERFORMANCE MONITOR - MONITOR DE RENDIMIENTO
 // =============================================================================
 
 class PerformanceMonitor {
-  constructor() {
+  constructor(browserCore) {
+    this.browserCore = browserCore;
     this.metrics = {
       pageLoads: 0,
       averageLoadTime: 0,
-      memoryUsage: 0,
+      memoryUsage: 0, // KB, todos los procesos de la aplicación
       networkRequests: 0,
       browserViewCount: 0
     };
@@ -1088,13 +1461,68 @@ class PerformanceMonitor {
     console.log(`📊 Página cargada en BrowserView: ${url}`);
   }
 
+  // Solo las pestañas con BrowserView vivo: las suspendidas no cuentan
   getCurrentBrowserViewCount() {
-    // Esto se implementará para contar BrowserViews activos
-    return 1; // Placeholder
+    let count = 0;
+    for (const tab of this.browserCore.tabManager.tabs.values()) {
+      if (tab.browserView && !tab.browserView.webContents.isDestroyed()) count++;
+    }
+    return count;
+  }
+
+  // Memoria y CPU por pestaña a partir de los procesos de Electron; si varias
+  // pestañas comparten proceso de renderizado, su consumo se reparte entre ellas
+  getTabMetrics() {
+    const processes = new Map(app.getAppMetrics().map(metric => [metric.pid, metric]));
+    const tabs = Array.from(this.browserCore.tabManager.tabs.values());
+
+    const pids = new Map(); // tabId -> pid
+    const sharing = new Map(); // pid -> pestañas en ese proceso
+    for (const tab of tabs) {
+      const webContents = tab.browserView?.webContents;
+      if (!webContents || webContents.isDestroyed()) continue;
+      const pid = webContents.getOSProcessId();
+      pids.set(tab.id, pid);
+      sharing.set(pid, (sharing.get(pid) || 0) + 1);
+    }
+
+    let tabMemoryKB = 0;
+    for (const pid of sharing.keys()) {
+      tabMemoryKB += processes.get(pid)?.memory.workingSetSize || 0;
+    }
+
+    return {
+      tabMemoryKB,
+      tabs: tabs.map(tab => {
+        const pid = pids.get(tab.id) ?? null;
+        const metric = processes.get(pid);
+        const shared = sharing.get(pid) || 1;
+        return {
+          tabId: tab.id,
+          title: tab.title,
+          url: tab.url,
+          discarded: !!tab.discarded,
+          pid,
+          sharedProcess: shared > 1,
+          memoryKB: metric ? Math.round(metric.memory.workingSetSize / shared) : 0,
+          cpuPercent: metric ? Math.round((metric.cpu.percentCPUUsage / shared) * 100) / 100 : 0
+        };
+      })
+    };
   }
 
   getMetrics() {
-    return { ...this.metrics };
+    const { tabs, tabMemoryKB } = this.getTabMetrics();
+    this.metrics.browserViewCount = this.getCurrentBrowserViewCount();
+    this.metrics.memoryUsage = app.getAppMetrics().reduce((sum, metric) => sum + (metric.memory?.workingSetSize || 0), 0);
+
+    return {
+      ...this.metrics,
+      tabMemoryKB,
+      discardedTabs: tabs.filter(tab => tab.discarded).length,
+      tabs,
+      hibernation: this.browserCore.hibernation.getStatus()
+    };
   }
 
   async cleanup() {
@@ -0,0 +1,307 @@
+// =============================================================================
+// GROUP FILE - ARCHIVOS PORTABLES .silhouette-group
+// JSON firmado con Ed25519: la firma cubre la serialización canónica del
+// contenido e incluye la clave pública, así que cualquier modificación del
+// archivo se detecta al abrirlo. Cada instalación tiene su propia clave
+// =============================================================================
+
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { normalizeSteps } from '../macros/macro-player.js';
+
+const FILE_FORMAT = 'silhouette-group';
+const FILE_VERSION = 1;
+const FILE_EXTENSION = 'silhouette-group';
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_AUTOMATION_ITEMS = 100;
+const FAILURE_STRATEGIES = ['stop', 'continue', 'retry'];
+
+class GroupFileSigner {
+  constructor() {
+    this.store = new PersistentStore('signing-key', { subdirectory: 'tab-groups' });
+    this.privateKey = null;
+    this.publicKey = null;
+    this.keyId = null;
+    this.knownSigners = {}; // keyId -> { firstSeen, lastSeen }
+  }
+
+  async initialize() {
+    const saved = await this.store.read({});
+    if (saved.privateKey) {
+      try {
+        this.privateKey = crypto.createPrivateKey(saved.privateKey);
+      } catch (error) {
+        console.warn('⚠️ Clave de firma de grupos ilegible, se genera una nueva:', error.message);
+      }
+    }
+    this.knownSigners = saved.knownSigners || {};
+
+    if (!this.privateKey) {
+      this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+      this.save();
+      console.log('🔑 Clave de firma de grupos generada');
+    }
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = fingerprint(this.publicKey);
+  }
+
+  // =============================================================================
+  // FIRMA Y VERIFICACIÓN
+  // =============================================================================
+
+  sign(payload) {
+    const signature = crypto.sign(null, Buffer.from(canonicalize(payload)), this.privateKey);
+    return {
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      payload,
+      signature: {
+        algorithm: 'ed25519',
+        keyId: this.keyId,
+        publicKey: this.publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+        value: signature.toString('base64')
+      }
+    };
+  }
+
+  // Devuelve { payload, signer } o lanza si el archivo no es válido
+  verify(file) {
+    if (file?.format !== FILE_FORMAT) {
+      throw new Error('No es un archivo de grupo de Silhouette');
+    }
+    if (file.version > FILE_VERSION) {
+      throw new Error(`Versión de archivo no soportada: ${file.version}`);
+    }
+    if (file.signature?.algorithm !== 'ed25519' || !file.signature.publicKey || !file.signature.value) {
+      throw new Error('El archivo no está firmado');
+    }
+
+    let publicKey;
+    try {
+      publicKey = crypto.createPublicKey({
+        key: Buffer.from(file.signature.publicKey, 'base64'),
+        format: 'der',
+        type: 'spki'
+      });
+    } catch (error) {
+      throw new Error('Clave pública del archivo inválida');
+    }
+
+    const valid = crypto.verify(
+      null,
+      Buffer.from(canonicalize(file.payload)),
+      publicKey,
+      Buffer.from(file.signature.value, 'base64')
+    );
+    if (!valid) {
+      throw new Error('La firma no es válida: el archivo ha sido modificado');
+    }
+
+    const keyId = fingerprint(publicKey);
+    return {
+      payload: file.payload,
+      signer: {
+        keyId,
+        own: keyId === this.keyId,
+        known: keyId === this.keyId || !!this.knownSigners[keyId]
+      }
+    };
+  }
+
+  // Solo cuando el usuario lo confirma: importar un archivo no hace conocida su clave
+  trustSigner(keyId) {
+    if (typeof keyId !== 'string' || !/^[0-9a-f]{16}$/.test(keyId)) {
+      throw new Error('Identificador de clave inválido');
+    }
+    if (keyId === this.keyId) return;
+    const now = Date.now();
+    this.knownSigners[keyId] = { firstSeen: this.knownSigners[keyId]?.firstSeen || now, lastSeen: now };
+    this.save();
+  }
+
+  // =============================================================================
+  // ARCHIVOS
+  // =============================================================================
+
+  async writeFile(filePath, payload) {
+    const file = this.sign(payload);
+    await fs.writeFile(filePath, JSON.stringify(file, null, 2), 'utf8');
+    return { filePath, keyId: this.keyId };
+  }
+
+  async readFile(filePath) {
+    const stats = await fs.stat(filePath);
+    if (stats.size > MAX_FILE_SIZE) {
+      throw new Error('El archivo de grupo es demasiado grande');
+    }
+
+    let file;
+    try {
+      file = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Archivo de grupo ilegible: ${error.message}`);
+    }
+    return this.verify(file);
+  }
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      privateKey: this.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      knownSigners: this.knownSigners
+    });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+}
+
+// Un archivo ajeno solo puede abrir páginas web: nada de file:, javascript: ni
+// páginas internas. Con foreign (firmado por otra clave) la automatización y la
+// programación de cada macro o script llegan desactivadas. Devuelve la
+// instantánea saneada y cuántas pestañas se omiten
+function sanitizeSnapshot(snapshot, { foreign = true } = {}) {
+  if (!snapshot || typeof snapshot !== 'object' || typeof snapshot.group?.name !== 'string' || !Array.isArray(snapshot.tabs)) {
+    throw new Error('El archivo no contiene un grupo válido');
+  }
+  if (typeof snapshot.workspaceId !== 'string' || !snapshot.workspaceId) {
+    throw new Error('El archivo no identifica el espacio de trabajo');
+  }
+
+  const tabs = [];
+  let skipped = 0;
+  for (const tab of snapshot.tabs) {
+    const url = String(tab?.url || '');
+    let allowed = url === 'about:blank';
+    try {
+      allowed = allowed || ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+      allowed = false;
+    }
+    if (allowed) {
+      tabs.push({ url, title: String(tab.title || ''), pinned: !!tab.pinned });
+    } else {
+      skipped++;
+    }
+  }
+
+  return {
+    snapshot: {
+      ...snapshot,
+      group: {
+        name: snapshot.group.name.trim() || 'Grupo importado',
+        type: ['manual', 'ai', 'agent', 'task'].includes(snapshot.group.type) ? snapshot.group.type : 'manual',
+        createdBy: String(snapshot.group.createdBy || 'user'),
+        metadata: sanitizeMetadata(snapshot.group.metadata, { foreign })
+      },
+      tabs
+    },
+    skipped
+  };
+}
+
+// Solo los metadatos que tienen sentido en otra instalación; los ids locales
+// (contenedor, tarea de agente) y los valores fuera de rango se descartan
+function sanitizeMetadata(metadata, { foreign }) {
+  const source = isPlainObject(metadata) ? metadata : {};
+  const text = (value, max) => typeof value === 'string' ? value.slice(0, max) : '';
+  const result = {
+    description: text(source.description, 1000),
+    purpose: ['manual', 'ai', 'agent', 'task'].includes(source.purpose) ? source.purpose : 'manual'
+  };
+  if (/^#[0-9a-f]{3,8}$/i.test(source.color || '')) result.color = source.color;
+  if (text(source.icon, 16)) result.icon = text(source.icon, 16);
+  if (Array.isArray(source.keywords)) {
+    result.keywords = source.keywords.filter(keyword => typeof keyword === 'string').slice(0, 20).map(keyword => keyword.slice(0, 60));
+  }
+  if (isPlainObject(source.container) && text(source.container.name, 100)) {
+    result.container = {
+      name: text(source.container.name, 100),
+      color: text(source.container.color, 20) || undefined,
+      icon: text(source.container.icon, 20) || undefined
+    };
+  }
+  if (isPlainObject(source.coordination)) {
+    result.coordination = sanitizeCoordination(source.coordination);
+  }
+  if (isPlainObject(source.automation)) {
+    result.automation = {
+      enabled: !foreign && !!source.automation.enabled,
+      tasks: sanitizeAutomationItems(source.automation.tasks, { foreign }),
+      scripts: sanitizeAutomationItems(source.automation.scripts, { foreign })
+    };
+  }
+  return result;
+}
+
+function sanitizeCoordination(coordination) {
+  const clamp = (value, min, max, fallback) => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+  };
+  return {
+    agentMode: !!coordination.agentMode,
+    maxParallelTasks: clamp(coordination.maxParallelTasks, 1, 10, 3),
+    waitForCompletion: coordination.waitForCompletion !== false,
+    failureStrategy: FAILURE_STRATEGIES.includes(coordination.failureStrategy) ? coordination.failureStrategy : 'stop',
+    maxRetries: clamp(coordination.maxRetries, 0, 10, 3),
+    retryDelayMs: clamp(coordination.retryDelayMs, 0, 60000, 1000),
+    taskTimeoutMs: clamp(coordination.taskTimeoutMs, 1000, 600000, 30000)
+  };
+}
+
+// Cada macro o script conserva su programación, pero la de un archivo ajeno
+// queda desactivada hasta que el usuario la vuelva a activar. Las macros con
+// pasos que no se pueden reproducir se descartan
+function sanitizeAutomationItems(items, { foreign }) {
+  if (!Array.isArray(items)) return [];
+  const result = [];
+  for (const item of items.slice(0, MAX_AUTOMATION_ITEMS)) {
+    if (!isPlainObject(item)) continue;
+    const copy = { ...item };
+    if (copy.type === 'macro') {
+      try {
+        copy.steps = normalizeSteps(copy.steps);
+      } catch {
+        continue;
+      }
+      copy.name = String(copy.name || 'Macro');
+      copy.startUrl = typeof copy.startUrl === 'string' ? copy.startUrl : null;
+    }
+    if (copy.schedule !== undefined && copy.schedule !== null) {
+      copy.schedule = isPlainObject(copy.schedule)
+        ? { ...copy.schedule, enabled: !foreign && copy.schedule.enabled !== false }
+        : null;
+    }
+    result.push(copy);
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON con las claves ordenadas: la firma no depende del orden de serialización
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fingerprint(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+export { GroupFileSigner, sanitizeSnapshot, FILE_EXTENSION };
@@ -0,0 +1,101 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { GroupFileSigner, sanitizeSnapshot } = await import('./group-file.js');
+
+// Firmante en memoria: la clave y los firmantes conocidos no tocan el disco
+async function createSigner() {
+  const signer = new GroupFileSigner();
+  signer.store = { read: async () => ({}), scheduleWrite: jest.fn(), flush: async () => {} };
+  await signer.initialize();
+  return signer;
+}
+
+function snapshotWith(metadata, tabs = [{ url: 'https://example.com/', title: 'Ejemplo' }]) {
+  return { workspaceId: 'ws-1', group: { name: 'Compartido', type: 'manual', metadata }, tabs };
+}
+
+const macro = {
+  id: 'macro-1',
+  type: 'macro',
+  name: 'Revisar',
+  steps: [{ action: 'navigate', value: 'https://example.com/' }],
+  schedule: { everyMinutes: 5, enabled: true, since: 1 }
+};
+
+describe('sanitizeSnapshot', () => {
+  test('solo deja pestañas web y cuenta las omitidas', () => {
+    const { snapshot, skipped } = sanitizeSnapshot(snapshotWith({}, [
+      { url: 'https://example.com/' },
+      { url: 'about:blank' },
+      { url: 'file:///etc/passwd' },
+      { url: 'javascript:alert(1)' }
+    ]));
+    expect(snapshot.tabs.map(tab => tab.url)).toEqual(['https://example.com/', 'about:blank']);
+    expect(skipped).toBe(2);
+  });
+
+  test('un archivo ajeno llega con la automatización y cada programación desactivadas', () => {
+    const { snapshot } = sanitizeSnapshot(snapshotWith({
+      automation: { enabled: true, tasks: [macro], scripts: [{ id: 'script-1', schedule: { enabled: true } }] }
+    }));
+    const { automation } = snapshot.group.metadata;
+    expect(automation.enabled).toBe(false);
+    expect(automation.tasks[0]).toMatchObject({ id: 'macro-1', schedule: { everyMinutes: 5, enabled: false } });
+    expect(automation.scripts[0].schedule.enabled).toBe(false);
+  });
+
+  test('un archivo propio conserva la programación', () => {
+    const { snapshot } = sanitizeSnapshot(snapshotWith({ automation: { enabled: true, tasks: [macro] } }), { foreign: false });
+    expect(snapshot.group.metadata.automation.enabled).toBe(true);
+    expect(snapshot.group.metadata.automation.tasks[0].schedule.enabled).toBe(true);
+  });
+
+  test('descarta metadatos desconocidos, macros irreproducibles y valores fuera de rango', () => {
+    const { snapshot } = sanitizeSnapshot(snapshotWith({
+      description: 'Grupo',
+      color: 'red; background: url(x)',
+      containerId: 'local-1',
+      agent: { taskId: 'x' },
+      coordination: { maxParallelTasks: 500, failureStrategy: 'explode', taskTimeoutMs: -1 },
+      automation: { tasks: [{ type: 'macro', steps: [{ action: 'rm -rf' }] }, 'texto'] }
+    }));
+    const { metadata } = snapshot.group;
+    expect(Object.keys(metadata).sort()).toEqual(['automation', 'coordination', 'description', 'purpose']);
+    expect(metadata.coordination).toMatchObject({ maxParallelTasks: 10, failureStrategy: 'stop', taskTimeoutMs: 1000 });
+    expect(metadata.automation.tasks).toEqual([]);
+  });
+
+  test('rechaza lo que no es un grupo', () => {
+    expect(() => sanitizeSnapshot({ tabs: [] })).toThrow('El archivo no contiene un grupo válido');
+    expect(() => sanitizeSnapshot({ ...snapshotWith({}), workspaceId: '' })).toThrow('espacio de trabajo');
+  });
+});
+
+describe('GroupFileSigner', () => {
+  let own;
+  let other;
+  beforeEach(async () => {
+    own = await createSigner();
+    other = await createSigner();
+  });
+
+  test('verifica la firma y detecta modificaciones', () => {
+    const file = other.sign({ snapshot: snapshotWith({}) });
+    expect(own.verify(file).signer).toEqual({ keyId: other.keyId, own: false, known: false });
+
+    const tampered = { ...file, payload: { snapshot: snapshotWith({ description: 'cambiado' }) } };
+    expect(() => own.verify(tampered)).toThrow('La firma no es válida');
+  });
+
+  test('una clave ajena solo pasa a conocida cuando el usuario confía en ella', () => {
+    const file = other.sign({ snapshot: snapshotWith({}) });
+    own.verify(file);
+    expect(own.verify(file).signer.known).toBe(false);
+
+    own.trustSigner(other.keyId);
+    expect(own.verify(file).signer.known).toBe(true);
+    expect(own.store.scheduleWrite).toHaveBeenCalled();
+    expect(() => own.trustSigner('../../clave')).toThrow('Identificador de clave inválido');
+  });
+});
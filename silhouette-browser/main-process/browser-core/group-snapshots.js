@@ -0,0 +1,267 @@
+// =============================================================================
+// GROUP SNAPSHOTS - INSTANTÁNEAS Y VERSIONES DE GRUPOS DE PESTAÑAS
+// Historial de instantáneas por espacio de trabajo (workspaceId estable del
+// grupo): pestañas en orden, metadatos, tareas de automatización y ajustes de
+// coordinación. Incluye el diff entre dos instantáneas o con el estado actual
+// =============================================================================
+
+import { randomUUID } from 'crypto';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+const MAX_SNAPSHOTS_PER_WORKSPACE = 50;
+
+class GroupSnapshots {
+  constructor() {
+    this.store = new PersistentStore('group-snapshots', { subdirectory: 'tab-groups' });
+    this.workspaces = new Map(); // workspaceId -> { name, snapshots: [] } (más antigua primero)
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ workspaces: {} });
+    for (const [workspaceId, workspace] of Object.entries(saved.workspaces || {})) {
+      if (Array.isArray(workspace?.snapshots)) {
+        this.workspaces.set(workspaceId, { name: workspace.name, snapshots: workspace.snapshots });
+      }
+    }
+    const total = Array.from(this.workspaces.values()).reduce((sum, workspace) => sum + workspace.snapshots.length, 0);
+    console.log(`📸 Instantáneas de grupos cargadas: ${total} en ${this.workspaces.size} espacios de trabajo`);
+  }
+
+  // =============================================================================
+  // HISTORIAL
+  // =============================================================================
+
+  // state: { group: { name, type, createdBy, metadata }, tabs: [{ url, title, pinned }] }
+  add(workspaceId, state, { name, note, force = false } = {}) {
+    const workspace = this.getOrCreateWorkspace(workspaceId, state.group.name);
+    const latest = workspace.snapshots[workspace.snapshots.length - 1];
+
+    // Sin cambios desde la última versión: no se duplica
+    if (latest && !force && diffWorkspaces(latest, state).unchanged) {
+      return { snapshot: this.summarize(latest), unchanged: true };
+    }
+
+    const version = (latest?.version || 0) + 1;
+    const snapshot = {
+      id: `snap-${randomUUID()}`,
+      workspaceId,
+      version,
+      parentId: latest?.id || null,
+      name: String(name || '').trim() || `${state.group.name} v${version}`,
+      note: note || '',
+      created: Date.now(),
+      group: clone(state.group),
+      tabs: clone(state.tabs)
+    };
+
+    this.push(workspace, snapshot);
+    return { snapshot: this.summarize(snapshot), unchanged: false };
+  }
+
+  // Instantánea recibida en un archivo compartido: se guarda tal cual si no existe
+  adopt(snapshot) {
+    if (this.find(snapshot.id)) return false;
+    const workspace = this.getOrCreateWorkspace(snapshot.workspaceId, snapshot.group.name);
+    this.push(workspace, clone(snapshot));
+    workspace.snapshots.sort((a, b) => a.created - b.created);
+    this.save();
+    return true;
+  }
+
+  list(workspaceId) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) return [];
+    return workspace.snapshots.map(snapshot => this.summarize(snapshot)).reverse();
+  }
+
+  get(snapshotId) {
+    const snapshot = this.find(snapshotId);
+    if (!snapshot) {
+      throw new Error(`Instantánea ${snapshotId} no encontrada`);
+    }
+    return clone(snapshot);
+  }
+
+  latest(workspaceId) {
+    const snapshots = this.workspaces.get(workspaceId)?.snapshots || [];
+    return snapshots.length > 0 ? clone(snapshots[snapshots.length - 1]) : null;
+  }
+
+  remove(snapshotId) {
+    for (const [workspaceId, workspace] of this.workspaces) {
+      const index = workspace.snapshots.findIndex(snapshot => snapshot.id === snapshotId);
+      if (index === -1) continue;
+      workspace.snapshots.splice(index, 1);
+      if (workspace.snapshots.length === 0) this.workspaces.delete(workspaceId);
+      this.save();
+      return true;
+    }
+    throw new Error(`Instantánea ${snapshotId} no encontrada`);
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  find(snapshotId) {
+    for (const workspace of this.workspaces.values()) {
+      const snapshot = workspace.snapshots.find(candidate => candidate.id === snapshotId);
+      if (snapshot) return snapshot;
+    }
+    return null;
+  }
+
+  getOrCreateWorkspace(workspaceId, name) {
+    if (!this.workspaces.has(workspaceId)) {
+      this.workspaces.set(workspaceId, { name, snapshots: [] });
+    }
+    const workspace = this.workspaces.get(workspaceId);
+    workspace.name = name;
+    return workspace;
+  }
+
+  push(workspace, snapshot) {
+    workspace.snapshots.push(snapshot);
+    if (workspace.snapshots.length > MAX_SNAPSHOTS_PER_WORKSPACE) {
+      workspace.snapshots.splice(0, workspace.snapshots.length - MAX_SNAPSHOTS_PER_WORKSPACE);
+    }
+    this.save();
+  }
+
+  summarize(snapshot) {
+    return {
+      id: snapshot.id,
+      workspaceId: snapshot.workspaceId,
+      version: snapshot.version,
+      parentId: snapshot.parentId,
+      name: snapshot.name,
+      note: snapshot.note,
+      created: snapshot.created,
+      groupName: snapshot.group.name,
+      tabCount: snapshot.tabs.length
+    };
+  }
+
+  save() {
+    const workspaces = {};
+    for (const [workspaceId, workspace] of this.workspaces) {
+      workspaces[workspaceId] = workspace;
+    }
+    this.store.scheduleWrite({ version: 1, workspaces });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+}
+
+// =============================================================================
+// DIFF
+// =============================================================================
+
+// Cambios para pasar de "from" a "to" (instantáneas o estado actual del grupo)
+function diffWorkspaces(from, to) {
+  const tabs = diffTabs(from.tabs || [], to.tabs || []);
+  const metadata = diffValues(from.group?.metadata || {}, to.group?.metadata || {});
+  const name = from.group?.name !== to.group?.name ? { from: from.group?.name, to: to.group?.name } : null;
+
+  return {
+    unchanged: !name && metadata.length === 0 &&
+      tabs.added.length === 0 && tabs.removed.length === 0 && tabs.moved.length === 0 && tabs.retitled.length === 0,
+    name,
+    tabs,
+    metadata
+  };
+}
+
+// Las pestañas se identifican por URL (y su aparición, si se repite)
+function diffTabs(before, after) {
+  const keyed = list => {
+    const seen = new Map();
+    return list.map((tab, index) => {
+      const occurrence = seen.get(tab.url) || 0;
+      seen.set(tab.url, occurrence + 1);
+      return { key: `${tab.url}#${occurrence}`, index, tab };
+    });
+  };
+  const a = keyed(before);
+  const b = keyed(after);
+  const aKeys = new Map(a.map(item => [item.key, item]));
+  const bKeys = new Map(b.map(item => [item.key, item]));
+
+  const added = b.filter(item => !aKeys.has(item.key)).map(item => ({ index: item.index, url: item.tab.url, title: item.tab.title }));
+  const removed = a.filter(item => !bKeys.has(item.key)).map(item => ({ index: item.index, url: item.tab.url, title: item.tab.title }));
+
+  // Movidas: las comunes que no forman parte de la subsecuencia común más larga
+  const commonA = a.filter(item => bKeys.has(item.key)).map(item => item.key);
+  const commonB = b.filter(item => aKeys.has(item.key)).map(item => item.key);
+  const stable = longestCommonSubsequence(commonA, commonB);
+  const moved = commonB
+    .filter(key => !stable.has(key))
+    .map(key => ({ url: bKeys.get(key).tab.url, from: aKeys.get(key).index, to: bKeys.get(key).index }));
+
+  const retitled = commonB
+    .filter(key => (aKeys.get(key).tab.title || '') !== (bKeys.get(key).tab.title || ''))
+    .map(key => ({ url: bKeys.get(key).tab.url, from: aKeys.get(key).tab.title, to: bKeys.get(key).tab.title }));
+
+  return { added, removed, moved, retitled };
+}
+
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const result = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+// Objetos anidados por ruta ("coordination.maxParallelTasks"); las listas
+// (tareas y scripts de automatización) se comparan por elementos
+function diffValues(before, after, path = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of Array.from(keys).sort()) {
+    const from = before?.[key];
+    const to = after?.[key];
+    const keyPath = path ? `${path}.${key}` : key;
+
+    if (Array.isArray(from) || Array.isArray(to)) {
+      const fromItems = (from || []).map(item => JSON.stringify(item));
+      const toItems = (to || []).map(item => JSON.stringify(item));
+      const added = toItems.filter(item => !fromItems.includes(item)).map(item => JSON.parse(item));
+      const removed = fromItems.filter(item => !toItems.includes(item)).map(item => JSON.parse(item));
+      if (added.length > 0 || removed.length > 0) changes.push({ path: keyPath, added, removed });
+    } else if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffValues(from, to, keyPath));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: keyPath, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+export { GroupSnapshots, diffWorkspaces };
@@ -0,0 +1,327 @@
+// =============================================================================
+// GROUP TASK SCHEDULER - EJECUCIÓN DE TAREAS EN GRUPOS DE AGENTE
+// Aplica la coordinación del grupo: concurrencia máxima compartida por todas
+// las ejecuciones del grupo, estrategia ante fallos (stop, continue o retry con
+// espera exponencial), tiempo límite por pestaña y cancelación. Cada ejecución
+// termina en un registro agregado con el resultado de todas sus pestañas
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { withTimeout, delay as wait } from '../async/abortable.js';
+
+const FAILURE_STRATEGIES = ['stop', 'continue', 'retry'];
+const DEFAULT_MAX_PARALLEL = 3;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const DEFAULT_TAB_TIMEOUT_MS = 30000;
+const MAX_FINISHED_RUNS = 50;
+
+class GroupTaskScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.runs = new Map();  // runId -> ejecución (en curso o terminada hace poco)
+    this.slots = new Map(); // groupId -> { active, queue }
+  }
+
+  // executeInTab(tabId, { attempt, signal }) devuelve el resultado de la
+  // pestaña o lanza si falla. signal es la del intento: se aborta al agotarse
+  // su tiempo o al cancelar la ejecución, y el intento se espera antes de
+  // reintentar o de liberar el hueco. Devuelve { runId, done }: done se
+  // resuelve con el registro final y nunca se rechaza
+  schedule(groupId, task, tabIds, coordination, executeInTab) {
+    const run = {
+      id: `run-${randomUUID()}`,
+      groupId,
+      task,
+      settings: resolveCoordination(coordination, task),
+      status: 'running',
+      stopping: false,
+      tabs: new Map(tabIds.map(tabId => [tabId, {
+        tabId,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        timedOut: false,
+        result: null,
+        startedAt: null,
+        finishedAt: null
+      }])),
+      started: Date.now(),
+      finished: null,
+      controller: new AbortController()
+    };
+
+    this.runs.set(run.id, run);
+    run.done = this.execute(run, executeInTab);
+    return { runId: run.id, done: run.done };
+  }
+
+  async execute(run, executeInTab) {
+    this.emitProgress(run, 'started');
+
+    await Promise.all(Array.from(run.tabs.values()).map(entry => this.runTab(run, entry, executeInTab)));
+
+    run.finished = Date.now();
+    if (run.status === 'running') {
+      const failed = Array.from(run.tabs.values()).some(entry => entry.status === 'failed');
+      run.status = run.stopping ? 'stopped' : failed ? 'failed' : 'completed';
+    }
+
+    const record = this.summarize(run);
+    console.log(`🤖 Tarea ${run.id} del grupo ${run.groupId}: ${run.status} (${record.progress.succeeded}/${record.progress.total})`);
+    this.emitProgress(run, 'finished', null, { result: record });
+    this.prune();
+    return record;
+  }
+
+  async runTab(run, entry, executeInTab) {
+    const { signal } = run.controller;
+    const release = run.stopping ? null : await this.acquire(run.groupId, run.settings.maxParallelTasks, signal);
+    if (!release || run.stopping) {
+      release?.();
+      this.finishTab(run, entry, run.status === 'cancelled' ? 'cancelled' : 'skipped');
+      return;
+    }
+
+    try {
+      while (true) {
+        entry.attempts++;
+        entry.status = 'running';
+        entry.startedAt = entry.startedAt || Date.now();
+        this.emitProgress(run, 'tab-started', entry);
+
+        try {
+          const attempt = entry.attempts;
+          entry.result = await withTimeout(
+            attemptSignal => executeInTab(entry.tabId, { attempt, signal: attemptSignal }),
+            run.settings.timeoutMs,
+            { signal }
+          );
+          entry.error = null;
+          entry.timedOut = false;
+          this.finishTab(run, entry, 'succeeded');
+          return;
+        } catch (error) {
+          entry.error = error.message;
+          entry.timedOut = error.code === 'ETIMEDOUT';
+        }
+
+        if (signal.aborted) {
+          this.finishTab(run, entry, 'cancelled');
+          return;
+        }
+
+        const canRetry = run.settings.failureStrategy === 'retry' &&
+          entry.attempts <= run.settings.maxRetries &&
+          !run.stopping;
+        if (!canRetry) {
+          // Con 'stop' no se empiezan más pestañas; las que están en curso terminan
+          if (run.settings.failureStrategy === 'stop') run.stopping = true;
+          this.finishTab(run, entry, 'failed');
+          return;
+        }
+
+        const delay = Math.min(MAX_RETRY_DELAY_MS, run.settings.retryDelayMs * 2 ** (entry.attempts - 1));
+        entry.status = 'retrying';
+        this.emitProgress(run, 'tab-retry', entry, { delay });
+        await wait(delay, signal).catch(() => {});
+        if (signal.aborted) {
+          this.finishTab(run, entry, 'cancelled');
+          return;
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  finishTab(run, entry, status) {
+    entry.status = status;
+    entry.finishedAt = Date.now();
+    this.emitProgress(run, 'tab-finished', entry);
+  }
+
+  // =============================================================================
+  // CONCURRENCIA POR GRUPO
+  // =============================================================================
+
+  // Devuelve la función que libera el hueco, o null si se cancela esperando
+  acquire(groupId, limit, signal) {
+    if (!this.slots.has(groupId)) {
+      this.slots.set(groupId, { active: 0, queue: [] });
+    }
+    const slot = this.slots.get(groupId);
+
+    return new Promise(resolve => {
+      const grant = () => {
+        slot.active++;
+        resolve(() => this.release(groupId));
+      };
+      if (slot.active < limit) {
+        grant();
+        return;
+      }
+
+      const waiter = { limit, grant };
+      slot.queue.push(waiter);
+      signal.addEventListener('abort', () => {
+        const index = slot.queue.indexOf(waiter);
+        if (index === -1) return;
+        slot.queue.splice(index, 1);
+        resolve(null);
+      }, { once: true });
+    });
+  }
+
+  release(groupId) {
+    const slot = this.slots.get(groupId);
+    if (!slot) return;
+    slot.active--;
+    while (slot.queue.length > 0 && slot.active < slot.queue[0].limit) {
+      slot.queue.shift().grant();
+    }
+    if (slot.active === 0 && slot.queue.length === 0) {
+      this.slots.delete(groupId);
+    }
+  }
+
+  // =============================================================================
+  // CANCELACIÓN Y CONSULTA
+  // =============================================================================
+
+  cancel(runId) {
+    const run = this.runs.get(runId);
+    if (!run || run.status !== 'running') return false;
+
+    run.status = 'cancelled';
+    run.stopping = true;
+    run.controller.abort();
+    console.log(`⏹️ Tarea ${runId} del grupo ${run.groupId} cancelada`);
+    return true;
+  }
+
+  cancelGroup(groupId) {
+    let cancelled = 0;
+    for (const run of this.runs.values()) {
+      if (run.groupId === groupId && this.cancel(run.id)) cancelled++;
+    }
+    return cancelled;
+  }
+
+  cancelAll() {
+    for (const runId of this.runs.keys()) this.cancel(runId);
+  }
+
+  isGroupBusy(groupId) {
+    for (const run of this.runs.values()) {
+      if (run.groupId === groupId && run.status === 'running') return true;
+    }
+    return false;
+  }
+
+  getRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new Error(`Ejecución ${runId} no encontrada`);
+    }
+    return this.summarize(run);
+  }
+
+  listRuns(groupId = null) {
+    return Array.from(this.runs.values())
+      .filter(run => !groupId || run.groupId === groupId)
+      .sort((a, b) => b.started - a.started)
+      .map(run => this.summarize(run));
+  }
+
+  // =============================================================================
+  // REGISTRO Y PROGRESO
+  // =============================================================================
+
+  summarize(run) {
+    const entries = Array.from(run.tabs.values());
+    const progress = countProgress(entries);
+    return {
+      runId: run.id,
+      groupId: run.groupId,
+      task: run.task,
+      status: run.status,
+      coordination: { ...run.settings },
+      progress,
+      results: entries.map(entry => ({
+        tabId: entry.tabId,
+        success: entry.status === 'succeeded',
+        status: entry.status,
+        attempts: entry.attempts,
+        error: entry.error,
+        timedOut: entry.timedOut,
+        ...(entry.result?.content !== undefined ? { content: entry.result.content } : {}),
+        duration: entry.startedAt && entry.finishedAt ? entry.finishedAt - entry.startedAt : null
+      })),
+      success: run.status === 'completed',
+      startedAt: run.started,
+      completedAt: run.finished,
+      duration: run.finished ? run.finished - run.started : null
+    };
+  }
+
+  emitProgress(run, type, entry = null, extra = {}) {
+    this.emit('progress', {
+      type,
+      runId: run.id,
+      groupId: run.groupId,
+      taskType: run.task?.type || null,
+      status: run.status,
+      progress: countProgress(Array.from(run.tabs.values())),
+      tab: entry
+        ? { tabId: entry.tabId, status: entry.status, attempts: entry.attempts, error: entry.error, timedOut: entry.timedOut }
+        : null,
+      ...extra
+    });
+  }
+
+  prune() {
+    const finished = Array.from(this.runs.values())
+      .filter(run => run.status !== 'running')
+      .sort((a, b) => a.finished - b.finished);
+    for (const run of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))) {
+      this.runs.delete(run.id);
+    }
+  }
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function resolveCoordination(coordination = {}, task = {}) {
+  const integer = (value, fallback, min) => {
+    const parsed = Math.floor(Number(value));
+    return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+  };
+  return {
+    maxParallelTasks: integer(coordination.maxParallelTasks, DEFAULT_MAX_PARALLEL, 1),
+    failureStrategy: FAILURE_STRATEGIES.includes(coordination.failureStrategy) ? coordination.failureStrategy : 'stop',
+    maxRetries: integer(coordination.maxRetries, DEFAULT_MAX_RETRIES, 0),
+    retryDelayMs: integer(coordination.retryDelayMs, DEFAULT_RETRY_DELAY_MS, 0),
+    // Una tarea concreta puede necesitar más (o menos) tiempo que el del grupo
+    timeoutMs: integer(task.timeout ?? coordination.taskTimeoutMs, DEFAULT_TAB_TIMEOUT_MS, 1)
+  };
+}
+
+function countProgress(entries) {
+  const progress = { total: entries.length, done: 0, pending: 0, running: 0, succeeded: 0, failed: 0, skipped: 0, cancelled: 0 };
+  for (const entry of entries) {
+    if (entry.status === 'retrying') {
+      progress.running++;
+    } else {
+      progress[entry.status]++;
+    }
+    if (['succeeded', 'failed', 'skipped', 'cancelled'].includes(entry.status)) progress.done++;
+  }
+  return progress;
+}
+
+export { GroupTaskScheduler };
@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { GroupTaskScheduler } from './group-task-scheduler.js';
+
+const fast = { maxParallelTasks: 2, failureStrategy: 'continue', maxRetries: 0, retryDelayMs: 1, taskTimeoutMs: 1000 };
+
+// Intento que respeta su señal: termina (rechazando) en cuanto se aborta
+function abortable(ms, value, log = []) {
+  return (signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(value), ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      log.push('abortado');
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+describe('GroupTaskScheduler', () => {
+  let scheduler;
+  beforeEach(() => {
+    scheduler = new GroupTaskScheduler();
+  });
+
+  test('ejecuta todas las pestañas y agrega sus resultados', async () => {
+    const { done } = scheduler.schedule('g1', { type: 'extract' }, [1, 2, 3], fast, async (tabId) => ({ content: tabId * 10 }));
+    const record = await done;
+    expect(record.status).toBe('completed');
+    expect(record.progress).toMatchObject({ total: 3, succeeded: 3, done: 3 });
+    expect(record.results.map(result => result.content)).toEqual([10, 20, 30]);
+  });
+
+  test('nunca supera la concurrencia del grupo', async () => {
+    let running = 0;
+    let peak = 0;
+    const { done } = scheduler.schedule('g1', {}, [1, 2, 3, 4, 5], fast, async () => {
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return {};
+    });
+    await done;
+    expect(peak).toBe(2);
+  });
+
+  test('con stop no empieza más pestañas tras un fallo', async () => {
+    const seen = [];
+    const { done } = scheduler.schedule('g1', {}, [1, 2, 3], { ...fast, maxParallelTasks: 1, failureStrategy: 'stop' }, async (tabId) => {
+      seen.push(tabId);
+      throw new Error('falla');
+    });
+    const record = await done;
+    expect(seen).toEqual([1]);
+    expect(record.status).toBe('stopped');
+    expect(record.results.map(result => result.status)).toEqual(['failed', 'skipped', 'skipped']);
+  });
+
+  test('reintenta con la estrategia retry hasta maxRetries', async () => {
+    const attempts = [];
+    const { done } = scheduler.schedule('g1', {}, [1], { ...fast, failureStrategy: 'retry', maxRetries: 2 }, async (tabId, { attempt }) => {
+      attempts.push(attempt);
+      if (attempt < 3) throw new Error('todavía no');
+      return { content: 'ok' };
+    });
+    const record = await done;
+    expect(attempts).toEqual([1, 2, 3]);
+    expect(record.results[0]).toMatchObject({ success: true, attempts: 3, content: 'ok' });
+  });
+
+  test('cada intento tiene su señal: el que agota el tiempo se aborta antes del reintento', async () => {
+    const log = [];
+    const { done } = scheduler.schedule('g1', { timeout: 20 }, [1], { ...fast, failureStrategy: 'retry', maxRetries: 1 }, (tabId, { attempt, signal }) => {
+      log.push(`intento ${attempt}`);
+      return abortable(attempt === 1 ? 10000 : 1, { content: attempt }, log)(signal);
+    });
+    const record = await done;
+    expect(log).toEqual(['intento 1', 'abortado', 'intento 2']);
+    expect(record.results[0]).toMatchObject({ success: true, attempts: 2, content: 2, timedOut: false });
+  });
+
+  test('el hueco no se libera hasta que el intento abortado termina', async () => {
+    const log = [];
+    const { done } = scheduler.schedule('g1', { timeout: 20 }, [1, 2], { ...fast, maxParallelTasks: 1 }, (tabId, { signal }) => {
+      log.push(`empieza ${tabId}`);
+      return abortable(tabId === 1 ? 10000 : 1, {}, log)(signal);
+    });
+    const record = await done;
+    expect(log).toEqual(['empieza 1', 'abortado', 'empieza 2']);
+    expect(record.results[0]).toMatchObject({ status: 'failed', timedOut: true });
+  });
+
+  test('cancelar aborta las pestañas en curso y descarta las pendientes', async () => {
+    const log = [];
+    const { runId, done } = scheduler.schedule('g1', {}, [1, 2, 3], { ...fast, maxParallelTasks: 1 }, (tabId, { signal }) => abortable(10000, {}, log)(signal));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(scheduler.isGroupBusy('g1')).toBe(true);
+    expect(scheduler.cancel(runId)).toBe(true);
+
+    const record = await done;
+    expect(record.status).toBe('cancelled');
+    expect(log).toEqual(['abortado']);
+    expect(record.results.map(result => result.status)).toEqual(['cancelled', 'cancelled', 'cancelled']);
+    expect(scheduler.isGroupBusy('g1')).toBe(false);
+  });
+});
@@ -0,0 +1,675 @@
+// =============================================================================
+// HISTORY MANAGER - HISTORIAL PERSISTENTE Y BUSCABLE
+// Visitas individuales, índice de texto completo y ranking por "frecency"
+// =============================================================================
+
+import { createHash } from 'crypto';
+import * as path from 'path';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Cubos de antigüedad (estilo Firefox): peso según lo reciente de la visita
+const FRECENCY_BUCKETS = [
+  { maxAge: 4 * DAY, weight: 100 },
+  { maxAge: 14 * DAY, weight: 70 },
+  { maxAge: 31 * DAY, weight: 50 },
+  { maxAge: 90 * DAY, weight: 30 },
+  { maxAge: Infinity, weight: 10 }
+];
+
+// Bonificación (en %) según el tipo de transición de la visita
+const TRANSITION_BONUS = {
+  typed: 2000,
+  link: 100,
+  generated: 100,
+  form_submit: 100,
+  bookmark: 75,
+  back_forward: 0,
+  reload: 0,
+  redirect: 0
+};
+
+const TRANSITIONS = Object.keys(TRANSITION_BONUS);
+const FRECENCY_SAMPLE_SIZE = 10;
+const MAX_INDEXED_TEXT = 20000;
+const MAX_EXCERPT = 2000;
+const COMPACT_THRESHOLD = 500;
+const PRUNE_BATCH = 500;
+const PAGE_READ_BATCH = 50;
+
+// URLs internas que no pertenecen al historial del usuario
+const IGNORED_PROTOCOLS = ['about:', 'data:', 'blob:', 'devtools:', 'chrome:', 'chrome-extension:', 'silhouette:', 'view-source:'];
+
+class HistoryManager {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir;
+    this.store = new PersistentStore('history', { baseDir: this.baseDir, subdirectory: 'history' });
+    this.visits = [];             // Visitas ordenadas de la más antigua a la más reciente
+    this.places = new Map();      // url -> { url, title, host, visitCount, typedCount, ... }
+    this.index = new Map();       // token -> Set<url>
+    this.placeTokens = new Map(); // url -> Set<token> (para desindexar)
+    this.openVisits = new Map();  // tabId -> visitId pendiente de tiempo de permanencia
+    this.maxEntries = options.maxEntries || 50000;
+    this.nextVisitId = 1;
+    this.journalSize = 0;
+    this.unsavedPages = new Set();  // Textos leídos de un formato antiguo, aún sin fichero propio
+    this.orphanPages = new Set();   // Páginas borradas cuyo fichero de texto queda por eliminar
+    this.pageChain = Promise.resolve();
+  }
+
+  async initialize() {
+    console.log('📚 Inicializando Gestor de Historial...');
+
+    try {
+      const snapshot = await this.store.read({ visits: [], places: [] });
+      await this.loadSnapshot(snapshot);
+
+      // Reaplicar las operaciones escritas después del último snapshot
+      const journal = await this.store.readJournal();
+      for (const entry of journal) {
+        this.applyOperation(entry);
+        if (entry.op === 'content' && entry.text != null) this.unsavedPages.add(entry.url);
+      }
+
+      // Historiales antiguos llevaban el texto en el snapshot o en el journal
+      const migrating = this.unsavedPages.size > 0;
+      for (const url of this.unsavedPages) {
+        const place = this.places.get(url);
+        if (place) this.savePageText(url, place.text);
+      }
+      this.unsavedPages.clear();
+
+      if (journal.length > 0 || migrating) {
+        await this.compact();
+      }
+
+      console.log(`✅ Historial cargado: ${this.visits.length} visitas, ${this.places.size} páginas`);
+    } catch (error) {
+      console.error('❌ Error cargando historial:', error);
+    }
+  }
+
+  // =============================================================================
+  // REGISTRO DE VISITAS
+  // =============================================================================
+
+  addEntry(entry) {
+    if (!entry || !HistoryManager.isRecordable(entry.url)) {
+      return null;
+    }
+
+    const timestamp = entry.timestamp || Date.now();
+
+    // Cerrar la visita anterior de la misma pestaña (tiempo de permanencia)
+    if (entry.tabId) {
+      this.endVisit(entry.tabId, timestamp);
+    }
+
+    const visit = {
+      id: `hist-${timestamp}-${this.nextVisitId++}`,
+      url: entry.url,
+      title: entry.title || '',
+      timestamp,
+      transition: TRANSITIONS.includes(entry.transition) ? entry.transition : 'link',
+      referrer: entry.referrer && entry.referrer !== entry.url ? entry.referrer : null,
+      tabId: entry.tabId || null,
+      windowId: entry.windowId || null,
+      dwellTime: null
+    };
+
+    this.applyOperation({ op: 'visit', visit });
+    this.record({ op: 'visit', visit });
+
+    if (visit.tabId) {
+      this.openVisits.set(visit.tabId, visit.id);
+    }
+
+    return visit.id;
+  }
+
+  endVisit(tabId, endedAt = Date.now()) {
+    const visitId = this.openVisits.get(tabId);
+    if (!visitId) return;
+    this.openVisits.delete(tabId);
+
+    const visit = this.findVisit(visitId);
+    if (!visit) return;
+
+    const dwellTime = Math.max(0, endedAt - visit.timestamp);
+    this.applyOperation({ op: 'dwell', visitId, dwellTime });
+    this.record({ op: 'dwell', visitId, dwellTime });
+  }
+
+  updatePageContent(url, { title, text } = {}) {
+    if (!this.places.has(url)) return;
+
+    const pageText = typeof text === 'string' ? HistoryManager.normalizeWhitespace(text).slice(0, MAX_INDEXED_TEXT) : null;
+    this.applyOperation({ op: 'content', url, title: title || null, text: pageText });
+
+    // El journal solo lleva el título: el texto va al fichero propio de la página
+    this.record({ op: 'content', url, title: title || null });
+    if (pageText !== null) this.savePageText(url, pageText);
+  }
+
+  // =============================================================================
+  // CONSULTAS
+  // =============================================================================
+
+  async getRecentEntries(limit = 50) {
+    const entries = [];
+    for (let i = this.visits.length - 1; i >= 0 && entries.length < limit; i--) {
+      const visit = this.visits[i];
+      const place = this.places.get(visit.url);
+      entries.push({
+        ...visit,
+        title: place?.title || visit.title,
+        favicon: place?.favicon || null
+      });
+    }
+    return entries;
+  }
+
+  getVisitsForUrl(url) {
+    return this.visits.filter(visit => visit.url === url);
+  }
+
+  async search(query, options = {}) {
+    const limit = options.limit || 10;
+    const terms = HistoryManager.tokenize(query || '');
+
+    // Sin términos: las páginas con más frecency
+    if (terms.length === 0) {
+      return this.rankPlaces(Array.from(this.places.values()), [], query, limit);
+    }
+
+    // Todas las palabras deben aparecer; la última se trata como prefijo (autocompletado)
+    let candidates = null;
+    terms.forEach((term, position) => {
+      const isLast = position === terms.length - 1;
+      const matches = isLast ? this.lookupPrefix(term) : new Set(this.index.get(term) || []);
+      candidates = candidates
+        ? new Set([...candidates].filter(url => matches.has(url)))
+        : matches;
+    });
+
+    const places = [...(candidates || [])]
+      .map(url => this.places.get(url))
+      .filter(Boolean);
+
+    return this.rankPlaces(places, terms, query, limit);
+  }
+
+  rankPlaces(places, terms, query, limit) {
+    const normalizedQuery = (query || '').trim().toLowerCase();
+
+    return places
+      .map(place => {
+        let score = place.frecency;
+        const title = HistoryManager.foldText(place.title || '');
+        const bareUrl = place.url.replace(/^https?:\/\/(www\.)?/i, '').toLowerCase();
+
+        // Coincidencias en título y URL pesan más que en el contenido
+        if (terms.length > 0 && terms.every(term => title.includes(term))) score *= 1.5;
+        if (normalizedQuery && bareUrl.startsWith(normalizedQuery)) score *= 2;
+
+        return { place, score };
+      })
+      .sort((a, b) => b.score - a.score || b.place.lastVisit - a.place.lastVisit)
+      .slice(0, limit)
+      .map(({ place, score }) => ({
+        url: place.url,
+        title: place.title,
+        favicon: place.favicon || null,
+        visitCount: place.visitCount,
+        lastVisit: place.lastVisit,
+        frecency: place.frecency,
+        score: Math.round(score),
+        snippet: HistoryManager.buildSnippet(place.excerpt, terms)
+      }));
+  }
+
+  lookupPrefix(prefix) {
+    const matches = new Set();
+    for (const [token, urls] of this.index) {
+      if (token.startsWith(prefix)) {
+        for (const url of urls) matches.add(url);
+      }
+    }
+    return matches;
+  }
+
+  // =============================================================================
+  // BORRADO
+  // =============================================================================
+
+  async deleteRange(from, to) {
+    const start = Number(from) || 0;
+    const end = to == null ? Date.now() : Number(to);
+
+    const removed = await this.applyDeletion({ op: 'delete-range', from: start, to: end });
+    console.log(`🗑️ ${removed} visitas eliminadas del historial`);
+    return { removed };
+  }
+
+  async deleteByDomain(domain) {
+    const host = HistoryManager.normalizeDomain(domain);
+    if (!host) {
+      throw new Error('Dominio no válido');
+    }
+
+    const removed = await this.applyDeletion({ op: 'delete-domain', domain: host });
+    console.log(`🗑️ ${removed} visitas de ${host} eliminadas del historial`);
+    return { removed };
+  }
+
+  async clearAll() {
+    await this.applyDeletion({ op: 'clear' });
+    console.log('🗑️ Historial limpiado');
+  }
+
+  // El borrado se anota en el journal y se reaplica al cargar, sin reescribir el
+  // snapshot; el texto de las páginas que desaparecen se borra del disco en el acto
+  async applyDeletion(operation) {
+    const before = this.visits.length;
+    this.applyOperation(operation);
+    await this.record(operation);
+    await this.removeOrphanPages();
+    return before - this.visits.length;
+  }
+
+  getEntryCount() {
+    return this.visits.length;
+  }
+
+  // =============================================================================
+  // OPERACIONES (COMPARTIDAS ENTRE EJECUCIÓN Y REPLAY DEL JOURNAL)
+  // =============================================================================
+
+  applyOperation(entry) {
+    switch (entry.op) {
+      case 'visit':
+        this.applyVisit(entry.visit);
+        break;
+      case 'dwell': {
+        const visit = this.findVisit(entry.visitId);
+        if (visit) visit.dwellTime = entry.dwellTime;
+        break;
+      }
+      case 'content': {
+        const place = this.places.get(entry.url);
+        if (!place) break;
+        if (entry.title) place.title = entry.title;
+        if (entry.text != null) {
+          place.text = entry.text;
+          place.excerpt = entry.text.slice(0, MAX_EXCERPT);
+        }
+        this.indexPlace(place);
+        break;
+      }
+      case 'delete-range':
+        this.removeVisits(visit => visit.timestamp >= entry.from && visit.timestamp <= entry.to);
+        break;
+      case 'delete-domain':
+        this.removeVisits(visit => HistoryManager.matchesDomain(visit.url, entry.domain));
+        break;
+      case 'clear':
+        for (const url of this.places.keys()) this.orphanPages.add(url);
+        this.visits = [];
+        this.places.clear();
+        this.index.clear();
+        this.placeTokens.clear();
+        this.openVisits.clear();
+        break;
+    }
+  }
+
+  applyVisit(visit, bulk = false) {
+    this.visits.push(visit);
+
+    let place = this.places.get(visit.url);
+    if (!place) {
+      place = {
+        url: visit.url,
+        title: visit.title,
+        host: HistoryManager.getHost(visit.url),
+        visitCount: 0,
+        typedCount: 0,
+        firstVisit: visit.timestamp,
+        lastVisit: visit.timestamp,
+        frecency: 0,
+        favicon: null,
+        excerpt: '',
+        text: ''
+      };
+      this.places.set(visit.url, place);
+    }
+
+    place.visitCount++;
+    if (visit.transition === 'typed') place.typedCount++;
+    place.lastVisit = Math.max(place.lastVisit, visit.timestamp);
+    if (visit.title) place.title = visit.title;
+
+    // En carga masiva el índice y la frecency se calculan al final, una sola vez
+    if (!bulk) {
+      this.updateFrecency(place);
+      this.indexPlace(place);
+    }
+
+    // Podar por lotes las visitas más antiguas si se supera el límite
+    if (this.visits.length > this.maxEntries + PRUNE_BATCH) {
+      const overflow = this.visits.length - this.maxEntries;
+      this.removeVisits((candidate, position) => position < overflow);
+    }
+  }
+
+  removeVisits(predicate) {
+    const affected = new Set();
+    this.visits = this.visits.filter((visit, position) => {
+      if (predicate(visit, position)) {
+        affected.add(visit.url);
+        return false;
+      }
+      return true;
+    });
+
+    if (affected.size === 0) return;
+
+    // Recalcular las páginas afectadas a partir de las visitas restantes
+    const remainingByUrl = new Map();
+    for (const visit of this.visits) {
+      if (!affected.has(visit.url)) continue;
+      if (!remainingByUrl.has(visit.url)) remainingByUrl.set(visit.url, []);
+      remainingByUrl.get(visit.url).push(visit);
+    }
+
+    for (const url of affected) {
+      const remaining = remainingByUrl.get(url);
+      const place = this.places.get(url);
+      if (!remaining) {
+        this.unindexPlace(url);
+        this.places.delete(url);
+        this.unsavedPages.delete(url);
+        this.orphanPages.add(url);
+        continue;
+      }
+      place.visitCount = remaining.length;
+      place.typedCount = remaining.filter(visit => visit.transition === 'typed').length;
+      place.firstVisit = remaining[0].timestamp;
+      place.lastVisit = remaining[remaining.length - 1].timestamp;
+      this.updateFrecency(place, Date.now(), remaining.slice(-FRECENCY_SAMPLE_SIZE).reverse());
+    }
+
+    for (const [tabId, visitId] of this.openVisits) {
+      if (!this.findVisit(visitId)) this.openVisits.delete(tabId);
+    }
+  }
+
+  findVisit(visitId) {
+    // Las visitas abiertas casi siempre son las más recientes
+    for (let i = this.visits.length - 1; i >= 0; i--) {
+      if (this.visits[i].id === visitId) return this.visits[i];
+    }
+    return null;
+  }
+
+  // =============================================================================
+  // FRECENCY
+  // =============================================================================
+
+  updateFrecency(place, now = Date.now(), sample = null) {
+    if (!sample) {
+      sample = [];
+      for (let i = this.visits.length - 1; i >= 0 && sample.length < FRECENCY_SAMPLE_SIZE; i--) {
+        if (this.visits[i].url === place.url) sample.push(this.visits[i]);
+      }
+    }
+
+    if (sample.length === 0) {
+      place.frecency = 0;
+      return 0;
+    }
+
+    const points = sample.reduce((total, visit) => {
+      const age = now - visit.timestamp;
+      const bucket = FRECENCY_BUCKETS.find(candidate => age <= candidate.maxAge);
+      const bonus = TRANSITION_BONUS[visit.transition] ?? TRANSITION_BONUS.link;
+      return total + (bonus / 100) * bucket.weight;
+    }, 0);
+
+    place.frecency = Math.ceil(place.visitCount * points / sample.length);
+    return place.frecency;
+  }
+
+  recalculateFrecency() {
+    // Una sola pasada hacia atrás para reunir las visitas recientes de cada página
+    const now = Date.now();
+    const samples = new Map();
+    for (let i = this.visits.length - 1; i >= 0; i--) {
+      const visit = this.visits[i];
+      const sample = samples.get(visit.url) || [];
+      if (sample.length < FRECENCY_SAMPLE_SIZE) sample.push(visit);
+      samples.set(visit.url, sample);
+    }
+
+    for (const place of this.places.values()) {
+      this.updateFrecency(place, now, samples.get(place.url) || []);
+    }
+  }
+
+  // =============================================================================
+  // ÍNDICE DE TEXTO COMPLETO
+  // =============================================================================
+
+  indexPlace(place) {
+    this.unindexPlace(place.url);
+
+    const tokens = new Set(HistoryManager.tokenize(`${place.title || ''} ${place.url} ${place.text || ''}`));
+    for (const token of tokens) {
+      if (!this.index.has(token)) this.index.set(token, new Set());
+      this.index.get(token).add(place.url);
+    }
+    this.placeTokens.set(place.url, tokens);
+  }
+
+  unindexPlace(url) {
+    const tokens = this.placeTokens.get(url);
+    if (!tokens) return;
+
+    for (const token of tokens) {
+      const urls = this.index.get(token);
+      if (!urls) continue;
+      urls.delete(url);
+      if (urls.size === 0) this.index.delete(token);
+    }
+    this.placeTokens.delete(url);
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  async record(entry) {
+    try {
+      await this.store.append(entry);
+      this.journalSize++;
+      if (this.journalSize >= COMPACT_THRESHOLD) {
+        await this.compact();
+      }
+    } catch (error) {
+      console.error('❌ Error escribiendo journal de historial:', error);
+    }
+  }
+
+  async compact() {
+    this.journalSize = 0;
+    await this.store.compact(this.serialize());
+    // Páginas podadas por el límite de visitas desde la última compactación
+    await this.removeOrphanPages();
+  }
+
+  serialize() {
+    return {
+      version: 2,
+      savedAt: Date.now(),
+      visits: this.visits,
+      places: Array.from(this.places.values()).map(place => ({
+        url: place.url,
+        title: place.title,
+        favicon: place.favicon
+      }))
+    };
+  }
+
+  // =============================================================================
+  // TEXTO DE LAS PÁGINAS (UN FICHERO POR PÁGINA, FUERA DEL SNAPSHOT Y DEL JOURNAL)
+  // =============================================================================
+
+  pageStore(url) {
+    const name = createHash('sha1').update(url).digest('hex');
+    return new PersistentStore(name, { baseDir: this.baseDir, subdirectory: path.join('history', 'pages') });
+  }
+
+  // Escrituras y borrados en cadena: un borrado nunca se adelanta a la escritura que lo precede
+  queuePageTask(task) {
+    this.pageChain = this.pageChain.catch(() => {}).then(task);
+    return this.pageChain;
+  }
+
+  savePageText(url, text) {
+    this.orphanPages.delete(url);
+    return this.queuePageTask(() => this.pageStore(url).write({ url, text }))
+      .catch(error => console.error('❌ Error guardando el texto de una página del historial:', error));
+  }
+
+  async removeOrphanPages() {
+    const urls = Array.from(this.orphanPages);
+    this.orphanPages.clear();
+    if (urls.length === 0) return;
+
+    try {
+      await this.queuePageTask(async () => {
+        for (const url of urls) {
+          await this.pageStore(url).remove();
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error borrando el texto de páginas del historial:', error);
+    }
+  }
+
+  async loadPageTexts(places) {
+    for (let i = 0; i < places.length; i += PAGE_READ_BATCH) {
+      await Promise.all(places.slice(i, i + PAGE_READ_BATCH).map(async place => {
+        const saved = await this.pageStore(place.url).read(null);
+        if (saved?.url !== place.url || typeof saved.text !== 'string') return;
+        place.text = saved.text;
+        place.excerpt = saved.text.slice(0, MAX_EXCERPT);
+      }));
+    }
+  }
+
+  async loadSnapshot(snapshot) {
+    this.applyOperation({ op: 'clear' });
+
+    for (const visit of snapshot.visits || []) {
+      this.applyVisit(visit, true);
+    }
+    this.nextVisitId = this.visits.length + 1;
+
+    for (const saved of snapshot.places || []) {
+      const place = this.places.get(saved.url);
+      if (!place) continue;
+      if (saved.title) place.title = saved.title;
+      place.favicon = saved.favicon || null;
+      if (saved.text) {
+        place.text = saved.text;
+        place.excerpt = saved.text.slice(0, MAX_EXCERPT);
+        this.unsavedPages.add(saved.url);
+      }
+    }
+
+    await this.loadPageTexts(Array.from(this.places.values()).filter(place => !place.text));
+
+    for (const place of this.places.values()) {
+      this.indexPlace(place);
+    }
+
+    // La antigüedad cambia entre sesiones: recalcular con la hora actual
+    this.recalculateFrecency();
+  }
+
+  setFavicon(url, favicon) {
+    const place = this.places.get(url);
+    if (place && favicon) place.favicon = favicon;
+  }
+
+  async shutdown() {
+    for (const tabId of Array.from(this.openVisits.keys())) {
+      this.endVisit(tabId);
+    }
+    await this.compact();
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static isRecordable(url) {
+    if (!url || typeof url !== 'string') return false;
+    return !IGNORED_PROTOCOLS.some(protocol => url.startsWith(protocol));
+  }
+
+  static getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  static normalizeDomain(domain) {
+    if (!domain || typeof domain !== 'string') return '';
+    const value = domain.trim().toLowerCase();
+    const host = value.includes('://') ? HistoryManager.getHost(value) : value.split('/')[0];
+    return host.replace(/^www\./, '');
+  }
+
+  static matchesDomain(url, domain) {
+    const host = HistoryManager.getHost(url);
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  static foldText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  static tokenize(text) {
+    return HistoryManager.foldText(text)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length >= 2 && token.length <= 40);
+  }
+
+  static normalizeWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  static buildSnippet(excerpt, terms) {
+    if (!excerpt) return '';
+    if (terms.length === 0) return excerpt.slice(0, 160);
+
+    const folded = HistoryManager.foldText(excerpt);
+    const position = terms
+      .map(term => folded.indexOf(term))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0];
+
+    if (position === undefined) return excerpt.slice(0, 160);
+
+    const start = Math.max(0, position - 60);
+    const snippet = excerpt.slice(start, start + 160).trim();
+    return `${start > 0 ? '…' : ''}${snippet}${start + 160 < excerpt.length ? '…' : ''}`;
+  }
+}
+
+export default HistoryManager;
@@ -0,0 +1,82 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { default: HistoryManager } = await import('./history-manager.js');
+
+describe('HistoryManager en disco', () => {
+  let baseDir;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'silhouette-history-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  async function open() {
+    const history = new HistoryManager({ baseDir });
+    await history.initialize();
+    return history;
+  }
+
+  const pagesDir = () => path.join(baseDir, 'history', 'pages');
+
+  test('el texto de las páginas no va ni al snapshot ni al journal', async () => {
+    const history = await open();
+    history.addEntry({ url: 'https://example.com/receta', title: 'Receta' });
+    history.updatePageContent('https://example.com/receta', { title: 'Receta', text: 'Tortilla de patatas con cebolla' });
+    await history.store.writeChain;
+    await history.pageChain;
+
+    await expect(fs.readFile(path.join(baseDir, 'history', 'history.journal'), 'utf8')).resolves.not.toMatch(/cebolla/);
+    await history.shutdown();
+    await expect(fs.readFile(path.join(baseDir, 'history', 'history.json'), 'utf8')).resolves.not.toMatch(/cebolla/);
+
+    const reopened = await open();
+    const [result] = await reopened.search('cebolla');
+    expect(result).toMatchObject({ url: 'https://example.com/receta', title: 'Receta' });
+    expect(result.snippet).toMatch(/cebolla/);
+  });
+
+  test('borrar un dominio anota una lápida sin compactar y borra el texto de sus páginas', async () => {
+    const history = await open();
+    history.addEntry({ url: 'https://banco.example/cuenta', title: 'Cuenta' });
+    history.addEntry({ url: 'https://example.com/', title: 'Inicio' });
+    history.updatePageContent('https://banco.example/cuenta', { text: 'Saldo disponible' });
+    history.updatePageContent('https://example.com/', { text: 'Portada' });
+    await history.shutdown();
+
+    const compact = jest.spyOn(history, 'compact');
+    await expect(history.deleteByDomain('banco.example')).resolves.toEqual({ removed: 1 });
+
+    expect(compact).not.toHaveBeenCalled();
+    const journal = await history.store.readJournal();
+    expect(journal).toEqual([{ op: 'delete-domain', domain: 'banco.example' }]);
+    await expect(fs.readdir(pagesDir())).resolves.toHaveLength(1);
+
+    const reopened = await open();
+    expect(reopened.getVisitsForUrl('https://banco.example/cuenta')).toEqual([]);
+    await expect(reopened.search('saldo')).resolves.toEqual([]);
+    await expect(reopened.search('portada')).resolves.toHaveLength(1);
+  });
+
+  test('migra el texto de un snapshot antiguo a ficheros por página', async () => {
+    await fs.mkdir(path.join(baseDir, 'history'), { recursive: true });
+    await fs.writeFile(path.join(baseDir, 'history', 'history.json'), JSON.stringify({
+      version: 1,
+      visits: [{ id: 'hist-1-1', url: 'https://example.com/', title: 'Inicio', timestamp: Date.now(), transition: 'link' }],
+      places: [{ url: 'https://example.com/', title: 'Inicio', favicon: null, text: 'Texto heredado' }]
+    }));
+
+    const history = await open();
+    await history.pageChain;
+
+    await expect(fs.readFile(path.join(baseDir, 'history', 'history.json'), 'utf8')).resolves.not.toMatch(/heredado/);
+    await expect(fs.readdir(pagesDir())).resolves.toHaveLength(1);
+    await expect((await open()).search('heredado')).resolves.toHaveLength(1);
+  });
+});
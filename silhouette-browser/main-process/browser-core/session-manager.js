@@ -0,0 +1,604 @@
+// =============================================================================
+// SESSION MANAGER - GESTOR DE SESIONES DEL NAVEGADOR
+// Journal en disco de pestañas, ventanas y grupos para restaurar tras cierres
+// o caídas, más sesiones guardadas con nombre
+// =============================================================================
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+class SessionManager {
+  constructor(browserCore, options = {}) {
+    this.browserCore = browserCore;
+    this.journal = new PersistentStore('current-session', {
+      baseDir: options.baseDir,
+      subdirectory: 'sessions'
+    });
+    this.sessionsDir = this.journal.directory;
+    this.archiveDir = path.join(this.sessionsDir, 'archive');
+    this.namedDir = path.join(this.sessionsDir, 'named');
+    this.maxArchivedSessions = options.maxArchivedSessions || 10;
+    this.checkpointInterval = options.checkpointInterval || 15000;
+    this.state = this.createEmptyState();
+    this.previousSession = null;
+    this.checkpointTimer = null;
+    this.isRestoring = false;
+  }
+
+  async initialize() {
+    console.log('💾 Inicializando Gestor de Sesiones...');
+
+    const settings = this.browserCore.settings?.getAllSettings() || {};
+    this.maxArchivedSessions = settings.sessionHistoryLimit || this.maxArchivedSessions;
+
+    // Recuperar la sesión anterior (snapshot + journal) antes de empezar una nueva
+    this.previousSession = await this.loadJournaledSession();
+    if (this.previousSession && this.previousSession.tabs.length > 0) {
+      await this.archiveSession(this.previousSession);
+    }
+
+    await this.journal.compact(this.serializeState());
+
+    this.setupTabEvents();
+    this.checkpointTimer = setInterval(() => {
+      this.checkpoint().catch(error => {
+        console.warn('⚠️ Error en checkpoint de sesión:', error.message);
+      });
+    }, this.checkpointInterval);
+
+    console.log('✅ Gestor de Sesiones inicializado');
+  }
+
+  createEmptyState() {
+    return {
+      id: `session-${Date.now()}`,
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      cleanShutdown: false,
+      windows: new Map(), // windowId -> { bounds, maximized }
+      tabs: new Map(),    // tabId -> registro serializable de la pestaña
+      groups: []
+    };
+  }
+
+  // =============================================================================
+  // REGISTRO DE EVENTOS
+  // =============================================================================
+
+  setupTabEvents() {
+    const tabManager = this.browserCore.tabManager;
+
+    tabManager.on('tab-created', (tabId) => {
+      this.recordTab(tabId);
+    });
+
+    tabManager.on('tab-updated', (tabId, eventType) => {
+      if (['load-finished', 'title-updated', 'favicon-updated', 'active-changed', 'container-changed', 'discarded'].includes(eventType)) {
+        this.recordTab(tabId);
+      }
+    });
+
+    tabManager.on('tab-closed', (tabId) => {
+      if (this.isRestoring || !this.state.tabs.has(tabId)) return;
+      this.state.tabs.delete(tabId);
+      this.appendEntry({ op: 'tab-removed', tabId });
+    });
+  }
+
+  recordTab(tabId) {
+    if (this.isRestoring) return;
+
+    const record = this.captureTab(tabId);
+    if (!record) return;
+
+    // Conservar la última posición de scroll conocida hasta el siguiente checkpoint
+    const previous = this.state.tabs.get(tabId);
+    if (previous?.scroll && record.url === previous.url) {
+      record.scroll = previous.scroll;
+    }
+
+    this.state.tabs.set(tabId, record);
+    this.appendEntry({ op: 'tab', tab: record });
+  }
+
+  recordWindow(windowId, window) {
+    if (this.isRestoring || !window || window.isDestroyed()) return;
+
+    const windowState = {
+      bounds: window.getBounds(),
+      maximized: window.isMaximized()
+    };
+    this.state.windows.set(windowId, windowState);
+    this.appendEntry({ op: 'window', windowId, window: windowState });
+  }
+
+  // El progreso de tareas y los pasos de macros no cambian los grupos
+  recordGroups(eventType = null) {
+    if (this.isRestoring || ['group:task-progress', 'group:macro-step'].includes(eventType)) return;
+
+    this.state.groups = this.captureGroups();
+    this.appendEntry({ op: 'groups', groups: this.state.groups });
+  }
+
+  appendEntry(entry) {
+    this.state.updatedAt = Date.now();
+    this.journal.append({ ...entry, timestamp: this.state.updatedAt }).catch(error => {
+      console.warn('⚠️ Error escribiendo journal de sesión:', error.message);
+    });
+  }
+
+  // =============================================================================
+  // CAPTURA DEL ESTADO
+  // =============================================================================
+
+  captureTab(tabId) {
+    const tab = this.browserCore.tabManager.tabs.get(tabId);
+    if (!tab) return null;
+
+    const webContents = tab.browserView?.webContents;
+    const alive = webContents && !webContents.isDestroyed();
+
+    return {
+      id: tab.id,
+      windowId: tab.windowId,
+      url: alive ? (this.browserCore.getPageOverride(webContents)?.url || webContents.getURL() || tab.url) : tab.url,
+      title: tab.title,
+      favicon: tab.favicon,
+      pinned: !!tab.pinned,
+      muted: alive ? webContents.isAudioMuted() : !!tab.muted,
+      active: this.browserCore.tabManager.activeTabId === tab.id,
+      groupId: tab.groupId || null,
+      containerId: tab.containerId || null,
+      created: tab.created,
+      history: alive ? this.captureNavigationHistory(webContents) : (tab.navigationHistory || null),
+      scroll: tab.scroll || null
+    };
+  }
+
+  captureNavigationHistory(webContents) {
+    try {
+      const navigation = webContents.navigationHistory;
+      const entries = [];
+      let index;
+
+      if (navigation && typeof navigation.length === 'function') {
+        for (let i = 0; i < navigation.length(); i++) {
+          const entry = navigation.getEntryAtIndex(i);
+          if (entry) entries.push({ url: entry.url, title: entry.title });
+        }
+        index = navigation.getActiveIndex();
+      } else {
+        // API anterior a Electron 32
+        for (let i = 0; i < webContents.length(); i++) {
+          entries.push({ url: webContents.getURLAtIndex(i), title: '' });
+        }
+        index = webContents.getActiveIndex();
+      }
+
+      return { entries, index };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async captureScrollPositions() {
+    const tasks = [];
+
+    for (const [tabId, tab] of this.browserCore.tabManager.tabs) {
+      const webContents = tab.browserView?.webContents;
+      if (!webContents || webContents.isDestroyed()) continue;
+
+      tasks.push(
+        webContents
+          .executeJavaScript('({ x: window.scrollX, y: window.scrollY })', true)
+          .then(scroll => {
+            tab.scroll = scroll;
+          })
+          .catch(() => {})
+      );
+    }
+
+    await Promise.all(tasks);
+  }
+
+  captureWindows(tabs) {
+    // Partir del último estado conocido: al salir las ventanas pueden estar ya cerradas
+    const windows = new Map(this.state.windows);
+
+    for (const [windowId, window] of this.browserCore.windows) {
+      if (!window || window.isDestroyed()) continue;
+      windows.set(windowId, {
+        bounds: window.getBounds(),
+        maximized: window.isMaximized()
+      });
+    }
+
+    const usedWindows = new Set(Array.from(tabs.values()).map(tab => tab.windowId));
+    for (const windowId of windows.keys()) {
+      if (!usedWindows.has(windowId)) windows.delete(windowId);
+    }
+
+    return windows;
+  }
+
+  captureGroups() {
+    return this.browserCore.tabGroups
+      ? this.browserCore.tabGroups.getAllGroups().map(group => ({
+        id: group.id,
+        name: group.name,
+        type: group.type,
+        createdBy: group.createdBy,
+        metadata: group.metadata,
+        tabs: group.tabs
+      }))
+      : [];
+  }
+
+  async captureAll() {
+    await this.captureScrollPositions();
+
+    const tabs = new Map();
+    for (const tabId of this.browserCore.tabManager.tabs.keys()) {
+      const record = this.captureTab(tabId);
+      if (record) tabs.set(tabId, record);
+    }
+
+    this.state.tabs = tabs;
+    this.state.windows = this.captureWindows(tabs);
+    this.state.groups = this.captureGroups();
+    this.state.updatedAt = Date.now();
+  }
+
+  async checkpoint() {
+    if (this.isRestoring) return;
+    await this.captureAll();
+    await this.journal.compact(this.serializeState());
+  }
+
+  // =============================================================================
+  // SERIALIZACIÓN Y JOURNAL
+  // =============================================================================
+
+  serializeState(state = this.state) {
+    return {
+      version: 1,
+      id: state.id,
+      name: state.name || null,
+      startedAt: state.startedAt,
+      updatedAt: state.updatedAt,
+      cleanShutdown: state.cleanShutdown,
+      windows: Object.fromEntries(state.windows),
+      tabs: Array.from(state.tabs.values()),
+      groups: state.groups
+    };
+  }
+
+  async loadJournaledSession() {
+    const snapshot = await this.journal.read(null);
+    const entries = await this.journal.readJournal();
+    if (!snapshot && entries.length === 0) return null;
+
+    const tabs = new Map((snapshot?.tabs || []).map(tab => [tab.id, tab]));
+    const windows = new Map(Object.entries(snapshot?.windows || {}));
+    let groups = snapshot?.groups || [];
+    let updatedAt = snapshot?.updatedAt || 0;
+
+    // Reproducir el journal sobre el último snapshot
+    for (const entry of entries) {
+      switch (entry.op) {
+        case 'tab':
+          tabs.set(entry.tab.id, entry.tab);
+          break;
+        case 'tab-removed':
+          tabs.delete(entry.tabId);
+          break;
+        case 'window':
+          windows.set(entry.windowId, entry.window);
+          break;
+        case 'groups':
+          groups = entry.groups;
+          break;
+      }
+      updatedAt = Math.max(updatedAt, entry.timestamp || 0);
+    }
+
+    return {
+      version: 1,
+      id: snapshot?.id || `session-${updatedAt}`,
+      name: null,
+      startedAt: snapshot?.startedAt || updatedAt,
+      updatedAt,
+      cleanShutdown: !!snapshot?.cleanShutdown && entries.length === 0,
+      windows: Object.fromEntries(windows),
+      tabs: Array.from(tabs.values()),
+      groups
+    };
+  }
+
+  // =============================================================================
+  // SESIONES ARCHIVADAS Y CON NOMBRE
+  // =============================================================================
+
+  async archiveSession(session) {
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    const archiveStore = new PersistentStore(session.id, { baseDir: this.archiveDir, writeDelay: 0 });
+    await archiveStore.write(session);
+    await this.pruneArchive();
+  }
+
+  async pruneArchive() {
+    const sessions = await this.readSessionDirectory(this.archiveDir);
+    const excess = sessions.slice(this.maxArchivedSessions);
+
+    for (const session of excess) {
+      await fs.rm(path.join(this.archiveDir, `${session.id}.json`), { force: true });
+    }
+  }
+
+  async readSessionDirectory(directory) {
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const raw = await fs.readFile(path.join(directory, file), 'utf8');
+        sessions.push(JSON.parse(raw));
+      } catch (error) {
+        console.warn(`⚠️ Sesión ilegible ignorada: ${file}`);
+      }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async listSessions() {
+    const summarize = (session, kind) => ({
+      id: session.id,
+      name: session.name,
+      kind,
+      startedAt: session.startedAt,
+      updatedAt: session.updatedAt,
+      crashed: kind === 'recent' ? !session.cleanShutdown : false,
+      tabCount: session.tabs.length,
+      windowCount: Object.keys(session.windows || {}).length,
+      groupCount: (session.groups || []).length
+    });
+
+    const recent = await this.readSessionDirectory(this.archiveDir);
+    const named = await this.readSessionDirectory(this.namedDir);
+
+    return {
+      recent: recent.map(session => summarize(session, 'recent')),
+      named: named.map(session => summarize(session, 'named'))
+    };
+  }
+
+  async saveNamedSession(name) {
+    if (!name || !name.trim()) {
+      throw new Error('El nombre de la sesión es requerido');
+    }
+
+    await this.captureAll();
+    const session = {
+      ...this.serializeState(),
+      id: this.slugify(name),
+      name: name.trim(),
+      cleanShutdown: true
+    };
+
+    await fs.mkdir(this.namedDir, { recursive: true });
+    const store = new PersistentStore(session.id, { baseDir: this.namedDir, writeDelay: 0 });
+    await store.write(session);
+
+    console.log(`💾 Sesión guardada: ${session.name}`);
+    return session.id;
+  }
+
+  async deleteSession(kind, sessionId) {
+    const directory = kind === 'named' ? this.namedDir : this.archiveDir;
+    await fs.rm(path.join(directory, `${path.basename(sessionId)}.json`), { force: true });
+    return true;
+  }
+
+  async loadSession(kind, sessionId) {
+    const directory = kind === 'named' ? this.namedDir : this.archiveDir;
+    const store = new PersistentStore(path.basename(sessionId), { baseDir: directory });
+    return await store.read(null);
+  }
+
+  // =============================================================================
+  // RESTAURACIÓN
+  // =============================================================================
+
+  async restoreLastSession() {
+    const { recent } = await this.listSessions();
+    if (recent.length === 0) return null;
+    return await this.restoreSession('recent', recent[0].id);
+  }
+
+  async restoreSession(kind, sessionId) {
+    const session = await this.loadSession(kind, sessionId);
+    if (!session) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    console.log(`♻️ Restaurando sesión ${session.name || session.id} (${session.tabs.length} pestañas)...`);
+    this.isRestoring = true;
+
+    const tabIdMap = new Map();
+    try {
+      const windowIdMap = await this.restoreWindows(session);
+      const placeholderTabs = this.collectPlaceholderTabs();
+
+      for (const record of session.tabs) {
+        const windowId = windowIdMap.get(record.windowId) || 'main';
+        const newTabId = await this.restoreTab(record, windowId);
+        if (newTabId) tabIdMap.set(record.id, newTabId);
+      }
+
+      // Cerrar las pestañas en blanco creadas por defecto al abrir las ventanas
+      if (tabIdMap.size > 0) {
+        for (const tabId of placeholderTabs) {
+          await this.browserCore.tabManager.closeBrowserView(tabId);
+        }
+      }
+
+      await this.restoreGroups(session.groups || [], tabIdMap);
+
+      const activeRecord = session.tabs.find(tab => tab.active);
+      if (activeRecord && tabIdMap.has(activeRecord.id)) {
+        await this.browserCore.tabManager.switchToBrowserView(tabIdMap.get(activeRecord.id));
+      }
+    } finally {
+      this.isRestoring = false;
+    }
+
+    await this.checkpoint();
+    console.log(`✅ Sesión restaurada: ${tabIdMap.size} pestañas`);
+
+    return {
+      sessionId: session.id,
+      restoredTabs: tabIdMap.size,
+      tabIdMap: Object.fromEntries(tabIdMap)
+    };
+  }
+
+  async restoreWindows(session) {
+    const windowIdMap = new Map();
+
+    for (const [windowId, windowState] of Object.entries(session.windows || {})) {
+      let window;
+      let newWindowId = windowId;
+
+      if (windowId === 'main') {
+        window = this.browserCore.windows.get('main');
+      } else {
+        const created = await this.browserCore.createNewWindow();
+        window = created.window;
+        newWindowId = created.id;
+      }
+
+      if (window && !window.isDestroyed() && windowState?.bounds) {
+        window.setBounds(windowState.bounds);
+        if (windowState.maximized) window.maximize();
+      }
+
+      windowIdMap.set(windowId, newWindowId);
+    }
+
+    return windowIdMap;
+  }
+
+  collectPlaceholderTabs() {
+    return Array.from(this.browserCore.tabManager.tabs.values())
+      .filter(tab => !tab.url || tab.url === 'about:blank')
+      .map(tab => tab.id);
+  }
+
+  async restoreTab(record, windowId) {
+    const tabManager = this.browserCore.tabManager;
+    const history = record.history;
+    const activeEntry = history?.entries?.[history.index];
+    const url = activeEntry?.url || record.url;
+
+    const tabId = await tabManager.createTabWithBrowserView({
+      url: 'about:blank',
+      active: false,
+      pinned: record.pinned,
+      windowId,
+      containerId: record.containerId
+    });
+
+    const tab = tabManager.tabs.get(tabId);
+    const webContents = tab?.browserView?.webContents;
+    if (!webContents) return tabId;
+
+    tab.title = record.title || tab.title;
+    tab.favicon = record.favicon || null;
+    webContents.setAudioMuted(!!record.muted);
+    await this.loadTabState(webContents, { url, history, scroll: record.scroll });
+
+    return tabId;
+  }
+
+  // Historial de navegación y scroll de una pestaña guardada (sesiones y
+  // pestañas suspendidas que se rehidratan)
+  async loadTabState(webContents, { url, history, scroll }) {
+    const activeUrl = history?.entries?.[history.index]?.url || url;
+
+    if (scroll && (scroll.x || scroll.y)) {
+      webContents.once('did-finish-load', () => {
+        webContents
+          .executeJavaScript(`window.scrollTo(${Number(scroll.x) || 0}, ${Number(scroll.y) || 0})`)
+          .catch(() => {});
+      });
+    }
+
+    try {
+      const navigation = webContents.navigationHistory;
+      if (history?.entries?.length > 1 && navigation && typeof navigation.restore === 'function') {
+        await navigation.restore({ entries: history.entries, index: history.index });
+      } else if (activeUrl && activeUrl !== 'about:blank') {
+        await webContents.loadURL(activeUrl);
+      }
+    } catch (error) {
+      console.warn(`⚠️ No se pudo restaurar ${activeUrl}:`, error.message);
+    }
+  }
+
+  async restoreGroups(groups, tabIdMap) {
+    const tabGroups = this.browserCore.tabGroups;
+    if (!tabGroups) return;
+
+    for (const groupData of groups) {
+      const tabIds = groupData.tabs.map(tabId => tabIdMap.get(tabId)).filter(Boolean);
+      if (tabIds.length === 0) continue;
+
+      const groupId = await tabGroups.createGroup(groupData.name, {
+        ...groupData.metadata,
+        type: groupData.type,
+        createdBy: groupData.createdBy
+      });
+
+      for (const tabId of tabIds) {
+        await tabGroups.addTabToGroup(groupId, tabId, false);
+      }
+    }
+  }
+
+  // =============================================================================
+  // UTILIDADES Y CIERRE
+  // =============================================================================
+
+  slugify(name) {
+    const slug = name
+      .trim()
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return `named-${slug || Date.now()}`;
+  }
+
+  async shutdown() {
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+
+    await this.captureAll();
+    this.state.cleanShutdown = true;
+    await this.journal.compact(this.serializeState());
+    console.log('💾 Sesión guardada al cerrar');
+  }
+}
+
+export default SessionManager;
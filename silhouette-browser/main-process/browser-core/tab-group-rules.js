@@ -0,0 +1,289 @@
+// =============================================================================
+// TAB GROUP RULES - REGLAS DECLARATIVAS DE AGRUPACIÓN
+// Lista ordenada y editable de reglas que asignan pestañas a grupos por patrón
+// de URL, dominio o pestaña de origen. Gana la primera regla activa que
+// coincide. Los grupos se referencian por nombre: los ids cambian entre sesiones
+// =============================================================================
+
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+const RULE_TYPES = ['url', 'domain', 'opener'];
+
+// Comportamiento previo a las reglas: las pestañas abiertas desde una pestaña
+// agrupada se quedan en su grupo
+const DEFAULT_RULES = [
+  {
+    id: 'rule-opener',
+    name: 'Pestañas abiertas desde un grupo se quedan en él',
+    type: 'opener',
+    pattern: '',
+    group: null,
+    enabled: true
+  }
+];
+
+// Patrón de URL estilo "*.atlassian.net/*" o "localhost:*"; "/regex/" para
+// expresiones regulares. Sin esquema se compara con la URL sin "https://"
+function compileUrlPattern(pattern) {
+  const source = String(pattern || '').trim();
+  const regexLiteral = source.match(/^\/(.+)\/$/);
+  if (regexLiteral) {
+    const regex = new RegExp(regexLiteral[1], 'i');
+    return { test: url => regex.test(url), withScheme: true };
+  }
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(source);
+  let rest = source;
+  let prefix = '';
+  if (withScheme) {
+    const index = source.indexOf('://') + 3;
+    prefix = escapeGlob(source.slice(0, index));
+    rest = source.slice(index);
+  }
+
+  // "*." inicial: cualquier número de subdominios, también ninguno
+  let body = '';
+  if (rest.startsWith('*.')) {
+    body = '(?:[^/?#]*\\.)?';
+    rest = rest.slice(2);
+  }
+  body += escapeGlob(rest);
+
+  // Solo el host ("*.atlassian.net"): vale cualquier ruta
+  const hostOnly = !/[/?#]/.test(rest);
+  const regex = new RegExp(`^${prefix}${body}${hostOnly ? '(?:[/?#].*)?' : ''}$`, 'i');
+  return { test: url => regex.test(url), withScheme };
+}
+
+function escapeGlob(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+}
+
+function stripScheme(url) {
+  return String(url || '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+}
+
+function matchesUrl(pattern, url) {
+  const compiled = compileUrlPattern(pattern);
+  return compiled.test(compiled.withScheme ? url : stripScheme(url));
+}
+
+function matchesDomain(domain, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  const target = domain.toLowerCase().replace(/^\*?\./, '');
+  return hostname === target || hostname.endsWith(`.${target}`);
+}
+
+class TabGroupRules {
+  constructor() {
+    this.store = new PersistentStore('tab-group-rules', { subdirectory: 'tab-groups' });
+    this.rules = [];
+    this.nextRuleId = 1;
+  }
+
+  async initialize() {
+    const saved = await this.store.read(null);
+    for (const rule of saved?.rules || DEFAULT_RULES) {
+      try {
+        this.rules.push(this.normalize(rule));
+      } catch (error) {
+        console.warn(`⚠️ Regla de grupo descartada (${rule?.id || 'sin id'}):`, error.message);
+      }
+    }
+    for (const rule of this.rules) {
+      const number = Number(rule.id.match(/^rule-(\d+)$/)?.[1]);
+      if (number >= this.nextRuleId) this.nextRuleId = number + 1;
+    }
+    console.log(`📐 Reglas de grupos cargadas: ${this.rules.length}`);
+  }
+
+  // =============================================================================
+  // EDICIÓN
+  // =============================================================================
+
+  getRules() {
+    return this.rules.map(rule => this.describe(rule));
+  }
+
+  getRule(ruleId) {
+    const rule = this.rules.find(candidate => candidate.id === ruleId);
+    if (!rule) {
+      throw new Error(`Regla ${ruleId} no encontrada`);
+    }
+    return rule;
+  }
+
+  addRule(data, index = this.rules.length) {
+    const rule = this.normalize({ ...data, id: null });
+    this.rules.splice(this.clampIndex(index, this.rules.length), 0, rule);
+    this.save();
+    return this.describe(rule);
+  }
+
+  updateRule(ruleId, changes = {}) {
+    const current = this.getRule(ruleId);
+    const rule = this.normalize({ ...current, ...changes, id: ruleId });
+    this.rules[this.rules.indexOf(current)] = rule;
+    this.save();
+    return this.describe(rule);
+  }
+
+  removeRule(ruleId) {
+    const rule = this.getRule(ruleId);
+    this.rules.splice(this.rules.indexOf(rule), 1);
+    this.save();
+    return true;
+  }
+
+  moveRule(ruleId, index) {
+    const rule = this.getRule(ruleId);
+    this.rules.splice(this.rules.indexOf(rule), 1);
+    this.rules.splice(this.clampIndex(index, this.rules.length), 0, rule);
+    this.save();
+    return this.getRules();
+  }
+
+  // Sustituye la lista completa (editor de reglas); se valida todo antes de aplicar
+  setRules(rules = []) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Las reglas deben ser una lista');
+    }
+    const known = new Set(this.rules.map(rule => rule.id));
+    const seen = new Set();
+    const next = rules.map(rule => {
+      const keepId = rule?.id && known.has(rule.id) && !seen.has(rule.id);
+      const normalized = this.normalize({ ...rule, id: keepId ? rule.id : null });
+      seen.add(normalized.id);
+      return normalized;
+    });
+    this.rules = next;
+    this.save();
+    return this.getRules();
+  }
+
+  normalize(rule = {}, { draft = false } = {}) {
+    const type = rule.type || 'url';
+    if (!RULE_TYPES.includes(type)) {
+      throw new Error(`Tipo de regla desconocido: ${type}`);
+    }
+
+    const pattern = String(rule.pattern || '').trim();
+    if (type !== 'opener' && !pattern) {
+      throw new Error('La regla necesita un patrón de URL o dominio');
+    }
+    if (pattern && type !== 'domain') {
+      try {
+        compileUrlPattern(pattern);
+      } catch (error) {
+        throw new Error(`Patrón de URL inválido: ${pattern}`);
+      }
+    }
+    if (type === 'domain' && /[/*:?#]/.test(pattern.replace(/^\*\./, ''))) {
+      throw new Error(`Dominio inválido: ${pattern}`);
+    }
+
+    // En las reglas de origen el grupo es opcional y limita a qué grupos se aplica
+    const group = this.normalizeGroup(rule.group);
+    if (type !== 'opener' && !group) {
+      throw new Error('La regla necesita el nombre del grupo de destino');
+    }
+
+    const id = rule.id || (draft ? 'draft' : `rule-${this.nextRuleId++}`);
+    return {
+      id,
+      name: String(rule.name || '').trim() || this.defaultName(type, pattern, group),
+      type,
+      pattern,
+      group,
+      enabled: rule.enabled !== false,
+      created: rule.created || Date.now()
+    };
+  }
+
+  normalizeGroup(group) {
+    if (!group) return null;
+    const data = typeof group === 'string' ? { name: group } : group;
+    const name = String(data.name || '').trim();
+    if (!name) return null;
+    return {
+      name,
+      color: data.color || null,
+      icon: data.icon || null
+    };
+  }
+
+  defaultName(type, pattern, group) {
+    if (type === 'opener') {
+      return group ? `Abiertas desde "${group.name}" se quedan en él` : 'Pestañas abiertas desde un grupo se quedan en él';
+    }
+    return `${pattern} → ${group.name}`;
+  }
+
+  // =============================================================================
+  // EVALUACIÓN
+  // =============================================================================
+
+  // context: { url, opener: { groupId, groupName } | null }
+  // Devuelve { rule, group } (grupo por nombre) o { rule, groupId } (grupo del origen)
+  evaluate(context, rules = this.rules.filter(rule => rule.enabled)) {
+    for (const rule of rules) {
+      const target = this.match(rule, context);
+      if (target) return { rule: this.describe(rule), ...target };
+    }
+    return null;
+  }
+
+  match(rule, { url = '', opener = null } = {}) {
+    switch (rule.type) {
+      case 'url':
+        return matchesUrl(rule.pattern, url) ? { group: rule.group } : null;
+      case 'domain':
+        return matchesDomain(rule.pattern, url) ? { group: rule.group } : null;
+      case 'opener':
+        if (!opener?.groupId) return null;
+        if (rule.group && rule.group.name.toLowerCase() !== String(opener.groupName || '').toLowerCase()) return null;
+        if (rule.pattern && !matchesUrl(rule.pattern, url)) return null;
+        return { groupId: opener.groupId };
+      default:
+        return null;
+    }
+  }
+
+  // rule: regla en edición (objeto), id de una regla guardada o null para
+  // evaluar la lista completa tal y como se aplicaría
+  test(rule, context) {
+    if (rule === null || rule === undefined) {
+      return this.evaluate(context);
+    }
+    const candidate = typeof rule === 'string' ? this.getRule(rule) : this.normalize(rule, { draft: true });
+    return this.evaluate(context, [candidate]);
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  describe(rule) {
+    return { ...rule, group: rule.group ? { ...rule.group } : null };
+  }
+
+  clampIndex(index, length) {
+    const value = Number.isInteger(index) ? index : length;
+    return Math.max(0, Math.min(value, length));
+  }
+
+  save() {
+    this.store.scheduleWrite({ version: 1, rules: this.rules });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+}
+
+export { TabGroupRules };
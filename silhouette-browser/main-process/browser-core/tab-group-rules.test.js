@@ -0,0 +1,111 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { TabGroupRules } = await import('./tab-group-rules.js');
+
+// Reglas en memoria: nada se lee ni se escribe en disco
+async function createRules(saved = null) {
+  const rules = new TabGroupRules();
+  rules.store = { read: async () => saved, scheduleWrite: jest.fn(), flush: async () => {} };
+  await rules.initialize();
+  return rules;
+}
+
+describe('TabGroupRules', () => {
+  let rules;
+  beforeEach(async () => {
+    rules = await createRules({ rules: [] });
+  });
+
+  test('sin reglas guardadas empieza con la regla de origen por defecto', async () => {
+    const defaults = await createRules(null);
+    expect(defaults.getRules()).toEqual([expect.objectContaining({ id: 'rule-opener', type: 'opener' })]);
+  });
+
+  test('patrones de URL con subdominios, comodines, esquema y expresiones regulares', () => {
+    rules.addRule({ type: 'url', pattern: '*.atlassian.net', group: 'Trabajo' });
+    rules.addRule({ type: 'url', pattern: 'localhost:*', group: 'Local' });
+    rules.addRule({ type: 'url', pattern: 'http://intranet/*', group: 'Intranet' });
+    rules.addRule({ type: 'url', pattern: '/github\\.com\\/[^/]+\\/pulls/', group: 'Revisiones' });
+
+    const groupFor = (url) => rules.evaluate({ url })?.group?.name || null;
+    expect(groupFor('https://acme.atlassian.net/browse/X-1')).toBe('Trabajo');
+    expect(groupFor('https://atlassian.net/')).toBe('Trabajo');
+    expect(groupFor('https://atlassian.network/')).toBeNull();
+    expect(groupFor('http://localhost:3000/app')).toBe('Local');
+    expect(groupFor('http://intranet/wiki')).toBe('Intranet');
+    expect(groupFor('https://intranet/wiki')).toBeNull();
+    expect(groupFor('https://github.com/acme/pulls')).toBe('Revisiones');
+  });
+
+  test('reglas de dominio incluyen los subdominios', () => {
+    rules.addRule({ type: 'domain', pattern: '*.example.com', group: { name: 'Ejemplo', color: '#f00' } });
+    expect(rules.evaluate({ url: 'https://docs.example.com/a' })?.group).toEqual({ name: 'Ejemplo', color: '#f00', icon: null });
+    expect(rules.evaluate({ url: 'https://example.com' })?.group?.name).toBe('Ejemplo');
+    expect(rules.evaluate({ url: 'https://notexample.com' })).toBeNull();
+  });
+
+  test('gana la primera regla activa y el orden se puede cambiar', () => {
+    const general = rules.addRule({ type: 'domain', pattern: 'google.com', group: 'Google' });
+    const docs = rules.addRule({ type: 'url', pattern: 'docs.google.com/*', group: 'Documentos' });
+    const url = 'https://docs.google.com/document/d/1';
+
+    expect(rules.evaluate({ url }).group.name).toBe('Google');
+    rules.moveRule(docs.id, 0);
+    expect(rules.evaluate({ url }).group.name).toBe('Documentos');
+    rules.updateRule(docs.id, { enabled: false });
+    expect(rules.evaluate({ url }).rule.id).toBe(general.id);
+    expect(rules.store.scheduleWrite).toHaveBeenCalled();
+  });
+
+  test('reglas de origen: mantienen el grupo de la pestaña que abrió la nueva', () => {
+    rules.addRule({ type: 'opener', group: 'Investigación', pattern: '*.wikipedia.org' });
+    const opener = { groupId: 'group-7', groupName: 'investigación' };
+
+    expect(rules.evaluate({ url: 'https://es.wikipedia.org/wiki/X', opener })).toMatchObject({ groupId: 'group-7' });
+    expect(rules.evaluate({ url: 'https://example.com', opener })).toBeNull();
+    expect(rules.evaluate({ url: 'https://es.wikipedia.org/wiki/X', opener: { groupId: 'group-8', groupName: 'Otro' } })).toBeNull();
+    expect(rules.evaluate({ url: 'https://es.wikipedia.org/wiki/X' })).toBeNull();
+  });
+
+  test('valida tipo, patrón, dominio y grupo de destino', () => {
+    expect(() => rules.addRule({ type: 'tag', pattern: 'x', group: 'G' })).toThrow('Tipo de regla desconocido');
+    expect(() => rules.addRule({ type: 'url', group: 'G' })).toThrow('necesita un patrón');
+    expect(() => rules.addRule({ type: 'url', pattern: '/(sin cerrar/', group: 'G' })).toThrow('Patrón de URL inválido');
+    expect(() => rules.addRule({ type: 'domain', pattern: 'example.com/path', group: 'G' })).toThrow('Dominio inválido');
+    expect(() => rules.addRule({ type: 'url', pattern: 'example.com' })).toThrow('nombre del grupo');
+    expect(rules.getRules()).toHaveLength(0);
+  });
+
+  test('test() prueba una regla en edición sin guardarla', () => {
+    const result = rules.test({ type: 'url', pattern: '*.slack.com', group: 'Chat' }, { url: 'https://acme.slack.com/messages' });
+    expect(result).toMatchObject({ rule: { id: 'draft' }, group: { name: 'Chat' } });
+    expect(rules.getRules()).toHaveLength(0);
+  });
+
+  test('setRules conserva los ids conocidos, renumera los demás y valida antes de aplicar', () => {
+    const kept = rules.addRule({ type: 'domain', pattern: 'a.com', group: 'A' });
+    const next = rules.setRules([
+      { id: kept.id, type: 'domain', pattern: 'a.com', group: 'A' },
+      { id: kept.id, type: 'domain', pattern: 'b.com', group: 'B' },
+      { id: 'rule-999', type: 'domain', pattern: 'c.com', group: 'C' }
+    ]);
+    expect(next[0].id).toBe(kept.id);
+    expect(new Set(next.map(rule => rule.id)).size).toBe(3);
+    expect(next.map(rule => rule.id)).not.toContain('rule-999');
+
+    expect(() => rules.setRules([{ type: 'domain', pattern: 'd.com', group: 'D' }, { type: 'url' }])).toThrow();
+    expect(rules.getRules()).toHaveLength(3);
+  });
+
+  test('initialize continúa la numeración y descarta reglas inválidas', async () => {
+    const loaded = await createRules({
+      rules: [
+        { id: 'rule-4', type: 'domain', pattern: 'a.com', group: 'A' },
+        { id: 'rule-5', type: 'url', pattern: '', group: 'B' }
+      ]
+    });
+    expect(loaded.getRules().map(rule => rule.id)).toEqual(['rule-4']);
+    expect(loaded.addRule({ type: 'domain', pattern: 'c.com', group: 'C' }).id).toBe('rule-5');
+  });
+});
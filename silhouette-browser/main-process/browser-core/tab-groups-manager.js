@@ -5,6 +5,17 @@
 // =============================================================================
 
 import { BrowserView } from 'electron';
+import { randomUUID } from 'crypto';
+import { extractArticle } from '../reader-mode/article-extractor.js';
+import { TabClusterer } from '../tab-clustering/tab-clusterer.js';
+import { TabGroupRules } from './tab-group-rules.js';
+import { GroupSnapshots, diffWorkspaces } from './group-snapshots.js';
+import { GroupFileSigner, sanitizeSnapshot, FILE_EXTENSION } from './group-file.js';
+import { GroupTaskScheduler } from './group-task-scheduler.js';
+import { MacroRecorder } from '../macros/macro-recorder.js';
+import { playMacro, normalizeSteps, estimateMacroDuration } from '../macros/macro-player.js';
+
+const MACRO_SCHEDULE_INTERVAL_MS = 60000;
 
 class TabGroupsManager {
   constructor(tabManager) {
@@ -13,6 +24,16 @@ class TabGroupsManager {
     this.activeGroupId = null;
     this.nextGroupId = 1;
     this.aiGrouping = true; // IA automática habilitada
+    this.autoGroupingRunning = false;
+    this.clusterer = new TabClusterer(); // Embeddings + clustering semántico
+    this.rules = new TabGroupRules(); // Reglas deterministas por URL, dominio u origen
+    this.snapshots = new GroupSnapshots(); // Versiones de cada espacio de trabajo
+    this.groupFiles = new GroupFileSigner(); // Archivos .silhouette-group firmados
+    this.taskScheduler = new GroupTaskScheduler(); // Tareas de agente con concurrencia, reintentos y cancelación
+    this.taskScheduler.on('progress', (progress) => this.notifyTaskProgress(progress));
+    this.macroRecorder = new MacroRecorder(); // Macros grabadas en pestañas del grupo
+    this.macroRecorder.on('step', (data) => this.notifyMacroStep(data));
+    this.macroTimer = null;
     this.colorSchemes = [
       '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
       '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'
@@ -22,9 +43,23 @@ class TabGroupsManager {
   async initialize() {
     console.log('🗂️ Inicializando Gestor de Grupos de Pestañas...');
     
+    // Configuración del backend de embeddings
+    await this.clusterer.initialize();
+    
+    // Reglas de asignación definidas por el usuario
+    await this.rules.initialize();
+    
+    // Historial de instantáneas y clave de firma de archivos compartidos
+    await this.snapshots.initialize();
+    await this.groupFiles.initialize();
+    
     // Configurar eventos para agrupación automática
     this.setupAutoGroupingEvents();
     
+    // Macros programadas de los grupos con automatización activa
+    this.macroTimer = setInterval(() => this.runScheduledMacros(), MACRO_SCHEDULE_INTERVAL_MS);
+    this.macroTimer.unref?.();
+    
     console.log('✅ Gestor de Grupos de Pestañas inicializado');
   }
 
@@ -44,6 +79,8 @@ class TabGroupsManager {
         purpose: options.purpose || 'manual', // 'manual', 'ai', 'agent', 'task'
         color: options.color || this.colorSchemes[Math.floor(Math.random() * this.colorSchemes.length)],
         icon: options.icon || '🗂️',
+        containerId: options.containerId || null, // contenedor fijado: las pestañas del grupo lo heredan
+        workspaceId: options.workspaceId || null, // identidad estable entre sesiones, instantáneas y archivos
         automation: {
           enabled: options.automation?.enabled || false,
           tasks: options.automation?.tasks || [],
@@ -52,13 +89,16 @@ class TabGroupsManager {
         coordination: {
           agentMode: options.coordination?.agentMode || false,
           maxParallelTasks: options.coordination?.maxParallelTasks || 3,
-          waitForCompletion: options.coordination?.waitForCompletion || true,
-          failureStrategy: options.coordination?.failureStrategy || 'stop' // 'stop', 'continue', 'retry'
+          waitForCompletion: options.coordination?.waitForCompletion ?? true,
+          failureStrategy: options.coordination?.failureStrategy || 'stop', // 'stop', 'continue', 'retry'
+          maxRetries: options.coordination?.maxRetries ?? 3,
+          retryDelayMs: options.coordination?.retryDelayMs ?? 1000, // se duplica en cada reintento
+          taskTimeoutMs: options.coordination?.taskTimeoutMs ?? 30000 // por pestaña
         }
       },
       type: options.type || 'manual', // 'manual', 'ai', 'agent', 'task'
       created: Date.now(),
-      createdBy: options.createdBy || 'user', // 'user', 'ai', 'agent'
+      createdBy: options.createdBy || 'user', // 'user', 'ai', 'agent', 'rule'
       active: true
     };
 
@@ -70,12 +110,21 @@ class TabGroupsManager {
     return groupId;
   }
 
-  async createAiGroup(categorizedTabs) {
+  async createAiGroup(categorizedTabs, cluster = null) {
     const groupId = `ai-group-${this.nextGroupId++}`;
     
+    // Sin cluster previo (grupo pedido desde el renderer) se nombra igual: por
+    // los términos centrales del contenido de sus pestañas
+    if (!cluster) {
+      const documents = categorizedTabs.every(tab => 'text' in tab)
+        ? categorizedTabs
+        : await this.analyzeTabsContent(categorizedTabs.map(tab => this.tabManager.tabs.get(tab.id)).filter(Boolean));
+      cluster = { ...this.clusterer.summarize(documents), backend: 'local' };
+    }
+    
     // Determinar nombre automático basado en contenido
-    const groupName = this.generateGroupName(categorizedTabs);
-    const groupDescription = this.generateGroupDescription(categorizedTabs);
+    const groupName = this.generateGroupName(cluster);
+    const groupDescription = this.generateGroupDescription(categorizedTabs, cluster);
     
     const group = {
       id: groupId,
@@ -86,9 +135,9 @@ class TabGroupsManager {
         purpose: 'ai',
         color: this.colorSchemes[Math.floor(Math.random() * this.colorSchemes.length)],
         icon: '🤖',
-        confidence: categorizedTabs[0]?.confidence || 0.8,
-        keywords: this.extractKeywords(categorizedTabs),
-        category: this.categorizeContent(categorizedTabs)
+        confidence: cluster.cohesion,
+        keywords: cluster.keywords,
+        clustering: { backend: cluster.backend, cohesion: cluster.cohesion }
       },
       type: 'ai',
       created: Date.now(),
@@ -137,8 +186,11 @@ class TabGroupsManager {
         coordination: {
           agentMode: true,
           maxParallelTasks: taskData.maxParallelTasks || 5,
-          waitForCompletion: true,
-          failureStrategy: 'retry'
+          waitForCompletion: taskData.waitForCompletion ?? true,
+          failureStrategy: taskData.failureStrategy || 'retry',
+          maxRetries: taskData.maxRetries ?? 3,
+          retryDelayMs: taskData.retryDelayMs ?? 1000,
+          taskTimeoutMs: taskData.taskTimeoutMs ?? 30000
         }
       },
       type: 'agent',
@@ -174,12 +226,24 @@ class TabGroupsManager {
       throw new Error(`Pestaña ${tabId} no encontrada`);
     }
 
+    // Una pestaña solo pertenece a un grupo (p. ej. colocada por una regla
+    // antes de que la sesión restaurada la devuelva a su grupo)
+    if (tab.groupId && tab.groupId !== groupId) {
+      await this.removeTabFromGroup(tabId, notify);
+    }
+
+    // Reabrir la pestaña en el contenedor fijado por el grupo si usa otro
+    if (group.metadata.containerId && (tab.containerId || null) !== group.metadata.containerId) {
+      await this.tabManager.setTabContainer(tabId, group.metadata.containerId);
+    }
+
     // Agregar pestaña al grupo
     group.tabs.add(tabId);
     
-    // Actualizar metadata de la pestaña
+    // Actualizar metadata de la pestaña (applyRules marca después si fue una regla)
     tab.groupId = groupId;
     tab.groupColor = group.metadata.color;
+    delete tab.groupRuleId;
     
     if (notify) {
       this.notifyTabAddedToGroup(groupId, tabId);
@@ -194,7 +258,8 @@ class TabGroupsManager {
       return; // No está en un grupo
     }
 
-    const group = this.groups.get(tab.groupId);
+    const groupId = tab.groupId;
+    const group = this.groups.get(groupId);
     if (!group) {
       return; // Grupo no existe
     }
@@ -205,17 +270,18 @@ class TabGroupsManager {
     // Limpiar metadata de la pestaña
     delete tab.groupId;
     delete tab.groupColor;
+    delete tab.groupRuleId;
     
     if (group.tabs.size === 0 && group.type !== 'agent') {
       // Eliminar grupo vacío (excepto grupos de agentes)
-      await this.deleteGroup(tab.groupId, false);
+      await this.deleteGroup(groupId, false);
     }
     
     if (notify) {
-      this.notifyTabRemovedFromGroup(tab.groupId, tabId);
+      this.notifyTabRemovedFromGroup(groupId, tabId);
     }
     
-    console.log(`📄 Pestaña ${tabId} removida del grupo ${tab.groupId}`);
+    console.log(`📄 Pestaña ${tabId} removida del grupo ${groupId}`);
   }
 
   async moveTabToGroup(tabId, fromGroupId, toGroupId, notify = true) {
@@ -232,6 +298,25 @@ class TabGroupsManager {
     console.log(`📄 Pestaña ${tabId} movida del grupo ${fromGroupId} al ${toGroupId}`);
   }
 
+  async setGroupContainer(groupId, containerId) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Grupo ${groupId} no encontrado`);
+    }
+
+    group.metadata.containerId = containerId || null;
+
+    // Las pestañas que ya estaban en el grupo pasan también al contenedor
+    if (group.metadata.containerId) {
+      for (const tabId of group.tabs) {
+        await this.tabManager.setTabContainer(tabId, group.metadata.containerId);
+      }
+    }
+
+    this.notifyGroupContainerChanged(groupId, group.metadata.containerId);
+    console.log(`🧩 Grupo ${groupId} fijado al contenedor ${group.metadata.containerId || 'por defecto'}`);
+  }
+
   // =============================================================================
   // GESTIÓN DE GRUPOS
   // =============================================================================
@@ -298,7 +383,11 @@ class TabGroupsManager {
   // =============================================================================
 
   async performAutoGrouping() {
-    if (!this.aiGrouping) return;
+    if (!this.aiGrouping) return { groups: [], assigned: [], ungrouped: [] };
+    if (this.autoGroupingRunning) {
+      console.log('ℹ️ Agrupación automática ya en curso');
+      return { groups: [], assigned: [], ungrouped: [] };
+    }
     
     console.log('🤖 Ejecutando agrupación automática de pestañas...');
     
@@ -306,252 +395,533 @@ class TabGroupsManager {
     const ungroupedTabs = Array.from(this.tabManager.tabs.values())
       .filter(tab => !tab.groupId);
     
-    if (ungroupedTabs.length < 2) {
+    // Grupos automáticos existentes: pueden recibir pestañas nuevas del mismo tema
+    const aiGroups = Array.from(this.groups.values()).filter(group => group.type === 'ai' && group.tabs.size > 0);
+    
+    if (ungroupedTabs.length === 0 || (ungroupedTabs.length < 2 && aiGroups.length === 0)) {
       console.log('ℹ️ Insuficientes pestañas para agrupar automáticamente');
-      return;
+      return { groups: [], assigned: [], ungrouped: ungroupedTabs.map(tab => tab.id) };
     }
 
+    this.autoGroupingRunning = true;
     try {
       // Analizar contenido de las pestañas
-      const analysisResults = await this.analyzeTabsContent(ungroupedTabs);
+      const documents = await this.analyzeTabsContent(ungroupedTabs);
+      const groups = [];
+      for (const group of aiGroups) {
+        const groupTabs = Array.from(group.tabs).map(tabId => this.tabManager.tabs.get(tabId)).filter(Boolean);
+        groups.push({ id: group.id, documents: await this.analyzeTabsContent(groupTabs) });
+      }
       
-      // Agrupar por similitud
-      const groups = this.groupTabsBySimilarity(analysisResults);
+      // Embeddings + clustering aglomerativo
+      const result = await this.clusterer.cluster(documents, { groups });
+      
+      for (const assignment of result.assignments) {
+        await this.addTabToGroup(assignment.groupId, assignment.id);
+      }
       
       // Crear grupos automáticamente
-      for (const groupedTabs of groups) {
-        if (groupedTabs.length >= 2) {
-          await this.createAiGroup(groupedTabs);
-        }
+      const created = [];
+      for (const cluster of result.clusters) {
+        const clusterTabs = documents.filter(document => cluster.members.includes(document.id));
+        created.push(await this.createAiGroup(clusterTabs, { ...cluster, backend: result.backend }));
       }
       
-      console.log(`✅ Agrupación automática completada: ${groups.length} grupos creados`);
+      console.log(`✅ Agrupación automática completada (${result.backend}): ${created.length} grupos creados, ${result.assignments.length} pestañas añadidas a grupos existentes`);
+      return {
+        groups: created,
+        assigned: result.assignments,
+        ungrouped: result.noise,
+        backend: result.backend
+      };
       
     } catch (error) {
       console.error('❌ Error en agrupación automática:', error);
+      return { groups: [], assigned: [], ungrouped: ungroupedTabs.map(tab => tab.id), error: error.message };
+    } finally {
+      this.autoGroupingRunning = false;
     }
   }
 
   async analyzeTabsContent(tabs) {
-    const analysisResults = [];
+    const documents = [];
     
     for (const tab of tabs) {
       try {
         // Extraer contenido de la pestaña
         const content = await this.extractTabContent(tab.id);
-        const analysis = await this.aiAnalysis(content, tab);
         
-        analysisResults.push({
+        documents.push({
           id: tab.id,
-          title: tab.title,
-          url: tab.url,
-          content: content,
-          analysis: analysis,
-          confidence: analysis.confidence
+          title: content.title || tab.title,
+          url: content.url || tab.url,
+          headings: content.headings || '',
+          text: content.bodyText || '',
+          content
         });
       } catch (error) {
         console.warn(`⚠️ Error analizando pestaña ${tab.id}:`, error);
       }
     }
     
-    return analysisResults;
+    return documents;
   }
 
   async extractTabContent(tabId) {
     const tab = this.tabManager.tabs.get(tabId);
-    if (!tab || !tab.browserView?.webContents) {
+    if (!tab) {
       return '';
     }
+    // Pestaña suspendida: basta con el título y la URL, no se despierta
+    if (!tab.browserView?.webContents) {
+      return { title: tab.title, url: tab.url, headings: '', bodyText: '', links: '' };
+    }
 
     try {
-      // Extraer texto visible de la página
-      const content = await tab.browserView.webContents.executeJavaScript(`
-        (() => {
-          const extractText = (element) => {
-            return element.innerText || element.textContent || '';
-          };
-          
-          const title = document.title || '';
-          const headings = Array.from(document.querySelectorAll('h1, h2, h3')).map(h => extractText(h)).join(' ');
-          const bodyText = extractText(document.body);
-          const links = Array.from(document.querySelectorAll('a')).map(a => a.innerText).join(' ');
-          
-          return {
-            title,
-            headings,
-            bodyText: bodyText.substring(0, 1000), // Limitar tamaño
-            links: links.substring(0, 500)
-          };
-        })()
-      `);
+      // Mismo extractor que la vista de lectura: solo el cuerpo del artículo,
+      // sin menús, barras laterales ni pies de página
+      const article = await extractArticle(tab.browserView.webContents);
       
-      return content;
+      return {
+        title: article.title || tab.title,
+        url: article.url,
+        headings: article.headings.join(' '),
+        bodyText: article.textContent.substring(0, 1000), // Limitar tamaño
+        links: article.links,
+        excerpt: article.excerpt,
+        readingTime: article.readingTime
+      };
     } catch (error) {
       console.warn(`⚠️ Error extrayendo contenido de pestaña ${tabId}:`, error);
       return { title: tab.title, url: tab.url, headings: '', bodyText: '', links: '' };
     }
   }
 
-  async aiAnalysis(content, tab) {
-    // Análisis básico usando palabras clave
-    // En una implementación real, aquí se usaría una API de IA
-    
-    const keywords = this.extractKeywordsFromContent(content);
-    const category = this.categorizeByKeywords(keywords);
-    
-    return {
-      keywords,
-      category,
-      summary: this.generateSummary(content),
-      confidence: 0.8,
-      reasons: this.generateReasons(content, category)
-    };
+  generateGroupName(cluster) {
+    return cluster?.name || 'Pestañas relacionadas';
   }
 
-  extractKeywordsFromContent(content) {
-    const allText = `${content.title} ${content.headings} ${content.bodyText} ${content.links}`.toLowerCase();
-    
-    // Palabras clave por categoría
-    const keywordPatterns = {
-      'desarrollo': ['código', 'programming', 'javascript', 'html', 'css', 'github', 'developer', 'app', 'api'],
-      'noticias': ['noticias', 'news', 'breaking', 'actualidad', 'cnn', 'bbc', 'reuters'],
-      'compras': ['tienda', 'shop', 'buy', 'producto', 'price', 'amazon', 'ecommerce'],
-      'social': ['facebook', 'twitter', 'instagram', 'social', 'post', 'comment'],
-      'video': ['youtube', 'video', 'watch', 'stream', 'netflix', 'media'],
-      'documentación': ['docs', 'documentation', 'guide', 'tutorial', 'how to', 'api'],
-      'productividad': ['todo', 'task', 'calendar', 'schedule', 'productivity', 'organize']
-    };
-    
-    const foundKeywords = [];
-    for (const [category, keywords] of Object.entries(keywordPatterns)) {
-      const matched = keywords.filter(keyword => allText.includes(keyword));
-      if (matched.length > 0) {
-        foundKeywords.push(...matched);
+  generateGroupDescription(categorizedTabs, cluster) {
+    const keywords = cluster?.keywords?.length ? ` (${cluster.keywords.join(', ')})` : '';
+    return `Grupo automático de ${categorizedTabs.length} pestañas sobre "${this.generateGroupName(cluster)}"${keywords}`;
+  }
+
+  // =============================================================================
+  // CONFIGURACIÓN DE LA AGRUPACIÓN SEMÁNTICA
+  // =============================================================================
+
+  getClusteringSettings() {
+    return this.clusterer.getSettings();
+  }
+
+  setClusteringSettings(changes) {
+    return this.clusterer.configure(changes);
+  }
+
+  // =============================================================================
+  // REGLAS DE AGRUPACIÓN
+  // =============================================================================
+
+  // Asigna la pestaña según la primera regla que coincide. Las asignaciones
+  // manuales y de agentes mandan: solo se recolocan pestañas sueltas, de
+  // grupos automáticos o colocadas antes por otra regla
+  async applyRules(tabId, { url, openerTabId } = {}) {
+    const tab = this.tabManager.tabs.get(tabId);
+    if (!tab) return null;
+    if (openerTabId) tab.openerTabId = openerTabId;
+
+    const currentGroup = tab.groupId ? this.groups.get(tab.groupId) : null;
+    if (currentGroup && !tab.groupRuleId && currentGroup.type !== 'ai') return null;
+
+    const match = this.rules.evaluate(this.buildRuleContext(url ?? tab.url, tab.openerTabId));
+    if (!match) return null;
+
+    const groupId = match.groupId || await this.findOrCreateRuleGroup(match.group, match.rule);
+    if (tab.groupId !== groupId) {
+      if (tab.groupId) {
+        await this.moveTabToGroup(tabId, tab.groupId, groupId);
+      } else {
+        await this.addTabToGroup(groupId, tabId);
       }
+      console.log(`📐 Regla "${match.rule.name}": pestaña ${tabId} → ${this.groups.get(groupId)?.name}`);
     }
-    
-    return [...new Set(foundKeywords)]; // Remove duplicates
+    tab.groupRuleId = match.rule.id;
+    return { ruleId: match.rule.id, groupId };
   }
 
-  categorizeByKeywords(keywords) {
-    if (keywords.some(k => ['código', 'programming', 'javascript', 'html', 'css', 'github'].includes(k))) {
-      return 'desarrollo';
+  // Reevaluar todas las pestañas abiertas (tras editar las reglas)
+  async applyRulesToAllTabs() {
+    const applied = [];
+    for (const tabId of Array.from(this.tabManager.tabs.keys())) {
+      try {
+        const result = await this.applyRules(tabId);
+        if (result) applied.push({ tabId, ...result });
+      } catch (error) {
+        console.warn(`⚠️ Error aplicando reglas a la pestaña ${tabId}:`, error.message);
+      }
     }
-    if (keywords.some(k => ['noticias', 'news', 'breaking', 'cnn', 'bbc', 'reuters'].includes(k))) {
-      return 'noticias';
+    return applied;
+  }
+
+  buildRuleContext(url, openerTabId) {
+    const opener = openerTabId ? this.tabManager.tabs.get(openerTabId) : null;
+    const openerGroup = opener?.groupId ? this.groups.get(opener.groupId) : null;
+    return {
+      url: url || '',
+      opener: openerGroup ? { groupId: openerGroup.id, groupName: openerGroup.name } : null
+    };
+  }
+
+  async findOrCreateRuleGroup(target, rule) {
+    const name = target.name.toLowerCase();
+    const existing = Array.from(this.groups.values())
+      .find(group => group.type !== 'agent' && group.name.toLowerCase() === name);
+    if (existing) return existing.id;
+
+    return await this.createGroup(target.name, {
+      description: `Grupo de la regla "${rule.name}"`,
+      purpose: 'rule',
+      color: target.color || undefined,
+      icon: target.icon || '📐',
+      createdBy: 'rule'
+    });
+  }
+
+  // rule: regla en edición, id de regla guardada o null (lista completa)
+  testRule(rule, url, { openerTabId } = {}) {
+    const match = this.rules.test(rule, this.buildRuleContext(url, openerTabId));
+    if (!match) {
+      return { matched: false, url };
     }
-    if (keywords.some(k => ['tienda', 'shop', 'buy', 'producto', 'amazon', 'ecommerce'].includes(k))) {
-      return 'compras';
+
+    const group = match.groupId
+      ? this.groups.get(match.groupId)
+      : Array.from(this.groups.values()).find(candidate =>
+        candidate.type !== 'agent' && candidate.name.toLowerCase() === match.group.name.toLowerCase());
+    return {
+      matched: true,
+      url,
+      rule: match.rule,
+      groupName: group?.name || match.group.name,
+      groupId: group?.id || null,
+      // false: el grupo se creará la primera vez que se aplique la regla
+      groupExists: !!group
+    };
+  }
+
+  getRules() {
+    return this.rules.getRules();
+  }
+
+  addRule(rule, index) {
+    return this.rules.addRule(rule, index);
+  }
+
+  updateRule(ruleId, changes) {
+    return this.rules.updateRule(ruleId, changes);
+  }
+
+  removeRule(ruleId) {
+    return this.rules.removeRule(ruleId);
+  }
+
+  moveRule(ruleId, index) {
+    return this.rules.moveRule(ruleId, index);
+  }
+
+  setRules(rules) {
+    return this.rules.setRules(rules);
+  }
+
+  // =============================================================================
+  // INSTANTÁNEAS Y ARCHIVOS COMPARTIDOS
+  // =============================================================================
+
+  // Estado portable del grupo: sin ids locales de pestañas ni de contenedor
+  captureGroup(groupId, { assignWorkspace = true } = {}) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Grupo ${groupId} no encontrado`);
     }
-    if (keywords.some(k => ['facebook', 'twitter', 'instagram', 'social'].includes(k))) {
-      return 'social';
+    if (!group.metadata.workspaceId && assignWorkspace) {
+      group.metadata.workspaceId = randomUUID();
     }
-    if (keywords.some(k => ['youtube', 'video', 'watch', 'netflix'].includes(k))) {
-      return 'video';
+
+    const { containerId, workspaceId, ...metadata } = group.metadata;
+    const container = containerId ? this.tabManager.browserCore?.containers.describe(containerId) : null;
+    return {
+      workspaceId,
+      group: {
+        name: group.name,
+        type: group.type,
+        createdBy: group.createdBy,
+        metadata: {
+          ...JSON.parse(JSON.stringify(metadata)),
+          container: container ? { name: container.name, color: container.color, icon: container.icon } : null
+        }
+      },
+      tabs: Array.from(group.tabs)
+        .map(tabId => this.tabManager.tabs.get(tabId))
+        .filter(Boolean)
+        .map(tab => ({ url: tab.url || 'about:blank', title: tab.title || '', pinned: !!tab.pinned }))
+    };
+  }
+
+  createSnapshot(groupId, options = {}) {
+    const state = this.captureGroup(groupId);
+    const result = this.snapshots.add(state.workspaceId, state, options);
+    if (!result.unchanged) {
+      console.log(`📸 Instantánea "${result.snapshot.name}" del grupo ${groupId}`);
     }
-    if (keywords.some(k => ['docs', 'documentation', 'guide', 'tutorial', 'how to'].includes(k))) {
-      return 'documentación';
+    return result;
+  }
+
+  listSnapshots(groupId) {
+    const workspaceId = this.groups.get(groupId)?.metadata.workspaceId;
+    return workspaceId ? this.snapshots.list(workspaceId) : [];
+  }
+
+  deleteSnapshot(snapshotId) {
+    return this.snapshots.remove(snapshotId);
+  }
+
+  // Sin toSnapshotId se compara con el estado actual del grupo del espacio de trabajo
+  diffSnapshots(fromSnapshotId, toSnapshotId = null) {
+    const from = this.snapshots.get(fromSnapshotId);
+    let to;
+    if (toSnapshotId) {
+      to = this.snapshots.get(toSnapshotId);
+    } else {
+      const group = this.findGroupByWorkspace(from.workspaceId);
+      if (!group) {
+        throw new Error('El grupo de esta instantánea no está abierto');
+      }
+      to = this.captureGroup(group.id);
     }
-    if (keywords.some(k => ['todo', 'task', 'calendar', 'schedule'].includes(k))) {
-      return 'productividad';
+    return diffWorkspaces(from, to);
+  }
+
+  async restoreSnapshot(snapshotId, options = {}) {
+    return await this.applyWorkspace(this.snapshots.get(snapshotId), options);
+  }
+
+  async exportGroupFile(groupId, filePath, { snapshotId = null } = {}) {
+    // Lo que se comparte queda también como versión en el historial propio
+    const snapshot = snapshotId
+      ? this.snapshots.get(snapshotId)
+      : this.snapshots.get(this.createSnapshot(groupId).snapshot.id);
+
+    const result = await this.groupFiles.writeFile(filePath, {
+      snapshot,
+      exportedAt: Date.now(),
+      app: 'Silhouette Browser'
+    });
+    console.log(`📤 Grupo "${snapshot.group.name}" exportado a ${filePath}`);
+    return { ...result, snapshot: this.snapshots.summarize(snapshot) };
+  }
+
+  // conflict: 'ask' (devuelve el diff sin tocar nada), 'replace', 'merge' o 'copy'
+  async importGroupFile(filePath, { conflict = 'ask' } = {}) {
+    const { payload, signer } = await this.groupFiles.readFile(filePath);
+    // Las tareas de automatización de otra persona llegan desactivadas, una a una
+    const { snapshot, skipped } = sanitizeSnapshot(payload?.snapshot, { foreign: !signer.own });
+
+    const result = await this.applyWorkspace(snapshot, { conflict });
+    if (!result.conflict) {
+      if (result.workspaceId === snapshot.workspaceId) this.snapshots.adopt(snapshot);
+      console.log(`📥 Grupo "${snapshot.group.name}" importado (${result.action}) desde ${filePath}`);
     }
-    
-    return 'general';
+    return {
+      ...result,
+      skipped,
+      signer,
+      snapshot: this.snapshots.summarize(snapshot),
+      exportedAt: payload.exportedAt || null
+    };
   }
 
-  groupTabsBySimilarity(analysisResults) {
-    // Agrupar pestañas por similitud de categoría y palabras clave
-    const groups = [];
-    const processed = new Set();
-    
-    for (let i = 0; i < analysisResults.length; i++) {
-      if (processed.has(analysisResults[i].id)) continue;
-      
-      const currentGroup = [analysisResults[i]];
-      processed.add(analysisResults[i].id);
-      
-      // Buscar pestañas similares
-      for (let j = i + 1; j < analysisResults.length; j++) {
-        if (processed.has(analysisResults[j].id)) continue;
-        
-        const similarity = this.calculateSimilarity(analysisResults[i], analysisResults[j]);
-        if (similarity > 0.5) { // Umbral de similitud
-          currentGroup.push(analysisResults[j]);
-          processed.add(analysisResults[j].id);
-        }
+  // El usuario confirma que conoce al firmante: sus archivos dejan de avisar como clave nueva
+  trustGroupFileSigner(keyId) {
+    this.groupFiles.trustSigner(keyId);
+    return true;
+  }
+
+  async applyWorkspace(state, { conflict = 'ask' } = {}) {
+    const existing = this.findWorkspaceConflict(state);
+    if (!existing) {
+      return { action: 'created', ...(await this.createGroupFromState(state, state.workspaceId)) };
+    }
+
+    switch (conflict) {
+      case 'ask':
+        return {
+          conflict: true,
+          groupId: existing.id,
+          groupName: existing.name,
+          diff: diffWorkspaces(this.captureGroup(existing.id, { assignWorkspace: false }), state)
+        };
+      case 'replace':
+        return { action: 'replaced', ...(await this.replaceGroupWithState(existing, state)) };
+      case 'merge':
+        return { action: 'merged', ...(await this.mergeStateIntoGroup(existing, state)) };
+      case 'copy': {
+        const copy = { ...state, group: { ...state.group, name: this.uniqueGroupName(state.group.name) } };
+        return { action: 'copied', ...(await this.createGroupFromState(copy, randomUUID())) };
       }
-      
-      groups.push(currentGroup);
+      default:
+        throw new Error(`Estrategia de conflicto desconocida: ${conflict}`);
     }
-    
-    return groups;
   }
 
-  calculateSimilarity(tab1, tab2) {
-    // Calcular similitud basada en categoría y palabras clave
-    let similarity = 0;
-    
-    // Misma categoría
-    if (tab1.analysis.category === tab2.analysis.category) {
-      similarity += 0.5;
-    }
-    
-    // Palabras clave comunes
-    const commonKeywords = tab1.analysis.keywords.filter(k => 
-      tab2.analysis.keywords.includes(k)
-    );
-    const keywordSimilarity = commonKeywords.length / Math.max(
-      tab1.analysis.keywords.length, 
-      tab2.analysis.keywords.length
-    );
-    similarity += keywordSimilarity * 0.5;
-    
-    return similarity;
+  // Mismo espacio de trabajo o, si no, un grupo con el mismo nombre
+  findWorkspaceConflict(state) {
+    const name = state.group.name.toLowerCase();
+    return this.findGroupByWorkspace(state.workspaceId) ||
+      Array.from(this.groups.values()).find(group => group.type !== 'agent' && group.name.toLowerCase() === name) ||
+      null;
   }
 
-  generateGroupName(categorizedTabs) {
-    const category = categorizedTabs[0]?.analysis?.category || 'general';
-    const categoryNames = {
-      'desarrollo': 'Desarrollo',
-      'noticias': 'Noticias',
-      'compras': 'Compras',
-      'social': 'Social',
-      'video': 'Video',
-      'documentación': 'Documentación',
-      'productividad': 'Productividad',
-      'general': 'General'
-    };
-    
-    return `${categoryNames[category] || 'General'} ${Date.now() % 1000}`;
+  findGroupByWorkspace(workspaceId) {
+    if (!workspaceId) return null;
+    return Array.from(this.groups.values()).find(group => group.metadata.workspaceId === workspaceId) || null;
   }
 
-  generateGroupDescription(categorizedTabs) {
-    const category = categorizedTabs[0]?.analysis?.category || 'general';
-    const keywords = [...new Set(categorizedTabs.flatMap(t => t.analysis.keywords))];
-    
-    return `Grupo automático de ${categorizedTabs.length} pestañas de categoría "${category}" con palabras clave: ${keywords.join(', ')}`;
+  async createGroupFromState(state, workspaceId) {
+    const { container, ...metadata } = JSON.parse(JSON.stringify(state.group.metadata || {}));
+    const groupId = await this.createGroup(state.group.name, {
+      ...metadata,
+      type: state.group.type,
+      createdBy: state.group.createdBy,
+      containerId: this.resolveSnapshotContainer(container),
+      workspaceId
+    });
+    const opened = await this.openStateTabs(groupId, state.tabs);
+    return { groupId, workspaceId, opened: opened.length };
   }
 
-  extractKeywords(categorizedTabs) {
-    return [...new Set(categorizedTabs.flatMap(tab => tab.analysis.keywords))];
+  // El grupo queda exactamente como la instantánea: se reutilizan las pestañas
+  // con la misma URL y las que sobran salen del grupo, pero no se cierran
+  async replaceGroupWithState(group, state) {
+    const { container, ...metadata } = JSON.parse(JSON.stringify(state.group.metadata || {}));
+    group.name = state.group.name;
+    Object.assign(group.metadata, metadata, { workspaceId: state.workspaceId });
+
+    const containerId = this.resolveSnapshotContainer(container);
+    if ((group.metadata.containerId || null) !== containerId) {
+      await this.setGroupContainer(group.id, containerId);
+    }
+
+    const available = new Map();
+    for (const tabId of group.tabs) {
+      const url = this.tabManager.tabs.get(tabId)?.url;
+      if (!available.has(url)) available.set(url, []);
+      available.get(url).push(tabId);
+    }
+
+    const order = [];
+    let opened = 0;
+    for (const tab of state.tabs) {
+      const reused = available.get(tab.url)?.shift();
+      if (reused) {
+        order.push(reused);
+      } else {
+        order.push(...await this.openStateTabs(group.id, [tab]));
+        opened++;
+      }
+    }
+
+    const leftovers = Array.from(available.values()).flat();
+    for (const tabId of leftovers) {
+      await this.removeTabFromGroup(tabId);
+    }
+    if (this.groups.has(group.id)) {
+      group.tabs = new Set(order.filter(tabId => group.tabs.has(tabId)));
+    }
+
+    return { groupId: group.id, workspaceId: state.workspaceId, opened, detached: leftovers.length };
   }
 
-  categorizeContent(categorizedTabs) {
-    return categorizedTabs[0]?.analysis?.category || 'general';
+  // Se añaden las pestañas que faltan y las tareas nuevas; el resto de
+  // metadatos del grupo local se conserva
+  async mergeStateIntoGroup(group, state) {
+    const present = new Map();
+    for (const tabId of group.tabs) {
+      const url = this.tabManager.tabs.get(tabId)?.url;
+      present.set(url, (present.get(url) || 0) + 1);
+    }
+    const missing = state.tabs.filter(tab => {
+      const count = present.get(tab.url) || 0;
+      if (count > 0) {
+        present.set(tab.url, count - 1);
+        return false;
+      }
+      return true;
+    });
+    const opened = await this.openStateTabs(group.id, missing);
+
+    // Los grupos de IA no tienen bloque de automatización propio
+    const automation = group.metadata.automation ??= { enabled: false, tasks: [], scripts: [] };
+    const incoming = state.group.metadata?.automation || {};
+    // Las macros se reconocen por id: la copia importada (con la programación
+    // desactivada) no duplica la local
+    const keyOf = (item) => item?.id || JSON.stringify(item);
+    for (const key of ['tasks', 'scripts']) {
+      automation[key] ??= [];
+      const known = new Set(automation[key].map(keyOf));
+      for (const item of incoming[key] || []) {
+        if (!known.has(keyOf(item))) automation[key].push(item);
+      }
+    }
+    if (!group.metadata.workspaceId) group.metadata.workspaceId = state.workspaceId;
+
+    return { groupId: group.id, workspaceId: group.metadata.workspaceId, opened: opened.length };
   }
 
-  generateSummary(content) {
-    return `Contenido sobre ${content.title} con ${content.headings.length} encabezados principales.`;
+  async openStateTabs(groupId, tabs) {
+    const browserCore = this.tabManager.browserCore;
+    if (!browserCore) {
+      throw new Error('No se pueden abrir pestañas sin el núcleo del navegador');
+    }
+    const tabIds = [];
+    for (const tab of tabs) {
+      tabIds.push(await browserCore.createNewTab(tab.url, { groupId, active: false, pinned: tab.pinned }));
+    }
+    return tabIds;
+  }
+
+  // Los contenedores viajan por nombre: se reutiliza el local o se crea
+  resolveSnapshotContainer(container) {
+    const containers = this.tabManager.browserCore?.containers;
+    if (!container?.name || !containers) return null;
+    return (containers.findByName(container.name) || containers.createContainer(container)).id;
   }
 
-  generateReasons(content, category) {
-    return [`Pestañas categorizadas en "${category}" basado en contenido`, `Título: ${content.title}`];
+  suggestGroupFileName(groupId) {
+    const base = String(this.groups.get(groupId)?.name || 'grupo')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/\s+/g, '-')
+      .slice(0, 80) || 'grupo';
+    return `${base}.${FILE_EXTENSION}`;
+  }
+
+  uniqueGroupName(name) {
+    const taken = new Set(Array.from(this.groups.values()).map(group => group.name.toLowerCase()));
+    let candidate = `${name} (copia)`;
+    for (let suffix = 2; taken.has(candidate.toLowerCase()); suffix++) {
+      candidate = `${name} (copia ${suffix})`;
+    }
+    return candidate;
   }
 
   // =============================================================================
   // COORDINACIÓN DE AGENTES
   // =============================================================================
 
+  // Con waitForCompletion devuelve el registro final; si no, el estado inicial
+  // de la ejecución y el resto llega como progreso ('finished' trae el registro)
   async executeAgentGroupTask(groupId, task) {
     const group = this.groups.get(groupId);
     if (!group || group.type !== 'agent') {
@@ -560,42 +930,40 @@ class TabGroupsManager {
 
     console.log(`🤖 Ejecutando tarea en grupo de agente: ${group.name}`);
     
-    // Obtener pestañas del grupo
-    const tabIds = Array.from(group.tabs);
-    const results = [];
-    
-    // Ejecutar tareas en paralelo según configuración
-    const maxParallel = group.metadata.coordination.maxParallelTasks;
-    const batches = this.chunkArray(tabIds, maxParallel);
-    
-    for (const batch of batches) {
-      const batchPromises = batch.map(async (tabId) => {
-        try {
-          return await this.executeTaskInTab(tabId, task, group.metadata);
-        } catch (error) {
-          console.error(`❌ Error ejecutando tarea en pestaña ${tabId}:`, error);
-          return { tabId, error: error.message, success: false };
-        }
-      });
-      
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-      
-      // Verificar estrategia de fallo
-      const failures = batchResults.filter(r => !r.success);
-      if (failures.length > 0 && group.metadata.coordination.failureStrategy === 'stop') {
-        console.warn('⚠️ Deteniendo ejecución por fallos críticos');
-        break;
+    return await this.runGroupTask(group, task, Array.from(group.tabs));
+  }
+
+  // Aplica la coordinación del grupo; sin waitForCompletion devuelve la ejecución en curso.
+  // Los grupos de IA no tienen coordinación propia: se usan los valores por defecto
+  async runGroupTask(group, task, tabIds) {
+    const coordination = group.metadata.coordination || {};
+    const { runId, done } = this.taskScheduler.schedule(group.id, task, tabIds, coordination, async (tabId, { signal }) => {
+      const result = await this.executeTaskInTab(tabId, task, group.metadata, { signal });
+      if (!result.success) {
+        throw new Error(result.error);
       }
-    }
+      return result;
+    });
     
-    return {
-      groupId,
-      task,
-      results,
-      success: results.every(r => r.success),
-      completedAt: Date.now()
-    };
+    if (coordination.waitForCompletion === false) {
+      return this.taskScheduler.getRun(runId);
+    }
+    return await done;
+  }
+
+  // Acepta el id de una ejecución o el de un grupo (cancela todas las suyas)
+  cancelAgentGroupTask(id) {
+    if (this.taskScheduler.runs.has(id)) {
+      return this.taskScheduler.cancel(id) ? 1 : 0;
+    }
+    if (this.groups.has(id)) {
+      return this.taskScheduler.cancelGroup(id);
+    }
+    throw new Error(`Tarea o grupo ${id} no encontrado`);
+  }
+
+  getAgentGroupTaskRuns(groupId = null) {
+    return this.taskScheduler.listRuns(groupId);
   }
 
   async setupAgentGroupTabs(groupId, taskData) {
@@ -610,7 +978,8 @@ class TabGroupsManager {
         url: tabSpec.url,
         active: false,
         pinned: tabSpec.pinned || false,
-        windowId: 'main'
+        windowId: 'main',
+        containerId: group.metadata.containerId
       });
       
       await this.addTabToGroup(groupId, tabId, false);
@@ -621,23 +990,24 @@ class TabGroupsManager {
     const group = this.groups.get(groupId);
     if (!group) return;
     
-    // Limpiar tareas de agentes en ejecución
-    if (group.metadata.agent?.activeTasks) {
-      for (const task of group.metadata.agent.activeTasks) {
-        try {
-          // Cancelar tarea si es posible
-          task.cancel();
-        } catch (error) {
-          console.warn(`⚠️ Error cancelando tarea:`, error);
-        }
-      }
-    }
+    // Cancelar las tareas de agente en ejecución
+    this.taskScheduler.cancelGroup(groupId);
     
     console.log(`🧹 Grupo de agente ${groupId} limpiado`);
   }
 
-  async executeTaskInTab(tabId, task, groupMetadata) {
+  // Pestaña de un grupo con una tarea en curso o grabando una macro
+  isTabBusy(tabId) {
+    if (this.macroRecorder.isRecording(tabId)) return true;
+    const groupId = this.tabManager.tabs.get(tabId)?.groupId;
+    return !!groupId && this.taskScheduler.isGroupBusy(groupId);
+  }
+
+  async executeTaskInTab(tabId, task, groupMetadata, { signal = null } = {}) {
     const tab = this.tabManager.tabs.get(tabId);
+    if (tab?.discarded) {
+      await this.tabManager.browserCore.hibernation.restore(tabId);
+    }
     if (!tab || !tab.browserView) {
       return { tabId, error: 'Tab no encontrado', success: false };
     }
@@ -645,28 +1015,51 @@ class TabGroupsManager {
     try {
       // Ejecutar tarea específica basada en el tipo
       switch (task.type) {
-        case 'navigate':
-          await this.tabManager.navigateToUrl(tab.browserView, task.url);
+        case 'navigate': {
+          // En la propia pestaña del grupo, no en la activa de la ventana
+          await this.assertSafeNavigation(task.url);
+          // Al agotarse el tiempo del intento se detiene la carga en vez de dejarla seguir
+          const stop = () => tab.browserView.webContents.stop();
+          signal?.addEventListener('abort', stop, { once: true });
+          try {
+            await tab.browserView.webContents.loadURL(task.url);
+          } finally {
+            signal?.removeEventListener('abort', stop);
+          }
           break;
+        }
+          
+        case 'macro': {
+          const playback = await playMacro(tab.browserView.webContents, task.steps, {
+            signal,
+            beforeNavigate: (url) => this.assertSafeNavigation(url)
+          });
+          if (!playback.success) {
+            throw new Error(playback.error);
+          }
+          return { tabId, content: playback.steps, success: true };
+        }
           
         case 'extract':
           const content = await tab.browserView.webContents.executeJavaScript(task.script);
           return { tabId, content, success: true };
           
+        // Funciones autoejecutables: los reintentos vuelven a ejecutar el script en la misma página
         case 'click':
-          await tab.browserView.webContents.executeJavaScript(`
-            document.querySelector('${task.selector}').click();
-          `);
+          await tab.browserView.webContents.executeJavaScript(`(() => {
+            const element = document.querySelector(${JSON.stringify(task.selector)});
+            if (!element) throw new Error('Elemento no encontrado: ' + ${JSON.stringify(task.selector)});
+            element.click();
+          })()`);
           break;
           
         case 'fill':
-          await tab.browserView.webContents.executeJavaScript(`
-            const element = document.querySelector('${task.selector}');
-            if (element) {
-              element.value = '${task.value}';
-              element.dispatchEvent(new Event('input', { bubbles: true }));
-            }
-          `);
+          await tab.browserView.webContents.executeJavaScript(`(() => {
+            const element = document.querySelector(${JSON.stringify(task.selector)});
+            if (!element) throw new Error('Elemento no encontrado: ' + ${JSON.stringify(task.selector)});
+            element.value = ${JSON.stringify(String(task.value ?? ''))};
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+          })()`);
           break;
           
         default:
@@ -681,6 +1074,159 @@ class TabGroupsManager {
     }
   }
 
+  async assertSafeNavigation(url) {
+    const securityCheck = await this.tabManager.browserCore.checkSecurity(url);
+    if (!securityCheck.safe) {
+      throw new Error(`Navegación bloqueada: ${securityCheck.reason}`);
+    }
+  }
+
+  // =============================================================================
+  // MACROS
+  // Se guardan como tareas { type: 'macro' } en metadata.automation.tasks, así
+  // que viajan con las instantáneas y los archivos .silhouette-group
+  // =============================================================================
+
+  async startMacroRecording(tabId) {
+    const tab = this.tabManager.tabs.get(tabId);
+    if (!tab) {
+      throw new Error(`Pestaña ${tabId} no encontrada`);
+    }
+    if (tab.discarded) {
+      await this.tabManager.browserCore.hibernation.restore(tabId, { waitForLoad: true });
+    }
+    return await this.macroRecorder.start(tabId, tab.browserView?.webContents);
+  }
+
+  // Sin grupo (la pestaña no pertenece a ninguno) devuelve los pasos sin guardarlos
+  stopMacroRecording(tabId, { groupId = null, name = '' } = {}) {
+    const recording = this.macroRecorder.stop(tabId);
+    const targetGroupId = groupId || this.tabManager.tabs.get(tabId)?.groupId;
+    if (!targetGroupId || recording.steps.length === 0) {
+      return { macro: null, steps: recording.steps };
+    }
+
+    const macro = this.addMacro(targetGroupId, {
+      name: name || `Macro ${new Date().toLocaleString()}`,
+      steps: recording.steps,
+      startUrl: recording.startUrl
+    });
+    return { macro, steps: recording.steps };
+  }
+
+  cancelMacroRecording(tabId) {
+    return this.macroRecorder.cancel(tabId);
+  }
+
+  addMacro(groupId, { name, steps, startUrl = null, schedule = null }) {
+    const group = this.requireGroup(groupId);
+    const macro = {
+      id: `macro-${randomUUID()}`,
+      type: 'macro',
+      name: String(name || 'Macro').trim() || 'Macro',
+      steps: normalizeSteps(steps),
+      startUrl,
+      schedule: normalizeMacroSchedule(schedule),
+      created: Date.now(),
+      lastRun: null
+    };
+
+    const automation = group.metadata.automation ??= { enabled: false, tasks: [], scripts: [] };
+    (automation.tasks ??= []).push(macro);
+    if (macro.schedule?.enabled) automation.enabled = true;
+
+    console.log(`⏺️ Macro "${macro.name}" guardada en el grupo ${groupId} (${macro.steps.length} pasos)`);
+    this.notifyMacrosChanged(groupId);
+    return macro;
+  }
+
+  getMacros(groupId) {
+    const group = this.requireGroup(groupId);
+    return (group.metadata.automation?.tasks || []).filter(task => task.type === 'macro');
+  }
+
+  getMacro(groupId, macroId) {
+    const macro = this.getMacros(groupId).find(task => task.id === macroId);
+    if (!macro) {
+      throw new Error(`Macro ${macroId} no encontrada en el grupo ${groupId}`);
+    }
+    return macro;
+  }
+
+  updateMacro(groupId, macroId, changes = {}) {
+    const macro = this.getMacro(groupId, macroId);
+    const updated = {
+      ...macro,
+      ...(changes.name !== undefined ? { name: String(changes.name).trim() || macro.name } : {}),
+      ...(changes.steps !== undefined ? { steps: normalizeSteps(changes.steps) } : {}),
+      ...(changes.schedule !== undefined ? { schedule: normalizeMacroSchedule(changes.schedule) } : {})
+    };
+    Object.assign(macro, updated);
+
+    // Programar una macro es pedir expresamente que el grupo se automatice
+    if (changes.schedule !== undefined && macro.schedule?.enabled) {
+      this.groups.get(groupId).metadata.automation.enabled = true;
+    }
+
+    this.notifyMacrosChanged(groupId);
+    return macro;
+  }
+
+  deleteMacro(groupId, macroId) {
+    const macro = this.getMacro(groupId, macroId);
+    const automation = this.groups.get(groupId).metadata.automation;
+    automation.tasks = automation.tasks.filter(task => task !== macro);
+    this.notifyMacrosChanged(groupId);
+    return true;
+  }
+
+  // Reproduce la macro en todas las pestañas del grupo (o en las indicadas) con su coordinación
+  async replayMacro(groupId, macroId, { tabIds = null } = {}) {
+    const group = this.requireGroup(groupId);
+    const macro = this.getMacro(groupId, macroId);
+    const targets = (tabIds || Array.from(group.tabs)).filter(tabId => group.tabs.has(tabId));
+    if (targets.length === 0) {
+      throw new Error(`El grupo ${group.name} no tiene pestañas donde reproducir la macro`);
+    }
+
+    macro.lastRun = Date.now();
+    console.log(`▶️ Reproduciendo macro "${macro.name}" en ${targets.length} pestañas de ${group.name}`);
+
+    return await this.runGroupTask(group, {
+      type: 'macro',
+      macroId: macro.id,
+      name: macro.name,
+      steps: macro.steps,
+      timeout: Math.max(group.metadata.coordination?.taskTimeoutMs || 0, estimateMacroDuration(macro.steps))
+    }, targets);
+  }
+
+  // Solo grupos con la automatización activa: los importados de otros firmantes llegan desactivados
+  runScheduledMacros(now = Date.now()) {
+    for (const group of this.groups.values()) {
+      if (!group.metadata.automation?.enabled || this.taskScheduler.isGroupBusy(group.id)) continue;
+
+      for (const macro of this.getMacros(group.id)) {
+        const schedule = macro.schedule;
+        if (!schedule?.enabled) continue;
+        if (now - (macro.lastRun || schedule.since) < schedule.everyMinutes * 60000) continue;
+
+        this.replayMacro(group.id, macro.id).catch(error => {
+          console.error(`❌ Error en la macro programada "${macro.name}":`, error);
+        });
+        break; // una ejecución por grupo y vuelta: el resto espera a que termine
+      }
+    }
+  }
+
+  requireGroup(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Grupo ${groupId} no encontrado`);
+    }
+    return group;
+  }
+
   // =============================================================================
   // EVENTOS Y NOTIFICACIONES
   // =============================================================================
@@ -693,6 +1239,15 @@ class TabGroupsManager {
         this.performAutoGrouping();
       }, 3000);
     });
+    
+    // Las reglas se vuelven a evaluar en cada navegación; las advertencias de
+    // seguridad y la vista de lectura conservan la URL original y se ignoran
+    this.tabManager.on('tab-updated', (tabId, eventType, data) => {
+      if (eventType !== 'load-finished' || data.interstitial || data.reader) return;
+      this.applyRules(tabId, { url: data.url }).catch(error => {
+        console.error('❌ Error aplicando reglas de grupo:', error);
+      });
+    });
   }
 
   notifyGroupCreated(groupId) {
@@ -778,6 +1333,30 @@ class TabGroupsManager {
     }
   }
 
+  notifyTaskProgress(progress) {
+    if (this.tabManager.browserCore?.onGroupChange) {
+      this.tabManager.browserCore.onGroupChange('group:task-progress', progress);
+    }
+  }
+
+  notifyMacroStep(data) {
+    if (this.tabManager.browserCore?.onGroupChange) {
+      this.tabManager.browserCore.onGroupChange('group:macro-step', data);
+    }
+  }
+
+  notifyMacrosChanged(groupId) {
+    if (this.tabManager.browserCore?.onGroupChange) {
+      this.tabManager.browserCore.onGroupChange('group:macros-changed', { groupId });
+    }
+  }
+
+  notifyGroupContainerChanged(groupId, containerId) {
+    if (this.tabManager.browserCore?.onGroupChange) {
+      this.tabManager.browserCore.onGroupChange('group-container-changed', { groupId, containerId });
+    }
+  }
+
   // =============================================================================
   // UTILIDADES
   // =============================================================================
@@ -843,6 +1422,16 @@ class TabGroupsManager {
     console.log('🚫 Agrupación automática por IA deshabilitada');
   }
 
+  async shutdown() {
+    clearInterval(this.macroTimer);
+    this.macroRecorder.shutdown();
+    this.taskScheduler.cancelAll();
+    await this.clusterer.shutdown();
+    await this.rules.shutdown();
+    await this.snapshots.shutdown();
+    await this.groupFiles.shutdown();
+  }
+
   // =============================================================================
   // SERIALIZACIÓN
   // =============================================================================
@@ -882,4 +1471,18 @@ class TabGroupsManager {
   }
 }
 
-export default TabGroupsManager;
\ No newline at end of file
+// Cada cuánto se repite una macro; 'since' cuenta el primer intervalo desde que se programa
+function normalizeMacroSchedule(schedule) {
+  if (!schedule) return null;
+  const everyMinutes = Math.floor(Number(schedule.everyMinutes));
+  if (!Number.isFinite(everyMinutes) || everyMinutes < 1) {
+    throw new Error('La programación de la macro necesita un intervalo de al menos 1 minuto');
+  }
+  return {
+    everyMinutes,
+    enabled: schedule.enabled !== false,
+    since: Number(schedule.since) || Date.now()
+  };
+}
+
+export default TabGroupsManager;
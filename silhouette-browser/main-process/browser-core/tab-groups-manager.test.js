@@ -0,0 +1,37 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({
+  app: { getPath: () => { throw new Error('fuera de Electron'); } },
+  BrowserView: class {}
+}));
+const { default: TabGroupsManager } = await import('./tab-groups-manager.js');
+
+// Gestor sin navegador: las pestañas son objetos y las notificaciones se ignoran
+function createManager(tabs) {
+  const tabManager = { tabs: new Map(tabs.map(tab => [tab.id, tab])), browserCore: null, on: () => {} };
+  const manager = new TabGroupsManager(tabManager);
+  manager.notifyGroupCreated = () => {};
+  manager.notifyMacrosChanged = () => {};
+  manager.notifyTaskProgress = () => {};
+  return manager;
+}
+
+describe('TabGroupsManager con grupos de IA', () => {
+  test('una macro se reproduce en un grupo de IA con la coordinación por defecto', async () => {
+    const manager = createManager([{ id: 1, url: 'https://example.com/' }, { id: 2, url: 'https://example.org/' }]);
+    manager.addTabToGroup = async () => true;
+    const groupId = await manager.createAiGroup(
+      [{ id: 1, text: 'recetas de cocina' }, { id: 2, text: 'recetas de postres' }],
+      { keywords: ['recetas'], cohesion: 0.8, backend: 'local' }
+    );
+    expect(manager.groups.get(groupId).metadata.coordination).toBeUndefined();
+
+    const macro = manager.addMacro(groupId, { name: 'Abrir', steps: [{ action: 'navigate', value: 'https://example.com/' }] });
+    const executeTaskInTab = jest.spyOn(manager, 'executeTaskInTab').mockImplementation(async (tabId) => ({ tabId, success: true }));
+
+    const record = await manager.replayMacro(groupId, macro.id);
+    expect(record.status).toBe('completed');
+    expect(record.coordination).toMatchObject({ maxParallelTasks: 3, failureStrategy: 'stop' });
+    expect(executeTaskInTab).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,101 @@
+// =============================================================================
+// WEB REQUEST ROUTER - MULTIPLEXOR DE session.webRequest
+// Electron solo admite un listener por evento y sesión: este router registra
+// uno y reparte cada petición entre los subsistemas en orden de prioridad
+// =============================================================================
+
+// Eventos que esperan respuesta (callback) frente a eventos solo informativos
+const BLOCKING_EVENTS = ['onBeforeRequest', 'onBeforeSendHeaders', 'onHeadersReceived'];
+const OBSERVER_EVENTS = ['onSendHeaders', 'onResponseStarted', 'onBeforeRedirect', 'onCompleted', 'onErrorOccurred'];
+
+const routers = new WeakMap();
+
+class WebRequestRouter {
+  constructor(browserSession) {
+    this.session = browserSession;
+    this.handlers = new Map(); // evento -> [{ name, handler, priority }]
+    this.installed = new Set();
+  }
+
+  static for(browserSession) {
+    if (!routers.has(browserSession)) {
+      routers.set(browserSession, new WebRequestRouter(browserSession));
+    }
+    return routers.get(browserSession);
+  }
+
+  // Registrar un manejador síncrono; menor prioridad = se ejecuta antes
+  use(eventName, name, handler, options = {}) {
+    if (!BLOCKING_EVENTS.includes(eventName) && !OBSERVER_EVENTS.includes(eventName)) {
+      throw new Error(`Evento webRequest no soportado: ${eventName}`);
+    }
+
+    const list = (this.handlers.get(eventName) || []).filter(entry => entry.name !== name);
+    list.push({ name, handler, priority: options.priority ?? 100 });
+    list.sort((a, b) => a.priority - b.priority);
+    this.handlers.set(eventName, list);
+
+    this.install(eventName);
+    return () => this.remove(eventName, name);
+  }
+
+  remove(eventName, name) {
+    const list = (this.handlers.get(eventName) || []).filter(entry => entry.name !== name);
+    this.handlers.set(eventName, list);
+  }
+
+  install(eventName) {
+    if (this.installed.has(eventName)) return;
+    this.installed.add(eventName);
+
+    if (OBSERVER_EVENTS.includes(eventName)) {
+      this.session.webRequest[eventName]((details) => {
+        for (const { name, handler } of this.handlers.get(eventName) || []) {
+          try {
+            handler(details);
+          } catch (error) {
+            console.error(`❌ Error en manejador webRequest ${name}:`, error);
+          }
+        }
+      });
+      return;
+    }
+
+    this.session.webRequest[eventName]((details, callback) => {
+      callback(this.dispatch(eventName, details));
+    });
+  }
+
+  dispatch(eventName, details) {
+    const response = {};
+    const headersKey = eventName === 'onBeforeSendHeaders' ? 'requestHeaders' : 'responseHeaders';
+    let headers = details[headersKey];
+
+    for (const { name, handler } of this.handlers.get(eventName) || []) {
+      let result;
+      try {
+        result = handler(headers ? { ...details, [headersKey]: headers } : details);
+      } catch (error) {
+        console.error(`❌ Error en manejador webRequest ${name}:`, error);
+        continue;
+      }
+      if (!result) continue;
+
+      // Cancelar o redirigir corta la cadena: nadie más necesita ver la petición
+      if (result.cancel || result.redirectURL) {
+        return result;
+      }
+      if (result[headersKey]) {
+        headers = result[headersKey];
+        response[headersKey] = headers;
+      }
+      if (result.statusLine) {
+        response.statusLine = result.statusLine;
+      }
+    }
+
+    return response;
+  }
+}
+
+export { WebRequestRouter };
@@ -0,0 +1,395 @@
+// =============================================================================
+// CONTENT BLOCKER - BLOQUEO NATIVO DE CONTENIDO
+// Listas de filtros EasyList/Adblock Plus en local, reglas cosméticas,
+// sitios permitidos y contadores de peticiones bloqueadas por pestaña
+// =============================================================================
+
+import { app } from 'electron';
+import { EventEmitter } from 'events';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { WebRequestRouter } from '../browser-core/web-request-router.js';
+import { SiteSettings } from '../security-layer/site-settings.js';
+import { FilterEngine } from './filter-engine.js';
+
+const NOTIFY_INTERVAL = 500;
+const FILTERABLE_URL = /^(https?|wss?):/i;
+
+class ContentBlocker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = new PersistentStore('content-blocker', { subdirectory: 'content-blocker' });
+    this.listsDirectory = path.join(this.store.directory, 'lists');
+    this.resolveTabId = options.resolveTabId || (() => null);
+    this.settings = {
+      enabled: true,
+      cosmetic: true
+    };
+    this.lists = [];             // { id, title, path, enabled, filters, loadedAt, error }
+    this.allowlist = new Set();  // hosts donde no se bloquea nada
+    this.engine = new FilterEngine();
+    this.tabStats = new Map();   // tabId -> { blocked, pageUrl, hosts: Map }
+    this.totalBlocked = 0;
+    this.notifyTimers = new Map();
+    this.attachedSessions = new WeakSet();
+  }
+
+  async initialize() {
+    console.log('🛡️ Inicializando bloqueador de contenido...');
+
+    try {
+      const saved = await this.store.read({ settings: {}, lists: [], allowlist: [] });
+      this.settings = { ...this.settings, ...(saved.settings || {}) };
+      this.lists = saved.lists || [];
+      this.allowlist = new Set(saved.allowlist || []);
+
+      await fs.mkdir(this.listsDirectory, { recursive: true });
+      await this.reloadLists();
+    } catch (error) {
+      console.error('❌ Error cargando listas de filtros:', error);
+    }
+
+    // Reglas cosméticas: CSS inyectado en cada documento al estar listo el DOM
+    app.on('web-contents-created', (event, webContents) => {
+      webContents.on('dom-ready', () => this.injectCosmeticFilters(webContents));
+    });
+  }
+
+  attachSession(browserSession) {
+    if (!browserSession || this.attachedSessions.has(browserSession)) return;
+    this.attachedSessions.add(browserSession);
+
+    // Prioridad alta: una petición bloqueada no necesita pasar por nadie más
+    WebRequestRouter.for(browserSession).use('onBeforeRequest', 'content-blocker', (details) => {
+      return this.handleRequest(details);
+    }, { priority: 10 });
+  }
+
+  // =============================================================================
+  // LISTAS DE FILTROS
+  // =============================================================================
+
+  async reloadLists() {
+    const startedAt = Date.now();
+    await this.discoverLocalLists();
+
+    const engine = new FilterEngine();
+    for (const list of this.lists) {
+      if (!list.enabled) continue;
+
+      try {
+        const text = await fs.readFile(list.path, 'utf8');
+        const counts = engine.loadList(text);
+        list.title = ContentBlocker.readListTitle(text) || list.title;
+        list.filters = counts.network + counts.cosmetic;
+        list.skipped = counts.skipped;
+        list.loadedAt = Date.now();
+        list.error = null;
+      } catch (error) {
+        list.error = error.code === 'ENOENT' ? 'Archivo no encontrado' : error.message;
+        console.warn(`⚠️ Lista de filtros ${list.title} no cargada: ${list.error}`);
+      }
+    }
+
+    // Sustituir el motor de golpe: las peticiones en curso nunca ven uno a medias
+    this.engine = engine;
+    this.save();
+
+    const stats = engine.getStats();
+    console.log(`✅ Filtros cargados en ${Date.now() - startedAt}ms: ${stats.network} de bloqueo, ${stats.exceptions} excepciones, ${stats.cosmetic} cosméticos`);
+    this.emit('lists-reloaded', this.getLists());
+    return stats;
+  }
+
+  // Cualquier .txt en el directorio de listas se carga automáticamente
+  async discoverLocalLists() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.listsDirectory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.txt'))) {
+      const listPath = path.join(this.listsDirectory, file);
+      if (!this.lists.some(list => list.path === listPath)) {
+        this.lists.push(this.createListEntry(listPath));
+      }
+    }
+  }
+
+  async addList(filePath) {
+    const listPath = path.resolve(filePath);
+    await fs.access(listPath);
+
+    const existing = this.lists.find(list => list.path === listPath);
+    if (existing) return existing;
+
+    const list = this.createListEntry(listPath);
+    this.lists.push(list);
+    await this.reloadLists();
+    return list;
+  }
+
+  async removeList(listId) {
+    const index = this.lists.findIndex(list => list.id === listId);
+    if (index === -1) return false;
+
+    this.lists.splice(index, 1);
+    await this.reloadLists();
+    return true;
+  }
+
+  async setListEnabled(listId, enabled) {
+    const list = this.lists.find(entry => entry.id === listId);
+    if (!list) {
+      throw new Error(`Lista de filtros ${listId} no encontrada`);
+    }
+
+    list.enabled = !!enabled;
+    await this.reloadLists();
+    return list;
+  }
+
+  createListEntry(listPath) {
+    return {
+      id: `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      title: path.basename(listPath, path.extname(listPath)),
+      path: listPath,
+      enabled: true,
+      filters: 0,
+      skipped: 0,
+      loadedAt: null,
+      error: null
+    };
+  }
+
+  getLists() {
+    return this.lists.map(list => ({ ...list }));
+  }
+
+  // =============================================================================
+  // INTERCEPCIÓN DE PETICIONES
+  // =============================================================================
+
+  handleRequest(details) {
+    if (!this.settings.enabled || !FILTERABLE_URL.test(details.url)) return null;
+
+    // Una navegación principal reinicia los contadores de su pestaña
+    if (details.resourceType === 'mainFrame') {
+      const tabId = this.getTabId(details.webContents);
+      if (tabId) this.resetTab(tabId, details.url);
+      return null;
+    }
+
+    const pageUrl = this.getPageUrl(details);
+    const pageHost = ContentBlocker.getHost(pageUrl);
+    if (pageHost && (this.isAllowlisted(pageHost) || this.engine.hasPageException(pageUrl, 'document'))) {
+      return null;
+    }
+
+    const result = this.engine.match({
+      url: details.url,
+      resourceType: details.resourceType,
+      pageHost,
+      thirdParty: !pageHost || SiteSettings.getSite(details.url) !== SiteSettings.getSite(pageUrl)
+    });
+    if (!result?.blocked) return null;
+
+    this.recordBlocked(details, result);
+    return { cancel: true };
+  }
+
+  getPageUrl(details) {
+    try {
+      const webContents = details.webContents;
+      const url = webContents && !webContents.isDestroyed() ? webContents.getURL() : null;
+      if (url && /^https?:/.test(url)) return url;
+    } catch {
+      // webContents destruido durante la petición
+    }
+    return details.referrer || null;
+  }
+
+  getTabId(webContents) {
+    if (!webContents) return null;
+    try {
+      return this.resolveTabId(webContents);
+    } catch {
+      return null;
+    }
+  }
+
+  // =============================================================================
+  // CONTADORES POR PESTAÑA
+  // =============================================================================
+
+  recordBlocked(details, result) {
+    this.totalBlocked++;
+
+    const tabId = this.getTabId(details.webContents);
+    if (!tabId) return;
+
+    const stats = this.tabStats.get(tabId) || this.resetTab(tabId, null, false);
+    stats.blocked++;
+    const host = ContentBlocker.getHost(details.url) || 'desconocido';
+    stats.hosts.set(host, (stats.hosts.get(host) || 0) + 1);
+    stats.lastFilter = result.filter;
+
+    this.scheduleNotify(tabId);
+  }
+
+  resetTab(tabId, pageUrl, notify = true) {
+    const stats = { blocked: 0, pageUrl, hosts: new Map(), lastFilter: null };
+    this.tabStats.set(tabId, stats);
+    if (notify) this.scheduleNotify(tabId);
+    return stats;
+  }
+
+  forgetTab(tabId) {
+    this.tabStats.delete(tabId);
+    clearTimeout(this.notifyTimers.get(tabId));
+    this.notifyTimers.delete(tabId);
+  }
+
+  // Agrupar notificaciones: una página puede bloquear cientos de peticiones
+  scheduleNotify(tabId) {
+    if (this.notifyTimers.has(tabId)) return;
+
+    this.notifyTimers.set(tabId, setTimeout(() => {
+      this.notifyTimers.delete(tabId);
+      const stats = this.tabStats.get(tabId);
+      if (stats) {
+        this.emit('blocked-count', { tabId, blocked: stats.blocked, pageUrl: stats.pageUrl });
+      }
+    }, NOTIFY_INTERVAL));
+  }
+
+  getTabStats(tabId) {
+    const stats = this.tabStats.get(tabId);
+    if (!stats) {
+      return { tabId, blocked: 0, pageUrl: null, hosts: [] };
+    }
+
+    return {
+      tabId,
+      blocked: stats.blocked,
+      pageUrl: stats.pageUrl,
+      allowlisted: stats.pageUrl ? this.isAllowlisted(ContentBlocker.getHost(stats.pageUrl)) : false,
+      lastFilter: stats.lastFilter,
+      hosts: Array.from(stats.hosts, ([host, count]) => ({ host, count }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+
+  getStats() {
+    return {
+      enabled: this.settings.enabled,
+      cosmetic: this.settings.cosmetic,
+      totalBlocked: this.totalBlocked,
+      filters: this.engine.getStats(),
+      lists: this.lists.length,
+      allowlisted: this.allowlist.size,
+      tabs: Array.from(this.tabStats.keys(), tabId => ({ tabId, blocked: this.tabStats.get(tabId).blocked }))
+    };
+  }
+
+  // =============================================================================
+  // REGLAS COSMÉTICAS
+  // =============================================================================
+
+  injectCosmeticFilters(webContents) {
+    if (!this.settings.enabled || !this.settings.cosmetic || webContents.isDestroyed()) return;
+
+    const url = webContents.getURL();
+    const host = ContentBlocker.getHost(url);
+    if (!host || !/^https?:/.test(url) || this.isAllowlisted(host)) return;
+
+    const css = this.engine.getCosmeticCss(url);
+    if (!css) return;
+
+    webContents.insertCSS(css, { cssOrigin: 'user' }).catch(error => {
+      console.warn('⚠️ Error aplicando filtros cosméticos:', error.message);
+    });
+  }
+
+  // =============================================================================
+  // SITIOS PERMITIDOS Y AJUSTES
+  // =============================================================================
+
+  allowSite(siteOrUrl) {
+    const host = ContentBlocker.getHost(siteOrUrl) || String(siteOrUrl || '').trim().toLowerCase();
+    if (!host) {
+      throw new Error(`Sitio no válido: ${siteOrUrl}`);
+    }
+
+    this.allowlist.add(host.replace(/^www\./, ''));
+    this.save();
+    this.emit('allowlist-changed', this.getAllowlist());
+    return this.getAllowlist();
+  }
+
+  disallowSite(siteOrUrl) {
+    const host = (ContentBlocker.getHost(siteOrUrl) || String(siteOrUrl || '').trim().toLowerCase()).replace(/^www\./, '');
+    const removed = this.allowlist.delete(host);
+    if (removed) {
+      this.save();
+      this.emit('allowlist-changed', this.getAllowlist());
+    }
+    return removed;
+  }
+
+  // El sitio permitido cubre también sus subdominios
+  isAllowlisted(hostOrUrl) {
+    const host = ContentBlocker.getHost(hostOrUrl) || hostOrUrl;
+    if (!host || this.allowlist.size === 0) return false;
+    return FilterEngine.domainChain(host).some(domain => this.allowlist.has(domain));
+  }
+
+  getAllowlist() {
+    return Array.from(this.allowlist).sort();
+  }
+
+  updateSettings(changes = {}) {
+    if (changes.enabled !== undefined) this.settings.enabled = !!changes.enabled;
+    if (changes.cosmetic !== undefined) this.settings.cosmetic = !!changes.cosmetic;
+    this.save();
+    return { ...this.settings };
+  }
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      settings: this.settings,
+      lists: this.lists,
+      allowlist: Array.from(this.allowlist)
+    });
+  }
+
+  async shutdown() {
+    for (const timer of this.notifyTimers.values()) clearTimeout(timer);
+    this.notifyTimers.clear();
+    await this.store.flush();
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static getHost(url) {
+    if (!url) return null;
+    try {
+      return new URL(url).hostname.toLowerCase() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  static readListTitle(text) {
+    const match = text.slice(0, 2000).match(/^!\s*Title:\s*(.+)$/m);
+    return match ? match[1].trim() : null;
+  }
+}
+
+export { ContentBlocker };
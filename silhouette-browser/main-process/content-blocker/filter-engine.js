@@ -0,0 +1,366 @@
+// =============================================================================
+// FILTER ENGINE - MOTOR DE COINCIDENCIA DE FILTROS
+// Índice por palabra clave (estilo Adblock Plus): cada petición solo se compara
+// con los filtros cuyos tokens aparecen en su URL
+// =============================================================================
+
+import { parseFilterList, RESOURCE_TYPES } from './filter-parser.js';
+
+// resourceType de Electron -> tipo ABP
+const ELECTRON_TYPES = {
+  mainFrame: 'document',
+  subFrame: 'subdocument',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'object',
+  xhr: 'xmlhttprequest',
+  ping: 'ping',
+  cspReport: 'other',
+  media: 'media',
+  webSocket: 'websocket',
+  other: 'other'
+};
+
+// "^" en ABP: cualquier carácter salvo letras, dígitos y _ - . %, o el final de la URL
+const SEPARATOR = '(?:[^\\w\\-.%]|$)';
+const HOST_ANCHOR = '^[a-z][a-z0-9+.-]*:\\/+(?:[^\\/?#]*\\.)?';
+const URL_TOKEN = /[a-z0-9%]{2,}/g;
+const FILTER_KEYWORD = /[^a-z0-9%*][a-z0-9%]{2,}(?=[^a-z0-9%*])/g;
+const CACHE_SIZE = 2000;
+const SELECTORS_PER_RULE = 1000;
+
+class FilterEngine {
+  constructor() {
+    this.blocking = new Map();   // palabra clave -> [filtros]
+    this.important = new Map();  // filtros $important: ignoran las excepciones
+    this.exceptions = new Map();
+    this.genericSelectors = [];           // ##selector (con posibles ~dominios)
+    this.specificSelectors = new Map();   // dominio -> [{ selector, exclude }]
+    this.cosmeticExceptions = new Map();  // selector -> [dominios] (null = todos)
+    this.counts = { network: 0, exceptions: 0, cosmetic: 0, skipped: 0 };
+    this.cache = new Map();
+    this.genericCss = null;
+    this.domainDependentGeneric = [];
+  }
+
+  // =============================================================================
+  // CARGA DE FILTROS
+  // =============================================================================
+
+  loadList(text) {
+    const { network, cosmetic, skipped } = parseFilterList(text);
+
+    for (const filter of network) this.addNetworkFilter(filter);
+    for (const filter of cosmetic) this.addCosmeticFilter(filter);
+    this.counts.skipped += skipped;
+
+    this.cache.clear();
+    this.genericCss = null;
+    return { network: network.length, cosmetic: cosmetic.length, skipped };
+  }
+
+  addNetworkFilter(filter) {
+    let index = this.blocking;
+    if (filter.exception) index = this.exceptions;
+    else if (filter.important) index = this.important;
+
+    const keyword = this.findKeyword(filter, index);
+    if (!index.has(keyword)) index.set(keyword, []);
+    index.get(keyword).push(filter);
+
+    if (filter.exception) this.counts.exceptions++;
+    else this.counts.network++;
+  }
+
+  // Entre los tokens completos del patrón, el que tenga menos filtros asociados
+  findKeyword(filter, index) {
+    if (filter.isRegex) return '';
+
+    const candidates = filter.pattern.toLowerCase().match(FILTER_KEYWORD);
+    if (!candidates) return '';
+
+    let best = '';
+    let bestCount = Infinity;
+    for (const candidate of candidates) {
+      const keyword = candidate.slice(1);
+      const count = index.get(keyword)?.length || 0;
+      if (count < bestCount || (count === bestCount && keyword.length > best.length)) {
+        best = keyword;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  addCosmeticFilter(filter) {
+    const { selector, domains } = filter;
+    this.counts.cosmetic++;
+
+    if (filter.exception) {
+      if (!this.cosmeticExceptions.has(selector)) this.cosmeticExceptions.set(selector, []);
+      const entries = this.cosmeticExceptions.get(selector);
+      if (domains?.include.length) entries.push(...domains.include);
+      else entries.push(null);
+      return;
+    }
+
+    const exclude = domains?.exclude || [];
+    if (!domains?.include.length) {
+      this.genericSelectors.push({ selector, exclude });
+      return;
+    }
+
+    for (const domain of domains.include) {
+      if (!this.specificSelectors.has(domain)) this.specificSelectors.set(domain, []);
+      this.specificSelectors.get(domain).push({ selector, exclude });
+    }
+  }
+
+  // =============================================================================
+  // FILTROS DE RED
+  // =============================================================================
+
+  // request: { url, resourceType (Electron), pageHost, thirdParty }
+  match(request) {
+    const type = ELECTRON_TYPES[request.resourceType] || 'other';
+    const cacheKey = `${type}|${request.pageHost || ''}|${request.thirdParty ? 1 : 0}|${request.url}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const lower = request.url.toLowerCase();
+    const context = {
+      url: request.url,
+      lower,
+      typeMask: RESOURCE_TYPES[type],
+      pageHost: request.pageHost || null,
+      thirdParty: !!request.thirdParty,
+      tokens: this.tokenize(lower)
+    };
+
+    let result = null;
+    const important = this.findMatch(this.important, context);
+    if (important) {
+      result = { blocked: true, filter: important.text };
+    } else {
+      const blocking = this.findMatch(this.blocking, context);
+      if (blocking) {
+        const exception = this.findMatch(this.exceptions, context);
+        result = exception
+          ? { blocked: false, filter: blocking.text, exception: exception.text }
+          : { blocked: true, filter: blocking.text };
+      }
+    }
+
+    this.remember(cacheKey, result);
+    return result;
+  }
+
+  // Excepciones a nivel de página: $document, $elemhide, $generichide
+  hasPageException(pageUrl, option = 'document') {
+    const cacheKey = `page:${option}|${pageUrl}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    let host = null;
+    try {
+      host = new URL(pageUrl).hostname;
+    } catch {
+      return false;
+    }
+
+    const lower = pageUrl.toLowerCase();
+    const context = {
+      url: pageUrl,
+      lower,
+      typeMask: option === 'document' ? RESOURCE_TYPES.document : 0,
+      hideOption: option === 'document' ? null : option,
+      pageHost: host,
+      thirdParty: false,
+      tokens: this.tokenize(lower)
+    };
+
+    const excepted = !!this.findMatch(this.exceptions, context);
+    this.remember(cacheKey, excepted);
+    return excepted;
+  }
+
+  tokenize(lowerUrl) {
+    const tokens = new Set(lowerUrl.match(URL_TOKEN) || []);
+    tokens.add('');
+    return tokens;
+  }
+
+  findMatch(index, context) {
+    if (index.size === 0) return null;
+
+    for (const token of context.tokens) {
+      const bucket = index.get(token);
+      if (!bucket) continue;
+      for (const filter of bucket) {
+        if (this.matchesFilter(filter, context)) return filter;
+      }
+    }
+    return null;
+  }
+
+  matchesFilter(filter, context) {
+    if (context.hideOption) {
+      if (!filter.hideExceptions.includes(context.hideOption)) return false;
+    } else if (!(filter.types & context.typeMask)) {
+      return false;
+    }
+    if (filter.thirdParty !== null && filter.thirdParty !== context.thirdParty) return false;
+    if (filter.domains && !FilterEngine.matchesDomains(filter.domains, context.pageHost)) return false;
+
+    if (filter.isRegex) return filter.regexp.test(context.url);
+
+    if (!filter.matcher) filter.matcher = FilterEngine.compilePattern(filter.pattern);
+    return filter.matcher(filter.matchCase ? context.url : context.lower);
+  }
+
+  remember(key, value) {
+    if (this.cache.size >= CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, value);
+  }
+
+  // =============================================================================
+  // FILTROS COSMÉTICOS
+  // =============================================================================
+
+  getCosmeticCss(pageUrl) {
+    let host;
+    try {
+      host = new URL(pageUrl).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+
+    if (this.hasPageException(pageUrl, 'document') || this.hasPageException(pageUrl, 'elemhide')) {
+      return '';
+    }
+
+    const hostChain = FilterEngine.domainChain(host);
+    const selectors = [];
+
+    for (const domain of hostChain) {
+      for (const entry of this.specificSelectors.get(domain) || []) {
+        if (this.isSelectorAllowed(entry, hostChain)) selectors.push(entry.selector);
+      }
+    }
+
+    let css = '';
+    if (!this.hasPageException(pageUrl, 'generichide')) {
+      css = this.getGenericCss();
+      // Selectores genéricos que dependen del dominio (~excepciones o #@#)
+      for (const entry of this.domainDependentGeneric) {
+        if (this.isSelectorAllowed(entry, hostChain)) selectors.push(entry.selector);
+      }
+    }
+
+    return css + FilterEngine.buildCss(selectors);
+  }
+
+  // CSS de los selectores genéricos válidos en cualquier sitio, calculado una vez
+  getGenericCss() {
+    if (this.genericCss === null) {
+      const selectors = [];
+      this.domainDependentGeneric = [];
+      for (const entry of this.genericSelectors) {
+        if (entry.exclude.length === 0 && !this.cosmeticExceptions.has(entry.selector)) {
+          selectors.push(entry.selector);
+        } else {
+          this.domainDependentGeneric.push(entry);
+        }
+      }
+      this.genericCss = FilterEngine.buildCss(selectors);
+    }
+    return this.genericCss;
+  }
+
+  isSelectorAllowed(entry, hostChain) {
+    if (entry.exclude.some(domain => hostChain.includes(domain))) return false;
+
+    const exceptions = this.cosmeticExceptions.get(entry.selector);
+    if (!exceptions) return true;
+    return !exceptions.some(domain => domain === null || hostChain.includes(domain));
+  }
+
+  getStats() {
+    return {
+      ...this.counts,
+      genericSelectors: this.genericSelectors.length,
+      siteSelectorDomains: this.specificSelectors.size
+    };
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static compilePattern(pattern) {
+    // Patrones sin comodines ni anclas: búsqueda de subcadena
+    if (!/[*^|]/.test(pattern)) {
+      return (url) => url.includes(pattern);
+    }
+
+    let source = '';
+    let body = pattern;
+    if (body.startsWith('||')) {
+      source = HOST_ANCHOR;
+      body = body.slice(2);
+    } else if (body.startsWith('|')) {
+      source = '^';
+      body = body.slice(1);
+    }
+
+    let end = '';
+    if (body.endsWith('|')) {
+      end = '$';
+      body = body.slice(0, -1);
+    }
+
+    for (const char of body) {
+      if (char === '*') source += '.*';
+      else if (char === '^') source += SEPARATOR;
+      else source += char.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+    }
+
+    const regexp = new RegExp(source + end);
+    return (url) => regexp.test(url);
+  }
+
+  static matchesDomains(domains, host) {
+    if (!host) return domains.include.length === 0;
+
+    // El dominio más específico decide
+    for (const domain of FilterEngine.domainChain(host)) {
+      if (domains.exclude.includes(domain)) return false;
+      if (domains.include.includes(domain)) return true;
+    }
+    return domains.include.length === 0;
+  }
+
+  static domainChain(host) {
+    const chain = [];
+    let domain = host.toLowerCase();
+    while (domain) {
+      chain.push(domain);
+      const dot = domain.indexOf('.');
+      domain = dot === -1 ? '' : domain.slice(dot + 1);
+    }
+    return chain;
+  }
+
+  static buildCss(selectors) {
+    let css = '';
+    // Un selector no válido anula su regla entera: se agrupan en bloques
+    for (let i = 0; i < selectors.length; i += SELECTORS_PER_RULE) {
+      css += `${selectors.slice(i, i + SELECTORS_PER_RULE).join(',\n')} { display: none !important; }\n`;
+    }
+    return css;
+  }
+}
+
+export { FilterEngine, ELECTRON_TYPES };
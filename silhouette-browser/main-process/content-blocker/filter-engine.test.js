@@ -0,0 +1,109 @@
+import { describe, test, expect } from '@jest/globals';
+import { FilterEngine } from './filter-engine.js';
+
+function engineWith(...lines) {
+  const engine = new FilterEngine();
+  engine.loadList(lines.join('\n'));
+  return engine;
+}
+
+describe('FilterEngine.match', () => {
+  test('bloquea por ancla de dominio y separador, también en subdominios', () => {
+    const engine = engineWith('||ads.example.com^');
+    expect(engine.match({ url: 'https://ads.example.com/banner.png', resourceType: 'image' })).toMatchObject({ blocked: true });
+    expect(engine.match({ url: 'https://cdn.ads.example.com/x.js', resourceType: 'script' })).toMatchObject({ blocked: true });
+    expect(engine.match({ url: 'https://ads.example.community/x.js', resourceType: 'script' })).toBeNull();
+    expect(engine.match({ url: 'https://example.com/?ref=ads.example.com', resourceType: 'script' })).toBeNull();
+  });
+
+  test('comodines, anclas de inicio y fin y subcadenas', () => {
+    const engine = engineWith('/banner/*/ad_', '|https://track.', '.gif|');
+    expect(engine.match({ url: 'https://site.com/banner/300/ad_1.png', resourceType: 'image' })?.blocked).toBe(true);
+    expect(engine.match({ url: 'https://track.site.com/p', resourceType: 'xhr' })?.blocked).toBe(true);
+    expect(engine.match({ url: 'https://site.com/?u=https://track.x', resourceType: 'xhr' })).toBeNull();
+    expect(engine.match({ url: 'https://site.com/pixel.gif', resourceType: 'image' })?.blocked).toBe(true);
+    expect(engine.match({ url: 'https://site.com/pixel.gif?x=1', resourceType: 'image' })).toBeNull();
+  });
+
+  test('respeta el tipo de recurso, el origen de terceros y los dominios de la página', () => {
+    const engine = engineWith('||tracker.net^$script,third-party', '/widget.js$domain=news.com|~blog.news.com');
+    const script = { url: 'https://tracker.net/t.js', resourceType: 'script' };
+    expect(engine.match({ ...script, thirdParty: true })?.blocked).toBe(true);
+    expect(engine.match({ ...script, thirdParty: false })).toBeNull();
+    expect(engine.match({ url: 'https://tracker.net/t.png', resourceType: 'image', thirdParty: true })).toBeNull();
+
+    const widget = { url: 'https://cdn.com/widget.js', resourceType: 'script' };
+    expect(engine.match({ ...widget, pageHost: 'www.news.com' })?.blocked).toBe(true);
+    expect(engine.match({ ...widget, pageHost: 'blog.news.com' })).toBeNull();
+    expect(engine.match({ ...widget, pageHost: 'other.com' })).toBeNull();
+  });
+
+  test('las excepciones desbloquean salvo frente a $important', () => {
+    const engine = engineWith('||ads.com^', '@@||ads.com/ok.js', '||evil.com^$important', '@@||evil.com^');
+    expect(engine.match({ url: 'https://ads.com/ok.js', resourceType: 'script' })).toEqual({
+      blocked: false,
+      filter: '||ads.com^',
+      exception: '@@||ads.com/ok.js'
+    });
+    expect(engine.match({ url: 'https://ads.com/other.js', resourceType: 'script' })?.blocked).toBe(true);
+    expect(engine.match({ url: 'https://evil.com/x.js', resourceType: 'script' })?.blocked).toBe(true);
+  });
+
+  test('$match-case distingue mayúsculas', () => {
+    const engine = engineWith('/AdServer/$match-case');
+    expect(engine.match({ url: 'https://x.com/AdServer/a', resourceType: 'script' })?.blocked).toBe(true);
+    expect(engine.match({ url: 'https://x.com/adserver/a', resourceType: 'script' })).toBeNull();
+  });
+
+  test('los filtros sin $document no bloquean la página principal', () => {
+    const engine = engineWith('||ads.com^', '||popup.com^$document');
+    expect(engine.match({ url: 'https://ads.com/', resourceType: 'mainFrame' })).toBeNull();
+    expect(engine.match({ url: 'https://popup.com/', resourceType: 'mainFrame' })?.blocked).toBe(true);
+  });
+});
+
+describe('FilterEngine cosméticos', () => {
+  test('combina selectores genéricos y del sitio, con excepciones por dominio', () => {
+    const engine = engineWith(
+      '##.ad-banner',
+      '##.sponsored',
+      'example.com##.sidebar-ad',
+      '~shop.com##.promo',
+      'example.com#@#.sponsored'
+    );
+
+    const css = engine.getCosmeticCss('https://www.example.com/page');
+    expect(css).toContain('.ad-banner');
+    expect(css).toContain('.sidebar-ad');
+    expect(css).toContain('.promo');
+    expect(css).not.toContain('.sponsored');
+
+    const shop = engine.getCosmeticCss('https://shop.com/');
+    expect(shop).toContain('.sponsored');
+    expect(shop).not.toContain('.promo');
+    expect(shop).not.toContain('.sidebar-ad');
+  });
+
+  test('las excepciones de página desactivan el ocultado', () => {
+    const engine = engineWith('##.ad', 'example.com##.box', '@@||example.com^$generichide', '@@||trusted.org^$elemhide');
+    const css = engine.getCosmeticCss('https://example.com/');
+    expect(css).not.toContain('.ad');
+    expect(css).toContain('.box');
+    expect(engine.getCosmeticCss('https://trusted.org/')).toBe('');
+  });
+
+  test('hasPageException con $document', () => {
+    const engine = engineWith('@@||intranet.local^$document');
+    expect(engine.hasPageException('https://intranet.local/home')).toBe(true);
+    expect(engine.hasPageException('https://example.com/')).toBe(false);
+  });
+});
+
+describe('FilterEngine.loadList', () => {
+  test('cuenta filtros de red, excepciones, cosméticos y descartados', () => {
+    const engine = new FilterEngine();
+    const loaded = engine.loadList('||a.com^\n@@||a.com/ok\n##.ad\n||b.com^$redirect=noop.js');
+    expect(loaded).toEqual({ network: 2, cosmetic: 1, skipped: 1 });
+    expect(engine.getStats()).toMatchObject({ network: 1, exceptions: 1, cosmetic: 1, skipped: 1, genericSelectors: 1 });
+  });
+});
@@ -0,0 +1,212 @@
+// =============================================================================
+// FILTER PARSER - SINTAXIS ADBLOCK PLUS / EASYLIST
+// Convierte cada línea de una lista en un filtro de red o cosmético
+// =============================================================================
+
+// Tipos de recurso ABP (bitmask)
+const RESOURCE_TYPES = {
+  script: 1 << 0,
+  image: 1 << 1,
+  stylesheet: 1 << 2,
+  object: 1 << 3,
+  xmlhttprequest: 1 << 4,
+  subdocument: 1 << 5,
+  ping: 1 << 6,
+  media: 1 << 7,
+  font: 1 << 8,
+  websocket: 1 << 9,
+  other: 1 << 10,
+  document: 1 << 11,
+  popup: 1 << 12
+};
+
+// Sin opciones de tipo, un filtro aplica a todo salvo document y popup
+const DEFAULT_TYPES = Object.values(RESOURCE_TYPES)
+  .reduce((mask, bit) => mask | bit, 0) & ~RESOURCE_TYPES.document & ~RESOURCE_TYPES.popup;
+
+const TYPE_ALIASES = {
+  xhr: 'xmlhttprequest',
+  css: 'stylesheet',
+  frame: 'subdocument',
+  'object-subrequest': 'object',
+  '1p': 'first-party',
+  '3p': 'third-party'
+};
+
+// Opciones de excepción que desactivan el ocultado de elementos
+const HIDING_OPTIONS = ['elemhide', 'generichide', 'ehide', 'ghide'];
+
+function parseFilterList(text) {
+  const network = [];
+  const cosmetic = [];
+  let skipped = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const filter = parseFilter(rawLine);
+    if (!filter) continue;
+    if (filter.unsupported) {
+      skipped++;
+    } else if (filter.kind === 'cosmetic') {
+      cosmetic.push(filter);
+    } else {
+      network.push(filter);
+    }
+  }
+
+  return { network, cosmetic, skipped };
+}
+
+function parseFilter(rawLine) {
+  const line = rawLine.trim();
+  if (!line || line.startsWith('!') || line.startsWith('[')) return null;
+
+  // Filtros cosméticos: dominios##selector, dominios#@#selector
+  const cosmeticMatch = line.match(/^([^/|@"!]*?)#([@?$%]?)#(.+)$/);
+  if (cosmeticMatch) {
+    return parseCosmeticFilter(line, cosmeticMatch);
+  }
+
+  return parseNetworkFilter(line);
+}
+
+// =============================================================================
+// FILTROS COSMÉTICOS
+// =============================================================================
+
+function parseCosmeticFilter(text, [, domainList, marker, selector]) {
+  // #?# (procedural), #$# (snippets) y #%# (scripts) requieren inyectar JS
+  if (marker === '?' || marker === '$' || marker === '%' || selector.startsWith('+js(') || selector.startsWith('^')) {
+    return { text, kind: 'cosmetic', unsupported: true };
+  }
+
+  return {
+    text,
+    kind: 'cosmetic',
+    exception: marker === '@',
+    selector: selector.trim(),
+    domains: parseDomains(domainList, ',')
+  };
+}
+
+// =============================================================================
+// FILTROS DE RED
+// =============================================================================
+
+function parseNetworkFilter(text) {
+  let pattern = text;
+  const filter = {
+    text,
+    kind: 'network',
+    exception: false,
+    important: false,
+    matchCase: false,
+    types: DEFAULT_TYPES,
+    thirdParty: null,
+    domains: null,
+    hideExceptions: [],
+    pattern: '',
+    isRegex: false,
+    regexp: null
+  };
+
+  if (pattern.startsWith('@@')) {
+    filter.exception = true;
+    pattern = pattern.slice(2);
+  }
+
+  // Opciones tras el último "$" (salvo en expresiones regulares /.../)
+  const optionsIndex = findOptionsIndex(pattern);
+  if (optionsIndex !== -1) {
+    const options = pattern.slice(optionsIndex + 1);
+    pattern = pattern.slice(0, optionsIndex);
+    if (!applyOptions(filter, options)) {
+      return { text, kind: 'network', unsupported: true };
+    }
+  }
+
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    filter.isRegex = true;
+    try {
+      filter.regexp = new RegExp(pattern.slice(1, -1), filter.matchCase ? '' : 'i');
+    } catch (error) {
+      return { text, kind: 'network', unsupported: true };
+    }
+  }
+
+  // Un patrón vacío o "*" sin restricciones bloquearía todo
+  if (!filter.isRegex && /^\**$/.test(pattern) && !filter.domains && filter.types === DEFAULT_TYPES && !filter.exception) {
+    return { text, kind: 'network', unsupported: true };
+  }
+
+  filter.pattern = filter.matchCase ? pattern : pattern.toLowerCase();
+  return filter;
+}
+
+function findOptionsIndex(pattern) {
+  const index = pattern.lastIndexOf('$');
+  // En "/regex$/" el "$" pertenece a la expresión regular
+  if (index === -1 || (pattern.startsWith('/') && index < pattern.lastIndexOf('/'))) return -1;
+  return index;
+}
+
+function applyOptions(filter, options) {
+  let includeTypes = 0;
+  let excludeTypes = 0;
+
+  for (const rawOption of options.split(',')) {
+    const [rawName, value] = rawOption.split('=');
+    const negated = rawName.startsWith('~');
+    let name = (negated ? rawName.slice(1) : rawName).trim().toLowerCase();
+    name = TYPE_ALIASES[name] || name;
+
+    if (RESOURCE_TYPES[name] !== undefined) {
+      if (negated) excludeTypes |= RESOURCE_TYPES[name];
+      else includeTypes |= RESOURCE_TYPES[name];
+    } else if (name === 'third-party') {
+      filter.thirdParty = !negated;
+    } else if (name === 'first-party') {
+      filter.thirdParty = negated;
+    } else if (name === 'domain' || name === 'from') {
+      filter.domains = parseDomains(value || '', '|');
+    } else if (name === 'match-case') {
+      filter.matchCase = true;
+    } else if (name === 'important') {
+      filter.important = true;
+    } else if (HIDING_OPTIONS.includes(name)) {
+      if (!filter.exception) return false;
+      filter.hideExceptions.push(name.startsWith('g') ? 'generichide' : 'elemhide');
+    } else if (name === 'all') {
+      includeTypes |= DEFAULT_TYPES | RESOURCE_TYPES.document | RESOURCE_TYPES.popup;
+    } else if (name) {
+      // redirect, csp, removeparam, badfilter... no se aplican: mejor descartar
+      // el filtro entero que bloquear de más
+      return false;
+    }
+  }
+
+  if (includeTypes) {
+    filter.types = includeTypes;
+  } else if (filter.hideExceptions.length > 0) {
+    // @@||sitio^$elemhide solo afecta al ocultado, no a las peticiones
+    filter.types = 0;
+  }
+  filter.types &= ~excludeTypes;
+  return filter.types !== 0 || filter.hideExceptions.length > 0;
+}
+
+function parseDomains(list, separator) {
+  if (!list) return null;
+
+  const include = [];
+  const exclude = [];
+  for (const rawDomain of list.split(separator)) {
+    const domain = rawDomain.trim().toLowerCase();
+    if (!domain) continue;
+    if (domain.startsWith('~')) exclude.push(domain.slice(1));
+    else include.push(domain);
+  }
+
+  return include.length || exclude.length ? { include, exclude } : null;
+}
+
+export { parseFilter, parseFilterList, RESOURCE_TYPES, DEFAULT_TYPES };
@@ -0,0 +1,90 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseFilter, parseFilterList, RESOURCE_TYPES, DEFAULT_TYPES } from './filter-parser.js';
+
+describe('parseFilter', () => {
+  test('ignora comentarios, cabeceras y líneas vacías', () => {
+    expect(parseFilter('! Title: EasyList')).toBeNull();
+    expect(parseFilter('[Adblock Plus 2.0]')).toBeNull();
+    expect(parseFilter('   ')).toBeNull();
+  });
+
+  test('filtro de red con ancla de dominio y opciones de tipo', () => {
+    const filter = parseFilter('||ads.example.com^$script,third-party');
+    expect(filter).toMatchObject({
+      kind: 'network',
+      exception: false,
+      pattern: '||ads.example.com^',
+      thirdParty: true,
+      types: RESOURCE_TYPES.script
+    });
+  });
+
+  test('sin opciones de tipo aplica a todo salvo document y popup', () => {
+    const filter = parseFilter('/banner/*');
+    expect(filter.types).toBe(DEFAULT_TYPES);
+    expect(filter.types & RESOURCE_TYPES.document).toBe(0);
+    expect(filter.types & RESOURCE_TYPES.popup).toBe(0);
+  });
+
+  test('tipos negados y alias', () => {
+    const filter = parseFilter('||cdn.example.com^$~image,~css');
+    expect(filter.types & RESOURCE_TYPES.image).toBe(0);
+    expect(filter.types & RESOURCE_TYPES.stylesheet).toBe(0);
+    expect(filter.types & RESOURCE_TYPES.script).toBe(RESOURCE_TYPES.script);
+  });
+
+  test('excepciones, $important y dominios incluidos y excluidos', () => {
+    expect(parseFilter('@@||example.com/ads.js').exception).toBe(true);
+    expect(parseFilter('||tracker.net^$important').important).toBe(true);
+    expect(parseFilter('/track.js$domain=a.com|~b.a.com').domains).toEqual({ include: ['a.com'], exclude: ['b.a.com'] });
+  });
+
+  test('expresiones regulares, con "$" propio sin confundirlo con opciones', () => {
+    const filter = parseFilter('/ad[0-9]+\\.js$/');
+    expect(filter.isRegex).toBe(true);
+    expect(filter.regexp.test('https://x.com/AD12.js')).toBe(true);
+  });
+
+  test('opciones desconocidas o peligrosas descartan el filtro', () => {
+    expect(parseFilter('||example.com^$redirect=noop.js').unsupported).toBe(true);
+    expect(parseFilter('*').unsupported).toBe(true);
+    expect(parseFilter('/(unclosed/').unsupported).toBe(true);
+    expect(parseFilter('||example.com^$elemhide').unsupported).toBe(true);
+  });
+
+  test('$elemhide en una excepción solo afecta al ocultado', () => {
+    const filter = parseFilter('@@||example.com^$elemhide,generichide');
+    expect(filter.types).toBe(0);
+    expect(filter.hideExceptions).toEqual(['elemhide', 'generichide']);
+  });
+
+  test('filtros cosméticos genéricos, por dominio y excepciones', () => {
+    expect(parseFilter('##.ad-banner')).toMatchObject({ kind: 'cosmetic', selector: '.ad-banner', domains: null, exception: false });
+    expect(parseFilter('example.com,~sub.example.com##.sidebar-ad').domains).toEqual({ include: ['example.com'], exclude: ['sub.example.com'] });
+    expect(parseFilter('example.com#@#.ad-banner')).toMatchObject({ exception: true, selector: '.ad-banner' });
+  });
+
+  test('los filtros cosméticos que necesitan scripts no se admiten', () => {
+    expect(parseFilter('example.com#?#div:-abp-has(.ad)').unsupported).toBe(true);
+    expect(parseFilter('example.com##+js(abort-on-property-read, ads)').unsupported).toBe(true);
+  });
+});
+
+describe('parseFilterList', () => {
+  test('separa filtros de red y cosméticos y cuenta los descartados', () => {
+    const list = [
+      '[Adblock Plus 2.0]',
+      '! comentario',
+      '||ads.example.com^',
+      '@@||ads.example.com/allowed.js',
+      '##.ad',
+      '||x.com^$csp=script-src none',
+      'example.com#$#log hi'
+    ].join('\r\n');
+
+    const { network, cosmetic, skipped } = parseFilterList(list);
+    expect(network).toHaveLength(2);
+    expect(cosmetic).toHaveLength(1);
+    expect(skipped).toBe(2);
+  });
+});
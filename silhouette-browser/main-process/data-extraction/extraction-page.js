@@ -0,0 +1,216 @@
+// =============================================================================
+// EXTRACTION PAGE - LO QUE SE EJECUTA DENTRO DE LA PÁGINA
+// Lectura de registros con un selector de elemento y selectores por campo,
+// búsqueda de listas repetidas para deducir esos selectores, y localización
+// de la paginación ("Siguiente") y de los botones "Cargar más". Todo corre en
+// un mundo aislado: la página no ve ni altera lo que se lee
+// =============================================================================
+
+const EXTRACTION_WORLD_ID = 1025;
+const MAX_CANDIDATES = 8;
+const MAX_SAMPLE_HTML = 1500;
+
+// fields: { nombre: { selector, attribute, multiple } }. selector vacío o '.'
+// es el propio elemento; attribute 'text' (por defecto), 'html', 'value' o un
+// atributo (href y src se devuelven como URL absolutas)
+function readRecordsInPage(itemSelector, fields, maxRecords) {
+  const clean = (text) => String(text || '').replace(/[ \t\r\f\v]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  const read = (element, attribute) => {
+    switch (attribute || 'text') {
+      case 'text': return clean(element.innerText ?? element.textContent);
+      case 'html': return element.innerHTML;
+      case 'value': return element.value ?? element.getAttribute('value');
+      case 'href':
+      case 'src': {
+        const raw = element.getAttribute(attribute);
+        if (raw === null) return null;
+        try {
+          return new URL(raw, document.baseURI).href;
+        } catch {
+          return raw;
+        }
+      }
+      default: return element.getAttribute(attribute);
+    }
+  };
+
+  const items = Array.from(itemSelector ? document.querySelectorAll(itemSelector) : [document.documentElement]);
+  const records = items.slice(0, maxRecords).map(item => {
+    const record = {};
+    for (const [name, field] of Object.entries(fields)) {
+      const own = !field.selector || field.selector === '.';
+      const targets = own ? [item] : field.multiple ? Array.from(item.querySelectorAll(field.selector)) : [item.querySelector(field.selector)];
+      const values = targets.filter(Boolean).map(target => read(target, field.attribute)).filter(value => value !== null);
+      record[name] = field.multiple ? values : (values[0] ?? null);
+    }
+    return record;
+  });
+
+  return { url: location.href, title: document.title, itemCount: items.length, records };
+}
+
+// Listas candidatas: padres con varios hijos de la misma etiqueta y clases.
+// Para cada una, el selector de sus elementos, cuántos hay y el HTML de los
+// primeros (sin scripts ni estilos) para que el modelo elija los campos
+function findListsInPage(maxCandidates, maxSampleHtml) {
+  const escape = (value) => CSS.escape(value);
+  const classesOf = (element) => Array.from(element.classList).filter(name => !/^(active|selected|hover|odd|even|first|last)$/i.test(name) && !/\d{3,}/.test(name)).slice(0, 3);
+  const signature = (element) => element.tagName.toLowerCase() + classesOf(element).map(name => `.${escape(name)}`).join('');
+  const selectorOf = (element) => {
+    const parts = [];
+    for (let current = element; current && current !== document.documentElement && parts.length < 4; current = current.parentElement) {
+      if (current.id && !/\d{3,}/.test(current.id)) {
+        parts.unshift(`#${escape(current.id)}`);
+        break;
+      }
+      parts.unshift(signature(current));
+    }
+    return parts.join(' > ');
+  };
+  const sample = (element) => {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('script, style, svg, noscript').forEach(node => node.remove());
+    return copy.outerHTML.replace(/\s+/g, ' ').slice(0, maxSampleHtml);
+  };
+
+  const candidates = new Map(); // selector -> candidato
+  for (const parent of document.body.querySelectorAll('*')) {
+    if (parent.children.length < 3) continue;
+    const groups = new Map();
+    for (const child of parent.children) {
+      if (/^(SCRIPT|STYLE|BR|HR|OPTION)$/.test(child.tagName)) continue;
+      const key = signature(child);
+      groups.set(key, (groups.get(key) || []).concat(child));
+    }
+    for (const [key, children] of groups) {
+      if (children.length < 3) continue;
+      const textLength = children.reduce((total, child) => total + (child.innerText || '').trim().length, 0) / children.length;
+      if (textLength < 10) continue;
+      const itemSelector = `${selectorOf(parent)} > ${key}`;
+      if (candidates.has(itemSelector)) continue;
+      candidates.set(itemSelector, {
+        itemSelector,
+        count: document.querySelectorAll(itemSelector).length,
+        score: children.length * Math.log(textLength + 1) * (children[0].querySelector('a[href], img') ? 1.5 : 1),
+        samples: children.slice(0, 2).map(sample)
+      });
+    }
+  }
+
+  return {
+    url: location.href,
+    title: document.title,
+    candidates: Array.from(candidates.values()).sort((a, b) => b.score - a.score).slice(0, maxCandidates)
+  };
+}
+
+// Sin modelo: selectores por parecido entre el nombre del campo y itemprop,
+// las clases o los atributos data-* del primer elemento y sus descendientes
+function guessFieldsInPage(itemSelector, names) {
+  const item = document.querySelector(itemSelector);
+  if (!item) return {};
+  const normalize = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, '');
+  const contentOf = (element) => element.tagName === 'IMG' ? 'src' : element.tagName === 'META' ? 'content' : 'text';
+  const elements = [item, ...item.querySelectorAll('*')];
+  const fields = {};
+
+  for (const name of names) {
+    const key = normalize(name);
+    const byItemprop = elements.find(element => normalize(element.getAttribute('itemprop')) === key);
+    const byClass = elements.find(element => Array.from(element.classList).some(className => normalize(className).includes(key)));
+    const byData = elements.find(element => Array.from(element.attributes).some(attribute => attribute.name.startsWith('data-') && normalize(attribute.name.slice(5)) === key));
+
+    if (byItemprop) {
+      fields[name] = { selector: `[itemprop="${CSS.escape(byItemprop.getAttribute('itemprop'))}"]`, attribute: contentOf(byItemprop) };
+    } else if (byClass && byClass !== item) {
+      const className = Array.from(byClass.classList).find(candidate => normalize(candidate).includes(key));
+      fields[name] = { selector: `.${CSS.escape(className)}`, attribute: contentOf(byClass) };
+    } else if (byData) {
+      const attribute = Array.from(byData.attributes).find(candidate => candidate.name.startsWith('data-') && normalize(candidate.name.slice(5)) === key).name;
+      fields[name] = { selector: byData === item ? '.' : `[${attribute}]`, attribute };
+    } else if (/^(url|link|enlace|href)$/.test(key) && (item.matches('a[href]') || item.querySelector('a[href]'))) {
+      fields[name] = { selector: item.matches('a[href]') ? '.' : 'a[href]', attribute: 'href' };
+    } else if (/^(image|imagen|img|foto|photo|picture)$/.test(key) && item.querySelector('img')) {
+      fields[name] = { selector: 'img', attribute: 'src' };
+    } else if (/^(title|titulo|name|nombre)$/.test(key) && item.querySelector('h1, h2, h3, h4, h5, h6')) {
+      fields[name] = { selector: 'h1, h2, h3, h4, h5, h6', attribute: 'text' };
+    }
+  }
+  return fields;
+}
+
+// kind 'next': devuelve la URL del enlace o, si no la tiene, lo pulsa.
+// kind 'loadMore': pulsa el botón. selector 'auto' busca rel="next" y textos
+// habituales ("Siguiente", "Cargar más"...)
+function paginateInPage(kind, selector) {
+  const visible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const usable = (element) => element && visible(element) && !element.disabled &&
+    element.getAttribute('aria-disabled') !== 'true' && !/\bdisabled\b/.test(element.className);
+  const labelOf = (element) => String(element.innerText || element.getAttribute('aria-label') || element.title || element.value || '').replace(/\s+/g, ' ').trim();
+
+  const patterns = kind === 'next'
+    ? [/^(siguiente|página siguiente|next|next page|›|»|>|→)$/i, /^(siguiente|next)\b/i]
+    : [/^(cargar|ver|mostrar) más\b/i, /^(load|show|see|view) more\b/i, /^más (resultados|productos)$/i];
+  const clickable = Array.from(document.querySelectorAll('a, button, [role="button"], input[type="button"], input[type="submit"]'));
+
+  let element = null;
+  if (selector && selector !== 'auto') {
+    element = Array.from(document.querySelectorAll(selector)).find(usable) || null;
+  } else {
+    if (kind === 'next') {
+      element = Array.from(document.querySelectorAll('a[rel~="next"], link[rel~="next"]')).find(candidate => candidate.tagName === 'LINK' || usable(candidate)) || null;
+    }
+    for (const pattern of patterns) {
+      element = element || clickable.find(candidate => usable(candidate) && pattern.test(labelOf(candidate))) || null;
+    }
+  }
+  if (!element) return { found: false };
+
+  const href = element.getAttribute('href');
+  if (kind === 'next' && href && !href.startsWith('#') && !/^javascript:/i.test(href)) {
+    return { found: true, href: new URL(href, document.baseURI).href };
+  }
+  element.scrollIntoView({ block: 'center' });
+  element.click();
+  return { found: true, clicked: true, label: labelOf(element).slice(0, 80) };
+}
+
+function countInPage(itemSelector) {
+  return document.querySelectorAll(itemSelector).length;
+}
+
+// =============================================================================
+// LLAMADAS DESDE EL PROCESO PRINCIPAL
+// =============================================================================
+
+function runInPage(webContents, fn, ...args) {
+  return webContents.executeJavaScriptInIsolatedWorld(EXTRACTION_WORLD_ID, [{
+    code: `(${fn.toString()})(${args.map(arg => JSON.stringify(arg ?? null)).join(', ')})`
+  }]);
+}
+
+async function readRecords(webContents, itemSelector, fields, maxRecords) {
+  return await runInPage(webContents, readRecordsInPage, itemSelector, fields, maxRecords);
+}
+
+async function findLists(webContents) {
+  return await runInPage(webContents, findListsInPage, MAX_CANDIDATES, MAX_SAMPLE_HTML);
+}
+
+async function guessFields(webContents, itemSelector, names) {
+  return await runInPage(webContents, guessFieldsInPage, itemSelector, names);
+}
+
+async function paginate(webContents, kind, selector) {
+  return await runInPage(webContents, paginateInPage, kind, selector);
+}
+
+async function countItems(webContents, itemSelector) {
+  return await runInPage(webContents, countInPage, itemSelector);
+}
+
+export { readRecords, findLists, guessFields, paginate, countItems, EXTRACTION_WORLD_ID };
@@ -0,0 +1,149 @@
+// =============================================================================
+// RECORD EXPORT - SALIDA DE LOS REGISTROS EXTRAÍDOS
+// JSON, CSV y NDJSON se devuelven como texto o se escriben en un fichero.
+// SQLite necesita el paquete opcional better-sqlite3 y añade los registros a
+// una tabla (creándola o ampliándola con las columnas que falten), de modo
+// que varias extracciones de la misma página se acumulan en la misma base
+// =============================================================================
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'sqlite'];
+const DEFAULT_TABLE = 'records';
+const TABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Columnas: las propiedades del esquema en su orden y después las que aparezcan
+function columnsOf(records, schema = null) {
+  const columns = Object.keys(schema?.properties || {});
+  for (const record of records) {
+    for (const name of Object.keys(record)) {
+      if (!columns.includes(name)) columns.push(name);
+    }
+  }
+  return columns;
+}
+
+function serializeRecords(records, format, { schema = null } = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(records, null, 2);
+    case 'ndjson':
+      return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    case 'csv': {
+      const columns = columnsOf(records, schema);
+      const rows = records.map(record => columns.map(column => csvCell(record[column])).join(','));
+      return [columns.map(csvCell).join(','), ...rows].join('\r\n') + '\r\n';
+    }
+    default:
+      throw new Error(`Formato sin salida de texto: ${format} (${EXPORT_FORMATS.filter(name => name !== 'sqlite').join(', ')})`);
+  }
+}
+
+// Los textos vienen de páginas ajenas: toda celda cuyo valor no es de tipo
+// number y cuyo texto final (listas unidas con "; ", objetos en JSON) empieza
+// por =, +, -, @, tabulador o retorno lleva delante un ' para que la hoja de
+// cálculo no la ejecute. Eso incluye textos numéricos como "-5" o "+34 600…" y
+// listas que empiezan por un negativo; para que lleguen como números, el
+// esquema debe declararlos con type number
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.map(item => typeof item === 'object' ? JSON.stringify(item) : String(item)).join('; ')
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escribe los registros en filePath; devuelve { format, path, count, table? }
+async function writeRecords(records, format, filePath, { schema = null, table = DEFAULT_TABLE } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Formato de salida desconocido: ${format} (${EXPORT_FORMATS.join(', ')})`);
+  }
+  if (!filePath) {
+    throw new Error('Falta el fichero de salida');
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (format === 'sqlite') {
+    return { format, path: filePath, ...(await writeSQLite(records, filePath, { schema, table })) };
+  }
+  await fs.writeFile(filePath, serializeRecords(records, format, { schema }), 'utf8');
+  return { format, path: filePath, count: records.length };
+}
+
+// =============================================================================
+// SQLITE
+// =============================================================================
+
+// Sin el paquete instalado se pide instalarlo; si está pero no carga (por
+// ejemplo, compilado para otra versión de Node o de Electron) se da el motivo real
+async function openDatabase(filePath) {
+  let Database;
+  try {
+    const module = await import('better-sqlite3');
+    Database = module.default || module;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+      throw new Error('La salida SQLite necesita el paquete better-sqlite3 (npm install better-sqlite3)');
+    }
+    throw sqliteLoadError(error);
+  }
+
+  // El módulo nativo se carga al abrir la primera base
+  try {
+    return new Database(filePath);
+  } catch (error) {
+    throw String(error.code).startsWith('SQLITE_') ? error : sqliteLoadError(error);
+  }
+}
+
+function sqliteLoadError(error) {
+  const rebuild = /NODE_MODULE_VERSION|bindings file|compiled against/i.test(error.message)
+    ? ' (compílalo para esta versión de Electron con npm run rebuild:native)'
+    : '';
+  return new Error(`No se pudo cargar better-sqlite3${rebuild}: ${error.message}`, { cause: error });
+}
+
+async function writeSQLite(records, filePath, { schema, table }) {
+  if (!TABLE_PATTERN.test(table)) {
+    throw new Error(`Nombre de tabla no válido: ${table}`);
+  }
+  const db = await openDatabase(filePath);
+
+  try {
+    const columns = columnsOf(records, schema);
+    const quote = (name) => `"${String(name).replace(/"/g, '""')}"`;
+    db.exec(`CREATE TABLE IF NOT EXISTS ${quote(table)} (${quote('_extracted_at')} TEXT)`);
+    const existing = new Set(db.prepare(`PRAGMA table_info(${quote(table)})`).all().map(column => column.name));
+    for (const column of columns.filter(name => !existing.has(name))) {
+      db.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${quote(column)} ${sqliteType(schema?.properties?.[column])}`);
+    }
+
+    const insert = db.prepare(`INSERT INTO ${quote(table)} (${['_extracted_at', ...columns].map(quote).join(', ')}) VALUES (${['?', ...columns.map(() => '?')].join(', ')})`);
+    const extractedAt = new Date().toISOString();
+    db.transaction(() => {
+      for (const record of records) {
+        insert.run(extractedAt, ...columns.map(column => sqliteValue(record[column])));
+      }
+    })();
+    return { count: records.length, table };
+  } finally {
+    db.close();
+  }
+}
+
+function sqliteType(property) {
+  const types = [].concat(property?.type ?? []).filter(type => type !== 'null');
+  if (types.length !== 1) return 'TEXT';
+  return { integer: 'INTEGER', boolean: 'INTEGER', number: 'REAL' }[types[0]] || 'TEXT';
+}
+
+function sqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+export { serializeRecords, writeRecords, EXPORT_FORMATS };
@@ -0,0 +1,83 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+// better-sqlite3 instalado pero compilado para otra versión de Node
+jest.unstable_mockModule('better-sqlite3', () => ({
+  default: class {
+    constructor() {
+      throw new Error('The module was compiled against a different Node.js version using NODE_MODULE_VERSION 128.');
+    }
+  }
+}));
+const { serializeRecords, writeRecords } = await import('./record-export.js');
+
+const records = [
+  { title: 'Rayuela', price: 21.9, tags: ['novela', 'clásico'] },
+  { title: 'Dice "hola", y sigue', price: -3, author: { name: 'Julio' } }
+];
+
+describe('serializeRecords', () => {
+  test('CSV con las columnas del esquema primero y comillas donde hacen falta', () => {
+    const csv = serializeRecords(records, 'csv', { schema: { properties: { price: {}, title: {} } } });
+    expect(csv).toBe([
+      'price,title,tags,author',
+      '21.9,Rayuela,novela; clásico,',
+      '-3,"Dice ""hola"", y sigue",,"{""name"":""Julio""}"',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('escapa las celdas que empiezan como una fórmula, también las listas; los números no', () => {
+    const csv = serializeRecords([
+      { text: '=HYPERLINK("http://x")', list: ['@SUM(A1)', 'b'], numbers: [-1, 2], number: -5, flag: true }
+    ], 'csv');
+    const [, row] = csv.split('\r\n');
+    expect(row).toBe(`"'=HYPERLINK(""http://x"")",'@SUM(A1); b,'-1; 2,-5,true`);
+  });
+
+  test('los textos numéricos que empiezan por signo también se escapan; los números no', () => {
+    const csv = serializeRecords([
+      { text: '-5', phone: '+34 600 000 000', numbers: [-1, 2], strings: ['-1', '2'], number: -5, positive: '5' }
+    ], 'csv');
+    const [, row] = csv.split('\r\n');
+    expect(row).toBe(`'-5,'+34 600 000 000,'-1; 2,'-1; 2,-5,5`);
+  });
+
+  test('JSON y NDJSON', () => {
+    expect(JSON.parse(serializeRecords(records, 'json'))).toEqual(records);
+    expect(serializeRecords(records, 'ndjson').split('\n')).toEqual([JSON.stringify(records[0]), JSON.stringify(records[1]), '']);
+    expect(serializeRecords([], 'ndjson')).toBe('');
+    expect(() => serializeRecords(records, 'sqlite')).toThrow('Formato sin salida de texto: sqlite');
+  });
+});
+
+describe('writeRecords', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'silhouette-export-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('escribe el fichero creando su carpeta', async () => {
+    const filePath = path.join(directory, 'salida', 'libros.ndjson');
+    await expect(writeRecords(records, 'ndjson', filePath)).resolves.toEqual({ format: 'ndjson', path: filePath, count: 2 });
+    expect(await fs.readFile(filePath, 'utf8')).toBe(serializeRecords(records, 'ndjson'));
+  });
+
+  test('valida el formato, el fichero y la tabla', async () => {
+    await expect(writeRecords(records, 'xml', path.join(directory, 'x'))).rejects.toThrow('Formato de salida desconocido: xml');
+    await expect(writeRecords(records, 'csv', '')).rejects.toThrow('Falta el fichero de salida');
+    await expect(writeRecords(records, 'sqlite', path.join(directory, 'x.db'), { table: 'a b' })).rejects.toThrow('Nombre de tabla no válido');
+  });
+
+  test('si better-sqlite3 no carga se da el motivo real', async () => {
+    await expect(writeRecords(records, 'sqlite', path.join(directory, 'libros.db')))
+      .rejects.toThrow(/^No se pudo cargar better-sqlite3 \(compílalo .*npm run rebuild:native\): .*NODE_MODULE_VERSION 128/);
+  });
+});
@@ -0,0 +1,237 @@
+// =============================================================================
+// RECORD SCHEMA - ESQUEMA JSON DE LOS REGISTROS EXTRAÍDOS
+// Los valores llegan de la página como texto: se convierten al tipo que pide
+// el esquema ("1.234,50 €" → 1234.5, "Sí" → true) y después se validan con
+// el subconjunto de JSON Schema que tiene sentido para registros planos:
+// type, required, properties, enum, const, límites numéricos y de longitud,
+// pattern, format, items y additionalProperties
+// =============================================================================
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+const FORMATS = {
+  uri: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+};
+const TRUE_WORDS = ['true', 'yes', 'y', 'si', 'sí', '1', 'on', '✓', '✔', 'disponible', 'in stock'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'off', '✗', '✘', 'agotado', 'out of stock'];
+
+// Esquema de registros: { type: 'object', properties, required }. Sin esquema,
+// uno con un texto (o una lista de textos) por campo declarado
+function normalizeSchema(schema, fields = {}) {
+  if (!schema) {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(fields).map(([name, field]) => [
+        name,
+        field.multiple ? { type: 'array', items: { type: 'string' } } : { type: 'string' }
+      ])),
+      required: []
+    };
+  }
+  if (typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('El esquema debe ser un objeto JSON Schema');
+  }
+  if (schema.type !== undefined && schema.type !== 'object') {
+    throw new Error('El esquema describe un registro: su type debe ser "object"');
+  }
+  const properties = schema.properties || {};
+  if (typeof properties !== 'object' || Object.keys(properties).length === 0) {
+    throw new Error('El esquema no declara ninguna propiedad');
+  }
+  for (const [name, property] of Object.entries(properties)) {
+    const unknown = typesOf(property).find(type => !SCHEMA_TYPES.includes(type));
+    if (unknown) {
+      throw new Error(`Tipo desconocido en la propiedad ${name}: ${unknown}`);
+    }
+  }
+  return { ...schema, type: 'object', properties, required: Array.isArray(schema.required) ? schema.required : [] };
+}
+
+// =============================================================================
+// CONVERSIÓN
+// =============================================================================
+
+// Convierte cada propiedad al tipo del esquema cuando se puede; lo que no se
+// puede convertir se deja como está para que la validación lo señale. Los
+// textos vacíos cuentan como ausentes
+function coerceRecord(record, schema) {
+  const result = {};
+  for (const [name, value] of Object.entries(record)) {
+    const property = schema.properties[name];
+    const coerced = property ? coerceValue(value, property) : value;
+    if (coerced !== undefined) result[name] = coerced;
+  }
+  return result;
+}
+
+function coerceValue(value, property) {
+  const types = typesOf(property);
+  if (value === null || value === undefined) {
+    return types.includes('null') ? null : undefined;
+  }
+
+  if (Array.isArray(value)) {
+    if (!types.includes('array')) {
+      return value.length > 0 ? coerceValue(value[0], property) : undefined;
+    }
+    return property.items ? value.map(item => coerceValue(item, property.items)).filter(item => item !== undefined) : value;
+  }
+
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (text === '') {
+    return types.includes('null') ? null : undefined;
+  }
+
+  for (const type of types.length > 0 ? types : ['string']) {
+    switch (type) {
+      case 'number': {
+        const number = parseNumber(text);
+        if (number !== null) return number;
+        break;
+      }
+      case 'integer': {
+        const number = parseNumber(text);
+        if (number !== null && Number.isInteger(number)) return number;
+        break;
+      }
+      case 'boolean': {
+        const word = text.toLowerCase();
+        if (TRUE_WORDS.includes(word)) return true;
+        if (FALSE_WORDS.includes(word)) return false;
+        break;
+      }
+      case 'array':
+        return property.items ? [coerceValue(text, property.items)].filter(item => item !== undefined) : [text];
+      case 'string':
+        return text;
+    }
+  }
+  return text;
+}
+
+// Números tal como aparecen en las páginas: "1.234,50 €", "$1,234.50", "-12",
+// "3.5k" no (se queda como texto). Con un solo separador seguido de grupos de
+// tres cifras se toma como separador de miles
+function parseNumber(text) {
+  const cleaned = text.replace(/\s/g, '').replace(/[^\d.,+-]/g, '');
+  if (!/\d/.test(cleaned) || !/^[+-]?[\d.,]+$/.test(cleaned)) return null;
+
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  let normalized;
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    normalized = cleaned.split(thousands).join('').replace(decimal, '.');
+  } else {
+    const separator = lastComma !== -1 ? ',' : lastDot !== -1 ? '.' : null;
+    const groups = separator && new RegExp(`^[+-]?\\d{1,3}(\\${separator}\\d{3})+$`).test(cleaned);
+    normalized = !separator ? cleaned
+      : groups ? cleaned.split(separator).join('')
+      : cleaned.split(separator).length === 2 ? cleaned.replace(separator, '.')
+      : null;
+  }
+
+  const number = normalized === null ? NaN : Number(normalized);
+  return Number.isFinite(number) ? number : null;
+}
+
+// =============================================================================
+// VALIDACIÓN
+// =============================================================================
+
+// Lista de { path, message }; vacía si el registro cumple el esquema
+function validateRecord(record, schema) {
+  const errors = [];
+  validateValue(record, schema, '', errors);
+  return errors;
+}
+
+function validateValue(value, schema, path, errors) {
+  const label = path || 'registro';
+  const types = typesOf(schema);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push({ path, message: `${label} debe ser ${types.join(' o ')}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(option => sameValue(option, value))) {
+    errors.push({ path, message: `${label} debe ser uno de: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if (schema.const !== undefined && !sameValue(schema.const, value)) {
+    errors.push({ path, message: `${label} debe ser ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `${label} debe ser ≥ ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `${label} debe ser ≤ ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `${label} debe ser > ${schema.exclusiveMinimum}` });
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push({ path, message: `${label} debe ser < ${schema.exclusiveMaximum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `${label} debe tener al menos ${schema.minLength} caracteres` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `${label} debe tener como mucho ${schema.maxLength} caracteres` });
+    if (schema.pattern && !safePattern(schema.pattern)?.test(value)) errors.push({ path, message: `${label} no cumple el patrón ${schema.pattern}` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push({ path, message: `${label} no tiene formato ${schema.format}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `${label} debe tener al menos ${schema.minItems} elementos` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `${label} debe tener como mucho ${schema.maxItems} elementos` });
+    if (schema.items) value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ path: join(path, name), message: `falta ${join(path, name)}` });
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        validateValue(item, properties[name], join(path, name), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, name), message: `${join(path, name)} no está en el esquema` });
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+function typesOf(schema) {
+  if (!schema || schema.type === undefined) return [];
+  return [].concat(schema.type);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function safePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch {
+    return null;
+  }
+}
+
+function join(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+export { normalizeSchema, coerceRecord, validateRecord, parseNumber };
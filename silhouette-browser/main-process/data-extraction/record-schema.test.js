@@ -0,0 +1,103 @@
+import { describe, test, expect } from '@jest/globals';
+import { normalizeSchema, coerceRecord, validateRecord, parseNumber } from './record-schema.js';
+
+const schema = normalizeSchema({
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    price: { type: 'number', minimum: 0 },
+    stock: { type: 'integer' },
+    available: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    url: { type: 'string', format: 'uri' },
+    rating: { type: ['number', 'null'] }
+  },
+  required: ['title', 'price']
+});
+
+describe('normalizeSchema', () => {
+  test('sin esquema crea uno de textos con los campos declarados', () => {
+    expect(normalizeSchema(null, { title: { selector: 'h2' }, tags: { selector: '.tag', multiple: true } })).toEqual({
+      type: 'object',
+      properties: { title: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+      required: []
+    });
+  });
+
+  test('rechaza esquemas que no describen un registro', () => {
+    expect(() => normalizeSchema([])).toThrow('debe ser un objeto JSON Schema');
+    expect(() => normalizeSchema({ type: 'array' })).toThrow('su type debe ser "object"');
+    expect(() => normalizeSchema({ properties: {} })).toThrow('no declara ninguna propiedad');
+    expect(() => normalizeSchema({ properties: { a: { type: 'date' } } })).toThrow('Tipo desconocido en la propiedad a: date');
+  });
+});
+
+describe('parseNumber', () => {
+  test.each([
+    ['1.234,50 €', 1234.5],
+    ['$1,234.50', 1234.5],
+    ['-12', -12],
+    ['1.234', 1234],
+    ['1,5', 1.5],
+    ['12 345', 12345]
+  ])('%s → %s', (text, expected) => {
+    expect(parseNumber(text)).toBe(expected);
+  });
+
+  test('lo que no es un número queda en null', () => {
+    expect(parseNumber('Agotado')).toBeNull();
+    expect(parseNumber('1.2.3,4,5')).toBeNull();
+    expect(parseNumber('1,2,3')).toBeNull();
+  });
+});
+
+describe('coerceRecord', () => {
+  test('convierte los textos de la página al tipo del esquema', () => {
+    expect(coerceRecord({
+      title: '  Rayuela ',
+      price: '21,90 €',
+      stock: '3',
+      available: 'Sí',
+      tags: 'novela',
+      rating: '',
+      extra: 'sin esquema'
+    }, schema)).toEqual({
+      title: 'Rayuela',
+      price: 21.9,
+      stock: 3,
+      available: true,
+      tags: ['novela'],
+      rating: null,
+      extra: 'sin esquema'
+    });
+  });
+
+  test('lo que no se puede convertir se deja para la validación', () => {
+    const record = coerceRecord({ title: 'Rayuela', price: 'Consultar', stock: '2,5', available: 'quizá', url: '' }, schema);
+    expect(record).toEqual({ title: 'Rayuela', price: 'Consultar', stock: '2,5', available: 'quizá' });
+  });
+});
+
+describe('validateRecord', () => {
+  test('un registro correcto no tiene errores', () => {
+    expect(validateRecord({ title: 'Rayuela', price: 21.9, tags: ['novela'], url: 'https://example.com/r', rating: null }, schema)).toEqual([]);
+  });
+
+  test('señala tipos, requeridos, límites y formatos con su ruta', () => {
+    expect(validateRecord({ price: -1, stock: 2.5, tags: ['a', 3], url: 'example.com' }, schema)).toEqual([
+      { path: 'title', message: 'falta title' },
+      { path: 'price', message: 'price debe ser ≥ 0' },
+      { path: 'stock', message: 'stock debe ser integer' },
+      { path: 'tags[1]', message: 'tags[1] debe ser string' },
+      { path: 'url', message: 'url no tiene formato uri' }
+    ]);
+  });
+
+  test('enum, pattern y propiedades de más', () => {
+    const strict = normalizeSchema({
+      properties: { currency: { type: 'string', enum: ['EUR', 'USD'] }, sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' } },
+      additionalProperties: false
+    });
+    expect(validateRecord({ currency: 'GBP', sku: 'abc-1', color: 'rojo' }, strict).map(error => error.path)).toEqual(['currency', 'sku', 'color']);
+  });
+});
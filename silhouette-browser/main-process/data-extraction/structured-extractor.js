@@ -0,0 +1,390 @@
+// =============================================================================
+// STRUCTURED EXTRACTOR - EXTRACCIÓN DE REGISTROS CON ESQUEMA Y PAGINACIÓN
+// Lee registros de una pestaña con un selector de elemento y un selector por
+// campo (declarados o deducidos: el modelo elige entre las listas repetidas de
+// la página y, sin modelo, se buscan por nombre), pulsa "Cargar más" mientras
+// aparezcan elementos nuevos, sigue la paginación, quita los repetidos y
+// valida cada registro contra el esquema JSON
+// =============================================================================
+
+import { requestStructured } from '../llm-providers/llm-providers.js';
+import { normalizeSchema, coerceRecord, validateRecord } from './record-schema.js';
+import { readRecords, findLists, guessFields, paginate, countItems } from './extraction-page.js';
+
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_LIMIT = 200;
+const DEFAULT_MAX_LOAD_MORE = 20;
+const MAX_LOAD_MORE_LIMIT = 200;
+const DEFAULT_MAX_RECORDS = 5000;
+const MAX_RECORDS_LIMIT = 50000;
+const MAX_INVALID_KEPT = 100;    // registros no válidos devueltos como muestra
+const SETTLE_MS = 1000;
+const LOAD_TIMEOUT_MS = 30000;
+const LOAD_MORE_WAIT_MS = 8000;  // espera a que "Cargar más" añada elementos
+const INFERENCE_SAMPLE = 5;
+
+// spec: { url, schema, itemSelector, fields: { nombre: selector | { selector,
+// attribute, multiple } }, pagination: true | { next, loadMore, maxPages,
+// maxLoadMore } (next y loadMore: selector o 'auto'), dedupeBy, maxRecords,
+// keepInvalid }. onPage(page) recibe cada página leída; beforeNavigate(url)
+// puede lanzar para bloquear una navegación
+async function extractStructuredData(webContents, spec, { llm = null, signal = null, beforeNavigate = null, onPage = null } = {}) {
+  const options = normalizeExtractionSpec(spec);
+  const startTime = Date.now();
+  const context = { webContents, signal, beforeNavigate };
+
+  if (options.url) {
+    await loadPage(context, options.url);
+  }
+
+  const selectors = await resolveSelectors(webContents, options, llm, signal);
+  const schema = normalizeSchema(options.schema, selectors.fields);
+  const seen = new Set();
+  const visited = new Set();
+  const records = [];
+  const invalid = [];
+  const pages = [];
+  let invalidCount = 0;
+  let duplicates = 0;
+  let stopReason = 'single-page';
+
+  for (let page = 1; ; page++) {
+    signal?.throwIfAborted();
+    const pageStart = Date.now();
+    const loadMoreClicks = options.pagination.loadMore && selectors.itemSelector
+      ? await loadAllItems(context, selectors.itemSelector, options)
+      : 0;
+
+    const read = await readRecords(webContents, selectors.itemSelector, selectors.fields, options.maxRecords);
+    visited.add(read.url);
+    let fresh = 0;
+    let added = 0;
+    for (const raw of read.records) {
+      const record = coerceRecord(raw, schema);
+      const key = dedupeKey(record, options.dedupeBy);
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      fresh++;
+
+      const errors = validateRecord(record, schema);
+      if (errors.length > 0) {
+        invalidCount++;
+        if (invalid.length < MAX_INVALID_KEPT) invalid.push({ record, errors, url: read.url });
+        if (!options.keepInvalid) continue;
+      }
+      records.push(record);
+      added++;
+      if (records.length >= options.maxRecords) break;
+    }
+
+    const pageInfo = {
+      page,
+      url: read.url,
+      title: read.title,
+      items: read.itemCount,
+      added,
+      loadMoreClicks,
+      startedAt: pageStart,
+      duration: Date.now() - pageStart
+    };
+    pages.push(pageInfo);
+    onPage?.(pageInfo);
+
+    if (records.length >= options.maxRecords) {
+      stopReason = 'max-records';
+      break;
+    }
+    if (!options.pagination.next) break;
+    // Una página sin nada nuevo: la paginación da vueltas o se ha terminado
+    if (page > 1 && fresh === 0) {
+      stopReason = 'no-new-records';
+      break;
+    }
+    if (page >= options.pagination.maxPages) {
+      stopReason = 'max-pages';
+      break;
+    }
+
+    const next = await paginate(webContents, 'next', options.pagination.next);
+    if (!next.found || (next.href && visited.has(next.href))) {
+      stopReason = 'last-page';
+      break;
+    }
+    if (next.href) {
+      await loadPage(context, next.href);
+    } else {
+      await waitForIdle(context);
+    }
+  }
+
+  return {
+    success: true,
+    records,
+    count: records.length,
+    invalid,
+    invalidCount,
+    duplicates,
+    pages,
+    stopReason,
+    selectors,
+    schema,
+    duration: Date.now() - startTime
+  };
+}
+
+// =============================================================================
+// OPCIONES
+// =============================================================================
+
+function normalizeExtractionSpec(spec = {}) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Falta la descripción de la extracción');
+  }
+  if (spec.url && !/^https?:\/\//i.test(String(spec.url))) {
+    throw new Error(`Solo se puede extraer de URL http(s): ${spec.url}`);
+  }
+
+  const fields = {};
+  for (const [name, field] of Object.entries(spec.fields || {})) {
+    if (typeof field === 'string') {
+      fields[name] = { selector: field.trim(), attribute: 'text', multiple: false };
+    } else if (field && typeof field === 'object') {
+      fields[name] = { selector: String(field.selector ?? '').trim(), attribute: field.attribute || 'text', multiple: Boolean(field.multiple) };
+    } else {
+      throw new Error(`Selector no válido para el campo ${name}`);
+    }
+  }
+  // Solo un selector, como la extracción de siempre: el texto de cada elemento
+  if (!spec.schema && Object.keys(fields).length === 0) {
+    if (!spec.itemSelector) {
+      throw new Error('Declara un esquema, los selectores de los campos o al menos el selector de los elementos');
+    }
+    fields.text = { selector: '.', attribute: 'text', multiple: false };
+  }
+
+  const pagination = spec.pagination === true || spec.pagination === 'auto'
+    ? { next: 'auto', loadMore: 'auto' }
+    : spec.pagination || {};
+  const dedupeBy = [].concat(spec.dedupeBy || []).map(String).filter(Boolean);
+
+  return {
+    url: spec.url || null,
+    schema: spec.schema ? normalizeSchema(spec.schema) : null,
+    itemSelector: spec.itemSelector ? String(spec.itemSelector).trim() : null,
+    fields,
+    pagination: {
+      next: pagination.next || null,
+      loadMore: pagination.loadMore || null,
+      maxPages: clamp(pagination.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT),
+      maxLoadMore: clamp(pagination.maxLoadMore, DEFAULT_MAX_LOAD_MORE, MAX_LOAD_MORE_LIMIT)
+    },
+    dedupeBy: dedupeBy.length > 0 ? dedupeBy : null,
+    maxRecords: clamp(spec.maxRecords, DEFAULT_MAX_RECORDS, MAX_RECORDS_LIMIT),
+    keepInvalid: Boolean(spec.keepInvalid)
+  };
+}
+
+function clamp(value, fallback, limit) {
+  return Math.min(limit, Math.max(1, Math.floor(value) || fallback));
+}
+
+// Con dedupeBy, los registros con los mismos valores en esos campos son el
+// mismo; sin él, los que son iguales en todo
+function dedupeKey(record, dedupeBy) {
+  const keys = dedupeBy || Object.keys(record).sort();
+  return JSON.stringify(keys.map(key => [key, record[key] ?? null]));
+}
+
+// =============================================================================
+// SELECTORES
+// =============================================================================
+
+// Los selectores declarados se respetan; los que faltan se deducen. inferred
+// dice cómo: 'llm', 'heuristic' o null si no hizo falta. Con todos los campos
+// y sin selector de elementos, la página entera es un solo registro (fichas
+// de producto, por ejemplo)
+async function resolveSelectors(webContents, options, llm, signal) {
+  const names = Object.keys(options.schema?.properties || options.fields);
+  const missing = names.filter(name => !options.fields[name]);
+  if (missing.length === 0) {
+    return { itemSelector: options.itemSelector, fields: options.fields, inferred: null };
+  }
+
+  let inferenceError = null;
+  if (llm) {
+    try {
+      const proposal = await inferWithLLM(webContents, llm, options, missing, signal);
+      const merged = { itemSelector: options.itemSelector || proposal.itemSelector, fields: { ...proposal.fields, ...options.fields } };
+      if (await selectorsWork(webContents, merged)) {
+        return { ...merged, inferred: 'llm' };
+      }
+      inferenceError = 'los selectores propuestos no encuentran datos';
+    } catch (error) {
+      signal?.throwIfAborted();
+      inferenceError = error.message;
+    }
+  }
+
+  let itemSelector = options.itemSelector;
+  if (!itemSelector) {
+    const { candidates } = await findLists(webContents);
+    if (candidates.length === 0) {
+      throw new Error('No se encuentra ninguna lista de elementos en la página: indica el selector de los elementos');
+    }
+    itemSelector = candidates[0].itemSelector;
+  }
+  const guessed = await guessFields(webContents, itemSelector, missing);
+  return {
+    itemSelector,
+    fields: { ...guessed, ...options.fields },
+    inferred: 'heuristic',
+    ...(inferenceError ? { inferenceError } : {}),
+    unresolved: missing.filter(name => !guessed[name])
+  };
+}
+
+async function inferWithLLM(webContents, llm, options, missing, signal) {
+  const page = await findLists(webContents);
+  const properties = options.schema?.properties || Object.fromEntries(missing.map(name => [name, { type: 'string' }]));
+
+  const { itemSelector, fields = [] } = await requestStructured(llm, {
+    purpose: 'extraction-selectors',
+    system: 'Eliges selectores CSS para extraer registros de una página. Cada registro es un elemento que se repite ' +
+      '(itemSelector) y cada campo se lee con un selector relativo a ese elemento ("." es el propio elemento) y un ' +
+      'atributo: "text" para el texto visible, "href" o "src" para enlaces e imágenes, o el nombre de otro atributo. ' +
+      'Responde solo con la herramienta indicada.',
+    prompt: JSON.stringify({
+      url: page.url,
+      title: page.title,
+      fields: missing.map(name => ({ name, ...properties[name] })),
+      // Si ya viene, el selector de los elementos no se cambia
+      itemSelector: options.itemSelector,
+      candidates: page.candidates.map(({ itemSelector: selector, count, samples }) => ({ itemSelector: selector, count, samples }))
+    }),
+    tool: {
+      name: 'submit_selectors',
+      description: 'Entrega los selectores de los registros y de sus campos',
+      parameters: {
+        type: 'object',
+        properties: {
+          itemSelector: { type: 'string', description: 'Selector CSS de cada registro' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', enum: missing },
+                selector: { type: 'string' },
+                attribute: { type: 'string' }
+              },
+              required: ['name', 'selector']
+            }
+          }
+        },
+        required: ['itemSelector', 'fields']
+      }
+    },
+    signal
+  });
+
+  if (!options.itemSelector && (typeof itemSelector !== 'string' || !itemSelector.trim())) {
+    throw new Error('el modelo no propuso el selector de los elementos');
+  }
+  return {
+    itemSelector: String(itemSelector || '').trim(),
+    fields: Object.fromEntries(fields
+      .filter(field => missing.includes(field?.name) && typeof field.selector === 'string')
+      .map(field => [field.name, { selector: field.selector.trim(), attribute: field.attribute || 'text', multiple: Boolean(options.fields[field.name]?.multiple) }]))
+  };
+}
+
+// Unos pocos registros con algún campo lleno bastan para dar los selectores por buenos
+async function selectorsWork(webContents, { itemSelector, fields }) {
+  try {
+    const sample = await readRecords(webContents, itemSelector, fields, INFERENCE_SAMPLE);
+    return sample.records.some(record => Object.values(record).some(value => Array.isArray(value) ? value.length > 0 : value));
+  } catch {
+    return false;
+  }
+}
+
+// =============================================================================
+// PAGINACIÓN Y CARGA
+// =============================================================================
+
+// Pulsa "Cargar más" mientras el número de elementos crezca; devuelve los clicks
+async function loadAllItems(context, itemSelector, options) {
+  const { webContents, signal } = context;
+  let count = await countItems(webContents, itemSelector);
+  let clicks = 0;
+
+  while (clicks < options.pagination.maxLoadMore && count < options.maxRecords) {
+    signal?.throwIfAborted();
+    const result = await paginate(webContents, 'loadMore', options.pagination.loadMore);
+    if (!result.found) break;
+    clicks++;
+
+    const deadline = Date.now() + LOAD_MORE_WAIT_MS;
+    let current = count;
+    while (current <= count && Date.now() < deadline) {
+      await delay(300, signal);
+      current = await countItems(webContents, itemSelector);
+    }
+    if (current <= count) break;
+    count = current;
+  }
+  return clicks;
+}
+
+async function loadPage({ webContents, signal, beforeNavigate }, url) {
+  if (beforeNavigate) await beforeNavigate(url);
+  try {
+    await webContents.loadURL(url);
+  } catch (error) {
+    // Una redirección en el cliente aborta la carga original sin que sea un fallo
+    if (error.code !== 'ERR_ABORTED') throw error;
+  }
+  await waitForIdle({ webContents, signal });
+}
+
+// Espera a que la pestaña deje de cargar y da un margen a los scripts de la página
+async function waitForIdle({ webContents, signal }) {
+  await delay(SETTLE_MS, signal);
+  if (!webContents.isLoading()) return;
+
+  await new Promise(resolve => {
+    const finish = () => {
+      clearTimeout(timeout);
+      webContents.removeListener('did-stop-loading', finish);
+      signal?.removeEventListener('abort', finish);
+      resolve();
+    };
+    const timeout = setTimeout(finish, LOAD_TIMEOUT_MS);
+    webContents.on('did-stop-loading', finish);
+    signal?.addEventListener('abort', finish, { once: true });
+  });
+  signal?.throwIfAborted();
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export { extractStructuredData, normalizeExtractionSpec };
@@ -0,0 +1,758 @@
+// =============================================================================
+// DOWNLOAD MANAGER - GESTOR DE DESCARGAS
+// Cola con pausa/reanudación, reglas de guardado, verificación de checksum
+// e historial persistente de descargas
+// =============================================================================
+
+import { app, session } from 'electron';
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { createReadStream, existsSync, mkdirSync } from 'fs';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as os from 'os';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+const ACTIVE_STATES = new Set(['queued', 'progressing', 'paused']);
+const FINAL_STATES = new Set(['completed', 'cancelled', 'interrupted', 'checksum_failed']);
+
+// Longitud del digest hexadecimal -> algoritmo
+const HEX_ALGORITHMS = { 32: 'md5', 40: 'sha1', 64: 'sha256', 96: 'sha384', 128: 'sha512' };
+
+const PROGRESS_INTERVAL = 250;
+const MAX_HISTORY = 1000;
+
+class DownloadManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = new PersistentStore('downloads', { subdirectory: 'downloads-data' });
+    this.records = new Map();      // id -> registro público (persistido)
+    this.items = new Map();        // id -> DownloadItem de Electron (solo en esta ejecución)
+    this.waiters = new Map();      // id -> [{ resolve, reject, timer }]
+    this.pendingRequests = [];     // Descargas iniciadas por código que esperan su will-download
+    this.attachedSessions = new WeakSet();
+    this.pickedDirectories = new Set(); // Directorios elegidos por el usuario en un diálogo
+    this.resolveTabId = options.resolveTabId || (() => null);
+    this.rules = [];
+    this.settings = {
+      maxConcurrent: 3,
+      defaultDirectory: null,
+      verifyChecksums: true,
+      detectPageChecksums: true
+    };
+    this.nextId = 1;
+  }
+
+  async initialize() {
+    console.log('📥 Inicializando Gestor de Descargas...');
+
+    try {
+      const saved = await this.store.read({ downloads: [], rules: [], settings: {} });
+      this.rules = saved.rules || [];
+      this.settings = { ...this.settings, ...(saved.settings || {}) };
+
+      for (const record of saved.downloads || []) {
+        // Lo que estaba en curso al cerrar la aplicación quedó interrumpido
+        if (ACTIVE_STATES.has(record.state)) {
+          record.state = 'interrupted';
+          record.canResume = !!(record.savePath && (record.eTag || record.lastModified));
+        }
+        this.records.set(record.id, record);
+      }
+      this.nextId = this.records.size + 1;
+
+      console.log(`✅ Gestor de Descargas listo: ${this.records.size} descargas en historial`);
+    } catch (error) {
+      console.error('❌ Error cargando historial de descargas:', error);
+    }
+  }
+
+  attachSession(targetSession) {
+    if (!targetSession || this.attachedSessions.has(targetSession)) return;
+    this.attachedSessions.add(targetSession);
+
+    targetSession.on('will-download', (event, item, webContents) => {
+      try {
+        this.handleWillDownload(targetSession, item, webContents);
+      } catch (error) {
+        console.error('❌ Error preparando descarga:', error);
+      }
+    });
+  }
+
+  // =============================================================================
+  // CICLO DE VIDA DE UNA DESCARGA
+  // =============================================================================
+
+  handleWillDownload(targetSession, item, webContents) {
+    const urlChain = item.getURLChain ? item.getURLChain() : [item.getURL()];
+    const request = this.takePendingRequest(urlChain);
+
+    // Reanudación de una descarga interrumpida en una ejecución anterior
+    const existing = request?.resumeId ? this.records.get(request.resumeId) : null;
+    const id = existing?.id || `download-${Date.now()}-${this.nextId++}`;
+    const sourceUrl = this.getSourceUrl(webContents);
+
+    const record = existing || {
+      id,
+      url: item.getURL(),
+      urlChain,
+      filename: request?.filename || item.getFilename(),
+      mimeType: item.getMimeType(),
+      totalBytes: item.getTotalBytes(),
+      receivedBytes: 0,
+      state: 'progressing',
+      startTime: Date.now(),
+      endTime: null,
+      speed: 0,
+      savePath: null,
+      sourceUrl,
+      tabId: webContents ? this.resolveTabId(webContents) : null,
+      initiator: request?.initiator || 'user',
+      rule: null,
+      checksum: null,
+      error: null
+    };
+
+    record.state = 'progressing';
+    record.error = null;
+    // Guardar desde el principio lo necesario para reanudar tras un cierre inesperado
+    record.eTag = item.getETag();
+    record.lastModified = item.getLastModifiedTime();
+    this.records.set(id, record);
+    this.items.set(id, item);
+
+    if (!existing) {
+      const rule = this.matchRule(record);
+      record.rule = rule?.id || null;
+
+      if (rule?.prompt && !request) {
+        // La regla pide preguntar: Electron muestra su diálogo de guardado
+        item.setSaveDialogOptions({
+          defaultPath: path.join(this.resolveDirectory(rule, record), record.filename)
+        });
+      } else {
+        record.savePath = this.reservePath(request?.directory || this.resolveDirectory(rule, record), record.filename);
+        item.setSavePath(record.savePath);
+      }
+
+      if (request?.expectedHash) {
+        record.checksum = this.parseExpectedHash(request.expectedHash, 'caller');
+      } else if (this.settings.detectPageChecksums && webContents && !webContents.isDestroyed()) {
+        this.detectPageChecksum(webContents, record);
+      }
+    }
+
+    this.trackItem(id, item);
+
+    // Respetar el límite de descargas simultáneas
+    if (this.countProgressing() > this.settings.maxConcurrent) {
+      item.pause();
+      record.state = 'queued';
+    }
+
+    console.log(`📥 Descarga iniciada: ${record.filename} (${record.state})`);
+    this.emitUpdate(record, 'started');
+    this.save();
+
+    if (request?.onStart) {
+      request.onStart(record);
+    }
+  }
+
+  trackItem(id, item) {
+    let lastEmit = 0;
+    let lastBytes = item.getReceivedBytes();
+    let lastTime = Date.now();
+
+    item.on('updated', (event, state) => {
+      const record = this.records.get(id);
+      if (!record) return;
+
+      const now = Date.now();
+      record.receivedBytes = item.getReceivedBytes();
+      record.totalBytes = item.getTotalBytes();
+      if (!record.savePath) record.savePath = item.getSavePath();
+
+      if (state === 'interrupted') {
+        const wasProgressing = record.state === 'progressing';
+        record.state = 'interrupted';
+        record.canResume = item.canResume();
+        // Una descarga interrumpida deja su hueco a la siguiente de la cola
+        if (wasProgressing) this.startNextQueued();
+      } else if (record.state !== 'queued') {
+        record.state = item.isPaused() ? 'paused' : 'progressing';
+      }
+
+      if (now - lastTime >= 1000) {
+        record.speed = Math.round((record.receivedBytes - lastBytes) * 1000 / (now - lastTime));
+        lastBytes = record.receivedBytes;
+        lastTime = now;
+      }
+
+      if (now - lastEmit >= PROGRESS_INTERVAL) {
+        lastEmit = now;
+        this.emitUpdate(record, 'progress');
+      }
+    });
+
+    item.once('done', async (event, state) => {
+      const record = this.records.get(id);
+      this.items.delete(id);
+      if (!record) return;
+
+      record.receivedBytes = item.getReceivedBytes();
+      record.savePath = item.getSavePath() || record.savePath;
+      record.endTime = Date.now();
+      record.speed = 0;
+      record.state = state;
+
+      // Datos necesarios para reanudar tras reiniciar la aplicación
+      if (state === 'interrupted') {
+        record.eTag = item.getETag();
+        record.lastModified = item.getLastModifiedTime();
+        record.canResume = !!(record.eTag || record.lastModified);
+      }
+
+      if (state === 'completed' && record.checksum && this.settings.verifyChecksums) {
+        await this.verifyChecksum(record);
+      }
+
+      console.log(`📥 Descarga ${record.state}: ${record.filename}`);
+      this.emitUpdate(record, 'done');
+      this.settleWaiters(record);
+      this.startNextQueued();
+      this.save();
+    });
+  }
+
+  // =============================================================================
+  // CONTROL DE LA COLA
+  // =============================================================================
+
+  async startDownload(url, options = {}) {
+    if (!url) {
+      throw new Error('URL de descarga requerida');
+    }
+
+    const request = {
+      url,
+      filename: options.filename || null,
+      directory: this.resolveRequestDirectory(options.directory),
+      expectedHash: options.expectedHash || null,
+      initiator: options.initiator || 'agent',
+      createdAt: Date.now()
+    };
+
+    const started = this.waitForRequest(request, options.startTimeout || 30000);
+    this.pendingRequests.push(request);
+
+    const webContents = options.webContents;
+    if (webContents && !webContents.isDestroyed()) {
+      webContents.downloadURL(url);
+    } else {
+      (options.session || session.defaultSession).downloadURL(url);
+    }
+
+    return started;
+  }
+
+  async download(url, options = {}) {
+    const { id } = await this.startDownload(url, options);
+    return this.waitForDownload(id, { timeout: options.timeout });
+  }
+
+  waitForDownload(id, options = {}) {
+    const record = this.records.get(id);
+    if (!record) {
+      return Promise.reject(new Error(`Descarga no encontrada: ${id}`));
+    }
+    if (FINAL_STATES.has(record.state)) {
+      return Promise.resolve({ ...record });
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      if (options.timeout) {
+        waiter.timer = setTimeout(() => {
+          this.removeWaiter(id, waiter);
+          reject(new Error(`Tiempo de espera agotado para la descarga ${id}`));
+        }, options.timeout);
+      }
+      if (!this.waiters.has(id)) this.waiters.set(id, []);
+      this.waiters.get(id).push(waiter);
+    });
+  }
+
+  pause(id) {
+    const item = this.items.get(id);
+    const record = this.records.get(id);
+    if (!item || !record) return false;
+
+    item.pause();
+    record.state = 'paused';
+    this.emitUpdate(record, 'paused');
+    this.startNextQueued();
+    this.save();
+    return true;
+  }
+
+  async resume(id) {
+    const record = this.records.get(id);
+    if (!record) return false;
+
+    const item = this.items.get(id);
+    if (item) {
+      if (!item.canResume()) return false;
+      // Una descarga reanudada por el usuario pasa delante de la cola
+      item.resume();
+      record.state = 'progressing';
+      this.emitUpdate(record, 'resumed');
+      this.save();
+      return true;
+    }
+
+    // Sin DownloadItem vivo: recrear la descarga interrumpida desde el historial
+    if (record.state === 'interrupted' && record.canResume) {
+      return this.resumeInterrupted(record);
+    }
+    return false;
+  }
+
+  async resumeInterrupted(record) {
+    let offset = 0;
+    try {
+      offset = (await fs.stat(record.savePath)).size;
+    } catch {
+      offset = 0;
+    }
+
+    this.pendingRequests.push({
+      url: record.url,
+      resumeId: record.id,
+      createdAt: Date.now()
+    });
+
+    session.defaultSession.createInterruptedDownload({
+      path: record.savePath,
+      urlChain: record.urlChain || [record.url],
+      mimeType: record.mimeType,
+      offset,
+      length: record.totalBytes,
+      lastModified: record.lastModified,
+      eTag: record.eTag,
+      startTime: record.startTime / 1000
+    });
+    return true;
+  }
+
+  cancel(id) {
+    const item = this.items.get(id);
+    if (item) {
+      item.cancel();
+      return true;
+    }
+
+    const record = this.records.get(id);
+    if (record && record.state === 'interrupted') {
+      record.state = 'cancelled';
+      record.canResume = false;
+      this.emitUpdate(record, 'done');
+      this.settleWaiters(record);
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  startNextQueued() {
+    for (const [id, record] of this.records) {
+      if (this.countProgressing() >= this.settings.maxConcurrent) return;
+      if (record.state !== 'queued') continue;
+
+      const item = this.items.get(id);
+      if (item && item.canResume()) {
+        item.resume();
+        record.state = 'progressing';
+        this.emitUpdate(record, 'resumed');
+      }
+    }
+  }
+
+  countProgressing() {
+    let count = 0;
+    for (const record of this.records.values()) {
+      if (record.state === 'progressing') count++;
+    }
+    return count;
+  }
+
+  // =============================================================================
+  // HISTORIAL
+  // =============================================================================
+
+  getDownloads(filter = {}) {
+    return Array.from(this.records.values())
+      .filter(record => !filter.state || record.state === filter.state)
+      .sort((a, b) => b.startTime - a.startTime)
+      .map(record => ({ ...record }));
+  }
+
+  getDownload(id) {
+    const record = this.records.get(id);
+    return record ? { ...record } : null;
+  }
+
+  removeFromHistory(id) {
+    if (this.items.has(id)) {
+      throw new Error('No se puede quitar del historial una descarga activa');
+    }
+    const removed = this.records.delete(id);
+    if (removed) this.save();
+    return removed;
+  }
+
+  clearHistory() {
+    let removed = 0;
+    for (const [id, record] of this.records) {
+      if (FINAL_STATES.has(record.state) && !this.items.has(id)) {
+        this.records.delete(id);
+        removed++;
+      }
+    }
+    this.save();
+    return removed;
+  }
+
+  // =============================================================================
+  // REGLAS DE GUARDADO
+  // =============================================================================
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  setRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Las reglas de descarga deben ser una lista');
+    }
+
+    this.rules = rules.map((rule, index) => {
+      if (!rule.mimeType && !rule.domain && !rule.extension) {
+        throw new Error(`La regla ${index + 1} necesita un tipo MIME, dominio o extensión`);
+      }
+      return {
+        id: rule.id || `rule-${Date.now()}-${index}`,
+        mimeType: rule.mimeType || null,
+        domain: rule.domain ? rule.domain.toLowerCase().replace(/^www\./, '') : null,
+        extension: rule.extension ? rule.extension.toLowerCase().replace(/^\.?/, '.') : null,
+        directory: rule.directory || null,
+        subfolder: rule.subfolder || null,
+        prompt: !!rule.prompt,
+        enabled: rule.enabled !== false
+      };
+    });
+
+    this.save();
+    return this.getRules();
+  }
+
+  matchRule(record) {
+    const host = DownloadManager.getHost(record.sourceUrl) || DownloadManager.getHost(record.url);
+    const extension = path.extname(record.filename || '').toLowerCase();
+
+    // La primera regla que cumple todas sus condiciones gana
+    return this.rules.find(rule => {
+      if (!rule.enabled) return false;
+      if (rule.mimeType && !DownloadManager.matchesMime(record.mimeType, rule.mimeType)) return false;
+      if (rule.domain && !(host === rule.domain || host.endsWith(`.${rule.domain}`))) return false;
+      if (rule.extension && extension !== rule.extension) return false;
+      return true;
+    }) || null;
+  }
+
+  resolveDirectory(rule, record) {
+    const base = rule?.directory || this.settings.defaultDirectory || DownloadManager.getDefaultDirectory();
+    if (!rule?.subfolder) return base;
+
+    const host = DownloadManager.getHost(record.sourceUrl || record.url) || 'otros';
+    const subfolder = rule.subfolder
+      .replace('{domain}', host)
+      .replace('{date}', new Date().toISOString().slice(0, 10));
+    return path.join(base, subfolder);
+  }
+
+  // Quien inicia una descarga solo puede elegir un directorio dentro del de
+  // descargas configurado, el de una regla o uno que el usuario haya escogido
+  resolveRequestDirectory(directory) {
+    if (!directory) return null;
+
+    const base = this.settings.defaultDirectory || DownloadManager.getDefaultDirectory();
+    const resolved = path.resolve(base, String(directory));
+    const allowed = [base, ...this.rules.map(rule => rule.directory).filter(Boolean), ...this.pickedDirectories];
+    if (!allowed.some(root => DownloadManager.isInside(resolved, root))) {
+      throw new Error(`Directorio de descarga no permitido: ${directory}`);
+    }
+    return resolved;
+  }
+
+  allowDirectory(directory) {
+    this.pickedDirectories.add(path.resolve(directory));
+  }
+
+  reservePath(directory, filename) {
+    // Evitar sobrescribir archivos existentes o descargas en curso: "archivo (1).zip"
+    const safeName = DownloadManager.sanitizeFilename(filename);
+    const extension = path.extname(safeName);
+    const stem = safeName.slice(0, safeName.length - extension.length);
+    const taken = new Set(Array.from(this.records.values(), record => record.savePath));
+    mkdirSync(directory, { recursive: true });
+
+    for (let attempt = 0; ; attempt++) {
+      const candidate = path.join(directory, attempt === 0 ? safeName : `${stem} (${attempt})${extension}`);
+      if (!taken.has(candidate) && !DownloadManager.fileExists(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  updateSettings(changes = {}) {
+    for (const key of Object.keys(this.settings)) {
+      if (key in changes) this.settings[key] = changes[key];
+    }
+    this.save();
+    this.startNextQueued();
+    return { ...this.settings };
+  }
+
+  // =============================================================================
+  // VERIFICACIÓN DE CHECKSUM
+  // =============================================================================
+
+  parseExpectedHash(value, source) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    // Formato SRI: "sha256-<base64>"
+    const sri = text.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/=]+)$/);
+    if (sri) {
+      return { algorithm: sri[1], expected: Buffer.from(sri[2], 'base64').toString('hex'), source, verified: null };
+    }
+
+    // Formato "algoritmo:hex" o hex plano
+    const prefixed = text.match(/^(md5|sha1|sha256|sha384|sha512)[:=]\s*([a-f0-9]+)$/i);
+    const hex = (prefixed ? prefixed[2] : text).toLowerCase();
+    const algorithm = prefixed ? prefixed[1].toLowerCase() : HEX_ALGORITHMS[hex.length];
+
+    if (!algorithm || !/^[a-f0-9]+$/.test(hex)) {
+      console.warn(`⚠️ Checksum no reconocido ignorado: ${text.slice(0, 40)}`);
+      return null;
+    }
+    return { algorithm, expected: hex, source, verified: null };
+  }
+
+  async verifyChecksum(record) {
+    try {
+      const actual = await DownloadManager.hashFile(record.savePath, record.checksum.algorithm);
+      record.checksum.actual = actual;
+      record.checksum.verified = actual === record.checksum.expected;
+
+      if (!record.checksum.verified) {
+        record.state = 'checksum_failed';
+        record.error = `Checksum ${record.checksum.algorithm} no coincide`;
+        console.warn(`⚠️ Checksum incorrecto para ${record.filename}`);
+      } else {
+        console.log(`✅ Checksum verificado para ${record.filename}`);
+      }
+    } catch (error) {
+      record.checksum.verified = false;
+      record.error = `No se pudo verificar el checksum: ${error.message}`;
+    }
+  }
+
+  detectPageChecksum(webContents, record) {
+    // Buscar el hash junto al enlace (data-*/integrity) o en el texto de la página
+    const script = `(() => {
+      const target = ${JSON.stringify(record.url)};
+      const filename = ${JSON.stringify(record.filename)};
+      const link = Array.from(document.querySelectorAll('a[href]')).find(a => a.href === target);
+      if (link) {
+        for (const name of ['integrity', 'data-checksum', 'data-sha256', 'data-sha512', 'data-sha1', 'data-md5', 'data-hash']) {
+          const value = link.getAttribute(name);
+          if (value) return name.startsWith('data-sha') || name === 'data-md5' ? name.slice(5) + ':' + value : value;
+        }
+      }
+      const text = document.body ? document.body.innerText : '';
+      const lines = text.split('\\n').filter(line => line.includes(filename));
+      for (const line of lines) {
+        const match = line.match(/\\b([a-f0-9]{128}|[a-f0-9]{96}|[a-f0-9]{64}|[a-f0-9]{40}|[a-f0-9]{32})\\b/i);
+        if (match) return match[1];
+      }
+      return null;
+    })()`;
+
+    webContents.executeJavaScript(script)
+      .then(found => {
+        if (!found || record.checksum) return;
+        record.checksum = this.parseExpectedHash(found, 'page');
+        if (record.checksum) {
+          console.log(`🔐 Checksum detectado en la página para ${record.filename}`);
+          // Si la descarga ya terminó mientras se buscaba, verificar ahora
+          if (record.state === 'completed' && this.settings.verifyChecksums) {
+            this.verifyChecksum(record).then(() => {
+              this.emitUpdate(record, 'done');
+              this.save();
+            });
+          }
+        }
+      })
+      .catch(() => {});
+  }
+
+  // =============================================================================
+  // EVENTOS Y PERSISTENCIA
+  // =============================================================================
+
+  emitUpdate(record, reason) {
+    this.emit('download-updated', { ...record, reason });
+    if (reason === 'done') {
+      this.emit('download-done', { ...record });
+    }
+  }
+
+  settleWaiters(record) {
+    const waiters = this.waiters.get(record.id) || [];
+    this.waiters.delete(record.id);
+    for (const waiter of waiters) {
+      clearTimeout(waiter.timer);
+      waiter.resolve({ ...record });
+    }
+  }
+
+  removeWaiter(id, waiter) {
+    const list = (this.waiters.get(id) || []).filter(candidate => candidate !== waiter);
+    if (list.length > 0) this.waiters.set(id, list);
+    else this.waiters.delete(id);
+  }
+
+  waitForRequest(request, timeout) {
+    return new Promise((resolve, reject) => {
+      request.timer = setTimeout(() => {
+        this.pendingRequests = this.pendingRequests.filter(candidate => candidate !== request);
+        reject(new Error(`La descarga no comenzó: ${request.url}`));
+      }, timeout);
+      request.onStart = (record) => {
+        clearTimeout(request.timer);
+        resolve({ id: record.id, download: { ...record } });
+      };
+    });
+  }
+
+  takePendingRequest(urlChain) {
+    const index = this.pendingRequests.findIndex(request => urlChain.includes(request.url));
+    if (index === -1) return null;
+
+    const [request] = this.pendingRequests.splice(index, 1);
+    return request;
+  }
+
+  getSourceUrl(webContents) {
+    try {
+      return webContents && !webContents.isDestroyed() ? webContents.getURL() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  save() {
+    // Mantener el historial acotado: se descartan primero las más antiguas terminadas
+    const overflow = this.records.size - MAX_HISTORY;
+    if (overflow > 0) {
+      const oldestFinished = this.getDownloads()
+        .filter(record => FINAL_STATES.has(record.state))
+        .reverse()
+        .slice(0, overflow);
+      for (const record of oldestFinished) {
+        this.records.delete(record.id);
+      }
+    }
+
+    this.store.scheduleWrite({
+      version: 1,
+      savedAt: Date.now(),
+      settings: this.settings,
+      rules: this.rules,
+      downloads: Array.from(this.records.values())
+    });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+
+  getStats() {
+    const stats = { total: this.records.size, active: 0, queued: 0, completed: 0, failed: 0 };
+    for (const record of this.records.values()) {
+      if (record.state === 'progressing' || record.state === 'paused') stats.active++;
+      else if (record.state === 'queued') stats.queued++;
+      else if (record.state === 'completed') stats.completed++;
+      else if (record.state === 'interrupted' || record.state === 'checksum_failed') stats.failed++;
+    }
+    return stats;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static getDefaultDirectory() {
+    try {
+      return app.getPath('downloads');
+    } catch {
+      return path.join(os.homedir(), 'Downloads');
+    }
+  }
+
+  static isInside(target, root) {
+    const relative = path.relative(path.resolve(root), target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  static getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  static matchesMime(mimeType, pattern) {
+    if (!mimeType) return false;
+    const [type] = mimeType.toLowerCase().split(';');
+    const expected = pattern.toLowerCase();
+    return expected.endsWith('/*')
+      ? type.startsWith(expected.slice(0, -1))
+      : type.trim() === expected;
+  }
+
+  static sanitizeFilename(filename) {
+    const cleaned = String(filename || 'descarga').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').trim();
+    return cleaned || 'descarga';
+  }
+
+  static fileExists(filePath) {
+    return existsSync(filePath);
+  }
+
+  static hashFile(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+      const hash = createHash(algorithm);
+      createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+}
+
+export { DownloadManager };
@@ -679,15 +679,15 @@ class GitHubIntegration extends EventEmitter {
   async handlePushWebhook(payload) {
     console.log(`📦 Push received: ${payload.repository.full_name} - ${payload.ref}`);
     
-    const repositoryInfo = this.getRepositoryByFullName(payload.repository.full_name);
-    if (repositoryInfo) {
-      this.emit('pushReceived', { 
-        repositoryInfo, 
-        payload,
-        branch: payload.ref.replace('refs/heads/', ''),
-        commits: payload.commits
-      });
-    }
+    // Also emitted for repositories that are not connected: scheduled agent
+    // tasks can be triggered by pushes to any repository (repositoryInfo = null)
+    const repositoryInfo = this.getRepositoryByFullName(payload.repository.full_name) || null;
+    this.emit('pushReceived', { 
+      repositoryInfo, 
+      payload,
+      branch: payload.ref.replace('refs/heads/', ''),
+      commits: payload.commits
+    });
   }
 
   async handlePullRequestWebhook(payload) {
@@ -0,0 +1,559 @@
+// =============================================================================
+// LLM PROVIDERS - CAPA COMÚN PARA LOS MODELOS DE LENGUAJE DEL AGENTE
+// Una sola interfaz para chat, llamadas a herramientas, streaming y embeddings
+// con adaptadores para Anthropic, OpenAI, servidores locales compatibles con
+// OpenAI (LM Studio, vLLM, llama.cpp...) y Ollama, más un proveedor simulado
+// con respuestas grabadas para ejecutar el agente sin red
+//
+// Petición: { purpose, system, messages: [{ role: 'user' | 'assistant' | 'tool',
+//   content, toolCalls?, toolCallId? }], tools?: [{ name, description, parameters }],
+//   toolChoice?: 'auto' | 'none' | { name }, temperature?, maxTokens?, signal? }
+// Respuesta: { content, toolCalls: [{ id, name, arguments }], stopReason, usage, provider, model }
+// =============================================================================
+
+import { MockLLMProvider, RecordingLLMProvider } from './mock-llm-provider.js';
+
+const PROVIDER_TIMEOUT = 60000;
+const DEFAULT_MAX_TOKENS = 1024;
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.model = options.model;
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.timeout = options.timeout || PROVIDER_TIMEOUT;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  // Eventos: { type: 'text', text }, { type: 'tool_call', toolCall } y
+  // { type: 'done', response }. Sin streaming nativo se emite la respuesta entera
+  async *stream(request) {
+    const response = await this.chat(request);
+    if (response.content) yield { type: 'text', text: response.content };
+    for (const toolCall of response.toolCalls) yield { type: 'tool_call', toolCall };
+    yield { type: 'done', response };
+  }
+
+  async embed() {
+    throw new Error(`${this.name}: el proveedor no ofrece embeddings`);
+  }
+
+  async post(path, body, { headers = {}, signal = null, stream = false } = {}) {
+    const timeout = AbortSignal.timeout(this.timeout);
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name}: HTTP ${response.status} ${await response.text().catch(() => '')}`.trim());
+    }
+    return stream ? response : await response.json();
+  }
+
+  finish(content, toolCalls, stopReason, usage) {
+    return {
+      content,
+      toolCalls,
+      stopReason: toolCalls.length > 0 ? 'tool_calls' : stopReason,
+      usage,
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, baseUrl: this.baseUrl };
+  }
+}
+
+// =============================================================================
+// ANTHROPIC (MESSAGES API)
+// =============================================================================
+
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || 'claude-3-5-sonnet-latest',
+      baseUrl: options.baseUrl || 'https://api.anthropic.com'
+    });
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY || null;
+  }
+
+  async chat(request) {
+    const result = await this.post('/v1/messages', this.buildBody(request), this.requestOptions(request));
+    const content = result.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    const toolCalls = result.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+    return this.finish(content, toolCalls, STOP_REASONS[result.stop_reason] || 'end', {
+      inputTokens: result.usage?.input_tokens || 0,
+      outputTokens: result.usage?.output_tokens || 0
+    });
+  }
+
+  async *stream(request) {
+    const response = await this.post('/v1/messages', { ...this.buildBody(request), stream: true }, {
+      ...this.requestOptions(request),
+      stream: true
+    });
+
+    let content = '';
+    let stopReason = 'end';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const blocks = new Map(); // índice -> llamada a herramienta en construcción
+    const toolCalls = [];
+
+    for await (const event of readServerSentEvents(response)) {
+      switch (event.type) {
+        case 'message_start':
+          usage.inputTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            blocks.set(event.index, { id: event.content_block.id, name: event.content_block.name, json: '' });
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            content += event.delta.text;
+            yield { type: 'text', text: event.delta.text };
+          } else if (event.delta?.type === 'input_json_delta') {
+            blocks.get(event.index).json += event.delta.partial_json;
+          }
+          break;
+        case 'content_block_stop': {
+          const block = blocks.get(event.index);
+          if (block) {
+            const toolCall = { id: block.id, name: block.name, arguments: parseArguments(block.json) };
+            toolCalls.push(toolCall);
+            yield { type: 'tool_call', toolCall };
+          }
+          break;
+        }
+        case 'message_delta':
+          stopReason = STOP_REASONS[event.delta?.stop_reason] || stopReason;
+          usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+          break;
+        case 'error':
+          throw new Error(`${this.name}: ${event.error?.message || 'error en el streaming'}`);
+      }
+    }
+
+    yield { type: 'done', response: this.finish(content, toolCalls, stopReason, usage) };
+  }
+
+  buildBody(request) {
+    const body = {
+      model: this.model,
+      max_tokens: request.maxTokens || this.maxTokens,
+      messages: toAnthropicMessages(request.messages),
+      ...(request.system ? { system: request.system } : {}),
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {})
+    };
+    if (request.tools?.length && request.toolChoice !== 'none') {
+      body.tools = request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description || '',
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      }));
+      body.tool_choice = request.toolChoice?.name ? { type: 'tool', name: request.toolChoice.name } : { type: 'auto' };
+    }
+    return body;
+  }
+
+  requestOptions(request) {
+    return {
+      headers: {
+        ...(this.apiKey ? { 'x-api-key': this.apiKey } : {}),
+        'anthropic-version': '2023-06-01'
+      },
+      signal: request.signal
+    };
+  }
+}
+
+// Los resultados de herramientas consecutivos van en un único mensaje de usuario
+function toAnthropicMessages(messages) {
+  const converted = [];
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: String(message.content ?? '') };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content[0]?.type === 'tool_result') {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(toolCall => ({ type: 'tool_use', id: toolCall.id, name: toolCall.name, input: toolCall.arguments }))
+        ]
+      });
+    } else {
+      converted.push({ role: message.role, content: String(message.content ?? '') });
+    }
+  }
+  return converted;
+}
+
+// =============================================================================
+// OPENAI Y SERVIDORES COMPATIBLES (CHAT COMPLETIONS)
+// =============================================================================
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || 'gpt-4o-mini',
+      baseUrl: options.baseUrl || 'https://api.openai.com/v1'
+    });
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    this.embeddingModel = options.embeddingModel || 'text-embedding-3-small';
+  }
+
+  async chat(request) {
+    const result = await this.post('/chat/completions', this.buildBody(request), this.requestOptions(request));
+    const choice = result.choices?.[0] || {};
+    const toolCalls = (choice.message?.tool_calls || []).map(toolCall => ({
+      id: toolCall.id,
+      name: toolCall.function.name,
+      arguments: parseArguments(toolCall.function.arguments)
+    }));
+    return this.finish(choice.message?.content || '', toolCalls, STOP_REASONS[choice.finish_reason] || 'end', {
+      inputTokens: result.usage?.prompt_tokens || 0,
+      outputTokens: result.usage?.completion_tokens || 0
+    });
+  }
+
+  async *stream(request) {
+    const response = await this.post('/chat/completions', {
+      ...this.buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { ...this.requestOptions(request), stream: true });
+
+    let content = '';
+    let stopReason = 'end';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const partial = []; // índice -> { id, name, json }
+
+    for await (const chunk of readServerSentEvents(response)) {
+      if (chunk.usage) {
+        usage.inputTokens = chunk.usage.prompt_tokens || 0;
+        usage.outputTokens = chunk.usage.completion_tokens || 0;
+      }
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.delta?.content) {
+        content += choice.delta.content;
+        yield { type: 'text', text: choice.delta.content };
+      }
+      for (const delta of choice.delta?.tool_calls || []) {
+        const entry = partial[delta.index] ??= { id: null, name: '', json: '' };
+        if (delta.id) entry.id = delta.id;
+        if (delta.function?.name) entry.name += delta.function.name;
+        if (delta.function?.arguments) entry.json += delta.function.arguments;
+      }
+      if (choice.finish_reason) stopReason = STOP_REASONS[choice.finish_reason] || stopReason;
+    }
+
+    const toolCalls = partial.filter(Boolean).map(entry => ({ id: entry.id, name: entry.name, arguments: parseArguments(entry.json) }));
+    for (const toolCall of toolCalls) yield { type: 'tool_call', toolCall };
+    yield { type: 'done', response: this.finish(content, toolCalls, stopReason, usage) };
+  }
+
+  async embed(texts) {
+    const result = await this.post('/embeddings', { model: this.embeddingModel, input: texts }, this.requestOptions({}));
+    return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  buildBody(request) {
+    const body = {
+      model: this.model,
+      max_tokens: request.maxTokens || this.maxTokens,
+      messages: toOpenAIMessages(request),
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {})
+    };
+    if (request.tools?.length) {
+      body.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description || '',
+          parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+      }));
+      body.tool_choice = request.toolChoice?.name
+        ? { type: 'function', function: { name: request.toolChoice.name } }
+        : request.toolChoice || 'auto';
+    }
+    return body;
+  }
+
+  requestOptions(request) {
+    return {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      signal: request.signal
+    };
+  }
+}
+
+// Endpoint local: sin clave por defecto y con la URL de LM Studio
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || 'local-model',
+      baseUrl: options.baseUrl || 'http://localhost:1234/v1',
+      apiKey: options.apiKey || 'not-needed'
+    });
+    this.name = 'openai-compatible';
+    this.apiKey = options.apiKey || null;
+  }
+}
+
+function toOpenAIMessages(request) {
+  const messages = request.system ? [{ role: 'system', content: request.system }] : [];
+  for (const message of request.messages) {
+    if (message.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: message.toolCallId, content: String(message.content ?? '') });
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      messages.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments ?? {}) }
+        }))
+      });
+    } else {
+      messages.push({ role: message.role, content: String(message.content ?? '') });
+    }
+  }
+  return messages;
+}
+
+// =============================================================================
+// OLLAMA
+// =============================================================================
+
+class OllamaProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || 'llama3.1',
+      baseUrl: options.baseUrl || 'http://localhost:11434'
+    });
+    this.name = 'ollama';
+    this.embeddingModel = options.embeddingModel || 'nomic-embed-text';
+  }
+
+  async chat(request) {
+    const result = await this.post('/api/chat', { ...this.buildBody(request), stream: false }, { signal: request.signal });
+    return this.finish(result.message?.content || '', toolCallsFromOllama(result.message), 'end', {
+      inputTokens: result.prompt_eval_count || 0,
+      outputTokens: result.eval_count || 0
+    });
+  }
+
+  // Ollama transmite JSON por líneas en lugar de eventos SSE
+  async *stream(request) {
+    const response = await this.post('/api/chat', { ...this.buildBody(request), stream: true }, { signal: request.signal, stream: true });
+
+    let content = '';
+    const toolCalls = [];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    for await (const line of readLines(response)) {
+      const chunk = JSON.parse(line);
+      if (chunk.message?.content) {
+        content += chunk.message.content;
+        yield { type: 'text', text: chunk.message.content };
+      }
+      for (const toolCall of toolCallsFromOllama(chunk.message, toolCalls.length)) {
+        toolCalls.push(toolCall);
+        yield { type: 'tool_call', toolCall };
+      }
+      if (chunk.done) {
+        usage.inputTokens = chunk.prompt_eval_count || 0;
+        usage.outputTokens = chunk.eval_count || 0;
+      }
+    }
+    yield { type: 'done', response: this.finish(content, toolCalls, 'end', usage) };
+  }
+
+  async embed(texts) {
+    const result = await this.post('/api/embed', { model: this.embeddingModel, input: texts });
+    return result.embeddings;
+  }
+
+  buildBody(request) {
+    const messages = request.system ? [{ role: 'system', content: request.system }] : [];
+    for (const message of request.messages) {
+      messages.push(message.role === 'assistant' && message.toolCalls?.length
+        ? {
+          role: 'assistant',
+          content: message.content || '',
+          tool_calls: message.toolCalls.map(toolCall => ({ function: { name: toolCall.name, arguments: toolCall.arguments } }))
+        }
+        : { role: message.role, content: String(message.content ?? '') });
+    }
+    return {
+      model: this.model,
+      messages,
+      options: {
+        num_predict: request.maxTokens || this.maxTokens,
+        ...(request.temperature !== undefined ? { temperature: request.temperature } : {})
+      },
+      ...(request.tools?.length && request.toolChoice !== 'none'
+        ? { tools: request.tools.map(tool => ({ type: 'function', function: { name: tool.name, description: tool.description || '', parameters: tool.parameters } })) }
+        : {})
+    };
+  }
+}
+
+// Ollama no da ids a las llamadas: se numeran en orden
+function toolCallsFromOllama(message, offset = 0) {
+  return (message?.tool_calls || []).map((toolCall, index) => ({
+    id: `call_${offset + index}`,
+    name: toolCall.function.name,
+    arguments: typeof toolCall.function.arguments === 'string'
+      ? parseArguments(toolCall.function.arguments)
+      : toolCall.function.arguments || {}
+  }));
+}
+
+// =============================================================================
+// CREACIÓN Y CONFIGURACIÓN
+// =============================================================================
+
+const LLM_PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  mock: MockLLMProvider
+};
+
+// Sin proveedor configurado devuelve null: quien lo use sigue con sus heurísticas
+function createLLMProvider(config = {}) {
+  if (!config.provider) return null;
+
+  const Provider = LLM_PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Proveedor de LLM desconocido: ${config.provider}`);
+  }
+  const provider = new Provider(config);
+  // Graba las respuestas de un proveedor real para reproducirlas después con 'mock'
+  return config.record && config.provider !== 'mock' && config.recordingsPath
+    ? new RecordingLLMProvider(provider, config.recordingsPath)
+    : provider;
+}
+
+// Las variables de entorno mandan sobre la configuración: así CI fuerza el proveedor simulado
+function resolveLLMConfig(config = {}) {
+  const env = process.env;
+  return {
+    ...config,
+    ...(env.SILHOUETTE_LLM_PROVIDER ? { provider: env.SILHOUETTE_LLM_PROVIDER } : {}),
+    ...(env.SILHOUETTE_LLM_MODEL ? { model: env.SILHOUETTE_LLM_MODEL } : {}),
+    ...(env.SILHOUETTE_LLM_BASE_URL ? { baseUrl: env.SILHOUETTE_LLM_BASE_URL } : {}),
+    ...(env.SILHOUETTE_LLM_API_KEY ? { apiKey: env.SILHOUETTE_LLM_API_KEY } : {}),
+    ...(env.SILHOUETTE_LLM_RECORDINGS ? { recordingsPath: env.SILHOUETTE_LLM_RECORDINGS } : {}),
+    ...(env.SILHOUETTE_LLM_RECORD ? { record: env.SILHOUETTE_LLM_RECORD === '1' } : {})
+  };
+}
+
+// Respuesta estructurada: obliga al modelo a llamar a la herramienta y devuelve
+// sus argumentos; si el modelo contesta con texto, se intenta leer JSON de él
+async function requestStructured(provider, { purpose, system, prompt, tool, temperature = 0, signal = null }) {
+  const response = await provider.chat({
+    purpose,
+    system,
+    messages: [{ role: 'user', content: prompt }],
+    tools: [tool],
+    toolChoice: { name: tool.name },
+    temperature,
+    signal
+  });
+
+  const toolCall = response.toolCalls.find(call => call.name === tool.name);
+  if (toolCall) return toolCall.arguments;
+
+  const json = response.content.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      return JSON.parse(json[0]);
+    } catch {
+      // se informa abajo
+    }
+  }
+  throw new Error(`${provider.name}: el modelo no devolvió ${tool.name}`);
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+const STOP_REASONS = {
+  end_turn: 'end',
+  stop_sequence: 'end',
+  stop: 'end',
+  tool_use: 'tool_calls',
+  tool_calls: 'tool_calls',
+  max_tokens: 'max_tokens',
+  length: 'max_tokens'
+};
+
+function parseArguments(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    return { _raw: json };
+  }
+}
+
+async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+async function* readServerSentEvents(response) {
+  for await (const line of readLines(response)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    yield JSON.parse(data);
+  }
+}
+
+export {
+  LLMProvider,
+  AnthropicProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  LLM_PROVIDERS,
+  createLLMProvider,
+  resolveLLMConfig,
+  requestStructured
+};
@@ -0,0 +1,183 @@
+// =============================================================================
+// MOCK LLM PROVIDER - RESPUESTAS GRABADAS SIN RED
+// Responde de forma determinista a partir de un fichero de grabaciones para
+// que CI ejecute el agente completo sin llamar a ningún modelo. Formato:
+// { version: 1, entries: [{ key?, match?: { purpose?, contains? }, response }] }
+// 'key' es la huella de la petición (requestKey) y tiene prioridad; 'match'
+// permite escribir grabaciones a mano. RecordingLLMProvider genera el fichero
+// a partir de un proveedor real (SILHOUETTE_LLM_RECORD=1)
+// =============================================================================
+
+import { createHash } from 'crypto';
+import { readFileSync, existsSync } from 'fs';
+import fs from 'fs/promises';
+
+const RECORDINGS_VERSION = 1;
+const MOCK_EMBEDDING_DIMENSIONS = 64;
+const STREAM_CHUNK_SIZE = 16;
+
+// Huella estable de una petición: ignora modelo, temperatura y límites para que
+// las grabaciones sigan valiendo al cambiar de proveedor
+function requestKey(request) {
+  const canonical = {
+    system: request.system || '',
+    messages: (request.messages || []).map(message => ({
+      role: message.role,
+      content: String(message.content ?? ''),
+      ...(message.toolCalls?.length ? { toolCalls: message.toolCalls.map(call => [call.name, call.arguments]) } : {}),
+      ...(message.toolCallId ? { toolCallId: message.toolCallId } : {})
+    })),
+    tools: (request.tools || []).map(tool => tool.name),
+    toolChoice: request.toolChoice?.name || request.toolChoice || 'auto'
+  };
+  return createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 16);
+}
+
+class MockLLMProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || 'mock';
+    this.recordingsPath = options.recordingsPath || null;
+    // strict: una petición sin grabación es un error en lugar de la respuesta por defecto
+    this.strict = Boolean(options.strict);
+    this.entries = options.recordings?.entries || this.loadRecordings();
+    this.calls = [];
+  }
+
+  loadRecordings() {
+    if (!this.recordingsPath || !existsSync(this.recordingsPath)) {
+      return [];
+    }
+    const recordings = JSON.parse(readFileSync(this.recordingsPath, 'utf8'));
+    if (recordings.version !== RECORDINGS_VERSION || !Array.isArray(recordings.entries)) {
+      throw new Error(`Grabaciones de LLM no válidas: ${this.recordingsPath}`);
+    }
+    return recordings.entries;
+  }
+
+  async chat(request) {
+    const key = requestKey(request);
+    const entry = this.entries.find(candidate => candidate.key === key)
+      || this.entries.find(candidate => !candidate.key && matches(candidate.match, request));
+    this.calls.push({ key, purpose: request.purpose || null, matched: Boolean(entry) });
+
+    if (!entry) {
+      if (this.strict) {
+        throw new Error(`mock: sin respuesta grabada para ${request.purpose || 'la petición'} (${key})`);
+      }
+      return this.respond({ content: '' });
+    }
+    return this.respond(entry.response || {});
+  }
+
+  async *stream(request) {
+    const response = await this.chat(request);
+    for (let i = 0; i < response.content.length; i += STREAM_CHUNK_SIZE) {
+      yield { type: 'text', text: response.content.slice(i, i + STREAM_CHUNK_SIZE) };
+    }
+    for (const toolCall of response.toolCalls) yield { type: 'tool_call', toolCall };
+    yield { type: 'done', response };
+  }
+
+  // Bolsa de palabras con hash: textos parecidos dan vectores parecidos
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+      for (const word of String(text).toLowerCase().split(/\W+/).filter(Boolean)) {
+        const hash = createHash('md5').update(word).digest();
+        vector[hash[0] % MOCK_EMBEDDING_DIMENSIONS] += hash[1] & 1 ? 1 : -1;
+      }
+      const norm = Math.hypot(...vector) || 1;
+      return vector.map(value => value / norm);
+    });
+  }
+
+  respond(recorded) {
+    const toolCalls = (recorded.toolCalls || []).map((toolCall, index) => ({
+      id: toolCall.id || `call_${index}`,
+      name: toolCall.name,
+      arguments: toolCall.arguments || {}
+    }));
+    return {
+      content: recorded.content || '',
+      toolCalls,
+      stopReason: toolCalls.length > 0 ? 'tool_calls' : recorded.stopReason || 'end',
+      usage: { inputTokens: 0, outputTokens: 0 },
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, recordingsPath: this.recordingsPath, recordings: this.entries.length };
+  }
+}
+
+function matches(match, request) {
+  if (!match) return false;
+  if (match.purpose && match.purpose !== request.purpose) return false;
+  if (match.contains) {
+    const lastUser = [...(request.messages || [])].reverse().find(message => message.role === 'user');
+    if (!String(lastUser?.content ?? '').toLowerCase().includes(String(match.contains).toLowerCase())) return false;
+  }
+  return true;
+}
+
+// =============================================================================
+// GRABACIÓN
+// =============================================================================
+
+class RecordingLLMProvider {
+  constructor(provider, recordingsPath) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.model = provider.model;
+    this.recordingsPath = recordingsPath;
+    this.writing = Promise.resolve();
+  }
+
+  async chat(request) {
+    const response = await this.provider.chat(request);
+    await this.record(request, response);
+    return response;
+  }
+
+  async *stream(request) {
+    for await (const event of this.provider.stream(request)) {
+      if (event.type === 'done') await this.record(request, event.response);
+      yield event;
+    }
+  }
+
+  async embed(texts) {
+    return await this.provider.embed(texts);
+  }
+
+  // Las escrituras se encadenan para que peticiones paralelas no se pisen
+  record(request, response) {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      let recordings = { version: RECORDINGS_VERSION, entries: [] };
+      try {
+        recordings = JSON.parse(await fs.readFile(this.recordingsPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const key = requestKey(request);
+      const entry = {
+        key,
+        ...(request.purpose ? { purpose: request.purpose } : {}),
+        response: { content: response.content, toolCalls: response.toolCalls, stopReason: response.stopReason }
+      };
+      recordings.entries = [...recordings.entries.filter(candidate => candidate.key !== key), entry];
+      await fs.writeFile(this.recordingsPath, JSON.stringify(recordings, null, 2));
+    });
+    return this.writing;
+  }
+
+  describe() {
+    return { ...this.provider.describe(), recordingTo: this.recordingsPath };
+  }
+}
+
+export { MockLLMProvider, RecordingLLMProvider, requestKey, RECORDINGS_VERSION };
@@ -0,0 +1,120 @@
+import { describe, test, expect, jest, beforeAll, afterAll } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { MockLLMProvider, requestKey } from './mock-llm-provider.js';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+
+// Las grabaciones se generan con SILHOUETTE_LLM_RECORD=1 sobre un proveedor
+// real; si cambian los prompts o las herramientas hay que volver a grabarlas
+const RECORDINGS = fileURLToPath(new URL('./fixtures/agent-recordings.json', import.meta.url));
+
+const TASK = { description: 'Busca el precio del libro "Rayuela" en la librería', target: 'https://libros.example.com/' };
+const GOAL = 'Averigua el precio de "Rayuela" en la ficha del libro';
+
+// Pestaña simulada con una ficha de libro: la observación y las acciones son
+// siempre las mismas, así que las peticiones al modelo coinciden con las grabadas
+function createBookPage() {
+  const calls = [];
+  return {
+    calls,
+    getURL: () => 'https://libros.example.com/rayuela',
+    isLoading: () => false,
+    loadURL: async (url) => { calls.push(['loadURL', url]); },
+    capturePage: async () => ({ isEmpty: () => true }),
+    on: () => {},
+    removeListener: () => {},
+    executeJavaScriptInIsolatedWorld: async (worldId, [{ code }]) => {
+      if (code.includes('snapshotInPage')) {
+        calls.push(['snapshot']);
+        return {
+          url: 'https://libros.example.com/rayuela',
+          title: 'Rayuela - Julio Cortázar',
+          scroll: { y: 0, height: 1200, viewport: 800 },
+          elements: [
+            { id: 1, role: 'heading', name: 'Rayuela', level: 1 },
+            { id: 2, role: 'clickable', name: 'Precio: 21,90 €' },
+            { id: 3, role: 'button', name: 'Añadir a la cesta', tag: 'BUTTON' }
+          ],
+          text: 'Rayuela\nJulio Cortázar\nPrecio: 21,90 €\nAñadir a la cesta'
+        };
+      }
+      calls.push(['action', code.match(/\)\((.*)\)$/s)?.[1]]);
+      return 'Precio: 21,90 €';
+    }
+  };
+}
+
+describe('MockLLMProvider', () => {
+  test('la huella de la petición no depende del modelo ni de la temperatura', () => {
+    const request = { system: 's', messages: [{ role: 'user', content: 'hola' }], tools: [{ name: 'finish' }] };
+    expect(requestKey({ ...request, model: 'a', temperature: 0 })).toBe(requestKey({ ...request, model: 'b', temperature: 1 }));
+    expect(requestKey(request)).not.toBe(requestKey({ ...request, messages: [{ role: 'user', content: 'adiós' }] }));
+  });
+
+  test('sin grabación responde vacío y en modo estricto falla', async () => {
+    const request = { purpose: 'x', messages: [{ role: 'user', content: 'hola' }] };
+    await expect(new MockLLMProvider({ recordings: { entries: [] } }).chat(request)).resolves.toMatchObject({ content: '', toolCalls: [] });
+    await expect(new MockLLMProvider({ recordings: { entries: [] }, strict: true }).chat(request)).rejects.toThrow('sin respuesta grabada');
+  });
+});
+
+describe('agente con SILHOUETTE_LLM_PROVIDER=mock y grabaciones', () => {
+  const previous = {};
+  let agent;
+  let llm;
+
+  beforeAll(async () => {
+    for (const name of ['SILHOUETTE_LLM_PROVIDER', 'SILHOUETTE_LLM_RECORDINGS', 'SILHOUETTE_LLM_RECORD']) previous[name] = process.env[name];
+    process.env.SILHOUETTE_LLM_PROVIDER = 'mock';
+    process.env.SILHOUETTE_LLM_RECORDINGS = RECORDINGS;
+    delete process.env.SILHOUETTE_LLM_RECORD;
+
+    const { SilhouetteOmnipotentAgent } = await import('../../omnipotent-system/core/silhouette-omnipotent-agent.js');
+    agent = new SilhouetteOmnipotentAgent({});
+    agent.log = () => {};
+    await agent.initialize();
+    llm = agent.aiEngine.llm;
+  });
+
+  afterAll(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test('el motor de IA usa el proveedor simulado con las grabaciones', () => {
+    expect(llm).toBeInstanceOf(MockLLMProvider);
+    expect(llm.describe()).toMatchObject({ provider: 'mock', recordingsPath: RECORDINGS });
+    expect(llm.entries.length).toBeGreaterThan(0);
+  });
+
+  test('classifyTask toma el tipo de la respuesta grabada', async () => {
+    const before = llm.calls.length;
+    await expect(agent.classifyTask(TASK)).resolves.toBe('data-extraction');
+    expect(llm.calls.slice(before)).toEqual([expect.objectContaining({ purpose: 'classify-task', matched: true })]);
+  });
+
+  test('generateExecutionPlan devuelve el plan grabado', async () => {
+    const engine = agent.selectOptimalEngine('data-extraction', TASK);
+    const plan = await agent.aiEngine.generateExecutionPlan(TASK, engine);
+    expect(plan.source).toBe('mock');
+    expect(plan.steps.map(step => step.action)).toEqual(['navigate', 'extract']);
+    expect(plan.steps[0]).toMatchObject({ id: 'step-1', target: 'https://libros.example.com/rayuela' });
+    expect(llm.calls[llm.calls.length - 1]).toMatchObject({ purpose: 'execution-plan', matched: true });
+  });
+
+  test('el bucle del agente de navegación reproduce los pasos grabados', async () => {
+    const { runBrowserAgent } = await import('../browser-agent/browser-agent.js');
+    const page = createBookPage();
+    const before = llm.calls.length;
+
+    const result = await runBrowserAgent(page, llm, GOAL, { maxSteps: 5 });
+
+    expect(result).toMatchObject({ success: true, status: 'completed', answer: 'Rayuela cuesta 21,90 €' });
+    expect(result.steps.map(step => step.action?.name)).toEqual(['extract', 'finish']);
+    expect(result.extracted).toEqual([expect.objectContaining({ elementId: 2, text: 'Precio: 21,90 €' })]);
+    expect(llm.calls.slice(before).every(call => call.purpose === 'browser-agent' && call.matched)).toBe(true);
+    expect(page.calls.filter(([kind]) => kind === 'action')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,281 @@
+// =============================================================================
+// MACRO PLAYER - REPRODUCCIÓN DE MACROS EN UNA PESTAÑA
+// Ejecuta en el webContents de una pestaña los pasos que entiende
+// RealTestingEngine.executeTestStep (más 'navigate') y devuelve un resultado por
+// paso con la misma forma. Se detiene en el primer paso que falla
+// =============================================================================
+
+const MACRO_ACTIONS = [
+  'navigate', 'click', 'type', 'clear', 'select', 'hover', 'scroll',
+  'wait_for_selector', 'wait_for_navigation', 'evaluate'
+];
+const SELECTOR_ACTIONS = ['click', 'type', 'clear', 'select', 'hover', 'scroll', 'wait_for_selector'];
+const STEP_TIMEOUT_MS = 10000;
+const SELECTOR_TIMEOUT_MS = 10000;
+const NAVIGATION_TIMEOUT_MS = 30000;
+const MAX_STEP_WAIT_MS = 60000;
+const MAX_STEPS = 500;
+const POLL_INTERVAL_MS = 100;
+
+// Valida pasos grabados, editados o importados y descarta campos desconocidos
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('La macro no tiene pasos');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`La macro supera el máximo de ${MAX_STEPS} pasos`);
+  }
+
+  return steps.map((step, index) => {
+    if (!step || typeof step !== 'object' || !MACRO_ACTIONS.includes(step.action)) {
+      throw new Error(`Paso ${index + 1}: acción no soportada (${step?.action})`);
+    }
+    const selector = typeof step.selector === 'string' ? step.selector.trim() : '';
+    if (SELECTOR_ACTIONS.includes(step.action) && !selector) {
+      throw new Error(`Paso ${index + 1}: la acción ${step.action} necesita un selector`);
+    }
+    if (['navigate', 'evaluate'].includes(step.action) && !step.value) {
+      throw new Error(`Paso ${index + 1}: la acción ${step.action} necesita un valor`);
+    }
+
+    const wait = Math.floor(Number(step.wait));
+    return {
+      action: step.action,
+      ...(selector ? { selector } : {}),
+      ...(step.value !== undefined && step.value !== null ? { value: step.value } : {}),
+      ...(Number.isFinite(wait) && wait > 0 ? { wait: Math.min(wait, MAX_STEP_WAIT_MS) } : {}),
+      ...(step.sensitive ? { sensitive: true } : {}),
+      description: String(step.description || step.action)
+    };
+  });
+}
+
+// Tiempo máximo razonable de una reproducción completa, para el límite por pestaña
+function estimateMacroDuration(steps) {
+  return steps.reduce((total, step) => total + (step.wait || 0) + stepTimeout(step), 0);
+}
+
+// beforeNavigate(url) puede lanzar para bloquear la navegación de un paso
+async function playMacro(webContents, steps, { signal = null, beforeNavigate = null } = {}) {
+  let navigations = 0;
+  const onNavigate = () => navigations++;
+  webContents.on('did-navigate', onNavigate);
+
+  const results = [];
+  let navigationsBeforeStep = 0;
+  try {
+    for (const [index, step] of steps.entries()) {
+      const result = {
+        step: index + 1,
+        action: step.action,
+        selector: step.selector,
+        value: step.sensitive ? undefined : step.value,
+        description: step.description,
+        startTime: Date.now(),
+        success: false,
+        error: null
+      };
+      results.push(result);
+
+      try {
+        throwIfAborted(signal);
+        if (step.wait) await delay(step.wait, signal);
+
+        // wait_for_navigation acepta la navegación que haya provocado el paso anterior
+        const navigationsSincePrevious = navigationsBeforeStep;
+        navigationsBeforeStep = navigations;
+        await runStep(webContents, step, {
+          signal,
+          beforeNavigate,
+          navigated: () => navigations > navigationsSincePrevious
+        });
+        result.success = true;
+      } catch (error) {
+        result.error = error.message;
+      }
+
+      result.endTime = Date.now();
+      result.duration = result.endTime - result.startTime;
+      if (!result.success) break;
+    }
+  } finally {
+    webContents.removeListener('did-navigate', onNavigate);
+  }
+
+  const failed = results.find(result => !result.success);
+  return {
+    success: !failed,
+    steps: results,
+    error: failed ? `Paso ${failed.step} (${failed.description}): ${failed.error}` : null
+  };
+}
+
+async function runStep(webContents, step, { signal, beforeNavigate, navigated }) {
+  const { action, selector, value } = step;
+
+  switch (action) {
+    case 'navigate':
+      if (beforeNavigate) await beforeNavigate(String(value));
+      await webContents.loadURL(String(value));
+      return;
+
+    case 'wait_for_selector':
+      await waitForSelector(webContents, selector, Number(value) || SELECTOR_TIMEOUT_MS, signal);
+      return;
+
+    case 'wait_for_navigation':
+      await waitForNavigation(webContents, Number(value) || NAVIGATION_TIMEOUT_MS, signal, navigated);
+      return;
+
+    case 'evaluate':
+      return await withStepTimeout(webContents.executeJavaScript(String(value), true), STEP_TIMEOUT_MS, signal);
+  }
+
+  await waitForSelector(webContents, selector, STEP_TIMEOUT_MS, signal);
+  await withStepTimeout(webContents.executeJavaScript(elementScript(action, selector, value), true), STEP_TIMEOUT_MS, signal);
+}
+
+// Funciones autoejecutables con los datos del paso serializados
+function elementScript(action, selector, value) {
+  const find = `const element = document.querySelector(${JSON.stringify(selector)});
+    if (!element) throw new Error('Elemento no encontrado: ' + ${JSON.stringify(selector)});`;
+  // El setter nativo hace que los frameworks con estado propio vean el cambio
+  const setValue = (text) => `element.focus();
+    const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value')?.set;
+    if (setter) setter.call(element, ${JSON.stringify(text)}); else element.value = ${JSON.stringify(text)};
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));`;
+
+  switch (action) {
+    case 'click':
+      return `(() => { ${find}
+        element.scrollIntoView({ block: 'center' });
+        element.click();
+      })()`;
+
+    case 'type':
+      return `(() => { ${find} ${setValue(String(value ?? ''))} })()`;
+
+    case 'clear':
+      return `(() => { ${find} ${setValue('')} })()`;
+
+    case 'select':
+      return `(() => { ${find}
+        const option = Array.from(element.options || []).find(option => option.value === ${JSON.stringify(String(value ?? ''))});
+        if (!option) throw new Error('Opción no encontrada: ' + ${JSON.stringify(String(value ?? ''))});
+        ${setValue(String(value ?? ''))}
+      })()`;
+
+    case 'hover':
+      return `(() => { ${find}
+        for (const type of ['mouseover', 'mouseenter', 'mousemove']) {
+          element.dispatchEvent(new MouseEvent(type, { bubbles: type !== 'mouseenter', view: window }));
+        }
+      })()`;
+
+    case 'scroll':
+      return `(() => { ${find}
+        element.scrollIntoView({ behavior: 'instant', block: ${JSON.stringify(value || 'center')} });
+      })()`;
+
+    default:
+      throw new Error(`Acción no soportada: ${action}`);
+  }
+}
+
+// =============================================================================
+// ESPERAS
+// =============================================================================
+
+async function waitForSelector(webContents, selector, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  const script = `!!document.querySelector(${JSON.stringify(selector)})`;
+  while (true) {
+    throwIfAborted(signal);
+    // Durante una navegación el documento puede no estar disponible todavía
+    const found = await webContents.executeJavaScript(script).catch(() => false);
+    if (found) return;
+    if (Date.now() >= deadline) {
+      throw new Error(`Elemento no encontrado tras ${timeoutMs / 1000} s: ${selector}`);
+    }
+    await delay(POLL_INTERVAL_MS, signal);
+  }
+}
+
+function waitForNavigation(webContents, timeoutMs, signal, navigated) {
+  if (navigated() && !webContents.isLoading()) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onStop = () => {
+      if (navigated()) finish(resolve);
+    };
+    const onAbort = () => finish(reject, new Error('Macro cancelada'));
+    const timeout = setTimeout(() => {
+      finish(reject, new Error(`Navegación no completada tras ${timeoutMs / 1000} s`));
+    }, timeoutMs);
+    const finish = (settle, value) => {
+      clearTimeout(timeout);
+      webContents.removeListener('did-stop-loading', onStop);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+
+    webContents.on('did-stop-loading', onStop);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function withStepTimeout(promise, timeoutMs, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => finish(reject, new Error('Macro cancelada'));
+    const timeout = setTimeout(() => {
+      finish(reject, new Error(`El paso no terminó tras ${timeoutMs / 1000} s`));
+    }, timeoutMs);
+    const finish = (settle, value) => {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(value => finish(resolve, value), error => finish(reject, error));
+  });
+}
+
+function stepTimeout(step) {
+  switch (step.action) {
+    case 'wait_for_selector':
+      return Number(step.value) || SELECTOR_TIMEOUT_MS;
+    case 'wait_for_navigation':
+      return Number(step.value) || NAVIGATION_TIMEOUT_MS;
+    case 'navigate':
+    case 'evaluate':
+      return STEP_TIMEOUT_MS;
+    default:
+      return SELECTOR_TIMEOUT_MS + STEP_TIMEOUT_MS;
+  }
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(new Error('Macro cancelada'));
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new Error('Macro cancelada');
+  }
+}
+
+export { playMacro, normalizeSteps, estimateMacroDuration, MACRO_ACTIONS };
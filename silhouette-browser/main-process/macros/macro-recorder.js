@@ -0,0 +1,352 @@
+// =============================================================================
+// MACRO RECORDER - GRABACIÓN DE ACCIONES DEL USUARIO EN UNA PESTAÑA
+// Inyecta un observador en un mundo aislado (la página no lo ve ni puede
+// falsificarlo sin conocer el token de la sesión) y convierte clics, escritura,
+// selecciones, envíos de formulario y navegaciones en pasos con el mismo
+// esquema que RealTestingEngine.executeTestStep: { action, selector, value, wait, description }
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+const RECORDER_WORLD_ID = 1017;
+const MESSAGE_PREFIX = '__silhouette_macro__';
+const PAGE_ACTIONS = ['click', 'type', 'select', 'submit'];
+const NAVIGATION_AFTER_ACTION_MS = 2000; // una navegación tan seguida es consecuencia del paso anterior
+const MIN_RECORDED_WAIT_MS = 1500;
+const MAX_RECORDED_WAIT_MS = 10000;
+const SELECTOR_WAIT_MS = 10000;
+const NAVIGATION_WAIT_MS = 30000;
+const MAX_STEPS = 500;
+
+class MacroRecorder extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map(); // tabId -> grabación en curso
+  }
+
+  async start(tabId, webContents) {
+    if (this.sessions.has(tabId)) {
+      throw new Error(`Ya se está grabando una macro en la pestaña ${tabId}`);
+    }
+    if (!webContents || webContents.isDestroyed()) {
+      throw new Error(`La pestaña ${tabId} no tiene contenido para grabar`);
+    }
+
+    const session = {
+      tabId,
+      token: randomUUID(),
+      webContents,
+      steps: [],
+      startUrl: webContents.getURL(),
+      lastUrl: webContents.getURL(),
+      typed: new Map(), // selector -> último valor escrito
+      started: Date.now(),
+      lastStepAt: Date.now(),
+      lastActionAt: 0,
+      awaitingPage: false // tras navegar, el siguiente paso espera a su elemento
+    };
+
+    session.listeners = {
+      // Electron moderno pasa un único objeto de evento con el mensaje
+      'console-message': (event, level, message) => {
+        this.handleMessage(session, typeof message === 'string' ? message : event?.message);
+      },
+      'did-navigate': (event, url) => this.handleNavigation(session, url),
+      'did-finish-load': () => this.inject(session),
+      'destroyed': () => this.finish(tabId)
+    };
+    for (const [name, listener] of Object.entries(session.listeners)) {
+      webContents.on(name, listener);
+    }
+
+    this.sessions.set(tabId, session);
+    await this.inject(session);
+
+    console.log(`⏺️ Grabando macro en la pestaña ${tabId}`);
+    return { tabId, startUrl: session.startUrl, started: session.started };
+  }
+
+  stop(tabId) {
+    const session = this.finish(tabId);
+    if (!session) {
+      throw new Error(`No hay ninguna macro grabándose en la pestaña ${tabId}`);
+    }
+
+    console.log(`⏹️ Macro grabada en la pestaña ${tabId}: ${session.steps.length} pasos`);
+    return {
+      tabId,
+      startUrl: session.startUrl,
+      steps: session.steps,
+      duration: Date.now() - session.started
+    };
+  }
+
+  cancel(tabId) {
+    return !!this.finish(tabId);
+  }
+
+  isRecording(tabId) {
+    return this.sessions.has(tabId);
+  }
+
+  getSteps(tabId) {
+    return this.sessions.get(tabId)?.steps.slice() || null;
+  }
+
+  shutdown() {
+    for (const tabId of Array.from(this.sessions.keys())) this.finish(tabId);
+  }
+
+  finish(tabId) {
+    const session = this.sessions.get(tabId);
+    if (!session) return null;
+
+    this.sessions.delete(tabId);
+    if (!session.webContents.isDestroyed()) {
+      for (const [name, listener] of Object.entries(session.listeners)) {
+        session.webContents.removeListener(name, listener);
+      }
+      // El observador de la página deja de informar al cambiar el token
+      session.webContents.executeJavaScriptInIsolatedWorld(RECORDER_WORLD_ID, [{
+        code: 'window.__silhouetteMacroToken = null;'
+      }]).catch(() => {});
+    }
+    this.emit('stopped', { tabId, steps: session.steps.length });
+    return session;
+  }
+
+  async inject(session) {
+    if (session.webContents.isDestroyed()) return;
+    try {
+      await session.webContents.executeJavaScriptInIsolatedWorld(RECORDER_WORLD_ID, [{
+        code: `(${recordInPage.toString()})(${JSON.stringify(session.token)}, ${JSON.stringify(MESSAGE_PREFIX)})`
+      }]);
+    } catch (error) {
+      // Páginas internas o de error: la grabación sigue tras la próxima carga
+      console.warn(`⚠️ No se pudo preparar la grabación en la pestaña ${session.tabId}:`, error.message);
+    }
+  }
+
+  // =============================================================================
+  // CONVERSIÓN A PASOS
+  // =============================================================================
+
+  handleMessage(session, message) {
+    if (typeof message !== 'string' || !message.startsWith(MESSAGE_PREFIX)) return;
+
+    let data;
+    try {
+      data = JSON.parse(message.slice(MESSAGE_PREFIX.length));
+    } catch {
+      return;
+    }
+    if (data?.token !== session.token || !PAGE_ACTIONS.includes(data.action)) return;
+
+    const selector = String(data.selector || '').slice(0, 500);
+    if (!selector) return;
+    const description = String(data.description || '').slice(0, 120);
+
+    if (session.awaitingPage) {
+      session.awaitingPage = false;
+      this.addStep(session, {
+        action: 'wait_for_selector',
+        selector,
+        value: SELECTOR_WAIT_MS,
+        description: 'Esperar a que cargue la página'
+      });
+    }
+
+    switch (data.action) {
+      case 'click':
+        this.addStep(session, { action: 'click', selector, description: description ? `Clic en "${description}"` : 'Clic' });
+        break;
+
+      case 'type': {
+        // Las contraseñas nunca se guardan: el paso queda marcado para rellenarlo a mano
+        const sensitive = !!data.sensitive;
+        const value = sensitive ? '' : String(data.value ?? '').slice(0, 10000);
+        // Enter informa del valor antes de enviar y el 'change' posterior lo repite
+        if (!sensitive && session.typed.get(selector) === value) return;
+        session.typed.set(selector, value);
+        const previous = session.steps[session.steps.length - 1];
+        if (previous?.action === 'type' && previous.selector === selector) {
+          previous.value = value;
+          session.lastActionAt = Date.now();
+          this.emit('step', { tabId: session.tabId, step: previous, index: session.steps.length - 1, updated: true });
+          return;
+        }
+        this.addStep(session, {
+          action: 'type',
+          selector,
+          value,
+          ...(sensitive ? { sensitive: true } : {}),
+          description: description ? `Escribir en "${description}"` : 'Escribir'
+        });
+        break;
+      }
+
+      case 'select':
+        this.addStep(session, { action: 'select', selector, value: String(data.value ?? ''), description: 'Seleccionar opción' });
+        break;
+
+      case 'submit':
+        // El código lo genera el grabador, nunca la página
+        this.addStep(session, {
+          action: 'evaluate',
+          selector,
+          value: `(() => {
+            const element = document.querySelector(${JSON.stringify(selector)});
+            const form = element && (element.form || element.closest('form'));
+            if (!form) throw new Error('Formulario no encontrado: ' + ${JSON.stringify(selector)});
+            form.requestSubmit();
+          })()`,
+          description: 'Enviar formulario'
+        });
+        break;
+    }
+  }
+
+  handleNavigation(session, url) {
+    if (!url || url === session.lastUrl) return;
+    session.lastUrl = url;
+    session.awaitingPage = true;
+    session.typed.clear();
+
+    if (Date.now() - session.lastActionAt <= NAVIGATION_AFTER_ACTION_MS) {
+      this.addStep(session, { action: 'wait_for_navigation', value: NAVIGATION_WAIT_MS, description: 'Esperar navegación' });
+    } else {
+      this.addStep(session, { action: 'navigate', value: url, description: `Abrir ${url}` });
+    }
+  }
+
+  addStep(session, step) {
+    if (session.steps.length >= MAX_STEPS) return;
+
+    // Las pausas largas del usuario se conservan (acotadas) como espera previa al paso
+    const now = Date.now();
+    const gap = now - session.lastStepAt;
+    if (session.steps.length > 0 && gap >= MIN_RECORDED_WAIT_MS && step.action !== 'wait_for_navigation') {
+      step.wait = Math.min(MAX_RECORDED_WAIT_MS, Math.round(gap / 100) * 100);
+    }
+    session.lastStepAt = now;
+    if (!['navigate', 'wait_for_navigation', 'wait_for_selector'].includes(step.action)) {
+      session.lastActionAt = now;
+    }
+
+    session.steps.push(step);
+    this.emit('step', { tabId: session.tabId, step, index: session.steps.length - 1, updated: false });
+  }
+}
+
+// =============================================================================
+// OBSERVADOR EN LA PÁGINA
+// =============================================================================
+
+// Se ejecuta en el mundo aislado: debe ser autocontenida
+function recordInPage(token, prefix) {
+  const alreadyInstalled = window.__silhouetteMacroToken !== undefined;
+  window.__silhouetteMacroToken = token;
+  if (alreadyInstalled) return;
+
+  const report = (data) => {
+    if (!window.__silhouetteMacroToken) return;
+    console.debug(prefix + JSON.stringify({ ...data, token: window.__silhouetteMacroToken }));
+  };
+
+  const unique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  };
+
+  // Prioriza atributos estables; si no hay, ruta con :nth-of-type desde el ancestro identificable
+  const selectorFor = (element) => {
+    const tag = element.tagName.toLowerCase();
+    if (element.id && !/\d{4,}/.test(element.id) && unique('#' + CSS.escape(element.id))) {
+      return '#' + CSS.escape(element.id);
+    }
+    for (const attribute of ['data-testid', 'data-test', 'data-qa', 'name', 'aria-label', 'placeholder']) {
+      const value = element.getAttribute(attribute);
+      if (!value) continue;
+      const selector = tag + '[' + attribute + '=' + JSON.stringify(value) + ']';
+      if (unique(selector)) return selector;
+    }
+
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node !== element && node.id && unique('#' + CSS.escape(node.id))) {
+        parts.unshift('#' + CSS.escape(node.id));
+        break;
+      }
+      const name = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? name + ':nth-of-type(' + (siblings.indexOf(node) + 1) + ')' : name);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  // Nunca el valor de un campo de contraseña
+  const describe = (element) => (
+    element.getAttribute('aria-label') ||
+    element.innerText ||
+    (element.type === 'password' ? '' : element.value) ||
+    element.getAttribute('placeholder') ||
+    element.getAttribute('name') ||
+    ''
+  ).trim().replace(/\s+/g, ' ').slice(0, 60);
+
+  const isTextField = (element) => (
+    element.tagName === 'TEXTAREA' ||
+    element.isContentEditable ||
+    (element.tagName === 'INPUT' && !['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'range', 'color'].includes(element.type))
+  );
+
+  document.addEventListener('click', (event) => {
+    if (!event.isTrusted || !(event.target instanceof Element)) return;
+    const target = event.target.closest('a, button, input, select, textarea, label, summary, [role], [onclick], [tabindex]') || event.target;
+    // Enfocar un campo no es una acción: lo que cuenta es lo que se escribe
+    if (isTextField(target) || target.tagName === 'SELECT') return;
+    report({ action: 'click', selector: selectorFor(target), description: describe(target) });
+  }, true);
+
+  document.addEventListener('change', (event) => {
+    if (!event.isTrusted || !(event.target instanceof Element)) return;
+    const target = event.target;
+    if (target.tagName === 'SELECT') {
+      report({ action: 'select', selector: selectorFor(target), value: target.value });
+    } else if (isTextField(target) && !target.isContentEditable) {
+      report({
+        action: 'type',
+        selector: selectorFor(target),
+        value: target.type === 'password' ? '' : target.value,
+        sensitive: target.type === 'password',
+        description: describe(target)
+      });
+    }
+  }, true);
+
+  // Enter en un campo envía el formulario sin pasar por el botón
+  document.addEventListener('keydown', (event) => {
+    if (!event.isTrusted || event.key !== 'Enter' || !(event.target instanceof Element)) return;
+    const target = event.target;
+    if (target.tagName !== 'INPUT' || !isTextField(target) || !target.form) return;
+    const selector = selectorFor(target);
+    report({
+      action: 'type',
+      selector,
+      value: target.type === 'password' ? '' : target.value,
+      sensitive: target.type === 'password',
+      description: describe(target)
+    });
+    report({ action: 'submit', selector });
+  }, true);
+}
+
+export { MacroRecorder };
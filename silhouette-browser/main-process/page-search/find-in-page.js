@@ -0,0 +1,290 @@
+// =============================================================================
+// FIND IN PAGE - BÚSQUEDA EN LA PÁGINA DE CADA PESTAÑA
+// Envuelve webContents.findInPage (recuento, mayúsculas, navegación entre
+// coincidencias). Chromium ya no admite "palabra completa", así que esa opción
+// se resuelve dentro de la página con la API CSS Custom Highlight
+// =============================================================================
+
+import { EventEmitter } from 'events';
+
+const RESULT_TIMEOUT = 2000;
+
+const HIGHLIGHT_CSS = `
+::highlight(silhouette-find) { background-color: #ffeb3b; color: #000; }
+::highlight(silhouette-find-active) { background-color: #ff9632; color: #000; }
+`;
+
+// Se inyecta con executeJavaScript: no puede usar nada fuera de su cuerpo
+function highlightWordMatches({ text, matchCase, action }) {
+  const NAME = 'silhouette-find';
+  if (action === 'clear') {
+    CSS.highlights.delete(NAME);
+    CSS.highlights.delete(`${NAME}-active`);
+    window.__silhouetteFind = null;
+    return { matches: 0, activeMatchOrdinal: 0 };
+  }
+
+  const key = `${matchCase ? 1 : 0}:${text}`;
+  let state = window.__silhouetteFind;
+  if (!state || state.key !== key || action === 'find') {
+    const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, matchCase ? 'gu' : 'giu');
+    const ranges = [];
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|TEXTAREA)$/.test(parent.tagName)) return NodeFilter.FILTER_REJECT;
+        if (parent.checkVisibility && !parent.checkVisibility()) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    while (walker.nextNode() && ranges.length < 1000) {
+      const node = walker.currentNode;
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(node.data)) && ranges.length < 1000) {
+        const range = document.createRange();
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        ranges.push(range);
+      }
+    }
+    state = window.__silhouetteFind = { key, ranges, index: ranges.length > 0 ? 0 : -1 };
+  } else if (state.ranges.length > 0) {
+    const step = action === 'previous' ? -1 : 1;
+    state.index = (state.index + step + state.ranges.length) % state.ranges.length;
+  }
+
+  CSS.highlights.set(NAME, new Highlight(...state.ranges));
+  const active = state.ranges[state.index];
+  if (active) {
+    CSS.highlights.set(`${NAME}-active`, new Highlight(active));
+    active.startContainer.parentElement?.scrollIntoView({ block: 'center', inline: 'nearest' });
+  } else {
+    CSS.highlights.delete(`${NAME}-active`);
+  }
+  return { matches: state.ranges.length, activeMatchOrdinal: state.index + 1 };
+}
+
+class FindInPage extends EventEmitter {
+  constructor(browserCore) {
+    super();
+    this.browserCore = browserCore;
+    this.sessions = new Map();          // webContents.id -> { tabId, text, matchCase, wholeWord, ... }
+    this.watched = new WeakSet();
+  }
+
+  // =============================================================================
+  // BÚSQUEDA
+  // =============================================================================
+
+  async find(requestedTabId, text, options = {}) {
+    const tabId = this.resolveTabId(requestedTabId);
+    const webContents = this.getWebContents(tabId);
+    const query = String(text || '');
+    if (!query) {
+      await this.stop(tabId);
+      return this.describe(tabId, null);
+    }
+
+    const matchCase = !!options.matchCase;
+    const wholeWord = !!options.wholeWord;
+    const forward = options.forward !== false;
+    const previous = this.sessions.get(webContents.id);
+    const sameQuery = previous && previous.text === query &&
+      previous.matchCase === matchCase && previous.wholeWord === wholeWord;
+
+    // Cambiar de modo exige limpiar los resaltados del modo anterior
+    if (previous && previous.wholeWord !== wholeWord) {
+      await this.clear(webContents, previous);
+    }
+
+    this.watch(webContents);
+    const session = sameQuery ? previous : {
+      tabId,
+      text: query,
+      matchCase,
+      wholeWord,
+      matches: 0,
+      activeMatchOrdinal: 0,
+      requestId: null,
+      cssKey: previous?.wholeWord && wholeWord ? previous.cssKey : null
+    };
+    this.sessions.set(webContents.id, session);
+
+    if (wholeWord) {
+      if (!session.cssKey) {
+        session.cssKey = await webContents.insertCSS(HIGHLIGHT_CSS);
+      }
+      const action = !sameQuery ? 'find' : (forward ? 'next' : 'previous');
+      const result = await webContents.executeJavaScript(
+        `(${highlightWordMatches.toString()})(${JSON.stringify({ text: query, matchCase, action })})`
+      );
+      session.matches = result.matches;
+      session.activeMatchOrdinal = result.activeMatchOrdinal;
+      this.emitResult(session);
+      return this.describe(tabId, session);
+    }
+
+    // findNext: true abre una sesión de búsqueda nueva; false avanza en la actual
+    const finalResult = this.waitForResult(webContents);
+    session.requestId = webContents.findInPage(query, { forward, findNext: !sameQuery, matchCase });
+    await finalResult;
+    return this.describe(tabId, session);
+  }
+
+  async next(tabId) {
+    return await this.step(tabId, true);
+  }
+
+  async previous(tabId) {
+    return await this.step(tabId, false);
+  }
+
+  async step(requestedTabId, forward) {
+    const tabId = this.resolveTabId(requestedTabId);
+    const session = this.sessions.get(this.getWebContents(tabId).id);
+    if (!session) return this.describe(tabId, null);
+    return await this.find(tabId, session.text, {
+      matchCase: session.matchCase,
+      wholeWord: session.wholeWord,
+      forward
+    });
+  }
+
+  // action: 'clearSelection' | 'keepSelection' | 'activateSelection' (solo modo nativo)
+  async stop(requestedTabId, action = 'clearSelection') {
+    const tabId = this.resolveTabId(requestedTabId);
+    const webContents = this.getWebContents(tabId);
+    const session = this.sessions.get(webContents.id);
+    if (!session) return false;
+
+    this.sessions.delete(webContents.id);
+    await this.clear(webContents, session, action);
+    this.emit('find-result', { tabId, active: false, closed: true });
+    return true;
+  }
+
+  getState(requestedTabId) {
+    const tabId = this.resolveTabId(requestedTabId);
+    const webContents = this.browserCore.tabManager.tabs.get(tabId)?.browserView?.webContents;
+    return this.describe(tabId, webContents ? this.sessions.get(webContents.id) : null);
+  }
+
+  // Atajos pulsados con el foco en la página (antes de que los reciba):
+  // Ctrl/Cmd+F abre la barra, F3/Ctrl+G navegan y Escape cierra
+  handleInput(tabId, webContents, input) {
+    if (input.type !== 'keyDown') return false;
+    const key = input.key.toLowerCase();
+    const modifier = input.control || input.meta;
+
+    if (modifier && key === 'f') {
+      this.emit('find-requested', { tabId });
+      return true;
+    }
+
+    if (!this.sessions.has(webContents.id)) return false;
+    if (key === 'f3' || (modifier && key === 'g')) {
+      this.step(tabId, !input.shift).catch(error => console.error('❌ Error en búsqueda:', error));
+      return true;
+    }
+    if (key === 'escape') {
+      this.stop(tabId).catch(error => console.error('❌ Error cerrando búsqueda:', error));
+      return true;
+    }
+    return false;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  watch(webContents) {
+    if (this.watched.has(webContents)) return;
+    this.watched.add(webContents);
+
+    webContents.on('found-in-page', (event, result) => {
+      const session = this.sessions.get(webContents.id);
+      if (!session || session.wholeWord || result.requestId !== session.requestId) return;
+      if (typeof result.matches === 'number') session.matches = result.matches;
+      if (typeof result.activeMatchOrdinal === 'number') session.activeMatchOrdinal = result.activeMatchOrdinal;
+      if (result.finalUpdate) this.emitResult(session);
+    });
+
+    // Una navegación descarta la búsqueda y sus resaltados
+    webContents.on('did-navigate', () => {
+      const session = this.sessions.get(webContents.id);
+      if (!session) return;
+      this.sessions.delete(webContents.id);
+      this.emit('find-result', { tabId: session.tabId, active: false });
+    });
+    webContents.once('destroyed', () => this.sessions.delete(webContents.id));
+  }
+
+  waitForResult(webContents) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, RESULT_TIMEOUT);
+      function onResult(event, result) {
+        if (result.finalUpdate) done();
+      }
+      function done() {
+        clearTimeout(timer);
+        webContents.removeListener('found-in-page', onResult);
+        resolve();
+      }
+      webContents.on('found-in-page', onResult);
+    });
+  }
+
+  async clear(webContents, session, action = 'clearSelection') {
+    if (webContents.isDestroyed()) return;
+    if (!session.wholeWord) {
+      webContents.stopFindInPage(action);
+      return;
+    }
+    try {
+      await webContents.executeJavaScript(`(${highlightWordMatches.toString()})({ action: 'clear' })`);
+      if (session.cssKey) await webContents.removeInsertedCSS(session.cssKey);
+    } catch (error) {
+      console.warn('⚠️ No se pudieron limpiar los resaltados de búsqueda:', error.message);
+    }
+  }
+
+  emitResult(session) {
+    this.emit('find-result', this.describe(session.tabId, session));
+  }
+
+  describe(tabId, session) {
+    if (!session) return { tabId, active: false, matches: 0, activeMatchOrdinal: 0 };
+    return {
+      tabId,
+      active: true,
+      text: session.text,
+      matchCase: session.matchCase,
+      wholeWord: session.wholeWord,
+      matches: session.matches,
+      activeMatchOrdinal: session.activeMatchOrdinal
+    };
+  }
+
+  forgetTab(tabId) {
+    for (const [id, session] of this.sessions) {
+      if (session.tabId === tabId) this.sessions.delete(id);
+    }
+  }
+
+  resolveTabId(tabId) {
+    return tabId || this.browserCore.tabManager.activeTabId;
+  }
+
+  getWebContents(tabId) {
+    const id = this.resolveTabId(tabId);
+    const webContents = this.browserCore.tabManager.tabs.get(id)?.browserView?.webContents;
+    if (!webContents || webContents.isDestroyed()) {
+      throw new Error(`Pestaña ${id} no encontrada`);
+    }
+    return webContents;
+  }
+}
+
+export { FindInPage };
@@ -0,0 +1,147 @@
+// =============================================================================
+// TAB SEARCH - BÚSQUEDA EN TODAS LAS PESTAÑAS
+// Consulta el texto visible de cada BrowserView de la ventana, del grupo o de
+// todo el navegador y devuelve las pestañas ordenadas con fragmentos resaltados
+// =============================================================================
+
+import { rankDocuments } from './text-search.js';
+
+const MAX_PAGE_TEXT = 300000;
+const PAGE_TEXT_TIMEOUT = 3000;
+const PAGE_TEXT_MAX_AGE = 60000;
+const CONCURRENCY = 4;
+
+class TabSearch {
+  constructor(browserCore) {
+    this.browserCore = browserCore;
+    this.cache = new Map();             // webContents.id -> { url, text, at }
+    this.watched = new WeakSet();
+  }
+
+  // scope: 'window' | 'group' | 'all'
+  async search(query, options = {}) {
+    const started = Date.now();
+    const {
+      scope = 'window',
+      windowId = 'main',
+      matchCase = false,
+      wholeWord = false,
+      limit = 20,
+      snippets = 3
+    } = options;
+
+    const groupId = scope === 'group' ? this.resolveGroupId(options.groupId) : null;
+    const tabs = this.getTabsInScope(scope, { windowId, groupId });
+
+    const docs = await this.mapWithConcurrency(tabs, async (tab) => {
+      const webContents = tab.browserView?.webContents;
+      const override = webContents && !webContents.isDestroyed()
+        ? this.browserCore.getPageOverride(webContents)
+        : null;
+      return {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        groupId: tab.groupId || null,
+        title: override?.title || tab.title,
+        url: override?.url || tab.url,
+        favicon: tab.favicon || null,
+        active: this.browserCore.tabManager.activeTabId === tab.id,
+        text: await this.getPageText(webContents)
+      };
+    });
+
+    const results = rankDocuments(docs, query, { matchCase, wholeWord, snippets }).slice(0, limit);
+    console.log(`🔎 Búsqueda en pestañas "${query}": ${results.length}/${docs.length} con coincidencias`);
+
+    return {
+      query,
+      scope,
+      windowId: scope === 'window' ? windowId : null,
+      groupId,
+      searched: docs.length,
+      results,
+      tookMs: Date.now() - started
+    };
+  }
+
+  getTabsInScope(scope, { windowId, groupId }) {
+    const tabs = Array.from(this.browserCore.tabManager.tabs.values());
+    switch (scope) {
+      case 'all':
+        return tabs;
+      case 'group':
+        return tabs.filter(tab => tab.groupId === groupId);
+      case 'window':
+        return tabs.filter(tab => tab.windowId === windowId);
+      default:
+        throw new Error(`Ámbito de búsqueda no válido: ${scope}`);
+    }
+  }
+
+  // Sin grupo explícito se usa el de la pestaña activa
+  resolveGroupId(groupId) {
+    const resolved = groupId || this.browserCore.tabManager.tabs.get(this.browserCore.tabManager.activeTabId)?.groupId;
+    if (!resolved || !this.browserCore.tabGroups.getTabGroup(resolved)) {
+      throw new Error('La pestaña activa no pertenece a ningún grupo');
+    }
+    return resolved;
+  }
+
+  // =============================================================================
+  // TEXTO DE LAS PÁGINAS
+  // =============================================================================
+
+  async getPageText(webContents) {
+    if (!webContents || webContents.isDestroyed()) return '';
+    this.watch(webContents);
+
+    const url = webContents.getURL();
+    const cached = this.cache.get(webContents.id);
+    if (cached && cached.url === url && Date.now() - cached.at < PAGE_TEXT_MAX_AGE) {
+      return cached.text;
+    }
+
+    let timer;
+    try {
+      const text = await Promise.race([
+        webContents.executeJavaScript('document.body ? document.body.innerText : ""'),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('tiempo de espera agotado')), PAGE_TEXT_TIMEOUT);
+        })
+      ]);
+      const value = String(text || '').slice(0, MAX_PAGE_TEXT);
+      this.cache.set(webContents.id, { url, text: value, at: Date.now() });
+      return value;
+    } catch (error) {
+      console.warn(`⚠️ No se pudo leer el texto de ${url}:`, error.message);
+      return cached?.text || '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  watch(webContents) {
+    if (this.watched.has(webContents)) return;
+    this.watched.add(webContents);
+
+    const invalidate = () => this.cache.delete(webContents.id);
+    webContents.on('did-finish-load', invalidate);
+    webContents.on('did-navigate-in-page', invalidate);
+    webContents.once('destroyed', invalidate);
+  }
+
+  async mapWithConcurrency(items, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await mapper(items[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+    return results;
+  }
+}
+
+export { TabSearch };
@@ -0,0 +1,186 @@
+// =============================================================================
+// TEXT SEARCH - COINCIDENCIAS, RANKING Y FRAGMENTOS
+// Funciones puras usadas por la búsqueda en todas las pestañas: cada pestaña
+// es un documento (título, URL y texto visible) que se puntúa con BM25
+// =============================================================================
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2;
+const URL_WEIGHT = 0.5;
+const MAX_MATCHES_PER_TERM = 1000;
+
+// Normaliza el texto visible: los fragmentos y sus offsets se calculan sobre él
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Términos de la consulta; una consulta entre comillas es una sola frase
+function tokenizeQuery(query) {
+  const trimmed = String(query || '').trim();
+  const quoted = trimmed.match(/^"(.+)"$/);
+  if (quoted) return [quoted[1].trim()].filter(Boolean);
+
+  const seen = new Set();
+  return trimmed.split(/\s+/).filter(term => {
+    const key = term.toLowerCase();
+    if (!term || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Misma semántica que la barra de búsqueda: mayúsculas y palabra completa opcionales
+function buildPattern(term, { matchCase = false, wholeWord = false } = {}) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped;
+  return new RegExp(source, matchCase ? 'gu' : 'giu');
+}
+
+function findMatches(text, pattern, limit = MAX_MATCHES_PER_TERM) {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) && matches.length < limit) {
+    matches.push([match.index, match.index + match[0].length]);
+    if (match[0].length === 0) pattern.lastIndex++;
+  }
+  return matches;
+}
+
+function countWords(text) {
+  return text ? text.split(' ').length : 0;
+}
+
+// =============================================================================
+// RANKING
+// =============================================================================
+
+// docs: [{ title, url, text, ...extra }] -> resultados ordenados por score
+function rankDocuments(docs, query, options = {}) {
+  const { matchCase = false, wholeWord = false, snippets = 3, snippetLength = 160 } = options;
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0 || docs.length === 0) return [];
+
+  const patterns = terms.map(term => buildPattern(term, { matchCase, wholeWord }));
+  const phrasePattern = terms.length > 1 ? buildPattern(terms.join(' '), { matchCase, wholeWord }) : null;
+
+  const analyzed = docs.map(doc => {
+    const text = normalizeText(doc.text);
+    const title = normalizeText(doc.title);
+    const url = String(doc.url || '');
+    const termMatches = patterns.map(pattern => findMatches(text, pattern));
+    return {
+      doc,
+      text,
+      length: countWords(text),
+      termMatches,
+      inTitle: patterns.map(pattern => findMatches(title, pattern, 1).length > 0),
+      inUrl: patterns.map(pattern => findMatches(url, pattern, 1).length > 0),
+      phraseMatches: phrasePattern ? findMatches(text, phrasePattern) : []
+    };
+  });
+
+  // Todos los términos deben aparecer en el título, la URL o el contenido
+  const candidates = analyzed.filter(entry =>
+    terms.every((term, index) => entry.termMatches[index].length > 0 || entry.inTitle[index] || entry.inUrl[index])
+  );
+  if (candidates.length === 0) return [];
+
+  const total = analyzed.length;
+  const averageLength = analyzed.reduce((sum, entry) => sum + entry.length, 0) / total || 1;
+  const idf = terms.map((term, index) => {
+    const containing = analyzed.filter(entry =>
+      entry.termMatches[index].length > 0 || entry.inTitle[index] || entry.inUrl[index]
+    ).length;
+    return Math.log(1 + (total - containing + 0.5) / (containing + 0.5));
+  });
+
+  return candidates
+    .map(entry => {
+      let score = 0;
+      terms.forEach((term, index) => {
+        const frequency = entry.termMatches[index].length;
+        const normalization = BM25_K1 * (1 - BM25_B + BM25_B * (entry.length / averageLength));
+        score += idf[index] * (frequency * (BM25_K1 + 1)) / (frequency + normalization);
+        if (entry.inTitle[index]) score += TITLE_WEIGHT * idf[index];
+        if (entry.inUrl[index]) score += URL_WEIGHT * idf[index];
+      });
+      // La frase exacta pesa más que los términos sueltos
+      if (entry.phraseMatches.length > 0) {
+        score += Math.log(1 + entry.phraseMatches.length) * idf.reduce((sum, value) => sum + value, 0);
+      }
+
+      const highlights = entry.phraseMatches.length > 0
+        ? entry.phraseMatches.map(range => ({ range, term: -1 }))
+        : entry.termMatches.flatMap((ranges, term) => ranges.map(range => ({ range, term })));
+
+      const { text, ...doc } = entry.doc;
+      return {
+        ...doc,
+        score: Math.round(score * 1000) / 1000,
+        matchCount: entry.phraseMatches.length || entry.termMatches.reduce((sum, ranges) => sum + ranges.length, 0),
+        snippets: buildSnippets(entry.text, highlights, { count: snippets, length: snippetLength })
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.matchCount - a.matchCount);
+}
+
+// =============================================================================
+// FRAGMENTOS
+// =============================================================================
+
+// Ventanas de texto alrededor de las coincidencias; se prefieren las que
+// reúnen más términos distintos y no se solapan entre sí
+function buildSnippets(text, highlights, { count = 3, length = 160 } = {}) {
+  if (!text || highlights.length === 0 || count <= 0) return [];
+
+  const sorted = [...highlights].sort((a, b) => a.range[0] - b.range[0]);
+  const radius = Math.floor(length / 2);
+  const windows = sorted.slice(0, 200).map(({ range }) => {
+    const start = Math.max(0, range[0] - radius);
+    const end = Math.min(text.length, start + length);
+    const inside = sorted.filter(item => item.range[0] >= start && item.range[1] <= end);
+    return {
+      start,
+      end,
+      inside,
+      score: new Set(inside.map(item => item.term)).size * 10 + inside.length
+    };
+  });
+
+  const chosen = [];
+  for (const candidate of windows.sort((a, b) => b.score - a.score || a.start - b.start)) {
+    if (chosen.length >= count) break;
+    if (chosen.some(window => candidate.start < window.end && window.start < candidate.end)) continue;
+    chosen.push(candidate);
+  }
+
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .map(window => {
+      // Recortar en límites de palabra para no partir términos
+      let start = window.start;
+      let end = window.end;
+      if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < window.inside[0].range[0]) start = space + 1;
+      }
+      if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        const lastMatchEnd = window.inside[window.inside.length - 1].range[1];
+        if (space > lastMatchEnd) end = space;
+      }
+
+      const prefix = start > 0 ? '…' : '';
+      const suffix = end < text.length ? '…' : '';
+      return {
+        text: `${prefix}${text.slice(start, end)}${suffix}`,
+        highlights: window.inside
+          .filter(item => item.range[1] <= end)
+          .map(item => [item.range[0] - start + prefix.length, item.range[1] - start + prefix.length])
+      };
+    });
+}
+
+export { normalizeText, tokenizeQuery, buildPattern, findMatches, rankDocuments, buildSnippets };
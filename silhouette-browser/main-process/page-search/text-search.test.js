@@ -0,0 +1,97 @@
+import { describe, test, expect } from '@jest/globals';
+import { normalizeText, tokenizeQuery, buildPattern, findMatches, rankDocuments, buildSnippets } from './text-search.js';
+
+describe('tokenizeQuery', () => {
+  test('separa términos sin repetir y respeta las frases entre comillas', () => {
+    expect(tokenizeQuery('  Electron   electron tabs ')).toEqual(['Electron', 'tabs']);
+    expect(tokenizeQuery('"modo lectura"')).toEqual(['modo lectura']);
+    expect(tokenizeQuery('   ')).toEqual([]);
+  });
+});
+
+describe('buildPattern y findMatches', () => {
+  test('sin distinguir mayúsculas por defecto, escapando caracteres especiales', () => {
+    const matches = findMatches('C++ y c++ y C', buildPattern('c++'));
+    expect(matches).toEqual([[0, 3], [6, 9]]);
+  });
+
+  test('mayúsculas y palabra completa', () => {
+    const text = 'Tab tabs tab Tabla';
+    expect(findMatches(text, buildPattern('tab', { matchCase: true }))).toEqual([[4, 7], [9, 12]]);
+    expect(findMatches(text, buildPattern('tab', { wholeWord: true }))).toEqual([[0, 3], [9, 12]]);
+    expect(findMatches('acción accionar', buildPattern('acción', { wholeWord: true }))).toEqual([[0, 6]]);
+  });
+
+  test('los espacios de una frase casan con cualquier espacio', () => {
+    const text = normalizeText('modo\n\n  lectura');
+    expect(text).toBe('modo lectura');
+    expect(findMatches('modo   lectura', buildPattern('modo lectura'))).toEqual([[0, 14]]);
+  });
+
+  test('respeta el límite de coincidencias', () => {
+    expect(findMatches('a a a a a', buildPattern('a'), 2)).toHaveLength(2);
+  });
+});
+
+describe('rankDocuments', () => {
+  const docs = [
+    { tabId: 1, title: 'Recetas de cocina', url: 'https://cocina.com', text: 'Pasta, arroz y una receta de paella valenciana.' },
+    { tabId: 2, title: 'Paella valenciana', url: 'https://recetas.com/paella', text: 'La paella valenciana lleva arroz, pollo y conejo. Paella paella.' },
+    { tabId: 3, title: 'Noticias', url: 'https://news.com', text: 'Nada que ver con el arroz.' }
+  ];
+
+  test('exige todos los términos y ordena por relevancia', () => {
+    const results = rankDocuments(docs, 'paella arroz');
+    expect(results.map(result => result.tabId)).toEqual([2, 1]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[0]).not.toHaveProperty('text');
+  });
+
+  test('los términos del título y la URL también cuentan', () => {
+    const results = rankDocuments(docs, 'noticias');
+    expect(results.map(result => result.tabId)).toEqual([3]);
+    expect(results[0].matchCount).toBe(0);
+  });
+
+  test('la frase exacta puntúa más y se resalta entera', () => {
+    const results = rankDocuments([
+      { tabId: 1, title: '', url: '', text: 'valenciana y después paella' },
+      { tabId: 2, title: '', url: '', text: 'paella valenciana' }
+    ], 'paella valenciana');
+    expect(results[0].tabId).toBe(2);
+    expect(results[0].matchCount).toBe(1);
+    expect(results[0].snippets[0].highlights).toEqual([[0, 17]]);
+  });
+
+  test('sin consulta o sin documentos no hay resultados', () => {
+    expect(rankDocuments(docs, '  ')).toEqual([]);
+    expect(rankDocuments([], 'paella')).toEqual([]);
+    expect(rankDocuments(docs, 'inexistente')).toEqual([]);
+  });
+});
+
+describe('buildSnippets', () => {
+  test('ventanas sin solapes, recortadas en palabras y con los offsets del fragmento', () => {
+    const text = `${'relleno '.repeat(40)}objetivo ${'relleno '.repeat(40)}objetivo final`;
+    const pattern = buildPattern('objetivo');
+    const highlights = findMatches(text, pattern).map(range => ({ range, term: 0 }));
+
+    const snippets = buildSnippets(text, highlights, { count: 3, length: 60 });
+    expect(snippets).toHaveLength(2);
+    for (const snippet of snippets) {
+      expect(snippet.text.startsWith('…')).toBe(true);
+      const [start, end] = snippet.highlights[0];
+      expect(snippet.text.slice(start, end)).toBe('objetivo');
+    }
+  });
+
+  test('prefiere la ventana que reúne más términos distintos', () => {
+    const text = `alfa ${'x '.repeat(100)}alfa beta ${'x '.repeat(100)}beta`;
+    const highlights = [
+      ...findMatches(text, buildPattern('alfa')).map(range => ({ range, term: 0 })),
+      ...findMatches(text, buildPattern('beta')).map(range => ({ range, term: 1 }))
+    ];
+    const [snippet] = buildSnippets(text, highlights, { count: 1, length: 40 });
+    expect(snippet.text).toContain('alfa beta');
+  });
+});
@@ -0,0 +1,119 @@
+// =============================================================================
+// PAGE DIFF - DIFERENCIAS DE TEXTO, DOM Y PÍXELES ENTRE DOS VERSIONES
+// Diferencia por líneas (texto visible o esqueleto del DOM) con subsecuencia
+// común más larga, y diferencia de píxeles entre dos mapas de bits BGRA del
+// mismo tamaño con una imagen que resalta en rojo lo que ha cambiado
+// =============================================================================
+
+const MAX_LCS_CELLS = 4000000;   // por encima se compara por conjuntos de líneas
+const MAX_DIFF_CHANGES = 200;
+const DEFAULT_PIXEL_TOLERANCE = 32; // suma de diferencias R+G+B que se ignora (antialiasing)
+
+// { changes: [{ type: 'added' | 'removed', line }], added, removed }; changes
+// sigue el orden del documento y se recorta a MAX_DIFF_CHANGES
+function diffLines(before = [], after = []) {
+  // Lo común al principio y al final no entra en la tabla
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const removedLines = before.slice(start, endBefore);
+  const addedLines = after.slice(start, endAfter);
+  const changes = (removedLines.length + 1) * (addedLines.length + 1) <= MAX_LCS_CELLS
+    ? lcsChanges(removedLines, addedLines)
+    : setChanges(removedLines, addedLines);
+
+  return {
+    changes: changes.slice(0, MAX_DIFF_CHANGES),
+    added: changes.filter(change => change.type === 'added').length,
+    removed: changes.filter(change => change.type === 'removed').length
+  };
+}
+
+function lcsChanges(before, after) {
+  const columns = after.length + 1;
+  const table = new Uint32Array((before.length + 1) * columns);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * columns + j] = before[i] === after[j]
+        ? table[(i + 1) * columns + j + 1] + 1
+        : Math.max(table[(i + 1) * columns + j], table[i * columns + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (table[(i + 1) * columns + j] >= table[i * columns + j + 1]) {
+      changes.push({ type: 'removed', line: before[i++] });
+    } else {
+      changes.push({ type: 'added', line: after[j++] });
+    }
+  }
+  while (i < before.length) changes.push({ type: 'removed', line: before[i++] });
+  while (j < after.length) changes.push({ type: 'added', line: after[j++] });
+  return changes;
+}
+
+function setChanges(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return [
+    ...before.filter(line => !afterSet.has(line)).map(line => ({ type: 'removed', line })),
+    ...after.filter(line => !beforeSet.has(line)).map(line => ({ type: 'added', line }))
+  ];
+}
+
+// before/after: { width, height, data } con data en BGRA (NativeImage.toBitmap).
+// Devuelve la proporción de píxeles cambiados, el rectángulo que los contiene y
+// una copia de after con esos píxeles teñidos de rojo. Con tamaños distintos
+// la región ha cambiado de forma y no se compara píxel a píxel
+function diffPixels(before, after, { tolerance = DEFAULT_PIXEL_TOLERANCE } = {}) {
+  if (!before || !after || before.width !== after.width || before.height !== after.height) {
+    return { comparable: false, changedPixels: null, ratio: 1, box: null, highlight: null };
+  }
+
+  const { width, height } = after;
+  const highlight = Buffer.from(after.data);
+  let changedPixels = 0;
+  let box = null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const delta = Math.abs(before.data[offset] - after.data[offset]) +
+        Math.abs(before.data[offset + 1] - after.data[offset + 1]) +
+        Math.abs(before.data[offset + 2] - after.data[offset + 2]);
+      if (delta <= tolerance) continue;
+
+      changedPixels++;
+      box = box
+        ? { left: Math.min(box.left, x), top: Math.min(box.top, y), right: Math.max(box.right, x), bottom: Math.max(box.bottom, y) }
+        : { left: x, top: y, right: x, bottom: y };
+      // Mitad del color original y mitad rojo (BGRA)
+      highlight[offset] = highlight[offset] >> 1;
+      highlight[offset + 1] = highlight[offset + 1] >> 1;
+      highlight[offset + 2] = (highlight[offset + 2] >> 1) + 128;
+    }
+  }
+
+  const total = width * height;
+  return {
+    comparable: true,
+    changedPixels,
+    ratio: total > 0 ? changedPixels / total : 0,
+    box: box && { x: box.left, y: box.top, width: box.right - box.left + 1, height: box.bottom - box.top + 1 },
+    highlight: changedPixels > 0 ? highlight : null
+  };
+}
+
+export { diffLines, diffPixels };
@@ -0,0 +1,644 @@
+// =============================================================================
+// PAGE WATCHER - VIGILANCIA DE CAMBIOS EN PÁGINAS WEB
+// Cada vigilante vuelve a cargar una página en un BrowserView oculto con el
+// intervalo elegido y compara una región (un selector CSS, un rectángulo o la
+// parte visible de la página) con la última versión guardada: texto visible,
+// esqueleto del DOM y píxeles. Si algo cambia, guarda una versión nueva con las
+// diferencias y la imagen resaltada, y emite 'change' para avisar al usuario.
+// Las imágenes de cada versión van en su propio fichero y la versión con la que
+// se compara se guarda en memoria: una comprobación sin cambios no lee el historial
+// =============================================================================
+
+import { BrowserWindow, nativeImage } from 'electron';
+import { EventEmitter } from 'events';
+import { randomUUID, createHash } from 'crypto';
+import * as path from 'path';
+import { PersistentStore, resolveDataDirectory } from '../persistence/persistent-store.js';
+import { diffLines, diffPixels } from './page-diff.js';
+import { withTimeout, delay } from '../async/abortable.js';
+
+const WATCHER_VERSION = 1;
+const WATCHER_WORLD_ID = 1024;
+const WATCHER_ID_PATTERN = /^watch-[0-9a-f-]{36}$/;
+const VIEWPORT = { width: 1280, height: 900 };
+
+const TICK_MS = 30000;
+const MIN_INTERVAL_MINUTES = 1;
+const DEFAULT_INTERVAL_MINUTES = 15;
+const DEFAULT_PIXEL_THRESHOLD = 0.01; // proporción de píxeles cambiados que cuenta como cambio
+const LOAD_TIMEOUT_MS = 30000;
+const SETTLE_MS = 1500;               // margen para el contenido que llega después de cargar
+const SELECTOR_WAIT_MS = 10000;
+const MAX_WATCHERS = 50;
+const MAX_VERSIONS = 20;
+const MAX_DOM_LINES = 1500;
+const MAX_TEXT_CHARS = 20000;
+
+class PageWatcher extends EventEmitter {
+  constructor(browserCore, options = {}) {
+    super();
+    this.browserCore = browserCore;
+    this.directory = path.join(options.baseDir || resolveDataDirectory(), 'page-watchers');
+    this.store = new PersistentStore('watchers', { baseDir: this.directory });
+    this.watchers = new Map(); // watcherId -> vigilante
+    this.queue = [];           // { watcherId, resolve, reject } pendientes de comprobar
+    this.pending = new Map();  // watcherId -> promesa de la comprobación en cola o en curso
+    this.baselines = new Map(); // watcherId -> versión con la que se compara (con su imagen)
+    this.checking = null;
+    this.host = null;          // ventana oculta que aloja el BrowserView de las comprobaciones
+    this.timer = null;
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ watchers: [] });
+    for (const watcher of saved.watchers || []) {
+      if (WATCHER_ID_PATTERN.test(String(watcher?.id))) this.watchers.set(watcher.id, watcher);
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref?.();
+
+    console.log(`✅ Vigilantes de páginas cargados: ${this.watchers.size}`);
+  }
+
+  // =============================================================================
+  // GESTIÓN DE VIGILANTES
+  // =============================================================================
+
+  // region: { type: 'selector', selector } | { type: 'rect', x, y, width, height } | null (parte visible)
+  // detect: qué cuenta como cambio ({ text, dom, pixels }, todo por defecto)
+  create(definition = {}) {
+    if (this.watchers.size >= MAX_WATCHERS) {
+      throw new Error(`Como mucho ${MAX_WATCHERS} vigilantes`);
+    }
+
+    const now = Date.now();
+    const watcher = {
+      id: `watch-${randomUUID()}`,
+      ...normalizeDefinition(definition),
+      createdBy: definition.createdBy === 'agent' ? 'agent' : 'user',
+      createdAt: now,
+      updatedAt: now,
+      lastCheckAt: null,
+      lastChangeAt: null,
+      lastError: null,
+      versionCount: 0
+    };
+
+    this.watchers.set(watcher.id, watcher);
+    this.changed('created', watcher);
+    // La primera comprobación guarda la versión de referencia
+    if (watcher.enabled) this.enqueue(watcher.id).catch(() => {});
+    return { ...watcher };
+  }
+
+  update(watcherId, changes = {}) {
+    const watcher = this.require(watcherId);
+    const { createdBy, ...editable } = changes;
+    const definition = normalizeDefinition({ ...watcher, ...editable });
+
+    // Otra página u otra región no se comparan con las versiones anteriores
+    const target = (item) => JSON.stringify([item.url, item.region, item.containerId]);
+    const retarget = target(definition) !== target(watcher);
+
+    Object.assign(watcher, definition, { updatedAt: Date.now() });
+    if (retarget) {
+      watcher.baselineAt = watcher.updatedAt;
+      watcher.lastError = null;
+    }
+    this.changed('updated', watcher);
+    return { ...watcher };
+  }
+
+  async remove(watcherId) {
+    const watcher = this.watchers.get(watcherId);
+    if (!watcher) return false;
+
+    this.watchers.delete(watcherId);
+    this.baselines.delete(watcherId);
+    // Quien esperaba una comprobación en cola se entera de que no llegará
+    const queued = this.queue.filter(entry => entry.watcherId === watcherId);
+    this.queue = this.queue.filter(entry => entry.watcherId !== watcherId);
+    if (queued.length > 0) this.pending.delete(watcherId);
+    queued.forEach(entry => entry.reject(new Error(`Vigilante eliminado: ${watcherId}`)));
+
+    const { versions } = await this.readVersions(watcherId);
+    for (const version of versions) {
+      await this.imagesFor(watcherId, version.id).remove();
+    }
+    await this.versionsFor(watcherId).remove();
+    this.changed('deleted', watcher);
+    return true;
+  }
+
+  list() {
+    return Array.from(this.watchers.values())
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(watcher => ({ ...watcher }));
+  }
+
+  get(watcherId) {
+    const watcher = this.watchers.get(watcherId);
+    return watcher ? { ...watcher } : null;
+  }
+
+  require(watcherId) {
+    const watcher = this.watchers.get(watcherId);
+    if (!watcher) {
+      throw new Error(`Vigilante no encontrado: ${watcherId}`);
+    }
+    return watcher;
+  }
+
+  // Sin imágenes: se piden de una en una con getVersion
+  async getHistory(watcherId, { limit = MAX_VERSIONS } = {}) {
+    this.require(watcherId);
+    const { versions } = await this.readVersions(watcherId);
+    return versions.slice(0, limit).map(({ image, highlight, ...version }) => ({
+      ...version,
+      hasImage: Boolean(version.hasImage ?? image),
+      hasHighlight: Boolean(version.hasHighlight ?? highlight)
+    }));
+  }
+
+  async getVersion(watcherId, versionId) {
+    this.require(watcherId);
+    const { versions } = await this.readVersions(watcherId);
+    const version = versions.find(candidate => candidate.id === versionId);
+    return version ? { ...version, ...(await this.readImages(watcherId, version)) } : null;
+  }
+
+  // =============================================================================
+  // COMPROBACIONES
+  // =============================================================================
+
+  tick(now = Date.now()) {
+    for (const watcher of this.watchers.values()) {
+      if (!watcher.enabled || this.pending.has(watcher.id)) continue;
+      if (!watcher.lastCheckAt || now - watcher.lastCheckAt >= watcher.intervalMinutes * 60000) {
+        this.enqueue(watcher.id).catch(() => {});
+      }
+    }
+  }
+
+  // Comprobación manual; devuelve { changed, version, error }
+  async checkNow(watcherId) {
+    this.require(watcherId);
+    return await this.enqueue(watcherId);
+  }
+
+  // Las comprobaciones van de una en una: cada una carga una página completa
+  enqueue(watcherId) {
+    if (this.pending.has(watcherId)) return this.pending.get(watcherId);
+
+    const done = new Promise((resolve, reject) => {
+      this.queue.push({ watcherId, resolve, reject });
+    });
+    this.pending.set(watcherId, done);
+    this.drain();
+    return done;
+  }
+
+  async drain() {
+    if (this.checking) return;
+    while (this.queue.length > 0) {
+      const { watcherId, resolve, reject } = this.queue.shift();
+      this.checking = watcherId;
+      try {
+        resolve(await this.check(watcherId));
+      } catch (error) {
+        reject(error);
+      } finally {
+        this.pending.delete(watcherId);
+        this.checking = null;
+      }
+    }
+  }
+
+  async check(watcherId) {
+    const watcher = this.watchers.get(watcherId);
+    if (!watcher) {
+      throw new Error(`Vigilante no encontrado: ${watcherId}`);
+    }
+
+    let capture;
+    try {
+      const security = await this.browserCore.checkSecurity(watcher.url);
+      if (!security.safe) {
+        throw new Error(`Página bloqueada: ${security.reason}`);
+      }
+      capture = await this.capture(watcher);
+    } catch (error) {
+      watcher.lastCheckAt = Date.now();
+      watcher.lastError = error.message;
+      this.changed('checked', watcher);
+      console.warn(`⚠️ Vigilante ${watcher.name}: ${error.message}`);
+      return { changed: false, version: null, error: error.message };
+    }
+
+    // Un vigilante borrado durante la carga no guarda nada
+    if (!this.watchers.has(watcherId)) {
+      return { changed: false, version: null, error: null };
+    }
+
+    const previous = await this.baselineFor(watcher);
+    const diff = previous ? compareCaptures(previous, capture) : null;
+    const changed = Boolean(diff && isChange(diff, watcher));
+
+    watcher.lastCheckAt = capture.capturedAt;
+    watcher.lastError = null;
+
+    if (previous && !changed) {
+      this.changed('checked', watcher);
+      return { changed: false, version: null, error: null, diff: describeDiff(diff) };
+    }
+
+    const version = {
+      id: `v-${randomUUID()}`,
+      capturedAt: capture.capturedAt,
+      url: capture.url,
+      title: capture.title,
+      rect: capture.rect,
+      clipped: capture.clipped,
+      hash: capture.hash,
+      text: capture.text,
+      dom: capture.dom,
+      image: capture.image,
+      baseline: !previous,
+      diff: diff && describeDiff(diff),
+      summary: diff ? summarizeDiff(diff) : 'Versión de referencia',
+      highlight: diff?.pixels.highlight ? toPNG(diff.pixels.highlight, capture.size) : null
+    };
+    const { versions } = await this.readVersions(watcherId);
+    const all = [version, ...versions];
+    await this.writeVersions(watcherId, all.slice(0, MAX_VERSIONS), all.slice(MAX_VERSIONS));
+    this.baselines.set(watcherId, version);
+
+    watcher.versionCount = Math.min(all.length, MAX_VERSIONS);
+    if (changed) watcher.lastChangeAt = version.capturedAt;
+    this.changed('checked', watcher);
+
+    const { image, highlight, text, dom, ...light } = version;
+    if (changed) {
+      this.emit('change', { watcher: { ...watcher }, version: light });
+    }
+    return { changed, version: light, error: null };
+  }
+
+  // Carga la página en un BrowserView oculto (con el contenedor del vigilante)
+  // y devuelve el texto, el esqueleto del DOM y la imagen de la región
+  async capture(watcher) {
+    const host = this.getHost();
+    const browserView = this.browserCore.tabManager.createBrowserView(watcher.containerId || null);
+    const webContents = browserView.webContents;
+
+    try {
+      host.addBrowserView(browserView);
+      browserView.setBounds({ x: 0, y: 0, ...VIEWPORT });
+      webContents.setAudioMuted(true);
+      // Sin ventanas emergentes ni descargas desde la página vigilada
+      webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+      await withTimeout(signal => loadPage(webContents, watcher.url, signal), LOAD_TIMEOUT_MS, {
+        message: 'La página no terminó de cargar'
+      });
+      await delay(SETTLE_MS);
+
+      const deadline = Date.now() + SELECTOR_WAIT_MS;
+      let region = await readRegion(webContents, watcher.region);
+      while (!region.found && Date.now() < deadline) {
+        await delay(500);
+        region = await readRegion(webContents, watcher.region);
+      }
+      if (!region.found) {
+        throw new Error(`No se encuentra la región: ${watcher.region.selector}`);
+      }
+      if (region.rect.width === 0 || region.rect.height === 0) {
+        throw new Error('La región no es visible');
+      }
+
+      const image = await webContents.capturePage(region.rect);
+      const size = image.getSize();
+      const text = region.text.slice(0, MAX_TEXT_CHARS);
+      return {
+        capturedAt: Date.now(),
+        url: region.url,
+        title: region.title,
+        rect: region.rect,
+        clipped: region.clipped,
+        text,
+        dom: region.dom,
+        hash: createHash('sha256').update(text).update('\n\n').update(region.dom.join('\n')).digest('hex'),
+        bitmap: { ...size, data: image.toBitmap() },
+        size,
+        image: image.isEmpty() ? null : image.toDataURL()
+      };
+    } finally {
+      if (!host.isDestroyed()) host.removeBrowserView(browserView);
+      if (!webContents.isDestroyed()) webContents.close();
+    }
+  }
+
+  getHost() {
+    if (!this.host || this.host.isDestroyed()) {
+      this.host = new BrowserWindow({
+        ...VIEWPORT,
+        show: false,
+        skipTaskbar: true,
+        webPreferences: { sandbox: true, contextIsolation: true, nodeIntegration: false }
+      });
+    }
+    return this.host;
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  versionsFor(watcherId) {
+    return new PersistentStore(`versions-${watcherId}`, { baseDir: this.directory });
+  }
+
+  imagesFor(watcherId, versionId) {
+    return new PersistentStore(`${watcherId}-${versionId}`, { baseDir: this.directory, subdirectory: 'images' });
+  }
+
+  async readVersions(watcherId) {
+    const stored = await this.versionsFor(watcherId).read(null);
+    return { versions: stored?.versions || [] };
+  }
+
+  // Las versiones guardadas antes de separar las imágenes las llevan dentro
+  async readImages(watcherId, version) {
+    const stored = version.image !== undefined ? version : await this.imagesFor(watcherId, version.id).read(null);
+    return { image: stored?.image || null, highlight: stored?.highlight || null };
+  }
+
+  // El historial se guarda sin imágenes: cada una va a su fichero (también las
+  // de versiones antiguas que aún las llevaban dentro) y las de las versiones
+  // que salen del historial se borran
+  async writeVersions(watcherId, versions, dropped = []) {
+    const light = [];
+    for (const { image, highlight, ...version } of versions) {
+      if (image !== undefined) {
+        await this.imagesFor(watcherId, version.id).write({ image, highlight: highlight || null });
+      }
+      light.push({ ...version, hasImage: Boolean(version.hasImage ?? image), hasHighlight: Boolean(version.hasHighlight ?? highlight) });
+    }
+    await this.versionsFor(watcherId).write({ version: WATCHER_VERSION, versions: light });
+    for (const version of dropped) {
+      await this.imagesFor(watcherId, version.id).remove();
+    }
+  }
+
+  // La versión con la que se compara es la última desde baselineAt (otra
+  // página u otra región empiezan de cero); solo se lee del disco la primera vez
+  async baselineFor(watcher) {
+    const since = watcher.baselineAt || 0;
+    const cached = this.baselines.get(watcher.id);
+    if (cached && cached.capturedAt >= since) return cached;
+
+    const { versions } = await this.readVersions(watcher.id);
+    const latest = versions.find(version => version.capturedAt >= since);
+    if (!latest) {
+      this.baselines.delete(watcher.id);
+      return null;
+    }
+    const baseline = { ...latest, ...(await this.readImages(watcher.id, latest)) };
+    this.baselines.set(watcher.id, baseline);
+    return baseline;
+  }
+
+  changed(action, watcher) {
+    this.store.scheduleWrite({ version: WATCHER_VERSION, watchers: Array.from(this.watchers.values()) });
+    this.emit('watchers-changed', { action, watcher: { ...watcher } });
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.queue = [];
+    if (this.host && !this.host.isDestroyed()) this.host.destroy();
+    this.host = null;
+
+    this.store.scheduleWrite({ version: WATCHER_VERSION, watchers: Array.from(this.watchers.values()) });
+    await this.store.flush();
+  }
+}
+
+// =============================================================================
+// REGIÓN EN LA PÁGINA
+// =============================================================================
+
+// Se ejecuta en la página: no puede usar nada de fuera de la función. Devuelve
+// la región en coordenadas de la ventana (recortada a lo visible), su texto y
+// un esqueleto del DOM (etiqueta, id, clases y texto propio por línea)
+function regionInPage(region, maxLines) {
+  const clean = (text, max) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+  const skipped = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'IFRAME']);
+
+  let root = document.body;
+  let rect;
+  if (region?.type === 'selector') {
+    root = document.querySelector(region.selector);
+    if (!root) return { found: false };
+    root.scrollIntoView({ block: 'start', inline: 'start' });
+    const bounds = root.getBoundingClientRect();
+    rect = { x: bounds.left, y: bounds.top, width: bounds.width, height: bounds.height };
+  } else if (region?.type === 'rect') {
+    window.scrollTo(region.x, region.y);
+    rect = { x: region.x - window.scrollX, y: region.y - window.scrollY, width: region.width, height: region.height };
+  } else {
+    window.scrollTo(0, 0);
+    rect = { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  // Solo se puede capturar lo que cabe en la ventana
+  const x = Math.max(0, Math.floor(rect.x));
+  const y = Math.max(0, Math.floor(rect.y));
+  const visible = {
+    x,
+    y,
+    width: Math.max(0, Math.min(Math.ceil(rect.x + rect.width), window.innerWidth) - x),
+    height: Math.max(0, Math.min(Math.ceil(rect.y + rect.height), window.innerHeight) - y)
+  };
+  const clipped = visible.width < Math.round(rect.width) || visible.height < Math.round(rect.height);
+
+  // Con un rectángulo cuentan los elementos que lo tocan
+  const inRegion = (element) => {
+    if (region?.type !== 'rect') return true;
+    const bounds = element.getBoundingClientRect();
+    return bounds.right > rect.x && bounds.left < rect.x + rect.width &&
+      bounds.bottom > rect.y && bounds.top < rect.y + rect.height;
+  };
+
+  const dom = [];
+  const textLines = [];
+  const walk = (element, depth) => {
+    if (dom.length >= maxLines || skipped.has(element.tagName.toUpperCase())) return;
+    if (element.getClientRects().length === 0 && element !== document.body) return; // oculto
+    const include = inRegion(element);
+
+    if (include) {
+      const ownText = clean(Array.from(element.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent)
+        .join(' '), 120);
+      const classes = Array.from(element.classList).filter(name => !/\d{3,}/.test(name)).slice(0, 3);
+      let line = '  '.repeat(depth) + element.tagName.toLowerCase() +
+        (element.id ? `#${element.id}` : '') + classes.map(name => `.${name}`).join('');
+      if (element.tagName === 'A' && element.getAttribute('href')) line += ` href=${element.getAttribute('href')}`;
+      if (element.tagName === 'IMG') line += ` src=${element.getAttribute('src') || ''} alt=${element.getAttribute('alt') || ''}`;
+      if (ownText) {
+        line += ` "${ownText}"`;
+        if (region?.type === 'rect') textLines.push(ownText);
+      }
+      dom.push(line);
+    }
+    for (const child of element.children) walk(child, include ? depth + 1 : depth);
+  };
+  walk(root, 0);
+
+  const text = region?.type === 'rect'
+    ? textLines.join('\n')
+    : String(root.innerText || '').split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n');
+
+  return { found: true, url: location.href, title: document.title, rect: visible, clipped, text, dom };
+}
+
+async function readRegion(webContents, region) {
+  return await webContents.executeJavaScriptInIsolatedWorld(WATCHER_WORLD_ID, [{
+    code: `(${regionInPage.toString()})(${JSON.stringify(region || null)}, ${MAX_DOM_LINES})`
+  }]);
+}
+
+// =============================================================================
+// COMPARACIÓN
+// =============================================================================
+
+// previous es una versión guardada (imagen PNG), capture la captura nueva (mapa de bits)
+function compareCaptures(previous, capture) {
+  const previousImage = previous.image ? nativeImage.createFromDataURL(previous.image) : null;
+  const before = previousImage && !previousImage.isEmpty()
+    ? { ...previousImage.getSize(), data: previousImage.toBitmap() }
+    : null;
+
+  return {
+    text: diffLines(splitLines(previous.text), splitLines(capture.text)),
+    dom: diffLines(previous.dom || [], capture.dom),
+    pixels: before && capture.image ? diffPixels(before, capture.bitmap) : { comparable: false, ratio: 0, box: null, highlight: null }
+  };
+}
+
+function isChange(diff, watcher) {
+  const { detect, pixelThreshold } = watcher;
+  return (detect.text && diff.text.added + diff.text.removed > 0) ||
+    (detect.dom && diff.dom.added + diff.dom.removed > 0) ||
+    (detect.pixels && diff.pixels.ratio >= pixelThreshold);
+}
+
+// Lo que se guarda y se envía de una diferencia (sin mapas de bits)
+function describeDiff(diff) {
+  return {
+    text: diff.text,
+    dom: diff.dom,
+    pixels: {
+      comparable: diff.pixels.comparable,
+      ratio: diff.pixels.ratio,
+      changedPixels: diff.pixels.changedPixels ?? null,
+      box: diff.pixels.box
+    }
+  };
+}
+
+function summarizeDiff(diff) {
+  const parts = [];
+  if (diff.text.added || diff.text.removed) {
+    parts.push(`texto: +${diff.text.added} / -${diff.text.removed} líneas`);
+  }
+  if (diff.dom.added || diff.dom.removed) {
+    parts.push(`DOM: +${diff.dom.added} / -${diff.dom.removed} nodos`);
+  }
+  if (!diff.pixels.comparable) {
+    parts.push('la región ha cambiado de tamaño');
+  } else if (diff.pixels.ratio > 0) {
+    parts.push(`${(diff.pixels.ratio * 100).toFixed(1)}% de píxeles`);
+  }
+  const firstAdded = diff.text.changes.find(change => change.type === 'added');
+  return parts.join(', ') + (firstAdded ? ` — "${firstAdded.line.slice(0, 100)}"` : '');
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function normalizeDefinition(definition) {
+  let parsed;
+  try {
+    parsed = new URL(String(definition.url || '').trim());
+  } catch {
+    throw new Error(`URL inválida: "${definition.url}"`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Solo se pueden vigilar páginas http(s)');
+  }
+
+  const intervalMinutes = Math.max(MIN_INTERVAL_MINUTES,
+    Math.floor(Number(definition.intervalMinutes)) || DEFAULT_INTERVAL_MINUTES);
+  const threshold = Number(definition.pixelThreshold);
+  const detect = { text: true, dom: true, pixels: true, ...(definition.detect || {}) };
+
+  return {
+    name: String(definition.name || '').trim().slice(0, 120) || parsed.hostname,
+    url: parsed.href,
+    region: normalizeRegion(definition.region),
+    intervalMinutes,
+    pixelThreshold: threshold > 0 && threshold <= 1 ? threshold : DEFAULT_PIXEL_THRESHOLD,
+    detect: { text: detect.text !== false, dom: detect.dom !== false, pixels: detect.pixels !== false },
+    containerId: definition.containerId || null,
+    notify: definition.notify !== false,
+    enabled: definition.enabled !== false,
+    baselineAt: definition.baselineAt || 0
+  };
+}
+
+function normalizeRegion(region) {
+  if (!region) return null;
+
+  if (region.type === 'selector') {
+    const selector = String(region.selector || '').trim();
+    if (!selector) throw new Error('Falta el selector CSS de la región');
+    return { type: 'selector', selector };
+  }
+  if (region.type === 'rect') {
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Math.round(Number(region[key])));
+    if (![x, y, width, height].every(Number.isFinite) || x < 0 || y < 0 || width < 1 || height < 1) {
+      throw new Error('Rectángulo de región inválido');
+    }
+    return { type: 'rect', x, y, width: Math.min(width, VIEWPORT.width), height: Math.min(height, VIEWPORT.height) };
+  }
+  throw new Error(`Tipo de región desconocido: ${region.type}`);
+}
+
+function splitLines(text) {
+  return String(text || '').split('\n').filter(Boolean);
+}
+
+function toPNG(bitmap, size) {
+  return nativeImage.createFromBitmap(bitmap, size).toDataURL();
+}
+
+// Al agotarse el tiempo se detiene la carga. Una redirección en el cliente
+// aborta la carga original (ERR_ABORTED) sin que sea un fallo
+async function loadPage(webContents, url, signal) {
+  signal.addEventListener('abort', () => {
+    if (!webContents.isDestroyed()) webContents.stop();
+  }, { once: true });
+  try {
+    await webContents.loadURL(url);
+  } catch (error) {
+    if (error.code !== 'ERR_ABORTED') throw error;
+  }
+}
+
+export { PageWatcher };
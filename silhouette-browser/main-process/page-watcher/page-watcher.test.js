@@ -0,0 +1,84 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+jest.unstable_mockModule('electron', () => ({
+  app: { getPath: () => { throw new Error('fuera de Electron'); } },
+  BrowserWindow: class {},
+  nativeImage: { createFromDataURL: () => ({ isEmpty: () => true }) }
+}));
+const { PageWatcher } = await import('./page-watcher.js');
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+// Vigilante sin navegador: la captura devuelve el texto que se le indique
+function createWatcher(baseDir) {
+  const browserCore = { checkSecurity: async () => ({ safe: true }) };
+  const watcher = new PageWatcher(browserCore, { baseDir });
+  watcher.store = { read: async () => ({ watchers: [] }), scheduleWrite: () => {}, flush: async () => {} };
+  watcher.page = 'Precio: 10 €';
+  watcher.capture = async () => ({
+    capturedAt: Date.now(),
+    url: 'https://example.com/',
+    title: 'Ejemplo',
+    rect: { x: 0, y: 0, width: 10, height: 10 },
+    clipped: false,
+    text: watcher.page,
+    dom: ['body', `p ${watcher.page}`],
+    hash: watcher.page,
+    bitmap: null,
+    size: { width: 10, height: 10 },
+    image: IMAGE
+  });
+  return watcher;
+}
+
+describe('PageWatcher', () => {
+  let baseDir;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'silhouette-watchers-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  test('borrar un vigilante rechaza su comprobación en cola', async () => {
+    const pageWatcher = createWatcher(baseDir);
+    const { id } = pageWatcher.create({ url: 'https://example.com/', enabled: false });
+    pageWatcher.checking = 'otro'; // la cola está parada mientras se comprueba otro
+
+    const rejected = expect(pageWatcher.checkNow(id)).rejects.toThrow(`Vigilante eliminado: ${id}`);
+    await pageWatcher.remove(id);
+
+    await rejected;
+    expect(pageWatcher.queue).toEqual([]);
+    expect(pageWatcher.pending.has(id)).toBe(false);
+  });
+
+  test('las imágenes se guardan aparte y sin cambios no se lee el historial', async () => {
+    const pageWatcher = createWatcher(baseDir);
+    const { id } = pageWatcher.create({ url: 'https://example.com/', enabled: false });
+
+    const first = await pageWatcher.checkNow(id);
+    expect(first).toMatchObject({ changed: false, version: { baseline: true } });
+
+    const readVersions = jest.spyOn(pageWatcher, 'readVersions');
+    await expect(pageWatcher.checkNow(id)).resolves.toMatchObject({ changed: false, version: null });
+    expect(readVersions).not.toHaveBeenCalled();
+
+    pageWatcher.page = 'Precio: 12 €';
+    const second = await pageWatcher.checkNow(id);
+    expect(second).toMatchObject({ changed: true, version: { baseline: false } });
+
+    const saved = JSON.parse(await fs.readFile(path.join(baseDir, 'page-watchers', `versions-${id}.json`), 'utf8'));
+    expect(saved.versions).toHaveLength(2);
+    expect(saved.versions.every(version => !('image' in version) && version.hasImage)).toBe(true);
+    await expect(pageWatcher.getVersion(id, second.version.id)).resolves.toMatchObject({ text: 'Precio: 12 €', image: IMAGE });
+
+    await pageWatcher.remove(id);
+    await expect(fs.readdir(path.join(baseDir, 'page-watchers', 'images'))).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,164 @@
+// =============================================================================
+// PERSISTENT STORE - ALMACENAMIENTO LOCAL A PRUEBA DE CAÍDAS
+// Snapshots JSON con escritura atómica + journal NDJSON de solo anexado
+// =============================================================================
+
+import { app } from 'electron';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as os from 'os';
+
+// Directorio base de datos de la aplicación (userData de Electron o ~/.silhouette-browser)
+function resolveDataDirectory() {
+  try {
+    if (app && typeof app.getPath === 'function') {
+      return path.join(app.getPath('userData'), 'silhouette-data');
+    }
+  } catch (error) {
+    // app.getPath puede fallar antes de 'ready' o fuera de Electron
+  }
+  return path.join(os.homedir(), '.silhouette-browser');
+}
+
+class PersistentStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.baseDir = options.baseDir || resolveDataDirectory();
+    this.directory = path.join(this.baseDir, options.subdirectory || '');
+    this.snapshotPath = path.join(this.directory, `${name}.json`);
+    this.journalPath = path.join(this.directory, `${name}.journal`);
+    this.writeDelay = options.writeDelay ?? 500;
+    this.pendingWrite = null;
+    this.pendingData = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  // =============================================================================
+  // SNAPSHOTS
+  // =============================================================================
+
+  async read(defaults = null) {
+    try {
+      const raw = await fs.readFile(this.snapshotPath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Snapshot corrupto en ${this.snapshotPath}:`, error.message);
+        await this.quarantine(this.snapshotPath);
+      }
+      return defaults;
+    }
+  }
+
+  async write(data) {
+    // Serializar escrituras para que nunca se pisen entre sí
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(() => this.writeAtomic(this.snapshotPath, JSON.stringify(data, null, 2)));
+    return this.writeChain;
+  }
+
+  scheduleWrite(data) {
+    this.pendingData = data;
+    if (this.pendingWrite) return;
+
+    this.pendingWrite = setTimeout(() => {
+      const snapshot = this.pendingData;
+      this.pendingWrite = null;
+      this.pendingData = null;
+      this.write(snapshot).catch(error => {
+        console.error(`❌ Error guardando ${this.name}:`, error);
+      });
+    }, this.writeDelay);
+  }
+
+  async flush() {
+    if (this.pendingWrite) {
+      clearTimeout(this.pendingWrite);
+      this.pendingWrite = null;
+      const snapshot = this.pendingData;
+      this.pendingData = null;
+      await this.write(snapshot);
+    }
+    await this.writeChain.catch(() => {});
+  }
+
+  async remove() {
+    await fs.rm(this.snapshotPath, { force: true });
+    await fs.rm(this.journalPath, { force: true });
+  }
+
+  // =============================================================================
+  // JOURNAL (NDJSON)
+  // =============================================================================
+
+  async append(entry) {
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.appendFile(this.journalPath, JSON.stringify(entry) + '\n', 'utf8');
+      });
+    return this.writeChain;
+  }
+
+  async readJournal() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Una línea truncada indica una caída a mitad de escritura: se descarta
+        console.warn(`⚠️ Entrada de journal truncada descartada en ${this.name}`);
+      }
+    }
+    return entries;
+  }
+
+  async compact(snapshot) {
+    // Primero el snapshot atómico, después vaciar el journal
+    await this.write(snapshot);
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(() => fs.rm(this.journalPath, { force: true }));
+    return this.writeChain;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  async writeAtomic(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.partial`;
+
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tempPath, filePath);
+  }
+
+  async quarantine(filePath) {
+    try {
+      await fs.rename(filePath, `${filePath}.corrupt-${Date.now()}`);
+    } catch (error) {
+      // Si no se puede mover, se sobrescribirá en la siguiente escritura
+    }
+  }
+}
+
+export { PersistentStore, resolveDataDirectory };
@@ -0,0 +1,337 @@
+// =============================================================================
+// ARTICLE EXTRACTOR - EXTRACCIÓN DE ARTÍCULOS ESTILO READABILITY
+// Puntúa los contenedores de párrafos para encontrar el cuerpo principal de la
+// página y lo convierte en bloques estructurados (encabezados, párrafos,
+// listas, imágenes...) que el proceso principal renderiza sin HTML ajeno
+// =============================================================================
+
+const WORDS_PER_MINUTE = 230;
+const MAX_TEXT_LENGTH = 200000;
+
+// Se ejecuta dentro de la página (executeJavaScript): debe ser autocontenida
+function extractInPage(options) {
+  const UNLIKELY = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|legends|menu|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|yom-remote/i;
+  const MAYBE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+  const JUNK = 'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, svg, canvas, nav, aside, footer, [hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"], [role="dialog"], [role="alert"]';
+  const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'TABLE', 'FIGURE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'DL', 'HEADER']);
+
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const meta = (...selectors) => {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const value = clean(element?.getAttribute('content') || element?.getAttribute('datetime') || element?.textContent);
+      if (value) return value;
+    }
+    return null;
+  };
+  const absolute = (value) => {
+    if (!value) return null;
+    try {
+      const resolved = new URL(value, document.baseURI);
+      return /^(https?|mailto|data):$/.test(resolved.protocol) ? resolved.href : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // ---------------------------------------------------------------------------
+  // Metadatos
+  // ---------------------------------------------------------------------------
+  const siteName = meta('meta[property="og:site_name"]', 'meta[name="application-name"]');
+  let title = meta('meta[property="og:title"]', 'meta[name="twitter:title"]') || clean(document.title);
+  const firstHeading = clean(document.querySelector('article h1, main h1, h1')?.textContent);
+  if (firstHeading && (!title || title.includes(firstHeading))) title = firstHeading;
+  // "Titular | Sitio" -> "Titular"
+  const separated = title.split(/\s+[|\-–—»]\s+/);
+  if (separated.length > 1 && separated[0].split(' ').length >= 3) title = separated[0];
+
+  const article = {
+    url: location.href,
+    title,
+    byline: meta('meta[name="author"]', 'meta[property="article:author"]', '[rel="author"]', '[itemprop="author"] [itemprop="name"]', '[itemprop="author"]', '.byline', '.author'),
+    siteName: siteName || location.hostname.replace(/^www\./, ''),
+    excerpt: meta('meta[name="description"]', 'meta[property="og:description"]'),
+    publishedTime: meta('meta[property="article:published_time"]', 'time[datetime]', '[itemprop="datePublished"]'),
+    lang: document.documentElement.lang || null,
+    leadImage: absolute(meta('meta[property="og:image"]', 'meta[name="twitter:image"]')),
+    links: Array.from(document.querySelectorAll('a')).map(a => clean(a.innerText)).filter(Boolean).join(' ').substring(0, 500),
+    blocks: []
+  };
+
+  if (!document.body) return article;
+
+  // ---------------------------------------------------------------------------
+  // Limpieza sobre una copia: la página visible no se toca
+  // ---------------------------------------------------------------------------
+  const root = document.body.cloneNode(true);
+  root.querySelectorAll(JUNK).forEach(element => element.remove());
+  Array.from(root.querySelectorAll('*')).forEach(element => {
+    if (!root.contains(element) || ['BODY', 'ARTICLE', 'MAIN', 'A'].includes(element.tagName)) return;
+    const matchString = `${element.className && element.className.baseVal === undefined ? element.className : ''} ${element.id}`;
+    if (UNLIKELY.test(matchString) && !MAYBE.test(matchString) && !element.querySelector('article, main')) {
+      element.remove();
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Puntuación de candidatos
+  // ---------------------------------------------------------------------------
+  const scores = new Map();
+  const classWeight = (element) => {
+    let weight = 0;
+    for (const value of [element.className, element.id]) {
+      if (typeof value !== 'string' || !value) continue;
+      if (NEGATIVE.test(value)) weight -= 25;
+      if (POSITIVE.test(value)) weight += 25;
+    }
+    return weight;
+  };
+  const initialScore = (element) => {
+    let score = classWeight(element);
+    if (['DIV', 'ARTICLE', 'MAIN', 'SECTION'].includes(element.tagName)) score += 5;
+    if (element.tagName === 'ARTICLE') score += 10;
+    if (['PRE', 'TD', 'BLOCKQUOTE'].includes(element.tagName)) score += 3;
+    if (['OL', 'UL', 'DL', 'LI', 'ADDRESS', 'FORM'].includes(element.tagName)) score -= 3;
+    if (/^H\d$|^TH$/.test(element.tagName)) score -= 5;
+    return score;
+  };
+  const linkDensity = (element) => {
+    const length = clean(element.textContent).length;
+    if (!length) return 0;
+    const linkLength = Array.from(element.querySelectorAll('a'))
+      .reduce((total, link) => total + clean(link.textContent).length, 0);
+    return linkLength / length;
+  };
+
+  const paragraphs = Array.from(root.querySelectorAll('p, pre, td, blockquote'));
+  // Divs usados como párrafos (texto directo sin bloques hijos)
+  root.querySelectorAll('div').forEach(div => {
+    if (!Array.from(div.children).some(child => BLOCK_TAGS.has(child.tagName))) paragraphs.push(div);
+  });
+
+  for (const paragraph of paragraphs) {
+    const text = clean(paragraph.textContent);
+    if (text.length < 25) continue;
+
+    const contentScore = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = paragraph.parentElement;
+    for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parentElement) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + contentScore / (level === 0 ? 1 : level * 2));
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - linkDensity(element));
+    scores.set(element, finalScore);
+    if (finalScore > topScore) {
+      top = element;
+      topScore = finalScore;
+    }
+  }
+  top = top || root.querySelector('article, main, [role="main"]') || root;
+
+  // Hermanos del candidato que también parecen contenido (introducciones, notas)
+  const containers = [];
+  const siblings = top.parentElement && top !== root ? Array.from(top.parentElement.children) : [top];
+  const threshold = Math.max(10, topScore * 0.2);
+  for (const sibling of siblings) {
+    if (sibling === top) {
+      containers.push(sibling);
+      continue;
+    }
+    const text = clean(sibling.textContent);
+    const density = linkDensity(sibling);
+    if ((scores.get(sibling) || 0) >= threshold ||
+        (sibling.tagName === 'P' && ((text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))))) {
+      containers.push(sibling);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Conversión a bloques
+  // ---------------------------------------------------------------------------
+  const inlines = (node, style = {}, output = []) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        const text = child.textContent.replace(/\s+/g, ' ');
+        if (text) output.push({ text, ...style });
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = child.tagName;
+      if (tag === 'BR') output.push({ text: '\n', ...style });
+      else if (tag === 'STRONG' || tag === 'B') inlines(child, { ...style, bold: true }, output);
+      else if (tag === 'EM' || tag === 'I') inlines(child, { ...style, italic: true }, output);
+      else if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP') output.push({ text: child.textContent, ...style, code: true });
+      else if (tag === 'A') {
+        const href = absolute(child.getAttribute('href'));
+        inlines(child, href && !href.startsWith('data:') ? { ...style, href } : style, output);
+      } else if (tag !== 'IMG') inlines(child, style, output);
+    }
+    return output;
+  };
+  const trimInlines = (list) => {
+    while (list.length && !list[0].text.trim()) list.shift();
+    while (list.length && !list[list.length - 1].text.trim()) list.pop();
+    if (list.length) {
+      list[0] = { ...list[0], text: list[0].text.replace(/^\s+/, '') };
+      list[list.length - 1] = { ...list[list.length - 1], text: list[list.length - 1].text.replace(/\s+$/, '') };
+    }
+    return list;
+  };
+  const imageBlock = (img, caption) => {
+    const src = absolute(img.getAttribute('src') || img.getAttribute('data-src') || img.getAttribute('data-original') ||
+      (img.getAttribute('srcset') || '').split(',')[0].trim().split(' ')[0]);
+    if (!src || src.startsWith('data:')) return null;
+    return { type: 'image', src, alt: clean(img.getAttribute('alt')), caption: clean(caption) || null };
+  };
+
+  const blocks = article.blocks;
+  const pending = [];
+  const flushPending = () => {
+    const list = trimInlines(pending.splice(0));
+    if (list.length) blocks.push({ type: 'paragraph', inlines: list });
+  };
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (blocks.length >= options.maxBlocks) return;
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (child.textContent.trim()) pending.push({ text: child.textContent.replace(/\s+/g, ' ') });
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = child.tagName;
+      if (!BLOCK_TAGS.has(tag) && tag !== 'IMG' && tag !== 'PICTURE') {
+        pending.push(...inlines({ childNodes: [child] }));
+        continue;
+      }
+      flushPending();
+
+      if (/^H[1-6]$/.test(tag)) {
+        const list = trimInlines(inlines(child));
+        if (list.length) blocks.push({ type: 'heading', level: Number(tag[1]), inlines: list });
+      } else if (tag === 'P') {
+        child.querySelectorAll('img').forEach(img => {
+          const image = imageBlock(img);
+          if (image) blocks.push(image);
+        });
+        const list = trimInlines(inlines(child));
+        if (list.length) blocks.push({ type: 'paragraph', inlines: list });
+      } else if (tag === 'UL' || tag === 'OL') {
+        const items = Array.from(child.children)
+          .filter(item => item.tagName === 'LI')
+          .map(item => trimInlines(inlines(item)))
+          .filter(item => item.length);
+        if (items.length) blocks.push({ type: 'list', ordered: tag === 'OL', items });
+      } else if (tag === 'BLOCKQUOTE') {
+        const list = trimInlines(inlines(child));
+        if (list.length) blocks.push({ type: 'quote', inlines: list });
+      } else if (tag === 'PRE') {
+        const language = (child.querySelector('code')?.className || child.className || '').match(/language-([\w+-]+)/);
+        blocks.push({ type: 'code', text: child.textContent.replace(/\n+$/, ''), language: language ? language[1] : null });
+      } else if (tag === 'IMG' || tag === 'PICTURE') {
+        const image = imageBlock(tag === 'IMG' ? child : child.querySelector('img') || child);
+        if (image) blocks.push(image);
+      } else if (tag === 'FIGURE') {
+        const img = child.querySelector('img');
+        const image = img ? imageBlock(img, child.querySelector('figcaption')?.textContent) : null;
+        if (image) blocks.push(image);
+        else walk(child);
+      } else if (tag === 'TABLE') {
+        const rows = Array.from(child.querySelectorAll('tr')).slice(0, 100)
+          .map(row => Array.from(row.children).map(cell => clean(cell.textContent)))
+          .filter(row => row.some(Boolean));
+        // Tablas de maquetación: se tratan como contenedores
+        if (rows.length > 1 && rows[0].length > 1) blocks.push({ type: 'table', rows });
+        else walk(child);
+      } else if (tag === 'HR') {
+        blocks.push({ type: 'rule' });
+      } else {
+        walk(child);
+      }
+    }
+  };
+
+  for (const container of containers) {
+    walk(container);
+    flushPending();
+  }
+
+  // El primer encabezado suele repetir el título
+  if (blocks[0]?.type === 'heading' && clean(blocks[0].inlines.map(part => part.text).join('')) === article.title) {
+    blocks.shift();
+  }
+  return article;
+}
+
+// =============================================================================
+// API DEL PROCESO PRINCIPAL
+// =============================================================================
+
+async function extractArticle(webContents, options = {}) {
+  if (!webContents || webContents.isDestroyed()) {
+    throw new Error('La pestaña no está disponible');
+  }
+
+  const settings = { maxBlocks: options.maxBlocks || 2000 };
+  const raw = await webContents.executeJavaScript(`(${extractInPage.toString()})(${JSON.stringify(settings)})`);
+  if (!raw) {
+    throw new Error('La página no tiene contenido legible');
+  }
+  return finalizeArticle(raw);
+}
+
+function finalizeArticle(raw) {
+  const blocks = Array.isArray(raw.blocks) ? raw.blocks : [];
+  const textContent = blocksToText(blocks).substring(0, MAX_TEXT_LENGTH);
+  const wordCount = textContent.split(/\s+/).filter(Boolean).length;
+
+  return {
+    ...raw,
+    blocks,
+    textContent,
+    headings: blocks
+      .filter(block => block.type === 'heading')
+      .map(block => inlineText(block.inlines)),
+    excerpt: raw.excerpt || textContent.substring(0, 200),
+    wordCount,
+    readingTime: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+    // Menos de ~140 palabras no compensa abrir la vista de lectura
+    readerable: wordCount >= 140,
+    extractedAt: Date.now()
+  };
+}
+
+function inlineText(inlines = []) {
+  return inlines.map(part => part.text).join('').trim();
+}
+
+function blocksToText(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+      case 'paragraph':
+      case 'quote':
+        return inlineText(block.inlines);
+      case 'list':
+        return block.items.map(item => `- ${inlineText(item)}`).join('\n');
+      case 'code':
+        return block.text;
+      case 'table':
+        return block.rows.map(row => row.join('\t')).join('\n');
+      case 'image':
+        return block.caption || '';
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+export { extractArticle, finalizeArticle, inlineText };
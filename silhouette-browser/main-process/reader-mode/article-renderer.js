@@ -0,0 +1,282 @@
+// =============================================================================
+// ARTICLE RENDERER - VISTA DE LECTURA, HTML Y MARKDOWN
+// Renderiza los bloques del extractor con los colores de los temas de
+// ThemeManager; todo el texto se escapa, nunca se reinyecta HTML de la página
+// =============================================================================
+
+// Mismos colores que theme-system/themes.css (ThemeManager.getThemeColors)
+const READER_THEMES = {
+  light: { primary: '#007ACC', background: '#FFFFFF', text: '#2D3748', border: '#E2E8F0' },
+  dark: { primary: '#4DABF7', background: '#121212', text: '#E2E8F0', border: '#2D3748' },
+  blue: { primary: '#1E40AF', background: '#F0F9FF', text: '#0F172A', border: '#E2E8F0' },
+  green: { primary: '#059669', background: '#F0FDF4', text: '#0F172A', border: '#E2E8F0' },
+  purple: { primary: '#7C3AED', background: '#FAF5FF', text: '#0F172A', border: '#E2E8F0' },
+  solar: { primary: '#EA580C', background: '#FFFBEB', text: '#0F172A', border: '#E2E8F0' }
+};
+
+const FONT_FAMILIES = {
+  serif: 'Georgia, "Iowan Old Style", "Times New Roman", serif',
+  sans: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  mono: '"Fira Code", Monaco, Consolas, monospace'
+};
+
+const CONTENT_WIDTHS = { narrow: 560, medium: 680, wide: 860 };
+
+const DEFAULT_TYPOGRAPHY = { fontSize: 19, lineHeight: 1.6, fontFamily: 'serif', width: 'medium' };
+
+// =============================================================================
+// TEMAS Y TIPOGRAFÍA
+// =============================================================================
+
+function resolveTheme(theme) {
+  if (typeof theme === 'string') return READER_THEMES[theme] || READER_THEMES.light;
+
+  // Colores calculados por el renderer: solo se aceptan valores de color simples
+  const colors = { ...READER_THEMES.light };
+  for (const key of Object.keys(colors)) {
+    if (typeof theme?.[key] === 'string' && /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\))$/i.test(theme[key].trim())) {
+      colors[key] = theme[key].trim();
+    }
+  }
+  return colors;
+}
+
+function normalizeTypography(typography = {}) {
+  const result = { ...DEFAULT_TYPOGRAPHY };
+  const fontSize = Number(typography.fontSize);
+  if (Number.isFinite(fontSize)) result.fontSize = Math.min(32, Math.max(12, Math.round(fontSize)));
+  const lineHeight = Number(typography.lineHeight);
+  if (Number.isFinite(lineHeight)) result.lineHeight = Math.min(2.4, Math.max(1.2, Math.round(lineHeight * 10) / 10));
+  if (FONT_FAMILIES[typography.fontFamily]) result.fontFamily = typography.fontFamily;
+  if (CONTENT_WIDTHS[typography.width]) result.width = typography.width;
+  return result;
+}
+
+// Variables CSS de la vista: se pueden reemplazar con insertCSS sin recargar
+function readerVariablesCss(colors, typography) {
+  return `:root {
+  --reader-bg: ${colors.background};
+  --reader-text: ${colors.text};
+  --reader-accent: ${colors.primary};
+  --reader-border: ${colors.border};
+  --reader-font-size: ${typography.fontSize}px;
+  --reader-line-height: ${typography.lineHeight};
+  --reader-font: ${FONT_FAMILIES[typography.fontFamily]};
+  --reader-width: ${CONTENT_WIDTHS[typography.width]}px;
+}`;
+}
+
+// =============================================================================
+// HTML
+// =============================================================================
+
+function renderReaderPage(article, { theme = 'light', typography } = {}) {
+  const colors = resolveTheme(theme);
+  const settings = normalizeTypography(typography);
+  const details = [
+    article.byline,
+    article.siteName,
+    article.publishedTime ? formatDate(article.publishedTime) : null,
+    `${article.readingTime} min de lectura`
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(article.lang || 'es')}">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src https: http: data:; style-src 'unsafe-inline'">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(article.title || 'Vista de lectura')}</title>
+<style>
+${readerVariablesCss(colors, settings)}
+html { background: var(--reader-bg); }
+body { margin: 0; padding: 48px 24px 96px; color: var(--reader-text); background: var(--reader-bg);
+       font-family: var(--reader-font); font-size: var(--reader-font-size); line-height: var(--reader-line-height); }
+article { max-width: var(--reader-width); margin: 0 auto; }
+header { border-bottom: 1px solid var(--reader-border); margin-bottom: 32px; padding-bottom: 16px; }
+.site { color: var(--reader-accent); font-family: ${FONT_FAMILIES.sans}; font-size: 0.8em; text-transform: uppercase; letter-spacing: 0.05em; }
+h1 { font-size: 1.9em; line-height: 1.2; margin: 8px 0 12px; }
+.meta { opacity: 0.7; font-family: ${FONT_FAMILIES.sans}; font-size: 0.8em; }
+h2, h3, h4, h5, h6 { line-height: 1.3; margin: 1.6em 0 0.6em; }
+p, ul, ol, blockquote, pre, figure, table { margin: 0 0 1.1em; }
+a { color: var(--reader-accent); }
+img { max-width: 100%; height: auto; display: block; margin: 0 auto; border-radius: 4px; }
+figure { margin-left: 0; margin-right: 0; }
+figcaption { font-size: 0.8em; opacity: 0.7; text-align: center; margin-top: 6px; }
+blockquote { border-left: 3px solid var(--reader-accent); margin-left: 0; padding-left: 16px; opacity: 0.9; }
+code { font-family: ${FONT_FAMILIES.mono}; font-size: 0.85em; }
+pre { overflow-x: auto; padding: 12px 16px; border: 1px solid var(--reader-border); border-radius: 6px; }
+table { border-collapse: collapse; width: 100%; font-size: 0.85em; }
+td, th { border: 1px solid var(--reader-border); padding: 6px 8px; text-align: left; vertical-align: top; }
+hr { border: none; border-top: 1px solid var(--reader-border); margin: 2em 0; }
+.source { margin-top: 48px; padding-top: 16px; border-top: 1px solid var(--reader-border); font-family: ${FONT_FAMILIES.sans}; font-size: 0.75em; opacity: 0.7; word-break: break-all; }
+</style>
+</head>
+<body>
+<article>
+<header>
+  <div class="site">${escapeHtml(article.siteName || '')}</div>
+  <h1>${escapeHtml(article.title || '')}</h1>
+  <div class="meta">${details.map(escapeHtml).join(' · ')}</div>
+</header>
+${renderBlocksHtml(article.blocks)}
+<p class="source">Original: <a href="${escapeHtml(article.url)}">${escapeHtml(article.url)}</a></p>
+</article>
+</body>
+</html>`;
+}
+
+function renderBlocksHtml(blocks = []) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(6, Math.max(2, block.level));
+        return `<h${level}>${renderInlinesHtml(block.inlines)}</h${level}>`;
+      }
+      case 'paragraph':
+        return `<p>${renderInlinesHtml(block.inlines)}</p>`;
+      case 'quote':
+        return `<blockquote>${renderInlinesHtml(block.inlines)}</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${renderInlinesHtml(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'code':
+        return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+      case 'image':
+        return `<figure><img src="${escapeHtml(block.src)}" alt="${escapeHtml(block.alt || '')}" loading="lazy">${
+          block.caption ? `<figcaption>${escapeHtml(block.caption)}</figcaption>` : ''}</figure>`;
+      case 'table':
+        return `<table>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`;
+      case 'rule':
+        return '<hr>';
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+function renderInlinesHtml(inlines = []) {
+  return inlines.map(part => {
+    let html = escapeHtml(part.text).replace(/\n/g, '<br>');
+    if (part.code) html = `<code>${html}</code>`;
+    if (part.bold) html = `<strong>${html}</strong>`;
+    if (part.italic) html = `<em>${html}</em>`;
+    if (part.href && /^(https?|mailto):/i.test(part.href)) html = `<a href="${escapeHtml(part.href)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+// =============================================================================
+// MARKDOWN
+// =============================================================================
+
+function renderMarkdown(article) {
+  const lines = [`# ${escapeMarkdown(article.title || '')}`, ''];
+  const details = [article.byline, article.siteName, article.publishedTime ? formatDate(article.publishedTime) : null]
+    .filter(Boolean);
+  if (details.length) lines.push(`*${escapeMarkdown(details.join(' · '))}*`, '');
+  lines.push(`Fuente: <${article.url}>`, '');
+
+  for (const block of article.blocks || []) {
+    switch (block.type) {
+      case 'heading':
+        lines.push(`${'#'.repeat(Math.min(6, Math.max(2, block.level)))} ${renderInlinesMarkdown(block.inlines)}`);
+        break;
+      case 'paragraph':
+        lines.push(renderInlinesMarkdown(block.inlines));
+        break;
+      case 'quote':
+        lines.push(renderInlinesMarkdown(block.inlines).split('\n').map(line => `> ${line}`).join('\n'));
+        break;
+      case 'list':
+        lines.push(block.items
+          .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${renderInlinesMarkdown(item).replace(/\n/g, '\n   ')}`)
+          .join('\n'));
+        break;
+      case 'code': {
+        const fence = block.text.includes('```') ? '~~~' : '```';
+        lines.push(`${fence}${block.language || ''}\n${block.text}\n${fence}`);
+        break;
+      }
+      case 'image':
+        lines.push(`![${escapeMarkdown(block.alt || block.caption || '')}](${block.src.replace(/\)/g, '%29')})`);
+        if (block.caption) lines.push('', `*${escapeMarkdown(block.caption)}*`);
+        break;
+      case 'table':
+        lines.push(renderTableMarkdown(block.rows));
+        break;
+      case 'rule':
+        lines.push('---');
+        break;
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+function renderInlinesMarkdown(inlines = []) {
+  return inlines.map(part => {
+    if (part.text === '\n') return '  \n';
+    let text = part.code ? codeSpan(part.text) : escapeMarkdown(part.text);
+    // Los marcadores no pueden quedar pegados a espacios
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return text;
+    text = core;
+    if (part.bold) text = `**${text}**`;
+    if (part.italic) text = `_${text}_`;
+    if (part.href && /^(https?|mailto):/i.test(part.href)) text = `[${text}](${part.href.replace(/\)/g, '%29')})`;
+    return leading + text + trailing;
+  }).join('').trim();
+}
+
+// El delimitador usa una comilla más que la racha más larga del contenido
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+function renderTableMarkdown(rows) {
+  const columns = Math.max(...rows.map(row => row.length));
+  const cell = (value) => escapeMarkdown(value || '').replace(/\|/g, '\\|');
+  const line = (row) => `| ${Array.from({ length: columns }, (_, index) => cell(row[index])).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(columns)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '')
+    .replace(/([\\`*_[\]<>])/g, '\\$1')
+    .replace(/^(\s*)([#+-])(\s)/, '$1\\$2$3')
+    .replace(/^(\s*)(\d+)\.(\s)/, '$1$2\\.$3');
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+export {
+  READER_THEMES,
+  DEFAULT_TYPOGRAPHY,
+  resolveTheme,
+  normalizeTypography,
+  readerVariablesCss,
+  renderReaderPage,
+  renderMarkdown
+};
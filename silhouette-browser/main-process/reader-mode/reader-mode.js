@@ -0,0 +1,265 @@
+// =============================================================================
+// READER MODE - VISTA DE LECTURA POR PESTAÑA
+// Extrae el artículo, lo muestra en la propia pestaña como documento limpio
+// (data: URL) y permite ajustar la tipografía y guardarlo en Markdown o HTML
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { extractArticle } from './article-extractor.js';
+import {
+  READER_THEMES,
+  DEFAULT_TYPOGRAPHY,
+  resolveTheme,
+  normalizeTypography,
+  readerVariablesCss,
+  renderReaderPage,
+  renderMarkdown
+} from './article-renderer.js';
+
+class ReaderMode extends EventEmitter {
+  constructor(browserCore) {
+    super();
+    this.browserCore = browserCore;
+    this.store = new PersistentStore('reader', { subdirectory: 'reader' });
+    this.preferences = { theme: 'light', typography: { ...DEFAULT_TYPOGRAPHY } };
+    this.readers = new Map();          // webContents.id -> { tabId, article, url }
+    this.watched = new WeakSet();
+  }
+
+  async initialize() {
+    const saved = await this.store.read({});
+    if (saved?.preferences) {
+      this.preferences = {
+        theme: saved.preferences.theme || 'light',
+        typography: normalizeTypography(saved.preferences.typography)
+      };
+    }
+  }
+
+  // =============================================================================
+  // EXTRACCIÓN
+  // =============================================================================
+
+  async extract(tabId, { url } = {}) {
+    const webContents = this.getWebContents(tabId);
+
+    // La vista de lectura ya tiene el artículo: no se extrae de sí misma
+    const reader = this.readers.get(webContents.id);
+    if (reader && (!url || ReaderMode.sameUrl(url, reader.url))) return reader.article;
+
+    if (url && !ReaderMode.sameUrl(webContents.getURL(), url)) {
+      await webContents.loadURL(url);
+    }
+    return await extractArticle(webContents);
+  }
+
+  // =============================================================================
+  // VISTA DE LECTURA
+  // =============================================================================
+
+  async open(requestedTabId, options = {}) {
+    const tabId = this.resolveTabId(requestedTabId);
+    const webContents = this.getWebContents(tabId);
+    if (this.readers.has(webContents.id)) {
+      return this.getState(tabId);
+    }
+
+    const article = await extractArticle(webContents);
+    if (article.blocks.length === 0) {
+      throw new Error('No se encontró contenido legible en esta página');
+    }
+
+    if (options.theme) this.preferences.theme = ReaderMode.sanitizeTheme(options.theme);
+    if (options.typography) this.preferences.typography = normalizeTypography({ ...this.preferences.typography, ...options.typography });
+    this.save();
+
+    this.watch(webContents);
+    this.readers.set(webContents.id, { tabId, article, url: article.url });
+
+    const html = renderReaderPage(article, this.preferences);
+    await webContents.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+
+    console.log(`📖 Vista de lectura en ${tabId}: ${article.title} (${article.readingTime} min)`);
+    this.emit('reader-changed', { tabId, ...this.getState(tabId) });
+    return this.getState(tabId);
+  }
+
+  async close(requestedTabId) {
+    const tabId = this.resolveTabId(requestedTabId);
+    const webContents = this.getWebContents(tabId);
+    const reader = this.readers.get(webContents.id);
+    if (!reader) return false;
+
+    this.readers.delete(webContents.id);
+    // Volver a la página original desde el historial (conserva el scroll)
+    if (webContents.canGoBack()) {
+      webContents.goBack();
+    } else {
+      await webContents.loadURL(reader.url);
+    }
+
+    this.emit('reader-changed', { tabId, active: false });
+    return true;
+  }
+
+  async toggle(tabId, options = {}) {
+    const webContents = this.getWebContents(tabId);
+    if (this.readers.has(webContents.id)) {
+      await this.close(tabId);
+      return { active: false };
+    }
+    return await this.open(tabId, options);
+  }
+
+  // Tipografía y tema se aplican con insertCSS: sin recargar ni perder el scroll
+  async updatePreferences(changes = {}, tabId = null) {
+    if (changes.theme) this.preferences.theme = ReaderMode.sanitizeTheme(changes.theme);
+    if (changes.typography) {
+      this.preferences.typography = normalizeTypography({ ...this.preferences.typography, ...changes.typography });
+    }
+    this.save();
+
+    const targets = tabId ? [this.getWebContents(tabId)] : this.getReaderWebContents();
+    for (const webContents of targets) {
+      if (!this.readers.has(webContents.id) || webContents.isDestroyed()) continue;
+      const css = readerVariablesCss(resolveTheme(this.preferences.theme), this.preferences.typography);
+      await webContents.insertCSS(css);
+    }
+    return this.getPreferences();
+  }
+
+  getPreferences() {
+    return {
+      theme: this.preferences.theme,
+      typography: { ...this.preferences.typography },
+      themes: Object.keys(READER_THEMES)
+    };
+  }
+
+  getState(requestedTabId) {
+    const tabId = this.resolveTabId(requestedTabId);
+    const webContents = this.browserCore.tabManager.tabs.get(tabId)?.browserView?.webContents;
+    const reader = webContents ? this.readers.get(webContents.id) : null;
+    if (!reader) return { active: false };
+
+    const { article } = reader;
+    return {
+      active: true,
+      url: reader.url,
+      title: article.title,
+      byline: article.byline,
+      siteName: article.siteName,
+      wordCount: article.wordCount,
+      readingTime: article.readingTime
+    };
+  }
+
+  // Datos para TabManager: la pestaña sigue mostrando la URL original
+  getReaderState(webContents) {
+    const reader = webContents ? this.readers.get(webContents.id) : null;
+    return reader ? { url: reader.url, title: reader.article.title } : null;
+  }
+
+  // =============================================================================
+  // GUARDAR ARTÍCULO
+  // =============================================================================
+
+  async saveArticle(tabId, format, filePath) {
+    if (!['markdown', 'html'].includes(format)) {
+      throw new Error(`Formato no soportado: ${format}`);
+    }
+    const article = await this.extract(tabId);
+    const content = format === 'markdown' ? renderMarkdown(article) : renderReaderPage(article, this.preferences);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+    console.log(`💾 Artículo guardado (${format}): ${filePath}`);
+    return { filePath, format, title: article.title, bytes: Buffer.byteLength(content) };
+  }
+
+  static suggestFileName(title, format) {
+    const base = String(title || 'articulo')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/\s+/g, '-')
+      .slice(0, 80) || 'articulo';
+    return `${base}.${format === 'markdown' ? 'md' : 'html'}`;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  watch(webContents) {
+    if (this.watched.has(webContents)) return;
+    this.watched.add(webContents);
+
+    // Cualquier navegación fuera de la vista (enlaces, atrás) la cierra
+    webContents.on('did-navigate', (event, url) => {
+      const reader = this.readers.get(webContents.id);
+      if (reader && !url.startsWith('data:')) {
+        this.readers.delete(webContents.id);
+        this.emit('reader-changed', { tabId: reader.tabId, active: false });
+      }
+    });
+    webContents.once('destroyed', () => this.readers.delete(webContents.id));
+  }
+
+  resolveTabId(tabId) {
+    return tabId || this.browserCore.tabManager.activeTabId;
+  }
+
+  getWebContents(tabId) {
+    const id = this.resolveTabId(tabId);
+    const webContents = this.browserCore.tabManager.tabs.get(id)?.browserView?.webContents;
+    if (!webContents || webContents.isDestroyed()) {
+      throw new Error(`Pestaña ${id} no encontrada`);
+    }
+    return webContents;
+  }
+
+  getReaderWebContents() {
+    const result = [];
+    for (const tab of this.browserCore.tabManager.tabs.values()) {
+      const webContents = tab.browserView?.webContents;
+      if (webContents && !webContents.isDestroyed() && this.readers.has(webContents.id)) result.push(webContents);
+    }
+    return result;
+  }
+
+  save() {
+    this.store.scheduleWrite({ version: 1, preferences: this.preferences });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+
+  // "https://a.com" y "https://a.com/#inicio" son la misma página; "#/bandeja"
+  // y "#!/ajustes" son rutas de una aplicación y, salvo en la raíz, "/docs/" no es "/docs"
+  static sameUrl(a, b) {
+    const normalize = (value) => {
+      try {
+        const parsed = new URL(value);
+        if (!/^#[/!]/.test(parsed.hash)) parsed.hash = '';
+        return parsed.href.replace(/^([^:/?#]+:\/\/[^/?#]*)\/(?=$|[?#])/, '$1');
+      } catch {
+        return String(value || '');
+      }
+    };
+    return normalize(a) === normalize(b);
+  }
+
+  // Nombre de tema de ThemeManager o colores calculados { primary, background, text, border }
+  static sanitizeTheme(theme) {
+    if (typeof theme === 'string') return READER_THEMES[theme] ? theme : 'light';
+    return resolveTheme(theme);
+  }
+}
+
+export { ReaderMode };
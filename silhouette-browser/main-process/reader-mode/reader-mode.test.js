@@ -0,0 +1,17 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { ReaderMode } = await import('./reader-mode.js');
+
+describe('ReaderMode.sameUrl', () => {
+  test('un ancla y la barra de la raíz no cambian de página', () => {
+    expect(ReaderMode.sameUrl('https://a.com', 'https://a.com/#inicio')).toBe(true);
+    expect(ReaderMode.sameUrl('https://a.com/blog/post?id=1#comentarios', 'https://a.com/blog/post?id=1')).toBe(true);
+  });
+
+  test('las rutas con almohadilla y la barra final de una ruta sí', () => {
+    expect(ReaderMode.sameUrl('https://app.example.com/#/inbox', 'https://app.example.com/#/settings')).toBe(false);
+    expect(ReaderMode.sameUrl('https://app.example.com/#!/inbox', 'https://app.example.com/')).toBe(false);
+    expect(ReaderMode.sameUrl('https://a.com/docs/', 'https://a.com/docs')).toBe(false);
+  });
+});
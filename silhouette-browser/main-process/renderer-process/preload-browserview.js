@@ -22,6 +22,7 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     switchToTab: (tabId) => ipcRenderer.invoke('browser:switchToTab', tabId),
     reloadTab: (tabId) => ipcRenderer.invoke('browser:reloadTab', tabId),
     getActiveTabs: () => ipcRenderer.invoke('browser:getActiveTabs'),
+    setTabContainer: (tabId, containerId) => ipcRenderer.invoke('browser:setTabContainer', tabId, containerId),
     getTabCount: () => ipcRenderer.invoke('browser:getTabCount'),
     
     // Estado del navegador
@@ -40,6 +41,9 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     // Historial
     getHistory: (limit) => ipcRenderer.invoke('browser:getHistory', limit),
     clearHistory: () => ipcRenderer.invoke('browser:clearHistory'),
+    searchHistory: (query, limit) => ipcRenderer.invoke('browser:searchHistory', query, limit),
+    deleteHistoryRange: (from, to) => ipcRenderer.invoke('browser:deleteHistoryRange', from, to),
+    deleteHistoryByDomain: (domain) => ipcRenderer.invoke('browser:deleteHistoryByDomain', domain),
     
     // Configuración
     getSettings: () => ipcRenderer.invoke('browser:getSettings'),
@@ -48,6 +52,132 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     // Seguridad
     checkSecurity: (url) => ipcRenderer.invoke('browser:checkSecurity', url),
     getSecurityStatus: () => ipcRenderer.invoke('browser:getSecurityStatus'),
+    getTabSecurity: (tabId) => ipcRenderer.invoke('browser:getTabSecurity', tabId),
+  },
+
+  // Vista de lectura
+  reader: {
+    toggle: (tabId, options) => ipcRenderer.invoke('reader:toggle', tabId, options),
+    open: (tabId, options) => ipcRenderer.invoke('reader:open', tabId, options),
+    close: (tabId) => ipcRenderer.invoke('reader:close', tabId),
+    getState: (tabId) => ipcRenderer.invoke('reader:getState', tabId),
+    extract: (tabId) => ipcRenderer.invoke('reader:extract', tabId),
+    getPreferences: () => ipcRenderer.invoke('reader:getPreferences'),
+    updatePreferences: (changes, tabId) => ipcRenderer.invoke('reader:updatePreferences', changes, tabId),
+    save: (format, tabId, filePath) => ipcRenderer.invoke('reader:save', format, tabId, filePath),
+  },
+
+  // Hibernación de pestañas inactivas
+  hibernation: {
+    getSettings: () => ipcRenderer.invoke('hibernation:getSettings'),
+    updateSettings: (changes) => ipcRenderer.invoke('hibernation:updateSettings', changes),
+    getStatus: () => ipcRenderer.invoke('hibernation:getStatus'),
+    discardTab: (tabId) => ipcRenderer.invoke('hibernation:discardTab', tabId),
+    restoreTab: (tabId) => ipcRenderer.invoke('hibernation:restoreTab', tabId),
+    check: () => ipcRenderer.invoke('hibernation:check'),
+  },
+
+  // Búsqueda en la página y en todas las pestañas
+  find: {
+    start: (text, options, tabId) => ipcRenderer.invoke('find:start', text, options, tabId),
+    next: (tabId) => ipcRenderer.invoke('find:next', tabId),
+    previous: (tabId) => ipcRenderer.invoke('find:previous', tabId),
+    stop: (tabId, action) => ipcRenderer.invoke('find:stop', tabId, action),
+    getState: (tabId) => ipcRenderer.invoke('find:getState', tabId),
+    searchTabs: (query, options) => ipcRenderer.invoke('find:searchTabs', query, options),
+    openResult: (tabId, query, options) => ipcRenderer.invoke('find:openResult', tabId, query, options),
+  },
+
+  // Listas de amenazas y HSTS
+  security: {
+    getThreatLists: () => ipcRenderer.invoke('security:getThreatLists'),
+    addThreatList: (filePath) => ipcRenderer.invoke('security:addThreatList', filePath),
+    removeThreatList: (listId) => ipcRenderer.invoke('security:removeThreatList', listId),
+    reloadThreatLists: () => ipcRenderer.invoke('security:reloadThreatLists'),
+    getHstsHosts: () => ipcRenderer.invoke('security:getHstsHosts'),
+  },
+
+  // Marcadores
+  bookmarks: {
+    getTree: (folderId) => ipcRenderer.invoke('browser:bookmarks:getTree', folderId),
+    create: (bookmark) => ipcRenderer.invoke('browser:bookmarks:create', bookmark),
+    createFolder: (folder) => ipcRenderer.invoke('browser:bookmarks:createFolder', folder),
+    update: (nodeId, changes) => ipcRenderer.invoke('browser:bookmarks:update', nodeId, changes),
+    move: (nodeId, destination) => ipcRenderer.invoke('browser:bookmarks:move', nodeId, destination),
+    remove: (nodeId) => ipcRenderer.invoke('browser:bookmarks:remove', nodeId),
+    search: (query, options) => ipcRenderer.invoke('browser:bookmarks:search', query, options),
+    getTags: () => ipcRenderer.invoke('browser:bookmarks:getTags'),
+    open: (bookmarkId) => ipcRenderer.invoke('browser:bookmarks:open', bookmarkId),
+    import: (filePath, format) => ipcRenderer.invoke('browser:bookmarks:import', filePath, format),
+    export: (format, filePath) => ipcRenderer.invoke('browser:bookmarks:export', format, filePath)
+  },
+
+  // Descargas
+  downloads: {
+    list: (filter) => ipcRenderer.invoke('downloads:list', filter),
+    start: (url, options) => ipcRenderer.invoke('downloads:start', url, options),
+    pause: (downloadId) => ipcRenderer.invoke('downloads:pause', downloadId),
+    resume: (downloadId) => ipcRenderer.invoke('downloads:resume', downloadId),
+    cancel: (downloadId) => ipcRenderer.invoke('downloads:cancel', downloadId),
+    remove: (downloadId) => ipcRenderer.invoke('downloads:remove', downloadId),
+    clearHistory: () => ipcRenderer.invoke('downloads:clearHistory'),
+    open: (downloadId) => ipcRenderer.invoke('downloads:open', downloadId),
+    showInFolder: (downloadId) => ipcRenderer.invoke('downloads:showInFolder', downloadId),
+    getRules: () => ipcRenderer.invoke('downloads:getRules'),
+    setRules: (rules) => ipcRenderer.invoke('downloads:setRules', rules),
+    updateSettings: (changes) => ipcRenderer.invoke('downloads:updateSettings', changes),
+  },
+
+  // Bloqueo de contenido
+  contentBlocker: {
+    getStats: () => ipcRenderer.invoke('contentblocker:getStats'),
+    getTabStats: (tabId) => ipcRenderer.invoke('contentblocker:getTabStats', tabId),
+    updateSettings: (changes) => ipcRenderer.invoke('contentblocker:updateSettings', changes),
+    getLists: () => ipcRenderer.invoke('contentblocker:getLists'),
+    addList: (filePath) => ipcRenderer.invoke('contentblocker:addList', filePath),
+    removeList: (listId) => ipcRenderer.invoke('contentblocker:removeList', listId),
+    setListEnabled: (listId, enabled) => ipcRenderer.invoke('contentblocker:setListEnabled', listId, enabled),
+    reloadLists: () => ipcRenderer.invoke('contentblocker:reloadLists'),
+    getAllowlist: () => ipcRenderer.invoke('contentblocker:getAllowlist'),
+    allowSite: (site) => ipcRenderer.invoke('contentblocker:allowSite', site),
+    disallowSite: (site) => ipcRenderer.invoke('contentblocker:disallowSite', site),
+  },
+
+  // Contenedores
+  containers: {
+    list: () => ipcRenderer.invoke('containers:list'),
+    create: (options) => ipcRenderer.invoke('containers:create', options),
+    update: (containerId, changes) => ipcRenderer.invoke('containers:update', containerId, changes),
+    remove: (containerId, options) => ipcRenderer.invoke('containers:remove', containerId, options),
+    clearData: (containerId) => ipcRenderer.invoke('containers:clearData', containerId),
+  },
+
+  // Permisos por sitio
+  siteSettings: {
+    getPermissions: (origin) => ipcRenderer.invoke('site:getPermissions', origin),
+    setPermission: (origin, permission, value) => ipcRenderer.invoke('site:setPermission', origin, permission, value),
+    reset: (origin, permission) => ipcRenderer.invoke('site:resetPermissions', origin, permission),
+    listSites: () => ipcRenderer.invoke('site:listSites'),
+    getDefaults: () => ipcRenderer.invoke('site:getDefaults'),
+    setDefault: (permission, value) => ipcRenderer.invoke('site:setDefault', permission, value),
+  },
+
+  // Cookies
+  cookies: {
+    listSites: (scope) => ipcRenderer.invoke('cookies:listSites', scope),
+    list: (origin, scope) => ipcRenderer.invoke('cookies:list', origin, scope),
+    set: (cookie, scope) => ipcRenderer.invoke('cookies:set', cookie, scope),
+    remove: (cookie, scope) => ipcRenderer.invoke('cookies:remove', cookie, scope),
+    clearSite: (origin, scope) => ipcRenderer.invoke('cookies:clearSite', origin, scope),
+  },
+
+  // Sesiones
+  session: {
+    list: () => ipcRenderer.invoke('session:list'),
+    restoreLast: () => ipcRenderer.invoke('session:restoreLast'),
+    restore: (kind, sessionId) => ipcRenderer.invoke('session:restore', kind, sessionId),
+    save: (name) => ipcRenderer.invoke('session:save', name),
+    delete: (kind, sessionId) => ipcRenderer.invoke('session:delete', kind, sessionId),
   },
 
   // Window management
@@ -57,6 +187,64 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     isWindowActive: (windowId) => ipcRenderer.invoke('window:isWindowActive', windowId),
   },
 
+  // Orquestador de agentes: los planes son JSON editables que se relanzan con executeTask({ plan })
+  agent: {
+    executeTask: (task) => ipcRenderer.invoke('agent:executeTask', task),
+    createPlan: (task) => ipcRenderer.invoke('agent:createPlan', task),
+    getTeamStatus: () => ipcRenderer.invoke('agent:getTeamStatus'),
+
+    // Aprobación de acciones con riesgo
+    respondApproval: (requestId, decision) => ipcRenderer.invoke('agent:respondApproval', requestId, decision),
+    getPendingApprovals: () => ipcRenderer.invoke('agent:getPendingApprovals'),
+    getApprovalRules: () => ipcRenderer.invoke('agent:getApprovalRules'),
+    setApprovalPolicy: (category, value) => ipcRenderer.invoke('agent:setApprovalPolicy', category, value),
+    revokeApprovalRule: (site, category) => ipcRenderer.invoke('agent:revokeApprovalRule', site, category),
+    onApprovalRequested: (callback) => {
+      ipcRenderer.on('agent:approvalRequested', (event, data) => callback(data));
+    },
+    onApprovalResolved: (callback) => {
+      ipcRenderer.on('agent:approvalResolved', (event, data) => callback(data));
+    },
+
+    // Trazas de ejecución
+    listTraces: (filter) => ipcRenderer.invoke('agent:listTraces', filter),
+    getTrace: (traceId) => ipcRenderer.invoke('agent:getTrace', traceId),
+    deleteTrace: (traceId) => ipcRenderer.invoke('agent:deleteTrace', traceId),
+    rerunTrace: (traceId, fromStepId) => ipcRenderer.invoke('agent:rerunTrace', traceId, fromStepId),
+    onTraceUpdated: (callback) => {
+      ipcRenderer.on('agent:traceUpdated', (event, data) => callback(data));
+    },
+    listMemories: (filter) => ipcRenderer.invoke('agent:listMemories', filter),
+    updateMemory: (memoryId, changes) => ipcRenderer.invoke('agent:updateMemory', memoryId, changes),
+    forgetMemory: (memoryId) => ipcRenderer.invoke('agent:forgetMemory', memoryId),
+    forgetMemories: (filter) => ipcRenderer.invoke('agent:forgetMemories', filter),
+    onMemoryChanged: (callback) => {
+      ipcRenderer.on('agent:memoryChanged', (event, data) => callback(data));
+    },
+  },
+
+  // Tareas de agentes programadas (cron) y disparadas por eventos
+  scheduler: {
+    listTasks: () => ipcRenderer.invoke('scheduler:listTasks'),
+    getTask: (taskId) => ipcRenderer.invoke('scheduler:getTask', taskId),
+    createTask: (definition) => ipcRenderer.invoke('scheduler:createTask', definition),
+    updateTask: (taskId, changes) => ipcRenderer.invoke('scheduler:updateTask', taskId, changes),
+    deleteTask: (taskId) => ipcRenderer.invoke('scheduler:deleteTask', taskId),
+    pauseTask: (taskId) => ipcRenderer.invoke('scheduler:pauseTask', taskId),
+    resumeTask: (taskId) => ipcRenderer.invoke('scheduler:resumeTask', taskId),
+    runNow: (taskId) => ipcRenderer.invoke('scheduler:runNow', taskId),
+    cancelRun: (taskId) => ipcRenderer.invoke('scheduler:cancelRun', taskId),
+    onTasksChanged: (callback) => {
+      ipcRenderer.on('scheduler:tasksChanged', (event, data) => callback(data));
+    },
+    onRunStarted: (callback) => {
+      ipcRenderer.on('scheduler:runStarted', (event, data) => callback(data));
+    },
+    onRunFinished: (callback) => {
+      ipcRenderer.on('scheduler:runFinished', (event, data) => callback(data));
+    },
+  },
+
   // Omnipotent System (actualizado para BrowserView)
   omnipotent: {
     executeCommand: (commandData) => ipcRenderer.invoke('omnipotent:executeCommand', commandData),
@@ -69,6 +257,15 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     executeInTab: (tabId, task) => ipcRenderer.invoke('omnipotent:executeInTab', tabId, task),
     getAllTabs: () => ipcRenderer.invoke('omnipotent:getAllTabs'),
     switchAndExecute: (tabId, task) => ipcRenderer.invoke('omnipotent:switchAndExecute', tabId, task),
+    autonomousNavigation: (url, goal, options) => ipcRenderer.invoke('omnipotent:autonomousNavigation', url, goal, options),
+    cancelAutonomousNavigation: (runId) => ipcRenderer.invoke('omnipotent:cancelAutonomousNavigation', runId),
+    onAgentStep: (callback) => {
+      ipcRenderer.on('omnipotent:agentStep', (event, data) => callback(data));
+    },
+    extractData: (spec, format, options) => ipcRenderer.invoke('omnipotent:extractData', spec, format, options),
+    onExtractionProgress: (callback) => {
+      ipcRenderer.on('omnipotent:extractionProgress', (event, data) => callback(data));
+    },
     
     // Nuevos métodos omnipotentes para grupos de pestañas
     createTabGroup: (name, options) => ipcRenderer.invoke('omnipotent:createTabGroup', name, options),
@@ -108,14 +305,49 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     addTab: (groupId, tabId) => ipcRenderer.invoke('tabgroups:addTab', groupId, tabId),
     removeTab: (tabId) => ipcRenderer.invoke('tabgroups:removeTab', tabId),
     moveTab: (tabId, fromGroupId, toGroupId) => ipcRenderer.invoke('tabgroups:moveTab', tabId, fromGroupId, toGroupId),
+    setContainer: (groupId, containerId) => ipcRenderer.invoke('tabgroups:setContainer', groupId, containerId),
     
     // Ejecución de tareas en grupos de agente
     executeAgentTask: (groupId, task) => ipcRenderer.invoke('tabgroups:executeAgentTask', groupId, task),
+    cancelAgentTask: (id) => ipcRenderer.invoke('tabgroups:cancelAgentTask', id),
+    getAgentTaskRuns: (groupId) => ipcRenderer.invoke('tabgroups:getAgentTaskRuns', groupId),
+    
+    // Macros
+    startMacroRecording: (tabId) => ipcRenderer.invoke('tabgroups:startMacroRecording', tabId),
+    stopMacroRecording: (tabId, options) => ipcRenderer.invoke('tabgroups:stopMacroRecording', tabId, options),
+    cancelMacroRecording: (tabId) => ipcRenderer.invoke('tabgroups:cancelMacroRecording', tabId),
+    getMacros: (groupId) => ipcRenderer.invoke('tabgroups:getMacros', groupId),
+    updateMacro: (groupId, macroId, changes) => ipcRenderer.invoke('tabgroups:updateMacro', groupId, macroId, changes),
+    deleteMacro: (groupId, macroId) => ipcRenderer.invoke('tabgroups:deleteMacro', groupId, macroId),
+    replayMacro: (groupId, macroId, options) => ipcRenderer.invoke('tabgroups:replayMacro', groupId, macroId, options),
     
     // Agrupación automática
     performAutoGrouping: () => ipcRenderer.invoke('tabgroups:performAutoGrouping'),
     enableAiGrouping: () => ipcRenderer.invoke('tabgroups:enableAiGrouping'),
     disableAiGrouping: () => ipcRenderer.invoke('tabgroups:disableAiGrouping'),
+    getClusteringSettings: () => ipcRenderer.invoke('tabgroups:getClusteringSettings'),
+    setClusteringSettings: (changes) => ipcRenderer.invoke('tabgroups:setClusteringSettings', changes),
+    
+    // Reglas de agrupación
+    getRules: () => ipcRenderer.invoke('tabgroups:getRules'),
+    addRule: (rule, index) => ipcRenderer.invoke('tabgroups:addRule', rule, index),
+    updateRule: (ruleId, changes) => ipcRenderer.invoke('tabgroups:updateRule', ruleId, changes),
+    removeRule: (ruleId) => ipcRenderer.invoke('tabgroups:removeRule', ruleId),
+    moveRule: (ruleId, index) => ipcRenderer.invoke('tabgroups:moveRule', ruleId, index),
+    setRules: (rules) => ipcRenderer.invoke('tabgroups:setRules', rules),
+    testRule: (rule, url, options) => ipcRenderer.invoke('tabgroups:testRule', rule, url, options),
+    applyRules: () => ipcRenderer.invoke('tabgroups:applyRules'),
+    
+    // Instantáneas y archivos compartidos
+    createSnapshot: (groupId, options) => ipcRenderer.invoke('tabgroups:createSnapshot', groupId, options),
+    listSnapshots: (groupId) => ipcRenderer.invoke('tabgroups:listSnapshots', groupId),
+    getSnapshot: (snapshotId) => ipcRenderer.invoke('tabgroups:getSnapshot', snapshotId),
+    deleteSnapshot: (snapshotId) => ipcRenderer.invoke('tabgroups:deleteSnapshot', snapshotId),
+    diffSnapshots: (fromSnapshotId, toSnapshotId) => ipcRenderer.invoke('tabgroups:diffSnapshots', fromSnapshotId, toSnapshotId),
+    restoreSnapshot: (snapshotId, options) => ipcRenderer.invoke('tabgroups:restoreSnapshot', snapshotId, options),
+    exportFile: (groupId, options) => ipcRenderer.invoke('tabgroups:exportFile', groupId, options),
+    importFile: (filePath, options) => ipcRenderer.invoke('tabgroups:importFile', filePath, options),
+    trustSigner: (keyId) => ipcRenderer.invoke('tabgroups:trustSigner', keyId),
     
     // Exportar/Importar
     export: () => ipcRenderer.invoke('tabgroups:export'),
@@ -127,6 +359,34 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     ipcRenderer.on('tab:updated', (event, data) => callback(data));
   },
 
+  onTabContainerChanged: (callback) => {
+    ipcRenderer.on('tab:container-changed', (event, data) => callback(data));
+  },
+
+  onTabSecurityChanged: (callback) => {
+    ipcRenderer.on('tab:security-changed', (event, data) => callback(data));
+  },
+
+  onTabReaderChanged: (callback) => {
+    ipcRenderer.on('tab:reader-changed', (event, data) => callback(data));
+  },
+
+  onTabDiscarded: (callback) => {
+    ipcRenderer.on('tab:discarded', (event, data) => callback(data));
+  },
+
+  onTabRestored: (callback) => {
+    ipcRenderer.on('tab:restored', (event, data) => callback(data));
+  },
+
+  onTabFindResult: (callback) => {
+    ipcRenderer.on('tab:find-result', (event, data) => callback(data));
+  },
+
+  onTabFindRequested: (callback) => {
+    ipcRenderer.on('tab:find-requested', (event, data) => callback(data));
+  },
+
   onTabCreated: (callback) => {
     ipcRenderer.on('tab:created', (event, data) => callback(data));
   },
@@ -151,6 +411,34 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     ipcRenderer.on('page:load-error', (event, data) => callback(data));
   },
 
+  // Event listeners para descargas
+  onDownloadUpdated: (callback) => {
+    ipcRenderer.on('download:updated', (event, data) => callback(data));
+  },
+
+  onDownloadDone: (callback) => {
+    ipcRenderer.on('download:done', (event, data) => callback(data));
+  },
+
+  // Event listeners para bloqueo de contenido
+  onContentBlocked: (callback) => {
+    ipcRenderer.on('contentblocker:blocked', (event, data) => callback(data));
+  },
+
+  // Event listeners para contenedores
+  onContainersChanged: (callback) => {
+    ipcRenderer.on('containers:changed', (event, data) => callback(data));
+  },
+
+  // Event listeners para permisos por sitio
+  onPopupBlocked: (callback) => {
+    ipcRenderer.on('site:popupBlocked', (event, data) => callback(data));
+  },
+
+  onSitePermissionsChanged: (callback) => {
+    ipcRenderer.on('site:permissionsChanged', (event, data) => callback(data));
+  },
+
   // Event listeners para grupos de pestañas
   onGroupCreated: (callback) => {
     ipcRenderer.on('group:created', (event, data) => callback(data));
@@ -180,10 +468,47 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
     ipcRenderer.on('group:tab-moved', (event, data) => callback(data));
   },
 
+  onGroupTaskProgress: (callback) => {
+    ipcRenderer.on('group:task-progress', (event, data) => callback(data));
+  },
+
+  onMacroStep: (callback) => {
+    ipcRenderer.on('group:macro-step', (event, data) => callback(data));
+  },
+
+  onMacrosChanged: (callback) => {
+    ipcRenderer.on('group:macros-changed', (event, data) => callback(data));
+  },
+
+  onGroupFileOpened: (callback) => {
+    ipcRenderer.on('tabgroups:fileOpened', (event, data) => callback(data));
+  },
+
   // Utilities
   notifications: {
     show: (message, type) => ipcRenderer.invoke('notification:show', message, type),
     hide: () => ipcRenderer.invoke('notification:hide'),
+    // Avisos que envía el proceso principal (vigilantes de páginas, etc.)
+    onShown: (callback) => {
+      ipcRenderer.on('notification:shown', (event, data) => callback(data));
+    },
+  },
+
+  // Vigilancia de cambios en páginas
+  watchers: {
+    list: () => ipcRenderer.invoke('watcher:list'),
+    create: (definition) => ipcRenderer.invoke('watcher:create', definition),
+    update: (watcherId, changes) => ipcRenderer.invoke('watcher:update', watcherId, changes),
+    remove: (watcherId) => ipcRenderer.invoke('watcher:remove', watcherId),
+    checkNow: (watcherId) => ipcRenderer.invoke('watcher:checkNow', watcherId),
+    getHistory: (watcherId) => ipcRenderer.invoke('watcher:getHistory', watcherId),
+    getVersion: (watcherId, versionId) => ipcRenderer.invoke('watcher:getVersion', watcherId, versionId),
+    onChanged: (callback) => {
+      ipcRenderer.on('watcher:changed', (event, data) => callback(data));
+    },
+    onPageChanged: (callback) => {
+      ipcRenderer.on('watcher:pageChanged', (event, data) => callback(data));
+    },
   },
 
   // File dialogs
@@ -91,12 +91,43 @@ contextBridge.exposeInMainWorld('silhouetteAPI', {
   bookmarks: {
     add: (title, url) => ipcRenderer.invoke('bookmarks-add', title, url),
     remove: (id) => ipcRenderer.invoke('bookmarks-remove', id),
-    getAll: () => ipcRenderer.invoke('bookmarks-get-all')
+    getAll: () => ipcRenderer.invoke('bookmarks-get-all'),
+    getTree: (folderId) => ipcRenderer.invoke('browser:bookmarks:getTree', folderId),
+    create: (bookmark) => ipcRenderer.invoke('browser:bookmarks:create', bookmark),
+    createFolder: (folder) => ipcRenderer.invoke('browser:bookmarks:createFolder', folder),
+    update: (nodeId, changes) => ipcRenderer.invoke('browser:bookmarks:update', nodeId, changes),
+    move: (nodeId, destination) => ipcRenderer.invoke('browser:bookmarks:move', nodeId, destination),
+    search: (query, options) => ipcRenderer.invoke('browser:bookmarks:search', query, options),
+    getTags: () => ipcRenderer.invoke('browser:bookmarks:getTags'),
+    open: (bookmarkId) => ipcRenderer.invoke('browser:bookmarks:open', bookmarkId),
+    import: (filePath, format) => ipcRenderer.invoke('browser:bookmarks:import', filePath, format),
+    export: (format, filePath) => ipcRenderer.invoke('browser:bookmarks:export', format, filePath)
   },
 
   history: {
     getRecent: (limit) => ipcRenderer.invoke('history-get-recent', limit),
-    clear: () => ipcRenderer.invoke('history-clear')
+    clear: () => ipcRenderer.invoke('history-clear'),
+    search: (query, limit) => ipcRenderer.invoke('browser:searchHistory', query, limit),
+    deleteRange: (from, to) => ipcRenderer.invoke('browser:deleteHistoryRange', from, to),
+    deleteByDomain: (domain) => ipcRenderer.invoke('browser:deleteHistoryByDomain', domain)
+  },
+
+  // Permisos por sitio y cookies
+  siteSettings: {
+    getPermissions: (origin) => ipcRenderer.invoke('site:getPermissions', origin),
+    setPermission: (origin, permission, value) => ipcRenderer.invoke('site:setPermission', origin, permission, value),
+    reset: (origin, permission) => ipcRenderer.invoke('site:resetPermissions', origin, permission),
+    listSites: () => ipcRenderer.invoke('site:listSites'),
+    getDefaults: () => ipcRenderer.invoke('site:getDefaults'),
+    setDefault: (permission, value) => ipcRenderer.invoke('site:setDefault', permission, value)
+  },
+
+  cookies: {
+    listSites: () => ipcRenderer.invoke('cookies:listSites'),
+    list: (origin) => ipcRenderer.invoke('cookies:list', origin),
+    set: (cookie) => ipcRenderer.invoke('cookies:set', cookie),
+    remove: (cookie) => ipcRenderer.invoke('cookies:remove', cookie),
+    clearSite: (origin) => ipcRenderer.invoke('cookies:clearSite', origin)
   },
 
   // Eventos
@@ -0,0 +1,175 @@
+// =============================================================================
+// ACTION RISK - CLASIFICACIÓN DE ACCIONES DEL AGENTE POR RIESGO
+// Decide qué categorías de riesgo toca una acción antes de ejecutarla. Acción:
+// { kind: 'click' | 'type' | 'navigate' | 'download' | 'command' | 'task',
+//   pageUrl, url, element: { role, name, tag, type, href, submits, download },
+//   text, submit, fields, command }
+// =============================================================================
+
+import { SiteSettings } from './site-settings.js';
+
+const RISK_CATEGORIES = [
+  'form_submission', 'purchase', 'download', 'credentials', 'cross_origin_navigation', 'terminal_command'
+];
+
+const CATEGORY_RISK = {
+  purchase: 'high',
+  credentials: 'high',
+  terminal_command: 'high',
+  download: 'medium',
+  form_submission: 'medium',
+  cross_origin_navigation: 'medium'
+};
+
+const CATEGORY_LABELS = {
+  form_submission: 'Envío de formulario',
+  purchase: 'Compra o pago',
+  download: 'Descarga de archivos',
+  credentials: 'Introducción de credenciales',
+  cross_origin_navigation: 'Navegación a otro sitio',
+  terminal_command: 'Comando de terminal'
+};
+
+const PURCHASE_PATTERN = /\b(comprar|compra|buy|pagar|pago|pay|payment|checkout|order|pedido|carrito|cart|suscrib\w*|subscribe|donar|donate|tarjeta|card|iban)\b/i;
+const CREDENTIAL_PATTERN = /\b(contraseña|password|passcode|passwd|pin|cvv|cvc|otp|2fa|clave|credencial\w*|token|iniciar sesión|inicia sesión|login|log in|sign in)\b/i;
+const SUBMIT_PATTERN = /\b(formulario|form|registr\w*|envía|enviar|submit|sign up)\b/i;
+const DOWNLOAD_PATTERN = /\b(descarga\w*|download\w*)\b/i;
+const TERMINAL_PATTERN = /(\b(terminal|shell|bash|powershell|sudo|chmod|chown|línea de comandos|command line)\b|\brm\s+-|\b(npm|pip|apt|brew|curl|wget)\s+\S)/i;
+// "clave: valor" dentro del texto libre de una tarea (fillForm lo construye
+// así): el valor de los campos de credenciales o de pago no se muestra
+const SECRET_VALUE_PATTERN = /((?<![\p{L}\p{N}_])(?:contraseña|password|passcode|passwd|pin|cvv|cvc|otp|2fa|clave|credencial\p{L}*|token|tarjeta|card|iban)[\p{L}\p{N}_ -]{0,30}?\s*[:=]\s*)([^,;\n]+)/giu;
+// Claves de objetos (campos de formulario, parámetros) cuyo valor es secreto: userPassword, card_number, pin
+const SECRET_KEY_PATTERN = /(contraseña|password|passcode|passwd|cvv|cvc|otp|2fa|clave|credencial|token|secret|tarjeta|card|iban|(?<!\p{L})pin(?!\p{Ll}))/iu;
+const REDACTED = '••••';
+const DOWNLOAD_EXTENSIONS = /\.(exe|msi|dmg|pkg|deb|rpm|apk|appimage|zip|rar|7z|tar|gz|tgz|bz2|xz|iso|img|bin|jar|bat|cmd|sh|ps1|vbs)$/i;
+
+function classifyAction(action = {}) {
+  const reasons = {};
+  const element = action.element || {};
+  const elementText = `${element.name || ''} ${element.href || ''}`;
+  const fields = action.fields && typeof action.fields === 'object' ? Object.keys(action.fields) : [];
+
+  // Comandos de terminal: explícitos o pedidos en lenguaje natural
+  if (action.kind === 'command') {
+    reasons.terminal_command = `Ejecuta: ${action.command}`;
+  } else if (action.kind === 'task' && TERMINAL_PATTERN.test(action.text || '')) {
+    reasons.terminal_command = 'La tarea menciona comandos de terminal';
+  }
+
+  // Credenciales: campos de contraseña, campos con nombre de credencial o tareas de login
+  if (action.kind === 'type' && isSensitiveElement(element)) {
+    reasons.credentials = `Escribe en "${element.name || element.type}"`;
+  } else if (fields.some(field => CREDENTIAL_PATTERN.test(field))) {
+    reasons.credentials = `Rellena ${fields.filter(field => CREDENTIAL_PATTERN.test(field)).join(', ')}`;
+  } else if (action.kind === 'task' && CREDENTIAL_PATTERN.test(action.text || '')) {
+    reasons.credentials = 'La tarea implica credenciales';
+  }
+
+  // Compras: botones y enlaces de pago, campos de tarjeta o tareas de compra
+  if (['click', 'type'].includes(action.kind) && (action.kind === 'click' || action.submit) && PURCHASE_PATTERN.test(elementText)) {
+    reasons.purchase = `Activa "${element.name || element.href}"`;
+  } else if (fields.some(field => PURCHASE_PATTERN.test(field))) {
+    reasons.purchase = 'El formulario incluye datos de pago';
+  } else if (action.kind === 'task' && PURCHASE_PATTERN.test(action.text || '')) {
+    reasons.purchase = 'La tarea implica una compra o un pago';
+  }
+
+  // Envío de formularios
+  if (action.kind === 'type' && action.submit) {
+    reasons.form_submission = 'Escribe y envía el formulario';
+  } else if (action.kind === 'click' && element.submits) {
+    reasons.form_submission = `"${element.name || 'Enviar'}" envía un formulario`;
+  } else if (fields.length > 0) {
+    reasons.form_submission = `Rellena ${fields.length} campos`;
+  } else if (action.kind === 'task' && SUBMIT_PATTERN.test(action.text || '')) {
+    reasons.form_submission = 'La tarea envía un formulario';
+  }
+
+  // Descargas: enlaces con download, archivos ejecutables o comprimidos
+  const target = action.url || element.href || '';
+  if (action.kind === 'download') {
+    reasons.download = `Descarga ${target}`;
+  } else if (['click', 'navigate'].includes(action.kind) && (element.download || DOWNLOAD_EXTENSIONS.test(pathOf(target)))) {
+    reasons.download = `Descarga ${pathOf(target).split('/').pop() || target}`;
+  } else if (action.kind === 'task' && DOWNLOAD_PATTERN.test(action.text || '')) {
+    reasons.download = 'La tarea descarga archivos';
+  }
+
+  // Navegación a otro sitio desde una página web
+  if (['click', 'navigate'].includes(action.kind) && target && isCrossSite(action.pageUrl, target)) {
+    reasons.cross_origin_navigation = `${SiteSettings.getSite(action.pageUrl)} → ${SiteSettings.getSite(target)}`;
+  }
+
+  const categories = RISK_CATEGORIES.filter(category => reasons[category]);
+  const risk = categories.some(category => CATEGORY_RISK[category] === 'high') ? 'high'
+    : categories.length > 0 ? 'medium' : 'none';
+  return { categories, risk, reasons };
+}
+
+// Vista previa para el diálogo de aprobación; nunca muestra contraseñas
+function describeAction(action = {}) {
+  const element = action.element || {};
+  const label = element.name ? `${element.role || element.tag} "${element.name}"` : (element.role || element.tag || 'elemento');
+  const sensitive = isSensitiveElement(element);
+
+  const summary = {
+    click: `Click en ${label}`,
+    type: `Escribir ${sensitive ? REDACTED : `"${String(action.text ?? '').slice(0, 80)}"`} en ${label}${action.submit ? ' y enviar' : ''}`,
+    navigate: `Abrir ${action.url}`,
+    download: `Descargar ${action.url}`,
+    command: `Ejecutar ${action.command}`,
+    task: maskSecrets(String(action.text || 'Tarea del agente')).slice(0, 200)
+  }[action.kind] || action.kind;
+
+  const details = Object.entries(action.fields || {}).map(([field, value]) =>
+    `${field}: ${CREDENTIAL_PATTERN.test(field) ? REDACTED : String(value).slice(0, 80)}`
+  );
+
+  return {
+    summary,
+    details,
+    pageUrl: action.pageUrl || null,
+    url: action.url || element.href || null
+  };
+}
+
+function maskSecrets(text) {
+  return text.replace(SECRET_VALUE_PATTERN, `$1${REDACTED}`);
+}
+
+// Campo en el que lo que se escribe es una credencial
+function isSensitiveElement(element) {
+  return Boolean(element) && (element.type === 'password' || CREDENTIAL_PATTERN.test(element.name || ''));
+}
+
+// Copia de value sin secretos: los valores de claves de credenciales o de pago
+// se sustituyen y en los textos se enmascara lo que sigue a "clave: "
+function redactSecrets(value) {
+  if (typeof value === 'string') return maskSecrets(value);
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, SECRET_KEY_PATTERN.test(key) && item !== null && typeof item !== 'object' ? REDACTED : redactSecrets(item)]
+  ));
+}
+
+function isCrossSite(fromUrl, toUrl) {
+  if (!/^https?:/i.test(fromUrl || '')) return false;
+  let resolved;
+  try {
+    resolved = new URL(toUrl, fromUrl).href;
+  } catch {
+    return false;
+  }
+  return /^https?:/i.test(resolved) && SiteSettings.getSite(resolved) !== SiteSettings.getSite(fromUrl);
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url || '').split(/[?#]/)[0];
+  }
+}
+
+export { classifyAction, describeAction, maskSecrets, redactSecrets, isSensitiveElement, REDACTED, RISK_CATEGORIES, CATEGORY_LABELS };
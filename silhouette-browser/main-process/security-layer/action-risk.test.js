@@ -0,0 +1,46 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { classifyAction, describeAction, maskSecrets } = await import('./action-risk.js');
+
+describe('describeAction', () => {
+  test('no muestra los valores de credenciales del texto de una tarea', () => {
+    const { summary } = describeAction({
+      kind: 'task',
+      text: 'Llena el formulario con: password: hunter2, usuario: ana, PIN=1234, contraseña: secreta; ciudad: Lugo'
+    });
+    expect(summary).toBe('Llena el formulario con: password: ••••, usuario: ana, PIN=••••, contraseña: ••••; ciudad: Lugo');
+    expect(summary).not.toMatch(/hunter2|1234|secreta/);
+  });
+
+  test('los campos de credenciales se enmascaran también en los detalles', () => {
+    const preview = describeAction({ kind: 'task', text: 'Rellena el alta', fields: { email: 'ana@example.com', password: 'hunter2' } });
+    expect(preview.details).toEqual(['email: ana@example.com', 'password: ••••']);
+  });
+
+  test('escribir en un campo de contraseña no muestra el texto', () => {
+    const { summary } = describeAction({
+      kind: 'type',
+      text: 'hunter2',
+      element: { role: 'textbox', name: 'Contraseña', type: 'password' }
+    });
+    expect(summary).toBe('Escribir •••• en textbox "Contraseña"');
+  });
+
+  test('el texto sin credenciales queda igual', () => {
+    expect(maskSecrets('Busca vuelos a Lisboa: ida el 3, vuelta el 7')).toBe('Busca vuelos a Lisboa: ida el 3, vuelta el 7');
+  });
+});
+
+describe('classifyAction', () => {
+  test('rellenar campos de credenciales es de riesgo alto', () => {
+    const result = classifyAction({ kind: 'task', text: 'Rellena el alta', fields: { usuario: 'ana', password: 'x' } });
+    expect(result.risk).toBe('high');
+    expect(result.categories).toEqual(['form_submission', 'credentials']);
+  });
+
+  test('una navegación a otro sitio necesita revisión', () => {
+    const result = classifyAction({ kind: 'navigate', pageUrl: 'https://a.example.com/', url: 'https://otro.test/' });
+    expect(result).toMatchObject({ risk: 'medium', categories: ['cross_origin_navigation'] });
+  });
+});
@@ -0,0 +1,214 @@
+// =============================================================================
+// AGENT APPROVALS - APROBACIÓN HUMANA DE ACCIONES DEL AGENTE
+// Las acciones con riesgo (ver action-risk.js) esperan la decisión del usuario
+// antes de ejecutarse. Cada categoría tiene una política (preguntar, permitir o
+// bloquear) y el usuario puede permitir siempre unas categorías en un sitio.
+// Cada decisión se emite como 'decided' para el registro de auditoría
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { SiteSettings } from './site-settings.js';
+import { classifyAction, describeAction, RISK_CATEGORIES, CATEGORY_LABELS } from './action-risk.js';
+
+const POLICY_VALUES = ['ask', 'allow', 'block'];
+const APPROVAL_TIMEOUT_MS = 120000;
+
+// Los comandos de terminal no pertenecen a ningún sitio: nunca se recuerdan
+const SITE_INDEPENDENT = new Set(['terminal_command']);
+
+class AgentApprovals extends EventEmitter {
+  constructor() {
+    super();
+    this.store = new PersistentStore('agent-approvals', { subdirectory: 'security' });
+    this.policy = Object.fromEntries(RISK_CATEGORIES.map(category => [category, 'ask']));
+    this.siteRules = new Map(); // sitio -> Set de categorías permitidas siempre
+    this.pending = new Map();   // id -> { request, resolve, timeout }
+    this.promptHandler = null;
+    this.timeoutMs = APPROVAL_TIMEOUT_MS;
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ policy: {}, sites: {} });
+    for (const [category, value] of Object.entries(saved.policy || {})) {
+      if (RISK_CATEGORIES.includes(category) && POLICY_VALUES.includes(value)) this.policy[category] = value;
+    }
+    for (const [site, categories] of Object.entries(saved.sites || {})) {
+      const allowed = (Array.isArray(categories) ? categories : []).filter(category => RISK_CATEGORIES.includes(category));
+      if (allowed.length > 0) this.siteRules.set(site, new Set(allowed));
+    }
+    console.log(`✅ Aprobaciones del agente cargadas: ${this.siteRules.size} sitios con reglas`);
+  }
+
+  // handler(request) muestra la petición al usuario y devuelve false si no puede
+  setPromptHandler(handler) {
+    this.promptHandler = handler;
+  }
+
+  // =============================================================================
+  // REVISIÓN DE ACCIONES
+  // =============================================================================
+
+  // Devuelve { approved, reason, categories, risk }. source identifica al agente
+  // ('browser-agent', 'omnipotent'...) y screenshot es una vista previa opcional
+  async review(action, { source = 'agent', tabId = null, screenshot = null, signal = null } = {}) {
+    const { categories, risk, reasons } = classifyAction(action);
+    if (categories.length === 0) {
+      return { approved: true, reason: 'no_risk', categories, risk };
+    }
+
+    const site = SiteSettings.getSite(action.pageUrl || '') || null;
+    const preview = describeAction(action);
+    const decide = (approved, reason) => {
+      const decision = { approved, reason, categories, risk };
+      this.emit('decided', { ...decision, source, site, summary: preview.summary });
+      return decision;
+    };
+
+    const blocked = categories.filter(category => this.policy[category] === 'block');
+    if (blocked.length > 0) {
+      return decide(false, 'policy_block');
+    }
+
+    const siteRule = site ? this.siteRules.get(site) : null;
+    const needsApproval = categories.filter(category =>
+      this.policy[category] !== 'allow' && !(siteRule?.has(category) && !SITE_INDEPENDENT.has(category))
+    );
+    if (needsApproval.length === 0) {
+      return decide(true, siteRule ? 'site_rule' : 'policy_allow');
+    }
+
+    const request = {
+      id: randomUUID(),
+      source,
+      tabId,
+      site,
+      categories,
+      labels: Object.fromEntries(categories.map(category => [category, CATEGORY_LABELS[category]])),
+      reasons,
+      risk,
+      preview,
+      screenshot,
+      rememberable: Boolean(site) && !categories.some(category => SITE_INDEPENDENT.has(category)),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.timeoutMs
+    };
+
+    const answer = await this.ask(request, signal);
+    if (answer.approved && answer.remember && request.rememberable) {
+      this.allowOnSite(site, categories);
+    }
+    return decide(answer.approved, answer.reason);
+  }
+
+  ask(request, signal) {
+    return new Promise(resolve => {
+      const finish = (answer) => {
+        const entry = this.pending.get(request.id);
+        if (!entry) return;
+        clearTimeout(entry.timeout);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(request.id);
+        this.emit('approval-resolved', { id: request.id, approved: answer.approved, reason: answer.reason });
+        resolve(answer);
+      };
+      const onAbort = () => finish({ approved: false, reason: 'cancelled' });
+
+      this.pending.set(request.id, {
+        request,
+        resolve: finish,
+        timeout: setTimeout(() => finish({ approved: false, reason: 'timeout' }), this.timeoutMs)
+      });
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Sin nadie que pueda contestar, la acción no se ejecuta
+      if (!this.promptHandler || this.promptHandler(request) === false) {
+        finish({ approved: false, reason: 'no_prompt' });
+      }
+    });
+  }
+
+  respond(id, { approved = false, remember = false } = {}) {
+    const entry = this.pending.get(id);
+    if (!entry) {
+      throw new Error('Solicitud de aprobación no encontrada o ya resuelta');
+    }
+    entry.resolve({ approved: Boolean(approved), remember: Boolean(remember), reason: 'user' });
+    return true;
+  }
+
+  getPending() {
+    return Array.from(this.pending.values(), entry => entry.request);
+  }
+
+  // =============================================================================
+  // POLÍTICA Y REGLAS POR SITIO
+  // =============================================================================
+
+  getRules() {
+    return {
+      policy: { ...this.policy },
+      labels: { ...CATEGORY_LABELS },
+      sites: Array.from(this.siteRules, ([site, categories]) => ({ site, categories: Array.from(categories) }))
+    };
+  }
+
+  setPolicy(category, value) {
+    if (!RISK_CATEGORIES.includes(category)) {
+      throw new Error(`Categoría de riesgo desconocida: ${category}`);
+    }
+    if (!POLICY_VALUES.includes(value)) {
+      throw new Error(`Política no válida: ${value}`);
+    }
+    this.policy[category] = value;
+    this.save();
+    this.emit('changed', { site: null, category, value });
+    return this.getRules();
+  }
+
+  allowOnSite(site, categories) {
+    const allowed = this.siteRules.get(site) || new Set();
+    categories.filter(category => !SITE_INDEPENDENT.has(category)).forEach(category => allowed.add(category));
+    this.siteRules.set(site, allowed);
+    this.save();
+    this.emit('changed', { site, categories: Array.from(allowed) });
+  }
+
+  // Sin categoría se olvidan todas las del sitio
+  revokeSiteRule(site, category = null) {
+    const allowed = this.siteRules.get(site);
+    if (!allowed) return this.getRules();
+
+    if (category) {
+      allowed.delete(category);
+    }
+    if (!category || allowed.size === 0) {
+      this.siteRules.delete(site);
+    }
+    this.save();
+    this.emit('changed', { site, categories: Array.from(this.siteRules.get(site) || []) });
+    return this.getRules();
+  }
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      policy: this.policy,
+      sites: Object.fromEntries(Array.from(this.siteRules, ([site, categories]) => [site, Array.from(categories)]))
+    });
+  }
+
+  async shutdown() {
+    for (const entry of Array.from(this.pending.values())) {
+      entry.resolve({ approved: false, reason: 'cancelled' });
+    }
+    await this.store.flush();
+  }
+}
+
+export { AgentApprovals };
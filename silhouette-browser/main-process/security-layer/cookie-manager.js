@@ -0,0 +1,155 @@
+// =============================================================================
+// COOKIE MANAGER - NAVEGADOR DE COOKIES
+// Listar, editar y borrar cookies por sitio sobre session.cookies. scope
+// ({ tabId } o { containerId }) elige la sesión: la de la pestaña, la de la
+// partición del contenedor o, sin scope, la sesión por defecto
+// =============================================================================
+
+import { session } from 'electron';
+
+class CookieManager {
+  constructor(options = {}) {
+    this.resolveSession = options.resolveSession || (() => session.defaultSession);
+  }
+
+  setSessionResolver(resolver) {
+    this.resolveSession = resolver;
+  }
+
+  getSession(scope = {}) {
+    return this.resolveSession(scope || {});
+  }
+
+  // =============================================================================
+  // CONSULTAS
+  // =============================================================================
+
+  async listSites(scope = {}) {
+    const browserSession = this.getSession(scope);
+    const cookies = await browserSession.cookies.get({});
+    const sites = new Map();
+
+    for (const cookie of cookies) {
+      const domain = CookieManager.normalizeDomain(cookie.domain);
+      const site = sites.get(domain) || { domain, count: 0, session: 0, secure: 0, httpOnly: 0 };
+      site.count++;
+      if (cookie.session) site.session++;
+      if (cookie.secure) site.secure++;
+      if (cookie.httpOnly) site.httpOnly++;
+      sites.set(domain, site);
+    }
+
+    return Array.from(sites.values()).sort((a, b) => a.domain.localeCompare(b.domain));
+  }
+
+  async getCookies(originOrDomain, scope = {}) {
+    const browserSession = this.getSession(scope);
+    const domain = CookieManager.toDomain(originOrDomain);
+    if (!domain) {
+      throw new Error(`Origen no válido: ${originOrDomain}`);
+    }
+
+    // domain: devuelve las cookies del dominio y de sus subdominios
+    const cookies = await browserSession.cookies.get({ domain });
+    return cookies
+      .map(cookie => CookieManager.describe(cookie))
+      .sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name));
+  }
+
+  // =============================================================================
+  // EDICIÓN
+  // =============================================================================
+
+  async setCookie(cookie, scope = {}) {
+    const browserSession = this.getSession(scope);
+    if (!cookie?.name) {
+      throw new Error('La cookie necesita un nombre');
+    }
+
+    const domain = CookieManager.normalizeDomain(cookie.domain || CookieManager.toDomain(cookie.url));
+    if (!domain) {
+      throw new Error('La cookie necesita un dominio o una URL');
+    }
+
+    const details = {
+      url: cookie.url || CookieManager.buildUrl({ ...cookie, domain }),
+      name: cookie.name,
+      value: cookie.value ?? '',
+      path: cookie.path || '/',
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly,
+      sameSite: cookie.sameSite || 'lax'
+    };
+    // Sin "domain" explícito la cookie queda como host-only
+    if (cookie.domain) details.domain = cookie.domain;
+    if (cookie.expirationDate) details.expirationDate = Number(cookie.expirationDate);
+
+    await browserSession.cookies.set(details);
+    await browserSession.cookies.flushStore();
+    return CookieManager.describe({ ...details, domain: cookie.domain || domain, session: !details.expirationDate });
+  }
+
+  async removeCookie(cookie, scope = {}) {
+    const browserSession = this.getSession(scope);
+    if (!cookie?.name) {
+      throw new Error('La cookie necesita un nombre');
+    }
+
+    await browserSession.cookies.remove(cookie.url || CookieManager.buildUrl(cookie), cookie.name);
+    await browserSession.cookies.flushStore();
+    return true;
+  }
+
+  async clearSite(originOrDomain, scope = {}) {
+    const browserSession = this.getSession(scope);
+    const domain = CookieManager.toDomain(originOrDomain);
+    const cookies = await browserSession.cookies.get({ domain });
+
+    for (const cookie of cookies) {
+      await browserSession.cookies.remove(CookieManager.buildUrl(cookie), cookie.name);
+    }
+    await browserSession.cookies.flushStore();
+
+    console.log(`🍪 ${cookies.length} cookies eliminadas de ${domain}`);
+    return cookies.length;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static describe(cookie) {
+    return {
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      hostOnly: cookie.hostOnly ?? !String(cookie.domain || '').startsWith('.'),
+      path: cookie.path || '/',
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly,
+      session: !!cookie.session,
+      sameSite: cookie.sameSite || 'unspecified',
+      expirationDate: cookie.expirationDate || null
+    };
+  }
+
+  static buildUrl(cookie) {
+    const host = CookieManager.normalizeDomain(cookie.domain);
+    return `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path || '/'}`;
+  }
+
+  static toDomain(originOrDomain) {
+    if (!originOrDomain) return null;
+    try {
+      return new URL(originOrDomain).hostname.toLowerCase();
+    } catch {
+      return CookieManager.normalizeDomain(originOrDomain.split('/')[0]);
+    }
+  }
+
+  static normalizeDomain(domain) {
+    return String(domain || '').trim().toLowerCase().replace(/^\./, '');
+  }
+}
+
+export { CookieManager };
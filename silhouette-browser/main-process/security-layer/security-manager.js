@@ -4,6 +4,9 @@
 // =============================================================================
 
 import { app } from 'electron';
+import { SiteSettings } from './site-settings.js';
+import { CookieManager } from './cookie-manager.js';
+import { AgentApprovals } from './agent-approvals.js';
 
 class SecurityLayer {
   constructor() {
@@ -11,6 +14,24 @@ class SecurityLayer {
     this.sandboxEnabled = true;
     this.privacyMode = true;
     this.auditLog = [];
+    this.siteIsolation = false;
+    
+    // Permisos por sitio y navegador de cookies
+    this.siteSettings = new SiteSettings();
+    this.cookies = new CookieManager();
+    // Aprobación humana de las acciones con riesgo de los agentes
+    this.agentApprovals = new AgentApprovals();
+  }
+
+  // Los switches de Chromium solo tienen efecto antes del evento 'ready'
+  configureProcess() {
+    this.enableSiteIsolation();
+  }
+
+  async initialize() {
+    await this.siteSettings.initialize();
+    await this.agentApprovals.initialize();
+    return this.setupSecurity();
   }
 
   // =============================================================================
@@ -31,11 +52,11 @@ class SecurityLayer {
       // Configurar Content Security Policy
       this.setupContentSecurityPolicy();
       
-      // Habilitar aislamiento de sitio
-      this.enableSiteIsolation();
-      
-      // Configurar política de cookies
-      this.setupCookiePolicy();
+      // Comprobar que el aislamiento de sitio quedó activo antes de 'ready'
+      this.siteIsolation = app.commandLine.hasSwitch('site-per-process');
+      if (!this.siteIsolation) {
+        this.logSecurityEvent('policy_violation', 'Aislamiento de sitio no activo: configureProcess() debe llamarse antes de app.whenReady()');
+      }
       
       // Inicializar auditoría de seguridad
       this.initializeSecurityAudit();
@@ -73,7 +94,7 @@ class SecurityLayer {
     ].join('; ');
     
     app.commandLine.appendSwitch('enable-features', 'WebAssembly,SharedArrayBuffer');
-    app.commandLine.appendSwitch('disable-features', 'SitePerProcess,OutOfBlinkCors');
+    app.commandLine.appendSwitch('disable-features', 'OutOfBlinkCors');
     
     this.logSecurityEvent('csp_configured', 'CSP configurada');
   }
@@ -83,22 +104,65 @@ class SecurityLayer {
   // =============================================================================
   
   enableSiteIsolation() {
-    if (this.sandboxEnabled) {
-      app.commandLine.appendSwitch('--site-per-process');
-      app.commandLine.appendSwitch('--enable-site-isolation-trials');
+    if (app.isReady()) {
+      console.warn('⚠️ El aislamiento de sitio debe activarse antes de que la app esté lista');
+      return false;
     }
     
+    // Un proceso de renderizado por sitio, también para iframes de otros orígenes
+    app.commandLine.appendSwitch('site-per-process');
+    this.siteIsolation = true;
+    
     this.logSecurityEvent('site_isolation_enabled', 'Aislamiento de sitio habilitado');
+    return true;
+  }
+
+  // =============================================================================
+  // SESIONES DE NAVEGACIÓN
+  // =============================================================================
+  
+  attachBrowserCore(browserCore) {
+    browserCore.siteSettings = this.siteSettings;
+    browserCore.cookies = this.cookies;
+    // Las cookies de cada pestaña o contenedor viven en su propia partición
+    this.cookies.setSessionResolver((scope) => browserCore.getSessionFor(scope));
+    browserCore.agentApprovals = this.agentApprovals;
+    
+    this.siteSettings.on('permission-decided', ({ origin, permission, granted }) => {
+      this.logSecurityEvent(granted ? 'permission_granted' : 'permission_denied', `${permission} para ${origin}`);
+    });
+    this.siteSettings.on('changed', ({ origin, permission, value }) => {
+      this.logSecurityEvent('site_settings_changed', `${permission || 'todos'} = ${value || 'predeterminado'} (${origin || 'global'})`);
+    });
+    this.agentApprovals.on('decided', ({ approved, reason, categories, site, summary, source }) => {
+      this.logSecurityEvent(
+        approved ? 'agent_action_approved' : 'agent_action_denied',
+        `${categories.join(', ')}: ${summary} (${site || 'sin sitio'}, ${source}) [${reason}]`
+      );
+    });
+    this.agentApprovals.on('changed', ({ site, category, categories, value }) => {
+      this.logSecurityEvent('agent_approval_rules_changed', site
+        ? `Permitido siempre en ${site}: ${categories.join(', ') || 'nada'}`
+        : `${category} = ${value}`);
+    });
+    browserCore.tabManager.on('popup-blocked', ({ url, openerUrl }) => {
+      this.logSecurityEvent('popup_blocked', `${url} desde ${openerUrl}`);
+    });
+    
+    // Cada sesión (por defecto y particiones) recibe permisos y política de cookies
+    browserCore.onSession((browserSession) => {
+      this.siteSettings.attachSession(browserSession);
+      this.setupCookiePolicy(browserSession);
+    });
   }
 
   // =============================================================================
   // POLÍTICA DE COOKIES
   // =============================================================================
   
-  setupCookiePolicy() {
-    // Restringir cookies de terceros
-    app.commandLine.appendSwitch('--disable-web-security', false);
-    app.commandLine.appendSwitch('--allow-running-insecure-content', false);
+  setupCookiePolicy(browserSession) {
+    // Cookies de terceros filtradas según el ajuste del sitio de nivel superior
+    this.siteSettings.setupCookiePolicy(browserSession);
     
     this.logSecurityEvent('cookie_policy_set', 'Política de cookies configurada');
   }
@@ -192,7 +256,7 @@ class SecurityLayer {
 
   getSeverity(event) {
     const highSeverity = ['security_breach', 'unauthorized_access', 'malware_detected'];
-    const mediumSeverity = ['suspicious_activity', 'policy_violation', 'network_alert'];
+    const mediumSeverity = ['suspicious_activity', 'policy_violation', 'network_alert', 'agent_action_denied'];
     
     if (highSeverity.includes(event)) return 'high';
     if (mediumSeverity.includes(event)) return 'medium';
@@ -208,6 +272,8 @@ class SecurityLayer {
       isSecure: this.isSecure,
       sandboxEnabled: this.sandboxEnabled,
       privacyMode: this.privacyMode,
+      siteIsolation: this.siteIsolation,
+      sitesWithPermissions: this.siteSettings.listSites().length,
       auditEvents: this.auditLog.length,
       lastAudit: this.auditLog[this.auditLog.length - 1]?.timestamp
     };
@@ -221,11 +287,14 @@ class SecurityLayer {
   // LIMPIEZA Y CIERRE
   // =============================================================================
   
-  cleanup() {
+  async cleanup() {
     if (this.auditInterval) {
       clearInterval(this.auditInterval);
     }
     
+    await this.siteSettings.shutdown();
+    await this.agentApprovals.shutdown();
+    
     this.logSecurityEvent('security_cleanup', 'Limpieza de seguridad completada');
   }
 }
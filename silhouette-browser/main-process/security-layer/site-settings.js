@@ -0,0 +1,358 @@
+// =============================================================================
+// SITE SETTINGS - PERMISOS POR SITIO
+// Cámara, micrófono, notificaciones, geolocalización, portapapeles,
+// ventanas emergentes y cookies de terceros, indexados por origen
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { WebRequestRouter } from '../browser-core/web-request-router.js';
+
+const PERMISSIONS = ['camera', 'microphone', 'notifications', 'geolocation', 'clipboard', 'popups', 'thirdPartyCookies'];
+const VALUES = ['allow', 'block', 'ask'];
+
+// Permisos que no admiten "preguntar": se aplican al vuelo sin diálogo
+const NON_PROMPTABLE = new Set(['popups', 'thirdPartyCookies']);
+
+const DEFAULT_PERMISSIONS = {
+  camera: 'ask',
+  microphone: 'ask',
+  notifications: 'ask',
+  geolocation: 'ask',
+  clipboard: 'ask',
+  popups: 'block',
+  thirdPartyCookies: 'block'
+};
+
+// Permisos de Electron inofensivos que se conceden siempre
+const ALWAYS_ALLOWED = new Set(['fullscreen', 'pointerLock', 'clipboard-sanitized-write', 'mediaKeySystem']);
+
+// Sufijos públicos de varios niveles más habituales (aproximación a eTLD+1)
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+  'com.br', 'com.mx', 'com.ar', 'com.co', 'com.es', 'com.tr', 'co.in', 'co.kr', 'com.cn', 'github.io'
+]);
+
+class SiteSettings extends EventEmitter {
+  constructor() {
+    super();
+    this.store = new PersistentStore('site-settings', { subdirectory: 'security' });
+    this.defaults = { ...DEFAULT_PERMISSIONS };
+    this.sites = new Map();          // origen -> { permiso: valor, updatedAt }
+    this.temporaryGrants = new Map(); // "origen|permiso" -> valor (solo esta ejecución)
+    this.promptHandler = null;
+    this.pendingPrompts = new Map();
+  }
+
+  async initialize() {
+    const saved = await this.store.read({ defaults: {}, sites: {} });
+    this.defaults = { ...DEFAULT_PERMISSIONS, ...SiteSettings.sanitize(saved.defaults) };
+    for (const [origin, settings] of Object.entries(saved.sites || {})) {
+      this.sites.set(origin, { ...SiteSettings.sanitize(settings), updatedAt: settings.updatedAt || null });
+    }
+    console.log(`✅ Permisos por sitio cargados: ${this.sites.size} sitios`);
+  }
+
+  // =============================================================================
+  // CONSULTA Y EDICIÓN
+  // =============================================================================
+
+  getPermission(originOrUrl, permission) {
+    const origin = SiteSettings.toOrigin(originOrUrl);
+    const temporary = this.temporaryGrants.get(`${origin}|${permission}`);
+    if (temporary) return temporary;
+    return this.sites.get(origin)?.[permission] || this.defaults[permission];
+  }
+
+  getSitePermissions(originOrUrl) {
+    const origin = SiteSettings.toOrigin(originOrUrl);
+    const explicit = this.sites.get(origin) || {};
+    const permissions = {};
+    for (const permission of PERMISSIONS) {
+      permissions[permission] = {
+        value: this.getPermission(origin, permission),
+        isDefault: !explicit[permission]
+      };
+    }
+    return { origin, permissions, updatedAt: explicit.updatedAt || null };
+  }
+
+  setPermission(originOrUrl, permission, value) {
+    SiteSettings.validate(permission, value);
+    const origin = SiteSettings.toOrigin(originOrUrl);
+    if (!origin) {
+      throw new Error(`Origen no válido: ${originOrUrl}`);
+    }
+
+    const settings = this.sites.get(origin) || {};
+    settings[permission] = value;
+    settings.updatedAt = Date.now();
+    this.sites.set(origin, settings);
+    this.temporaryGrants.delete(`${origin}|${permission}`);
+
+    this.save();
+    this.emit('changed', { origin, permission, value });
+    return this.getSitePermissions(origin);
+  }
+
+  resetSite(originOrUrl, permission = null) {
+    const origin = SiteSettings.toOrigin(originOrUrl);
+    const settings = this.sites.get(origin);
+    if (!settings) return false;
+
+    if (permission) {
+      delete settings[permission];
+      if (!PERMISSIONS.some(key => settings[key])) this.sites.delete(origin);
+    } else {
+      this.sites.delete(origin);
+    }
+
+    for (const key of Array.from(this.temporaryGrants.keys())) {
+      if (key.startsWith(`${origin}|`) && (!permission || key.endsWith(`|${permission}`))) {
+        this.temporaryGrants.delete(key);
+      }
+    }
+
+    this.save();
+    this.emit('changed', { origin, permission, value: null });
+    return true;
+  }
+
+  listSites() {
+    return Array.from(this.sites, ([origin, settings]) => ({
+      origin,
+      permissions: Object.fromEntries(PERMISSIONS.filter(key => settings[key]).map(key => [key, settings[key]])),
+      updatedAt: settings.updatedAt
+    })).sort((a, b) => a.origin.localeCompare(b.origin));
+  }
+
+  getDefaults() {
+    return { ...this.defaults };
+  }
+
+  setDefault(permission, value) {
+    SiteSettings.validate(permission, value);
+    this.defaults[permission] = value;
+    this.save();
+    this.emit('changed', { origin: null, permission, value });
+    return this.getDefaults();
+  }
+
+  setPromptHandler(handler) {
+    this.promptHandler = handler;
+  }
+
+  // =============================================================================
+  // APLICACIÓN EN LAS SESIONES DE ELECTRON
+  // =============================================================================
+
+  attachSession(browserSession) {
+    browserSession.setPermissionRequestHandler((webContents, permission, callback, details = {}) => {
+      this.handlePermissionRequest(webContents, permission, details)
+        .then(callback)
+        .catch(error => {
+          console.error('❌ Error resolviendo permiso:', error);
+          callback(false);
+        });
+    });
+
+    browserSession.setPermissionCheckHandler((webContents, permission, requestingOrigin, details = {}) => {
+      if (ALWAYS_ALLOWED.has(permission)) return true;
+      const origin = requestingOrigin || details.requestingUrl || webContents?.getURL();
+      const keys = SiteSettings.mapPermission(permission, details);
+      return keys.length > 0 && keys.every(key => this.getPermission(origin, key) === 'allow');
+    });
+  }
+
+  async handlePermissionRequest(webContents, permission, details) {
+    if (ALWAYS_ALLOWED.has(permission)) return true;
+
+    const keys = SiteSettings.mapPermission(permission, details);
+    if (keys.length === 0) {
+      // Permisos sin ajuste propio (USB, MIDI, serie...) se deniegan
+      return false;
+    }
+
+    const origin = SiteSettings.toOrigin(details.requestingUrl || webContents?.getURL());
+    let granted = true;
+
+    for (const key of keys) {
+      const value = this.getPermission(origin, key);
+      if (value === 'block') {
+        granted = false;
+      } else if (value === 'ask') {
+        granted = granted && await this.ask(origin, key, webContents);
+      }
+    }
+
+    this.emit('permission-decided', { origin, permission, keys, granted });
+    return granted;
+  }
+
+  async ask(origin, permission, webContents) {
+    if (!this.promptHandler || NON_PROMPTABLE.has(permission)) return false;
+
+    // Agrupar peticiones simultáneas del mismo sitio y permiso en un solo diálogo
+    const key = `${origin}|${permission}`;
+    if (this.pendingPrompts.has(key)) return this.pendingPrompts.get(key);
+
+    const prompt = (async () => {
+      const answer = await this.promptHandler({ origin, permission, webContents });
+      const value = answer?.allow ? 'allow' : 'block';
+      if (answer?.remember) {
+        this.setPermission(origin, permission, value);
+      } else {
+        this.temporaryGrants.set(key, value);
+      }
+      return value === 'allow';
+    })();
+
+    this.pendingPrompts.set(key, prompt);
+    try {
+      return await prompt;
+    } finally {
+      this.pendingPrompts.delete(key);
+    }
+  }
+
+  shouldAllowPopup(openerUrl, details = {}) {
+    // Los enlaces con target=_blank o clic central siempre se abren como pestaña
+    if (details.disposition && details.disposition !== 'new-window') return true;
+    return this.getPermission(openerUrl, 'popups') === 'allow';
+  }
+
+  // =============================================================================
+  // COOKIES DE TERCEROS
+  // =============================================================================
+
+  setupCookiePolicy(browserSession) {
+    const router = WebRequestRouter.for(browserSession);
+
+    router.use('onBeforeSendHeaders', 'third-party-cookies', (details) => {
+      if (!this.isBlockedThirdParty(details)) return null;
+      const requestHeaders = { ...details.requestHeaders };
+      delete requestHeaders.Cookie;
+      delete requestHeaders.cookie;
+      return { requestHeaders };
+    }, { priority: 50 });
+
+    router.use('onHeadersReceived', 'third-party-cookies', (details) => {
+      if (!details.responseHeaders || !this.isBlockedThirdParty(details)) return null;
+      const responseHeaders = {};
+      for (const [name, value] of Object.entries(details.responseHeaders)) {
+        if (name.toLowerCase() !== 'set-cookie') responseHeaders[name] = value;
+      }
+      return { responseHeaders };
+    }, { priority: 50 });
+  }
+
+  isBlockedThirdParty(details) {
+    if (details.resourceType === 'mainFrame') return false;
+
+    let topUrl = null;
+    try {
+      topUrl = details.webContents && !details.webContents.isDestroyed() ? details.webContents.getURL() : null;
+    } catch {
+      topUrl = null;
+    }
+    if (!topUrl || !/^https?:/.test(topUrl)) return false;
+
+    const requestSite = SiteSettings.getSite(details.url);
+    const topSite = SiteSettings.getSite(topUrl);
+    if (!requestSite || !topSite || requestSite === topSite) return false;
+
+    return this.getPermission(topUrl, 'thirdPartyCookies') === 'block';
+  }
+
+  // =============================================================================
+  // PERSISTENCIA
+  // =============================================================================
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      defaults: this.defaults,
+      sites: Object.fromEntries(this.sites)
+    });
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static mapPermission(permission, details = {}) {
+    switch (permission) {
+      case 'media': {
+        const types = details.mediaTypes || (details.mediaType ? [details.mediaType] : []);
+        const keys = [];
+        if (types.includes('video')) keys.push('camera');
+        if (types.includes('audio')) keys.push('microphone');
+        // Sin tipo concreto se exige tener ambos permisos
+        return keys.length > 0 ? keys : ['camera', 'microphone'];
+      }
+      case 'notifications':
+        return ['notifications'];
+      case 'geolocation':
+        return ['geolocation'];
+      case 'clipboard-read':
+        return ['clipboard'];
+      case 'storage-access':
+      case 'top-level-storage-access':
+        return ['thirdPartyCookies'];
+      default:
+        return [];
+    }
+  }
+
+  static toOrigin(originOrUrl) {
+    if (!originOrUrl) return null;
+    try {
+      const parsed = new URL(originOrUrl);
+      return parsed.origin !== 'null' ? parsed.origin : `${parsed.protocol}//`;
+    } catch {
+      // Se admite un host sin esquema ("example.com") como https
+      return /^[a-z0-9.-]+(:\d+)?$/i.test(originOrUrl) ? `https://${originOrUrl.toLowerCase()}` : null;
+    }
+  }
+
+  static getSite(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+    if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) return hostname;
+
+    const labels = hostname.split('.');
+    if (labels.length <= 2) return hostname;
+    const lastTwo = labels.slice(-2).join('.');
+    return MULTI_LABEL_SUFFIXES.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+  }
+
+  static validate(permission, value) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Permiso desconocido: ${permission}`);
+    }
+    if (!VALUES.includes(value)) {
+      throw new Error(`Valor de permiso no válido: ${value}`);
+    }
+    if (value === 'ask' && NON_PROMPTABLE.has(permission)) {
+      throw new Error(`El permiso ${permission} solo admite "allow" o "block"`);
+    }
+  }
+
+  static sanitize(settings = {}) {
+    const clean = {};
+    for (const permission of PERMISSIONS) {
+      if (VALUES.includes(settings[permission])) clean[permission] = settings[permission];
+    }
+    return clean;
+  }
+}
+
+export { SiteSettings, PERMISSIONS as SITE_PERMISSIONS };
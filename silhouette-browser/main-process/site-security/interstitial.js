@@ -0,0 +1,84 @@
+// =============================================================================
+// INTERSTITIAL - PÁGINA DE ADVERTENCIA PARA SITIOS PELIGROSOS
+// Se carga como data: URL en la propia pestaña; los botones solo cambian el
+// fragmento (#proceed-<token> / #back) y el proceso principal lo detecta con
+// 'did-navigate-in-page', sin preload ni protocolos propios
+// =============================================================================
+
+const TITLES = {
+  phishing: 'Sitio engañoso detectado',
+  malware: 'Este sitio puede dañar tu equipo',
+  unwanted: 'Este sitio distribuye software no deseado',
+  certificate: 'La conexión no es privada'
+};
+
+const DESCRIPTIONS = {
+  phishing: 'Este sitio figura en una lista local de phishing. Podría intentar robar contraseñas, datos bancarios u otra información personal.',
+  malware: 'Este sitio figura en una lista local de malware. Visitarlo podría instalar programas dañinos en tu equipo.',
+  unwanted: 'Este sitio figura en una lista local de software no deseado que puede alterar tu navegador o tu sistema.',
+  certificate: 'El certificado del servidor no es válido. Alguien podría estar intentando interceptar la información que envías a este sitio.'
+};
+
+function buildInterstitialPage({ kind, url, reason, token, details = [] }) {
+  const title = TITLES[kind] || TITLES.malware;
+  const description = DESCRIPTIONS[kind] || DESCRIPTIONS.malware;
+  const detailRows = details
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+         background: #8b1a1a; color: #fff; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+  main { max-width: 640px; padding: 40px; }
+  .icon { font-size: 56px; }
+  h1 { font-size: 26px; margin: 16px 0; }
+  p { line-height: 1.5; opacity: 0.9; }
+  .url { font-family: monospace; word-break: break-all; background: rgba(0,0,0,0.25); padding: 8px 12px; border-radius: 6px; }
+  .actions { margin-top: 28px; display: flex; gap: 16px; align-items: center; }
+  .back { background: #fff; color: #8b1a1a; padding: 10px 20px; border-radius: 6px; text-decoration: none; font-weight: 600; }
+  details { margin-top: 24px; }
+  summary { cursor: pointer; opacity: 0.8; }
+  table { margin-top: 12px; font-size: 13px; border-collapse: collapse; }
+  th { text-align: left; padding: 4px 12px 4px 0; opacity: 0.7; font-weight: normal; }
+  .proceed { color: #fff; opacity: 0.8; }
+</style>
+</head>
+<body>
+<main>
+  <div class="icon">⚠️</div>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(description)}</p>
+  <p class="url">${escapeHtml(url)}</p>
+  <div class="actions">
+    <a class="back" href="#back">Volver a un lugar seguro</a>
+  </div>
+  <details>
+    <summary>Detalles</summary>
+    <p>${escapeHtml(reason || '')}</p>
+    ${detailRows ? `<table>${detailRows}</table>` : ''}
+    <p><a class="proceed" href="#proceed-${escapeHtml(token)}">Entiendo el riesgo, continuar a este sitio (no seguro)</a></p>
+  </details>
+</main>
+</body>
+</html>`;
+
+  return `data:text/html;charset=utf-8,${encodeURIComponent(html)}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export { buildInterstitialPage };
@@ -0,0 +1,716 @@
+// =============================================================================
+// SECURITY MANAGER - VEREDICTO DE SEGURIDAD POR URL Y POR PESTAÑA
+// Certificados (setCertificateVerifyProc / certificate-error), contenido mixto,
+// estado HSTS y listas locales de phishing/malware por prefijo de hash.
+// El veredicto alimenta el candado de la barra de direcciones y la página
+// de advertencia (interstitial) de los sitios peligrosos
+// =============================================================================
+
+import { app } from 'electron';
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { WebRequestRouter } from '../browser-core/web-request-router.js';
+import { ThreatList } from './threat-list.js';
+import { buildInterstitialPage } from './interstitial.js';
+
+// Contenido mixto activo (Chromium lo bloquea) frente a pasivo (imágenes, media)
+const ACTIVE_MIXED_TYPES = new Set(['script', 'stylesheet', 'subFrame', 'xhr', 'webSocket', 'object', 'other']);
+const INTERNAL_PROTOCOLS = ['about:', 'data:', 'file:', 'blob:', 'chrome:', 'devtools:'];
+const LOCAL_HOST = /^(localhost|127(?:\.\d{1,3}){3}|\[::1\])$/;
+const IP_HOST = /^[\d.]+$|:/;
+
+const MAX_HSTS_ENTRIES = 5000;
+const MAX_CERTIFICATES = 1000;
+const MAX_MIXED_URLS = 20;
+const HSTS_REFRESH_INTERVAL = 60 * 60 * 1000;
+const NOTIFY_INTERVAL = 300;
+
+class SecurityManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = new PersistentStore('site-security', { subdirectory: 'site-security' });
+    this.listsDirectory = path.join(this.store.directory, 'threat-lists');
+    this.resolveTabId = options.resolveTabId || (() => null);
+    this.blockedUrls = new Set();
+    this.securityLevel = 'medium';
+    this.threatLists = [];
+    this.hsts = new Map();                   // host -> { includeSubDomains, expires, observedAt }
+    this.certificates = new Map();           // host -> { verified, error, certificate, checkedAt }
+    this.certificateExceptions = new Map();  // host -> huella aceptada por el usuario (solo esta sesión)
+    this.threatExceptions = new Set();       // URLs que el usuario decidió visitar igualmente
+    this.tabStates = new Map();              // tabId -> { url, mixedContent }
+    this.interstitials = new Map();          // webContents.id -> { token, url, kind, ... }
+    this.notifyTimers = new Map();
+    this.attachedSessions = new WeakSet();
+  }
+
+  async initialize() {
+    console.log('🛡️ Inicializando Gestor de Seguridad...');
+
+    try {
+      const saved = await this.store.read({ hsts: [] });
+      const now = Date.now();
+      for (const entry of saved.hsts || []) {
+        if (entry?.host && entry.expires > now) {
+          this.hsts.set(entry.host, {
+            includeSubDomains: !!entry.includeSubDomains,
+            expires: entry.expires,
+            observedAt: entry.observedAt || now
+          });
+        }
+      }
+
+      await fs.mkdir(this.listsDirectory, { recursive: true });
+      await this.reloadThreatLists();
+    } catch (error) {
+      console.error('❌ Error cargando datos de seguridad:', error);
+    }
+
+    app.on('web-contents-created', (event, webContents) => this.watchWebContents(webContents));
+    app.on('certificate-error', (...args) => this.handleCertificateError(...args));
+  }
+
+  attachSession(browserSession) {
+    if (!browserSession || this.attachedSessions.has(browserSession)) return;
+    this.attachedSessions.add(browserSession);
+
+    // Registrar la cadena de cada conexión sin cambiar la decisión de Chromium (-3)
+    browserSession.setCertificateVerifyProc((request, callback) => {
+      this.recordCertificate(request.hostname, request.certificate, {
+        verified: request.errorCode === 0,
+        error: request.errorCode === 0 ? null : request.verificationResult
+      });
+      callback(-3);
+    });
+
+    // Después del bloqueador de contenido: lo ya cancelado no cuenta como contenido mixto
+    const router = WebRequestRouter.for(browserSession);
+    router.use('onBeforeRequest', 'site-security', (details) => this.handleRequest(details), { priority: 20 });
+    router.use('onHeadersReceived', 'site-security-hsts', (details) => {
+      this.handleResponseHeaders(details);
+      return null;
+    });
+  }
+
+  // =============================================================================
+  // VEREDICTO
+  // =============================================================================
+
+  async checkUrl(url) {
+    return this.evaluate(url);
+  }
+
+  evaluate(url) {
+    const verdict = {
+      url,
+      origin: null,
+      host: null,
+      scheme: null,
+      safe: true,
+      level: 'neutral',
+      reason: '',
+      certificate: null,
+      hsts: null,
+      threat: null,
+      mixedContent: null,
+      checkedAt: Date.now()
+    };
+
+    if (this.blockedUrls.has(url)) {
+      return { ...verdict, safe: false, reason: 'URL bloqueada' };
+    }
+    if (/^\s*javascript:/i.test(url || '')) {
+      return { ...verdict, safe: false, reason: 'Protocolo javascript bloqueado' };
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { ...verdict, safe: false, reason: 'URL inválida' };
+    }
+
+    verdict.scheme = parsed.protocol.slice(0, -1);
+    verdict.host = parsed.hostname.toLowerCase() || null;
+    verdict.origin = parsed.origin !== 'null' ? parsed.origin : null;
+
+    if (INTERNAL_PROTOCOLS.includes(parsed.protocol)) {
+      return { ...verdict, reason: 'Página interna o local' };
+    }
+
+    const threat = this.matchThreat(url);
+    if (threat) {
+      const accepted = this.threatExceptions.has(url);
+      return {
+        ...verdict,
+        safe: accepted,
+        level: 'dangerous',
+        threat: { ...threat, accepted },
+        reason: accepted
+          ? `Sitio marcado como ${threat.type} (advertencia omitida por el usuario)`
+          : `Sitio marcado como ${threat.type} en la lista "${threat.list}"`
+      };
+    }
+
+    verdict.hsts = this.getHstsState(verdict.host);
+
+    if (parsed.protocol === 'https:' || parsed.protocol === 'wss:') {
+      const record = this.certificates.get(verdict.host);
+      verdict.certificate = record ? { verified: record.verified, error: record.error, ...record.certificate } : null;
+
+      if (record && !record.verified) {
+        const accepted = this.isCertificateAccepted(verdict.host, record.certificate?.fingerprint);
+        verdict.level = accepted ? 'insecure' : 'dangerous';
+        verdict.reason = accepted
+          ? `Certificado no válido aceptado manualmente (${record.error})`
+          : `Certificado no válido: ${record.error}`;
+      } else {
+        verdict.level = 'secure';
+        verdict.reason = record ? 'Conexión segura' : 'Conexión cifrada (certificado pendiente de verificar)';
+      }
+      return verdict;
+    }
+
+    if (parsed.protocol === 'http:' || parsed.protocol === 'ws:') {
+      if (verdict.hsts) {
+        return { ...verdict, level: 'secure', reason: 'HSTS activo: la conexión se fuerza a HTTPS' };
+      }
+      if (LOCAL_HOST.test(verdict.host)) {
+        return { ...verdict, reason: 'Servidor local' };
+      }
+      return { ...verdict, level: 'insecure', reason: 'La conexión con este sitio no es segura (HTTP)' };
+    }
+
+    return { ...verdict, reason: `Protocolo ${verdict.scheme}` };
+  }
+
+  // Veredicto de la página cargada en una pestaña: URL + contenido mixto + interstitial
+  getTabVerdict(tabId, currentUrl = null) {
+    const state = this.tabStates.get(tabId);
+    const url = currentUrl || state?.url;
+    if (!url) {
+      return { tabId, ...this.evaluate('about:blank') };
+    }
+
+    const interstitial = this.findInterstitialByTab(tabId);
+    if (interstitial) {
+      return { tabId, ...this.evaluate(interstitial.url), level: 'dangerous', interstitial: true };
+    }
+
+    const verdict = { tabId, ...this.evaluate(url) };
+    const samePage = state?.url && state.url.split('#')[0] === url.split('#')[0];
+    const mixed = samePage ? state.mixedContent : null;
+    if (mixed && (mixed.active || mixed.passive)) {
+      verdict.mixedContent = { active: mixed.active, passive: mixed.passive, urls: [...mixed.urls] };
+      if (verdict.level === 'secure') {
+        verdict.level = 'warning';
+        verdict.reason = mixed.active
+          ? `Contenido mixto: ${mixed.active} recursos activos por HTTP bloqueados`
+          : `Contenido mixto: ${mixed.passive} recursos pasivos cargados por HTTP`;
+      }
+    }
+    return verdict;
+  }
+
+  // =============================================================================
+  // PETICIONES: HSTS, AMENAZAS Y CONTENIDO MIXTO
+  // =============================================================================
+
+  handleRequest(details) {
+    let requestUrl;
+    try {
+      requestUrl = new URL(details.url);
+    } catch {
+      return null;
+    }
+
+    // HSTS: actualizar a HTTPS antes de que la petición salga
+    if (requestUrl.protocol === 'http:' && this.getHstsState(requestUrl.hostname)) {
+      requestUrl.protocol = 'https:';
+      if (requestUrl.port === '80') requestUrl.port = '';
+      return { redirectURL: requestUrl.toString() };
+    }
+
+    if (details.resourceType === 'mainFrame' || details.resourceType === 'subFrame') {
+      const threat = this.threatExceptions.has(details.url) ? null : this.matchThreat(details.url);
+      if (threat) {
+        console.warn(`☣️ Navegación a sitio peligroso bloqueada (${threat.type}): ${details.url}`);
+        if (details.resourceType === 'mainFrame' && details.webContents) {
+          const webContents = details.webContents;
+          setImmediate(() => this.showInterstitial(webContents, this.evaluate(details.url)));
+        }
+        return { cancel: true };
+      }
+
+      if (details.resourceType === 'mainFrame') {
+        const tabId = this.getTabId(details.webContents);
+        if (tabId) this.resetTab(tabId, details.url);
+      }
+      return null;
+    }
+
+    if (requestUrl.protocol === 'http:' || requestUrl.protocol === 'ws:') {
+      const pageUrl = this.getPageUrl(details.webContents);
+      if (pageUrl?.startsWith('https:')) {
+        this.recordMixedContent(details, pageUrl);
+      }
+    }
+    return null;
+  }
+
+  recordMixedContent(details, pageUrl) {
+    const tabId = this.getTabId(details.webContents);
+    if (!tabId) return;
+
+    const state = this.tabStates.get(tabId) || this.resetTab(tabId, pageUrl, false);
+    const mixed = state.mixedContent;
+    if (ACTIVE_MIXED_TYPES.has(details.resourceType)) mixed.active++;
+    else mixed.passive++;
+    if (mixed.urls.length < MAX_MIXED_URLS) mixed.urls.push(details.url);
+
+    this.scheduleNotify(tabId);
+  }
+
+  handleResponseHeaders(details) {
+    if (!details.url.startsWith('https:')) return;
+
+    const header = SecurityManager.getHeader(details.responseHeaders, 'strict-transport-security');
+    if (!header) return;
+
+    let host;
+    try {
+      host = new URL(details.url).hostname.toLowerCase();
+    } catch {
+      return;
+    }
+    // Chromium ignora HSTS en IPs; y un certificado no válido no puede fijarlo
+    if (IP_HOST.test(host) || this.certificates.get(host)?.verified === false) return;
+
+    this.updateHsts(host, SecurityManager.parseHsts(header));
+  }
+
+  // =============================================================================
+  // HSTS
+  // =============================================================================
+
+  updateHsts(host, policy) {
+    if (!policy) return;
+
+    if (policy.maxAge === 0) {
+      if (this.hsts.delete(host)) this.save();
+      return;
+    }
+
+    const now = Date.now();
+    const expires = now + policy.maxAge * 1000;
+    const previous = this.hsts.get(host);
+    this.hsts.set(host, { includeSubDomains: policy.includeSubDomains, expires, observedAt: now });
+
+    // La cabecera llega en cada respuesta: guardar solo si cambia algo relevante
+    if (!previous || previous.includeSubDomains !== policy.includeSubDomains ||
+        Math.abs(previous.expires - expires) > HSTS_REFRESH_INTERVAL) {
+      this.pruneHsts();
+      this.save();
+    }
+  }
+
+  getHstsState(host) {
+    if (!host || IP_HOST.test(host)) return null;
+
+    const now = Date.now();
+    let domain = host.toLowerCase();
+    let exact = true;
+    while (domain) {
+      const entry = this.hsts.get(domain);
+      if (entry && entry.expires > now && (exact || entry.includeSubDomains)) {
+        return { host: domain, includeSubDomains: entry.includeSubDomains, expires: entry.expires };
+      }
+      const dot = domain.indexOf('.');
+      domain = dot === -1 ? '' : domain.slice(dot + 1);
+      exact = false;
+    }
+    return null;
+  }
+
+  pruneHsts() {
+    const now = Date.now();
+    for (const [host, entry] of this.hsts) {
+      if (entry.expires <= now) this.hsts.delete(host);
+    }
+    // Si aún sobran, olvidar los observados hace más tiempo
+    if (this.hsts.size > MAX_HSTS_ENTRIES) {
+      const oldest = Array.from(this.hsts.entries())
+        .sort((a, b) => a[1].observedAt - b[1].observedAt)
+        .slice(0, this.hsts.size - MAX_HSTS_ENTRIES);
+      for (const [host] of oldest) this.hsts.delete(host);
+    }
+  }
+
+  getHstsHosts() {
+    return Array.from(this.hsts, ([host, entry]) => ({ host, ...entry }))
+      .sort((a, b) => a.host.localeCompare(b.host));
+  }
+
+  // =============================================================================
+  // CERTIFICADOS
+  // =============================================================================
+
+  recordCertificate(host, certificate, { verified, error }) {
+    if (!host) return;
+
+    const key = host.toLowerCase();
+    this.certificates.delete(key);
+    this.certificates.set(key, {
+      verified,
+      error: error || null,
+      certificate: SecurityManager.describeCertificate(certificate),
+      checkedAt: Date.now()
+    });
+
+    if (this.certificates.size > MAX_CERTIFICATES) {
+      this.certificates.delete(this.certificates.keys().next().value);
+    }
+  }
+
+  handleCertificateError(event, webContents, url, error, certificate, callback, isMainFrame) {
+    const host = SecurityManager.getHost(url);
+    this.recordCertificate(host, certificate, { verified: false, error });
+
+    if (this.isCertificateAccepted(host, certificate?.fingerprint)) {
+      event.preventDefault();
+      callback(true);
+      return;
+    }
+
+    callback(false);
+    console.warn(`🔓 Certificado rechazado para ${host}: ${error}`);
+
+    if (isMainFrame !== false && webContents && !webContents.isDestroyed()) {
+      // Mostrar la advertencia cuando Chromium haya abortado la carga
+      webContents.once('did-fail-load', () => {
+        this.showInterstitial(webContents, { ...this.evaluate(url), kind: 'certificate' });
+      });
+    }
+  }
+
+  isCertificateAccepted(host, fingerprint) {
+    return !!host && !!fingerprint && this.certificateExceptions.get(host) === fingerprint;
+  }
+
+  // =============================================================================
+  // LISTAS DE AMENAZAS
+  // =============================================================================
+
+  async reloadThreatLists() {
+    let files = [];
+    try {
+      files = (await fs.readdir(this.listsDirectory)).filter(name => name.endsWith('.txt')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lists = [];
+    for (const file of files) {
+      try {
+        const text = await fs.readFile(path.join(this.listsDirectory, file), 'utf8');
+        const id = path.basename(file, '.txt');
+        lists.push(ThreatList.parse(text, { id, title: id }));
+      } catch (error) {
+        console.warn(`⚠️ Lista de amenazas ${file} no cargada:`, error.message);
+      }
+    }
+
+    this.threatLists = lists;
+    const prefixes = lists.reduce((total, list) => total + list.size, 0);
+    console.log(`☣️ Listas de amenazas cargadas: ${lists.length} (${prefixes} prefijos)`);
+    return this.getThreatLists();
+  }
+
+  // Copiar una lista descargada a mano al directorio de listas
+  async addThreatList(filePath) {
+    const source = path.resolve(filePath);
+    const text = await fs.readFile(source, 'utf8');
+    const list = ThreatList.parse(text);
+    if (list.size === 0) {
+      throw new Error('El archivo no contiene prefijos de hash válidos');
+    }
+
+    const name = path.basename(source).replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '-') || 'lista';
+    await fs.copyFile(source, path.join(this.listsDirectory, `${name}.txt`));
+    return await this.reloadThreatLists();
+  }
+
+  async removeThreatList(listId) {
+    const listPath = path.join(this.listsDirectory, `${path.basename(String(listId))}.txt`);
+    try {
+      await fs.unlink(listPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    await this.reloadThreatLists();
+    return true;
+  }
+
+  getThreatLists() {
+    return this.threatLists.map(list => ({
+      id: list.id,
+      title: list.title,
+      type: list.type,
+      prefixes: list.size,
+      skipped: list.skipped
+    }));
+  }
+
+  matchThreat(url) {
+    if (this.threatLists.length === 0) return null;
+
+    const hashes = ThreatList.hashesFor(url);
+    if (hashes.length === 0) return null;
+
+    for (const list of this.threatLists) {
+      const match = list.match(hashes);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  // =============================================================================
+  // PÁGINA DE ADVERTENCIA
+  // =============================================================================
+
+  showInterstitial(webContents, verdict) {
+    if (!webContents || webContents.isDestroyed()) return;
+
+    const kind = verdict.kind || verdict.threat?.type || 'malware';
+    const certificate = verdict.certificate;
+    const currentUrl = webContents.getURL();
+    const info = {
+      token: randomBytes(12).toString('hex'),
+      kind,
+      url: verdict.url,
+      host: verdict.host,
+      fingerprint: certificate?.fingerprint || null,
+      returnUrl: /^https?:/.test(currentUrl) && currentUrl !== verdict.url ? currentUrl : 'about:blank',
+      tabId: this.getTabId(webContents)
+    };
+    this.interstitials.set(webContents.id, info);
+
+    const page = buildInterstitialPage({
+      kind,
+      url: verdict.url,
+      reason: verdict.reason,
+      token: info.token,
+      details: [
+        ['Lista', verdict.threat?.list],
+        ['Coincidencia', verdict.threat?.expression],
+        ['Emitido para', certificate?.subjectName],
+        ['Emisor', certificate?.issuerName],
+        ['Huella', certificate?.fingerprint]
+      ]
+    });
+
+    webContents.loadURL(page).catch(error => {
+      console.warn('⚠️ Error mostrando la advertencia de seguridad:', error.message);
+    });
+    if (info.tabId) this.scheduleNotify(info.tabId);
+  }
+
+  handleInterstitialAction(webContents, url) {
+    const info = this.interstitials.get(webContents.id);
+    if (!info) return;
+
+    const hash = url.slice(url.indexOf('#') + 1);
+    if (hash === 'back') {
+      this.interstitials.delete(webContents.id);
+      webContents.loadURL(info.returnUrl).catch(() => {});
+      return;
+    }
+
+    if (hash !== `proceed-${info.token}`) return;
+
+    if (info.kind === 'certificate') {
+      this.certificateExceptions.set(info.host, info.fingerprint);
+    } else {
+      this.threatExceptions.add(info.url);
+    }
+    console.warn(`⚠️ Advertencia de seguridad omitida por el usuario: ${info.url}`);
+    this.emit('warning-bypassed', { tabId: info.tabId, url: info.url, kind: info.kind });
+
+    this.interstitials.delete(webContents.id);
+    webContents.loadURL(info.url).catch(() => {});
+  }
+
+  isInterstitial(webContents) {
+    return !!webContents && this.interstitials.has(webContents.id);
+  }
+
+  getInterstitial(webContents) {
+    const info = webContents ? this.interstitials.get(webContents.id) : null;
+    return info ? { kind: info.kind, url: info.url } : null;
+  }
+
+  findInterstitialByTab(tabId) {
+    for (const info of this.interstitials.values()) {
+      if (info.tabId === tabId) return info;
+    }
+    return null;
+  }
+
+  // =============================================================================
+  // ESTADO POR PESTAÑA
+  // =============================================================================
+
+  watchWebContents(webContents) {
+    webContents.on('did-navigate', (event, url) => {
+      // Cualquier navegación real (no data:) cierra la advertencia
+      if (!url.startsWith('data:')) this.interstitials.delete(webContents.id);
+
+      const tabId = this.getTabId(webContents);
+      if (!tabId) return;
+      const state = this.tabStates.get(tabId);
+      if (state) state.url = url;
+      else this.resetTab(tabId, url, false);
+      this.scheduleNotify(tabId);
+    });
+
+    webContents.on('did-navigate-in-page', (event, url, isMainFrame) => {
+      if (isMainFrame && this.interstitials.has(webContents.id)) {
+        this.handleInterstitialAction(webContents, url);
+      }
+    });
+
+    webContents.once('destroyed', () => this.interstitials.delete(webContents.id));
+  }
+
+  resetTab(tabId, url, notify = true) {
+    const state = { url, mixedContent: { active: 0, passive: 0, urls: [] } };
+    this.tabStates.set(tabId, state);
+    if (notify) this.scheduleNotify(tabId);
+    return state;
+  }
+
+  forgetTab(tabId) {
+    this.tabStates.delete(tabId);
+    clearTimeout(this.notifyTimers.get(tabId));
+    this.notifyTimers.delete(tabId);
+  }
+
+  scheduleNotify(tabId) {
+    if (this.notifyTimers.has(tabId)) return;
+
+    this.notifyTimers.set(tabId, setTimeout(() => {
+      this.notifyTimers.delete(tabId);
+      if (this.tabStates.has(tabId) || this.findInterstitialByTab(tabId)) {
+        this.emit('verdict-changed', { tabId, verdict: this.getTabVerdict(tabId) });
+      }
+    }, NOTIFY_INTERVAL));
+  }
+
+  getPageUrl(webContents) {
+    try {
+      return webContents && !webContents.isDestroyed() ? webContents.getURL() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  getTabId(webContents) {
+    if (!webContents) return null;
+    try {
+      return this.resolveTabId(webContents);
+    } catch {
+      return null;
+    }
+  }
+
+  // =============================================================================
+  // ESTADO Y PERSISTENCIA
+  // =============================================================================
+
+  getStatus() {
+    return {
+      securityLevel: this.securityLevel,
+      blockedCount: this.blockedUrls.size,
+      threatLists: this.threatLists.length,
+      threatPrefixes: this.threatLists.reduce((total, list) => total + list.size, 0),
+      hstsHosts: this.hsts.size,
+      certificatesSeen: this.certificates.size,
+      certificateExceptions: this.certificateExceptions.size,
+      status: 'active'
+    };
+  }
+
+  save() {
+    this.store.scheduleWrite({
+      version: 1,
+      hsts: Array.from(this.hsts, ([host, entry]) => ({ host, ...entry }))
+    });
+  }
+
+  async shutdown() {
+    for (const timer of this.notifyTimers.values()) clearTimeout(timer);
+    this.notifyTimers.clear();
+    await this.store.flush();
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  static parseHsts(header) {
+    const directives = String(header).split(';').map(part => part.trim().toLowerCase());
+    const maxAge = directives.find(part => part.startsWith('max-age='));
+    if (!maxAge) return null;
+
+    const seconds = parseInt(maxAge.slice(8).replace(/"/g, ''), 10);
+    if (!Number.isFinite(seconds) || seconds < 0) return null;
+    return { maxAge: seconds, includeSubDomains: directives.includes('includesubdomains') };
+  }
+
+  static getHeader(headers, name) {
+    if (!headers) return null;
+    for (const [key, value] of Object.entries(headers)) {
+      if (key.toLowerCase() === name) return Array.isArray(value) ? value[0] : value;
+    }
+    return null;
+  }
+
+  static describeCertificate(certificate) {
+    if (!certificate) return null;
+
+    const chain = [];
+    for (let cert = certificate; cert && chain.length < 10; cert = cert.issuerCert) {
+      chain.push({
+        subjectName: cert.subjectName,
+        issuerName: cert.issuerName,
+        fingerprint: cert.fingerprint
+      });
+      if (cert.issuerCert === cert) break;
+    }
+
+    return {
+      subjectName: certificate.subjectName,
+      issuerName: certificate.issuerName,
+      organization: certificate.subject?.organizations?.[0] || null,
+      serialNumber: certificate.serialNumber,
+      validStart: certificate.validStart ? certificate.validStart * 1000 : null,
+      validExpiry: certificate.validExpiry ? certificate.validExpiry * 1000 : null,
+      fingerprint: certificate.fingerprint,
+      chain
+    };
+  }
+
+  static getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase() || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export { SecurityManager };
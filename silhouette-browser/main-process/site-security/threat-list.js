@@ -0,0 +1,154 @@
+// =============================================================================
+// THREAT LIST - LISTAS LOCALES DE PHISHING Y MALWARE POR PREFIJO DE HASH
+// Formato de texto plano actualizable sin conexión:
+//
+//   # Title: Phishing conocido
+//   # Type: phishing            (phishing | malware | unwanted)
+//   9f86d081                    prefijo hex del SHA-256 de una expresión
+//   e3b0c44298fc1c14...         (8 a 64 caracteres; 64 = hash completo)
+//
+// Las expresiones siguen el esquema de Safe Browsing: combinaciones de sufijos
+// del host y prefijos de la ruta ("login.banco-falso.com/cuenta/").
+// =============================================================================
+
+import { createHash } from 'crypto';
+
+const THREAT_TYPES = ['phishing', 'malware', 'unwanted'];
+const MIN_PREFIX_LENGTH = 8;
+const MAX_HOST_SUFFIXES = 4;
+const MAX_PATH_PREFIXES = 4;
+
+class ThreatList {
+  constructor({ id, title, type } = {}) {
+    this.id = id || null;
+    this.title = title || id || 'Lista de amenazas';
+    this.type = THREAT_TYPES.includes(type) ? type : 'malware';
+    this.prefixes = new Map(); // longitud -> Set de prefijos
+    this.size = 0;
+    this.skipped = 0;
+  }
+
+  // =============================================================================
+  // CARGA
+  // =============================================================================
+
+  static parse(text, options = {}) {
+    const list = new ThreatList(options);
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (line.startsWith('#')) {
+        const header = line.match(/^#\s*(Title|Type):\s*(.+)$/i);
+        if (header?.[1].toLowerCase() === 'title') list.title = header[2].trim();
+        if (header?.[1].toLowerCase() === 'type' && THREAT_TYPES.includes(header[2].trim().toLowerCase())) {
+          list.type = header[2].trim().toLowerCase();
+        }
+        continue;
+      }
+
+      list.addPrefix(line);
+    }
+
+    return list;
+  }
+
+  addPrefix(value) {
+    const prefix = value.toLowerCase();
+    if (!/^[0-9a-f]+$/.test(prefix) || prefix.length < MIN_PREFIX_LENGTH || prefix.length > 64) {
+      this.skipped++;
+      return false;
+    }
+
+    if (!this.prefixes.has(prefix.length)) this.prefixes.set(prefix.length, new Set());
+    const bucket = this.prefixes.get(prefix.length);
+    if (!bucket.has(prefix)) {
+      bucket.add(prefix);
+      this.size++;
+    }
+    return true;
+  }
+
+  // =============================================================================
+  // CONSULTA
+  // =============================================================================
+
+  // hashes: resultado de ThreatList.hashesFor(url), calculado una vez por URL
+  match(hashes) {
+    for (const { expression, hash } of hashes) {
+      for (const [length, bucket] of this.prefixes) {
+        if (bucket.has(hash.slice(0, length))) {
+          return { type: this.type, list: this.title, expression };
+        }
+      }
+    }
+    return null;
+  }
+
+  static hashesFor(url) {
+    return ThreatList.expressionsFor(url).map(expression => ({
+      expression,
+      hash: ThreatList.hash(expression)
+    }));
+  }
+
+  static hash(expression) {
+    return createHash('sha256').update(expression).digest('hex');
+  }
+
+  // =============================================================================
+  // CANONICALIZACIÓN
+  // =============================================================================
+
+  static expressionsFor(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return [];
+    }
+    if (!/^https?:$/.test(parsed.protocol) || !parsed.hostname) return [];
+
+    const host = parsed.hostname.toLowerCase().replace(/\.+/g, '.').replace(/^\.|\.$/g, '');
+    const expressions = [];
+    for (const hostSuffix of ThreatList.hostSuffixes(host)) {
+      for (const pathPrefix of ThreatList.pathPrefixes(parsed.pathname, parsed.search)) {
+        expressions.push(hostSuffix + pathPrefix);
+      }
+    }
+    return expressions;
+  }
+
+  // El host exacto y hasta cuatro sufijos formados con sus últimos cinco componentes
+  static hostSuffixes(host) {
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return [host];
+
+    const labels = host.split('.');
+    const suffixes = [host];
+    const start = Math.max(1, labels.length - 5);
+    for (let i = start; i <= labels.length - 2 && suffixes.length <= MAX_HOST_SUFFIXES; i++) {
+      suffixes.push(labels.slice(i).join('.'));
+    }
+    return suffixes;
+  }
+
+  // Ruta completa con y sin query, la raíz y los primeros directorios
+  static pathPrefixes(pathname, search) {
+    const path = pathname || '/';
+    const prefixes = new Set();
+    if (search) prefixes.add(path + search);
+    prefixes.add(path);
+    prefixes.add('/');
+
+    const segments = path.split('/').filter(Boolean);
+    let current = '/';
+    for (let i = 0; i < segments.length - 1 && i < MAX_PATH_PREFIXES - 1; i++) {
+      current += `${segments[i]}/`;
+      prefixes.add(current);
+    }
+    return Array.from(prefixes);
+  }
+}
+
+export { ThreatList, THREAT_TYPES };
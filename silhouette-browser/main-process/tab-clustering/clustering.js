@@ -0,0 +1,84 @@
+// =============================================================================
+// CLUSTERING - AGRUPAMIENTO JERÁRQUICO AGLOMERATIVO
+// Enlace medio sobre la matriz de similitudes: se fusionan los dos clusters
+// más parecidos mientras superen el umbral. Los clusters menores que
+// minClusterSize se tratan como ruido (pestañas que no encajan en ningún tema)
+// =============================================================================
+
+function similarityMatrix(vectors, similarity) {
+  const size = vectors.length;
+  const matrix = Array.from({ length: size }, () => new Float64Array(size));
+  for (let i = 0; i < size; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < size; j++) {
+      matrix[i][j] = matrix[j][i] = similarity(vectors[i], vectors[j]);
+    }
+  }
+  return matrix;
+}
+
+// Devuelve { clusters: [[índices]], noise: [índices] }
+function agglomerativeClustering(matrix, { threshold, minClusterSize = 2 } = {}) {
+  // Similitud media entre clusters, actualizada con Lance-Williams
+  let clusters = matrix.map((row, index) => ({ members: [index], links: new Map() }));
+  for (let i = 0; i < clusters.length; i++) {
+    for (let j = 0; j < clusters.length; j++) {
+      if (i !== j) clusters[i].links.set(clusters[j], matrix[i][j]);
+    }
+  }
+
+  while (clusters.length > 1) {
+    let best = null;
+    let bestSimilarity = -Infinity;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const value = clusters[i].links.get(clusters[j]);
+        if (value > bestSimilarity) {
+          bestSimilarity = value;
+          best = [clusters[i], clusters[j]];
+        }
+      }
+    }
+    if (bestSimilarity < threshold) break;
+
+    const [a, b] = best;
+    const merged = { members: [...a.members, ...b.members], links: new Map() };
+    clusters = clusters.filter(cluster => cluster !== a && cluster !== b);
+    for (const other of clusters) {
+      const value = (a.members.length * a.links.get(other) + b.members.length * b.links.get(other)) /
+        (a.members.length + b.members.length);
+      other.links.delete(a);
+      other.links.delete(b);
+      other.links.set(merged, value);
+      merged.links.set(other, value);
+    }
+    clusters.push(merged);
+  }
+
+  const result = { clusters: [], noise: [] };
+  for (const cluster of clusters) {
+    if (cluster.members.length >= minClusterSize) {
+      result.clusters.push(cluster.members.sort((x, y) => x - y));
+    } else {
+      result.noise.push(...cluster.members);
+    }
+  }
+  result.clusters.sort((x, y) => y.length - x.length || x[0] - y[0]);
+  return result;
+}
+
+// Similitud media entre los miembros del cluster (1 para un solo miembro)
+function cohesion(matrix, members) {
+  if (members.length < 2) return 1;
+  let sum = 0;
+  let pairs = 0;
+  for (let i = 0; i < members.length; i++) {
+    for (let j = i + 1; j < members.length; j++) {
+      sum += matrix[members[i]][members[j]];
+      pairs++;
+    }
+  }
+  return sum / pairs;
+}
+
+export { similarityMatrix, agglomerativeClustering, cohesion };
@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals';
+import { similarityMatrix, agglomerativeClustering, cohesion } from './clustering.js';
+
+// Similitudes fijas: {0,1,2} muy parecidos, {3,4} parecidos, 5 aislado
+const SIMILARITIES = [
+  [1, 0.9, 0.8, 0.1, 0.1, 0],
+  [0.9, 1, 0.85, 0.1, 0.2, 0],
+  [0.8, 0.85, 1, 0.15, 0.1, 0.05],
+  [0.1, 0.1, 0.15, 1, 0.7, 0],
+  [0.1, 0.2, 0.1, 0.7, 1, 0.1],
+  [0, 0, 0.05, 0, 0.1, 1]
+];
+
+describe('similarityMatrix', () => {
+  test('simétrica, con unos en la diagonal y una comparación por par', () => {
+    let calls = 0;
+    const matrix = similarityMatrix([1, 2, 4], (a, b) => {
+      calls++;
+      return a / b;
+    });
+    expect(calls).toBe(3);
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[0][2]).toBe(0.25);
+    expect(matrix[2][0]).toBe(0.25);
+  });
+});
+
+describe('agglomerativeClustering', () => {
+  test('fusiona mientras la similitud media supera el umbral y deja el resto como ruido', () => {
+    const result = agglomerativeClustering(SIMILARITIES, { threshold: 0.5 });
+    expect(result.clusters).toEqual([[0, 1, 2], [3, 4]]);
+    expect(result.noise).toEqual([5]);
+  });
+
+  test('con un umbral bajo todo acaba en un grupo', () => {
+    const result = agglomerativeClustering(SIMILARITIES, { threshold: 0 });
+    expect(result.clusters).toEqual([[0, 1, 2, 3, 4, 5]]);
+    expect(result.noise).toEqual([]);
+  });
+
+  test('los grupos menores que minClusterSize son ruido', () => {
+    const result = agglomerativeClustering(SIMILARITIES, { threshold: 0.5, minClusterSize: 3 });
+    expect(result.clusters).toEqual([[0, 1, 2]]);
+    expect(result.noise.sort()).toEqual([3, 4, 5]);
+  });
+
+  test('usa enlace medio: un miembro lejano impide la fusión', () => {
+    // 2 se parece mucho a 0 pero nada a 1: la media con {0,1} queda bajo el umbral
+    const matrix = [
+      [1, 0.9, 0.8],
+      [0.9, 1, 0],
+      [0.8, 0, 1]
+    ];
+    expect(agglomerativeClustering(matrix, { threshold: 0.5 })).toEqual({ clusters: [[0, 1]], noise: [2] });
+  });
+});
+
+describe('cohesion', () => {
+  test('media de las similitudes entre miembros', () => {
+    expect(cohesion(SIMILARITIES, [3, 4])).toBeCloseTo(0.7);
+    expect(cohesion(SIMILARITIES, [0, 1, 2])).toBeCloseTo((0.9 + 0.8 + 0.85) / 3);
+    expect(cohesion(SIMILARITIES, [5])).toBe(1);
+  });
+});
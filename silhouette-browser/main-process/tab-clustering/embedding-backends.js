@@ -0,0 +1,226 @@
+// =============================================================================
+// EMBEDDING BACKENDS - REPRESENTACIÓN VECTORIAL DE LAS PESTAÑAS
+// Por defecto TF-IDF + MinHash calculados en local (sin red ni modelos);
+// opcionalmente adaptadores para proveedores de embeddings compatibles con
+// OpenAI o un servidor Ollama. Todos exponen embed(texts) y similarity(a, b)
+// =============================================================================
+
+import { tokenize } from './text-features.js';
+
+const MINHASH_PERMUTATIONS = 64;
+const MINHASH_WEIGHT = 0.25;
+const PROVIDER_TIMEOUT = 20000;
+const MAX_PROVIDER_INPUT = 8000;
+
+// =============================================================================
+// BACKEND LOCAL: TF-IDF + MINHASH
+// =============================================================================
+
+class LocalEmbeddingBackend {
+  constructor() {
+    this.name = 'local';
+    // TF-IDF disperso da similitudes bajas entre documentos del mismo tema
+    this.defaultThreshold = 0.12;
+    this.seeds = Array.from({ length: MINHASH_PERMUTATIONS }, (_, index) => (index + 1) * 0x9e3779b1 >>> 0);
+  }
+
+  async embed(texts) {
+    return this.vectorize(texts);
+  }
+
+  // Síncrono: también se usa para nombrar los grupos con cualquier backend
+  vectorize(texts, surfaces = null) {
+    const documents = texts.map(text => tokenize(text, surfaces));
+    const documentFrequency = new Map();
+    for (const tokens of documents) {
+      for (const token of new Set(tokens)) {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+    }
+
+    const total = documents.length;
+    return documents.map(tokens => {
+      const counts = new Map();
+      for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+
+      // tf sublineal e idf suavizado; los términos presentes en todas las
+      // pestañas siguen contando un poco para lotes pequeños
+      const weights = new Map();
+      let norm = 0;
+      for (const [token, count] of counts) {
+        const idf = Math.log((1 + total) / (1 + documentFrequency.get(token))) + 1;
+        const weight = (1 + Math.log(count)) * idf;
+        weights.set(token, weight);
+        norm += weight * weight;
+      }
+      norm = Math.sqrt(norm) || 1;
+      for (const [token, weight] of weights) weights.set(token, weight / norm);
+
+      return { type: 'sparse', weights, minhash: this.minhash(counts.keys()) };
+    });
+  }
+
+  similarity(a, b) {
+    const [small, large] = a.weights.size <= b.weights.size ? [a.weights, b.weights] : [b.weights, a.weights];
+    let cosine = 0;
+    for (const [token, weight] of small) {
+      const other = large.get(token);
+      if (other) cosine += weight * other;
+    }
+    return (1 - MINHASH_WEIGHT) * cosine + MINHASH_WEIGHT * this.estimateJaccard(a.minhash, b.minhash);
+  }
+
+  minhash(tokens) {
+    const signature = new Uint32Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+    let empty = true;
+    for (const token of tokens) {
+      empty = false;
+      const base = fnv1a(token);
+      for (let index = 0; index < MINHASH_PERMUTATIONS; index++) {
+        const value = mix(base ^ this.seeds[index]);
+        if (value < signature[index]) signature[index] = value;
+      }
+    }
+    return empty ? null : signature;
+  }
+
+  estimateJaccard(a, b) {
+    if (!a || !b) return 0;
+    let equal = 0;
+    for (let index = 0; index < a.length; index++) {
+      if (a[index] === b[index]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  describe() {
+    return { backend: this.name };
+  }
+}
+
+// =============================================================================
+// ADAPTADORES DE PROVEEDORES
+// =============================================================================
+
+class DenseEmbeddingBackend {
+  constructor(options = {}) {
+    this.model = options.model;
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.timeout = options.timeout || PROVIDER_TIMEOUT;
+    this.batchSize = options.batchSize || 32;
+    // Los embeddings densos separan mejor los temas: umbral más alto
+    this.defaultThreshold = 0.55;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      const batch = texts.slice(start, start + this.batchSize).map(text => text.slice(0, MAX_PROVIDER_INPUT));
+      vectors.push(...await this.request(batch));
+    }
+    return vectors.map(values => ({ type: 'dense', values: normalize(values) }));
+  }
+
+  similarity(a, b) {
+    let dot = 0;
+    for (let index = 0; index < a.values.length; index++) dot += a.values[index] * b.values[index];
+    return dot;
+  }
+
+  async post(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name}: HTTP ${response.status} ${await response.text().catch(() => '')}`.trim());
+    }
+    return await response.json();
+  }
+
+  describe() {
+    return { backend: this.name, model: this.model, baseUrl: this.baseUrl };
+  }
+}
+
+// API /embeddings de OpenAI y servidores compatibles (LM Studio, vLLM, LocalAI...)
+class OpenAIEmbeddingBackend extends DenseEmbeddingBackend {
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || 'text-embedding-3-small',
+      baseUrl: options.baseUrl || 'https://api.openai.com/v1'
+    });
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+  }
+
+  async request(input) {
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const result = await this.post(`${this.baseUrl}/embeddings`, { model: this.model, input }, headers);
+    return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+class OllamaEmbeddingBackend extends DenseEmbeddingBackend {
+  constructor(options = {}) {
+    super({
+      ...options,
+      model: options.model || 'nomic-embed-text',
+      baseUrl: options.baseUrl || 'http://localhost:11434'
+    });
+    this.name = 'ollama';
+  }
+
+  async request(input) {
+    const result = await this.post(`${this.baseUrl}/api/embed`, { model: this.model, input });
+    return result.embeddings;
+  }
+}
+
+const EMBEDDING_BACKENDS = {
+  local: LocalEmbeddingBackend,
+  openai: OpenAIEmbeddingBackend,
+  ollama: OllamaEmbeddingBackend
+};
+
+function createEmbeddingBackend(config = {}) {
+  const Backend = EMBEDDING_BACKENDS[config.backend || 'local'];
+  if (!Backend) {
+    throw new Error(`Backend de embeddings desconocido: ${config.backend}`);
+  }
+  return new Backend(config);
+}
+
+// =============================================================================
+// UTILIDADES
+// =============================================================================
+
+function normalize(values) {
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float64Array.from(values, value => value / norm);
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Finalizador de murmur3: dispersa bien valores de 32 bits
+function mix(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+export { LocalEmbeddingBackend, OpenAIEmbeddingBackend, OllamaEmbeddingBackend, EMBEDDING_BACKENDS, createEmbeddingBackend };
@@ -0,0 +1,62 @@
+import { describe, test, expect } from '@jest/globals';
+import { LocalEmbeddingBackend, createEmbeddingBackend } from './embedding-backends.js';
+import { tokenize, hostTokens, composeDocument } from './text-features.js';
+
+describe('text-features', () => {
+  test('tokenize quita acentos, palabras vacías, números y palabras cortas', () => {
+    const surfaces = new Map();
+    expect(tokenize('La Programación en JavaScript para el 2024 con tests', surfaces))
+      .toEqual(['programacion', 'javascript', 'tests']);
+    expect(surfaces.get('programacion')).toBe('programación');
+  });
+
+  test('hostTokens toma las partes significativas del dominio', () => {
+    expect(hostTokens('https://docs.python.org/3/')).toEqual(['docs', 'python']);
+    expect(hostTokens('no es una url')).toEqual([]);
+  });
+
+  test('composeDocument refuerza el título', () => {
+    const document = composeDocument({ title: 'Recetas', url: 'https://cocina.es', text: 'paella' });
+    expect(tokenize(document).filter(token => token === 'recetas')).toHaveLength(3);
+    expect(tokenize(document)).toContain('cocina');
+  });
+});
+
+describe('LocalEmbeddingBackend', () => {
+  const backend = new LocalEmbeddingBackend();
+  const texts = [
+    'javascript node npm modules javascript async',
+    'javascript react components hooks npm',
+    'paella arroz receta cocina valenciana',
+    'receta tortilla cocina huevos patatas'
+  ];
+
+  test('vectores TF-IDF normalizados con firma MinHash', async () => {
+    const vectors = await backend.embed(texts);
+    expect(vectors).toHaveLength(4);
+    const norm = Math.sqrt(Array.from(vectors[0].weights.values()).reduce((sum, weight) => sum + weight * weight, 0));
+    expect(norm).toBeCloseTo(1);
+    expect(vectors[0].minhash).toHaveLength(64);
+  });
+
+  test('documentos del mismo tema se parecen más que los de temas distintos', async () => {
+    const [js1, js2, food1, food2] = await backend.embed(texts);
+    expect(backend.similarity(js1, js2)).toBeGreaterThan(backend.similarity(js1, food1));
+    expect(backend.similarity(food1, food2)).toBeGreaterThan(backend.similarity(food2, js2));
+    expect(backend.similarity(js1, js1)).toBeCloseTo(1);
+  });
+
+  test('un documento sin términos no tiene firma ni parecido', async () => {
+    const [empty, other] = await backend.embed(['de la el', texts[0]]);
+    expect(empty.minhash).toBeNull();
+    expect(backend.similarity(empty, other)).toBe(0);
+  });
+});
+
+describe('createEmbeddingBackend', () => {
+  test('crea el backend pedido y rechaza los desconocidos', () => {
+    expect(createEmbeddingBackend().name).toBe('local');
+    expect(createEmbeddingBackend({ backend: 'ollama', model: 'nomic-embed-text' }).defaultThreshold).toBeGreaterThan(0.12);
+    expect(() => createEmbeddingBackend({ backend: 'nada' })).toThrow('Backend de embeddings desconocido');
+  });
+});
@@ -0,0 +1,228 @@
+// =============================================================================
+// TAB CLUSTERER - AGRUPACIÓN SEMÁNTICA DE PESTAÑAS
+// Calcula embeddings con el backend configurado, asigna pestañas a grupos
+// automáticos existentes, agrupa el resto y nombra cada cluster a partir de
+// los términos con más peso en su centroide TF-IDF
+// =============================================================================
+
+import { PersistentStore } from '../persistence/persistent-store.js';
+import { LocalEmbeddingBackend, EMBEDDING_BACKENDS, createEmbeddingBackend } from './embedding-backends.js';
+import { similarityMatrix, agglomerativeClustering, cohesion } from './clustering.js';
+import { tokenize, composeDocument } from './text-features.js';
+
+const DEFAULT_SETTINGS = {
+  backend: 'local',
+  model: null,
+  baseUrl: null,
+  threshold: null,          // null = umbral por defecto del backend
+  minClusterSize: 2
+};
+
+class TabClusterer {
+  constructor() {
+    this.store = new PersistentStore('tab-clustering');
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.local = new LocalEmbeddingBackend();
+    this.backend = this.local;
+    this.apiKey = null;       // Solo en memoria: nunca se escribe a disco
+  }
+
+  async initialize() {
+    const saved = await this.store.read({});
+    if (saved?.settings) {
+      try {
+        this.configure(saved.settings, { persist: false });
+      } catch (error) {
+        console.warn('⚠️ Configuración de agrupación inválida, usando TF-IDF local:', error.message);
+      }
+    }
+  }
+
+  // =============================================================================
+  // CONFIGURACIÓN
+  // =============================================================================
+
+  configure(changes = {}, { persist = true } = {}) {
+    const next = { ...this.settings };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (key in changes) next[key] = changes[key] ?? DEFAULT_SETTINGS[key];
+    }
+
+    if (!EMBEDDING_BACKENDS[next.backend]) {
+      throw new Error(`Backend de embeddings desconocido: ${next.backend}`);
+    }
+    if (next.threshold !== null && !(next.threshold > 0 && next.threshold < 1)) {
+      throw new Error('El umbral de similitud debe estar entre 0 y 1');
+    }
+    if (!Number.isInteger(next.minClusterSize) || next.minClusterSize < 2) {
+      throw new Error('El tamaño mínimo de grupo debe ser un entero mayor o igual que 2');
+    }
+    if ('apiKey' in changes) {
+      this.apiKey = changes.apiKey || null;
+    }
+
+    this.backend = next.backend === 'local'
+      ? this.local
+      : createEmbeddingBackend({
+        backend: next.backend,
+        model: next.model,
+        baseUrl: next.baseUrl,
+        apiKey: this.apiKey
+      });
+    this.settings = next;
+
+    if (persist) {
+      this.store.scheduleWrite({ version: 1, settings: this.settings });
+      console.log(`🧠 Agrupación semántica con backend ${next.backend}`);
+    }
+    return this.getSettings();
+  }
+
+  getSettings() {
+    return {
+      ...this.settings,
+      ...this.backend.describe(),
+      effectiveThreshold: this.settings.threshold ?? this.backend.defaultThreshold,
+      hasApiKey: !!(this.apiKey || this.backend.apiKey),
+      backends: Object.keys(EMBEDDING_BACKENDS)
+    };
+  }
+
+  // =============================================================================
+  // AGRUPAMIENTO
+  // =============================================================================
+
+  // documents: [{ id, title, url, headings, text }] sin grupo
+  // groups: [{ id, documents }] grupos automáticos a los que se pueden sumar
+  async cluster(documents, { groups = [] } = {}) {
+    if (documents.length === 0) {
+      return { clusters: [], assignments: [], noise: [], backend: this.backend.name };
+    }
+
+    const members = groups.flatMap(group => group.documents.map(document => ({ document, groupId: group.id })));
+    const texts = [...documents, ...members.map(member => member.document)].map(composeDocument);
+    const { vectors, backend } = await this.embed(texts);
+    const threshold = this.settings.threshold ?? backend.defaultThreshold;
+    const matrix = similarityMatrix(vectors, (a, b) => backend.similarity(a, b));
+
+    // Los nombres salen siempre del TF-IDF local, también con embeddings densos
+    const surfaces = new Map();
+    texts.forEach(text => tokenize(text, surfaces));
+    const termVectors = backend === this.local ? vectors : this.local.vectorize(texts);
+
+    // 1. Pestañas que encajan en un grupo existente (similitud media con sus miembros)
+    const assignments = [];
+    const pending = [];
+    documents.forEach((document, index) => {
+      let best = null;
+      for (const group of groups) {
+        const indices = members
+          .map((member, offset) => member.groupId === group.id ? documents.length + offset : -1)
+          .filter(offset => offset >= 0);
+        if (indices.length === 0) continue;
+        const similarity = indices.reduce((sum, offset) => sum + matrix[index][offset], 0) / indices.length;
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { id: document.id, groupId: group.id, similarity: round(similarity) };
+        }
+      }
+      if (best) {
+        assignments.push(best);
+      } else {
+        pending.push(index);
+      }
+    });
+
+    // 2. Agrupamiento aglomerativo del resto
+    const subMatrix = pending.map(i => pending.map(j => matrix[i][j]));
+    const result = agglomerativeClustering(subMatrix, { threshold, minClusterSize: this.settings.minClusterSize });
+    const clusters = result.clusters.map(localMembers => {
+      const indices = localMembers.map(position => pending[position]);
+      const terms = this.centroidTerms(indices.map(index => termVectors[index]));
+      return {
+        members: indices.map(index => documents[index].id),
+        name: this.nameFromTerms(terms, surfaces),
+        keywords: terms.slice(0, 8).map(term => surfaces.get(term) || term),
+        cohesion: round(cohesion(matrix, indices))
+      };
+    });
+
+    return {
+      clusters,
+      assignments,
+      noise: result.noise.map(position => documents[pending[position]].id),
+      backend: backend.name,
+      threshold
+    };
+  }
+
+  // Nombre, palabras clave y cohesión de un conjunto de pestañas ya decidido
+  summarize(documents) {
+    const surfaces = new Map();
+    const vectors = this.local.vectorize(documents.map(composeDocument), surfaces);
+    const terms = this.centroidTerms(vectors);
+    const matrix = similarityMatrix(vectors, (a, b) => this.local.similarity(a, b));
+    return {
+      name: this.nameFromTerms(terms, surfaces),
+      keywords: terms.slice(0, 8).map(term => surfaces.get(term) || term),
+      cohesion: round(cohesion(matrix, vectors.map((vector, index) => index)))
+    };
+  }
+
+  async embed(texts) {
+    if (this.backend !== this.local) {
+      try {
+        return { vectors: await this.backend.embed(texts), backend: this.backend };
+      } catch (error) {
+        console.warn(`⚠️ Backend de embeddings ${this.backend.name} no disponible, usando TF-IDF local:`, error.message);
+      }
+    }
+    return { vectors: this.local.vectorize(texts), backend: this.local };
+  }
+
+  // =============================================================================
+  // NOMBRES DE GRUPO
+  // =============================================================================
+
+  // Términos con más peso en el centroide; se premian los que comparten
+  // varios miembros para que el nombre describa al grupo y no a una pestaña
+  centroidTerms(vectors, limit = 12) {
+    const weights = new Map();
+    const coverage = new Map();
+    for (const vector of vectors) {
+      for (const [term, weight] of vector.weights) {
+        weights.set(term, (weights.get(term) || 0) + weight / vectors.length);
+        coverage.set(term, (coverage.get(term) || 0) + 1);
+      }
+    }
+    return Array.from(weights)
+      .map(([term, weight]) => [term, weight * (coverage.get(term) / vectors.length)])
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([term]) => term);
+  }
+
+  nameFromTerms(terms, surfaces = new Map()) {
+    const picked = [];
+    for (const term of terms) {
+      if (picked.some(other => other.includes(term) || term.includes(other))) continue;
+      picked.push(term);
+      if (picked.length === 2) break;
+    }
+    if (picked.length === 0) return 'Pestañas relacionadas';
+
+    return picked
+      .map(term => surfaces.get(term) || term)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' · ');
+  }
+
+  async shutdown() {
+    await this.store.flush();
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export { TabClusterer };
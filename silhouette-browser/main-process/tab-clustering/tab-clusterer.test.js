@@ -0,0 +1,62 @@
+import { describe, test, expect, jest, beforeAll } from '@jest/globals';
+
+// PersistentStore importa electron: fuera de Electron basta con un app sin rutas
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { TabClusterer } = await import('./tab-clusterer.js');
+
+const tab = (id, title, text, url = `https://example${id}.com/`) => ({ id, title, url, headings: '', text });
+
+describe('TabClusterer', () => {
+  let clusterer;
+  beforeAll(() => {
+    clusterer = new TabClusterer();
+  });
+
+  test('agrupa por tema, deja el ruido aparte y nombra con los términos del centroide', async () => {
+    const result = await clusterer.cluster([
+      tab(1, 'Guía de JavaScript', 'javascript funciones promesas javascript async await'),
+      tab(2, 'JavaScript moderno', 'javascript módulos promesas clases javascript'),
+      tab(3, 'Recetas de paella', 'paella arroz azafrán receta valenciana paella'),
+      tab(4, 'Paella de marisco', 'paella marisco arroz receta paella gambas'),
+      tab(5, 'Tiempo en Madrid', 'lluvia nubes temperatura viento')
+    ]);
+
+    expect(result.backend).toBe('local');
+    expect(result.clusters.map(cluster => cluster.members.sort())).toEqual(expect.arrayContaining([[1, 2], [3, 4]]));
+    expect(result.noise).toEqual([5]);
+    const names = result.clusters.map(cluster => cluster.name);
+    expect(names.some(name => name.startsWith('Javascript'))).toBe(true);
+    expect(names.some(name => name.startsWith('Paella'))).toBe(true);
+    for (const cluster of result.clusters) {
+      expect(cluster.cohesion).toBeGreaterThan(0);
+      expect(cluster.keywords.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('suma pestañas a un grupo automático existente si se parecen a sus miembros', async () => {
+    const result = await clusterer.cluster([
+      tab(10, 'Paella valenciana', 'paella arroz receta valenciana')
+    ], {
+      groups: [
+        { id: 'cocina', documents: [tab(3, 'Recetas de paella', 'paella arroz receta'), tab(4, 'Paella de marisco', 'paella marisco arroz receta')] },
+        { id: 'js', documents: [tab(1, 'JavaScript', 'javascript promesas async')] }
+      ]
+    });
+    expect(result.assignments).toEqual([expect.objectContaining({ id: 10, groupId: 'cocina' })]);
+    expect(result.clusters).toEqual([]);
+  });
+
+  test('nameFromTerms evita términos solapados y usa la forma original', () => {
+    const surfaces = new Map([['programacion', 'programación']]);
+    expect(clusterer.nameFromTerms(['programacion', 'programa', 'python'], surfaces)).toBe('Programación · Python');
+    expect(clusterer.nameFromTerms([])).toBe('Pestañas relacionadas');
+  });
+
+  test('configure valida backend, umbral y tamaño mínimo', () => {
+    expect(() => clusterer.configure({ backend: 'nada' }, { persist: false })).toThrow('desconocido');
+    expect(() => clusterer.configure({ threshold: 1.5 }, { persist: false })).toThrow('umbral');
+    expect(() => clusterer.configure({ minClusterSize: 1 }, { persist: false })).toThrow('tamaño mínimo');
+    expect(clusterer.configure({ threshold: 0.3 }, { persist: false }).effectiveThreshold).toBe(0.3);
+    clusterer.configure({ threshold: null }, { persist: false });
+  });
+});
@@ -0,0 +1,60 @@
+// =============================================================================
+// TEXT FEATURES - TOKENIZACIÓN PARA EMBEDDINGS LOCALES
+// Normaliza el texto de las pestañas (minúsculas, sin acentos ni palabras
+// vacías) y compone el documento que representa a cada pestaña
+// =============================================================================
+
+const STOPWORDS = new Set([
+  // Español
+  'al', 'algo', 'algunas', 'algunos', 'ante', 'antes', 'como', 'con', 'contra', 'cual', 'cuando', 'del', 'desde',
+  'donde', 'durante', 'ella', 'ellas', 'ellos', 'entre', 'era', 'eres', 'esa', 'esas', 'ese', 'eso', 'esos', 'esta',
+  'estas', 'este', 'esto', 'estos', 'fue', 'fueron', 'hay', 'hasta', 'las', 'les', 'los', 'mas', 'mis', 'mucho',
+  'muy', 'nada', 'nos', 'nosotros', 'otra', 'otras', 'otro', 'otros', 'para', 'pero', 'poco', 'por', 'porque',
+  'que', 'quien', 'sea', 'ser', 'sin', 'sobre', 'son', 'sus', 'tambien', 'tanto', 'tiene', 'todo', 'todos', 'tus',
+  'una', 'uno', 'unos', 'unas', 'usted', 'ver', 'vez', 'puede', 'pueden', 'aqui', 'cada', 'dos', 'han', 'ha',
+  // Inglés
+  'about', 'after', 'all', 'also', 'and', 'any', 'are', 'because', 'been', 'before', 'being', 'but', 'can', 'could',
+  'did', 'does', 'each', 'for', 'from', 'had', 'has', 'have', 'her', 'here', 'his', 'how', 'into', 'its', 'just',
+  'more', 'most', 'not', 'now', 'one', 'only', 'other', 'our', 'out', 'over', 'she', 'should', 'some', 'such',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'too',
+  'under', 'use', 'used', 'using', 'very', 'was', 'way', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your', 'get', 'new', 'see', 'may', 'like', 'make',
+  // Ruido habitual de páginas web
+  'www', 'http', 'https', 'com', 'org', 'net', 'html', 'php', 'index', 'page', 'pagina', 'home', 'inicio',
+  'login', 'menu', 'cookie', 'cookies', 'privacy', 'privacidad', 'copyright', 'rights', 'reserved'
+]);
+
+function normalizeToken(token) {
+  return token.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// surfaces (opcional) recoge la forma original de cada token para mostrarla
+function tokenize(text, surfaces = null) {
+  const tokens = [];
+  for (const raw of String(text || '').split(/[^\p{L}\p{N}]+/u)) {
+    if (raw.length < 3 || raw.length > 40) continue;
+    if (/^\d+$/.test(raw)) continue;
+    const token = normalizeToken(raw);
+    if (STOPWORDS.has(token)) continue;
+    tokens.push(token);
+    if (surfaces && !surfaces.has(token)) surfaces.set(token, raw.toLowerCase());
+  }
+  return tokens;
+}
+
+// Partes significativas del dominio: "docs.python.org" -> ["docs", "python"]
+function hostTokens(url) {
+  try {
+    const { hostname } = new URL(url);
+    return tokenize(hostname.replace(/\.[a-z]{2,}$/i, '').replace(/^www\./, ''));
+  } catch {
+    return [];
+  }
+}
+
+// Texto de la pestaña con el título y los encabezados reforzados
+function composeDocument({ title = '', url = '', headings = '', text = '' }) {
+  return [title, title, title, headings, headings, hostTokens(url).join(' '), text].join(' ');
+}
+
+export { tokenize, hostTokens, composeDocument };
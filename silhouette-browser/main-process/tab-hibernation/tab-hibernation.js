@@ -0,0 +1,360 @@
+// =============================================================================
+// TAB HIBERNATION - SUSPENSIÓN DE PESTAÑAS INACTIVAS
+// Descarta el BrowserView de las pestañas que llevan tiempo sin usarse o cuando
+// la memoria de las pestañas supera el presupuesto. La pestaña sigue en la tira
+// con su URL, título, favicon, historial y scroll, y se rehidrata al volver a ella
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { PersistentStore } from '../persistence/persistent-store.js';
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  memoryBudgetMB: 2048,     // 0 = sin presupuesto de memoria
+  idleMinutes: 30,          // 0 = sin descarte por inactividad
+  checkIntervalSeconds: 60
+};
+
+// Con presión de memoria tampoco se descartan las pestañas usadas hace nada
+const MIN_IDLE_MS = 60 * 1000;
+const PROBE_TIMEOUT_MS = 1000;
+
+// Formularios con cambios sin enviar: algún campo distinto de su valor inicial
+const FORM_DIRTY_SCRIPT = `(() => {
+  for (const field of document.querySelectorAll('input, textarea, select')) {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      if (field.checked !== field.defaultChecked) return true;
+    } else if (field.tagName === 'SELECT') {
+      const defaults = Array.from(field.options).map(option => option.defaultSelected);
+      if (!field.multiple && !defaults.includes(true)) defaults[0] = true;
+      if (Array.from(field.options).some((option, index) => option.selected !== defaults[index])) return true;
+    } else if (!['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type) && field.value !== field.defaultValue) {
+      return true;
+    }
+  }
+  return false;
+})()`;
+
+class TabHibernation extends EventEmitter {
+  constructor(browserCore) {
+    super();
+    this.browserCore = browserCore;
+    this.store = new PersistentStore('hibernation', { subdirectory: 'hibernation' });
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.lastActive = new Map();  // tabId -> última vez que la pestaña estuvo en primer plano
+    this.restoring = new Map();   // tabId -> rehidratación en curso
+    this.currentTabId = null;
+    this.timer = null;
+    this.checking = false;
+    this.stats = { discarded: 0, restored: 0, reclaimedKB: 0 };
+  }
+
+  async initialize() {
+    const saved = await this.store.read({});
+    this.settings = normalizeSettings({ ...DEFAULT_SETTINGS, ...(saved.settings || {}) });
+
+    const tabManager = this.browserCore.tabManager;
+    tabManager.on('tab-created', (tabId) => {
+      this.touch(tabId);
+      if (tabManager.activeTabId === tabId) this.currentTabId = tabId;
+    });
+    tabManager.on('tab-updated', (tabId, eventType) => {
+      if (eventType !== 'active-changed') return;
+      // La inactividad de la pestaña anterior empieza ahora, no cuando se activó
+      this.touch(this.currentTabId);
+      this.touch(tabId);
+      this.currentTabId = tabId;
+    });
+
+    this.schedule();
+    console.log(`💤 Hibernación de pestañas ${this.settings.enabled ? 'activa' : 'desactivada'} (${this.settings.memoryBudgetMB} MB, ${this.settings.idleMinutes} min)`);
+  }
+
+  // =============================================================================
+  // CONFIGURACIÓN
+  // =============================================================================
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  updateSettings(changes = {}) {
+    const known = Object.keys(DEFAULT_SETTINGS).filter(key => key in changes);
+    if (known.length === 0) {
+      throw new Error('No hay ajustes de hibernación que cambiar');
+    }
+    const next = { ...this.settings };
+    for (const key of known) next[key] = changes[key];
+    this.settings = normalizeSettings(next);
+
+    this.save();
+    this.schedule();
+    return this.getSettings();
+  }
+
+  getStatus() {
+    const tabs = Array.from(this.browserCore.tabManager.tabs.values());
+    return {
+      settings: this.getSettings(),
+      discardedTabs: tabs.filter(tab => tab.discarded).map(tab => tab.id),
+      ...this.stats
+    };
+  }
+
+  schedule() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    if (!this.settings.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error('❌ Error revisando pestañas inactivas:', error));
+    }, this.settings.checkIntervalSeconds * 1000);
+    this.timer.unref?.();
+  }
+
+  // =============================================================================
+  // REVISIÓN PERIÓDICA
+  // =============================================================================
+
+  // Primero las pestañas que superan el tiempo de inactividad; después, mientras
+  // la memoria de las pestañas supere el presupuesto, las usadas hace más tiempo
+  async check() {
+    if (!this.settings.enabled || this.checking) return [];
+    this.checking = true;
+
+    try {
+      const now = Date.now();
+      const { tabs: tabMetrics, tabMemoryKB } = this.browserCore.performance.getTabMetrics();
+      const memory = new Map(tabMetrics.map(metric => [metric.tabId, metric.memoryKB]));
+
+      const candidates = Array.from(this.browserCore.tabManager.tabs.values())
+        .filter(tab => !tab.discarded && !this.getStaticExemption(tab))
+        .map(tab => ({ tabId: tab.id, idleMs: now - this.getLastActive(tab.id), memoryKB: memory.get(tab.id) || 0 }))
+        .sort((a, b) => b.idleMs - a.idleMs);
+
+      const discarded = [];
+      let usedKB = tabMemoryKB;
+      const budgetKB = this.settings.memoryBudgetMB * 1024;
+
+      for (const candidate of candidates) {
+        let reason = null;
+        if (this.settings.idleMinutes > 0 && candidate.idleMs >= this.settings.idleMinutes * 60 * 1000) {
+          reason = 'idle';
+        } else if (budgetKB > 0 && usedKB > budgetKB && candidate.idleMs >= MIN_IDLE_MS) {
+          reason = 'memory';
+        }
+        if (!reason) continue;
+
+        const result = await this.discard(candidate.tabId, { reason });
+        if (result.discarded) {
+          usedKB -= candidate.memoryKB;
+          discarded.push(result);
+        }
+      }
+
+      if (discarded.length > 0) {
+        console.log(`💤 ${discarded.length} pestañas suspendidas (memoria de pestañas: ${Math.round(usedKB / 1024)} MB)`);
+      }
+      return discarded;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // =============================================================================
+  // DESCARTE
+  // =============================================================================
+
+  async discard(tabId, { reason = 'manual' } = {}) {
+    const tabManager = this.browserCore.tabManager;
+    const tab = tabManager.tabs.get(tabId);
+    if (!tab) {
+      throw new Error(`Pestaña ${tabId} no encontrada`);
+    }
+    if (tab.discarded) {
+      return { tabId, discarded: false, exemption: 'discarded' };
+    }
+
+    const exemption = await this.getExemption(tab);
+    if (exemption) {
+      return { tabId, discarded: false, exemption };
+    }
+
+    const browserView = tab.browserView;
+    const webContents = browserView.webContents;
+    const memoryKB = this.browserCore.performance.getTabMetrics().tabs.find(metric => metric.tabId === tabId)?.memoryKB || 0;
+
+    // Lo mismo que guarda la sesión de una pestaña sin webContents
+    const scroll = await probe(webContents, '({ x: window.scrollX, y: window.scrollY })');
+    const override = this.browserCore.getPageOverride(webContents);
+
+    // La pestaña pudo pasar a primer plano o cerrarse mientras se consultaba
+    if (tab.browserView !== browserView || webContents.isDestroyed() || this.getStaticExemption(tab)) {
+      return { tabId, discarded: false, exemption: 'changed' };
+    }
+
+    tab.url = override?.url || webContents.getURL() || tab.url;
+    // La vista de lectura es un documento generado: se vuelve a la página original
+    tab.navigationHistory = override ? null : this.browserCore.sessions.captureNavigationHistory(webContents);
+    tab.scroll = scroll?.value || tab.scroll || null;
+    tab.muted = webContents.isAudioMuted();
+    tab.isLoading = false;
+    tab.browserView = null;
+    tab.discarded = true;
+    tab.discardedAt = Date.now();
+
+    tabManager.windowViews.get(tab.windowId)?.views.delete(tabId);
+    this.browserCore.history?.endVisit(tabId);
+    webContents.close();
+
+    this.stats.discarded++;
+    this.stats.reclaimedKB += memoryKB;
+    console.log(`💤 Pestaña ${tabId} suspendida (${reason}): ${tab.title}`);
+    tabManager.notifyTabUpdated(tabId, 'discarded', { reason, memoryKB });
+    return { tabId, discarded: true, reason, memoryKB };
+  }
+
+  async getExemption(tab) {
+    const exemption = this.getStaticExemption(tab);
+    if (exemption) return exemption;
+
+    // Sin respuesta de la página no se puede saber si hay datos sin enviar
+    const dirty = await probe(tab.browserView.webContents, FORM_DIRTY_SCRIPT);
+    return !dirty || dirty.value ? 'form-dirty' : null;
+  }
+
+  getStaticExemption(tab) {
+    const webContents = tab.browserView?.webContents;
+    if (!webContents || webContents.isDestroyed()) return 'unavailable';
+    if (this.isVisible(tab)) return 'active';
+    if (tab.pinned) return 'pinned';
+    if (webContents.isCurrentlyAudible()) return 'audible';
+    if (this.browserCore.tabGroups.isTabBusy(tab.id) || this.browserCore.agentTabs.has(tab.id)) return 'agent-task';
+    if (this.browserCore.security.getInterstitial(webContents)) return 'interstitial';
+    return null;
+  }
+
+  isVisible(tab) {
+    const tabManager = this.browserCore.tabManager;
+    return tabManager.activeTabId === tab.id || tabManager.windowViews.get(tab.windowId)?.activeView === tab.browserView;
+  }
+
+  // =============================================================================
+  // REHIDRATACIÓN
+  // =============================================================================
+
+  // Crea de nuevo el BrowserView con el mismo id; con waitForLoad = false vuelve
+  // en cuanto la vista existe y la página termina de cargar en segundo plano
+  async restore(tabId, { waitForLoad = true } = {}) {
+    const tab = this.browserCore.tabManager.tabs.get(tabId);
+    if (!tab) {
+      throw new Error(`Pestaña ${tabId} no encontrada`);
+    }
+
+    if (tab.discarded && !this.restoring.has(tabId)) {
+      const rehydration = this.rehydrate(tab);
+      this.restoring.set(tabId, rehydration);
+      rehydration.catch(() => this.restoring.delete(tabId));
+    }
+
+    const rehydration = this.restoring.get(tabId);
+    if (!rehydration) return false;
+
+    const { loaded } = await rehydration;
+    if (waitForLoad) await loaded;
+    return true;
+  }
+
+  async rehydrate(tab) {
+    const tabManager = this.browserCore.tabManager;
+    const browserView = tabManager.createBrowserView(tab.containerId);
+    await tabManager.setupBrowserViewEvents(browserView, tab.id, tab.windowId);
+
+    const window = tabManager.getWindowById(tab.windowId);
+    if (window && !window.isDestroyed()) {
+      tabManager.fitBrowserView(window, browserView);
+    }
+    tabManager.windowViews.get(tab.windowId)?.views.set(tab.id, browserView);
+
+    tab.browserView = browserView;
+    tab.discarded = false;
+    tab.pendingTransition = 'reload';
+    delete tab.discardedAt;
+
+    const webContents = browserView.webContents;
+    webContents.setAudioMuted(!!tab.muted);
+
+    const loaded = this.browserCore.sessions
+      .loadTabState(webContents, { url: tab.url, history: tab.navigationHistory, scroll: tab.scroll })
+      .finally(() => {
+        delete tab.navigationHistory;
+        this.restoring.delete(tab.id);
+      });
+
+    this.touch(tab.id);
+    this.stats.restored++;
+    console.log(`☀️ Pestaña ${tab.id} rehidratada: ${tab.url}`);
+    tabManager.notifyTabUpdated(tab.id, 'restored', { url: tab.url });
+    return { loaded };
+  }
+
+  // =============================================================================
+  // UTILIDADES Y CIERRE
+  // =============================================================================
+
+  touch(tabId) {
+    if (tabId) this.lastActive.set(tabId, Date.now());
+  }
+
+  getLastActive(tabId) {
+    return this.lastActive.get(tabId) || this.browserCore.tabManager.tabs.get(tabId)?.created || Date.now();
+  }
+
+  forgetTab(tabId) {
+    this.lastActive.delete(tabId);
+    this.restoring.delete(tabId);
+    if (this.currentTabId === tabId) this.currentTabId = null;
+  }
+
+  save() {
+    this.store.scheduleWrite({ version: 1, settings: this.settings });
+  }
+
+  async shutdown() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    await this.store.flush();
+  }
+}
+
+function normalizeSettings(settings) {
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? Math.max(min, parsed) : fallback;
+  };
+  return {
+    enabled: settings.enabled !== false,
+    memoryBudgetMB: number(settings.memoryBudgetMB, DEFAULT_SETTINGS.memoryBudgetMB, 0),
+    idleMinutes: number(settings.idleMinutes, DEFAULT_SETTINGS.idleMinutes, 0),
+    checkIntervalSeconds: number(settings.checkIntervalSeconds, DEFAULT_SETTINGS.checkIntervalSeconds, 5)
+  };
+}
+
+// Script en la página con límite de tiempo: { value } o null si no responde
+async function probe(webContents, script) {
+  let timeout;
+  try {
+    return await Promise.race([
+      webContents.executeJavaScript(script, false).then(value => ({ value })),
+      new Promise(resolve => {
+        timeout = setTimeout(() => resolve(null), PROBE_TIMEOUT_MS);
+      })
+    ]);
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export { TabHibernation };
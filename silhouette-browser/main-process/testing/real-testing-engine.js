@@ -434,6 +434,10 @@ class RealTestingEngine extends EventEmitter {
             
             // Ejecutar acción
             switch (action) {
+                case 'navigate':
+                    await this.navigateTo(session, value);
+                    break;
+                    
                 case 'click':
                     await this.clickElement(session, selector);
                     break;
@@ -589,6 +593,10 @@ class RealTestingEngine extends EventEmitter {
      * Acciones de test
      */
     
+    async navigateTo(session, url) {
+        await session.page.goto(url, { waitUntil: 'networkidle2', timeout: session.timeout });
+    }
+    
     async clickElement(session, selector) {
         await session.page.click(selector);
     }
@@ -8,6 +8,7 @@ import SilhouetteOmnipotentAgent from '../core/silhouette-omnipotent-agent.js';
 export class SilhouetteOmnipotentAPI {
     constructor() {
         this.agent = null;
+        this.browserCore = null;
         this.isInitialized = false;
         this.config = null;
     }
@@ -21,6 +22,9 @@ export class SilhouetteOmnipotentAPI {
             
             // Inicializar agente
             this.agent = new SilhouetteOmnipotentAgent(this.config);
+            if (this.browserCore) {
+                this.agent.connectBrowserCore(this.browserCore);
+            }
             
             // Inicializar
             await this.agent.initialize();
@@ -45,7 +49,9 @@ export class SilhouetteOmnipotentAPI {
                 models: {
                     navigation: "gpt-4-turbo",
                     interaction: "claude-3-5-sonnet"
-                }
+                },
+                // Proveedor de LLM ({ provider, model, baseUrl... }); vacío usa SILHOUETTE_LLM_*
+                provider: {}
             },
             safety: {
                 promptInjectionDefense: true,
@@ -70,18 +76,55 @@ export class SilhouetteOmnipotentAPI {
         return await this.agent.executeOmnipotentTask(task);
     }
 
-    async autonomousNavigation(url, goal) {
-        const result = await this.executeCommand(
-            `Navega a ${url} para ${goal}`
-        );
-        return result;
+    // Tarea ya construida (con browserViewContext) tal como la envía el proceso principal.
+    // options: { signal } para cancelarla
+    async executeOmnipotentTask(task, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('API no inicializada. Llamar initialize() primero.');
+        }
+
+        return await this.agent.executeOmnipotentTask({
+            type: 'generic',
+            timestamp: new Date().toISOString(),
+            ...task
+        }, { signal: options.signal || null });
     }
 
-    async extractData(selector, format = 'structured') {
-        const result = await this.executeCommand(
-            `Extrae datos usando el selector: ${selector}`
-        );
-        return result;
+    async autonomousNavigation(url, goal, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('API no inicializada. Llamar initialize() primero.');
+        }
+
+        return await this.agent.autonomousNavigation(url, goal, options);
+    }
+
+    async rerunTrace(traceId, fromStepId = null, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('API no inicializada. Llamar initialize() primero.');
+        }
+
+        return await this.agent.rerunTrace(traceId, fromStepId, options);
+    }
+
+    cancelAutonomousNavigation(runId) {
+        return this.agent?.cancelAutonomousNavigation(runId) || false;
+    }
+
+    connectBrowserCore(browserCore) {
+        this.browserCore = browserCore;
+        this.agent?.connectBrowserCore(browserCore);
+    }
+
+    // selector: el de los elementos o { url, schema, itemSelector, fields,
+    // pagination, dedupeBy, maxRecords, keepInvalid }; format: 'structured',
+    // 'json', 'csv', 'ndjson' o 'sqlite' (options.output para escribir el fichero)
+    async extractData(selector, format = 'structured', options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('API no inicializada. Llamar initialize() primero.');
+        }
+
+        this.log(`Extrayendo datos de ${selector?.url || 'la pestaña activa'} (${format})`);
+        return await this.agent.extractData(selector, format, options);
     }
 
     async fillForm(formData, context = 'auto') {
@@ -89,10 +132,13 @@ export class SilhouetteOmnipotentAPI {
             .map(([field, value]) => `${field}: ${value}`)
             .join(', ');
             
-        const result = await this.executeCommand(
-            `Llena el formulario con: ${formDescription}`
-        );
-        return result;
+        // Los campos viajan aparte para que la aprobación y las trazas sepan cuáles son credenciales
+        return await this.executeOmnipotentTask({
+            description: `Llena el formulario con: ${formDescription}`,
+            type: 'form_filling',
+            data: formData,
+            context
+        });
     }
 
     // =============================================================================
@@ -276,6 +322,47 @@ export class SilhouetteOmnipotentAPI {
         };
     }
 
+    // =============================================================================
+    // VIGILANCIA DE PÁGINAS
+    // =============================================================================
+
+    // options: { name, region: { type: 'selector', selector } | { type: 'rect', x, y,
+    // width, height }, intervalMinutes, pixelThreshold, detect, notify, containerId }.
+    // Los avisos de cambios llegan al usuario como los de sus propios vigilantes
+    async createPageWatcher(url, options = {}) {
+        this.log(`Vigilando cambios en: ${url}`);
+        return this.requirePageWatcher().create({ ...options, url, createdBy: 'agent' });
+    }
+
+    async listPageWatchers() {
+        return this.requirePageWatcher().list();
+    }
+
+    async updatePageWatcher(watcherId, changes = {}) {
+        return this.requirePageWatcher().update(watcherId, changes);
+    }
+
+    async removePageWatcher(watcherId) {
+        return await this.requirePageWatcher().remove(watcherId);
+    }
+
+    // Comprueba la página ya y devuelve { changed, version, error }
+    async checkPageWatcher(watcherId) {
+        return await this.requirePageWatcher().checkNow(watcherId);
+    }
+
+    async getPageWatcherHistory(watcherId, options = {}) {
+        return await this.requirePageWatcher().getHistory(watcherId, options);
+    }
+
+    requirePageWatcher() {
+        const pageWatcher = this.browserCore?.pageWatcher;
+        if (!pageWatcher) {
+            throw new Error('La vigilancia de páginas necesita el navegador conectado');
+        }
+        return pageWatcher;
+    }
+
     async getStatus() {
         if (!this.agent) {
             return { initialized: false };
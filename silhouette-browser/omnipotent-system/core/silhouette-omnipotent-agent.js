@@ -3,6 +3,27 @@
  * El corazón del poder absoluto del navegador
  */
 
+import { randomUUID } from 'crypto';
+import { createLLMProvider, resolveLLMConfig, requestStructured } from '../../main-process/llm-providers/llm-providers.js';
+import { runBrowserAgent } from '../../main-process/browser-agent/browser-agent.js';
+import { extractStructuredData } from '../../main-process/data-extraction/structured-extractor.js';
+import { serializeRecords, writeRecords, EXPORT_FORMATS } from '../../main-process/data-extraction/record-export.js';
+import { REDACTED, maskSecrets } from '../../main-process/security-layer/action-risk.js';
+import { delay } from '../../main-process/async/abortable.js';
+
+const TASK_TYPES = [
+    'web-navigation', 'form-filling', 'data-extraction', 'automation',
+    'interaction', 'content-creation', 'analysis', 'hybrid'
+];
+const PLAN_ACTIONS = ['navigate', 'analyze', 'click', 'fill', 'extract', 'wait', 'execute'];
+const MAX_PLAN_STEPS = 20;
+
+// Parecido (0-1) con una tarea recordada a partir del cual se repite lo que
+// se hizo entonces, y a partir del cual solo sirve de pista
+const REPEAT_SIMILARITY = 0.85;
+const HINT_SIMILARITY = 0.4;
+const LOGIN_PATTERN = /(login|log in|sign in|iniciar? sesi[oó]n|acceder a)/i;
+
 export class SilhouetteOmnipotentAgent {
     constructor(config = {}) {
         this.config = config;
@@ -17,6 +38,14 @@ export class SilhouetteOmnipotentAgent {
         this.currentTask = null;
         this.taskQueue = [];
         this.executionHistory = [];
+
+        // Pestañas reales del navegador para la navegación autónoma
+        this.browserCore = null;
+        this.navigationRuns = new Map(); // runId -> { tabId, goal, controller }
+    }
+
+    connectBrowserCore(browserCore) {
+        this.browserCore = browserCore;
     }
 
     async initialize() {
@@ -24,7 +53,7 @@ export class SilhouetteOmnipotentAgent {
             this.log('Inicializando Agente Omnipotente Silhouette...');
             
             // 1. Inicializar sistemas core (simulado para demo)
-            this.contextManager = new ContextManager();
+            this.contextManager = new ContextManager(() => this.browserCore?.agentMemory || null);
             this.safetySystem = new SafetySystem(this.config.safety || {});
             
             // 2. Inicializar motores de ejecución (simulado)
@@ -51,41 +80,97 @@ export class SilhouetteOmnipotentAgent {
         }
     }
 
-    async executeOmnipotentTask(task) {
+    // Cada ejecución queda grabada como traza. resume ({ plan, fromIndex, results })
+    // retoma un plan grabado desde uno de sus pasos (ver rerunTrace); signal la
+    // cancela entre etapas y entre pasos del plan
+    async executeOmnipotentTask(task, { rerunOf = null, resume = null, signal = null } = {}) {
         if (!this.isInitialized) {
             throw new Error('Agente no inicializado. Llamar initialize() primero.');
         }
 
+        const traces = this.browserCore?.agentTraces;
+        const traceId = traces?.startTrace({
+            kind: 'omnipotent-task',
+            title: this.describeTask(task) || task.type,
+            input: { task },
+            rerunOf
+        }) ?? null;
+        const stop = async (status, result, error = null) => {
+            await traces?.finishTrace(traceId, { status, result, error });
+            return { ...result, traceId };
+        };
+
         try {
             this.log('Ejecutando tarea omnipotente: ' + task.description);
             
+            // Lo que se recuerda de tareas parecidas y del sitio en el que se trabaja
+            const tabId = task.browserViewContext?.tabId || this.browserCore?.tabManager.activeTabId || null;
+            const text = this.describeTask(task);
+            const site = this.contextManager.siteOf(this.taskUrl(task, tabId));
+            const memory = this.contextManager.recall(text, site);
+            
             // 1. Clasificar tarea
-            const taskType = await this.classifyTask(task);
+            let stageStart = Date.now();
+            const taskType = await this.classifyTask(task, memory);
+            signal?.throwIfAborted();
+            this.recordTraceStage(traceId, 'classify', stageStart, { output: taskType });
             this.log('Tarea clasificada como: ' + taskType);
             
             // 2. Evaluación de seguridad
+            stageStart = Date.now();
             const securityCheck = await this.safetySystem.evaluateTask(task);
+            this.recordTraceStage(traceId, 'safety', stageStart, { output: securityCheck, failed: !securityCheck.approved });
             if (!securityCheck.approved) {
-                return {
+                return await stop('blocked', {
                     success: false,
                     reason: 'blocked',
                     message: securityCheck.reason,
                     securityLevel: securityCheck.level
-                };
+                }, securityCheck.reason);
+            }
+
+            // 2b. Aprobación del usuario si la tarea tiene riesgo (compras, credenciales...)
+            stageStart = Date.now();
+            const approval = await this.reviewAction({
+                kind: 'task',
+                text,
+                fields: task.data,
+                pageUrl: this.pageUrlOf(tabId)
+            }, { source: 'omnipotent', tabId, signal });
+            this.recordTraceStage(traceId, 'approval', stageStart, { output: approval, failed: !approval.approved });
+            if (!approval.approved) {
+                const message = `Tarea no aprobada (${approval.reason})`;
+                return await stop('blocked', {
+                    success: false,
+                    reason: 'not_approved',
+                    message,
+                    categories: approval.categories
+                }, message);
             }
             
             // 3. Seleccionar motor óptimo
             const optimalEngine = this.selectOptimalEngine(taskType, task);
             this.log('Motor seleccionado: ' + optimalEngine.constructor.name);
+            traces?.update(traceId, { teams: { taskType, engine: optimalEngine.constructor.name } });
             
-            // 4. Crear plan de ejecución
-            const executionPlan = await this.aiEngine.generateExecutionPlan(task, optimalEngine);
+            // 4. Crear plan de ejecución (al retomar, el grabado)
+            const executionPlan = resume?.plan || await this.aiEngine.generateExecutionPlan(task, optimalEngine, memory);
+            signal?.throwIfAborted();
+            if (!resume) {
+                this.contextManager.markUsed(executionPlan.fromMemory);
+            }
+            traces?.update(traceId, { plan: executionPlan });
             
             // 5. Ejecutar con simulación
-            const result = await this.executeSimulation(executionPlan, optimalEngine);
+            const result = await this.executeSimulation(executionPlan, optimalEngine, {
+                fromIndex: resume?.fromIndex || 0,
+                previousResults: resume?.results || [],
+                signal,
+                onStep: (step) => traces?.recordStep(traceId, step)
+            });
             
             // 6. Actualizar contexto
-            await this.contextManager.updateWithExecution(task, result);
+            await this.contextManager.updateWithExecution(task, result, { text, taskType, site, plan: executionPlan, traceId });
             
             // 7. Agregar al historial
             this.executionHistory.push({
@@ -96,19 +181,78 @@ export class SilhouetteOmnipotentAgent {
             });
             
             this.log('Tarea ejecutada exitosamente', 'success');
-            return result;
+            return await stop('completed', result);
             
         } catch (error) {
             this.log('Error ejecutando tarea: ' + error.message, 'error');
-            return {
+            return await stop(signal?.aborted ? 'cancelled' : 'failed', {
                 success: false,
                 error: error.message,
                 task: task
-            };
+            }, error.message);
         }
     }
 
-    async classifyTask(task) {
+    recordTraceStage(traceId, id, startedAt, { output, failed = false }) {
+        const finishedAt = Date.now();
+        this.browserCore?.agentTraces?.recordStep(traceId, {
+            id,
+            action: id,
+            status: failed ? 'failed' : 'succeeded',
+            startedAt,
+            finishedAt,
+            duration: finishedAt - startedAt,
+            output
+        });
+    }
+
+    // memory ({ episodes, facts }) es lo que devuelve ContextManager.recall: una
+    // tarea casi idéntica que salió bien da el tipo sin preguntar al modelo y
+    // las parecidas acompañan a la pregunta como ejemplos
+    async classifyTask(task, memory = null) {
+        const recalled = memory || this.contextManager?.recall(this.describeTask(task), null) || { episodes: [] };
+        const known = recalled.episodes.filter(episode => episode.success && TASK_TYPES.includes(episode.taskType));
+        const repeated = known.find(episode => episode.similarity >= REPEAT_SIMILARITY);
+        if (repeated) {
+            this.contextManager.markUsed(repeated);
+            this.log('Tipo de tarea recordado de una ejecución anterior: ' + repeated.taskType);
+            return repeated.taskType;
+        }
+        const examples = known.filter(episode => episode.similarity >= HINT_SIMILARITY).slice(0, 3);
+
+        const llm = this.aiEngine?.llm;
+        if (llm) {
+            try {
+                const { type } = await requestStructured(llm, {
+                    purpose: 'classify-task',
+                    system: 'Clasificas tareas de automatización del navegador. Responde solo con la herramienta indicada.',
+                    prompt: examples.length > 0
+                        ? `${this.describeTask(task)}\n\nTareas parecidas ya clasificadas:\n${examples.map(episode => `- ${episode.task} → ${episode.taskType}`).join('\n')}`
+                        : this.describeTask(task),
+                    tool: {
+                        name: 'classify_task',
+                        description: 'Devuelve el tipo de la tarea',
+                        parameters: {
+                            type: 'object',
+                            properties: { type: { type: 'string', enum: TASK_TYPES } },
+                            required: ['type']
+                        }
+                    }
+                });
+                if (TASK_TYPES.includes(type)) {
+                    return type;
+                }
+                this.log('Tipo de tarea desconocido del LLM: ' + type, 'warn');
+            } catch (error) {
+                this.log('Clasificación con LLM fallida, usando palabras clave: ' + error.message, 'warn');
+            }
+        }
+
+        if (examples.length > 0) {
+            this.contextManager.markUsed(examples[0]);
+            return examples[0].taskType;
+        }
+
         const classificationKeywords = {
             'web-navigation': ['navega', 've a', 'abre', 'visita', 'ir a'],
             'form-filling': ['llena', 'completa', 'formulario', 'registro', 'login'],
@@ -120,7 +264,7 @@ export class SilhouetteOmnipotentAgent {
             'hybrid': ['múltiple', 'varios', 'complejo', 'multi']
         };
 
-        const taskText = task.description.toLowerCase();
+        const taskText = this.describeTask(task).toLowerCase();
         
         for (const [type, keywords] of Object.entries(classificationKeywords)) {
             if (keywords.some(keyword => taskText.includes(keyword))) {
@@ -131,6 +275,16 @@ export class SilhouetteOmnipotentAgent {
         return 'hybrid';
     }
 
+    describeTask(task) {
+        return [task.description, task.goal, task.target].filter(Boolean).join(' ');
+    }
+
+    // URL en la que trabaja la tarea: la indicada o la de su pestaña
+    taskUrl(task, tabId) {
+        return [task.target, task.url, task.browserViewContext?.article?.url, this.pageUrlOf(tabId)]
+            .find(candidate => /^https?:\/\//i.test(String(candidate || ''))) || null;
+    }
+
     selectOptimalEngine(taskType, task) {
         const engineSelection = {
             'web-navigation': this.playwrightEngine,
@@ -146,21 +300,45 @@ export class SilhouetteOmnipotentAgent {
         return engineSelection[taskType] || this.playwrightEngine;
     }
 
-    async executeSimulation(plan, engine) {
+    // fromIndex y previousResults retoman el plan desde un paso; onStep recibe
+    // cada paso tal como se graba en la traza
+    async executeSimulation(plan, engine, { fromIndex = 0, previousResults = [], onStep = null, signal = null } = {}) {
         // Simulación de ejecución para demo
         const startTime = Date.now();
         
+        // Los pasos anteriores al de reanudación conservan su resultado
+        const results = previousResults.slice(0, fromIndex);
+        results.forEach((previous, index) => onStep?.({
+            id: plan.steps[index].id,
+            action: plan.steps[index].action,
+            status: 'succeeded',
+            reused: true,
+            output: previous.result
+        }));
+        
         // Simular ejecución de pasos
-        const results = [];
-        for (const step of plan.steps) {
+        for (const step of plan.steps.slice(fromIndex)) {
+            const stepStart = Date.now();
+            
             // Simular delay de ejecución
-            await new Promise(resolve => setTimeout(resolve, 100));
+            await delay(100, signal);
             
-            results.push({
+            const stepResult = {
                 step: step.id,
                 action: step.action,
                 success: true,
                 result: 'Simulated result for ' + step.action
+            };
+            results.push(stepResult);
+            onStep?.({
+                id: step.id,
+                action: step.action,
+                description: step.description,
+                status: 'succeeded',
+                startedAt: stepStart,
+                finishedAt: Date.now(),
+                duration: Date.now() - stepStart,
+                output: stepResult.result
             });
         }
         
@@ -188,21 +366,336 @@ export class SilhouetteOmnipotentAgent {
     }
 
     // API pública
-    async autonomousNavigation(url, goal) {
-        return await this.executeOmnipotentTask({
-            type: 'navigation',
-            target: url,
-            goal: goal,
-            autonomy: 'full'
+
+    // Bucle observar → decidir → actuar sobre un BrowserView de TabManager.
+    // options: { tabId, maxSteps, timeoutMs, onStep, context, rerunOf }; sin
+    // tabId usa la pestaña activa o abre una nueva. La ejecución queda grabada
+    // como traza con la captura de cada paso
+    async autonomousNavigation(url, goal, options = {}) {
+        if (!this.browserCore) {
+            throw new Error('La navegación autónoma necesita el navegador conectado');
+        }
+
+        const traces = this.browserCore.agentTraces;
+        const traceId = traces?.startTrace({
+            kind: 'browser-agent',
+            title: goal,
+            input: { url, goal, options: { maxSteps: options.maxSteps, timeoutMs: options.timeoutMs } },
+            rerunOf: options.rerunOf || null
+        }) ?? null;
+
+        let result;
+        try {
+            result = await this.runAutonomousNavigation(url, goal, options, traceId);
+        } catch (error) {
+            await traces?.finishTrace(traceId, { status: 'failed', error: error.message });
+            throw error;
+        }
+
+        await traces?.finishTrace(traceId, {
+            status: result.status,
+            result: { success: result.success, answer: result.answer, extracted: result.extracted },
+            error: result.error || result.message || null
         });
+        return { ...result, traceId };
     }
 
-    async extractData(selector, format = 'structured') {
-        return await this.executeOmnipotentTask({
-            type: 'extraction',
-            selector: selector,
-            format: format
+    async runAutonomousNavigation(url, goal, options, traceId) {
+        const securityCheck = await this.safetySystem.evaluateTask({ description: `${goal} ${url || ''}` });
+        if (!securityCheck.approved) {
+            return { success: false, status: 'blocked', reason: 'blocked', message: securityCheck.reason, steps: [] };
+        }
+
+        const tabManager = this.browserCore.tabManager;
+        let tabId = options.tabId || tabManager.activeTabId;
+        if (!tabId || !tabManager.tabs.has(tabId)) {
+            tabId = await this.browserCore.createNewTab('about:blank', { active: true });
+        }
+        if (Array.from(this.navigationRuns.values()).some(run => run.tabId === tabId)) {
+            throw new Error('Ya hay una navegación autónoma en esta pestaña');
+        }
+
+        const tab = tabManager.tabs.get(tabId);
+        if (tab.discarded) {
+            await this.browserCore.hibernation.restore(tabId);
+        }
+
+        // Lo que se sabe del sitio acompaña al objetivo
+        const site = this.contextManager.siteOf(url || this.pageUrlOf(tabId));
+        const remembered = this.contextManager.describeForNavigation(goal, site);
+
+        const runId = randomUUID();
+        const controller = new AbortController();
+        this.navigationRuns.set(runId, { tabId, goal, controller });
+        this.browserCore.agentTabs.add(tabId);
+        this.log(`Navegación autónoma ${runId} en ${tabId}: ${goal}`);
+
+        try {
+            const result = await runBrowserAgent(tab.browserView.webContents, this.aiEngine.llm, goal, {
+                startUrl: url || null,
+                context: [options.context, remembered].filter(Boolean).join('\n\n') || null,
+                maxSteps: options.maxSteps,
+                timeoutMs: options.timeoutMs,
+                signal: controller.signal,
+                beforeNavigate: async (target) => {
+                    const check = await this.browserCore.checkSecurity(target);
+                    if (!check.safe) {
+                        throw new Error('Navegación bloqueada: ' + check.reason);
+                    }
+                },
+                approve: (action, step) => this.reviewAction(action, {
+                    source: 'browser-agent',
+                    tabId,
+                    screenshot: step.screenshot,
+                    signal: controller.signal
+                }),
+                onStep: (step) => {
+                    this.browserCore.agentTraces?.recordStep(traceId, {
+                        id: `step-${step.step}`,
+                        action: step.action?.name || 'respuesta',
+                        status: step.result?.success ? 'succeeded' : 'failed',
+                        startedAt: step.startTime,
+                        finishedAt: step.startTime + step.duration,
+                        duration: step.duration,
+                        url: step.url,
+                        title: step.title,
+                        thought: step.thought,
+                        inputs: step.action?.arguments ?? null,
+                        element: step.element || null,
+                        output: step.result?.output,
+                        error: step.result?.error || null,
+                        ...(step.result?.denied ? { denied: true } : {}),
+                        screenshot: step.screenshot
+                    });
+                    options.onStep?.({ runId, tabId, traceId, ...step });
+                }
+            });
+
+            this.executionHistory.push({
+                task: { type: 'navigation', target: url, goal },
+                result: { success: result.success, status: result.status, answer: result.answer, steps: result.steps.length },
+                timestamp: new Date().toISOString(),
+                duration: result.duration
+            });
+            await this.contextManager.updateWithNavigation({ goal, site, result, traceId });
+            this.log(`Navegación autónoma ${runId}: ${result.status}`, result.success ? 'success' : 'warn');
+            return { runId, tabId, ...result };
+        } finally {
+            this.navigationRuns.delete(runId);
+            this.browserCore.agentTabs.delete(tabId);
+        }
+    }
+
+    // Acciones con riesgo pasan por las aprobaciones de la capa de seguridad;
+    // sin navegador conectado no hay a quién preguntar y se ejecutan como antes
+    async reviewAction(action, options = {}) {
+        const approvals = this.browserCore?.agentApprovals;
+        if (!approvals) {
+            return { approved: true, reason: 'no_approvals', categories: [] };
+        }
+        return await approvals.review(action, options);
+    }
+
+    pageUrlOf(tabId) {
+        const tab = this.browserCore?.tabManager.tabs.get(tabId);
+        if (!tab) return null;
+        return tab.discarded ? tab.url : tab.browserView.webContents.getURL();
+    }
+
+    // Relanza una traza grabada. En la navegación autónoma se vuelve a la URL del
+    // paso y el modelo recibe los pasos anteriores como contexto; en una tarea
+    // omnipotente se retoma el plan grabado desde ese paso. Sin paso, desde el principio
+    async rerunTrace(traceId, fromStepId = null, options = {}) {
+        const trace = await this.browserCore?.agentTraces?.getTrace(traceId);
+        if (!trace) {
+            throw new Error(`Traza no encontrada: ${traceId}`);
+        }
+        const rerunOf = { traceId, fromStep: fromStepId };
+
+        if (trace.kind === 'browser-agent') {
+            const index = fromStepId ? trace.steps.findIndex(step => step.id === fromStepId) : 0;
+            if (index < 0) {
+                throw new Error(`Paso desconocido en la traza: ${fromStepId}`);
+            }
+            const done = trace.steps.slice(0, index).map(step =>
+                `- ${step.action} ${JSON.stringify(step.inputs ?? {})} → ${step.status === 'succeeded' ? 'ok' : step.error}`
+            );
+            const { url, goal, options: recorded = {} } = trace.input;
+            return await this.autonomousNavigation(index > 0 ? trace.steps[index].url : url, goal, {
+                ...recorded,
+                ...options,
+                context: done.length > 0 ? ['Pasos ya realizados en una ejecución anterior:', ...done].join('\n') : null,
+                rerunOf
+            });
+        }
+
+        if (trace.kind === 'omnipotent-task') {
+            // La traza no guarda credenciales: repetirla escribiría la máscara
+            if (JSON.stringify([trace.input.task, trace.plan]).includes(REDACTED)) {
+                throw new Error('La traza no guarda las credenciales de la tarea: vuelve a lanzarla con ellas');
+            }
+            // Clasificación, seguridad y aprobación se repiten siempre
+            const fromIndex = fromStepId && trace.plan ? trace.plan.steps.findIndex(step => step.id === fromStepId) : -1;
+            if (fromIndex <= 0) {
+                return await this.executeOmnipotentTask(trace.input.task, { rerunOf });
+            }
+            const results = trace.plan.steps.slice(0, fromIndex).map(planStep => {
+                const recorded = trace.steps.find(step => step.id === planStep.id);
+                if (recorded?.status !== 'succeeded') {
+                    throw new Error(`El paso ${planStep.id} no terminó bien: relanza la traza desde él`);
+                }
+                return { step: planStep.id, action: planStep.action, success: true, result: recorded.output };
+            });
+            return await this.executeOmnipotentTask(trace.input.task, {
+                rerunOf,
+                resume: { plan: trace.plan, fromIndex, results }
+            });
+        }
+
+        // La extracción se repite entera con la misma descripción y salida
+        if (trace.kind === 'data-extraction') {
+            const { spec, format, options: recorded = {} } = trace.input;
+            return await this.extractData(spec, format, {
+                output: recorded.output || undefined,
+                table: recorded.table || undefined,
+                rerunOf
+            });
+        }
+
+        throw new Error(`Este agente no puede relanzar trazas de tipo ${trace.kind}`);
+    }
+
+    cancelAutonomousNavigation(runId) {
+        const run = this.navigationRuns.get(runId);
+        if (!run) {
+            return false;
+        }
+        run.controller.abort();
+        return true;
+    }
+
+    // Extracción estructurada de registros. selector es el de los elementos (el
+    // texto de cada uno es un registro) o la descripción completa: { url, schema,
+    // itemSelector, fields, pagination, dedupeBy, maxRecords, keepInvalid } (ver
+    // structured-extractor.js). format 'structured' devuelve los registros; 'json',
+    // 'csv', 'ndjson' o 'sqlite' además los escriben en options.output y, sin
+    // fichero, los tres primeros vuelven como texto en content.
+    // options: { tabId, output, table, onPage, signal, rerunOf }
+    async extractData(selector, format = 'structured', options = {}) {
+        if (!this.browserCore) {
+            throw new Error('La extracción de datos necesita el navegador conectado');
+        }
+        if (format !== 'structured' && !EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Formato de salida desconocido: ${format} (structured, ${EXPORT_FORMATS.join(', ')})`);
+        }
+        if (format === 'sqlite' && !options.output) {
+            throw new Error('La salida SQLite necesita un fichero (options.output)');
+        }
+
+        const spec = typeof selector === 'string' ? { itemSelector: selector } : { ...(selector || {}) };
+        const traces = this.browserCore.agentTraces;
+        const traceId = traces?.startTrace({
+            kind: 'data-extraction',
+            title: `Extracción de ${spec.url || 'la pestaña activa'}`,
+            input: { spec, format, options: { output: options.output || null, table: options.table || null } },
+            rerunOf: options.rerunOf || null
+        }) ?? null;
+
+        let result;
+        try {
+            result = await this.runExtraction(spec, format, options, traceId);
+        } catch (error) {
+            await traces?.finishTrace(traceId, { status: options.signal?.aborted ? 'cancelled' : 'failed', error: error.message });
+            this.executionHistory.push({
+                task: { type: 'extraction', target: spec.url || null },
+                result: { success: false, error: error.message },
+                timestamp: new Date().toISOString()
+            });
+            throw error;
+        }
+
+        await traces?.finishTrace(traceId, {
+            status: 'completed',
+            result: {
+                success: true,
+                count: result.count,
+                invalidCount: result.invalidCount,
+                duplicates: result.duplicates,
+                pages: result.pages.length,
+                stopReason: result.stopReason,
+                selectors: result.selectors,
+                output: result.output
+            }
         });
+        return { ...result, traceId };
+    }
+
+    // Sin pestaña indicada, con URL se trabaja en una pestaña en segundo plano
+    // (la paginación navega) que se cierra al terminar; sin URL, en la activa
+    async runExtraction(spec, format, options, traceId) {
+        const tabManager = this.browserCore.tabManager;
+        let tabId = options.tabId || (spec.url ? null : tabManager.activeTabId);
+        const ownTab = !tabId || !tabManager.tabs.has(tabId);
+        if (ownTab) {
+            tabId = await this.browserCore.createNewTab('about:blank', { active: false });
+        }
+        const tab = tabManager.tabs.get(tabId);
+        if (tab.discarded) {
+            await this.browserCore.hibernation.restore(tabId);
+        }
+
+        this.browserCore.agentTabs.add(tabId);
+        this.log(`Extracción de datos en ${tabId}: ${spec.url || this.pageUrlOf(tabId)}`);
+
+        try {
+            const result = await extractStructuredData(tab.browserView.webContents, spec, {
+                llm: this.aiEngine.llm,
+                signal: options.signal || null,
+                beforeNavigate: async (target) => {
+                    const check = await this.browserCore.checkSecurity(target);
+                    if (!check.safe) {
+                        throw new Error('Navegación bloqueada: ' + check.reason);
+                    }
+                },
+                onPage: (page) => {
+                    this.browserCore.agentTraces?.recordStep(traceId, {
+                        id: `page-${page.page}`,
+                        action: 'extract',
+                        status: 'succeeded',
+                        startedAt: page.startedAt,
+                        finishedAt: page.startedAt + page.duration,
+                        duration: page.duration,
+                        url: page.url,
+                        title: page.title,
+                        output: `${page.items} elementos, ${page.added} registros nuevos` +
+                            (page.loadMoreClicks > 0 ? ` (${page.loadMoreClicks} veces "Cargar más")` : '')
+                    });
+                    options.onPage?.({ traceId, tabId, ...page });
+                }
+            });
+
+            let output = null;
+            let content = null;
+            if (format !== 'structured' && options.output) {
+                output = await writeRecords(result.records, format, options.output, { schema: result.schema, table: options.table });
+            } else if (format !== 'structured') {
+                content = serializeRecords(result.records, format, { schema: result.schema });
+            }
+
+            this.executionHistory.push({
+                task: { type: 'extraction', target: spec.url || null },
+                result: { success: true, count: result.count, pages: result.pages.length },
+                timestamp: new Date().toISOString(),
+                duration: result.duration
+            });
+            this.log(`Extracción de datos: ${result.count} registros en ${result.pages.length} páginas`, 'success');
+            return { ...result, tabId, format, output, content };
+        } finally {
+            this.browserCore.agentTabs.delete(tabId);
+            if (ownTab) {
+                await this.browserCore.closeTab(tabId).catch(() => {});
+            }
+        }
     }
 
     async fillForm(formData, context = 'auto') {
@@ -222,7 +715,9 @@ export class SilhouetteOmnipotentAgent {
             availableEngines: {
                 playwright: this.playwrightEngine?.isReady,
                 snowfort: this.snowfortEngine?.isReady
-            }
+            },
+            llm: this.aiEngine?.llm?.describe() || null,
+            navigationRuns: Array.from(this.navigationRuns, ([runId, run]) => ({ runId, tabId: run.tabId, goal: run.goal }))
         };
     }
 
@@ -269,17 +764,50 @@ class SnowfortDualEngine {
     }
 }
 
-// AI Engine Simulado
+// AI Engine: usa el proveedor de LLM configurado (config.provider o variables
+// SILHOUETTE_LLM_*) y, sin él o si falla, el plan fijo de siempre
 class OmnipotentAIModel {
     constructor(config) {
         this.config = config;
+        this.llm = null;
     }
 
     async initialize() {
-        this.log('AI Engine inicializado (simulado)');
+        this.llm = createLLMProvider(resolveLLMConfig(this.config.provider || {}));
+        this.log(this.llm
+            ? `AI Engine inicializado con ${this.llm.name} (${this.llm.model})`
+            : 'AI Engine inicializado (simulado)');
     }
 
-    async generateExecutionPlan(task, engine) {
+    // memory ({ site, episodes, facts }) viene de ContextManager.recall. El plan
+    // de una tarea casi idéntica que salió bien en el mismo sitio se repite tal
+    // cual, salvo que rellene formularios (sus valores no se recuerdan); lo
+    // demás acompaña a la petición al modelo. fromMemory lista lo usado
+    async generateExecutionPlan(task, engine, memory = null) {
+        const repeatable = memory?.episodes.find(episode =>
+            episode.success && episode.site && episode.site === memory.site &&
+            episode.similarity >= REPEAT_SIMILARITY && episode.plan?.length > 0 &&
+            episode.plan.every(step => PLAN_ACTIONS.includes(step.action) && step.action !== 'fill')
+        );
+        if (repeatable) {
+            this.log('Repitiendo el plan de una ejecución anterior: ' + repeatable.task);
+            return {
+                id: 'plan-' + Date.now(),
+                task: task,
+                source: 'memory',
+                fromMemory: [repeatable.id],
+                steps: repeatable.plan.map((step, index) => ({ id: 'step-' + (index + 1), ...step }))
+            };
+        }
+
+        if (this.llm) {
+            try {
+                return await this.generatePlanWithLLM(task, engine, memory);
+            } catch (error) {
+                this.log('Plan con LLM fallido, usando plan por defecto: ' + error.message);
+            }
+        }
+
         return {
             id: 'plan-' + Date.now(),
             task: task,
@@ -290,6 +818,77 @@ class OmnipotentAIModel {
             ]
         };
     }
+
+    async generatePlanWithLLM(task, engine, memory = null) {
+        const facts = memory?.facts || [];
+        const previous = (memory?.episodes || [])
+            .filter(episode => episode.success && episode.plan?.length > 0 && episode.similarity >= HINT_SIMILARITY)
+            .slice(0, 2);
+        const remembered = facts.length > 0 || previous.length > 0 ? {
+            facts: facts.map(fact => ({ kind: fact.kind, key: fact.key, value: fact.value })),
+            previousPlans: previous.map(episode => ({ task: episode.task, steps: episode.plan }))
+        } : null;
+
+        const { steps } = await requestStructured(this.llm, {
+            purpose: 'execution-plan',
+            system: 'Planificas tareas de automatización del navegador en pasos concretos. ' +
+                'Si se incluyen recuerdos del sitio (selectores, flujos de inicio de sesión, planes anteriores), aprovéchalos, ' +
+                'pero pueden estar desactualizados. Responde solo con la herramienta indicada.',
+            prompt: JSON.stringify({
+                description: task.description || null,
+                goal: task.goal || null,
+                target: task.target || null,
+                engine: engine?.constructor?.name || null,
+                ...(remembered ? { memory: remembered } : {})
+            }),
+            tool: {
+                name: 'submit_plan',
+                description: 'Entrega el plan de ejecución',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        steps: {
+                            type: 'array',
+                            maxItems: MAX_PLAN_STEPS,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    action: { type: 'string', enum: PLAN_ACTIONS },
+                                    description: { type: 'string' },
+                                    target: { type: 'string', description: 'URL o selector CSS' },
+                                    value: { type: 'string' }
+                                },
+                                required: ['action', 'description']
+                            }
+                        }
+                    },
+                    required: ['steps']
+                }
+            }
+        });
+
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_PLAN_STEPS) {
+            throw new Error('el plan debe tener entre 1 y ' + MAX_PLAN_STEPS + ' pasos');
+        }
+        const invalid = steps.find(step => !PLAN_ACTIONS.includes(step?.action));
+        if (invalid) {
+            throw new Error('acción desconocida en el plan: ' + invalid?.action);
+        }
+
+        return {
+            id: 'plan-' + Date.now(),
+            task: task,
+            source: this.llm.name,
+            ...(remembered ? { fromMemory: [...facts, ...previous].map(item => item.id) } : {}),
+            steps: steps.map((step, index) => ({
+                id: 'step-' + (index + 1),
+                action: step.action,
+                description: String(step.description || step.action),
+                ...(step.target ? { target: String(step.target) } : {}),
+                ...(step.value !== undefined ? { value: String(step.value) } : {})
+            }))
+        };
+    }
     
     log(message) {
         console.log('OmnipotentAI: ' + message);
@@ -306,7 +905,7 @@ class SafetySystem {
         // Evaluación básica de seguridad
         const riskyKeywords = ['delete', 'transfer', 'financial'];
         const isRisky = riskyKeywords.some(keyword => 
-            task.description.toLowerCase().includes(keyword)
+            String(task.description || '').toLowerCase().includes(keyword)
         );
         
         return {
@@ -318,21 +917,184 @@ class SafetySystem {
     }
 }
 
-// Context Manager Simulado
+// Context Manager: historial de la sesión y, con el navegador conectado, la
+// memoria a largo plazo de los agentes (main-process/agent-memory). Sin ella
+// el agente funciona igual, pero no recuerda nada entre reinicios
 class ContextManager {
-    constructor() {
+    constructor(resolveMemory = () => null) {
         this.context = {
             taskHistory: [],
             learnedPreferences: new Map()
         };
+        this.resolveMemory = resolveMemory;
+    }
+
+    get memory() {
+        return this.resolveMemory();
+    }
+
+    siteOf(url) {
+        return this.memory?.siteOf(url) || null;
+    }
+
+    // Episodios parecidos de cualquier sitio y hechos del sitio de la tarea
+    recall(text, site) {
+        const memory = this.memory;
+        if (!memory) {
+            return { site, episodes: [], facts: [] };
+        }
+        return {
+            site,
+            episodes: memory.recall({ text, site, type: 'episode', limit: 5 }),
+            facts: site ? memory.recall({ text, site, type: 'fact', limit: 10 }) : []
+        };
     }
 
-    async updateWithExecution(task, result) {
+    markUsed(memories) {
+        const ids = [].concat(memories || []).map(memory => memory?.id || memory).filter(Boolean);
+        if (ids.length > 0) {
+            this.memory?.markUsed(ids);
+        }
+    }
+
+    // Guarda la tarea como episodio y aprende del plan los selectores que han
+    // funcionado (o fallado) en el sitio y, si era un inicio de sesión, el flujo
+    async updateWithExecution(task, result, { text = '', taskType = null, site = null, plan = null, traceId = null } = {}) {
         this.context.taskHistory.push({
             task,
             result,
             timestamp: new Date().toISOString()
         });
+
+        const memory = this.memory;
+        if (!memory) return;
+
+        // La memoria se guarda en disco: sin los valores del formulario de la tarea
+        const forget = (value) => withoutFormValues(value, task.data);
+        const steps = (plan?.steps || []).map(step => ({ ...step, description: forget(step.description) }));
+        memory.recordEpisode({
+            task: forget(text || task.description),
+            taskType,
+            site,
+            success: result.success,
+            plan: plan ? steps : null,
+            duration: result.duration,
+            error: result.error,
+            traceId
+        });
+        if (!site || !plan) return;
+
+        const outcomes = new Map((result.results || []).map(outcome => [outcome.step, outcome]));
+        for (const step of steps) {
+            const outcome = outcomes.get(step.id);
+            if (!outcome || !step.target || /^https?:\/\//i.test(step.target)) continue;
+            memory.learnFact({ site, kind: 'selector', key: step.description, value: step.target, success: outcome.success });
+        }
+        if (result.success && LOGIN_PATTERN.test(text)) {
+            memory.learnFact({
+                site,
+                kind: 'login-flow',
+                key: 'Inicio de sesión',
+                value: steps.map(step => step.target ? `${step.action} ${step.target}` : step.action).join(' → ')
+            });
+        }
+    }
+
+    // Navegación autónoma: el episodio, la estructura de cada página visitada
+    // (título y elementos con los que se ha trabajado) y el flujo de inicio de
+    // sesión si ese era el objetivo. Lo escrito en los campos no se guarda
+    async updateWithNavigation({ goal, site, result, traceId = null }) {
+        const memory = this.memory;
+        if (!memory) return;
+
+        const steps = result.steps || [];
+        const actions = steps.filter(step => step.action && step.action.name !== 'finish');
+        memory.recordEpisode({
+            task: maskSecrets(goal),
+            taskType: 'web-navigation',
+            site,
+            success: result.success,
+            status: result.status,
+            plan: actions.map(step => ({ action: step.action.name, description: describeNavigationStep(step), target: step.url })),
+            duration: result.duration,
+            error: result.error,
+            traceId
+        });
+
+        const pages = new Map(); // origen + ruta -> { site, title, elements }
+        for (const step of steps) {
+            const page = pageOf(step.url);
+            const pageSite = page && this.siteOf(step.url);
+            if (!pageSite) continue;
+            const entry = pages.get(page) || { site: pageSite, title: step.title, elements: new Set() };
+            if (step.element && step.result?.success) {
+                entry.elements.add(`${step.element.role} «${step.element.name}»`);
+            }
+            pages.set(page, entry);
+        }
+        for (const [page, entry] of pages) {
+            memory.learnFact({
+                site: entry.site,
+                kind: 'page-structure',
+                key: page,
+                value: [entry.title, entry.elements.size > 0 ? `elementos útiles: ${Array.from(entry.elements).join(', ')}` : null]
+                    .filter(Boolean).join(' · '),
+                success: result.success
+            });
+        }
+
+        if (result.success && site && LOGIN_PATTERN.test(goal)) {
+            memory.learnFact({
+                site,
+                kind: 'login-flow',
+                key: 'Inicio de sesión',
+                value: actions.filter(step => step.result?.success).map(describeNavigationStep).join(' → ')
+            });
+        }
+    }
+
+    // Lo que se sabe del sitio, como contexto para el modelo de la navegación autónoma
+    describeForNavigation(goal, site) {
+        const { episodes, facts } = this.recall(goal, site);
+        const lines = facts.map(fact => `- [${fact.kind}] ${fact.key}: ${fact.value}`);
+        const previous = episodes.find(episode =>
+            episode.success && episode.site === site && episode.similarity >= HINT_SIMILARITY && episode.plan?.length > 0
+        );
+        if (previous) {
+            lines.push(`- Una tarea parecida ("${previous.task}") se resolvió así: ${previous.plan.map(step => step.description).join(' → ')}`);
+        }
+        this.markUsed([...facts, previous]);
+        return lines.length > 0 ? ['Lo que recuerdas de este sitio (puede haber cambiado):', ...lines].join('\n') : null;
+    }
+}
+
+// "email: ana@example.com" queda en "email": ni los valores de los campos de la
+// tarea (los cortos solo junto a su campo) ni, en el resto, las credenciales
+function withoutFormValues(text, data) {
+    if (!text) return text;
+    let stripped = String(text);
+    for (const [field, value] of Object.entries(data && typeof data === 'object' ? data : {})) {
+        const shown = String(value ?? '').trim();
+        if (!shown) continue;
+        stripped = stripped.split(`${field}: ${shown}`).join(field);
+        if (shown.length >= 3) stripped = stripped.split(shown).join(REDACTED);
+    }
+    return maskSecrets(stripped);
+}
+
+function describeNavigationStep(step) {
+    if (step.element) {
+        return `${step.action.name} ${step.element.role} «${step.element.name}»`;
+    }
+    return step.action.name === 'navigate' ? `navigate ${step.action.arguments?.url || ''}`.trim() : step.action.name;
+}
+
+function pageOf(url) {
+    try {
+        const parsed = new URL(url);
+        return /^https?:$/.test(parsed.protocol) ? parsed.origin + parsed.pathname : null;
+    } catch {
+        return null;
     }
 }
 
@@ -0,0 +1,40 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('electron', () => ({ app: { getPath: () => { throw new Error('fuera de Electron'); } } }));
+const { SilhouetteOmnipotentAgent } = await import('./silhouette-omnipotent-agent.js');
+
+// Memoria que solo apunta lo que se le pide guardar
+function createMemory() {
+  return {
+    episodes: [],
+    facts: [],
+    recordEpisode(episode) { this.episodes.push(episode); },
+    learnFact(fact) { this.facts.push(fact); }
+  };
+}
+
+describe('ContextManager.updateWithExecution', () => {
+  test('el episodio de un formulario no guarda los valores de los campos', async () => {
+    const memory = createMemory();
+    const agent = new SilhouetteOmnipotentAgent({});
+    agent.log = () => {};
+    await agent.initialize();
+    agent.connectBrowserCore({ agentMemory: memory });
+    const task = {
+      description: 'Llena el formulario con: email: ana@example.com, password: hunter2, edad: 7',
+      type: 'form_filling',
+      data: { email: 'ana@example.com', password: 'hunter2', edad: 7 }
+    };
+    const plan = { steps: [{ id: 'step-1', action: 'type', description: 'Escribir ana@example.com en el email', target: '#email' }] };
+
+    await agent.contextManager.updateWithExecution(task, { success: true, results: [{ step: 'step-1', success: true }] }, {
+      text: task.description, taskType: 'form-filling', site: 'example.com', plan
+    });
+
+    const [episode] = memory.episodes;
+    expect(episode.task).toBe('Llena el formulario con: email, password, edad');
+    expect(episode.plan[0].description).toBe('Escribir •••• en el email');
+    expect(JSON.stringify(memory)).not.toMatch(/ana@example\.com|hunter2/);
+    expect(memory.facts).toEqual([expect.objectContaining({ kind: 'selector', key: 'Escribir •••• en el email', value: '#email' })]);
+  });
+});
@@ -0,0 +1,223 @@
+// =============================================================================
+// AGENT APPROVAL UI - DIÁLOGO DE APROBACIÓN DE ACCIONES DEL AGENTE
+// Muestra las acciones con riesgo que el agente quiere ejecutar (envíos,
+// compras, descargas, credenciales...) con su vista previa y recoge la decisión
+// del usuario. Las peticiones se atienden de una en una, en orden de llegada
+// =============================================================================
+
+class AgentApprovalUI {
+  constructor() {
+    this.queue = [];
+    this.current = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    console.log('🛡️ Inicializando aprobaciones del agente...');
+
+    try {
+      this.createModal();
+      this.addStyles();
+
+      window.silhouetteAPI.agent.onApprovalRequested((request) => this.enqueue(request));
+      // Resueltas en el proceso principal (tiempo agotado, tarea cancelada)
+      window.silhouetteAPI.agent.onApprovalResolved(({ id }) => this.dismiss(id));
+
+      // Peticiones que llegaron antes de cargar la interfaz
+      const pending = await window.silhouetteAPI.agent.getPendingApprovals();
+      (pending.requests || []).forEach(request => this.enqueue(request));
+
+      this.isInitialized = true;
+      console.log('✅ Aprobaciones del agente listas');
+    } catch (error) {
+      console.error('❌ Error inicializando aprobaciones del agente:', error);
+    }
+  }
+
+  createModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'agentApprovalModal';
+    modal.innerHTML = `
+      <div class="modal-content rules-modal-content">
+        <div class="modal-header">
+          <h3>🛡️ El agente necesita tu aprobación</h3>
+          <span class="approval-risk" id="approvalRisk"></span>
+        </div>
+        <div class="modal-body">
+          <p class="approval-summary" id="approvalSummary"></p>
+          <p class="rules-hint" id="approvalPage"></p>
+          <ul class="approval-reasons" id="approvalReasons"></ul>
+          <ul class="snapshot-diff" id="approvalDetails"></ul>
+          <img class="approval-screenshot" id="approvalScreenshot" alt="Vista previa de la página">
+          <label class="approval-remember" id="approvalRememberLabel">
+            <input type="checkbox" id="approvalRemember">
+            <span id="approvalRememberText"></span>
+          </label>
+          <p class="rules-hint" id="approvalQueue"></p>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-secondary" data-approval="deny">Denegar</button>
+          <button class="btn-primary" data-approval="approve">Aprobar</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelectorAll('[data-approval]').forEach(button => {
+      button.addEventListener('click', () => this.respond(button.dataset.approval === 'approve'));
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  // =============================================================================
+  // COLA DE PETICIONES
+  // =============================================================================
+
+  enqueue(request) {
+    if (this.current?.id === request.id || this.queue.some(queued => queued.id === request.id)) return;
+    this.queue.push(request);
+    if (!this.current) {
+      this.showNext();
+    } else {
+      this.renderQueue();
+    }
+  }
+
+  dismiss(id) {
+    this.queue = this.queue.filter(request => request.id !== id);
+    if (this.current?.id === id) {
+      this.showNext();
+    } else {
+      this.renderQueue();
+    }
+  }
+
+  showNext() {
+    const modal = document.getElementById('agentApprovalModal');
+    this.current = this.queue.shift() || null;
+    if (!this.current) {
+      modal.style.display = 'none';
+      return;
+    }
+    this.render(this.current);
+    modal.style.display = 'flex';
+  }
+
+  async respond(approved) {
+    const request = this.current;
+    if (!request) return;
+
+    const remember = approved && document.getElementById('approvalRemember').checked;
+    this.showNext();
+
+    const result = await window.silhouetteAPI.agent.respondApproval(request.id, { approved, remember });
+    if (!result.success) {
+      console.warn('⚠️ Aprobación no registrada:', result.error);
+    }
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  // Todo se inserta como texto: nombres de elementos y URLs vienen de la página
+  render(request) {
+    const risk = document.getElementById('approvalRisk');
+    risk.textContent = request.risk === 'high' ? 'Riesgo alto' : 'Riesgo medio';
+    risk.className = `approval-risk ${request.risk}`;
+
+    document.getElementById('approvalSummary').textContent = request.preview.summary;
+    document.getElementById('approvalPage').textContent = [
+      request.preview.pageUrl ? `Página: ${request.preview.pageUrl}` : null,
+      request.preview.url && request.preview.url !== request.preview.pageUrl ? `Destino: ${request.preview.url}` : null,
+      `Origen: ${request.source}`
+    ].filter(Boolean).join(' · ');
+
+    this.renderList(document.getElementById('approvalReasons'),
+      request.categories.map(category => `${request.labels[category] || category}: ${request.reasons[category]}`));
+    this.renderList(document.getElementById('approvalDetails'), request.preview.details);
+
+    const screenshot = document.getElementById('approvalScreenshot');
+    screenshot.style.display = request.screenshot ? 'block' : 'none';
+    screenshot.src = request.screenshot || '';
+
+    const remember = document.getElementById('approvalRemember');
+    remember.checked = false;
+    document.getElementById('approvalRememberLabel').style.display = request.rememberable ? 'flex' : 'none';
+    document.getElementById('approvalRememberText').textContent = `Permitir siempre en ${request.site}`;
+
+    this.renderQueue();
+  }
+
+  renderList(list, lines) {
+    list.innerHTML = '';
+    list.style.display = lines.length > 0 ? 'block' : 'none';
+    for (const line of lines) {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    }
+  }
+
+  renderQueue() {
+    const queue = document.getElementById('approvalQueue');
+    if (queue) {
+      queue.textContent = this.queue.length > 0 ? `${this.queue.length} peticiones más en espera` : '';
+    }
+  }
+
+  addStyles() {
+    const styles = `
+      <style>
+        .approval-risk {
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 11px;
+          color: white;
+          background: var(--warning-color, #d97706);
+        }
+
+        .approval-risk.high {
+          background: var(--error-color, #dc2626);
+        }
+
+        .approval-summary {
+          margin: 0 0 8px;
+          font-size: 13px;
+          color: var(--text-primary);
+          word-break: break-word;
+        }
+
+        .approval-reasons {
+          margin: 0 0 12px;
+          padding-left: 16px;
+          font-size: 12px;
+          color: var(--text-primary);
+        }
+
+        .approval-screenshot {
+          max-width: 100%;
+          max-height: 240px;
+          margin: 12px 0;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          object-fit: contain;
+        }
+
+        .approval-remember {
+          align-items: center;
+          gap: 6px;
+          font-size: 12px;
+          color: var(--text-primary);
+          margin-bottom: 8px;
+        }
+      </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+  }
+}
+
+// Exportar para uso global
+window.AgentApprovalUI = AgentApprovalUI;
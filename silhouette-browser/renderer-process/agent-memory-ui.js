@@ -0,0 +1,435 @@
+// =============================================================================
+// AGENT MEMORY UI - MEMORIA A LARGO PLAZO DE LOS AGENTES
+// Muestra lo que recuerdan los agentes (tareas ya hechas y hechos sobre
+// sitios) y permite buscar, corregir y olvidar recuerdos, uno a uno o por sitio
+// =============================================================================
+
+const MEMORY_FACT_LABELS = {
+  'login-flow': 'Inicio de sesión',
+  selector: 'Selector',
+  'page-structure': 'Estructura de página',
+  note: 'Nota'
+};
+
+const MEMORY_TASK_TYPES = [
+  'web-navigation', 'form-filling', 'data-extraction', 'automation',
+  'interaction', 'content-creation', 'analysis', 'hybrid'
+];
+
+class AgentMemoryUI {
+  constructor() {
+    this.memories = [];
+    this.stats = { episodes: 0, facts: 0, sites: [] };
+    this.filter = { type: '', site: '', query: '' };
+    this.editing = null; // id del recuerdo en edición
+    this.refreshTimer = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    console.log('🧠 Inicializando memoria de agentes...');
+
+    try {
+      this.createPanel();
+      this.addStyles();
+
+      window.silhouetteAPI.agent.onMemoryChanged(() => this.scheduleRefresh());
+      await this.loadMemories();
+
+      this.isInitialized = true;
+      console.log('✅ Memoria de agentes lista');
+    } catch (error) {
+      console.error('❌ Error inicializando memoria de agentes:', error);
+    }
+  }
+
+  createPanel() {
+    const container = document.querySelector('#memoryTab .config-container');
+    if (!container) return;
+
+    container.innerHTML = `
+      <h3>🧠 Memoria de agentes</h3>
+      <div class="memory-toolbar">
+        <input type="search" id="memorySearch" placeholder="Buscar en la memoria...">
+        <select id="memoryTypeFilter" title="Tipo de recuerdo">
+          <option value="">Todo</option>
+          <option value="episode">Tareas</option>
+          <option value="fact">Hechos</option>
+        </select>
+        <select id="memorySiteFilter" title="Sitio"></select>
+        <button class="btn-small" id="memoryForgetSite" title="Olvidar todo lo que se sabe del sitio">🧹</button>
+      </div>
+      <div class="memory-summary" id="memorySummary"></div>
+      <div class="memory-list" id="memoryList"></div>
+    `;
+
+    let searchTimer = null;
+    document.getElementById('memorySearch').addEventListener('input', (event) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        this.filter.query = event.target.value.trim();
+        this.loadMemories();
+      }, 250);
+    });
+    document.getElementById('memoryTypeFilter').addEventListener('change', (event) => {
+      this.filter.type = event.target.value;
+      this.loadMemories();
+    });
+    document.getElementById('memorySiteFilter').addEventListener('change', (event) => {
+      this.filter.site = event.target.value;
+      this.loadMemories();
+    });
+    document.getElementById('memoryForgetSite').addEventListener('click', () => this.forgetSite());
+  }
+
+  // =============================================================================
+  // CARGA DE DATOS
+  // =============================================================================
+
+  async loadMemories() {
+    const result = await window.silhouetteAPI.agent.listMemories({
+      type: this.filter.type || null,
+      site: this.filter.site || null,
+      query: this.filter.query
+    });
+    this.memories = result.memories || [];
+    this.stats = result.stats || this.stats;
+    this.render();
+  }
+
+  // Los agentes aprenden en cada ejecución; la lista se recarga como mucho dos
+  // veces por segundo y nunca mientras se edita un recuerdo
+  scheduleRefresh() {
+    if (this.refreshTimer || this.editing) return;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      if (!this.editing) this.loadMemories();
+    }, 500);
+  }
+
+  // =============================================================================
+  // ACCIONES
+  // =============================================================================
+
+  async save(memory, form) {
+    const changes = {};
+    for (const field of form.querySelectorAll('[data-field]')) {
+      changes[field.dataset.field] = field.value;
+    }
+
+    const result = await window.silhouetteAPI.agent.updateMemory(memory.id, changes);
+    if (!result.success) {
+      this.showMessage(`❌ ${result.error}`);
+      return;
+    }
+    this.editing = null;
+    await this.loadMemories();
+  }
+
+  async forget(memory) {
+    if (!confirm(`¿Olvidar "${this.titleOf(memory)}"?`)) return;
+
+    const result = await window.silhouetteAPI.agent.forgetMemory(memory.id);
+    if (!result.success) {
+      this.showMessage('❌ No se pudo olvidar el recuerdo');
+      return;
+    }
+    await this.loadMemories();
+  }
+
+  async forgetSite() {
+    const site = this.filter.site;
+    if (!site) {
+      this.showMessage('Elige un sitio para olvidar todo lo que se sabe de él');
+      return;
+    }
+    if (!confirm(`¿Olvidar todo lo que los agentes recuerdan de ${site}?`)) return;
+
+    const result = await window.silhouetteAPI.agent.forgetMemories({ site });
+    this.filter.site = '';
+    await this.loadMemories();
+    this.showMessage(`🧹 ${result.count || 0} recuerdos olvidados de ${site}`);
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  // Tareas, claves y valores vienen de páginas y modelos: siempre como texto
+  render() {
+    this.renderSiteFilter();
+
+    const summary = document.getElementById('memorySummary');
+    if (summary) {
+      summary.textContent = `${this.stats.episodes} tareas · ${this.stats.facts} hechos · ${this.stats.sites.length} sitios`;
+    }
+
+    const list = document.getElementById('memoryList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (this.memories.length === 0) {
+      list.appendChild(this.element('div', 'rules-empty', this.filter.query
+        ? 'Ningún recuerdo coincide con la búsqueda'
+        : 'Los agentes todavía no recuerdan nada'));
+      return;
+    }
+
+    for (const memory of this.memories) {
+      list.appendChild(this.editing === memory.id ? this.renderEditor(memory) : this.renderItem(memory));
+    }
+  }
+
+  renderSiteFilter() {
+    const select = document.getElementById('memorySiteFilter');
+    if (!select) return;
+    select.innerHTML = '';
+
+    const sites = this.stats.sites.includes(this.filter.site) || !this.filter.site
+      ? this.stats.sites
+      : [...this.stats.sites, this.filter.site];
+    select.appendChild(this.option('', 'Todos los sitios'));
+    for (const site of sites) {
+      select.appendChild(this.option(site, site));
+    }
+    select.value = this.filter.site;
+  }
+
+  renderItem(memory) {
+    const item = this.element('div', `memory-item ${memory.type}`);
+
+    const header = this.element('div', 'memory-header');
+    header.appendChild(this.element('span', 'memory-badge', memory.type === 'fact'
+      ? `📌 ${MEMORY_FACT_LABELS[memory.kind] || memory.kind}`
+      : `${memory.success ? '✅' : '❌'} ${memory.taskType || 'tarea'}`));
+    if (memory.site) header.appendChild(this.element('span', 'memory-site', memory.site));
+
+    const actions = this.element('div', 'memory-actions');
+    const editButton = this.element('button', 'btn-small', '✏️');
+    editButton.title = 'Corregir';
+    editButton.addEventListener('click', () => {
+      this.editing = memory.id;
+      this.render();
+    });
+    const forgetButton = this.element('button', 'btn-small', '🗑️');
+    forgetButton.title = 'Olvidar';
+    forgetButton.addEventListener('click', () => this.forget(memory));
+    actions.append(editButton, forgetButton);
+    header.appendChild(actions);
+    item.appendChild(header);
+
+    if (memory.type === 'fact') {
+      item.appendChild(this.element('div', 'memory-title', memory.key));
+      item.appendChild(this.element('div', 'memory-value', memory.value));
+    } else {
+      item.appendChild(this.element('div', 'memory-title', memory.task));
+      if (memory.plan?.length > 0) {
+        item.appendChild(this.element('div', 'memory-value', memory.plan.map(step => step.description).join(' → ')));
+      }
+      if (memory.error) item.appendChild(this.element('div', 'memory-error', memory.error));
+    }
+
+    item.appendChild(this.element('div', 'memory-meta', [
+      `actualizado ${new Date(memory.updatedAt).toLocaleString()}`,
+      memory.lastUsedAt ? `usado ${memory.uses} veces, la última ${new Date(memory.lastUsedAt).toLocaleString()}` : 'sin usar',
+      memory.type === 'fact' ? `${memory.successes} aciertos / ${memory.failures} fallos` : null,
+      memory.score !== undefined ? `relevancia ${Math.round(memory.score * 100)}%` : null,
+      memory.source === 'user' ? '✏️ editado' : null
+    ].filter(Boolean).join(' · ')));
+    return item;
+  }
+
+  renderEditor(memory) {
+    const form = this.element('div', 'memory-item editing');
+
+    if (memory.type === 'fact') {
+      const kind = document.createElement('select');
+      kind.dataset.field = 'kind';
+      for (const [value, label] of Object.entries(MEMORY_FACT_LABELS)) kind.appendChild(this.option(value, label));
+      kind.value = memory.kind;
+      form.append(
+        this.labelled('Tipo', kind),
+        this.labelled('Sitio', this.input('site', memory.site)),
+        this.labelled('Clave', this.input('key', memory.key)),
+        this.labelled('Valor', this.input('value', memory.value, 'textarea'))
+      );
+    } else {
+      const taskType = document.createElement('select');
+      taskType.dataset.field = 'taskType';
+      taskType.appendChild(this.option('', '—'));
+      for (const type of MEMORY_TASK_TYPES) taskType.appendChild(this.option(type, type));
+      taskType.value = memory.taskType || '';
+      form.append(
+        this.labelled('Tarea', this.input('task', memory.task, 'textarea')),
+        this.labelled('Tipo de tarea', taskType),
+        this.labelled('Sitio', this.input('site', memory.site || ''))
+      );
+    }
+
+    const actions = this.element('div', 'memory-actions');
+    const saveButton = this.element('button', 'btn-small', '💾 Guardar');
+    saveButton.addEventListener('click', () => this.save(memory, form));
+    const cancelButton = this.element('button', 'btn-small', 'Cancelar');
+    cancelButton.addEventListener('click', () => {
+      this.editing = null;
+      this.loadMemories();
+    });
+    actions.append(saveButton, cancelButton);
+    form.appendChild(actions);
+    return form;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  element(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  option(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  input(field, value, tag = 'input') {
+    const input = document.createElement(tag);
+    input.dataset.field = field;
+    input.value = value ?? '';
+    return input;
+  }
+
+  labelled(text, control) {
+    const label = this.element('label', 'memory-field');
+    label.appendChild(this.element('span', null, text));
+    label.appendChild(control);
+    return label;
+  }
+
+  titleOf(memory) {
+    return memory.type === 'fact' ? memory.key : memory.task;
+  }
+
+  showMessage(message) {
+    const list = document.getElementById('memoryList');
+    if (!list) return;
+    list.prepend(this.element('div', 'memory-message', message));
+  }
+
+  addStyles() {
+    const styles = `
+      <style>
+        .memory-toolbar {
+          display: flex;
+          gap: 6px;
+          margin-bottom: 6px;
+        }
+
+        .memory-toolbar input {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .memory-summary {
+          font-size: 11px;
+          color: var(--text-muted);
+          margin-bottom: 8px;
+        }
+
+        .memory-list {
+          max-height: 480px;
+          overflow-y: auto;
+        }
+
+        .memory-item {
+          padding: 8px;
+          margin-bottom: 6px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .memory-header {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .memory-badge {
+          font-size: 11px;
+          color: var(--text-primary);
+        }
+
+        .memory-site {
+          font-size: 11px;
+          color: var(--primary-color);
+        }
+
+        .memory-actions {
+          display: flex;
+          gap: 4px;
+          margin-left: auto;
+        }
+
+        .memory-item.editing .memory-actions {
+          margin-top: 6px;
+        }
+
+        .memory-title {
+          margin-top: 4px;
+          color: var(--text-primary);
+          word-break: break-word;
+        }
+
+        .memory-value {
+          margin-top: 2px;
+          font-family: monospace;
+          font-size: 11px;
+          color: var(--text-primary);
+          word-break: break-word;
+        }
+
+        .memory-error,
+        .memory-message {
+          font-size: 11px;
+          margin: 4px 0;
+          color: var(--error-color, #dc2626);
+        }
+
+        .memory-message {
+          color: var(--text-muted);
+        }
+
+        .memory-meta {
+          margin-top: 4px;
+          font-size: 10px;
+          color: var(--text-muted);
+        }
+
+        .memory-field {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          margin-bottom: 6px;
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        .memory-field textarea {
+          min-height: 48px;
+          resize: vertical;
+        }
+      </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+  }
+}
+
+// Exportar para uso global
+window.AgentMemoryUI = AgentMemoryUI;
@@ -0,0 +1,533 @@
+// =============================================================================
+// AGENT TRACES UI - LÍNEA DE TIEMPO DE LAS EJECUCIONES DE AGENTES
+// Lista las trazas grabadas y muestra la seleccionada como una línea de tiempo:
+// una barra por paso (los pasos paralelos del orquestador se solapan), con sus
+// entradas, salidas, errores y capturas, y permite relanzarla desde cualquier paso
+// =============================================================================
+
+const TRACE_KIND_LABELS = {
+  orchestrator: 'Orquestador',
+  'browser-agent': 'Navegación autónoma',
+  'omnipotent-task': 'Tarea omnipotente',
+  'data-extraction': 'Extracción de datos'
+};
+
+const TRACE_STATUS_ICONS = {
+  running: '⏳',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '⏹️',
+  timeout: '⌛',
+  max_steps: '🔁',
+  blocked: '🚫',
+  interrupted: '⚠️'
+};
+
+class AgentTracesUI {
+  constructor() {
+    this.traces = new Map();   // traceId -> resumen
+    this.selected = null;      // traza completa seleccionada
+    this.expandedStep = null;
+    this.kindFilter = '';
+    this.refreshTimer = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    console.log('🧭 Inicializando trazas de agentes...');
+
+    try {
+      this.createPanel();
+      this.addStyles();
+
+      window.silhouetteAPI.agent.onTraceUpdated(({ trace }) => this.onTraceUpdated(trace));
+      await this.loadTraces();
+
+      this.isInitialized = true;
+      console.log('✅ Trazas de agentes listas');
+    } catch (error) {
+      console.error('❌ Error inicializando trazas de agentes:', error);
+    }
+  }
+
+  createPanel() {
+    const container = document.querySelector('#tracesTab .config-container');
+    if (!container) return;
+
+    container.innerHTML = `
+      <h3>🧭 Trazas de agentes</h3>
+      <div class="trace-toolbar">
+        <select id="traceKindFilter" title="Tipo de ejecución">
+          <option value="">Todas</option>
+          ${Object.entries(TRACE_KIND_LABELS).map(([kind, label]) => `<option value="${kind}">${label}</option>`).join('')}
+        </select>
+        <button class="btn-small" id="traceRefresh" title="Recargar">🔄</button>
+      </div>
+      <div class="trace-list" id="traceList"></div>
+      <div class="trace-detail" id="traceDetail"></div>
+    `;
+
+    document.getElementById('traceKindFilter').addEventListener('change', (event) => {
+      this.kindFilter = event.target.value;
+      this.loadTraces();
+    });
+    document.getElementById('traceRefresh').addEventListener('click', () => this.loadTraces());
+  }
+
+  // =============================================================================
+  // CARGA DE DATOS
+  // =============================================================================
+
+  async loadTraces() {
+    const result = await window.silhouetteAPI.agent.listTraces({ kind: this.kindFilter || null });
+    this.traces = new Map((result.traces || []).map(trace => [trace.id, trace]));
+    this.renderList();
+  }
+
+  async selectTrace(traceId) {
+    const result = await window.silhouetteAPI.agent.getTrace(traceId);
+    if (!result.success) {
+      this.showMessage(`❌ ${result.error}`);
+      return;
+    }
+    if (this.selected?.id !== traceId) this.expandedStep = null;
+    this.selected = result.trace;
+    this.renderList();
+    this.renderDetail();
+  }
+
+  // Las trazas en curso avisan en cada paso; la abierta se recarga como mucho
+  // dos veces por segundo
+  onTraceUpdated(summary) {
+    if (this.kindFilter && summary.kind !== this.kindFilter) return;
+    this.traces.set(summary.id, summary);
+    this.renderList();
+
+    if (this.selected?.id === summary.id && !this.refreshTimer) {
+      this.refreshTimer = setTimeout(() => {
+        this.refreshTimer = null;
+        this.selectTrace(summary.id);
+      }, 500);
+    }
+  }
+
+  // =============================================================================
+  // ACCIONES
+  // =============================================================================
+
+  async rerun(fromStepId = null) {
+    const trace = this.selected;
+    if (!trace) return;
+
+    this.showMessage(fromStepId ? `🔁 Relanzando desde ${fromStepId}...` : '🔁 Relanzando...');
+    const result = await window.silhouetteAPI.agent.rerunTrace(trace.id, fromStepId);
+    if (!result.success) {
+      this.showMessage(`❌ ${result.error}`);
+      if (result.traceId) await this.selectTrace(result.traceId);
+      return;
+    }
+    const newTraceId = result.result?.traceId;
+    if (newTraceId) await this.selectTrace(newTraceId);
+  }
+
+  async deleteSelected() {
+    const trace = this.selected;
+    if (!trace || !confirm(`¿Borrar la traza "${trace.title}"?`)) return;
+
+    const result = await window.silhouetteAPI.agent.deleteTrace(trace.id);
+    if (!result.success) {
+      this.showMessage(`❌ ${result.error || 'No se pudo borrar la traza'}`);
+      return;
+    }
+    this.traces.delete(trace.id);
+    this.selected = null;
+    this.renderList();
+    this.renderDetail();
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  // Títulos, URLs y salidas vienen de páginas y modelos: siempre como texto
+  renderList() {
+    const list = document.getElementById('traceList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const traces = Array.from(this.traces.values()).sort((a, b) => b.startedAt - a.startedAt);
+    if (traces.length === 0) {
+      list.appendChild(this.element('div', 'rules-empty', 'Todavía no hay ejecuciones grabadas'));
+      return;
+    }
+
+    for (const trace of traces) {
+      const item = this.element('div', `trace-item${this.selected?.id === trace.id ? ' selected' : ''}`);
+      item.appendChild(this.element('span', 'trace-status', TRACE_STATUS_ICONS[trace.status] || '•'));
+      const info = this.element('div', 'trace-info');
+      info.appendChild(this.element('div', 'trace-title', trace.title));
+      info.appendChild(this.element('div', 'trace-meta', [
+        TRACE_KIND_LABELS[trace.kind] || trace.kind,
+        new Date(trace.startedAt).toLocaleString(),
+        `${trace.steps} pasos`,
+        trace.duration !== null ? this.formatDuration(trace.duration) : null,
+        trace.rerunOf ? '🔁 relanzada' : null
+      ].filter(Boolean).join(' · ')));
+      item.appendChild(info);
+      item.addEventListener('click', () => this.selectTrace(trace.id));
+      list.appendChild(item);
+    }
+  }
+
+  renderDetail() {
+    const detail = document.getElementById('traceDetail');
+    if (!detail) return;
+    detail.innerHTML = '';
+
+    const trace = this.selected;
+    if (!trace) return;
+
+    const header = this.element('div', 'trace-header');
+    header.appendChild(this.element('strong', null, `${TRACE_STATUS_ICONS[trace.status] || ''} ${trace.title}`));
+    const actions = this.element('div', 'trace-actions');
+    const rerunButton = this.element('button', 'btn-small', '🔁 Relanzar');
+    rerunButton.disabled = trace.status === 'running';
+    rerunButton.addEventListener('click', () => this.rerun());
+    const deleteButton = this.element('button', 'btn-small', '🗑️');
+    deleteButton.title = 'Borrar traza';
+    deleteButton.disabled = trace.status === 'running';
+    deleteButton.addEventListener('click', () => this.deleteSelected());
+    actions.append(rerunButton, deleteButton);
+    header.appendChild(actions);
+    detail.appendChild(header);
+
+    const meta = [
+      TRACE_KIND_LABELS[trace.kind] || trace.kind,
+      new Date(trace.startedAt).toLocaleString(),
+      trace.duration !== null ? this.formatDuration(trace.duration) : 'en curso'
+    ];
+    if (trace.teams) meta.push(`Equipos: ${this.describeTeams(trace.teams)}`);
+    detail.appendChild(this.element('div', 'trace-meta', meta.join(' · ')));
+
+    if (trace.rerunOf) {
+      const origin = this.element('a', 'trace-link', `🔁 Relanzada de ${trace.rerunOf.traceId}${trace.rerunOf.fromStep ? ` desde ${trace.rerunOf.fromStep}` : ''}`);
+      origin.href = '#';
+      origin.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.selectTrace(trace.rerunOf.traceId);
+      });
+      detail.appendChild(origin);
+    }
+    if (trace.error) detail.appendChild(this.element('div', 'trace-error', trace.error));
+
+    detail.appendChild(this.renderTimeline(trace));
+
+    if (trace.result) {
+      detail.appendChild(this.element('div', 'trace-section-title', 'Resultado'));
+      detail.appendChild(this.element('pre', 'trace-json', this.formatValue(trace.result)));
+    }
+    if (trace.plan) {
+      const plan = this.element('details', 'trace-plan');
+      plan.appendChild(this.element('summary', null, `Plan (${trace.plan.steps?.length || 0} pasos)`));
+      plan.appendChild(this.element('pre', 'trace-json', this.formatValue(trace.plan)));
+      detail.appendChild(plan);
+    }
+  }
+
+  // Escala común: el principio de la traza a la izquierda, su final (o ahora) a la derecha
+  renderTimeline(trace) {
+    const timeline = this.element('div', 'trace-timeline');
+    const end = trace.finishedAt || Math.max(Date.now(), ...trace.steps.map(step => step.finishedAt || 0));
+    const total = Math.max(1, end - trace.startedAt);
+
+    if (trace.steps.length === 0) {
+      timeline.appendChild(this.element('div', 'rules-empty', 'Sin pasos grabados'));
+    }
+
+    for (const step of trace.steps) {
+      const row = this.element('div', `trace-step ${step.status}`);
+      const label = this.element('div', 'trace-step-label', [
+        step.id,
+        step.action && step.action !== step.id ? step.action : null,
+        step.team ? `(${step.team})` : null
+      ].filter(Boolean).join(' '));
+      label.title = step.description || step.thought || '';
+
+      const track = this.element('div', 'trace-step-track');
+      const bar = this.element('div', 'trace-step-bar');
+      if (step.startedAt) {
+        bar.style.left = `${((step.startedAt - trace.startedAt) / total) * 100}%`;
+        bar.style.width = `${Math.max(0.5, ((step.duration ?? (end - step.startedAt)) / total) * 100)}%`;
+      } else {
+        bar.classList.add('not-started');
+      }
+      track.appendChild(bar);
+
+      const badges = [
+        step.reused ? 'reutilizado' : null,
+        step.denied ? 'no aprobado' : null,
+        step.attempts > 1 ? `${step.attempts} intentos` : null,
+        step.timedOut ? 'tiempo agotado' : null,
+        step.duration !== null && step.duration !== undefined ? this.formatDuration(step.duration) : step.status
+      ].filter(Boolean);
+      row.append(label, track, this.element('div', 'trace-step-time', badges.join(' · ')));
+      row.addEventListener('click', () => {
+        this.expandedStep = this.expandedStep === step.id ? null : step.id;
+        this.renderDetail();
+      });
+      timeline.appendChild(row);
+
+      if (this.expandedStep === step.id) {
+        timeline.appendChild(this.renderStepDetail(trace, step));
+      }
+    }
+    return timeline;
+  }
+
+  renderStepDetail(trace, step) {
+    const detail = this.element('div', 'trace-step-detail');
+
+    if (step.url) detail.appendChild(this.element('div', 'trace-meta', `${step.title || ''} ${step.url}`.trim()));
+    if (step.thought) detail.appendChild(this.element('div', 'trace-thought', step.thought));
+    if (step.error) detail.appendChild(this.element('div', 'trace-error', step.error));
+    if (step.inputs !== undefined && step.inputs !== null) {
+      detail.appendChild(this.element('div', 'trace-section-title', 'Entradas'));
+      detail.appendChild(this.element('pre', 'trace-json', this.formatValue(step.inputs)));
+    }
+    if (step.output !== undefined && step.output !== null) {
+      detail.appendChild(this.element('div', 'trace-section-title', 'Salida'));
+      detail.appendChild(this.element('pre', 'trace-json', this.formatValue(step.output)));
+    }
+    if (step.screenshot) {
+      const image = this.element('img', 'trace-screenshot');
+      image.src = step.screenshot;
+      image.alt = `Captura del paso ${step.id}`;
+      detail.appendChild(image);
+    }
+
+    const rerunButton = this.element('button', 'btn-small', '🔁 Relanzar desde este paso');
+    rerunButton.disabled = trace.status === 'running';
+    rerunButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.rerun(step.id);
+    });
+    detail.appendChild(rerunButton);
+    return detail;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  element(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  describeTeams(teams) {
+    if (teams.primary) {
+      return [teams.primary, ...(teams.supporting || [])].join(', ');
+    }
+    return Object.values(teams).join(', ');
+  }
+
+  formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+
+  formatDuration(ms) {
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  }
+
+  showMessage(message) {
+    const detail = document.getElementById('traceDetail');
+    if (!detail) return;
+    detail.prepend(this.element('div', 'trace-message', message));
+  }
+
+  addStyles() {
+    const styles = `
+      <style>
+        .trace-toolbar {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+
+        .trace-list {
+          max-height: 220px;
+          overflow-y: auto;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          margin-bottom: 12px;
+        }
+
+        .trace-item {
+          display: flex;
+          gap: 8px;
+          align-items: flex-start;
+          padding: 6px 8px;
+          cursor: pointer;
+          border-bottom: 1px solid var(--border-color);
+        }
+
+        .trace-item:hover,
+        .trace-item.selected {
+          background: var(--background-tertiary);
+        }
+
+        .trace-info {
+          min-width: 0;
+          flex: 1;
+        }
+
+        .trace-title {
+          font-size: 12px;
+          color: var(--text-primary);
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .trace-meta {
+          font-size: 11px;
+          color: var(--text-muted);
+          word-break: break-all;
+        }
+
+        .trace-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          color: var(--text-primary);
+        }
+
+        .trace-actions {
+          display: flex;
+          gap: 4px;
+        }
+
+        .trace-link {
+          display: block;
+          font-size: 11px;
+          margin-top: 4px;
+          color: var(--primary-color);
+        }
+
+        .trace-error,
+        .trace-message {
+          font-size: 11px;
+          margin: 6px 0;
+          color: var(--error-color, #dc2626);
+        }
+
+        .trace-message {
+          color: var(--text-muted);
+        }
+
+        .trace-timeline {
+          margin: 12px 0;
+        }
+
+        .trace-step {
+          display: grid;
+          grid-template-columns: 140px 1fr 110px;
+          gap: 8px;
+          align-items: center;
+          padding: 3px 0;
+          cursor: pointer;
+          font-size: 11px;
+        }
+
+        .trace-step-label,
+        .trace-step-time {
+          color: var(--text-primary);
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .trace-step-time {
+          color: var(--text-muted);
+          text-align: right;
+        }
+
+        .trace-step-track {
+          position: relative;
+          height: 10px;
+          background: var(--background-tertiary);
+          border-radius: 3px;
+        }
+
+        .trace-step-bar {
+          position: absolute;
+          top: 0;
+          height: 100%;
+          min-width: 2px;
+          border-radius: 3px;
+          background: var(--primary-color);
+        }
+
+        .trace-step.succeeded .trace-step-bar { background: var(--success-color, #16a34a); }
+        .trace-step.failed .trace-step-bar { background: var(--error-color, #dc2626); }
+        .trace-step.running .trace-step-bar { background: var(--warning-color, #d97706); }
+        .trace-step-bar.not-started { display: none; }
+        .trace-step.skipped,
+        .trace-step.cancelled { opacity: 0.5; }
+
+        .trace-step-detail {
+          margin: 4px 0 8px 16px;
+          padding: 8px;
+          border-left: 2px solid var(--border-color);
+        }
+
+        .trace-section-title {
+          font-size: 11px;
+          font-weight: 600;
+          color: var(--text-primary);
+          margin-top: 6px;
+        }
+
+        .trace-thought {
+          font-size: 11px;
+          font-style: italic;
+          color: var(--text-primary);
+        }
+
+        .trace-json {
+          max-height: 180px;
+          overflow: auto;
+          margin: 4px 0;
+          padding: 6px;
+          font-size: 11px;
+          background: var(--background-tertiary);
+          color: var(--text-primary);
+          white-space: pre-wrap;
+          word-break: break-word;
+        }
+
+        .trace-screenshot {
+          display: block;
+          max-width: 100%;
+          margin: 6px 0;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+        }
+
+        .trace-plan summary {
+          font-size: 11px;
+          cursor: pointer;
+          color: var(--text-primary);
+        }
+      </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+  }
+}
+
+// Exportar para uso global
+window.AgentTracesUI = AgentTracesUI;
@@ -0,0 +1,494 @@
+// =============================================================================
+// DATA EXTRACTION UI - EXTRACCIÓN ESTRUCTURADA DE DATOS
+// Formulario para describir los registros (esquema JSON, selector de los
+// elementos y selectores por campo, o nada y que se deduzcan), la paginación
+// y la salida; muestra el progreso por página, una vista previa de los
+// registros, los que no cumplen el esquema y los selectores usados. La última
+// descripción se recuerda para repetir la extracción otro día
+// =============================================================================
+
+const EXTRACTION_FORMATS = {
+  structured: 'Ver aquí',
+  json: 'JSON',
+  csv: 'CSV',
+  ndjson: 'NDJSON',
+  sqlite: 'SQLite'
+};
+
+const EXTRACTION_STOP_REASONS = {
+  'single-page': 'una sola página',
+  'last-page': 'no hay más páginas',
+  'no-new-records': 'la página siguiente no trae nada nuevo',
+  'max-pages': 'límite de páginas',
+  'max-records': 'límite de registros'
+};
+
+const EXTRACTION_STORAGE_KEY = 'silhouetteExtractionSpec';
+const EXTRACTION_PREVIEW_ROWS = 20;
+
+class DataExtractionUI {
+  constructor() {
+    this.running = false;
+    this.result = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    console.log('📦 Inicializando extracción de datos...');
+
+    try {
+      this.createPanel();
+      this.addStyles();
+      this.restoreForm();
+
+      window.silhouetteAPI.omnipotent.onExtractionProgress((page) => {
+        if (!this.running) return;
+        this.setStatus(`📄 Página ${page.page}: ${page.items} elementos, ${page.added} registros nuevos` +
+          (page.loadMoreClicks > 0 ? ` (${page.loadMoreClicks} × "Cargar más")` : ''));
+      });
+
+      this.isInitialized = true;
+      console.log('✅ Extracción de datos lista');
+    } catch (error) {
+      console.error('❌ Error inicializando extracción de datos:', error);
+    }
+  }
+
+  createPanel() {
+    const container = document.querySelector('#extractionTab .config-container');
+    if (!container) return;
+
+    container.innerHTML = '<h3>📦 Extracción de datos</h3>';
+    const form = this.element('div', 'extraction-form');
+    form.id = 'extractionForm';
+
+    const url = this.input('url', '');
+    url.placeholder = 'https://… (vacío: pestaña activa)';
+    const itemSelector = this.input('itemSelector', '');
+    itemSelector.placeholder = '.producto (vacío: se deduce)';
+    const fields = this.input('fields', '', 'textarea');
+    fields.placeholder = 'nombre: h2\nprecio: .price\nenlace: a @href\netiquetas[]: .tag';
+    const schema = this.input('schema', '', 'textarea');
+    schema.placeholder = '{ "type": "object", "properties": { "precio": { "type": "number" } }, "required": ["precio"] }';
+
+    const next = this.input('nextSelector', '');
+    next.placeholder = 'selector (vacío: automático)';
+    const loadMore = this.input('loadMoreSelector', '');
+    loadMore.placeholder = 'selector (vacío: automático)';
+    const maxPages = this.input('maxPages', '10');
+    maxPages.type = 'number';
+    maxPages.min = '1';
+    const dedupeBy = this.input('dedupeBy', '');
+    dedupeBy.placeholder = 'campos separados por comas (vacío: registro completo)';
+
+    const format = this.select('format', EXTRACTION_FORMATS, 'structured');
+    const tableLabel = this.labelled('Tabla', this.input('table', 'records'));
+    const updateFormat = () => {
+      tableLabel.hidden = format.value !== 'sqlite';
+    };
+    format.addEventListener('change', updateFormat);
+    updateFormat();
+
+    const pagination = this.element('div', 'extraction-row');
+    pagination.append(this.checkbox('followNext', 'Seguir «Siguiente»'), next);
+    const loading = this.element('div', 'extraction-row');
+    loading.append(this.checkbox('clickLoadMore', 'Pulsar «Cargar más»'), loadMore);
+
+    form.append(
+      this.labelled('Página', url),
+      this.labelled('Selector de cada registro', itemSelector),
+      this.labelled('Campos (nombre: selector @atributo; nombre[] para listas)', fields),
+      this.labelled('Esquema JSON (opcional)', schema),
+      this.labelled('Paginación', pagination),
+      loading,
+      this.labelled('Máximo de páginas', maxPages),
+      this.labelled('Quitar repetidos por', dedupeBy),
+      this.checkbox('keepInvalid', 'Conservar los registros que no cumplen el esquema'),
+      this.labelled('Salida', format),
+      tableLabel
+    );
+
+    const actions = this.element('div', 'extraction-actions');
+    const runButton = this.element('button', 'btn-small', '📦 Extraer');
+    runButton.id = 'extractionRun';
+    runButton.addEventListener('click', () => this.run());
+    actions.appendChild(runButton);
+    form.appendChild(actions);
+
+    const status = this.element('div', 'extraction-status');
+    status.id = 'extractionStatus';
+    const result = this.element('div', 'extraction-result');
+    result.id = 'extractionResult';
+    container.append(form, status, result);
+  }
+
+  // =============================================================================
+  // EJECUCIÓN
+  // =============================================================================
+
+  async run() {
+    if (this.running) return;
+
+    let spec;
+    try {
+      spec = this.readForm();
+    } catch (error) {
+      this.setStatus(`❌ ${error.message}`);
+      return;
+    }
+    const format = this.field('format').value;
+    localStorage.setItem(EXTRACTION_STORAGE_KEY, JSON.stringify(this.formValues()));
+
+    this.running = true;
+    this.result = null;
+    document.getElementById('extractionRun').disabled = true;
+    this.setStatus('⏳ Extrayendo...');
+    try {
+      const result = await window.silhouetteAPI.omnipotent.extractData(spec, format, {
+        saveAs: format !== 'structured',
+        table: this.field('table').value.trim() || undefined
+      });
+      if (result.canceled) {
+        this.setStatus('');
+      } else if (!result.success) {
+        this.setStatus(`❌ ${result.error}`);
+      } else {
+        this.result = result;
+        this.setStatus(this.describeResult(result));
+      }
+      this.renderResult();
+    } finally {
+      this.running = false;
+      document.getElementById('extractionRun').disabled = false;
+    }
+  }
+
+  readForm() {
+    const value = (name) => this.field(name).value.trim();
+    const spec = {};
+    if (value('url')) spec.url = value('url');
+    if (value('itemSelector')) spec.itemSelector = value('itemSelector');
+
+    const fields = this.parseFields(value('fields'));
+    if (Object.keys(fields).length > 0) spec.fields = fields;
+    if (value('schema')) {
+      try {
+        spec.schema = JSON.parse(value('schema'));
+      } catch (error) {
+        throw new Error(`El esquema no es JSON válido: ${error.message}`);
+      }
+    }
+
+    if (this.field('followNext').checked || this.field('clickLoadMore').checked) {
+      spec.pagination = {
+        next: this.field('followNext').checked ? value('nextSelector') || 'auto' : null,
+        loadMore: this.field('clickLoadMore').checked ? value('loadMoreSelector') || 'auto' : null,
+        maxPages: Number(value('maxPages')) || undefined
+      };
+    }
+    const dedupeBy = value('dedupeBy').split(',').map(name => name.trim()).filter(Boolean);
+    if (dedupeBy.length > 0) spec.dedupeBy = dedupeBy;
+    if (this.field('keepInvalid').checked) spec.keepInvalid = true;
+    return spec;
+  }
+
+  // "nombre: selector @atributo", una por línea; "nombre[]" lee todos los que coincidan
+  parseFields(text) {
+    const fields = {};
+    for (const line of text.split('\n').map(entry => entry.trim()).filter(Boolean)) {
+      const match = line.match(/^([^:]+?)(\[\])?\s*:\s*(.*?)(?:\s+@([\w-]+))?$/);
+      if (!match) {
+        throw new Error(`Campo mal escrito: "${line}" (nombre: selector @atributo)`);
+      }
+      const [, name, multiple, selector, attribute] = match;
+      fields[name.trim()] = { selector: selector || '.', attribute: attribute || 'text', multiple: Boolean(multiple) };
+    }
+    return fields;
+  }
+
+  formatFields(fields) {
+    return Object.entries(fields || {}).map(([name, field]) =>
+      `${name}${field.multiple ? '[]' : ''}: ${field.selector || '.'}${field.attribute && field.attribute !== 'text' ? ` @${field.attribute}` : ''}`
+    ).join('\n');
+  }
+
+  // Los selectores deducidos pasan al formulario para fijarlos en la próxima extracción
+  useSelectors(selectors) {
+    this.field('itemSelector').value = selectors.itemSelector || '';
+    this.field('fields').value = this.formatFields(selectors.fields);
+    localStorage.setItem(EXTRACTION_STORAGE_KEY, JSON.stringify(this.formValues()));
+  }
+
+  formValues() {
+    return Object.fromEntries(Array.from(document.querySelectorAll('#extractionForm [data-field]')).map(control => [
+      control.dataset.field,
+      control.type === 'checkbox' ? control.checked : control.value
+    ]));
+  }
+
+  restoreForm() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(EXTRACTION_STORAGE_KEY) || 'null');
+    } catch {
+      saved = null;
+    }
+    for (const [name, value] of Object.entries(saved || {})) {
+      const control = this.field(name);
+      if (!control) continue;
+      if (control.type === 'checkbox') control.checked = Boolean(value); else control.value = value;
+      control.dispatchEvent(new Event('change'));
+    }
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  describeResult(result) {
+    return [
+      `✅ ${result.count} registros de ${result.pages.length} ${result.pages.length === 1 ? 'página' : 'páginas'}`,
+      result.invalidCount > 0 ? `${result.invalidCount} no cumplen el esquema` : null,
+      result.duplicates > 0 ? `${result.duplicates} repetidos` : null,
+      EXTRACTION_STOP_REASONS[result.stopReason] ? `fin: ${EXTRACTION_STOP_REASONS[result.stopReason]}` : null,
+      result.output ? `guardado en ${result.output.path}` : null
+    ].filter(Boolean).join(' · ');
+  }
+
+  // Los valores vienen de páginas ajenas: siempre como texto
+  renderResult() {
+    const holder = document.getElementById('extractionResult');
+    if (!holder) return;
+    holder.innerHTML = '';
+    const result = this.result;
+    if (!result) return;
+
+    const { selectors } = result;
+    if (selectors.inferred) {
+      const box = this.element('div', 'extraction-selectors');
+      box.appendChild(this.element('div', 'extraction-meta', selectors.inferred === 'llm'
+        ? '🤖 Selectores deducidos por el modelo'
+        : `🔎 Selectores deducidos por nombre${selectors.inferenceError ? ` (el modelo falló: ${selectors.inferenceError})` : ''}`));
+      box.appendChild(this.element('pre', 'extraction-code', `${selectors.itemSelector}\n${this.formatFields(selectors.fields)}`));
+      if (selectors.unresolved?.length > 0) {
+        box.appendChild(this.element('div', 'extraction-error', `Sin selector: ${selectors.unresolved.join(', ')}`));
+      }
+      const useButton = this.element('button', 'btn-small', '📌 Usar estos selectores');
+      useButton.addEventListener('click', () => this.useSelectors(selectors));
+      box.appendChild(useButton);
+      holder.appendChild(box);
+    }
+
+    if (result.content) {
+      const copyButton = this.element('button', 'btn-small', '📋 Copiar');
+      copyButton.addEventListener('click', () => navigator.clipboard.writeText(result.content));
+      holder.appendChild(copyButton);
+    }
+
+    if (result.records.length === 0) {
+      holder.appendChild(this.element('div', 'rules-empty', 'Ningún registro'));
+    } else {
+      holder.appendChild(this.renderTable(result.records.slice(0, EXTRACTION_PREVIEW_ROWS)));
+      if (result.records.length > EXTRACTION_PREVIEW_ROWS) {
+        holder.appendChild(this.element('div', 'extraction-meta', `… y ${result.records.length - EXTRACTION_PREVIEW_ROWS} más`));
+      }
+    }
+
+    if (result.invalid.length > 0) {
+      holder.appendChild(this.element('div', 'extraction-meta', '⚠️ Registros que no cumplen el esquema'));
+      for (const { record, errors } of result.invalid.slice(0, 10)) {
+        const entry = this.element('div', 'extraction-invalid');
+        entry.appendChild(this.element('div', 'extraction-error', errors.map(error => error.message).join('; ')));
+        entry.appendChild(this.element('div', 'extraction-code', JSON.stringify(record)));
+        holder.appendChild(entry);
+      }
+    }
+  }
+
+  renderTable(records) {
+    const columns = [];
+    for (const record of records) {
+      for (const name of Object.keys(record)) {
+        if (!columns.includes(name)) columns.push(name);
+      }
+    }
+
+    const table = this.element('table', 'extraction-table');
+    const header = document.createElement('tr');
+    for (const column of columns) header.appendChild(this.element('th', null, column));
+    table.appendChild(header);
+    for (const record of records) {
+      const row = document.createElement('tr');
+      for (const column of columns) {
+        const value = record[column];
+        row.appendChild(this.element('td', null, value === undefined || value === null ? ''
+          : typeof value === 'object' ? JSON.stringify(value) : String(value)));
+      }
+      table.appendChild(row);
+    }
+    return table;
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('extractionStatus');
+    if (status) status.textContent = message;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  field(name) {
+    return document.querySelector(`#extractionForm [data-field="${name}"]`);
+  }
+
+  element(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  select(field, options, value) {
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    for (const [optionValue, label] of Object.entries(options)) {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.value = value;
+    return select;
+  }
+
+  input(field, value, tag = 'input') {
+    const input = document.createElement(tag);
+    input.dataset.field = field;
+    input.value = value ?? '';
+    return input;
+  }
+
+  checkbox(field, text) {
+    const label = this.element('label', 'extraction-check');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.field = field;
+    label.append(input, this.element('span', null, text));
+    return label;
+  }
+
+  labelled(text, control) {
+    const label = this.element('label', 'extraction-field');
+    label.appendChild(this.element('span', null, text));
+    label.appendChild(control);
+    return label;
+  }
+
+  addStyles() {
+    const styles = `
+      <style>
+        .extraction-form {
+          padding: 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .extraction-field {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          margin-bottom: 6px;
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        .extraction-field textarea {
+          min-height: 60px;
+          font-family: monospace;
+        }
+
+        .extraction-row {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin-bottom: 4px;
+        }
+
+        .extraction-row input:not([type="checkbox"]) {
+          flex: 1;
+        }
+
+        .extraction-check {
+          display: flex;
+          align-items: center;
+          gap: 3px;
+          font-size: 11px;
+          white-space: nowrap;
+        }
+
+        .extraction-actions {
+          display: flex;
+          gap: 4px;
+          margin-top: 6px;
+        }
+
+        .extraction-status,
+        .extraction-meta {
+          margin: 6px 0;
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        .extraction-selectors {
+          margin-bottom: 6px;
+        }
+
+        .extraction-code {
+          margin: 4px 0;
+          font-family: monospace;
+          font-size: 11px;
+          white-space: pre-wrap;
+          word-break: break-word;
+        }
+
+        .extraction-result {
+          max-height: 420px;
+          overflow: auto;
+        }
+
+        .extraction-table {
+          border-collapse: collapse;
+          font-size: 11px;
+          margin-top: 6px;
+        }
+
+        .extraction-table th,
+        .extraction-table td {
+          border: 1px solid var(--border-color);
+          padding: 2px 4px;
+          max-width: 240px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          text-align: left;
+        }
+
+        .extraction-invalid {
+          margin-bottom: 4px;
+        }
+
+        .extraction-error {
+          font-size: 11px;
+          color: var(--error-color, #dc2626);
+        }
+      </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+  }
+}
+
+// Exportar para uso global
+window.DataExtractionUI = DataExtractionUI;
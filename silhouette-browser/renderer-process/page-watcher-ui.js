@@ -0,0 +1,550 @@
+// =============================================================================
+// PAGE WATCHER UI - VIGILANCIA DE CAMBIOS EN PÁGINAS
+// Lista los vigilantes con su última comprobación, permite crearlos sobre una
+// región (selector CSS o rectángulo), comprobarlos ya, pausarlos y recorrer su
+// historial de versiones con las diferencias de texto y la imagen resaltada
+// =============================================================================
+
+const WATCHER_REGION_LABELS = {
+  '': 'Parte visible de la página',
+  selector: 'Selector CSS',
+  rect: 'Rectángulo'
+};
+
+class PageWatcherUI {
+  constructor() {
+    this.watchers = [];
+    this.expanded = null;    // id del vigilante con el historial abierto
+    this.versions = [];
+    this.selectedVersion = null;
+    this.creating = false;
+    this.refreshTimer = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    console.log('👁️ Inicializando vigilancia de páginas...');
+
+    try {
+      this.createPanel();
+      this.addStyles();
+
+      window.silhouetteAPI.watchers.onChanged(() => this.scheduleRefresh());
+      window.silhouetteAPI.watchers.onPageChanged(({ watcher }) => {
+        if (watcher.id === this.expanded) this.loadHistory(watcher.id);
+      });
+      await this.loadWatchers();
+
+      this.isInitialized = true;
+      console.log('✅ Vigilancia de páginas lista');
+    } catch (error) {
+      console.error('❌ Error inicializando vigilancia de páginas:', error);
+    }
+  }
+
+  createPanel() {
+    const container = document.querySelector('#watchersTab .config-container');
+    if (!container) return;
+
+    container.innerHTML = `
+      <h3>👁️ Vigilancia de páginas</h3>
+      <div class="watcher-toolbar">
+        <button class="btn-small" id="watcherNew">➕ Vigilar una página</button>
+      </div>
+      <div id="watcherForm"></div>
+      <div class="watcher-list" id="watcherList"></div>
+    `;
+
+    document.getElementById('watcherNew').addEventListener('click', () => {
+      this.creating = !this.creating;
+      this.renderForm();
+    });
+  }
+
+  // =============================================================================
+  // CARGA DE DATOS
+  // =============================================================================
+
+  async loadWatchers() {
+    const result = await window.silhouetteAPI.watchers.list();
+    this.watchers = result.watchers || [];
+    this.render();
+  }
+
+  async loadHistory(watcherId) {
+    const result = await window.silhouetteAPI.watchers.getHistory(watcherId);
+    this.versions = result.versions || [];
+    this.render();
+  }
+
+  // Cada comprobación avisa; la lista se recarga como mucho dos veces por segundo
+  scheduleRefresh() {
+    if (this.refreshTimer) return;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.loadWatchers();
+    }, 500);
+  }
+
+  // =============================================================================
+  // ACCIONES
+  // =============================================================================
+
+  async create(form) {
+    const field = (name) => form.querySelector(`[data-field="${name}"]`);
+    const regionType = field('regionType').value;
+    let region = null;
+    if (regionType === 'selector') {
+      region = { type: 'selector', selector: field('selector').value.trim() };
+    } else if (regionType === 'rect') {
+      const [x, y, width, height] = field('rect').value.split(',').map(value => Number(value.trim()));
+      region = { type: 'rect', x, y, width, height };
+    }
+
+    const result = await window.silhouetteAPI.watchers.create({
+      url: field('url').value.trim(),
+      name: field('name').value.trim(),
+      region,
+      intervalMinutes: Number(field('interval').value),
+      pixelThreshold: Number(field('threshold').value) / 100,
+      detect: {
+        text: field('detectText').checked,
+        dom: field('detectDom').checked,
+        pixels: field('detectPixels').checked
+      },
+      notify: field('notify').checked
+    });
+    if (!result.success) {
+      this.showMessage(`❌ ${result.error}`);
+      return;
+    }
+    this.creating = false;
+    this.renderForm();
+    await this.loadWatchers();
+  }
+
+  async checkNow(watcher) {
+    const result = await window.silhouetteAPI.watchers.checkNow(watcher.id);
+    if (!result.success || result.result.error) {
+      this.showMessage(`❌ ${result.error || result.result.error}`);
+    } else if (!result.result.changed) {
+      this.showMessage(result.result.version ? '📌 Versión de referencia guardada' : 'Sin cambios');
+    }
+  }
+
+  async toggle(watcher) {
+    await window.silhouetteAPI.watchers.update(watcher.id, { enabled: !watcher.enabled });
+    await this.loadWatchers();
+  }
+
+  async remove(watcher) {
+    if (!confirm(`¿Dejar de vigilar "${watcher.name}" y borrar sus versiones?`)) return;
+
+    await window.silhouetteAPI.watchers.remove(watcher.id);
+    if (this.expanded === watcher.id) this.expanded = null;
+    await this.loadWatchers();
+  }
+
+  async toggleHistory(watcher) {
+    this.selectedVersion = null;
+    if (this.expanded === watcher.id) {
+      this.expanded = null;
+      this.render();
+      return;
+    }
+    this.expanded = watcher.id;
+    await this.loadHistory(watcher.id);
+  }
+
+  async selectVersion(watcherId, versionId) {
+    if (this.selectedVersion?.id === versionId) {
+      this.selectedVersion = null;
+    } else {
+      const result = await window.silhouetteAPI.watchers.getVersion(watcherId, versionId);
+      this.selectedVersion = result.success ? result.version : null;
+    }
+    this.render();
+  }
+
+  // =============================================================================
+  // FORMULARIO
+  // =============================================================================
+
+  async renderForm() {
+    const holder = document.getElementById('watcherForm');
+    if (!holder) return;
+    holder.innerHTML = '';
+    if (!this.creating) return;
+
+    const form = this.element('div', 'watcher-item editing');
+    const url = this.input('url', await this.currentUrl());
+    url.placeholder = 'https://…';
+    const selector = this.input('selector', '');
+    selector.placeholder = '#precio, .tabla-resultados';
+    const rect = this.input('rect', '');
+    rect.placeholder = 'x, y, ancho, alto (px)';
+
+    const regionType = document.createElement('select');
+    regionType.dataset.field = 'regionType';
+    for (const [value, label] of Object.entries(WATCHER_REGION_LABELS)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      regionType.appendChild(option);
+    }
+    const selectorLabel = this.labelled('Selector', selector);
+    const rectLabel = this.labelled('Rectángulo', rect);
+    const updateRegion = () => {
+      selectorLabel.hidden = regionType.value !== 'selector';
+      rectLabel.hidden = regionType.value !== 'rect';
+    };
+    regionType.addEventListener('change', updateRegion);
+    updateRegion();
+
+    const interval = this.input('interval', '15');
+    interval.type = 'number';
+    interval.min = '1';
+    const threshold = this.input('threshold', '1');
+    threshold.type = 'number';
+    threshold.min = '0.1';
+    threshold.step = '0.1';
+
+    const detect = this.element('div', 'watcher-checks');
+    detect.append(
+      this.checkbox('detectText', 'Texto', true),
+      this.checkbox('detectDom', 'DOM', true),
+      this.checkbox('detectPixels', 'Píxeles', true),
+      this.checkbox('notify', 'Avisar', true)
+    );
+
+    form.append(
+      this.labelled('Página', url),
+      this.labelled('Nombre (opcional)', this.input('name', '')),
+      this.labelled('Región', regionType),
+      selectorLabel,
+      rectLabel,
+      this.labelled('Cada (minutos)', interval),
+      this.labelled('Umbral de píxeles (%)', threshold),
+      this.labelled('Cambios que cuentan', detect)
+    );
+
+    const actions = this.element('div', 'watcher-actions');
+    const saveButton = this.element('button', 'btn-small', '👁️ Vigilar');
+    saveButton.addEventListener('click', () => this.create(form));
+    const cancelButton = this.element('button', 'btn-small', 'Cancelar');
+    cancelButton.addEventListener('click', () => {
+      this.creating = false;
+      this.renderForm();
+    });
+    actions.append(saveButton, cancelButton);
+    form.appendChild(actions);
+    holder.appendChild(form);
+  }
+
+  async currentUrl() {
+    try {
+      const url = await window.silhouetteAPI.browser.getCurrentUrl();
+      return /^https?:/.test(url || '') ? url : '';
+    } catch {
+      return '';
+    }
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  // Nombres, textos y URLs vienen de las páginas vigiladas: siempre como texto
+  render() {
+    const list = document.getElementById('watcherList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (this.watchers.length === 0) {
+      list.appendChild(this.element('div', 'rules-empty', 'No se vigila ninguna página'));
+      return;
+    }
+
+    for (const watcher of this.watchers) {
+      list.appendChild(this.renderItem(watcher));
+    }
+  }
+
+  renderItem(watcher) {
+    const item = this.element('div', `watcher-item${watcher.enabled ? '' : ' paused'}`);
+
+    const header = this.element('div', 'watcher-header');
+    header.appendChild(this.element('span', 'watcher-name', `${watcher.enabled ? '👁️' : '⏸️'} ${watcher.name}`));
+    if (watcher.createdBy === 'agent') header.appendChild(this.element('span', 'watcher-badge', '🤖 agente'));
+
+    const actions = this.element('div', 'watcher-actions');
+    const buttons = [
+      ['🔄', 'Comprobar ahora', () => this.checkNow(watcher)],
+      [watcher.enabled ? '⏸️' : '⏯️', watcher.enabled ? 'Pausar' : 'Reanudar', () => this.toggle(watcher)],
+      ['📜', 'Versiones', () => this.toggleHistory(watcher)],
+      ['🗑️', 'Dejar de vigilar', () => this.remove(watcher)]
+    ];
+    for (const [label, title, handler] of buttons) {
+      const button = this.element('button', 'btn-small', label);
+      button.title = title;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    }
+    header.appendChild(actions);
+    item.appendChild(header);
+
+    item.appendChild(this.element('div', 'watcher-url', watcher.url));
+    item.appendChild(this.element('div', 'watcher-meta', [
+      this.describeRegion(watcher.region),
+      `cada ${watcher.intervalMinutes} min`,
+      watcher.lastCheckAt ? `comprobada ${new Date(watcher.lastCheckAt).toLocaleString()}` : 'sin comprobar',
+      watcher.lastChangeAt ? `último cambio ${new Date(watcher.lastChangeAt).toLocaleString()}` : null,
+      `${watcher.versionCount} versiones`
+    ].filter(Boolean).join(' · ')));
+    if (watcher.lastError) item.appendChild(this.element('div', 'watcher-error', `⚠️ ${watcher.lastError}`));
+
+    if (this.expanded === watcher.id) {
+      item.appendChild(this.renderHistory(watcher));
+    }
+    return item;
+  }
+
+  renderHistory(watcher) {
+    const list = this.element('div', 'watcher-history');
+    if (this.versions.length === 0) {
+      list.appendChild(this.element('div', 'rules-empty', 'Todavía no hay versiones'));
+      return list;
+    }
+
+    for (const version of this.versions) {
+      const entry = this.element('div', `watcher-version${this.selectedVersion?.id === version.id ? ' selected' : ''}`);
+      const header = this.element('div', 'watcher-version-header', `${version.baseline ? '📌' : '🔔'} ${new Date(version.capturedAt).toLocaleString()}`);
+      header.addEventListener('click', () => this.selectVersion(watcher.id, version.id));
+      entry.appendChild(header);
+      entry.appendChild(this.element('div', 'watcher-meta', version.summary + (version.clipped ? ' · región recortada a la ventana' : '')));
+
+      if (this.selectedVersion?.id === version.id) {
+        entry.appendChild(this.renderVersionDetail(this.selectedVersion));
+      }
+      list.appendChild(entry);
+    }
+    return list;
+  }
+
+  renderVersionDetail(version) {
+    const detail = this.element('div', 'watcher-detail');
+
+    const image = version.highlight || version.image;
+    if (image) {
+      const img = document.createElement('img');
+      img.src = image;
+      img.alt = version.highlight ? 'Cambios resaltados' : 'Captura de la región';
+      img.title = img.alt;
+      detail.appendChild(img);
+    }
+
+    for (const change of version.diff?.text.changes || []) {
+      detail.appendChild(this.element('div', `watcher-line ${change.type}`, `${change.type === 'added' ? '+' : '-'} ${change.line}`));
+    }
+    if (!version.diff) {
+      detail.appendChild(this.element('div', 'watcher-text', version.text.slice(0, 2000)));
+    } else if (!version.diff.text.changes.length && version.diff.dom.changes.length) {
+      for (const change of version.diff.dom.changes.slice(0, 50)) {
+        detail.appendChild(this.element('div', `watcher-line ${change.type}`, `${change.type === 'added' ? '+' : '-'} ${change.line.trim()}`));
+      }
+    }
+    return detail;
+  }
+
+  describeRegion(region) {
+    if (!region) return 'página visible';
+    if (region.type === 'selector') return `selector ${region.selector}`;
+    return `rectángulo ${region.width}×${region.height} en (${region.x}, ${region.y})`;
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  element(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  input(field, value) {
+    const input = document.createElement('input');
+    input.dataset.field = field;
+    input.value = value ?? '';
+    return input;
+  }
+
+  checkbox(field, text, checked) {
+    const label = this.element('label', 'watcher-check');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.field = field;
+    input.checked = checked;
+    label.append(input, this.element('span', null, text));
+    return label;
+  }
+
+  labelled(text, control) {
+    const label = this.element('label', 'watcher-field');
+    label.appendChild(this.element('span', null, text));
+    label.appendChild(control);
+    return label;
+  }
+
+  showMessage(message) {
+    const holder = document.getElementById('watcherForm');
+    if (!holder) return;
+    holder.querySelector('.watcher-message')?.remove();
+    holder.prepend(this.element('div', 'watcher-message', message));
+  }
+
+  addStyles() {
+    const styles = `
+      <style>
+        .watcher-toolbar {
+          display: flex;
+          gap: 6px;
+          margin-bottom: 8px;
+        }
+
+        .watcher-list {
+          max-height: 520px;
+          overflow-y: auto;
+        }
+
+        .watcher-item {
+          padding: 8px;
+          margin-bottom: 6px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .watcher-item.paused {
+          opacity: 0.6;
+        }
+
+        .watcher-header {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .watcher-name {
+          color: var(--text-primary);
+          word-break: break-word;
+        }
+
+        .watcher-badge {
+          font-size: 10px;
+          color: var(--primary-color);
+        }
+
+        .watcher-actions {
+          display: flex;
+          gap: 4px;
+          margin-left: auto;
+        }
+
+        .watcher-item.editing .watcher-actions {
+          margin-top: 6px;
+        }
+
+        .watcher-url {
+          margin-top: 2px;
+          font-family: monospace;
+          font-size: 11px;
+          color: var(--text-muted);
+          word-break: break-all;
+        }
+
+        .watcher-meta {
+          margin-top: 4px;
+          font-size: 10px;
+          color: var(--text-muted);
+        }
+
+        .watcher-field {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          margin-bottom: 6px;
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        .watcher-checks {
+          display: flex;
+          gap: 10px;
+        }
+
+        .watcher-check {
+          display: flex;
+          align-items: center;
+          gap: 3px;
+        }
+
+        .watcher-history {
+          margin-top: 6px;
+          border-top: 1px solid var(--border-color);
+          padding-top: 6px;
+        }
+
+        .watcher-version {
+          margin-bottom: 6px;
+        }
+
+        .watcher-version-header {
+          cursor: pointer;
+          font-size: 11px;
+          color: var(--text-primary);
+        }
+
+        .watcher-version.selected .watcher-version-header {
+          color: var(--primary-color);
+        }
+
+        .watcher-detail img {
+          display: block;
+          max-width: 100%;
+          margin: 4px 0;
+          border: 1px solid var(--border-color);
+        }
+
+        .watcher-line,
+        .watcher-text {
+          font-family: monospace;
+          font-size: 11px;
+          white-space: pre-wrap;
+          word-break: break-word;
+        }
+
+        .watcher-line.added {
+          color: var(--success-color, #16a34a);
+        }
+
+        .watcher-line.removed {
+          color: var(--error-color, #dc2626);
+        }
+
+        .watcher-error,
+        .watcher-message {
+          font-size: 11px;
+          margin: 4px 0;
+          color: var(--error-color, #dc2626);
+        }
+      </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+  }
+}
+
+// Exportar para uso global
+window.PageWatcherUI = PageWatcherUI;
@@ -0,0 +1,603 @@
+// =============================================================================
+// SCHEDULER UI - TAREAS DE AGENTES PROGRAMADAS Y DISPARADAS
+// Lista las tareas guardadas con su próxima ejecución y la última, permite
+// crearlas y editarlas (cron, disparadores, política de ejecuciones perdidas),
+// pausarlas, lanzarlas a mano y consultar su historial
+// =============================================================================
+
+const SCHEDULER_ACTIONS = {
+  'check-pages': { label: 'Revisar páginas', field: 'URLs (una por línea)' },
+  omnipotent: { label: 'Orden al agente', field: 'Orden' },
+  orchestrator: { label: 'Tarea del orquestador', field: 'Descripción de la tarea' },
+  navigation: { label: 'Navegación autónoma', field: 'Objetivo' }
+};
+
+const SCHEDULER_TRIGGERS = {
+  'page-change': { label: 'Cambia una página', placeholder: 'https://… (cada 30 min)' },
+  'github-push': { label: 'Push en GitHub', placeholder: 'propietario/repositorio[#rama]' },
+  'file-change': { label: 'Cambia un archivo', placeholder: 'proyecto[:patrón, p. ej. src/**/*.js]' },
+  'test-failure': { label: 'Falla un test', placeholder: 'proyecto (vacío: cualquiera)' }
+};
+
+const SCHEDULER_MISSED_RUNS = {
+  'run-once': 'Ejecutar una vez al volver',
+  'run-all': 'Recuperar todas (máx. 5)',
+  skip: 'Omitirlas'
+};
+
+const SCHEDULER_STATUS_ICONS = {
+  completed: '✅',
+  failed: '❌',
+  timeout: '⏱️',
+  cancelled: '⏹️',
+  skipped: '⏭️',
+  missed: '💤'
+};
+
+class SchedulerUI {
+  constructor() {
+    this.tasks = [];
+    this.running = new Set();  // taskIds en ejecución
+    this.expanded = new Set(); // taskIds con el historial abierto
+    this.histories = new Map();
+    this.editing = null;       // null, 'new' o el id de la tarea en edición
+    this.refreshTimer = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    console.log('🕒 Inicializando tareas programadas...');
+
+    try {
+      this.createPanel();
+      this.addStyles();
+
+      const scheduler = window.silhouetteAPI.scheduler;
+      scheduler.onTasksChanged(() => this.scheduleRefresh());
+      scheduler.onRunStarted(({ taskId }) => {
+        this.running.add(taskId);
+        this.render();
+      });
+      scheduler.onRunFinished(({ taskId }) => {
+        this.running.delete(taskId);
+        this.histories.delete(taskId);
+        this.scheduleRefresh();
+      });
+      await this.loadTasks();
+
+      this.isInitialized = true;
+      console.log('✅ Tareas programadas listas');
+    } catch (error) {
+      console.error('❌ Error inicializando tareas programadas:', error);
+    }
+  }
+
+  createPanel() {
+    const container = document.querySelector('#scheduledTab .config-container');
+    if (!container) return;
+
+    container.innerHTML = `
+      <h3>🕒 Tareas programadas</h3>
+      <div class="scheduler-toolbar">
+        <button class="btn-small" id="schedulerNewTask">➕ Nueva tarea</button>
+      </div>
+      <div id="schedulerForm"></div>
+      <div class="scheduler-list" id="schedulerList"></div>
+    `;
+
+    document.getElementById('schedulerNewTask').addEventListener('click', () => {
+      this.editing = 'new';
+      this.renderForm();
+    });
+  }
+
+  // =============================================================================
+  // CARGA DE DATOS
+  // =============================================================================
+
+  async loadTasks() {
+    const result = await window.silhouetteAPI.scheduler.listTasks();
+    this.tasks = result.tasks || [];
+    for (const taskId of this.expanded) {
+      if (!this.histories.has(taskId)) await this.loadHistory(taskId);
+    }
+    this.render();
+  }
+
+  async loadHistory(taskId) {
+    const result = await window.silhouetteAPI.scheduler.getTask(taskId);
+    this.histories.set(taskId, result.success ? result.task.history : []);
+  }
+
+  scheduleRefresh() {
+    if (this.refreshTimer) return;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.loadTasks();
+    }, 500);
+  }
+
+  // =============================================================================
+  // ACCIONES
+  // =============================================================================
+
+  async save(form) {
+    let definition;
+    try {
+      definition = this.readForm(form);
+    } catch (error) {
+      this.showMessage(`❌ ${error.message}`);
+      return;
+    }
+
+    const scheduler = window.silhouetteAPI.scheduler;
+    const result = this.editing === 'new'
+      ? await scheduler.createTask(definition)
+      : await scheduler.updateTask(this.editing, definition);
+    if (!result.success) {
+      this.showMessage(`❌ ${result.error}`);
+      return;
+    }
+    this.editing = null;
+    this.renderForm();
+    await this.loadTasks();
+  }
+
+  async togglePause(task) {
+    const scheduler = window.silhouetteAPI.scheduler;
+    const result = task.enabled ? await scheduler.pauseTask(task.id) : await scheduler.resumeTask(task.id);
+    if (!result.success) this.showMessage(`❌ ${result.error}`);
+    await this.loadTasks();
+  }
+
+  async runNow(task) {
+    const result = this.running.has(task.id)
+      ? await window.silhouetteAPI.scheduler.cancelRun(task.id)
+      : await window.silhouetteAPI.scheduler.runNow(task.id);
+    if (!result.success) this.showMessage(`❌ ${result.error || 'No se pudo cancelar la ejecución'}`);
+  }
+
+  async delete(task) {
+    if (!confirm(`¿Eliminar la tarea "${task.name}" y su historial?`)) return;
+
+    await window.silhouetteAPI.scheduler.deleteTask(task.id);
+    this.expanded.delete(task.id);
+    this.histories.delete(task.id);
+    await this.loadTasks();
+  }
+
+  async toggleHistory(task) {
+    if (this.expanded.has(task.id)) {
+      this.expanded.delete(task.id);
+    } else {
+      this.expanded.add(task.id);
+      await this.loadHistory(task.id);
+    }
+    this.render();
+  }
+
+  // =============================================================================
+  // FORMULARIO
+  // =============================================================================
+
+  renderForm() {
+    const holder = document.getElementById('schedulerForm');
+    if (!holder) return;
+    holder.innerHTML = '';
+    if (!this.editing) return;
+
+    const task = this.tasks.find(candidate => candidate.id === this.editing) || null;
+    const action = task?.action || { type: 'check-pages' };
+    const form = this.element('div', 'scheduler-item editing');
+
+    const actionType = this.select('actionType', Object.fromEntries(
+      Object.entries(SCHEDULER_ACTIONS).map(([value, { label }]) => [value, label])
+    ), action.type);
+    const mainField = this.input('main', this.mainValueOf(action), 'textarea');
+    const mainLabel = this.labelled(SCHEDULER_ACTIONS[action.type].field, mainField);
+    const urlLabel = this.labelled('URL inicial (opcional)', this.input('url', action.url || ''));
+    const groupLabel = this.labelled('Grupo de pestañas', this.input('groupName', action.groupName || 'Revisión programada'));
+    const instructionsLabel = this.labelled('Qué resumir (opcional)', this.input('instructions', action.instructions || ''));
+
+    const updateActionFields = () => {
+      const type = actionType.value;
+      mainLabel.firstChild.textContent = SCHEDULER_ACTIONS[type].field;
+      urlLabel.hidden = type !== 'navigation';
+      groupLabel.hidden = type !== 'check-pages';
+      instructionsLabel.hidden = type !== 'check-pages';
+    };
+    actionType.addEventListener('change', updateActionFields);
+    updateActionFields();
+
+    const cron = this.input('cron', task?.schedule?.cron || '');
+    cron.placeholder = '0 8 * * 1-5 · @daily · vacío: solo disparadores';
+
+    const triggers = this.element('div', 'scheduler-triggers');
+    for (const trigger of task?.triggers || []) triggers.appendChild(this.renderTriggerRow(trigger));
+    const addTrigger = this.element('button', 'btn-small', '➕ Disparador');
+    addTrigger.addEventListener('click', () => triggers.appendChild(this.renderTriggerRow({ type: 'page-change' })));
+
+    form.append(
+      this.labelled('Nombre', this.input('name', task?.name || '')),
+      this.labelled('Acción', actionType),
+      mainLabel,
+      urlLabel,
+      groupLabel,
+      instructionsLabel,
+      this.labelled('Programación (cron)', cron),
+      this.labelled('Ejecuciones perdidas', this.select('missedRuns', SCHEDULER_MISSED_RUNS, task?.missedRuns || 'run-once')),
+      this.labelled('Disparadores', triggers),
+      addTrigger
+    );
+
+    const actions = this.element('div', 'scheduler-actions');
+    const saveButton = this.element('button', 'btn-small', '💾 Guardar');
+    saveButton.addEventListener('click', () => this.save(form));
+    const cancelButton = this.element('button', 'btn-small', 'Cancelar');
+    cancelButton.addEventListener('click', () => {
+      this.editing = null;
+      this.renderForm();
+    });
+    actions.append(saveButton, cancelButton);
+    form.appendChild(actions);
+    holder.appendChild(form);
+  }
+
+  renderTriggerRow(trigger) {
+    const row = this.element('div', 'scheduler-trigger');
+    row.dataset.triggerId = trigger.id || '';
+
+    const type = this.select('triggerType', Object.fromEntries(
+      Object.entries(SCHEDULER_TRIGGERS).map(([value, { label }]) => [value, label])
+    ), trigger.type);
+    const value = this.input('triggerValue', this.triggerValueOf(trigger));
+    value.placeholder = SCHEDULER_TRIGGERS[trigger.type].placeholder;
+    type.addEventListener('change', () => {
+      value.placeholder = SCHEDULER_TRIGGERS[type.value].placeholder;
+    });
+
+    const remove = this.element('button', 'btn-small', '✖');
+    remove.title = 'Quitar disparador';
+    remove.addEventListener('click', () => row.remove());
+    row.append(type, value, remove);
+    return row;
+  }
+
+  readForm(form) {
+    const field = (name) => form.querySelector(`[data-field="${name}"]`).value.trim();
+    const type = field('actionType');
+    const main = field('main');
+
+    let action;
+    if (type === 'check-pages') {
+      action = {
+        type,
+        urls: main.split('\n').map(line => line.trim()).filter(Boolean),
+        groupName: field('groupName'),
+        instructions: field('instructions')
+      };
+    } else if (type === 'omnipotent') {
+      action = { type, command: main };
+    } else if (type === 'orchestrator') {
+      action = { type, task: { type: 'general', description: main } };
+    } else {
+      action = { type, goal: main, url: field('url') || null };
+    }
+
+    const triggers = Array.from(form.querySelectorAll('.scheduler-trigger')).map(row => {
+      const triggerType = row.querySelector('[data-field="triggerType"]').value;
+      const value = row.querySelector('[data-field="triggerValue"]').value.trim();
+      return { id: row.dataset.triggerId || undefined, ...this.parseTrigger(triggerType, value) };
+    });
+
+    const cron = field('cron');
+    if (!cron && triggers.length === 0) {
+      throw new Error('Indica una programación cron o al menos un disparador');
+    }
+
+    return {
+      name: field('name'),
+      action,
+      schedule: cron ? { cron } : null,
+      triggers,
+      missedRuns: field('missedRuns')
+    };
+  }
+
+  parseTrigger(type, value) {
+    if (type === 'page-change') return { type, url: value };
+    if (type === 'github-push') {
+      const [repository, branch] = value.split('#');
+      return { type, repository, branch: branch || null };
+    }
+    if (type === 'file-change') {
+      const [projectId, pattern] = value.split(':');
+      return { type, projectId: projectId || null, pattern: pattern || null };
+    }
+    return { type, projectId: value || null };
+  }
+
+  mainValueOf(action) {
+    switch (action.type) {
+      case 'check-pages': return (action.urls || []).join('\n');
+      case 'omnipotent': return action.command || '';
+      case 'orchestrator': return action.task?.description || '';
+      default: return action.goal || '';
+    }
+  }
+
+  triggerValueOf(trigger) {
+    switch (trigger.type) {
+      case 'page-change': return trigger.url || '';
+      case 'github-push': return trigger.repository ? `${trigger.repository}${trigger.branch ? `#${trigger.branch}` : ''}` : '';
+      case 'file-change': return trigger.pattern ? `${trigger.projectId || ''}:${trigger.pattern}` : trigger.projectId || '';
+      default: return trigger.projectId || '';
+    }
+  }
+
+  // =============================================================================
+  // RENDERIZADO
+  // =============================================================================
+
+  // Nombres, resúmenes y errores pueden venir de páginas y modelos: siempre como texto
+  render() {
+    const list = document.getElementById('schedulerList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (this.tasks.length === 0) {
+      list.appendChild(this.element('div', 'rules-empty', 'No hay tareas programadas'));
+      return;
+    }
+
+    for (const task of this.tasks) {
+      list.appendChild(this.renderItem(task));
+    }
+  }
+
+  renderItem(task) {
+    const running = this.running.has(task.id);
+    const item = this.element('div', `scheduler-item${task.enabled ? '' : ' paused'}`);
+
+    const header = this.element('div', 'scheduler-header');
+    header.appendChild(this.element('span', 'scheduler-name', `${running ? '⏳' : task.enabled ? '🕒' : '⏸️'} ${task.name}`));
+
+    const actions = this.element('div', 'scheduler-actions');
+    const buttons = [
+      [running ? '⏹️' : '▶️', running ? 'Cancelar la ejecución' : 'Ejecutar ahora', () => this.runNow(task)],
+      [task.enabled ? '⏸️' : '⏯️', task.enabled ? 'Pausar' : 'Reanudar', () => this.togglePause(task)],
+      ['📜', 'Historial', () => this.toggleHistory(task)],
+      ['✏️', 'Editar', () => {
+        this.editing = task.id;
+        this.renderForm();
+      }],
+      ['🗑️', 'Eliminar', () => this.delete(task)]
+    ];
+    for (const [label, title, handler] of buttons) {
+      const button = this.element('button', 'btn-small', label);
+      button.title = title;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    }
+    header.appendChild(actions);
+    item.appendChild(header);
+
+    item.appendChild(this.element('div', 'scheduler-meta', [
+      SCHEDULER_ACTIONS[task.action.type]?.label || task.action.type,
+      task.schedule ? `cron ${task.schedule.cron}` : null,
+      ...task.triggers.map(trigger => SCHEDULER_TRIGGERS[trigger.type]?.label || trigger.type)
+    ].filter(Boolean).join(' · ')));
+
+    item.appendChild(this.element('div', 'scheduler-meta', [
+      task.enabled
+        ? (task.nextRunAt ? `próxima ${new Date(task.nextRunAt).toLocaleString()}` : 'solo con disparadores')
+        : 'en pausa',
+      task.lastRun ? `última ${SCHEDULER_STATUS_ICONS[task.lastRun.status] || ''} ${new Date(task.lastRun.finishedAt).toLocaleString()}` : 'nunca ejecutada'
+    ].join(' · ')));
+
+    for (const pageTrigger of task.pageTriggers || []) {
+      if (pageTrigger.error) item.appendChild(this.element('div', 'scheduler-error', `⚠️ ${pageTrigger.error}`));
+    }
+
+    if (this.expanded.has(task.id)) {
+      item.appendChild(this.renderHistory(this.histories.get(task.id) || []));
+    }
+    return item;
+  }
+
+  renderHistory(history) {
+    const list = this.element('div', 'scheduler-history');
+    if (history.length === 0) {
+      list.appendChild(this.element('div', 'rules-empty', 'Sin ejecuciones todavía'));
+      return list;
+    }
+
+    for (const run of history) {
+      const entry = this.element('div', `scheduler-run ${run.status}`);
+      entry.appendChild(this.element('div', 'scheduler-run-header', [
+        `${SCHEDULER_STATUS_ICONS[run.status] || '•'} ${new Date(run.startedAt).toLocaleString()}`,
+        this.describeTrigger(run.trigger),
+        run.duration ? `${Math.round(run.duration / 1000)} s` : null
+      ].filter(Boolean).join(' · ')));
+      if (run.summary) entry.appendChild(this.element('div', 'scheduler-summary', run.summary));
+      if (run.error) entry.appendChild(this.element('div', 'scheduler-error', run.error));
+      if (run.traceId) entry.appendChild(this.element('div', 'scheduler-meta', `traza ${run.traceId}`));
+      list.appendChild(entry);
+    }
+    return list;
+  }
+
+  describeTrigger(trigger) {
+    switch (trigger?.type) {
+      case 'schedule': return 'programada';
+      case 'catch-up': return 'recuperada';
+      case 'manual': return 'manual';
+      case 'page-change': return `cambio en ${trigger.url}`;
+      case 'github-push': return `push a ${trigger.repository}${trigger.branch ? `#${trigger.branch}` : ''}`;
+      case 'file-change': return `${trigger.files?.length || 0} archivos cambiados`;
+      case 'test-failure': return `test fallido ${trigger.testId}`;
+      default: return trigger?.type || null;
+    }
+  }
+
+  // =============================================================================
+  // UTILIDADES
+  // =============================================================================
+
+  element(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  select(field, options, value) {
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    for (const [optionValue, label] of Object.entries(options)) {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.value = value;
+    return select;
+  }
+
+  input(field, value, tag = 'input') {
+    const input = document.createElement(tag);
+    input.dataset.field = field;
+    input.value = value ?? '';
+    return input;
+  }
+
+  labelled(text, control) {
+    const label = this.element('label', 'scheduler-field');
+    label.appendChild(this.element('span', null, text));
+    label.appendChild(control);
+    return label;
+  }
+
+  showMessage(message) {
+    const holder = document.getElementById('schedulerForm');
+    if (!holder) return;
+    holder.querySelector('.scheduler-message')?.remove();
+    holder.prepend(this.element('div', 'scheduler-message', message));
+  }
+
+  addStyles() {
+    const styles = `
+      <style>
+        .scheduler-toolbar {
+          display: flex;
+          gap: 6px;
+          margin-bottom: 8px;
+        }
+
+        .scheduler-list {
+          max-height: 480px;
+          overflow-y: auto;
+        }
+
+        .scheduler-item {
+          padding: 8px;
+          margin-bottom: 6px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .scheduler-item.paused {
+          opacity: 0.6;
+        }
+
+        .scheduler-header {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .scheduler-name {
+          color: var(--text-primary);
+          word-break: break-word;
+        }
+
+        .scheduler-actions {
+          display: flex;
+          gap: 4px;
+          margin-left: auto;
+        }
+
+        .scheduler-item.editing .scheduler-actions {
+          margin-top: 6px;
+        }
+
+        .scheduler-meta {
+          margin-top: 4px;
+          font-size: 10px;
+          color: var(--text-muted);
+        }
+
+        .scheduler-field {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          margin-bottom: 6px;
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        .scheduler-field textarea {
+          min-height: 48px;
+          resize: vertical;
+        }
+
+        .scheduler-trigger {
+          display: flex;
+          gap: 4px;
+          margin-bottom: 4px;
+        }
+
+        .scheduler-trigger input {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .scheduler-history {
+          margin-top: 6px;
+          border-top: 1px solid var(--border-color);
+          padding-top: 6px;
+        }
+
+        .scheduler-run {
+          margin-bottom: 6px;
+        }
+
+        .scheduler-run-header {
+          font-size: 11px;
+          color: var(--text-primary);
+        }
+
+        .scheduler-summary {
+          margin-top: 2px;
+          font-size: 11px;
+          white-space: pre-wrap;
+          word-break: break-word;
+          color: var(--text-primary);
+        }
+
+        .scheduler-error,
+        .scheduler-message {
+          font-size: 11px;
+          margin: 4px 0;
+          color: var(--error-color, #dc2626);
+        }
+      </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+  }
+}
+
+// Exportar para uso global
+window.SchedulerUI = SchedulerUI;
@@ -8,6 +8,9 @@ class TabGroupsUIManager {
     this.groups = new Map();
     this.activeGroupId = null;
     this.tabs = new Map();
+    this.rules = [];
+    this.agentRuns = new Map(); // groupId -> último progreso de su tarea de agente
+    this.macroRecording = null; // { groupId, tabId, steps } mientras se graba una macro
     this.isInitialized = false;
     this.config = {
       autoSave: true,
@@ -98,6 +101,16 @@ class TabGroupsUIManager {
     
     // Crear panel de información de grupos
     this.createGroupInfoPanel();
+    
+    // Crear editor de reglas de agrupación
+    this.createRulesModal();
+    
+    // Crear historial de instantáneas y diálogo de conflictos
+    this.createSnapshotsModal();
+    this.createConflictModal();
+    
+    // Crear lista de macros del grupo
+    this.createMacrosModal();
   }
 
   createGroupsContainer() {
@@ -123,6 +136,12 @@ class TabGroupsUIManager {
           <button class="btn-small" id="autoGroupingBtn" title="Ejecutar agrupación automática">
             🔄
           </button>
+          <button class="btn-small" id="groupRulesBtn" title="Reglas de agrupación">
+            📐
+          </button>
+          <button class="btn-small" id="importGroupFileBtn" title="Abrir grupo compartido (.silhouette-group)">
+            📥
+          </button>
         </div>
       </div>
       <div class="tab-groups-list" id="tabGroupsList">
@@ -209,6 +228,123 @@ class TabGroupsUIManager {
     document.body.appendChild(modal);
   }
 
+  createRulesModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'groupRulesModal';
+    modal.innerHTML = `
+      <div class="modal-content rules-modal-content">
+        <div class="modal-header">
+          <h3>Reglas de Agrupación</h3>
+          <button class="modal-close" id="closeRulesModal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="rules-hint">Se aplican en orden al abrir pestañas y al navegar; gana la primera que coincide.</p>
+          <div class="rules-list" id="groupRulesList"></div>
+          <div class="form-group rules-form">
+            <label>Nueva regla:</label>
+            <div class="rules-row">
+              <select id="ruleType">
+                <option value="url">URL</option>
+                <option value="domain">Dominio</option>
+                <option value="opener">Pestaña de origen</option>
+              </select>
+              <input type="text" id="rulePattern" placeholder="*.atlassian.net/*, localhost:*..." />
+              <input type="text" id="ruleGroup" placeholder="Grupo (Jira, Dev...)" />
+              <button class="btn-small btn-primary" id="addRuleBtn">Añadir</button>
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="ruleTestUrl">Probar con una URL:</label>
+            <div class="rules-row">
+              <input type="text" id="ruleTestUrl" placeholder="https://empresa.atlassian.net/browse/ABC-1" />
+              <button class="btn-small" id="testRulesBtn">Probar</button>
+            </div>
+            <div class="rules-test-result" id="ruleTestResult"></div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-secondary" id="applyRulesBtn">Aplicar a pestañas abiertas</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+  }
+
+  createSnapshotsModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'groupSnapshotsModal';
+    modal.innerHTML = `
+      <div class="modal-content rules-modal-content">
+        <div class="modal-header">
+          <h3 id="snapshotsTitle">Instantáneas del grupo</h3>
+          <button class="modal-close" id="closeSnapshotsModal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="rules-row">
+            <input type="text" id="snapshotName" placeholder="Nombre de la versión (opcional)" />
+            <button class="btn-small btn-primary" id="createSnapshotBtn">📸 Guardar</button>
+            <button class="btn-small" id="shareGroupBtn">📤 Compartir</button>
+          </div>
+          <div class="rules-list snapshots-list" id="groupSnapshotsList"></div>
+          <ul class="snapshot-diff" id="snapshotDiff"></ul>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+  }
+
+  createMacrosModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'groupMacrosModal';
+    modal.innerHTML = `
+      <div class="modal-content rules-modal-content">
+        <div class="modal-header">
+          <h3 id="macrosTitle">Macros del grupo</h3>
+          <button class="modal-close" id="closeMacrosModal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="rules-hint">Se graban los clics, la escritura y las navegaciones de la pestaña activa. Las contraseñas no se guardan.</p>
+          <div class="rules-row">
+            <button class="btn-small btn-primary" id="recordMacroBtn">⏺️ Grabar en la pestaña activa</button>
+          </div>
+          <div class="rules-list" id="groupMacrosList"></div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+  }
+
+  createConflictModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'groupConflictModal';
+    modal.innerHTML = `
+      <div class="modal-content rules-modal-content">
+        <div class="modal-header">
+          <h3 id="conflictTitle">El grupo ya existe</h3>
+        </div>
+        <div class="modal-body">
+          <p class="rules-hint">Cambios respecto al grupo abierto:</p>
+          <ul class="snapshot-diff" id="conflictDiff"></ul>
+        </div>
+        <div class="modal-footer">
+          <button class="btn-secondary" data-conflict="cancel">Cancelar</button>
+          <button class="btn-secondary" data-conflict="copy" title="Abrir como un grupo nuevo">Crear copia</button>
+          <button class="btn-secondary" data-conflict="merge" title="Añadir las pestañas y tareas que faltan">Fusionar</button>
+          <button class="btn-primary" data-conflict="replace" title="Dejar el grupo igual que la versión; las pestañas que sobran salen del grupo sin cerrarse">Reemplazar</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+  }
+
   createGroupInfoPanel() {
     const sidebar = document.querySelector('.sidebar-content');
     if (!sidebar) return;
@@ -278,11 +414,19 @@ class TabGroupsUIManager {
           <button class="btn-icon" data-action="edit" title="Editar grupo">
             ✏️
           </button>
+          <button class="btn-icon" data-action="snapshots" title="Instantáneas y compartir">
+            📸
+          </button>
+          <button class="btn-icon" data-action="macros" title="Macros">
+            🎬
+          </button>
           <button class="btn-icon" data-action="delete" title="Eliminar grupo">
             🗑️
           </button>
         </div>
       </div>
+      <div class="group-macro-recording" id="groupMacroRecording_${group.id}">${this.createRecordingIndicator(group.id)}</div>
+      <div class="group-task-progress" id="groupTaskProgress_${group.id}">${this.createTaskProgress(group.id)}</div>
       <div class="group-tabs" id="groupTabs_${group.id}">
         ${this.createGroupTabsList(group)}
       </div>
@@ -295,12 +439,13 @@ class TabGroupsUIManager {
   }
 
   createGroupTabsList(group) {
+    const run = this.agentRuns.get(group.id);
     return group.tabs.map(tabId => {
       const tab = this.tabs.get(tabId);
       if (!tab) return '';
       
       return `
-        <div class="group-tab" data-tab-id="${tabId}">
+        <div class="group-tab" data-tab-id="${tabId}" data-task-status="${run?.tabStatus[tabId] || ''}">
           <div class="tab-icon">${tab.favicon ? `<img src="${tab.favicon}" alt="favicon">` : '🌐'}</div>
           <div class="tab-info">
             <div class="tab-title">${tab.title || 'Nueva Pestaña'}</div>
@@ -314,6 +459,49 @@ class TabGroupsUIManager {
     }).join('');
   }
 
+  createTaskProgress(groupId) {
+    const run = this.agentRuns.get(groupId);
+    if (!run) return '';
+    
+    const { progress } = run;
+    const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100;
+    const labels = {
+      running: 'Tarea en curso',
+      completed: 'Tarea completada',
+      failed: 'Tarea con fallos',
+      stopped: 'Tarea detenida',
+      cancelled: 'Tarea cancelada'
+    };
+    const details = [`${progress.done}/${progress.total}`];
+    if (progress.failed > 0) details.push(`${progress.failed} fallidas`);
+    if (progress.skipped > 0) details.push(`${progress.skipped} omitidas`);
+    if (run.retrying > 0) details.push(`${run.retrying} reintentando`);
+    
+    return `
+      <div class="task-progress-header">
+        <span class="task-progress-status">${run.taskType === 'macro' ? '🎬' : '🤖'} ${labels[run.status] || run.status}</span>
+        <span class="task-progress-count">${details.join(' · ')}</span>
+        ${run.status === 'running' ? `<button class="btn-icon" data-cancel-run="${run.runId}" title="Cancelar tarea">⏹️</button>` : ''}
+      </div>
+      <div class="task-progress-bar">
+        <div class="task-progress-fill ${run.status}" style="width: ${percent}%"></div>
+      </div>
+    `;
+  }
+
+  createRecordingIndicator(groupId) {
+    const recording = this.macroRecording;
+    if (recording?.groupId !== groupId) return '';
+    
+    return `
+      <div class="task-progress-header">
+        <span class="task-progress-status">⏺️ Grabando macro · ${recording.steps} pasos</span>
+        <button class="btn-icon" data-macro-recording="stop" title="Detener y guardar">⏹️</button>
+        <button class="btn-icon" data-macro-recording="cancel" title="Descartar grabación">✖️</button>
+      </div>
+    `;
+  }
+
   updateStats() {
     const stats = document.getElementById('groupsStats');
     if (stats) {
@@ -368,6 +556,57 @@ class TabGroupsUIManager {
       this.performAutoGrouping();
     });
     
+    // Editor de reglas de agrupación
+    document.getElementById('groupRulesBtn')?.addEventListener('click', () => {
+      this.showRulesModal();
+    });
+    
+    document.getElementById('closeRulesModal')?.addEventListener('click', () => {
+      this.hideRulesModal();
+    });
+    
+    document.getElementById('addRuleBtn')?.addEventListener('click', () => {
+      this.addRule();
+    });
+    
+    document.getElementById('testRulesBtn')?.addEventListener('click', () => {
+      this.testRule(null);
+    });
+    
+    document.getElementById('applyRulesBtn')?.addEventListener('click', () => {
+      this.applyRules();
+    });
+    
+    // Instantáneas y archivos compartidos
+    document.getElementById('closeSnapshotsModal')?.addEventListener('click', () => {
+      this.hideSnapshotsModal();
+    });
+    
+    document.getElementById('createSnapshotBtn')?.addEventListener('click', () => {
+      this.createSnapshot();
+    });
+    
+    document.getElementById('shareGroupBtn')?.addEventListener('click', () => {
+      this.exportGroupFile(this.snapshotsGroupId);
+    });
+    
+    document.getElementById('importGroupFileBtn')?.addEventListener('click', () => {
+      this.importGroupFile(null);
+    });
+    
+    window.silhouetteAPI.onGroupFileOpened?.(({ filePath }) => {
+      this.importGroupFile(filePath);
+    });
+    
+    // Macros
+    document.getElementById('closeMacrosModal')?.addEventListener('click', () => {
+      this.hideMacrosModal();
+    });
+    
+    document.getElementById('recordMacroBtn')?.addEventListener('click', () => {
+      this.startMacroRecording(this.macrosGroupId);
+    });
+    
     // Modal events
     document.getElementById('cancelCreateGroup')?.addEventListener('click', () => {
       this.hideCreateGroupModal();
@@ -432,6 +671,19 @@ class TabGroupsUIManager {
     window.silhouetteAPI.onTabMovedBetweenGroups((data) => {
       this.onTabMovedBetweenGroups(data);
     });
+    
+    // Progreso de las tareas de agente y de las macros
+    window.silhouetteAPI.onGroupTaskProgress?.((data) => {
+      this.onGroupTaskProgress(data);
+    });
+    
+    window.silhouetteAPI.onMacroStep?.((data) => {
+      this.onMacroStep(data);
+    });
+    
+    window.silhouetteAPI.onMacrosChanged?.((data) => {
+      if (data.groupId === this.macrosGroupId) this.loadMacros();
+    });
   }
 
   attachGroupEventListeners(groupEl, group) {
@@ -444,10 +696,38 @@ class TabGroupsUIManager {
       this.editGroup(group.id);
     });
     
+    groupEl.querySelector('[data-action="snapshots"]')?.addEventListener('click', () => {
+      this.showSnapshotsModal(group.id);
+    });
+    
+    groupEl.querySelector('[data-action="macros"]')?.addEventListener('click', () => {
+      this.showMacrosModal(group.id);
+    });
+    
+    groupEl.querySelector('.group-macro-recording')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-macro-recording]');
+      if (!button) return;
+      e.stopPropagation();
+      if (button.dataset.macroRecording === 'stop') {
+        this.stopMacroRecording();
+      } else {
+        this.cancelMacroRecording();
+      }
+    });
+    
     groupEl.querySelector('[data-action="delete"]')?.addEventListener('click', () => {
       this.deleteGroup(group.id);
     });
     
+    // El progreso se redibuja con cada evento: delegación en el contenedor
+    groupEl.querySelector('.group-task-progress')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-cancel-run]');
+      if (button) {
+        e.stopPropagation();
+        this.cancelAgentTask(button.dataset.cancelRun);
+      }
+    });
+    
     // Remover pestañas del grupo
     groupEl.querySelectorAll('.btn-remove-tab').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -739,6 +1019,480 @@ class TabGroupsUIManager {
     });
   }
 
+  // =============================================================================
+  // REGLAS DE AGRUPACIÓN
+  // =============================================================================
+
+  async showRulesModal() {
+    const modal = document.getElementById('groupRulesModal');
+    if (!modal) return;
+    
+    modal.style.display = 'flex';
+    await this.loadRules();
+  }
+
+  hideRulesModal() {
+    const modal = document.getElementById('groupRulesModal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+    document.getElementById('ruleTestResult').textContent = '';
+  }
+
+  async loadRules() {
+    try {
+      this.rules = await window.silhouetteAPI.tabGroups.getRules();
+      this.renderRules();
+    } catch (error) {
+      console.error('❌ Error cargando reglas:', error);
+    }
+  }
+
+  renderRules() {
+    const list = document.getElementById('groupRulesList');
+    if (!list) return;
+    
+    const typeLabels = { url: 'URL', domain: 'Dominio', opener: 'Origen' };
+    list.innerHTML = '';
+    
+    if (this.rules.length === 0) {
+      list.innerHTML = '<div class="rules-empty">Sin reglas: solo agrupación manual y por IA</div>';
+      return;
+    }
+    
+    this.rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = `group-rule ${rule.enabled ? '' : 'disabled'}`;
+      row.innerHTML = `
+        <input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''} title="Activar/desactivar" />
+        <span class="rule-type-badge">${typeLabels[rule.type]}</span>
+        <span class="rule-name"></span>
+        <button class="btn-small" data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="btn-small" data-action="down" title="Bajar" ${index === this.rules.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="btn-small" data-action="test" title="Probar esta regla con la URL de prueba">🧪</button>
+        <button class="btn-small" data-action="remove" title="Eliminar">🗑️</button>
+      `;
+      // Nombre y patrón los escribe el usuario: como texto, no como HTML
+      row.querySelector('.rule-name').textContent = rule.name;
+      row.querySelector('.rule-name').title = rule.pattern || '';
+      
+      row.querySelector('[data-action="toggle"]').addEventListener('change', (e) => {
+        this.updateRule(rule.id, { enabled: e.target.checked });
+      });
+      row.querySelector('[data-action="up"]').addEventListener('click', () => this.moveRule(rule.id, index - 1));
+      row.querySelector('[data-action="down"]').addEventListener('click', () => this.moveRule(rule.id, index + 1));
+      row.querySelector('[data-action="test"]').addEventListener('click', () => this.testRule(rule.id));
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeRule(rule.id));
+      list.appendChild(row);
+    });
+  }
+
+  async addRule() {
+    const type = document.getElementById('ruleType').value;
+    const pattern = document.getElementById('rulePattern').value.trim();
+    const group = document.getElementById('ruleGroup').value.trim();
+    
+    const result = await window.silhouetteAPI.tabGroups.addRule({ type, pattern, group: group || null });
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      return;
+    }
+    
+    document.getElementById('rulePattern').value = '';
+    document.getElementById('ruleGroup').value = '';
+    this.showNotification(`📐 Regla "${result.rule.name}" añadida`);
+    await this.loadRules();
+  }
+
+  async updateRule(ruleId, changes) {
+    const result = await window.silhouetteAPI.tabGroups.updateRule(ruleId, changes);
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+    }
+    await this.loadRules();
+  }
+
+  async moveRule(ruleId, index) {
+    const result = await window.silhouetteAPI.tabGroups.moveRule(ruleId, index);
+    if (result.success) {
+      this.rules = result.rules;
+      this.renderRules();
+    }
+  }
+
+  async removeRule(ruleId) {
+    const result = await window.silhouetteAPI.tabGroups.removeRule(ruleId);
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+    }
+    await this.loadRules();
+  }
+
+  // ruleId null: qué regla de la lista se aplicaría a la URL
+  async testRule(ruleId) {
+    const output = document.getElementById('ruleTestResult');
+    const url = document.getElementById('ruleTestUrl').value.trim();
+    if (!url) {
+      this.showNotification('Escribe una URL para probar las reglas', 'error');
+      return;
+    }
+    
+    const result = await window.silhouetteAPI.tabGroups.testRule(ruleId, url);
+    if (!result.success) {
+      output.textContent = `❌ ${result.error}`;
+    } else if (!result.matched) {
+      output.textContent = ruleId ? '— La regla no coincide con esta URL' : '— Ninguna regla coincide: la pestaña queda para la agrupación por IA';
+    } else {
+      output.textContent = `✅ "${result.rule.name}" → ${result.groupName}${result.groupExists ? '' : ' (se creará el grupo)'}`;
+    }
+  }
+
+  async applyRules() {
+    const result = await window.silhouetteAPI.tabGroups.applyRules();
+    if (result.success) {
+      this.showNotification(`📐 Reglas aplicadas a ${result.applied.length} pestañas`);
+      await this.loadGroups();
+    } else {
+      this.showNotification(result.error, 'error');
+    }
+  }
+
+  // =============================================================================
+  // INSTANTÁNEAS Y ARCHIVOS COMPARTIDOS
+  // =============================================================================
+
+  async showSnapshotsModal(groupId) {
+    const modal = document.getElementById('groupSnapshotsModal');
+    if (!modal) return;
+    
+    this.snapshotsGroupId = groupId;
+    document.getElementById('snapshotsTitle').textContent = `Instantáneas de "${this.groups.get(groupId)?.name || groupId}"`;
+    document.getElementById('snapshotDiff').innerHTML = '';
+    modal.style.display = 'flex';
+    await this.loadSnapshots();
+  }
+
+  hideSnapshotsModal() {
+    const modal = document.getElementById('groupSnapshotsModal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+    this.snapshotsGroupId = null;
+  }
+
+  async loadSnapshots() {
+    const list = document.getElementById('groupSnapshotsList');
+    if (!list || !this.snapshotsGroupId) return;
+    
+    const snapshots = await window.silhouetteAPI.tabGroups.listSnapshots(this.snapshotsGroupId);
+    list.innerHTML = '';
+    if (snapshots.length === 0) {
+      list.innerHTML = '<div class="rules-empty">Sin instantáneas todavía</div>';
+      return;
+    }
+    
+    for (const snapshot of snapshots) {
+      const row = document.createElement('div');
+      row.className = 'group-rule';
+      row.innerHTML = `
+        <span class="rule-type-badge">v${snapshot.version}</span>
+        <span class="rule-name"></span>
+        <button class="btn-small" data-action="diff" title="Comparar con el estado actual">Δ</button>
+        <button class="btn-small" data-action="restore" title="Restaurar esta versión">↩</button>
+        <button class="btn-small" data-action="share" title="Compartir esta versión">📤</button>
+        <button class="btn-small" data-action="delete" title="Eliminar">🗑️</button>
+      `;
+      row.querySelector('.rule-name').textContent =
+        `${snapshot.name} · ${snapshot.tabCount} pestañas · ${new Date(snapshot.created).toLocaleString()}`;
+      
+      row.querySelector('[data-action="diff"]').addEventListener('click', () => this.showSnapshotDiff(snapshot.id));
+      row.querySelector('[data-action="restore"]').addEventListener('click', () => this.restoreSnapshot(snapshot.id));
+      row.querySelector('[data-action="share"]').addEventListener('click', () => {
+        this.exportGroupFile(this.snapshotsGroupId, snapshot.id);
+      });
+      row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+        await window.silhouetteAPI.tabGroups.deleteSnapshot(snapshot.id);
+        await this.loadSnapshots();
+      });
+      list.appendChild(row);
+    }
+  }
+
+  async createSnapshot() {
+    const nameField = document.getElementById('snapshotName');
+    const result = await window.silhouetteAPI.tabGroups.createSnapshot(this.snapshotsGroupId, {
+      name: nameField.value.trim()
+    });
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      return;
+    }
+    
+    nameField.value = '';
+    this.showNotification(result.unchanged
+      ? 'ℹ️ Sin cambios desde la última instantánea'
+      : `📸 Instantánea "${result.snapshot.name}" guardada`);
+    await this.loadSnapshots();
+  }
+
+  async showSnapshotDiff(snapshotId) {
+    const result = await window.silhouetteAPI.tabGroups.diffSnapshots(snapshotId, null);
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      return;
+    }
+    this.renderDiff(document.getElementById('snapshotDiff'), result.diff);
+  }
+
+  async restoreSnapshot(snapshotId) {
+    const result = await window.silhouetteAPI.tabGroups.restoreSnapshot(snapshotId, { conflict: 'ask' });
+    await this.handleWorkspaceResult(result, (conflict) => {
+      return window.silhouetteAPI.tabGroups.restoreSnapshot(snapshotId, { conflict });
+    });
+  }
+
+  async exportGroupFile(groupId, snapshotId = null) {
+    const result = await window.silhouetteAPI.tabGroups.exportFile(groupId, { snapshotId });
+    if (result.canceled) return;
+    if (result.success) {
+      this.showNotification(`📤 Grupo compartido en ${result.filePath}`);
+      await this.loadSnapshots();
+    } else {
+      this.showNotification(result.error, 'error');
+    }
+  }
+
+  async importGroupFile(filePath) {
+    const result = await window.silhouetteAPI.tabGroups.importFile(filePath, { conflict: 'ask' });
+    if (result.canceled) return;
+    
+    // Con el diálogo ya elegido, las siguientes llamadas usan la misma ruta
+    await this.handleWorkspaceResult(result, (conflict) => {
+      return window.silhouetteAPI.tabGroups.importFile(result.filePath, { conflict });
+    });
+  }
+
+  async handleWorkspaceResult(result, retry) {
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      return;
+    }
+    
+    if (result.conflict) {
+      const choice = await this.askConflictStrategy(result);
+      if (choice === 'cancel') return;
+      await this.handleWorkspaceResult(await retry(choice), retry);
+      return;
+    }
+    
+    const actions = { created: 'abierto', replaced: 'reemplazado', merged: 'fusionado', copied: 'copiado' };
+    let message = `📥 Grupo ${actions[result.action] || 'restaurado'}: ${result.opened} pestañas abiertas`;
+    if (result.signer && !result.signer.known) {
+      message += ` · firmado por una clave nueva (${result.signer.keyId}); sus macros llegan sin programar`;
+    }
+    if (result.skipped) {
+      message += ` · ${result.skipped} pestañas omitidas por seguridad`;
+    }
+    this.showNotification(message);
+    
+    // La clave solo pasa a conocida si el usuario lo confirma
+    if (result.signer && !result.signer.known &&
+        confirm(`¿Confías en la clave ${result.signer.keyId}? Sus próximos archivos no se marcarán como de una clave nueva.`)) {
+      const trusted = await window.silhouetteAPI.tabGroups.trustSigner(result.signer.keyId);
+      if (!trusted.success) this.showNotification(trusted.error, 'error');
+    }
+    await this.loadGroups();
+    await this.loadSnapshots();
+  }
+
+  askConflictStrategy(result) {
+    const modal = document.getElementById('groupConflictModal');
+    document.getElementById('conflictTitle').textContent = `El grupo "${result.groupName}" ya existe`;
+    this.renderDiff(document.getElementById('conflictDiff'), result.diff);
+    modal.style.display = 'flex';
+    
+    return new Promise(resolve => {
+      const buttons = modal.querySelectorAll('[data-conflict]');
+      const onClick = (event) => {
+        buttons.forEach(button => button.removeEventListener('click', onClick));
+        modal.style.display = 'none';
+        resolve(event.currentTarget.dataset.conflict);
+      };
+      buttons.forEach(button => button.addEventListener('click', onClick));
+    });
+  }
+
+  // Las líneas se insertan como texto: títulos y URLs vienen de páginas ajenas
+  renderDiff(list, diff) {
+    if (!list) return;
+    list.innerHTML = '';
+    
+    const lines = [];
+    if (diff.unchanged) lines.push('Sin cambios');
+    if (diff.name) lines.push(`Nombre: "${diff.name.from}" → "${diff.name.to}"`);
+    diff.tabs.added.forEach(tab => lines.push(`+ ${tab.title || tab.url}`));
+    diff.tabs.removed.forEach(tab => lines.push(`− ${tab.title || tab.url}`));
+    diff.tabs.moved.forEach(tab => lines.push(`↕ ${tab.url} (${tab.from + 1} → ${tab.to + 1})`));
+    diff.tabs.retitled.forEach(tab => lines.push(`✎ ${tab.url}: "${tab.from}" → "${tab.to}"`));
+    for (const change of diff.metadata) {
+      if (change.added || change.removed) {
+        lines.push(`${change.path}: +${change.added.length} / −${change.removed.length}`);
+      } else {
+        lines.push(`${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+      }
+    }
+    
+    for (const line of lines) {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    }
+  }
+
+  // =============================================================================
+  // MACROS
+  // =============================================================================
+
+  async showMacrosModal(groupId) {
+    const modal = document.getElementById('groupMacrosModal');
+    if (!modal) return;
+    
+    this.macrosGroupId = groupId;
+    document.getElementById('macrosTitle').textContent = `Macros de "${this.groups.get(groupId)?.name || groupId}"`;
+    modal.style.display = 'flex';
+    await this.loadMacros();
+  }
+
+  hideMacrosModal() {
+    const modal = document.getElementById('groupMacrosModal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+    this.macrosGroupId = null;
+  }
+
+  async loadMacros() {
+    const list = document.getElementById('groupMacrosList');
+    if (!list || !this.macrosGroupId) return;
+    
+    const groupId = this.macrosGroupId;
+    const result = await window.silhouetteAPI.tabGroups.getMacros(groupId);
+    list.innerHTML = '';
+    if (!result.success || result.macros.length === 0) {
+      list.innerHTML = `<div class="rules-empty">${result.success ? 'Sin macros todavía' : result.error}</div>`;
+      return;
+    }
+    
+    for (const macro of result.macros) {
+      const row = document.createElement('div');
+      row.className = 'group-rule';
+      row.innerHTML = `
+        <span class="rule-type-badge">${macro.steps.length} pasos</span>
+        <input type="text" class="macro-name" data-action="rename" title="Nombre" />
+        <input type="number" class="macro-schedule" data-action="schedule" min="1" placeholder="min" title="Repetir cada N minutos (vacío: sin programar)" />
+        <button class="btn-small" data-action="replay" title="Reproducir en todas las pestañas del grupo">▶️</button>
+        <button class="btn-small" data-action="delete" title="Eliminar">🗑️</button>
+      `;
+      row.querySelector('.macro-name').value = macro.name;
+      row.querySelector('.macro-schedule').value = macro.schedule?.enabled ? macro.schedule.everyMinutes : '';
+      
+      row.querySelector('[data-action="rename"]').addEventListener('change', (e) => {
+        this.updateMacro(groupId, macro.id, { name: e.target.value });
+      });
+      row.querySelector('[data-action="schedule"]').addEventListener('change', (e) => {
+        const everyMinutes = parseInt(e.target.value, 10);
+        this.updateMacro(groupId, macro.id, { schedule: everyMinutes > 0 ? { everyMinutes } : null });
+      });
+      row.querySelector('[data-action="replay"]').addEventListener('click', () => this.replayMacro(groupId, macro.id));
+      row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+        await window.silhouetteAPI.tabGroups.deleteMacro(groupId, macro.id);
+        await this.loadMacros();
+      });
+      list.appendChild(row);
+    }
+  }
+
+  async updateMacro(groupId, macroId, changes) {
+    const result = await window.silhouetteAPI.tabGroups.updateMacro(groupId, macroId, changes);
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      await this.loadMacros();
+    }
+  }
+
+  async replayMacro(groupId, macroId) {
+    // El progreso llega por onGroupTaskProgress
+    const result = await window.silhouetteAPI.tabGroups.replayMacro(groupId, macroId);
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+    }
+  }
+
+  // Se graba la pestaña activa; la macro se guarda en el grupo desde el que se pidió
+  async startMacroRecording(groupId) {
+    if (!groupId || this.macroRecording) return;
+    
+    const tabs = await window.silhouetteAPI.browser.getActiveTabs();
+    const activeTab = tabs.find(tab => tab.active);
+    if (!activeTab) {
+      this.showNotification('No hay ninguna pestaña activa que grabar', 'error');
+      return;
+    }
+    
+    const result = await window.silhouetteAPI.tabGroups.startMacroRecording(activeTab.id);
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      return;
+    }
+    
+    this.macroRecording = { groupId, tabId: activeTab.id, steps: 0 };
+    this.hideMacrosModal();
+    this.renderRecordingIndicator(groupId);
+    this.showNotification('⏺️ Grabando: usa la página y pulsa ⏹️ en el grupo al terminar');
+  }
+
+  async stopMacroRecording() {
+    const recording = this.macroRecording;
+    if (!recording) return;
+    
+    this.macroRecording = null;
+    this.renderRecordingIndicator(recording.groupId);
+    const result = await window.silhouetteAPI.tabGroups.stopMacroRecording(recording.tabId, { groupId: recording.groupId });
+    if (!result.success) {
+      this.showNotification(result.error, 'error');
+      return;
+    }
+    if (!result.macro) {
+      this.showNotification('ℹ️ No se grabó ningún paso');
+      return;
+    }
+    
+    this.showNotification(`🎬 Macro guardada (${result.macro.steps.length} pasos)`);
+    await this.showMacrosModal(recording.groupId);
+  }
+
+  async cancelMacroRecording() {
+    const recording = this.macroRecording;
+    if (!recording) return;
+    
+    this.macroRecording = null;
+    this.renderRecordingIndicator(recording.groupId);
+    await window.silhouetteAPI.tabGroups.cancelMacroRecording(recording.tabId);
+  }
+
+  onMacroStep(data) {
+    if (this.macroRecording?.tabId !== data.tabId) return;
+    this.macroRecording.steps = data.index + 1;
+    this.renderRecordingIndicator(this.macroRecording.groupId);
+  }
+
+  renderRecordingIndicator(groupId) {
+    const container = document.getElementById(`groupMacroRecording_${groupId}`);
+    if (container) {
+      container.innerHTML = this.createRecordingIndicator(groupId);
+    }
+  }
+
   // =============================================================================
   // DRAG AND DROP
   // =============================================================================
@@ -843,6 +1597,44 @@ class TabGroupsUIManager {
     this.loadGroups();
   }
 
+  onGroupTaskProgress(data) {
+    // Estado de cada pestaña de la ejecución en curso
+    const previous = this.agentRuns.get(data.groupId);
+    const tabStatus = previous?.runId === data.runId ? previous.tabStatus : {};
+    if (data.tab) {
+      tabStatus[data.tab.tabId] = data.tab.status;
+    }
+    const retrying = Object.values(tabStatus).filter(status => status === 'retrying').length;
+    this.agentRuns.set(data.groupId, { ...data, tabStatus, retrying });
+    
+    const container = document.getElementById(`groupTaskProgress_${data.groupId}`);
+    if (container) {
+      container.innerHTML = this.createTaskProgress(data.groupId);
+    }
+    if (data.tab) {
+      document.querySelector(`#groupTabs_${data.groupId} .group-tab[data-tab-id="${data.tab.tabId}"]`)
+        ?.setAttribute('data-task-status', data.tab.status);
+    }
+    
+    if (data.type === 'finished') {
+      const { progress } = data;
+      const messages = {
+        completed: `✅ Tarea completada en ${progress.succeeded} pestañas`,
+        failed: `⚠️ Tarea terminada: ${progress.failed} de ${progress.total} pestañas fallaron`,
+        stopped: `⛔ Tarea detenida tras un fallo (${progress.skipped} pestañas sin ejecutar)`,
+        cancelled: '⏹️ Tarea cancelada'
+      };
+      this.showNotification(messages[data.status] || `Tarea ${data.status}`, data.status === 'completed' ? 'info' : 'error');
+    }
+  }
+
+  async cancelAgentTask(runId) {
+    const result = await window.silhouetteAPI.tabGroups.cancelAgentTask(runId);
+    if (!result.success) {
+      this.showNotification(result.error || 'La tarea ya había terminado', 'error');
+    }
+  }
+
   // =============================================================================
   // ESTILOS
   // =============================================================================
@@ -953,6 +1745,62 @@ class TabGroupsUIManager {
           padding: 0 12px 8px 12px;
         }
 
+        .group-task-progress:empty {
+          display: none;
+        }
+
+        .group-task-progress {
+          padding: 0 12px 8px 12px;
+        }
+
+        .task-progress-header {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 11px;
+          color: var(--text-secondary);
+          margin-bottom: 4px;
+        }
+
+        .task-progress-status {
+          flex: 1;
+          font-weight: 500;
+          color: var(--text-primary);
+        }
+
+        .task-progress-bar {
+          height: 4px;
+          background: var(--background-primary);
+          border-radius: 2px;
+          overflow: hidden;
+        }
+
+        .task-progress-fill {
+          height: 100%;
+          background: var(--primary-color);
+          transition: width 0.2s;
+        }
+
+        .task-progress-fill.failed,
+        .task-progress-fill.stopped,
+        .task-progress-fill.cancelled {
+          background: #ea4335;
+        }
+
+        .group-tab[data-task-status="running"],
+        .group-tab[data-task-status="retrying"] {
+          border-left: 3px solid #fbbc04;
+        }
+
+        .group-tab[data-task-status="succeeded"] {
+          border-left: 3px solid #34a853;
+        }
+
+        .group-tab[data-task-status="failed"],
+        .group-tab[data-task-status="cancelled"] {
+          border-left: 3px solid #ea4335;
+        }
+
         .group-tab {
           display: flex;
           align-items: center;
@@ -1327,6 +2175,103 @@ class TabGroupsUIManager {
           padding: 16px;
           border-top: 1px solid var(--border-color);
         }
+
+        .rules-modal-content {
+          width: 560px;
+        }
+
+        .rules-hint,
+        .rules-empty,
+        .rules-test-result {
+          font-size: 11px;
+          color: var(--text-muted);
+          margin: 0 0 12px;
+        }
+
+        .rules-test-result {
+          margin-top: 8px;
+        }
+
+        .rules-list {
+          max-height: 220px;
+          overflow-y: auto;
+          margin-bottom: 16px;
+        }
+
+        .group-rule {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 6px 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          margin-bottom: 4px;
+          font-size: 12px;
+          color: var(--text-primary);
+        }
+
+        .group-rule.disabled {
+          opacity: 0.5;
+        }
+
+        .group-rule .rule-name {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .rule-type-badge {
+          font-size: 10px;
+          padding: 1px 6px;
+          border-radius: 8px;
+          background: var(--background-tertiary);
+          color: var(--text-muted);
+        }
+
+        .rules-row {
+          display: flex;
+          gap: 6px;
+        }
+
+        .rules-row select {
+          width: auto;
+        }
+
+        .snapshots-list {
+          margin-top: 12px;
+        }
+
+        .group-macro-recording:empty {
+          display: none;
+        }
+
+        .group-macro-recording {
+          padding: 0 12px 8px 12px;
+        }
+
+        .group-macro-recording .task-progress-status {
+          color: var(--error-color);
+        }
+
+        .group-rule .macro-name {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .group-rule .macro-schedule {
+          width: 56px;
+        }
+
+        .snapshot-diff {
+          max-height: 200px;
+          overflow-y: auto;
+          margin: 0;
+          padding-left: 16px;
+          font-size: 11px;
+          font-family: monospace;
+          color: var(--text-primary);
+        }
       </style>
     `;
     